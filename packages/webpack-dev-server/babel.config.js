@@ -0,0 +1,37 @@
+"use strict";
+
+module.exports = (api) => {
+  api.cache(true);
+
+  return {
+    presets: [
+      [
+        "@babel/preset-env",
+        {
+          modules: false,
+          targets: {
+            esmodules: true,
+            node: "0.12",
+          },
+        },
+      ],
+    ],
+    plugins: ["@babel/plugin-transform-object-assign"],
+    env: {
+      // jest 中需要把客户端的 ES 模块转换为 CommonJS
+      test: {
+        presets: [
+          [
+            "@babel/preset-env",
+            {
+              targets: {
+                node: "18.12.0",
+              },
+            },
+          ],
+        ],
+        plugins: ["@babel/plugin-transform-runtime"],
+      },
+    },
+  };
+};
@@ -1 +1,394 @@
-console.log("client 文件,需要打包后使用");
+/* global __resourceQuery, __webpack_hash__ */
+/// <reference types="webpack/module" />
+import webpackHotLog from "webpack/hot/log.js";
+import stripAnsi from "./utils/stripAnsi.js";
+import parseURL from "./utils/parseURL.js";
+import socket from "./socket.js";
+import { formatProblem, createOverlay } from "./overlay.js";
+import { log, logEnabledFeatures, setLogLevel } from "./utils/log.js";
+import sendMessage from "./utils/sendMessage.js";
+import reloadApp from "./utils/reloadApp.js";
+import createSocketURL from "./utils/createSocketURL.js";
+
+/**
+ * @typedef {Object} OverlayOptions
+ * @property {boolean | (error: Error) => boolean} [warnings]
+ * @property {boolean | (error: Error) => boolean} [errors]
+ * @property {boolean | (error: Error) => boolean} [runtimeErrors]
+ * @property {string} [trustedTypesPolicyName]
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {boolean} hot
+ * @property {boolean} liveReload
+ * @property {boolean} progress
+ * @property {boolean | OverlayOptions} overlay
+ * @property {string} [logging]
+ * @property {number} [reconnect]
+ */
+
+/**
+ * @typedef {Object} Status
+ * @property {boolean} isUnloading
+ * @property {string} currentHash
+ * @property {string} [previousHash]
+ */
+
+/**
+ * overlay 的 warnings/errors/runtimeErrors 可以是过滤函数，
+ * Server 会把函数源码编码后通过 query 传过来，这里还原成函数
+ * @param {boolean | { warnings?: boolean | string; errors?: boolean | string; runtimeErrors?: boolean | string; }} overlayOptions
+ */
+const decodeOverlayOptions = (overlayOptions) => {
+  if (typeof overlayOptions === "object") {
+    ["warnings", "errors", "runtimeErrors"].forEach((property) => {
+      if (typeof overlayOptions[property] === "string") {
+        const overlayFilterFunctionString = decodeURIComponent(
+          overlayOptions[property]
+        );
+
+        // eslint-disable-next-line no-new-func
+        const overlayFilterFunction = new Function(
+          "message",
+          `var callback = ${overlayFilterFunctionString}
+        return callback(message)`
+        );
+
+        overlayOptions[property] = overlayFilterFunction;
+      }
+    });
+  }
+};
+
+/**
+ * 客户端运行状态
+ * currentHash 初始为打包时的 hash，服务端推送新 hash 后用于判断是否需要更新
+ * @type {Status}
+ */
+const status = {
+  isUnloading: false,
+  // eslint-disable-next-line camelcase
+  currentHash: __webpack_hash__,
+};
+
+/** @type {Options} */
+const options = {
+  hot: false,
+  liveReload: false,
+  progress: false,
+  overlay: false,
+};
+
+// Server.getClientEntry() 注入的入口带有 query，例如 ?protocol=ws&hostname=...&hot=true&live-reload=true
+const parsedResourceQuery = parseURL(__resourceQuery);
+
+const enabledFeatures = {
+  "Hot Module Replacement": false,
+  "Live Reloading": false,
+  Progress: false,
+  Overlay: false,
+};
+
+if (parsedResourceQuery.hot === "true") {
+  options.hot = true;
+  enabledFeatures["Hot Module Replacement"] = true;
+}
+
+if (parsedResourceQuery["live-reload"] === "true") {
+  options.liveReload = true;
+  enabledFeatures["Live Reloading"] = true;
+}
+
+if (parsedResourceQuery.progress === "true") {
+  options.progress = true;
+  enabledFeatures.Progress = true;
+}
+
+if (parsedResourceQuery.overlay) {
+  try {
+    options.overlay = JSON.parse(parsedResourceQuery.overlay);
+  } catch (e) {
+    log.error("Error parsing overlay options from resource query:", e);
+  }
+
+  // 对象形式只配置了部分属性时，其余属性默认为 true
+  if (typeof options.overlay === "object") {
+    options.overlay = {
+      errors: true,
+      warnings: true,
+      runtimeErrors: true,
+      ...options.overlay,
+    };
+
+    decodeOverlayOptions(options.overlay);
+  }
+
+  enabledFeatures.Overlay = true;
+}
+
+if (parsedResourceQuery.logging) {
+  options.logging = parsedResourceQuery.logging;
+}
+
+if (typeof parsedResourceQuery.reconnect !== "undefined") {
+  options.reconnect = Number(parsedResourceQuery.reconnect);
+}
+
+/**
+ * 同时设置 dev server 客户端与 HMR 运行时的日志级别
+ * @param {string} level
+ */
+function setAllLogLevel(level) {
+  // HMR 的日志（webpack/hot/log.js）与 dev server 的日志相互独立，需要分别设置
+  webpackHotLog.setLogLevel(
+    level === "verbose" || level === "log" ? "info" : level
+  );
+  setLogLevel(level);
+}
+
+if (options.logging) {
+  setAllLogLevel(options.logging);
+}
+
+logEnabledFeatures(enabledFeatures);
+
+// 页面卸载期间不再触发刷新
+self.addEventListener("beforeunload", () => {
+  status.isUnloading = true;
+});
+
+// Worker 等没有 window 的环境中无法渲染 overlay
+const overlay =
+  typeof window !== "undefined"
+    ? createOverlay(
+        typeof options.overlay === "object"
+          ? {
+              trustedTypesPolicyName: options.overlay.trustedTypesPolicyName,
+              catchRuntimeError: options.overlay.runtimeErrors,
+            }
+          : {
+              trustedTypesPolicyName: false,
+              catchRuntimeError: options.overlay,
+            }
+      )
+    : { send: () => {} };
+
+/**
+ * 服务端消息处理函数，键为 Server.sendMessage() 发送的 type
+ */
+const onSocketMessage = {
+  hot() {
+    if (parsedResourceQuery.hot === "false") {
+      return;
+    }
+
+    options.hot = true;
+  },
+  liveReload() {
+    if (parsedResourceQuery["live-reload"] === "false") {
+      return;
+    }
+
+    options.liveReload = true;
+  },
+  // 文件变化，服务端开始重新编译
+  invalid() {
+    log.info("App updated. Recompiling...");
+
+    // 只剩警告时 overlay 不会被清除，因此重新编译前先关闭
+    if (options.overlay) {
+      overlay.send({ type: "DISMISS" });
+    }
+
+    sendMessage("Invalid");
+  },
+  /**
+   * 新的编译 hash，随后会收到 ok/warnings/errors
+   * @param {string} hash
+   */
+  hash(hash) {
+    status.previousHash = status.currentHash;
+    status.currentHash = hash;
+  },
+  logging: setAllLogLevel,
+  /**
+   * @param {boolean} value
+   */
+  overlay(value) {
+    if (typeof document === "undefined") {
+      return;
+    }
+
+    options.overlay = value;
+    decodeOverlayOptions(options.overlay);
+  },
+  /**
+   * @param {number} value
+   */
+  reconnect(value) {
+    if (parsedResourceQuery.reconnect === "false") {
+      return;
+    }
+
+    options.reconnect = value;
+  },
+  /**
+   * @param {boolean} value
+   */
+  progress(value) {
+    options.progress = value;
+  },
+  /**
+   * @param {{ pluginName?: string, percent: number, msg: string }} data
+   */
+  "progress-update": function progressUpdate(data) {
+    if (options.progress) {
+      log.info(
+        `${data.pluginName ? `[${data.pluginName}] ` : ""}${data.percent}% - ${
+          data.msg
+        }.`
+      );
+    }
+
+    sendMessage("Progress", data);
+  },
+  // 编译结果与上次相同
+  "still-ok": function stillOk() {
+    log.info("Nothing changed.");
+
+    if (options.overlay) {
+      overlay.send({ type: "DISMISS" });
+    }
+
+    sendMessage("StillOk");
+  },
+  // 编译成功且没有错误和警告，触发热更新或刷新
+  ok() {
+    sendMessage("Ok");
+
+    if (options.overlay) {
+      overlay.send({ type: "DISMISS" });
+    }
+
+    reloadApp(options, status);
+  },
+  /**
+   * 静态资源目录（static.watch / watchFiles）中的文件发生变化，直接刷新页面
+   * @param {string} file
+   */
+  "static-changed": function staticChanged(file) {
+    log.info(
+      `${
+        file ? `"${file}"` : "Content"
+      } from static directory was changed. Reloading...`
+    );
+
+    self.location.reload();
+  },
+  /**
+   * 编译出现警告，仍然更新应用；同时有错误时服务端会传 preventReloading
+   * @param {Error[]} warnings
+   * @param {any} params
+   */
+  warnings(warnings, params) {
+    log.warn("Warnings while compiling.");
+
+    const printableWarnings = warnings.map((error) => {
+      const { header, body } = formatProblem("warning", error);
+
+      return `${header}\n${stripAnsi(body)}`;
+    });
+
+    sendMessage("Warnings", printableWarnings);
+
+    for (let i = 0; i < printableWarnings.length; i++) {
+      log.warn(printableWarnings[i]);
+    }
+
+    const overlayWarningsSetting =
+      typeof options.overlay === "boolean"
+        ? options.overlay
+        : options.overlay && options.overlay.warnings;
+
+    if (overlayWarningsSetting) {
+      const warningsToDisplay =
+        typeof overlayWarningsSetting === "function"
+          ? warnings.filter(overlayWarningsSetting)
+          : warnings;
+
+      if (warningsToDisplay.length) {
+        overlay.send({
+          type: "BUILD_ERROR",
+          level: "warning",
+          messages: warningsToDisplay,
+        });
+      }
+    }
+
+    if (params && params.preventReloading) {
+      return;
+    }
+
+    reloadApp(options, status);
+  },
+  /**
+   * 编译出现错误，不更新应用，在 overlay 中显示错误
+   * @param {Error[]} errors
+   */
+  errors(errors) {
+    log.error("Errors while compiling. Reload prevented.");
+
+    const printableErrors = errors.map((error) => {
+      const { header, body } = formatProblem("error", error);
+
+      return `${header}\n${stripAnsi(body)}`;
+    });
+
+    sendMessage("Errors", printableErrors);
+
+    for (let i = 0; i < printableErrors.length; i++) {
+      log.error(printableErrors[i]);
+    }
+
+    const overlayErrorsSettings =
+      typeof options.overlay === "boolean"
+        ? options.overlay
+        : options.overlay && options.overlay.errors;
+
+    if (overlayErrorsSettings) {
+      const errorsToDisplay =
+        typeof overlayErrorsSettings === "function"
+          ? errors.filter(overlayErrorsSettings)
+          : errors;
+
+      if (errorsToDisplay.length) {
+        overlay.send({
+          type: "BUILD_ERROR",
+          level: "error",
+          messages: errorsToDisplay,
+        });
+      }
+    }
+  },
+  /**
+   * @param {Error} error
+   */
+  error(error) {
+    log.error(error);
+  },
+  // 连接断开，socket.js 会负责重连
+  close() {
+    log.info("Disconnected!");
+
+    if (options.overlay) {
+      overlay.send({ type: "DISMISS" });
+    }
+
+    sendMessage("Close");
+  },
+};
+
+const socketURL = createSocketURL(parsedResourceQuery);
+
+socket(socketURL, onSocketMessage, options.reconnect);
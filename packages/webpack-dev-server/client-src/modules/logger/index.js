@@ -0,0 +1 @@
+export { default } from "webpack/lib/logging/runtime.js";
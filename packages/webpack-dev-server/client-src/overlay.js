@@ -0,0 +1,353 @@
+// overlay 的实现参考（并大量复制）自 Create React App，而后者参考了 webpack-hot-middleware
+
+import ansiHTML from "ansi-html-community";
+import { encode } from "html-entities";
+import {
+  listenToRuntimeError,
+  listenToUnhandledRejection,
+  parseErrorToStacks,
+} from "./overlay/runtime-error.js";
+import createOverlayMachine from "./overlay/state-machine.js";
+import {
+  containerStyle,
+  dismissButtonStyle,
+  headerStyle,
+  iframeStyle,
+  msgStyles,
+  msgTextStyle,
+  msgTypeStyle,
+} from "./overlay/styles.js";
+
+// ANSI 颜色到 HTML 颜色的映射，使 overlay 中的输出与终端观感一致
+const colors = {
+  reset: ["transparent", "transparent"],
+  black: "181818",
+  red: "E36049",
+  green: "B3CB74",
+  yellow: "FFD080",
+  blue: "7CAFC2",
+  magenta: "7FACCA",
+  cyan: "C3C2EF",
+  lightgrey: "EBE7E3",
+  darkgrey: "6D7891",
+};
+
+ansiHTML.setColors(colors);
+
+/**
+ * 生成在编辑器中打开出错模块的地址
+ * loc 形如 "12:5-10"，取起始的行和列拼在文件名后面，launch-editor 会解析 "file:line:column"
+ * @param {{ moduleIdentifier: string, loc?: string }} message
+ * @returns {string}
+ */
+function getOpenEditorUrl(message) {
+  const position = /^(\d+):(\d+)/.exec(message.loc || "");
+  const fileName = position
+    ? `${message.moduleIdentifier}:${position[1]}:${position[2]}`
+    : message.moduleIdentifier;
+
+  return `/webpack-dev-server/open-editor?fileName=${encodeURIComponent(
+    fileName
+  )}`;
+}
+
+/**
+ * 把 stats 中的 error/warning 或运行时错误格式化为标题与正文
+ * @param {string} type
+ * @param {string  | { file?: string, moduleName?: string, loc?: string, message?: string; stack?: string[] }} item
+ * @returns {{ header: string, body: string }}
+ */
+function formatProblem(type, item) {
+  let header = type === "warning" ? "WARNING" : "ERROR";
+  let body = "";
+
+  if (typeof item === "string") {
+    body += item;
+  } else {
+    const file = item.file || "";
+    // eslint-disable-next-line no-nested-ternary
+    const moduleName = item.moduleName
+      ? item.moduleName.indexOf("!") !== -1
+        ? `${item.moduleName.replace(/^(\s|\S)*!/, "")} (${item.moduleName})`
+        : `${item.moduleName}`
+      : "";
+    const loc = item.loc;
+
+    header += `${
+      moduleName || file
+        ? ` in ${
+            moduleName ? `${moduleName}${file ? ` (${file})` : ""}` : file
+          }${loc ? ` ${loc}` : ""}`
+        : ""
+    }`;
+    body += item.message || "";
+  }
+
+  if (Array.isArray(item.stack)) {
+    item.stack.forEach((stack) => {
+      if (typeof stack === "string") {
+        body += `\r\n${stack}`;
+      }
+    });
+  }
+
+  return { header, body };
+}
+
+/**
+ * @typedef {Object} CreateOverlayOptions
+ * @property {string | null} trustedTypesPolicyName
+ * @property {boolean | (error: Error) => void} [catchRuntimeError]
+ */
+
+/**
+ * 创建错误 overlay
+ * overlay 渲染在 iframe 中，与页面自身的样式隔离
+ * 返回状态机 service，通过 send({ type: "BUILD_ERROR" | "RUNTIME_ERROR" | "DISMISS" }) 控制
+ * @param {CreateOverlayOptions} options
+ */
+const createOverlay = (options) => {
+  /** @type {HTMLIFrameElement | null | undefined} */
+  let iframeContainerElement;
+  /** @type {HTMLDivElement | null | undefined} */
+  let containerElement;
+  /** @type {HTMLDivElement | null | undefined} */
+  let headerElement;
+  // iframe 异步加载完成前到达的渲染任务
+  /** @type {Array<(element: HTMLDivElement) => void>} */
+  let onLoadQueue = [];
+  /** @type {TrustedTypePolicy | undefined} */
+  let overlayTrustedTypesPolicy;
+
+  /**
+   * @param {HTMLElement} element
+   * @param {CSSStyleDeclaration} style
+   */
+  function applyStyle(element, style) {
+    Object.keys(style).forEach((prop) => {
+      element.style[prop] = style[prop];
+    });
+  }
+
+  /**
+   * 创建 iframe 以及其中的标题、关闭按钮和消息容器
+   * @param {string | null} trustedTypesPolicyName
+   */
+  function createContainer(trustedTypesPolicyName) {
+    // 浏览器支持 Trusted Types 时，innerHTML 需要经过 policy 处理
+    if (window.trustedTypes) {
+      overlayTrustedTypesPolicy = window.trustedTypes.createPolicy(
+        trustedTypesPolicyName || "webpack-dev-server#overlay",
+        {
+          createHTML: (value) => value,
+        }
+      );
+    }
+
+    iframeContainerElement = document.createElement("iframe");
+    iframeContainerElement.id = "webpack-dev-server-client-overlay";
+    iframeContainerElement.src = "about:blank";
+    applyStyle(iframeContainerElement, iframeStyle);
+
+    iframeContainerElement.onload = () => {
+      const contentElement = /** @type {Document} */ (
+        /** @type {HTMLIFrameElement} */ (iframeContainerElement)
+          .contentDocument
+      ).createElement("div");
+      containerElement = /** @type {Document} */ (
+        /** @type {HTMLIFrameElement} */ (iframeContainerElement)
+          .contentDocument
+      ).createElement("div");
+
+      contentElement.id = "webpack-dev-server-client-overlay-div";
+      applyStyle(contentElement, containerStyle);
+
+      headerElement = document.createElement("div");
+
+      headerElement.innerText = "Compiled with problems:";
+      applyStyle(headerElement, headerStyle);
+
+      const closeButtonElement = document.createElement("button");
+
+      applyStyle(closeButtonElement, dismissButtonStyle);
+
+      closeButtonElement.innerText = "×";
+      closeButtonElement.ariaLabel = "Dismiss";
+      closeButtonElement.addEventListener("click", () => {
+        // eslint-disable-next-line no-use-before-define
+        overlayService.send({ type: "DISMISS" });
+      });
+
+      contentElement.appendChild(headerElement);
+      contentElement.appendChild(closeButtonElement);
+      contentElement.appendChild(containerElement);
+
+      /** @type {Document} */
+      (
+        /** @type {HTMLIFrameElement} */ (iframeContainerElement)
+          .contentDocument
+      ).body.appendChild(contentElement);
+
+      onLoadQueue.forEach((onLoad) => {
+        onLoad(/** @type {HTMLDivElement} */ (contentElement));
+      });
+      onLoadQueue = [];
+
+      /** @type {HTMLIFrameElement} */
+      (iframeContainerElement).onload = null;
+    };
+
+    document.body.appendChild(iframeContainerElement);
+  }
+
+  /**
+   * 确保 overlay 已创建，iframe 就绪后执行 callback
+   * @param {(element: HTMLDivElement) => void} callback
+   * @param {string | null} trustedTypesPolicyName
+   */
+  function ensureOverlayExists(callback, trustedTypesPolicyName) {
+    if (containerElement) {
+      containerElement.innerHTML = overlayTrustedTypesPolicy
+        ? overlayTrustedTypesPolicy.createHTML("")
+        : "";
+      // 已经就绪，直接执行
+      callback(containerElement);
+
+      return;
+    }
+
+    onLoadQueue.push(callback);
+
+    // iframe 正在加载中
+    if (iframeContainerElement) {
+      return;
+    }
+
+    createContainer(trustedTypesPolicyName);
+  }
+
+  // 隐藏 overlay 并重置内部状态
+  function hide() {
+    if (!iframeContainerElement) {
+      return;
+    }
+
+    document.body.removeChild(iframeContainerElement);
+
+    iframeContainerElement = null;
+    containerElement = null;
+  }
+
+  /**
+   * 显示编译错误（如语法错误、模块缺失）或运行时错误
+   * @param {string} type
+   * @param {Array<string  | { moduleIdentifier?: string, moduleName?: string, loc?: string, message?: string }>} messages
+   * @param {string | null} trustedTypesPolicyName
+   * @param {'build' | 'runtime'} messageSource
+   */
+  function show(type, messages, trustedTypesPolicyName, messageSource) {
+    ensureOverlayExists(() => {
+      headerElement.innerText =
+        messageSource === "runtime"
+          ? "Uncaught runtime errors:"
+          : "Compiled with problems:";
+
+      messages.forEach((message) => {
+        const entryElement = document.createElement("div");
+        const msgStyle =
+          type === "warning" ? msgStyles.warning : msgStyles.error;
+        applyStyle(entryElement, {
+          ...msgStyle,
+          padding: "1rem 1rem 1.5rem 1rem",
+        });
+
+        const typeElement = document.createElement("div");
+        const { header, body } = formatProblem(type, message);
+
+        typeElement.innerText = header;
+        applyStyle(typeElement, msgTypeStyle);
+
+        // 有模块路径时，点击标题通过 webpack-dev-server-open-editor 中间件在编辑器中打开文件
+        if (message.moduleIdentifier) {
+          applyStyle(typeElement, { cursor: "pointer" });
+          // IE 不支持 element.dataset
+          typeElement.setAttribute("data-can-open", true);
+          typeElement.addEventListener("click", () => {
+            fetch(getOpenEditorUrl(message));
+          });
+        }
+
+        // 先转义 HTML，再把 ANSI 颜色转成 HTML，使其看起来和终端一致
+        const text = ansiHTML(encode(body));
+        const messageTextNode = document.createElement("div");
+        applyStyle(messageTextNode, msgTextStyle);
+
+        messageTextNode.innerHTML = overlayTrustedTypesPolicy
+          ? overlayTrustedTypesPolicy.createHTML(text)
+          : text;
+
+        entryElement.appendChild(typeElement);
+        entryElement.appendChild(messageTextNode);
+
+        /** @type {HTMLDivElement} */
+        (containerElement).appendChild(entryElement);
+      });
+    }, trustedTypesPolicyName);
+  }
+
+  const overlayService = createOverlayMachine({
+    showOverlay: ({ level = "error", messages, messageSource }) =>
+      show(level, messages, options.trustedTypesPolicyName, messageSource),
+    hideOverlay: hide,
+  });
+
+  if (options.catchRuntimeError) {
+    /**
+     * 把运行时错误交给状态机显示，catchRuntimeError 为函数时用作过滤器
+     * @param {Error | undefined} error
+     * @param {string} fallbackMessage
+     */
+    const handleError = (error, fallbackMessage) => {
+      const errorObject =
+        error instanceof Error ? error : new Error(error || fallbackMessage);
+
+      const shouldDisplay =
+        typeof options.catchRuntimeError === "function"
+          ? options.catchRuntimeError(errorObject)
+          : true;
+
+      if (shouldDisplay) {
+        overlayService.send({
+          type: "RUNTIME_ERROR",
+          messages: [
+            {
+              message: errorObject.message,
+              stack: parseErrorToStacks(errorObject),
+            },
+          ],
+        });
+      }
+    };
+
+    listenToRuntimeError((errorEvent) => {
+      // 老版本浏览器（如 IE）中 error 属性可能为空
+      const { error, message } = errorEvent;
+
+      if (!error && !message) {
+        return;
+      }
+
+      handleError(error, message);
+    });
+
+    listenToUnhandledRejection((promiseRejectionEvent) => {
+      const { reason } = promiseRejectionEvent;
+
+      handleError(reason, "Unknown promise rejection reason");
+    });
+  }
+
+  return overlayService;
+};
+
+export { formatProblem, createOverlay };
@@ -0,0 +1,154 @@
+/**
+ * 简化版的 url.format，把 URL 各部分拼接成字符串
+ * @param {{ protocol?: string, auth?: string, hostname?: string, port?: string, pathname?: string, search?: string, hash?: string, slashes?: boolean }} objURL
+ * @returns {string}
+ */
+function format(objURL) {
+  let protocol = objURL.protocol || "";
+
+  if (protocol && protocol.substr(-1) !== ":") {
+    protocol += ":";
+  }
+
+  let auth = objURL.auth || "";
+
+  if (auth) {
+    auth = encodeURIComponent(auth);
+    auth = auth.replace(/%3A/i, ":");
+    auth += "@";
+  }
+
+  let host = "";
+
+  if (objURL.hostname) {
+    host =
+      auth +
+      (objURL.hostname.indexOf(":") === -1
+        ? objURL.hostname
+        : `[${objURL.hostname}]`);
+
+    if (objURL.port) {
+      host += `:${objURL.port}`;
+    }
+  }
+
+  let pathname = objURL.pathname || "";
+
+  if (objURL.slashes) {
+    host = `//${host || ""}`;
+
+    if (pathname && pathname.charAt(0) !== "/") {
+      pathname = `/${pathname}`;
+    }
+  } else if (!host) {
+    host = "";
+  }
+
+  let search = objURL.search || "";
+
+  if (search && search.charAt(0) !== "?") {
+    search = `?${search}`;
+  }
+
+  let hash = objURL.hash || "";
+
+  if (hash && hash.charAt(0) !== "#") {
+    hash = `#${hash}`;
+  }
+
+  pathname = pathname.replace(
+    /[?#]/g,
+    /**
+     * @param {string} match
+     * @returns {string}
+     */
+    (match) => encodeURIComponent(match)
+  );
+  search = search.replace("#", "%23");
+
+  return `${protocol}${host}${pathname}${search}${hash}`;
+}
+
+/**
+ * 根据 resourceQuery 解析出的参数与当前页面地址，计算 WebSocket 连接地址
+ * @param {URL & { fromCurrentScript?: boolean }} parsedURL
+ * @returns {string}
+ */
+function createSocketURL(parsedURL) {
+  let { hostname } = parsedURL;
+
+  // Node.js 把任意地址解析为 `::`，new URL() 则解析为 `[::]`
+  const isInAddrAny =
+    hostname === "0.0.0.0" || hostname === "::" || hostname === "[::]";
+
+  // 监听任意地址时无法直接连接，改用页面的 hostname
+  // file 协议（electron、ionic 等）没有 hostname，此时保持不变
+  if (
+    isInAddrAny &&
+    self.location.hostname &&
+    self.location.protocol.indexOf("http") === 0
+  ) {
+    hostname = self.location.hostname;
+  }
+
+  let socketURLProtocol = parsedURL.protocol || self.location.protocol;
+
+  // 页面使用 https 时浏览器不允许非安全的 WebSocket，必须使用 wss
+  if (
+    socketURLProtocol === "auto:" ||
+    (hostname && isInAddrAny && self.location.protocol === "https:")
+  ) {
+    socketURLProtocol = self.location.protocol;
+  }
+
+  socketURLProtocol = socketURLProtocol.replace(
+    /^(?:http|.+-extension|file)/i,
+    "ws"
+  );
+
+  let socketURLAuth = "";
+
+  // new URL() 得到的对象没有 auth 属性，需要从 username/password 拼出来
+  if (parsedURL.username) {
+    socketURLAuth = parsedURL.username;
+
+    // HTTP 基本认证不允许空用户名，因此只有用户名存在时才拼接密码
+    if (parsedURL.password) {
+      // 结果为 <username>:<password>
+      socketURLAuth = socketURLAuth.concat(":", parsedURL.password);
+    }
+  }
+
+  // IPv6 地址可能带有方括号，format 会再加一层，这里先去掉避免出现 [[::]]
+  // resourceQuery 中的参数都是可选的，缺省时回退到当前页面的值
+  const socketURLHostname = (
+    hostname ||
+    self.location.hostname ||
+    "localhost"
+  ).replace(/^\[(.*)\]$/, "$1");
+
+  let socketURLPort = parsedURL.port;
+
+  if (!socketURLPort || socketURLPort === "0") {
+    socketURLPort = self.location.port;
+  }
+
+  // 通过 resourceQuery 传入了 pathname 时使用它，否则使用默认的 /ws
+  // 从 <script> src 推断出的 pathname 是脚本路径，不能用作 WebSocket 路径
+  let socketURLPathname = "/ws";
+
+  if (parsedURL.pathname && !parsedURL.fromCurrentScript) {
+    socketURLPathname = parsedURL.pathname;
+  }
+
+  return format({
+    protocol: socketURLProtocol,
+    auth: socketURLAuth,
+    hostname: socketURLHostname,
+    port: socketURLPort,
+    pathname: socketURLPathname,
+    slashes: true,
+  });
+}
+
+export default createSocketURL;
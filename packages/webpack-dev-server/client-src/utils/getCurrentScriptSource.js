@@ -0,0 +1,28 @@
+/**
+ * 获取当前执行脚本的 src，用于在没有 __resourceQuery 时推断 WebSocket 地址
+ * @returns {string}
+ */
+function getCurrentScriptSource() {
+  // document.currentScript 最准确，但并非所有浏览器都支持
+  if (document.currentScript) {
+    return /** @type {string} */ (document.currentScript.getAttribute("src"));
+  }
+
+  // 退而求其次：取文档中最后一个带 src 的 script，即当前正在执行的脚本
+  const scriptElements = document.scripts || [];
+  const scriptElementsWithSrc = Array.prototype.filter.call(
+    scriptElements,
+    (element) => element.getAttribute("src")
+  );
+
+  if (scriptElementsWithSrc.length > 0) {
+    const currentScript =
+      scriptElementsWithSrc[scriptElementsWithSrc.length - 1];
+
+    return currentScript.getAttribute("src");
+  }
+
+  throw new Error("[webpack-dev-server] Failed to get current script source.");
+}
+
+export default getCurrentScriptSource;
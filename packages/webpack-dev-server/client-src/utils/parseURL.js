@@ -0,0 +1,44 @@
+import getCurrentScriptSource from "./getCurrentScriptSource.js";
+
+/**
+ * 解析客户端入口的 resourceQuery
+ * Server.getClientEntry() 注入的入口形如 `client/index.js?protocol=ws&hostname=...&hot=true`
+ * @param {string} resourceQuery
+ * @returns {{ [key: string]: string | boolean }}
+ */
+function parseURL(resourceQuery) {
+  /** @type {{ [key: string]: string }} */
+  let options = {};
+
+  if (typeof resourceQuery === "string" && resourceQuery !== "") {
+    const searchParams = resourceQuery.slice(1).split("&");
+
+    for (let i = 0; i < searchParams.length; i++) {
+      const pair = searchParams[i].split("=");
+
+      options[pair[0]] = decodeURIComponent(pair[1]);
+    }
+  } else {
+    // 没有 resourceQuery 时，从加载当前文件的 <script> 的 src 中取地址
+    const scriptSource = getCurrentScriptSource();
+
+    let scriptSourceURL;
+
+    try {
+      // 以 self.location.href 作为 base，兼容相对路径与协议相对路径
+      // scriptSource 本身是完整 URL 时 base 不生效
+      scriptSourceURL = new URL(scriptSource, self.location.href);
+    } catch (error) {
+      // 解析失败时什么也不做，后续使用默认值
+    }
+
+    if (scriptSourceURL) {
+      options = scriptSourceURL;
+      options.fromCurrentScript = true;
+    }
+  }
+
+  return options;
+}
+
+export default parseURL;
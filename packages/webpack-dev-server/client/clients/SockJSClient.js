@@ -0,0 +1,53 @@
+import SockJS from "../modules/sockjs-client/index.js";
+import { log } from "../utils/log.js";
+
+/**
+ * 基于 SockJS 的客户端传输，对应 webSocketTransport: "sockjs"
+ * 与 WebSocketClient 提供相同的 onOpen/onClose/onMessage 接口，socket.js 无需区分
+ */
+export default class SockJSClient {
+  /**
+   * @param {string} url
+   */
+  constructor(url) {
+    // SockJS 只接受 http/https 协议的地址
+    this.sock = new SockJS(
+      url.replace(/^ws:/i, "http:").replace(/^wss:/i, "https:")
+    );
+    this.sock.onerror =
+      /**
+       * @param {Error} error
+       */
+      (error) => {
+        log.error(error);
+      };
+  }
+
+  /**
+   * @param {(...args: any[]) => void} f
+   */
+  onOpen(f) {
+    this.sock.onopen = f;
+  }
+
+  /**
+   * @param {(...args: any[]) => void} f
+   */
+  onClose(f) {
+    this.sock.onclose = f;
+  }
+
+  // 以消息字符串作为第一个参数调用 f
+  /**
+   * @param {(...args: any[]) => void} f
+   */
+  onMessage(f) {
+    this.sock.onmessage =
+      /**
+       * @param {Error & { data: string }} e
+       */
+      (e) => {
+        f(e.data);
+      };
+  }
+}
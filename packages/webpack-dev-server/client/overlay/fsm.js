@@ -0,0 +1,61 @@
+/**
+ * @typedef {Object} StateDefinitions
+ * @property {{[event: string]: { target: string; actions?: Array<string> }}} [on]
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {{[state: string]: StateDefinitions}} states
+ * @property {object} context;
+ * @property {string} initial
+ */
+
+/**
+ * @typedef {Object} Implementation
+ * @property {{[actionName: string]: (ctx: object, event: any) => object}} actions
+ */
+
+/**
+ * 简化版的 @xstate/fsm createMachine，避免为了一个状态机引入整个 xstate
+ * 与原版的区别：
+ *  - 返回的直接是可用的 service，不需要 interpret(machine).start()
+ *  - 状态定义只支持 on，且必须显式写成 { target: 'nextState', actions: [] }
+ *  - send 的事件必须是带 type 属性的对象
+ *  - action 有返回值时会合并进 context（相当于 assign），只做副作用时不要返回任何值
+ * 第一个参数可以直接粘贴到 https://stately.ai/viz 中可视化
+ * @param {Options} options
+ * @param {Implementation} implementation
+ */
+function createMachine({ states, context, initial }, { actions }) {
+  let currentState = initial;
+  let currentContext = context;
+
+  return {
+    send: (event) => {
+      const currentStateOn = states[currentState].on;
+      const transitionConfig = currentStateOn && currentStateOn[event.type];
+
+      if (transitionConfig) {
+        currentState = transitionConfig.target;
+
+        if (transitionConfig.actions) {
+          transitionConfig.actions.forEach((actName) => {
+            const actionImpl = actions[actName];
+
+            const nextContextValue =
+              actionImpl && actionImpl(currentContext, event);
+
+            if (nextContextValue) {
+              currentContext = {
+                ...currentContext,
+                ...nextContextValue,
+              };
+            }
+          });
+        }
+      }
+    },
+  };
+}
+
+export default createMachine;
@@ -0,0 +1,53 @@
+/**
+ * 把 Error 的 stack 拆分成行，去掉与 message 重复的第一行
+ * @param {Error} error
+ */
+function parseErrorToStacks(error) {
+  if (!error || !(error instanceof Error)) {
+    throw new Error("parseErrorToStacks expects Error object");
+  }
+
+  if (typeof error.stack === "string") {
+    return error.stack
+      .split("\n")
+      .filter((stack) => stack !== `Error: ${error.message}`);
+  }
+}
+
+/**
+ * @callback ErrorCallback
+ * @param {ErrorEvent} error
+ * @returns {void}
+ */
+
+/**
+ * 监听未捕获的运行时错误，返回取消监听的函数
+ * @param {ErrorCallback} callback
+ */
+function listenToRuntimeError(callback) {
+  window.addEventListener("error", callback);
+
+  return function cleanup() {
+    window.removeEventListener("error", callback);
+  };
+}
+
+/**
+ * @callback UnhandledRejectionCallback
+ * @param {PromiseRejectionEvent} rejectionEvent
+ * @returns {void}
+ */
+
+/**
+ * 监听未处理的 Promise rejection，返回取消监听的函数
+ * @param {UnhandledRejectionCallback} callback
+ */
+function listenToUnhandledRejection(callback) {
+  window.addEventListener("unhandledrejection", callback);
+
+  return function cleanup() {
+    window.removeEventListener("unhandledrejection", callback);
+  };
+}
+
+export { listenToRuntimeError, listenToUnhandledRejection, parseErrorToStacks };
@@ -0,0 +1,82 @@
+/* global __webpack_dev_server_client__ */
+
+import WebSocketClient from "./clients/WebSocketClient.js";
+import { log } from "./utils/log.js";
+
+// Server 会通过 ProvidePlugin 注入 __webpack_dev_server_client__（由 webSocketTransport 决定），
+// 没有注入时回退到默认的 WebSocketClient
+/* eslint-disable camelcase */
+const Client =
+  // eslint-disable-next-line no-nested-ternary
+  typeof __webpack_dev_server_client__ !== "undefined"
+    ? typeof __webpack_dev_server_client__.default !== "undefined"
+      ? __webpack_dev_server_client__.default
+      : __webpack_dev_server_client__
+    : WebSocketClient;
+/* eslint-enable camelcase */
+
+let retries = 0;
+let maxRetries = 10;
+
+// 导出当前的客户端实例，外部可以复用同一个连接
+// 重连时会被替换，因此是可变的单例
+// eslint-disable-next-line import/no-mutable-exports
+export let client = null;
+
+/**
+ * 建立与 dev server 的连接，并把收到的消息分发给对应类型的处理函数
+ * 连接断开后按指数退避重连，超过 reconnect 次数后放弃
+ * @param {string} url
+ * @param {{ [handler: string]: (data?: any, params?: any) => any }} handlers
+ * @param {number} [reconnect]
+ */
+const socket = function initSocket(url, handlers, reconnect) {
+  client = new Client(url);
+
+  client.onOpen(() => {
+    retries = 0;
+
+    if (typeof reconnect !== "undefined") {
+      maxRetries = reconnect;
+    }
+  });
+
+  client.onClose(() => {
+    // 只在第一次断开时通知，重连失败不重复触发
+    if (retries === 0) {
+      handlers.close();
+    }
+
+    client = null;
+
+    if (retries < maxRetries) {
+      // 指数退避，并加入随机抖动，避免多个标签页同时重连
+      // eslint-disable-next-line no-restricted-properties
+      const retryInMs = 1000 * Math.pow(2, retries) + Math.random() * 100;
+
+      retries += 1;
+
+      log.info("Trying to reconnect...");
+
+      setTimeout(() => {
+        socket(url, handlers, reconnect);
+      }, retryInMs);
+    }
+  });
+
+  client.onMessage(
+    /**
+     * @param {any} data
+     */
+    (data) => {
+      // 服务端 sendMessage 发送的格式为 { type, data, params }
+      const message = JSON.parse(data);
+
+      if (handlers[message.type]) {
+        handlers[message.type](message.data, message.params);
+      }
+    }
+  );
+};
+
+export default socket;
@@ -0,0 +1,77 @@
+import hotEmitter from "webpack/hot/emitter.js";
+import { log } from "./log.js";
+
+/** @typedef {import("../index").Options} Options */
+/** @typedef {import("../index").Status} Status */
+
+/**
+ * 编译完成后更新应用
+ * 开启 hot 时通过 hotEmitter 通知 webpack/hot/dev-server 执行 module.hot.check()，
+ * 否则在开启 liveReload 时刷新整个页面
+ * @param {Options} options
+ * @param {Status} status
+ */
+function reloadApp({ hot, liveReload }, status) {
+  // 页面正在卸载，无需处理
+  if (status.isUnloading) {
+    return;
+  }
+
+  const { currentHash, previousHash } = status;
+  // 首次连接时服务端推送的 hash 与打包时的 __webpack_hash__ 相同，不需要更新
+  const isInitial =
+    currentHash.indexOf(/** @type {string} */ (previousHash)) >= 0;
+
+  if (isInitial) {
+    return;
+  }
+
+  /**
+   * @param {Window} rootWindow
+   * @param {number} intervalId
+   */
+  function applyReload(rootWindow, intervalId) {
+    clearInterval(intervalId);
+
+    log.info("App updated. Reloading...");
+
+    rootWindow.location.reload();
+  }
+
+  // 允许通过页面 query 单独关闭热更新或自动刷新
+  const search = self.location.search.toLowerCase();
+  const allowToHot = search.indexOf("webpack-dev-server-hot=false") === -1;
+  const allowToLiveReload =
+    search.indexOf("webpack-dev-server-live-reload=false") === -1;
+
+  if (hot && allowToHot) {
+    log.info("App hot update...");
+
+    hotEmitter.emit("webpackHotUpdate", status.currentHash);
+
+    if (typeof self !== "undefined" && self.window) {
+      // 同时广播给窗口，供其他脚本监听
+      self.postMessage(`webpackHotUpdate${status.currentHash}`, "*");
+    }
+  }
+  // 没有开启热更新时，只有 liveReload 未被禁用才刷新页面
+  else if (liveReload && allowToLiveReload) {
+    let rootWindow = self;
+
+    // 在 about: 协议的 iframe 中无法刷新自身，需要向上找到可以刷新的父窗口
+    const intervalId = self.setInterval(() => {
+      if (rootWindow.location.protocol !== "about:") {
+        applyReload(rootWindow, intervalId);
+      } else {
+        rootWindow = rootWindow.parent;
+
+        if (rootWindow.parent === rootWindow) {
+          // 已经到达顶层窗口，直接刷新，避免无限循环
+          applyReload(rootWindow, intervalId);
+        }
+      }
+    });
+  }
+}
+
+export default reloadApp;
@@ -0,0 +1,19 @@
+/* global __resourceQuery WorkerGlobalScope */
+
+// 把客户端状态以 postMessage 的形式广播出去，方便其他插件（如 react-refresh）订阅
+// Worker 中的 self.postMessage 含义不同，因此跳过
+/**
+ * @param {string} type
+ * @param {any} [data]
+ */
+function sendMsg(type, data) {
+  if (
+    typeof self !== "undefined" &&
+    (typeof WorkerGlobalScope === "undefined" ||
+      !(self instanceof WorkerGlobalScope))
+  ) {
+    self.postMessage({ type: `webpack${type}`, data }, "*");
+  }
+}
+
+export default sendMsg;
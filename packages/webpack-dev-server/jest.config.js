@@ -0,0 +1,9 @@
+"use strict";
+
+module.exports = {
+  testEnvironment: "node",
+  collectCoverage: false,
+  coveragePathIgnorePatterns: ["test", "<rootDir>/node_modules"],
+  moduleFileExtensions: ["js", "json"],
+  testMatch: ["**/test/**/*.test.js"],
+};
@@ -26,6 +26,16 @@ const memoize = (fn) => {
 
 const getExpress = memoize(() => require("express"));
 
+/**
+ * 函数形式的 overlay 过滤器需要转成字符串才能传给客户端，客户端再还原为函数
+ * @param {boolean | string | ((error: Error) => boolean)} [setting] overlay 的 errors、warnings 或 runtimeErrors 配置
+ * @returns {boolean | string | undefined}
+ */
+const encodeOverlaySettings = (setting) =>
+  typeof setting === "function"
+    ? encodeURIComponent(setting.toString())
+    : setting;
+
 class Server {
   /**
    * @param {Configuration<A, S>} options 配置对象，用于自定义开发服务器的行为
@@ -1750,6 +1760,50 @@ class Server {
     return clientImplementation;
   }
 
+  /**
+   * 根据 webSocketServer.type 确定服务端 WebSocket 的实现类
+   * @private
+   * @returns {typeof import("./servers/BaseServer")}
+   */
+  getServerTransport() {
+    let implementation;
+    let implementationFound = true;
+
+    switch (typeof this.options.webSocketServer.type) {
+      case "string":
+        // 可以是 'sockjs'、'ws'，或者需要 require 的模块路径
+        if (this.options.webSocketServer.type === "sockjs") {
+          implementation = require("./servers/SockJSServer");
+        } else if (this.options.webSocketServer.type === "ws") {
+          implementation = require("./servers/WebsocketServer");
+        } else {
+          try {
+            // eslint-disable-next-line import/no-dynamic-require
+            implementation = require(this.options.webSocketServer.type);
+          } catch (error) {
+            implementationFound = false;
+          }
+        }
+        break;
+      case "function":
+        // 直接传入了继承自 BaseServer 的类
+        implementation = this.options.webSocketServer.type;
+        break;
+      default:
+        implementationFound = false;
+    }
+
+    if (!implementationFound) {
+      throw new Error(
+        "webSocketServer (webSocketServer.type) must be a string denoting a default implementation (e.g. 'ws', 'sockjs'), a full path to " +
+          "a JS file which exports a class extending BaseServer (webpack-dev-server/lib/servers/BaseServer.js) " +
+          "via require.resolve(...), or the class itself which extends BaseServer"
+      );
+    }
+
+    return implementation;
+  }
+
   getClientEntry() {
     return require.resolve("../client/index.js");
   }
@@ -2432,6 +2486,94 @@ class Server {
     this.staticWatchers.push(watcher);
   }
 
+  /**
+   * 创建 WebSocket 服务器，并在客户端连接时下发配置和最近一次的编译结果
+   * @private
+   * @returns {void}
+   */
+  createWebSocketServer() {
+    this.webSocketServer = new (this.getServerTransport())(this);
+
+    this.webSocketServer.implementation.on("connection", (client, request) => {
+      // ws 在 connection 事件中传入 request，sockjs 则把请求头挂在连接对象上
+      const headers =
+        // eslint-disable-next-line no-nested-ternary
+        typeof request !== "undefined"
+          ? request.headers
+          : typeof client.headers !== "undefined"
+            ? client.headers
+            : // eslint-disable-next-line no-undefined
+              undefined;
+
+      if (!headers) {
+        this.logger.warn(
+          'webSocketServer implementation must pass headers for the "connection" event'
+        );
+      }
+
+      // 校验 Host/Origin，防止 DNS 重绑定攻击
+      if (
+        !headers ||
+        !this.checkHeader(headers, "host") ||
+        !this.checkHeader(headers, "origin")
+      ) {
+        this.sendMessage([client], "error", "Invalid Host/Origin header");
+
+        // 开启 https 时上面的消息是异步加密发送的，terminate 会导致消息发不出去，因此使用 close
+        client.close();
+
+        return;
+      }
+
+      if (this.options.hot === true || this.options.hot === "only") {
+        this.sendMessage([client], "hot");
+      }
+
+      if (this.options.liveReload) {
+        this.sendMessage([client], "liveReload");
+      }
+
+      if (this.options.client && this.options.client.progress) {
+        this.sendMessage([client], "progress", this.options.client.progress);
+      }
+
+      if (this.options.client && this.options.client.reconnect) {
+        this.sendMessage([client], "reconnect", this.options.client.reconnect);
+      }
+
+      if (this.options.client && this.options.client.overlay) {
+        const overlayConfig = this.options.client.overlay;
+
+        this.sendMessage(
+          [client],
+          "overlay",
+          typeof overlayConfig === "object"
+            ? {
+                ...overlayConfig,
+                errors:
+                  overlayConfig.errors &&
+                  encodeOverlaySettings(overlayConfig.errors),
+                warnings:
+                  overlayConfig.warnings &&
+                  encodeOverlaySettings(overlayConfig.warnings),
+                runtimeErrors:
+                  overlayConfig.runtimeErrors &&
+                  encodeOverlaySettings(overlayConfig.runtimeErrors),
+              }
+            : overlayConfig
+        );
+      }
+
+      // 还没有完成过编译
+      if (!this.stats) {
+        return;
+      }
+
+      // 新连接的客户端需要立即拿到当前的编译状态
+      this.sendStats([client], this.getStats(this.stats), true);
+    });
+  }
+
   /**
    * 向 WebSocket 客户端发送消息，用于实时通信，通常用于开发环境下的热更新服务
    * @param {*} clients 客户端连接列表
@@ -0,0 +1,23 @@
+"use strict";
+
+/** @typedef {import("../Server").ClientConnection} ClientConnection */
+
+/**
+ * WebSocket 服务端实现的基类
+ * 自定义 webSocketServer.type 时需要继承该类，并在 implementation 上提供 connection/close 等事件
+ */
+module.exports = class BaseServer {
+  /**
+   * @param {import("../Server")} server
+   */
+  constructor(server) {
+    /** @type {import("../Server")} */
+    this.server = server;
+
+    /**
+     * 当前已连接的客户端，Server.sendMessage() 会遍历它发送消息
+     * @type {ClientConnection[]}
+     */
+    this.clients = [];
+  }
+};
@@ -0,0 +1,130 @@
+"use strict";
+
+const sockjs = require("sockjs");
+const BaseServer = require("./BaseServer");
+
+/** @typedef {import("../Server").WebSocketServerConfiguration} WebSocketServerConfiguration */
+/** @typedef {import("../Server").ClientConnection} ClientConnection */
+
+// 兼容 sockjs@~0.3.19：sockjs 会移除 Origin 请求头，而 Server.checkHeader() 需要用它校验来源
+// 详见 https://github.com/webpack/webpack-dev-server/issues/1604
+{
+  // @ts-ignore
+  const SockjsSession = require("sockjs/lib/transport").Session;
+  const decorateConnection = SockjsSession.prototype.decorateConnection;
+
+  /**
+   * @param {import("http").IncomingMessage} req
+   */
+  // eslint-disable-next-line func-names
+  SockjsSession.prototype.decorateConnection = function (req) {
+    decorateConnection.call(this, req);
+
+    const connection = this.connection;
+
+    if (
+      connection.headers &&
+      !("origin" in connection.headers) &&
+      "origin" in req.headers
+    ) {
+      connection.headers.origin = req.headers.origin;
+    }
+  };
+}
+
+/**
+ * 基于 SockJS 的服务端实现，对应 webSocketServer.type: "sockjs"
+ * 在不支持 WebSocket 升级的环境（例如某些代理）中可以退化为 xhr-streaming、轮询等传输方式
+ */
+module.exports = class SockJSServer extends BaseServer {
+  /**
+   * @param {import("../Server")} server
+   */
+  constructor(server) {
+    super(server);
+
+    const webSocketServerOptions =
+      /** @type {NonNullable<WebSocketServerConfiguration["options"]>} */
+      (
+        /** @type {WebSocketServerConfiguration} */
+        (this.server.options.webSocketServer).options
+      );
+
+    /**
+     * SockJS 的 iframe 传输方式需要加载客户端脚本，默认使用 dev server 自带的 sockjs.bundle.js
+     * @param {NonNullable<WebSocketServerConfiguration["options"]>} options
+     * @returns {string}
+     */
+    const getSockjsUrl = (options) => {
+      if (typeof options.sockjsUrl !== "undefined") {
+        return options.sockjsUrl;
+      }
+
+      return "/__webpack_dev_server__/sockjs.bundle.js";
+    };
+
+    this.implementation = sockjs.createServer({
+      sockjs_url: getSockjsUrl(webSocketServerOptions),
+      // sockjs 默认的日志过于冗长，转交给 dev server 的 logger 并按级别过滤
+      /**
+       * @param {string} severity
+       * @param {string} line
+       */
+      log: (severity, line) => {
+        if (severity === "error") {
+          this.server.logger.error(line);
+        } else if (severity === "info") {
+          this.server.logger.log(line);
+        } else {
+          this.server.logger.debug(line);
+        }
+      },
+    });
+
+    /**
+     * sockjs 使用 prefix 表示路径，同时兼容与 ws 一致的 path 配置
+     * @param {import("sockjs").ServerOptions & { path?: string }} options
+     * @returns {string | undefined}
+     */
+    const getPrefix = (options) => {
+      if (typeof options.prefix !== "undefined") {
+        return options.prefix;
+      }
+
+      return options.path;
+    };
+
+    const options = {
+      ...webSocketServerOptions,
+      prefix: getPrefix(webSocketServerOptions),
+    };
+
+    this.implementation.installHandlers(
+      /** @type {import("http").Server} */ (this.server.server),
+      options
+    );
+
+    this.implementation.on("connection", (client) => {
+      // 让 sockjs 的连接对象与 ws 保持相同的 API，Server 中无需区分
+      // @ts-ignore
+      client.send = client.write;
+      // @ts-ignore
+      client.terminate = client.close;
+
+      this.clients.push(/** @type {ClientConnection} */ (client));
+
+      client.on("close", () => {
+        this.clients.splice(
+          this.clients.indexOf(/** @type {ClientConnection} */ (client)),
+          1
+        );
+      });
+    });
+
+    // sockjs 的处理函数挂在 http 服务器上，没有需要单独关闭的资源
+    // @ts-ignore
+    this.implementation.close = (callback) => {
+      callback();
+    };
+  }
+};
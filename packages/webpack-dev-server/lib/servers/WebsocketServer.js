@@ -0,0 +1,122 @@
+"use strict";
+
+const WebSocket = require("ws");
+const BaseServer = require("./BaseServer");
+
+/** @typedef {import("../Server").WebSocketServerConfiguration} WebSocketServerConfiguration */
+/** @typedef {import("../Server").ClientConnection} ClientConnection */
+
+/**
+ * 基于 ws 的服务端实现，对应默认的 webSocketServer.type: "ws"
+ */
+module.exports = class WebsocketServer extends BaseServer {
+  // 心跳检测间隔，单位毫秒
+  static heartbeatInterval = 1000;
+
+  /**
+   * @param {import("../Server")} server
+   */
+  constructor(server) {
+    super(server);
+
+    /** @type {import("ws").ServerOptions} */
+    const options = {
+      .../** @type {WebSocketServerConfiguration} */
+      (this.server.options.webSocketServer).options,
+      clientTracking: false,
+    };
+    // 没有指定 port 和 server 时，复用 dev server 的 http 服务器处理 upgrade 请求
+    const isNoServerMode =
+      typeof options.port === "undefined" &&
+      typeof options.server === "undefined";
+
+    if (isNoServerMode) {
+      options.noServer = true;
+    }
+
+    this.implementation = new WebSocket.Server(options);
+
+    /** @type {import("http").Server} */
+    (this.server.server).on(
+      "upgrade",
+      /**
+       * @param {import("http").IncomingMessage} req
+       * @param {import("stream").Duplex} sock
+       * @param {Buffer} head
+       */
+      (req, sock, head) => {
+        // 路径不匹配的 upgrade 请求（例如代理的 WebSocket）交给其他监听者处理
+        if (!this.implementation.shouldHandle(req)) {
+          return;
+        }
+
+        this.implementation.handleUpgrade(req, sock, head, (connection) => {
+          this.implementation.emit("connection", connection, req);
+        });
+      }
+    );
+
+    this.implementation.on(
+      "error",
+      /**
+       * @param {Error} err
+       */
+      (err) => {
+        this.server.logger.error(err.message);
+      }
+    );
+
+    // 定时 ping 客户端，上一轮没有收到 pong 的连接视为已断开并终止
+    const interval = setInterval(() => {
+      this.clients.forEach(
+        /**
+         * @param {ClientConnection} client
+         */
+        (client) => {
+          if (client.isAlive === false) {
+            client.terminate();
+
+            return;
+          }
+
+          client.isAlive = false;
+          client.ping(() => {});
+        }
+      );
+    }, WebsocketServer.heartbeatInterval);
+
+    this.implementation.on(
+      "connection",
+      /**
+       * @param {ClientConnection} client
+       */
+      (client) => {
+        this.clients.push(client);
+
+        client.isAlive = true;
+
+        client.on("pong", () => {
+          client.isAlive = true;
+        });
+
+        client.on("close", () => {
+          this.clients.splice(this.clients.indexOf(client), 1);
+        });
+
+        client.on(
+          "error",
+          /**
+           * @param {Error} err
+           */
+          (err) => {
+            this.server.logger.error(err.message);
+          }
+        );
+      }
+    );
+
+    this.implementation.on("close", () => {
+      clearInterval(interval);
+    });
+  }
+};
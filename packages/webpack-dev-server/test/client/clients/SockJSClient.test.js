@@ -0,0 +1,62 @@
+"use strict";
+
+jest.mock("../../../client-src/utils/log", () => {
+  return {
+    log: {
+      error: jest.fn(),
+    },
+  };
+});
+jest.mock("../../../client-src/modules/sockjs-client", () => {
+  return {
+    __esModule: true,
+    default: jest.fn(function FakeSockJS(url) {
+      this.url = url;
+    }),
+  };
+});
+
+describe("SockJSClient", () => {
+  let SockJSClient;
+  let SockJS;
+  let log;
+
+  beforeEach(() => {
+    ({ log } = require("../../../client-src/utils/log"));
+    SockJS = require("../../../client-src/modules/sockjs-client").default;
+    SockJSClient = require("../../../client-src/clients/SockJSClient").default;
+  });
+
+  it("should connect over http instead of ws", () => {
+    // eslint-disable-next-line no-new
+    new SockJSClient("ws://localhost:8080/ws");
+    // eslint-disable-next-line no-new
+    new SockJSClient("wss://localhost:8080/ws");
+
+    expect(SockJS.mock.calls).toEqual([
+      ["http://localhost:8080/ws"],
+      ["https://localhost:8080/ws"],
+    ]);
+  });
+
+  it("should forward socket events to the handlers", () => {
+    const client = new SockJSClient("ws://localhost:8080/ws");
+    const onOpen = jest.fn();
+    const onClose = jest.fn();
+    const onMessage = jest.fn();
+
+    client.onOpen(onOpen);
+    client.onClose(onClose);
+    client.onMessage(onMessage);
+
+    client.sock.onopen();
+    client.sock.onmessage({ data: '{"type":"ok"}' });
+    client.sock.onclose();
+    client.sock.onerror("boom");
+
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onMessage).toHaveBeenCalledWith('{"type":"ok"}');
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(log.error).toHaveBeenCalledWith("boom");
+  });
+});
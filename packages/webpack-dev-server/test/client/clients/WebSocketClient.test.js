@@ -0,0 +1,50 @@
+"use strict";
+
+jest.mock("../../../client-src/utils/log", () => {
+  return {
+    log: {
+      error: jest.fn(),
+    },
+  };
+});
+
+describe("WebSocketClient", () => {
+  let WebSocketClient;
+  let log;
+
+  beforeEach(() => {
+    global.WebSocket = jest.fn(function FakeWebSocket(url) {
+      this.url = url;
+    });
+    ({ log } = require("../../../client-src/utils/log"));
+    WebSocketClient =
+      require("../../../client-src/clients/WebSocketClient").default;
+  });
+
+  afterEach(() => {
+    delete global.WebSocket;
+  });
+
+  it("should forward socket events to the handlers", () => {
+    const client = new WebSocketClient("ws://localhost:8080/ws");
+    const onOpen = jest.fn();
+    const onClose = jest.fn();
+    const onMessage = jest.fn();
+
+    client.onOpen(onOpen);
+    client.onClose(onClose);
+    client.onMessage(onMessage);
+
+    expect(global.WebSocket).toHaveBeenCalledWith("ws://localhost:8080/ws");
+
+    client.client.onopen();
+    client.client.onmessage({ data: '{"type":"ok"}' });
+    client.client.onclose();
+    client.client.onerror("boom");
+
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onMessage).toHaveBeenCalledWith('{"type":"ok"}');
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(log.error).toHaveBeenCalledWith("boom");
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment jsdom
+ */
+
+"use strict";
+
+jest.mock("../../client-src/socket.js");
+jest.mock("../../client-src/overlay.js", () => {
+  const actual = jest.requireActual("../../client-src/overlay.js");
+
+  return { ...actual, createOverlay: jest.fn() };
+});
+jest.mock("../../client-src/utils/reloadApp.js");
+jest.mock("../../client-src/utils/sendMessage.js");
+
+describe("index", () => {
+  let onSocketMessage;
+  let overlay;
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    const errors = (error) => !error.message.includes("ignored");
+    const warnings = (warning) => !warning.message.includes("ignored");
+
+    // Server.getClientEntry() 会把过滤函数编码后放进 query
+    global.__resourceQuery = `?logging=none&overlay=${encodeURIComponent(
+      JSON.stringify({
+        errors: encodeURIComponent(errors.toString()),
+        warnings: encodeURIComponent(warnings.toString()),
+      })
+    )}`;
+    global.__webpack_hash__ = "hash";
+
+    overlay = { send: jest.fn() };
+    require("../../client-src/overlay.js").createOverlay.mockReturnValue(
+      overlay
+    );
+    require("../../client-src/index.js");
+    [[, onSocketMessage]] =
+      require("../../client-src/socket.js").default.mock.calls;
+  });
+
+  afterEach(() => {
+    delete global.__resourceQuery;
+    delete global.__webpack_hash__;
+  });
+
+  it("should only show the warnings that pass the overlay filter", () => {
+    const shown = { message: "deprecated" };
+
+    onSocketMessage.warnings([shown, { message: "ignored warning" }]);
+
+    expect(overlay.send).toHaveBeenCalledWith({
+      type: "BUILD_ERROR",
+      level: "warning",
+      messages: [shown],
+    });
+  });
+
+  it("should only show the errors that pass the overlay filter", () => {
+    const shown = { message: "Module not found" };
+
+    onSocketMessage.errors([{ message: "ignored error" }, shown]);
+
+    expect(overlay.send).toHaveBeenCalledWith({
+      type: "BUILD_ERROR",
+      level: "error",
+      messages: [shown],
+    });
+  });
+
+  it("should not open the overlay when every problem is filtered out", () => {
+    onSocketMessage.errors([{ message: "ignored error" }]);
+
+    expect(overlay.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ */
+
+"use strict";
+
+import { createOverlay, formatProblem } from "../../client-src/overlay";
+
+/**
+ * iframe 加载完成后 overlay 才会渲染内容，这里手动触发 onload
+ * @returns {HTMLIFrameElement}
+ */
+const getLoadedOverlay = () => {
+  const iframe = document.getElementById("webpack-dev-server-client-overlay");
+
+  if (iframe && iframe.onload) {
+    iframe.onload();
+  }
+
+  return iframe;
+};
+
+describe("overlay", () => {
+  describe("formatProblem", () => {
+    it("should use plain strings as the body", () => {
+      expect(formatProblem("warning", "deprecated")).toEqual({
+        header: "WARNING",
+        body: "deprecated",
+      });
+    });
+
+    it("should describe the module, file and location", () => {
+      expect(
+        formatProblem("error", {
+          moduleName: "./src/index.js",
+          file: "main.js",
+          loc: "1:2",
+          message: "Unexpected token",
+        })
+      ).toEqual({
+        header: "ERROR in ./src/index.js (main.js) 1:2",
+        body: "Unexpected token",
+      });
+    });
+
+    it("should strip loaders from the module name and append the stack", () => {
+      expect(
+        formatProblem("error", {
+          moduleName: "babel-loader!./src/index.js",
+          message: "Boom",
+          stack: ["at a", "at b"],
+        })
+      ).toEqual({
+        header: "ERROR in ./src/index.js (babel-loader!./src/index.js)",
+        body: "Boom\r\nat a\r\nat b",
+      });
+    });
+  });
+
+  describe("createOverlay", () => {
+    afterEach(() => {
+      document.body.innerHTML = "";
+    });
+
+    it("should render build errors in an iframe and remove it when dismissed", () => {
+      const overlay = createOverlay({});
+
+      overlay.send({
+        type: "BUILD_ERROR",
+        level: "error",
+        messages: [
+          { moduleName: "./src/index.js", message: "\u001B[31m<b>Boom</b>" },
+        ],
+      });
+
+      const iframe = getLoadedOverlay();
+      const content = iframe.contentDocument.getElementById(
+        "webpack-dev-server-client-overlay-div"
+      );
+
+      const [header, , container] = content.children;
+
+      expect(header.innerText).toBe("Compiled with problems:");
+      expect(container.querySelector("[data-can-open]")).toBeNull();
+      expect(container.firstChild.firstChild.innerText).toBe(
+        "ERROR in ./src/index.js"
+      );
+      // 消息中的 HTML 会被转义，ANSI 颜色转换为 span
+      expect(content.innerHTML).toContain("&lt;b&gt;Boom&lt;/b&gt;");
+      expect(content.innerHTML).not.toContain("\u001B");
+
+      overlay.send({ type: "DISMISS" });
+
+      expect(
+        document.getElementById("webpack-dev-server-client-overlay")
+      ).toBeNull();
+    });
+
+    it("should open the module at the error location in the editor", () => {
+      global.fetch = jest.fn();
+
+      const overlay = createOverlay({});
+
+      overlay.send({
+        type: "BUILD_ERROR",
+        level: "error",
+        messages: [
+          {
+            moduleIdentifier: "/app/src/a b&c.js",
+            moduleName: "./src/a b&c.js",
+            loc: "12:5-10",
+            message: "Boom",
+          },
+          { moduleIdentifier: "/app/src/d.js", message: "No location" },
+        ],
+      });
+
+      const iframe = getLoadedOverlay();
+      const headers =
+        iframe.contentDocument.querySelectorAll("[data-can-open]");
+
+      headers[0].click();
+      headers[1].click();
+
+      expect(global.fetch.mock.calls).toEqual([
+        [
+          `/webpack-dev-server/open-editor?fileName=${encodeURIComponent(
+            "/app/src/a b&c.js:12:5"
+          )}`,
+        ],
+        ["/webpack-dev-server/open-editor?fileName=%2Fapp%2Fsrc%2Fd.js"],
+      ]);
+
+      overlay.send({ type: "DISMISS" });
+      delete global.fetch;
+    });
+
+    it("should display runtime errors that pass the filter", () => {
+      const catchRuntimeError = jest.fn(
+        (error) => !error.message.includes("ignored")
+      );
+      const overlay = createOverlay({ catchRuntimeError });
+
+      window.dispatchEvent(
+        new ErrorEvent("error", { error: new Error("ignored error") })
+      );
+
+      expect(
+        document.getElementById("webpack-dev-server-client-overlay")
+      ).toBeNull();
+
+      window.dispatchEvent(
+        new ErrorEvent("error", { error: new Error("Runtime failure") })
+      );
+
+      const iframe = getLoadedOverlay();
+      const [header, , container] = iframe.contentDocument.getElementById(
+        "webpack-dev-server-client-overlay-div"
+      ).children;
+
+      expect(catchRuntimeError).toHaveBeenCalledTimes(2);
+      expect(header.innerText).toBe("Uncaught runtime errors:");
+      expect(container.textContent).toContain("Runtime failure");
+
+      overlay.send({ type: "DISMISS" });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+import createOverlayMachine from "../../../client-src/overlay/state-machine";
+
+describe("overlay state machine", () => {
+  let showOverlay;
+  let hideOverlay;
+  let machine;
+
+  // 状态机的 action 以 (context, event) 调用，这里只关心新的 context
+  const lastShown = () =>
+    showOverlay.mock.calls[showOverlay.mock.calls.length - 1][0];
+
+  beforeEach(() => {
+    showOverlay = jest.fn();
+    hideOverlay = jest.fn();
+    machine = createOverlayMachine({ showOverlay, hideOverlay });
+  });
+
+  it("should show build errors and append new ones", () => {
+    machine.send({ type: "BUILD_ERROR", level: "warning", messages: ["a"] });
+    machine.send({ type: "BUILD_ERROR", messages: ["b"] });
+
+    expect(lastShown()).toEqual({
+      level: "warning",
+      messages: ["a", "b"],
+      messageSource: "build",
+    });
+  });
+
+  it("should ignore runtime errors while a build error is displayed", () => {
+    machine.send({ type: "BUILD_ERROR", messages: ["build"] });
+    machine.send({ type: "RUNTIME_ERROR", messages: ["runtime"] });
+
+    expect(showOverlay).toHaveBeenCalledTimes(1);
+  });
+
+  it("should replace runtime errors with build errors", () => {
+    machine.send({ type: "RUNTIME_ERROR", messages: ["runtime"] });
+    machine.send({ type: "RUNTIME_ERROR", messages: ["again"] });
+
+    expect(lastShown()).toEqual({
+      level: "error",
+      messages: ["runtime", "again"],
+      messageSource: "runtime",
+    });
+
+    machine.send({ type: "BUILD_ERROR", messages: ["build"] });
+
+    expect(lastShown()).toEqual({
+      level: "error",
+      messages: ["build"],
+      messageSource: "build",
+    });
+  });
+
+  it("should reset the messages when dismissed", () => {
+    machine.send({ type: "BUILD_ERROR", messages: ["build"] });
+    machine.send({ type: "DISMISS" });
+
+    expect(hideOverlay).toHaveBeenCalledTimes(1);
+
+    machine.send({ type: "RUNTIME_ERROR", messages: ["runtime"] });
+
+    expect(lastShown()).toEqual({
+      level: "error",
+      messages: ["runtime"],
+      messageSource: "runtime",
+    });
+  });
+
+  it("should ignore dismiss while hidden", () => {
+    machine.send({ type: "DISMISS" });
+
+    expect(hideOverlay).not.toHaveBeenCalled();
+  });
+});
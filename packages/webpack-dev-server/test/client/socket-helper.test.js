@@ -0,0 +1,81 @@
+"use strict";
+
+jest.useFakeTimers();
+jest.mock("../../client-src/utils/log", () => {
+  return {
+    log: {
+      info: jest.fn(),
+      error: jest.fn(),
+    },
+  };
+});
+
+describe("socket", () => {
+  let socket;
+  let Client;
+  let instances;
+
+  beforeEach(() => {
+    jest.resetModules();
+    instances = [];
+    Client = jest.fn(function FakeClient(url) {
+      this.url = url;
+      this.onOpen = jest.fn((f) => {
+        this.open = f;
+      });
+      this.onClose = jest.fn((f) => {
+        this.close = f;
+      });
+      this.onMessage = jest.fn((f) => {
+        this.message = f;
+      });
+      instances.push(this);
+    });
+    global.__webpack_dev_server_client__ = Client;
+    socket = require("../../client-src/socket").default;
+  });
+
+  afterEach(() => {
+    delete global.__webpack_dev_server_client__;
+  });
+
+  it("should use the injected client and dispatch messages by type", () => {
+    const handlers = { hash: jest.fn(), ok: jest.fn(), close: jest.fn() };
+
+    socket("ws://localhost:8080/ws", handlers);
+
+    expect(Client).toHaveBeenCalledWith("ws://localhost:8080/ws");
+
+    const [client] = instances;
+
+    client.message(JSON.stringify({ type: "hash", data: "abc" }));
+    client.message(JSON.stringify({ type: "ok" }));
+    client.message(JSON.stringify({ type: "unknown" }));
+
+    expect(handlers.hash).toHaveBeenCalledWith("abc", undefined);
+    expect(handlers.ok).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reconnect with backoff and notify close only once", () => {
+    const handlers = { close: jest.fn() };
+
+    socket("ws://localhost:8080/ws", handlers, 2);
+    instances[0].open();
+    instances[0].close();
+
+    expect(handlers.close).toHaveBeenCalledTimes(1);
+
+    jest.runOnlyPendingTimers();
+    expect(instances).toHaveLength(2);
+
+    instances[1].close();
+    jest.runOnlyPendingTimers();
+    expect(instances).toHaveLength(3);
+
+    // 超过 reconnect 次数后不再重连
+    instances[2].close();
+    jest.runOnlyPendingTimers();
+    expect(instances).toHaveLength(3);
+    expect(handlers.close).toHaveBeenCalledTimes(1);
+  });
+});
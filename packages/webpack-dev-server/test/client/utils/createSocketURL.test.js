@@ -0,0 +1,52 @@
+/**
+ * @jest-environment jsdom
+ */
+
+"use strict";
+
+import createSocketURL from "../../../client-src/utils/createSocketURL";
+import parseURL from "../../../client-src/utils/parseURL";
+
+describe("'createSocketURL' function", () => {
+  const samples = [
+    // resourceQuery 中的完整地址
+    [
+      "?protocol=ws:&hostname=localhost&port=8080&pathname=/ws",
+      "ws://localhost:8080/ws",
+    ],
+    [
+      "?protocol=wss:&hostname=example.com&port=443&pathname=/socket",
+      "wss://example.com:443/socket",
+    ],
+    // 缺省的部分回退到页面地址（jsdom 中为 http://localhost/）
+    ["?hostname=0.0.0.0&port=8080", "ws://localhost:8080/ws"],
+    ["?hostname=%5B%3A%3A%5D&port=8080", "ws://localhost:8080/ws"],
+    ["?protocol=auto:&hostname=example.com&port=0", "ws://example.com/ws"],
+    [
+      "?protocol=http:&hostname=example.com&port=8080",
+      "ws://example.com:8080/ws",
+    ],
+    [
+      "?protocol=https:&hostname=example.com&port=8080",
+      "wss://example.com:8080/ws",
+    ],
+    ["?protocol=ws:&hostname=::1&port=8080", "ws://[::1]:8080/ws"],
+    [
+      "?protocol=ws:&username=user&password=pass&hostname=example.com&port=8080",
+      "ws://user:pass@example.com:8080/ws",
+    ],
+  ];
+
+  samples.forEach(([resourceQuery, expected]) => {
+    it(`should return the url when __resourceQuery is ${resourceQuery}`, () => {
+      expect(createSocketURL(parseURL(resourceQuery))).toBe(expected);
+    });
+  });
+
+  it("should ignore the pathname of the current script", () => {
+    const url = new URL("http://example.com:3000/main.js");
+    url.fromCurrentScript = true;
+
+    expect(createSocketURL(url)).toBe("ws://example.com:3000/ws");
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment jsdom
+ */
+
+"use strict";
+
+describe("'reloadApp' function", () => {
+  let reloadApp;
+  let hotEmitter;
+  let log;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.resetModules();
+
+    hotEmitter = require("webpack/hot/emitter.js");
+    jest.spyOn(hotEmitter, "emit");
+    ({ log } = require("../../../client-src/utils/log"));
+    jest.spyOn(log, "info").mockImplementation(() => {});
+    reloadApp = require("../../../client-src/utils/reloadApp").default;
+
+    Object.defineProperty(window, "location", {
+      value: {
+        protocol: "http:",
+        search: "",
+        reload: jest.fn(),
+      },
+      configurable: true,
+    });
+    jest.spyOn(window, "postMessage").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("should do nothing while the page is unloading", () => {
+    reloadApp(
+      { hot: true, liveReload: true },
+      { isUnloading: true, currentHash: "new", previousHash: "old" }
+    );
+
+    expect(hotEmitter.emit).not.toHaveBeenCalled();
+    expect(window.location.reload).not.toHaveBeenCalled();
+  });
+
+  it("should do nothing for the initial hash", () => {
+    reloadApp(
+      { hot: true, liveReload: true },
+      { isUnloading: false, currentHash: "abc", previousHash: "abc" }
+    );
+
+    expect(hotEmitter.emit).not.toHaveBeenCalled();
+  });
+
+  it("should emit a hot update when hot is enabled", () => {
+    reloadApp(
+      { hot: true, liveReload: true },
+      { isUnloading: false, currentHash: "new", previousHash: "old" }
+    );
+
+    expect(hotEmitter.emit).toHaveBeenCalledWith("webpackHotUpdate", "new");
+    expect(window.postMessage).toHaveBeenCalledWith("webpackHotUpdatenew", "*");
+    expect(window.location.reload).not.toHaveBeenCalled();
+  });
+
+  it("should reload the page when only liveReload is enabled", () => {
+    reloadApp(
+      { hot: false, liveReload: true },
+      { isUnloading: false, currentHash: "new", previousHash: "old" }
+    );
+    jest.runOnlyPendingTimers();
+
+    expect(hotEmitter.emit).not.toHaveBeenCalled();
+    expect(window.location.reload).toHaveBeenCalledTimes(1);
+    expect(log.info).toHaveBeenCalledWith("App updated. Reloading...");
+  });
+
+  it("should respect webpack-dev-server-live-reload=false in the page query", () => {
+    window.location.search = "?webpack-dev-server-live-reload=false";
+    reloadApp(
+      { hot: false, liveReload: true },
+      { isUnloading: false, currentHash: "new", previousHash: "old" }
+    );
+    jest.runOnlyPendingTimers();
+
+    expect(window.location.reload).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,16 @@
+"use strict";
+
+import stripAnsi from "../../../client-src/utils/stripAnsi";
+
+describe("'stripAnsi' function", () => {
+  it("should remove colors and cursor movements", () => {
+    expect(
+      stripAnsi("\u001B[31merror\u001B[39m in \u001B[1m./src\u001B[22m")
+    ).toBe("error in ./src");
+    expect(stripAnsi("\u001B[2K\u001B[1Gdone")).toBe("done");
+  });
+
+  it("should throw on non string values", () => {
+    expect(() => stripAnsi(null)).toThrow("Expected a `string`, got `object`");
+  });
+});
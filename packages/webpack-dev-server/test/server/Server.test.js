@@ -0,0 +1,84 @@
+"use strict";
+
+const EventEmitter = require("events");
+const Server = require("../../lib/Server");
+
+/**
+ * 只提供 implementation 的 WebSocket 服务端，由测试手动触发 connection 事件
+ */
+class FakeSocketServer {
+  constructor() {
+    this.implementation = new EventEmitter();
+    this.clients = [];
+  }
+}
+
+/**
+ * 创建不启动 HTTP 服务的 Server，只用来检查发给新连接客户端的消息
+ * @param {Record<string, any>} client client 配置
+ * @returns {Server}
+ */
+const createServer = (client) => {
+  const server = Object.create(Server.prototype);
+
+  server.options = {
+    client,
+    webSocketServer: { type: FakeSocketServer, options: {} },
+  };
+  server.logger = { warn: jest.fn() };
+  server.checkHeader = () => true;
+
+  return server;
+};
+
+/**
+ * 模拟一个客户端连接，返回服务端发给它的消息
+ * @param {Server} server
+ * @returns {Array<{ type: string, data: any }>}
+ */
+const connect = (server) => {
+  const client = { readyState: 1, send: jest.fn(), close: jest.fn() };
+
+  server.webSocketServer.implementation.emit("connection", client, {
+    headers: {},
+  });
+
+  return client.send.mock.calls.map(([message]) => JSON.parse(message));
+};
+
+describe("Server", () => {
+  describe("createWebSocketServer", () => {
+    it("should encode function overlay settings for the client", () => {
+      const errors = (error) => !error.message.includes("ignored");
+      const server = createServer({
+        overlay: { errors, warnings: false, runtimeErrors: true },
+      });
+
+      server.createWebSocketServer();
+
+      const overlay = connect(server).find(({ type }) => type === "overlay");
+
+      expect(overlay.data).toEqual({
+        errors: encodeURIComponent(errors.toString()),
+        warnings: false,
+        runtimeErrors: true,
+      });
+      // 客户端解码后可以还原出原来的函数
+      // eslint-disable-next-line no-new-func
+      const decoded = new Function(
+        `return ${decodeURIComponent(overlay.data.errors)}`
+      )();
+
+      expect(decoded(new Error("ignored warning"))).toBe(false);
+      expect(decoded(new Error("real error"))).toBe(true);
+    });
+
+    it("should send boolean overlay settings as they are", () => {
+      const server = createServer({ overlay: true });
+
+      server.createWebSocketServer();
+
+      expect(connect(server)).toContainEqual({ type: "overlay", data: true });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+const SockJSServer = require("../../../lib/servers/SockJSServer");
+const { createServer, connect, waitFor } = require("./helpers");
+
+describe("SockJSServer", () => {
+  let server;
+  let port;
+  let socketServer;
+
+  afterEach((done) => {
+    socketServer.implementation.close(() => {
+      server.server.close(done);
+    });
+  });
+
+  it("should accept the path option as the sockjs prefix", async () => {
+    ({ server, port } = await createServer({ path: "/ws" }));
+    socketServer = new SockJSServer(server);
+
+    // sockjs 在 <prefix>/websocket 上提供原生 WebSocket 端点
+    const ws = await connect(`ws://127.0.0.1:${port}/ws/websocket`);
+
+    await waitFor(() => socketServer.clients.length === 1);
+
+    const received = new Promise((resolve) => {
+      ws.once("message", (data) => resolve(data.toString()));
+    });
+
+    // 连接对象被补上了与 ws 相同的 send/terminate
+    socketServer.clients[0].send('{"type":"ok"}');
+
+    expect(await received).toBe('{"type":"ok"}');
+
+    ws.close();
+
+    await waitFor(() => socketServer.clients.length === 0);
+  });
+
+  it("should prefer the prefix option and forward logs to the server logger", async () => {
+    ({ server, port } = await createServer({ prefix: "/sockjs-node" }));
+    socketServer = new SockJSServer(server);
+
+    const ws = await connect(`ws://127.0.0.1:${port}/sockjs-node/websocket`);
+
+    await waitFor(() => socketServer.clients.length === 1);
+
+    socketServer.clients[0].terminate();
+
+    await waitFor(() => socketServer.clients.length === 0);
+
+    ws.close();
+
+    expect(server.logger.error).not.toHaveBeenCalled();
+    expect(server.logger.log).toHaveBeenCalled();
+  });
+});
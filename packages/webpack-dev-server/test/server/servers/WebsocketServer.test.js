@@ -0,0 +1,78 @@
+"use strict";
+
+const WebsocketServer = require("../../../lib/servers/WebsocketServer");
+const { createServer, connect, waitFor } = require("./helpers");
+
+describe("WebsocketServer", () => {
+  const { heartbeatInterval } = WebsocketServer;
+
+  let server;
+  let port;
+  let socketServer;
+
+  beforeAll(() => {
+    WebsocketServer.heartbeatInterval = 50;
+  });
+
+  afterAll(() => {
+    WebsocketServer.heartbeatInterval = heartbeatInterval;
+  });
+
+  beforeEach(async () => {
+    ({ server, port } = await createServer({ path: "/ws" }));
+    socketServer = new WebsocketServer(server);
+  });
+
+  afterEach((done) => {
+    socketServer.implementation.close(() => {
+      server.server.close(done);
+    });
+  });
+
+  it("should track connected clients on the configured path", async () => {
+    const ws = await connect(`ws://127.0.0.1:${port}/ws`);
+
+    await waitFor(() => socketServer.clients.length === 1);
+
+    const received = new Promise((resolve) => {
+      ws.once("message", (data) => resolve(data.toString()));
+    });
+
+    socketServer.clients[0].send('{"type":"ok"}');
+
+    expect(await received).toBe('{"type":"ok"}');
+
+    ws.close();
+
+    await waitFor(() => socketServer.clients.length === 0);
+  });
+
+  it("should leave upgrade requests for other paths alone", async () => {
+    const upgrades = [];
+
+    server.server.on("upgrade", (req, sock) => {
+      upgrades.push(req.url);
+      sock.destroy();
+    });
+
+    await expect(connect(`ws://127.0.0.1:${port}/other`)).rejects.toThrow();
+    expect(upgrades).toEqual(["/other"]);
+    expect(socketServer.clients).toHaveLength(0);
+  });
+
+  it("should terminate clients that stop answering pings", async () => {
+    const ws = await connect(`ws://127.0.0.1:${port}/ws`);
+
+    await waitFor(() => socketServer.clients.length === 1);
+
+    const closed = new Promise((resolve) => {
+      ws.once("close", resolve);
+    });
+
+    // 不再发送 ping，客户端也就不会回复 pong，下一轮心跳时连接被终止
+    socketServer.clients[0].ping = () => {};
+
+    await closed;
+    await waitFor(() => socketServer.clients.length === 0);
+  });
+});
@@ -0,0 +1,58 @@
+"use strict";
+
+const http = require("http");
+const WebSocket = require("ws");
+
+/**
+ * 创建 servers/* 需要的最小 Server 对象：options、server 和 logger
+ * @param {Record<string, any>} options webSocketServer.options
+ * @returns {Promise<{ server: any, port: number }>}
+ */
+const createServer = (options) =>
+  new Promise((resolve) => {
+    const server = {
+      options: { webSocketServer: { options } },
+      server: http.createServer(),
+      logger: {
+        error: jest.fn(),
+        log: jest.fn(),
+        debug: jest.fn(),
+      },
+    };
+
+    server.server.listen(0, "127.0.0.1", () => {
+      resolve({ server, port: server.server.address().port });
+    });
+  });
+
+/**
+ * @param {string} url
+ * @returns {Promise<WebSocket>}
+ */
+const connect = (url) =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+
+    ws.once("open", () => resolve(ws));
+    ws.once("error", reject);
+  });
+
+/**
+ * 等待条件成立，服务端的连接与断开事件是异步到达的
+ * @param {() => boolean} condition
+ * @returns {Promise<void>}
+ */
+const waitFor = (condition) =>
+  new Promise((resolve) => {
+    const check = () => {
+      if (condition()) {
+        resolve();
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+
+    check();
+  });
+
+module.exports = { createServer, connect, waitFor };
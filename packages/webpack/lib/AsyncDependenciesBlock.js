@@ -0,0 +1,128 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const DependenciesBlock = require("./DependenciesBlock");
+const makeSerializable = require("./util/makeSerializable");
+
+/**
+ * 异步依赖块
+ *
+ * 表示一个需要异步加载的代码分割点，例如 import("./a") 或 require.ensure，
+ * 块中的依赖会被放入新的 chunk，在运行时按需加载
+ */
+class AsyncDependenciesBlock extends DependenciesBlock {
+  /**
+   * @param {(ChunkGroupOptions & { entryOptions?: EntryOptions }) | string | null} groupOptions options for the group
+   * @param {DependencyLocation=} loc the line of code
+   * @param {(string | null)=} request the request
+   */
+  constructor(groupOptions, loc, request) {
+    super();
+    // 兼容直接传入 chunk 名称的写法
+    if (typeof groupOptions === "string") {
+      groupOptions = { name: groupOptions };
+    } else if (!groupOptions) {
+      groupOptions = { name: undefined };
+    }
+    /** 创建 ChunkGroup 时使用的选项（name、preloadOrder、entryOptions 等） */
+    this.groupOptions = groupOptions;
+    /** 分割点在源码中的位置 */
+    this.loc = loc;
+    /** 分割点的请求 */
+    this.request = request;
+    /**
+     * groupOptions 序列化后的字符串，计算 hash 时使用
+     * @type {string | undefined}
+     */
+    this._stringifiedGroupOptions = undefined;
+  }
+
+  /**
+   * chunk 名称，即 webpackChunkName 魔法注释指定的名称
+   * @returns {string | undefined}
+   */
+  get chunkName() {
+    return this.groupOptions.name;
+  }
+
+  /**
+   * @param {string | undefined} value The new chunk name
+   * @returns {void}
+   */
+  set chunkName(value) {
+    if (this.groupOptions.name !== value) {
+      this.groupOptions.name = value;
+      this._stringifiedGroupOptions = undefined;
+    }
+  }
+
+  /**
+   * @param {Hash} hash the hash used to track dependencies
+   * @param {UpdateHashContext} context context
+   * @returns {void}
+   */
+  updateHash(hash, context) {
+    const { chunkGraph } = context;
+    if (this._stringifiedGroupOptions === undefined) {
+      this._stringifiedGroupOptions = JSON.stringify(this.groupOptions);
+    }
+    // 异步 chunk 的 id 变化时，引用它的模块 hash 也要随之变化
+    const chunkGroup = chunkGraph.getBlockChunkGroup(this);
+    hash.update(
+      `${this._stringifiedGroupOptions}${chunkGroup ? chunkGroup.id : ""}`
+    );
+    super.updateHash(hash, context);
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.groupOptions);
+    write(this.loc);
+    write(this.request);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.groupOptions = read();
+    this.loc = read();
+    this.request = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(AsyncDependenciesBlock, "webpack/lib/AsyncDependenciesBlock");
+
+Object.defineProperty(AsyncDependenciesBlock.prototype, "module", {
+  /**
+   * @deprecated
+   * @returns {never} throws
+   */
+  get() {
+    throw new Error(
+      "module property was removed from AsyncDependenciesBlock (it's not needed)"
+    );
+  },
+
+  /**
+   * @deprecated
+   * @returns {never} throws
+   */
+  set() {
+    throw new Error(
+      "module property was removed from AsyncDependenciesBlock (it's not needed)"
+    );
+  },
+});
+
+module.exports = AsyncDependenciesBlock;
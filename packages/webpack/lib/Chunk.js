@@ -0,0 +1,436 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Entrypoint = require("./Entrypoint");
+const { intersect } = require("./util/SetHelpers");
+const SortableSet = require("./util/SortableSet");
+const { compareChunkGroupsByIndex } = require("./util/comparators");
+
+/** 自增的调试 id */
+let debugId = 1000;
+
+/**
+ * 代码块
+ *
+ * chunk 是 webpack 输出的基本单位，一个 chunk 通常对应一个输出文件（也可能有多个，比如 css）
+ * chunk 只记录自身的信息（id、名称、所属的 chunkGroup、输出的文件等），
+ * chunk 中包含哪些模块由 compilation 在 seal 阶段维护
+ */
+class Chunk {
+  /**
+   * @param {string=} name chunk 名称
+   */
+  constructor(name) {
+    /**
+     * chunk id，由 chunkIds 钩子中的插件分配
+     * @type {ChunkId | null}
+     */
+    this.id = null;
+    /** @type {ChunkId[] | null} */
+    this.ids = null;
+    /** @type {number} */
+    this.debugId = debugId++;
+    /** @type {string | undefined} */
+    this.name = name;
+    /**
+     * 生成 id 时的命名提示（例如 splitChunks 的 cacheGroup 名称）
+     * @type {SortableSet<string>}
+     */
+    this.idNameHints = new SortableSet();
+    /** 为 true 时不允许与其他 chunk 合并 */
+    this.preventIntegration = false;
+    /**
+     * 单独指定的输出文件名模板，优先于 output.filename / output.chunkFilename
+     * @type {TemplatePath | undefined}
+     */
+    this.filenameTemplate = undefined;
+    /** @type {TemplatePath | undefined} */
+    this.cssFilenameTemplate = undefined;
+    /**
+     * chunk 所属的 chunkGroup
+     * @private
+     * @type {SortableSet<ChunkGroup>}
+     */
+    this._groups = new SortableSet(undefined, compareChunkGroupsByIndex);
+    /**
+     * chunk 所属的运行时（入口名称）
+     * @type {RuntimeSpec}
+     */
+    this.runtime = undefined;
+    /**
+     * chunk 输出的文件
+     * @type {Set<string>}
+     */
+    this.files = new Set();
+    /**
+     * chunk 附带输出的文件（例如 source map）
+     * @type {Set<string>}
+     */
+    this.auxiliaryFiles = new Set();
+    /** 本次编译中是否重新渲染过 */
+    this.rendered = false;
+    /** @type {string=} */
+    this.hash = undefined;
+    /**
+     * 按类型（javascript、css 等）记录的内容 hash
+     * @type {Record<string, string>}
+     */
+    this.contentHash = Object.create(null);
+    /**
+     * 截断到 output.hashDigestLength 长度的 hash
+     * @type {string=}
+     */
+    this.renderedHash = undefined;
+    /**
+     * 创建该 chunk 的原因，统计信息中展示
+     * @type {string | undefined}
+     */
+    this.chunkReason = undefined;
+    /** @type {boolean} */
+    this.extraAsync = false;
+  }
+
+  /**
+   * 是否包含运行时代码（即是某个入口的运行时 chunk）
+   * @returns {boolean} whether or not the Chunk will have a runtime
+   */
+  hasRuntime() {
+    for (const chunkGroup of this._groups) {
+      if (
+        chunkGroup instanceof Entrypoint &&
+        chunkGroup.getRuntimeChunk() === this
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 是否可能在页面初始时加载（只要所属的任一 chunkGroup 是初始的）
+   * @returns {boolean} whether or not this chunk can be an initial chunk
+   */
+  canBeInitial() {
+    for (const chunkGroup of this._groups) {
+      if (chunkGroup.isInitial()) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 是否只会在页面初始时加载（所属的 chunkGroup 全部是初始的）
+   * @returns {boolean} whether this chunk can only be an initial chunk
+   */
+  isOnlyInitial() {
+    if (this._groups.size <= 0) return false;
+    for (const chunkGroup of this._groups) {
+      if (!chunkGroup.isInitial()) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 获取所属入口的选项
+   * @returns {EntryOptions | undefined} the entry options for this chunk
+   */
+  getEntryOptions() {
+    for (const chunkGroup of this._groups) {
+      if (chunkGroup instanceof Entrypoint) {
+        return chunkGroup.options;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {ChunkGroup} chunkGroup the chunkGroup the chunk is being added
+   * @returns {void}
+   */
+  addGroup(chunkGroup) {
+    this._groups.add(chunkGroup);
+  }
+
+  /**
+   * @param {ChunkGroup} chunkGroup the chunkGroup the chunk is being removed from
+   * @returns {void}
+   */
+  removeGroup(chunkGroup) {
+    this._groups.delete(chunkGroup);
+  }
+
+  /**
+   * @param {ChunkGroup} chunkGroup the chunkGroup to check
+   * @returns {boolean} returns true if chunk has chunkGroup reference and exists in chunkGroup
+   */
+  isInGroup(chunkGroup) {
+    return this._groups.has(chunkGroup);
+  }
+
+  /**
+   * @returns {number} the amount of groups that the said chunk is in
+   */
+  getNumberOfGroups() {
+    return this._groups.size;
+  }
+
+  /**
+   * 按 chunkGroup 的创建顺序排序后返回
+   * @returns {SortableSet<ChunkGroup>} the chunkGroups that the said chunk is referenced in
+   */
+  get groupsIterable() {
+    this._groups.sort();
+    return this._groups;
+  }
+
+  /**
+   * 从所有所属的 chunkGroup 中移除
+   * @returns {void}
+   */
+  disconnectFromGroups() {
+    for (const chunkGroup of this._groups) {
+      chunkGroup.removeChunk(this);
+    }
+  }
+
+  /**
+   * 拆分出新的 chunk：新 chunk 加入当前 chunk 所在的所有 chunkGroup（位于当前 chunk 之前）
+   * @param {Chunk} newChunk the new chunk that will be split out of
+   * @returns {void}
+   */
+  split(newChunk) {
+    for (const chunkGroup of this._groups) {
+      chunkGroup.insertChunk(newChunk, this);
+      newChunk.addGroup(chunkGroup);
+    }
+    for (const idHint of this.idNameHints) {
+      newChunk.idNameHints.add(idHint);
+    }
+    if (newChunk.runtime === undefined) newChunk.runtime = this.runtime;
+  }
+
+  /**
+   * 把 chunk 自身的信息写入 hash，包含的模块由 compilation 负责写入
+   * @param {Hash} hash hash (will be modified)
+   * @returns {void}
+   */
+  updateHash(hash) {
+    hash.update(
+      `${this.id} ${this.ids ? this.ids.join() : ""} ${this.name || ""} `
+    );
+  }
+
+  /**
+   * 获取所有需要异步加载的 chunk（不包括初始就会加载的 chunk）
+   * @returns {Set<Chunk>} a set of all the async chunks
+   */
+  getAllAsyncChunks() {
+    const queue = new Set();
+    const chunks = new Set();
+
+    const initialChunks = intersect(
+      Array.from(this.groupsIterable, (g) => new Set(g.chunks))
+    );
+
+    const initialQueue = new Set(this.groupsIterable);
+
+    for (const chunkGroup of initialQueue) {
+      for (const child of chunkGroup.childrenIterable) {
+        if (child instanceof Entrypoint) {
+          initialQueue.add(child);
+        } else {
+          queue.add(child);
+        }
+      }
+    }
+
+    for (const chunkGroup of queue) {
+      for (const chunk of chunkGroup.chunks) {
+        if (!initialChunks.has(chunk)) {
+          chunks.add(chunk);
+        }
+      }
+      for (const child of chunkGroup.childrenIterable) {
+        queue.add(child);
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * 获取所有初始 chunk
+   * @returns {Set<Chunk>} a set of all the initial chunks (including itself)
+   */
+  getAllInitialChunks() {
+    const chunks = new Set();
+    const queue = new Set(this.groupsIterable);
+    for (const group of queue) {
+      if (group.isInitial()) {
+        for (const c of group.chunks) chunks.add(c);
+        for (const g of group.childrenIterable) queue.add(g);
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * 获取所有引用到的 chunk（包括自身、同组的以及所有后代组中的）
+   * @returns {Set<Chunk>} a set of all the referenced chunks (including itself)
+   */
+  getAllReferencedChunks() {
+    const queue = new Set(this.groupsIterable);
+    const chunks = new Set();
+
+    for (const chunkGroup of queue) {
+      for (const chunk of chunkGroup.chunks) {
+        chunks.add(chunk);
+      }
+      for (const child of chunkGroup.childrenIterable) {
+        queue.add(child);
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * @returns {Set<Entrypoint>} a set of all the referenced entrypoints
+   */
+  getAllReferencedAsyncEntrypoints() {
+    const queue = new Set(this.groupsIterable);
+    const entrypoints = new Set();
+
+    for (const chunkGroup of queue) {
+      for (const entrypoint of chunkGroup.asyncEntrypointsIterable) {
+        entrypoints.add(entrypoint);
+      }
+      for (const child of chunkGroup.childrenIterable) {
+        queue.add(child);
+      }
+    }
+
+    return entrypoints;
+  }
+
+  /**
+   * @returns {boolean} true, if the chunk references async chunks
+   */
+  hasAsyncChunks() {
+    const queue = new Set();
+
+    const initialChunks = intersect(
+      Array.from(this.groupsIterable, (g) => new Set(g.chunks))
+    );
+
+    for (const chunkGroup of this.groupsIterable) {
+      for (const child of chunkGroup.childrenIterable) {
+        queue.add(child);
+      }
+    }
+
+    for (const chunkGroup of queue) {
+      for (const chunk of chunkGroup.chunks) {
+        if (!initialChunks.has(chunk)) {
+          return true;
+        }
+      }
+      for (const child of chunkGroup.childrenIterable) {
+        queue.add(child);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * 按子 chunkGroup 选项中的 xxxOrder（例如 prefetchOrder、preloadOrder）收集子 chunk 的 id，
+   * 只处理当前 chunk 是最后一个 chunk 的 chunkGroup
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @param {function(Chunk, ChunkGraph): boolean=} filterFn function used to filter chunks
+   * @returns {Record<string, (string | number)[]>} a record object of names to lists of child ids(?)
+   */
+  getChildIdsByOrders(chunkGraph, filterFn) {
+    /** @type {Map<string, {order: number, group: ChunkGroup}[]>} */
+    const lists = new Map();
+    for (const group of this.groupsIterable) {
+      if (group.chunks[group.chunks.length - 1] === this) {
+        for (const childGroup of group.childrenIterable) {
+          for (const key of Object.keys(childGroup.options)) {
+            if (key.endsWith("Order")) {
+              const name = key.slice(0, key.length - "Order".length);
+              let list = lists.get(name);
+              if (list === undefined) {
+                list = [];
+                lists.set(name, list);
+              }
+              list.push({
+                order: childGroup.options[key],
+                group: childGroup,
+              });
+            }
+          }
+        }
+      }
+    }
+    /** @type {Record<string, (string | number)[]>} */
+    const result = Object.create(null);
+    for (const [name, list] of lists) {
+      // order 大的排在前面，相同时比较 chunkGroup
+      list.sort((a, b) => {
+        const cmp = b.order - a.order;
+        if (cmp !== 0) return cmp;
+        return a.group.compareTo(chunkGraph, b.group);
+      });
+      /** @type {Set<string | number>} */
+      const chunkIdSet = new Set();
+      for (const item of list) {
+        for (const chunk of item.group.chunks) {
+          if (filterFn && !filterFn(chunk, chunkGraph)) continue;
+          chunkIdSet.add(/** @type {ChunkId} */ (chunk.id));
+        }
+      }
+      if (chunkIdSet.size > 0) {
+        result[name] = Array.from(chunkIdSet);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 判断当前 chunk（或者其所在 chunkGroup 中的 chunk）以及异步子 chunk 是否有指定类型的子 chunk，
+   * 例如 chunk 加载运行时据此决定是否输出 prefetch/preload 的代码
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @param {string} type option name
+   * @param {boolean=} includeDirectChildren include direct children (by default only children of async children are included)
+   * @param {(function(Chunk, ChunkGraph): boolean)=} filterFn function used to filter chunks
+   * @returns {boolean} true when the child is of type order, otherwise false
+   */
+  hasChildByOrder(chunkGraph, type, includeDirectChildren, filterFn) {
+    if (includeDirectChildren) {
+      /** @type {Set<Chunk>} */
+      const chunks = new Set();
+      for (const chunkGroup of this.groupsIterable) {
+        for (const chunk of chunkGroup.chunks) {
+          chunks.add(chunk);
+        }
+      }
+      for (const chunk of chunks) {
+        const data = chunk.getChildIdsByOrders(chunkGraph, filterFn);
+        if (data[type] !== undefined) return true;
+      }
+    }
+
+    for (const chunk of this.getAllAsyncChunks()) {
+      const data = chunk.getChildIdsByOrders(chunkGraph, filterFn);
+      if (data[type] !== undefined) return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = Chunk;
@@ -0,0 +1,610 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const util = require("util");
+const SortableSet = require("./util/SortableSet");
+const {
+  compareLocations,
+  compareChunks,
+  compareIterables,
+} = require("./util/comparators");
+
+/**
+ * @typedef {object} RawChunkGroupOptions
+ * @property {number=} preloadOrder 预加载顺序
+ * @property {number=} prefetchOrder 预获取顺序
+ * @property {("low" | "high" | "auto")=} fetchPriority 加载优先级
+ */
+
+/** @typedef {RawChunkGroupOptions & { name?: string | null }} ChunkGroupOptions */
+
+/**
+ * 记录 chunkGroup 是从哪里创建出来的（哪个模块的哪一行代码）
+ * @typedef {object} OriginRecord
+ * @property {Module | null} module 发起请求的模块
+ * @property {DependencyLocation} loc 源码位置
+ * @property {string} request 请求
+ */
+
+/** 自增的调试 id */
+let debugId = 5000;
+
+/**
+ * @template T
+ * @param {SortableSet<T>} set set to convert to array.
+ * @returns {T[]} the array format of existing set
+ */
+const getArray = (set) => Array.from(set);
+
+/**
+ * 按 id 排序
+ * @param {ChunkGroup} a first chunk group
+ * @param {ChunkGroup} b second chunk group
+ * @returns {-1|0|1} sort position
+ */
+const sortById = (a, b) => {
+  if (a.id < b.id) return -1;
+  if (b.id < a.id) return 1;
+  return 0;
+};
+
+/**
+ * 按来源模块的标识符排序，标识符相同时比较源码位置
+ * @param {OriginRecord} a the first comparator in sort
+ * @param {OriginRecord} b the second comparator in sort
+ * @returns {1|-1|0} sort position
+ */
+const sortOrigin = (a, b) => {
+  const aIdent = a.module ? a.module.identifier() : "";
+  const bIdent = b.module ? b.module.identifier() : "";
+  if (aIdent < bIdent) return -1;
+  if (aIdent > bIdent) return 1;
+  return compareLocations(a.loc, b.loc);
+};
+
+/**
+ * chunk 组
+ *
+ * 一个 chunkGroup 由一个或多个 chunk 组成，表示需要同时加载的一组 chunk
+ * 入口（Entrypoint）和每个异步分割点（import()）都会对应一个 chunkGroup，
+ * chunkGroup 之间通过 parents/children 形成一张图，描述加载的先后关系
+ */
+class ChunkGroup {
+  /**
+   * @param {string | ChunkGroupOptions=} options chunk group options passed to chunkGroup
+   */
+  constructor(options) {
+    if (typeof options === "string") {
+      options = { name: options };
+    } else if (!options) {
+      options = { name: undefined };
+    }
+    /** @type {number} */
+    this.groupDebugId = debugId++;
+    this.options = /** @type {ChunkGroupOptions} */ (options);
+    /**
+     * 子 chunkGroup（由当前组中的模块异步加载）
+     * @type {SortableSet<ChunkGroup>}
+     */
+    this._children = new SortableSet(undefined, sortById);
+    /**
+     * 父 chunkGroup
+     * @type {SortableSet<ChunkGroup>}
+     */
+    this._parents = new SortableSet(undefined, sortById);
+    /**
+     * 由当前组创建的异步入口（例如 new Worker()）
+     * @type {SortableSet<ChunkGroup>}
+     */
+    this._asyncEntrypoints = new SortableSet(undefined, sortById);
+    /**
+     * 指向当前组的异步依赖块
+     * @type {SortableSet<AsyncDependenciesBlock>}
+     */
+    this._blocks = new SortableSet();
+    /**
+     * 组内的 chunk，顺序即加载顺序
+     * @type {Chunk[]}
+     */
+    this.chunks = [];
+    /** @type {OriginRecord[]} */
+    this.origins = [];
+    /**
+     * 模块在组内深度优先遍历时的先序索引
+     * @type {Map<Module, number>}
+     */
+    this._modulePreOrderIndices = new Map();
+    /**
+     * 模块在组内深度优先遍历时的后序索引
+     * @type {Map<Module, number>}
+     */
+    this._modulePostOrderIndices = new Map();
+    /**
+     * 在 compilation.chunkGroups 中的创建顺序
+     * @type {number | undefined}
+     */
+    this.index = undefined;
+  }
+
+  /**
+   * 合并选项，同一个分割点被多次引用时会调用
+   * *Order 类的选项取较大值，其他选项出现冲突时报错
+   * @param {ChunkGroupOptions} options the chunkGroup options passed to addOptions
+   * @returns {void}
+   */
+  addOptions(options) {
+    for (const _key of Object.keys(options)) {
+      const key = /** @type {keyof ChunkGroupOptions} */ (_key);
+      if (this.options[key] === undefined) {
+        /** @type {TODO} */
+        (this.options)[key] = options[key];
+      } else if (this.options[key] !== options[key]) {
+        if (key.endsWith("Order")) {
+          /** @type {TODO} */
+          (this.options)[key] = Math.max(
+            /** @type {number} */ (this.options[key]),
+            /** @type {number} */ (options[key])
+          );
+        } else {
+          throw new Error(
+            `ChunkGroup.addOptions: No option merge strategy for ${key}`
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * @returns {string | null | undefined} returns the ChunkGroup name
+   */
+  get name() {
+    return this.options.name;
+  }
+
+  /**
+   * @param {string | undefined} value the new name for ChunkGroup
+   * @returns {void}
+   */
+  set name(value) {
+    this.options.name = value;
+  }
+
+  /* istanbul ignore next */
+  /**
+   * @returns {string} a debug id made up of the debug ids of its chunks
+   */
+  get debugId() {
+    return Array.from(this.chunks, (x) => x.debugId).join("+");
+  }
+
+  /**
+   * 由组内所有 chunk 的 id 拼接而成
+   * @returns {string} a unique concatenation of chunk ids
+   */
+  get id() {
+    return Array.from(this.chunks, (x) => x.id).join("+");
+  }
+
+  /**
+   * 把 chunk 放到最前面（已存在则移动到最前面）
+   * @param {Chunk} chunk chunk being unshifted
+   * @returns {boolean} returns true if attempted chunk shift is accepted
+   */
+  unshiftChunk(chunk) {
+    const oldIdx = this.chunks.indexOf(chunk);
+    if (oldIdx > 0) {
+      this.chunks.splice(oldIdx, 1);
+      this.chunks.unshift(chunk);
+    } else if (oldIdx < 0) {
+      this.chunks.unshift(chunk);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 把 chunk 插入到 before 之前
+   * @param {Chunk} chunk Chunk being inserted
+   * @param {Chunk} before Placeholder/target chunk marking new chunk insertion point
+   * @returns {boolean} return true if insertion was successful
+   */
+  insertChunk(chunk, before) {
+    const oldIdx = this.chunks.indexOf(chunk);
+    const idx = this.chunks.indexOf(before);
+    if (idx < 0) {
+      throw new Error("before chunk not found");
+    }
+    if (oldIdx >= 0 && oldIdx > idx) {
+      this.chunks.splice(oldIdx, 1);
+      this.chunks.splice(idx, 0, chunk);
+    } else if (oldIdx < 0) {
+      this.chunks.splice(idx, 0, chunk);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {Chunk} chunk chunk being pushed into ChunkGroupS
+   * @returns {boolean} returns true if chunk addition was successful.
+   */
+  pushChunk(chunk) {
+    const oldIdx = this.chunks.indexOf(chunk);
+    if (oldIdx >= 0) {
+      return false;
+    }
+    this.chunks.push(chunk);
+    return true;
+  }
+
+  /**
+   * 用 newChunk 替换 oldChunk，newChunk 已在组内时保留靠前的位置
+   * @param {Chunk} oldChunk chunk to be replaced
+   * @param {Chunk} newChunk New chunk that will be replaced with
+   * @returns {boolean | undefined} returns true if the replacement was successful
+   */
+  replaceChunk(oldChunk, newChunk) {
+    const oldIdx = this.chunks.indexOf(oldChunk);
+    if (oldIdx < 0) return false;
+    const newIdx = this.chunks.indexOf(newChunk);
+    if (newIdx < 0) {
+      this.chunks[oldIdx] = newChunk;
+      return true;
+    }
+    if (newIdx < oldIdx) {
+      this.chunks.splice(oldIdx, 1);
+      return true;
+    } else if (newIdx !== oldIdx) {
+      this.chunks[oldIdx] = newChunk;
+      this.chunks.splice(newIdx, 1);
+      return true;
+    }
+  }
+
+  /**
+   * @param {Chunk} chunk chunk to remove
+   * @returns {boolean} returns true if chunk was removed
+   */
+  removeChunk(chunk) {
+    const idx = this.chunks.indexOf(chunk);
+    if (idx >= 0) {
+      this.chunks.splice(idx, 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 是否为初始加载的组，只有 Entrypoint 返回 true
+   * @returns {boolean} true, when this chunk group will be loaded on initial page load
+   */
+  isInitial() {
+    return false;
+  }
+
+  /**
+   * @param {ChunkGroup} group chunk group to add
+   * @returns {boolean} returns true if chunk group was added
+   */
+  addChild(group) {
+    const size = this._children.size;
+    this._children.add(group);
+    return size !== this._children.size;
+  }
+
+  /**
+   * @returns {ChunkGroup[]} returns the children of this group
+   */
+  getChildren() {
+    return this._children.getFromCache(getArray);
+  }
+
+  getNumberOfChildren() {
+    return this._children.size;
+  }
+
+  get childrenIterable() {
+    return this._children;
+  }
+
+  /**
+   * 移除子组，同时在子组中移除父级关系
+   * @param {ChunkGroup} group the chunk group to remove
+   * @returns {boolean} returns true if the chunk group was removed
+   */
+  removeChild(group) {
+    if (!this._children.has(group)) {
+      return false;
+    }
+
+    this._children.delete(group);
+    group.removeParent(this);
+    return true;
+  }
+
+  /**
+   * @param {ChunkGroup} parentChunk the parent group to be added into
+   * @returns {boolean} returns true if this chunk group was added to the parent group
+   */
+  addParent(parentChunk) {
+    if (!this._parents.has(parentChunk)) {
+      this._parents.add(parentChunk);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @returns {ChunkGroup[]} returns the parents of this group
+   */
+  getParents() {
+    return this._parents.getFromCache(getArray);
+  }
+
+  getNumberOfParents() {
+    return this._parents.size;
+  }
+
+  /**
+   * @param {ChunkGroup} parent the parent group
+   * @returns {boolean} returns true if the parent group contains this group
+   */
+  hasParent(parent) {
+    return this._parents.has(parent);
+  }
+
+  get parentsIterable() {
+    return this._parents;
+  }
+
+  /**
+   * @param {ChunkGroup} chunkGroup the parent group
+   * @returns {boolean} returns true if this group has been removed from the parent
+   */
+  removeParent(chunkGroup) {
+    if (this._parents.delete(chunkGroup)) {
+      chunkGroup.removeChild(this);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {Entrypoint} entrypoint entrypoint to add
+   * @returns {boolean} returns true if entrypoint was added
+   */
+  addAsyncEntrypoint(entrypoint) {
+    const size = this._asyncEntrypoints.size;
+    this._asyncEntrypoints.add(entrypoint);
+    return size !== this._asyncEntrypoints.size;
+  }
+
+  get asyncEntrypointsIterable() {
+    return this._asyncEntrypoints;
+  }
+
+  /**
+   * @returns {Array<AsyncDependenciesBlock>} an array containing the blocks
+   */
+  getBlocks() {
+    return this._blocks.getFromCache(getArray);
+  }
+
+  getNumberOfBlocks() {
+    return this._blocks.size;
+  }
+
+  /**
+   * @param {AsyncDependenciesBlock} block block
+   * @returns {boolean} true, if block exists
+   */
+  hasBlock(block) {
+    return this._blocks.has(block);
+  }
+
+  /**
+   * @returns {Iterable<AsyncDependenciesBlock>} blocks
+   */
+  get blocksIterable() {
+    return this._blocks;
+  }
+
+  /**
+   * @param {AsyncDependenciesBlock} block a block
+   * @returns {boolean} false, if block was already added
+   */
+  addBlock(block) {
+    if (!this._blocks.has(block)) {
+      this._blocks.add(block);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 记录创建当前组的来源
+   * @param {Module | null} module origin module
+   * @param {DependencyLocation} loc location of the reference in the origin module
+   * @param {string} request request name of the reference
+   * @returns {void}
+   */
+  addOrigin(module, loc, request) {
+    this.origins.push({
+      module,
+      loc,
+      request,
+    });
+  }
+
+  /**
+   * 组内所有 chunk 输出的文件
+   * @returns {string[]} the files contained this chunk group
+   */
+  getFiles() {
+    const files = new Set();
+
+    for (const chunk of this.chunks) {
+      for (const file of chunk.files) {
+        files.add(file);
+      }
+    }
+
+    return Array.from(files);
+  }
+
+  /**
+   * 把当前组从图中移除，子组直接挂到父组下面
+   * @returns {void}
+   */
+  remove() {
+    for (const parentChunkGroup of this._parents) {
+      // 从父组中移除当前组
+      parentChunkGroup._children.delete(this);
+
+      // 当前组不再作为中间层，把子组直接连接到父组
+      for (const chunkGroup of this._children) {
+        chunkGroup.addParent(parentChunkGroup);
+        parentChunkGroup.addChild(chunkGroup);
+      }
+    }
+
+    // 需要再遍历一次子组，把当前组从子组的 parents 中移除
+    // 不能放在上面的循环中完成，因为 this._parents 可能为空
+    for (const chunkGroup of this._children) {
+      chunkGroup._parents.delete(this);
+    }
+
+    // 解除与 chunk 的关联
+    for (const chunk of this.chunks) {
+      chunk.removeGroup(this);
+    }
+  }
+
+  sortItems() {
+    this.origins.sort(sortOrigin);
+  }
+
+  /**
+   * 比较两个 chunkGroup，包含 chunk 多的排在前面，数量相同时逐个比较 chunk
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @param {ChunkGroup} otherGroup the chunkGroup to compare this against
+   * @returns {-1|0|1} sort position for comparison
+   */
+  compareTo(chunkGraph, otherGroup) {
+    if (this.chunks.length > otherGroup.chunks.length) return -1;
+    if (this.chunks.length < otherGroup.chunks.length) return 1;
+    return compareIterables(compareChunks(chunkGraph))(
+      this.chunks,
+      otherGroup.chunks
+    );
+  }
+
+  /**
+   * 按选项中的 xxxOrder（例如 preloadOrder、prefetchOrder）对子 chunkGroup 分组排序，
+   * order 大的排在前面
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @returns {Record<string, ChunkGroup[]>} mapping from children type to ordered list of ChunkGroups
+   */
+  getChildrenByOrders(moduleGraph, chunkGraph) {
+    /** @type {Map<string, {order: number, group: ChunkGroup}[]>} */
+    const lists = new Map();
+    for (const childGroup of this._children) {
+      for (const key of Object.keys(childGroup.options)) {
+        if (key.endsWith("Order")) {
+          const name = key.slice(0, key.length - "Order".length);
+          let list = lists.get(name);
+          if (list === undefined) {
+            lists.set(name, (list = []));
+          }
+          list.push({
+            order: childGroup.options[key],
+            group: childGroup,
+          });
+        }
+      }
+    }
+    /** @type {Record<string, ChunkGroup[]>} */
+    const result = Object.create(null);
+    for (const [name, list] of lists) {
+      list.sort((a, b) => {
+        const cmp = b.order - a.order;
+        if (cmp !== 0) return cmp;
+        return a.group.compareTo(chunkGraph, b.group);
+      });
+      result[name] = list.map((i) => i.group);
+    }
+    return result;
+  }
+
+  /**
+   * @param {Module} module module
+   * @param {number} index the index of the module
+   * @returns {void}
+   */
+  setModulePreOrderIndex(module, index) {
+    this._modulePreOrderIndices.set(module, index);
+  }
+
+  /**
+   * @param {Module} module the module
+   * @returns {number | undefined} index
+   */
+  getModulePreOrderIndex(module) {
+    return this._modulePreOrderIndices.get(module);
+  }
+
+  /**
+   * @param {Module} module module
+   * @param {number} index the index of the module
+   * @returns {void}
+   */
+  setModulePostOrderIndex(module, index) {
+    this._modulePostOrderIndices.set(module, index);
+  }
+
+  /**
+   * @param {Module} module the module
+   * @returns {number | undefined} index
+   */
+  getModulePostOrderIndex(module) {
+    return this._modulePostOrderIndices.get(module);
+  }
+
+  /* istanbul ignore next */
+  checkConstraints() {
+    const chunk = this;
+    for (const child of chunk._children) {
+      if (!child._parents.has(chunk)) {
+        throw new Error(
+          `checkConstraints: child missing parent ${chunk.debugId} -> ${child.debugId}`
+        );
+      }
+    }
+    for (const parentChunk of chunk._parents) {
+      if (!parentChunk._children.has(chunk)) {
+        throw new Error(
+          `checkConstraints: parent missing child ${parentChunk.debugId} <- ${chunk.debugId}`
+        );
+      }
+    }
+  }
+}
+
+ChunkGroup.prototype.getModuleIndex = util.deprecate(
+  ChunkGroup.prototype.getModulePreOrderIndex,
+  "ChunkGroup.getModuleIndex was renamed to getModulePreOrderIndex",
+  "DEP_WEBPACK_CHUNK_GROUP_GET_MODULE_INDEX"
+);
+
+ChunkGroup.prototype.getModuleIndex2 = util.deprecate(
+  ChunkGroup.prototype.getModulePostOrderIndex,
+  "ChunkGroup.getModuleIndex2 was renamed to getModulePostOrderIndex",
+  "DEP_WEBPACK_CHUNK_GROUP_GET_MODULE_INDEX_2"
+);
+
+module.exports = ChunkGroup;
@@ -0,0 +1,31 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+/**
+ * 渲染 chunk（执行 renderManifest 返回的 render 函数）时产生的错误
+ */
+class ChunkRenderError extends WebpackError {
+  /**
+   * @param {Chunk} chunk 渲染出错的 chunk
+   * @param {string} file 相关的文件名
+   * @param {Error} error 原始错误
+   */
+  constructor(chunk, file, error) {
+    super();
+
+    this.name = "ChunkRenderError";
+    this.error = error;
+    this.message = error.message;
+    this.details = error.stack;
+    this.file = file;
+    this.chunk = chunk;
+  }
+}
+
+module.exports = ChunkRenderError;
@@ -0,0 +1,161 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { first } = require("./util/SetHelpers");
+const createHash = require("./util/createHash");
+const { runtimeToString, RuntimeSpecMap } = require("./util/runtime");
+
+/**
+ * 保存 codeGeneration 阶段每个模块（按运行时区分）的代码生成结果
+ * 后续渲染 chunk、计算 contentHash 时都从这里读取模块的源码
+ */
+class CodeGenerationResults {
+  /**
+   * @param {string | Hash} hashFunction the hash function to use
+   */
+  constructor(hashFunction = "md4") {
+    /** @type {Map<Module, RuntimeSpecMap<CodeGenerationResult>>} */
+    this.map = new Map();
+    this._hashFunction = hashFunction;
+  }
+
+  /**
+   * 获取模块在指定运行时下的代码生成结果
+   * 不指定运行时时，要求所有运行时下的结果是同一个
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime runtime(s)
+   * @returns {CodeGenerationResult} the CodeGenerationResult
+   */
+  get(module, runtime) {
+    const entry = this.map.get(module);
+    if (entry === undefined) {
+      throw new Error(
+        `No code generation entry for ${module.identifier()} (existing entries: ${Array.from(
+          this.map.keys(),
+          (m) => m.identifier()
+        ).join(", ")})`
+      );
+    }
+    if (runtime === undefined) {
+      if (entry.size > 1) {
+        const results = new Set(entry.values());
+        if (results.size !== 1) {
+          throw new Error(
+            `No unique code generation entry for unspecified runtime for ${module.identifier()} (existing runtimes: ${Array.from(
+              entry.keys(),
+              (r) => runtimeToString(r)
+            ).join(", ")}).
+Caller might not support runtime-dependent code generation (opt-out via optimization.usedExports: "global").`
+          );
+        }
+        return /** @type {CodeGenerationResult} */ (first(results));
+      }
+      return /** @type {CodeGenerationResult} */ (entry.values().next().value);
+    }
+    // 指定运行时却没有对应的结果时直接报错，不回退到其它运行时的结果
+    const result = entry.get(runtime);
+    if (result === undefined) {
+      throw new Error(
+        `No code generation entry for runtime ${runtimeToString(
+          runtime
+        )} for ${module.identifier()} (existing runtimes: ${Array.from(
+          entry.keys(),
+          (r) => runtimeToString(r)
+        ).join(", ")})`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime runtime(s)
+   * @returns {boolean} true, when we have data for this
+   */
+  has(module, runtime) {
+    const entry = this.map.get(module);
+    if (entry === undefined) {
+      return false;
+    }
+    if (runtime !== undefined) {
+      return entry.has(runtime);
+    } else if (entry.size > 1) {
+      const results = new Set(entry.values());
+      return results.size === 1;
+    }
+    return entry.size === 1;
+  }
+
+  /**
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime runtime(s)
+   * @param {string} sourceType the source type
+   * @returns {Source} a source
+   */
+  getSource(module, runtime, sourceType) {
+    return /** @type {Source} */ (
+      this.get(module, runtime).sources.get(sourceType)
+    );
+  }
+
+  /**
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime runtime(s)
+   * @returns {ReadOnlyRuntimeRequirements | null} runtime requirements
+   */
+  getRuntimeRequirements(module, runtime) {
+    return this.get(module, runtime).runtimeRequirements;
+  }
+
+  /**
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime runtime(s)
+   * @param {string} key data key
+   * @returns {any} data generated by code generation
+   */
+  getData(module, runtime, key) {
+    const data = this.get(module, runtime).data;
+    return data === undefined ? undefined : data.get(key);
+  }
+
+  /**
+   * 根据生成的源码和运行时依赖计算 hash，结果缓存在 CodeGenerationResult 上
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime runtime(s)
+   * @returns {string} hash of the code generation
+   */
+  getHash(module, runtime) {
+    const info = this.get(module, runtime);
+    if (info.hash !== undefined) return info.hash;
+    const hash = createHash(this._hashFunction);
+    for (const [type, source] of info.sources) {
+      hash.update(type);
+      source.updateHash(hash);
+    }
+    if (info.runtimeRequirements) {
+      for (const rr of info.runtimeRequirements) hash.update(rr);
+    }
+    return (info.hash = /** @type {string} */ (hash.digest("hex")));
+  }
+
+  /**
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime runtime(s)
+   * @param {CodeGenerationResult} result result from module
+   * @returns {void}
+   */
+  add(module, runtime, result) {
+    let map = this.map.get(module);
+    if (map === undefined) {
+      map = new RuntimeSpecMap();
+      this.map.set(module, map);
+    }
+    map.set(runtime, result);
+  }
+}
+
+module.exports = CodeGenerationResults;
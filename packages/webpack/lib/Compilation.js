@@ -0,0 +1,3388 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const asyncLib = require("neo-async");
+const {
+  HookMap,
+  SyncHook,
+  SyncBailHook,
+  SyncWaterfallHook,
+  AsyncSeriesHook,
+  AsyncSeriesBailHook,
+  AsyncParallelHook,
+} = require("tapable");
+const { CachedSource } = require("webpack-sources");
+const AsyncDependenciesBlock = require("./AsyncDependenciesBlock");
+const Chunk = require("./Chunk");
+const ChunkGraph = require("./ChunkGraph");
+const ChunkGroup = require("./ChunkGroup");
+const ChunkRenderError = require("./ChunkRenderError");
+const CodeGenerationResults = require("./CodeGenerationResults");
+const DependencyTemplates = require("./DependencyTemplates");
+const Entrypoint = require("./Entrypoint");
+const FileSystemInfo = require("./FileSystemInfo");
+const {
+  connectChunkGroupAndChunk,
+  connectChunkGroupParentAndChild,
+} = require("./GraphHelpers");
+const { makeWebpackError } = require("./HookWebpackError");
+const Module = require("./Module");
+const ModuleDependencyError = require("./ModuleDependencyError");
+const ModuleDependencyWarning = require("./ModuleDependencyWarning");
+const ModuleGraph = require("./ModuleGraph");
+const ModuleNotFoundError = require("./ModuleNotFoundError");
+const ModuleRestoreError = require("./ModuleRestoreError");
+const ModuleStoreError = require("./ModuleStoreError");
+const RuntimeGlobals = require("./RuntimeGlobals");
+const RuntimeTemplate = require("./RuntimeTemplate");
+const Stats = require("./Stats");
+const WebpackError = require("./WebpackError");
+const BuildCycleError = require("./errors/BuildCycleError");
+const { Logger, LogType } = require("./logging/Logger");
+const StatsFactory = require("./stats/StatsFactory");
+const StatsPrinter = require("./stats/StatsPrinter");
+const { equals: arrayEquals } = require("./util/ArrayHelpers");
+const AsyncQueue = require("./util/AsyncQueue");
+const LazySet = require("./util/LazySet");
+const { cachedCleverMerge } = require("./util/cleverMerge");
+const {
+  compareIds,
+  compareLocations,
+  compareModulesByIdentifier,
+} = require("./util/comparators");
+const createHash = require("./util/createHash");
+const { isSourceEqual } = require("./util/source");
+
+/**
+ * 资源信息的默认值
+ * @type {AssetInfo}
+ */
+const EMPTY_ASSET_INFO = Object.freeze({});
+
+/**
+ * 依赖分类为 esm 时，分组用的 key 直接使用 resourceIdent，省去字符串拼接
+ */
+const esmDependencyCategory = "esm";
+
+/**
+ * 一次编译
+ *
+ * Compiler 每次构建（run 或 watch 触发的一次重新构建）都会创建一个新的 Compilation，
+ * 它负责本次构建的全部工作：
+ * - make 阶段：从入口开始，通过模块工厂创建模块、构建模块、递归处理模块的依赖
+ * - finish 阶段：收集模块的错误和警告
+ * - seal 阶段：根据入口和异步依赖块创建 chunk，计算 hash、生成代码，最终产出资源（assets）
+ *
+ * 插件通过 compilation.hooks 介入上述各个阶段
+ */
+class Compilation {
+  /**
+   * Creates an instance of Compilation.
+   * @param {Compiler} compiler 创建本次编译的 Compiler
+   * @param {CompilationParams} params 编译参数（normalModuleFactory、contextModuleFactory）
+   */
+  constructor(compiler, params) {
+    this._backCompat = compiler._backCompat;
+
+    const processAssetsHook = new AsyncSeriesHook(["assets"]);
+
+    /**
+     * processAssets 开始时已存在的资源
+     * @type {Set<string>}
+     */
+    let savedAssets = new Set();
+
+    /**
+     * 取出 savedAssets 之后新增的资源，并把它们标记为已处理
+     * @param {CompilationAssets} assets assets
+     * @returns {CompilationAssets} new assets
+     */
+    const popNewAssets = (assets) => {
+      let newAssets;
+      for (const file of Object.keys(assets)) {
+        if (savedAssets.has(file)) continue;
+        if (newAssets === undefined) {
+          newAssets = Object.create(null);
+        }
+        newAssets[file] = assets[file];
+        savedAssets.add(file);
+      }
+      return newAssets;
+    };
+
+    /**
+     * processAssets 拦截器
+     *
+     * 插件注册 processAssets 时可以传入 additionalAssets 选项，
+     * 表示后续阶段的插件新增资源时，也需要让自己处理一下这些新资源
+     * 这里在每个 tap 执行后检查是否产生了新资源，有的话调用 processAdditionalAssets，
+     * 由注册时传入 additionalAssets 的插件处理
+     */
+    processAssetsHook.intercept({
+      name: "Compilation",
+      call: () => {
+        savedAssets = new Set(Object.keys(this.assets));
+      },
+      register: (tap) => {
+        const { type, name } = tap;
+        const { fn, additionalAssets, ...remainingTap } = tap;
+        const additionalAssetsFn =
+          additionalAssets === true ? fn : additionalAssets;
+        // 记录插件已经处理过的 assets 对象，只有处理过之后新增的资源才需要再次处理
+        const processedAssets = additionalAssetsFn ? new WeakSet() : undefined;
+        switch (type) {
+          case "sync":
+            if (additionalAssetsFn) {
+              this.hooks.processAdditionalAssets.tap(name, (assets) => {
+                if (processedAssets.has(this.assets))
+                  additionalAssetsFn(assets);
+              });
+            }
+            return {
+              ...remainingTap,
+              type: "async",
+              fn: (assets, callback) => {
+                try {
+                  fn(assets);
+                } catch (err) {
+                  return callback(err);
+                }
+                if (processedAssets !== undefined)
+                  processedAssets.add(this.assets);
+                const newAssets = popNewAssets(assets);
+                if (newAssets !== undefined) {
+                  this.hooks.processAdditionalAssets.callAsync(
+                    newAssets,
+                    callback
+                  );
+                  return;
+                }
+                callback();
+              },
+            };
+          case "async":
+            if (additionalAssetsFn) {
+              this.hooks.processAdditionalAssets.tapAsync(
+                name,
+                (assets, callback) => {
+                  if (processedAssets.has(this.assets))
+                    return additionalAssetsFn(assets, callback);
+                  callback();
+                }
+              );
+            }
+            return {
+              ...remainingTap,
+              fn: (assets, callback) => {
+                fn(assets, (err) => {
+                  if (err) return callback(err);
+                  if (processedAssets !== undefined)
+                    processedAssets.add(this.assets);
+                  const newAssets = popNewAssets(assets);
+                  if (newAssets !== undefined) {
+                    this.hooks.processAdditionalAssets.callAsync(
+                      newAssets,
+                      callback
+                    );
+                    return;
+                  }
+                  callback();
+                });
+              },
+            };
+          case "promise":
+            if (additionalAssetsFn) {
+              this.hooks.processAdditionalAssets.tapPromise(name, (assets) => {
+                if (processedAssets.has(this.assets))
+                  return additionalAssetsFn(assets);
+                return Promise.resolve();
+              });
+            }
+            return {
+              ...remainingTap,
+              fn: (assets) => {
+                const p = fn(assets);
+                if (!p || !p.then) return p;
+                return p.then(() => {
+                  if (processedAssets !== undefined)
+                    processedAssets.add(this.assets);
+                  const newAssets = popNewAssets(assets);
+                  if (newAssets !== undefined) {
+                    return this.hooks.processAdditionalAssets.promise(
+                      newAssets
+                    );
+                  }
+                });
+              },
+            };
+        }
+      },
+    });
+
+    const afterProcessAssetsHook = new SyncHook(["assets"]);
+
+    this.hooks = Object.freeze({
+      /** 模块开始构建之前触发 */
+      buildModule: new SyncHook(["module"]),
+      /** 模块重新构建之前触发 */
+      rebuildModule: new SyncHook(["module"]),
+      /** 模块构建失败时触发 */
+      failedModule: new SyncHook(["module", "error"]),
+      /** 模块构建成功时触发 */
+      succeedModule: new SyncHook(["module"]),
+      /** 模块无需重新构建（缓存仍然有效）时触发 */
+      stillValidModule: new SyncHook(["module"]),
+
+      /** 添加入口时触发 */
+      addEntry: new SyncHook(["entry", "options"]),
+      /** 入口处理失败时触发 */
+      failedEntry: new SyncHook(["entry", "options", "error"]),
+      /** 入口处理成功时触发 */
+      succeedEntry: new SyncHook(["entry", "options", "module"]),
+
+      /** 获取依赖引用的导出时调用，插件可以修改结果 */
+      dependencyReferencedExports: new SyncWaterfallHook([
+        "referencedExports",
+        "dependency",
+        "runtime",
+      ]),
+
+      /** 构建期执行模块（importModule）时调用 */
+      executeModule: new SyncHook(["options", "context"]),
+      prepareModuleExecution: new AsyncParallelHook(["options", "context"]),
+
+      /** 所有模块构建完成，进入 finish 阶段时调用 */
+      finishModules: new AsyncSeriesHook(["modules"]),
+      /** 单个模块重新构建完成时调用 */
+      finishRebuildingModule: new AsyncSeriesHook(["module"]),
+      /** 撤销 seal（需要再次 seal 时）时调用 */
+      unseal: new SyncHook([]),
+      /** seal 开始时调用，此后不再添加模块 */
+      seal: new SyncHook([]),
+
+      /** 创建 chunk 之前 */
+      beforeChunks: new SyncHook([]),
+      /** 创建 chunk 之后 */
+      afterChunks: new SyncHook(["chunks"]),
+
+      /** 依赖优化，返回 true 时会重复调用 */
+      optimizeDependencies: new SyncBailHook(["modules"]),
+      afterOptimizeDependencies: new SyncHook(["modules"]),
+
+      /** 优化阶段开始 */
+      optimize: new SyncHook([]),
+      /** 模块优化，返回 true 时会重复调用 */
+      optimizeModules: new SyncBailHook(["modules"]),
+      afterOptimizeModules: new SyncHook(["modules"]),
+
+      /** chunk 优化（例如 splitChunks），返回 true 时会重复调用 */
+      optimizeChunks: new SyncBailHook(["chunks", "chunkGroups"]),
+      afterOptimizeChunks: new SyncHook(["chunks", "chunkGroups"]),
+
+      /** 异步优化依赖树 */
+      optimizeTree: new AsyncSeriesHook(["chunks", "modules"]),
+      afterOptimizeTree: new SyncHook(["chunks", "modules"]),
+
+      /** 异步优化 chunk 中的模块（例如模块合并） */
+      optimizeChunkModules: new AsyncSeriesBailHook(["chunks", "modules"]),
+      afterOptimizeChunkModules: new SyncHook(["chunks", "modules"]),
+      /** 返回 false 时不写入 records */
+      shouldRecord: new SyncBailHook([]),
+
+      /** 为 chunk 添加额外的运行时依赖 */
+      additionalChunkRuntimeRequirements: new SyncHook([
+        "chunk",
+        "runtimeRequirements",
+        "context",
+      ]),
+      runtimeRequirementInChunk: new HookMap(
+        () => new SyncBailHook(["chunk", "runtimeRequirements", "context"])
+      ),
+      /** 为模块添加额外的运行时依赖 */
+      additionalModuleRuntimeRequirements: new SyncHook([
+        "module",
+        "runtimeRequirements",
+        "context",
+      ]),
+      runtimeRequirementInModule: new HookMap(
+        () => new SyncBailHook(["module", "runtimeRequirements", "context"])
+      ),
+      /** 为运行时 chunk 添加额外的运行时依赖 */
+      additionalTreeRuntimeRequirements: new SyncHook([
+        "chunk",
+        "runtimeRequirements",
+        "context",
+      ]),
+      runtimeRequirementInTree: new HookMap(
+        () => new SyncBailHook(["chunk", "runtimeRequirements", "context"])
+      ),
+
+      /** 添加运行时模块时触发 */
+      runtimeModule: new SyncHook(["module", "chunk"]),
+
+      /** 从 records 中恢复模块信息 */
+      reviveModules: new SyncHook(["modules", "records"]),
+      /** 分配模块 id 之前 */
+      beforeModuleIds: new SyncHook(["modules"]),
+      /** 分配模块 id */
+      moduleIds: new SyncHook(["modules"]),
+      optimizeModuleIds: new SyncHook(["modules"]),
+      afterOptimizeModuleIds: new SyncHook(["modules"]),
+
+      /** 从 records 中恢复 chunk 信息 */
+      reviveChunks: new SyncHook(["chunks", "records"]),
+      /** 分配 chunk id 之前 */
+      beforeChunkIds: new SyncHook(["chunks"]),
+      /** 分配 chunk id */
+      chunkIds: new SyncHook(["chunks"]),
+      optimizeChunkIds: new SyncHook(["chunks"]),
+      afterOptimizeChunkIds: new SyncHook(["chunks"]),
+
+      /** 把模块信息写入 records */
+      recordModules: new SyncHook(["modules", "records"]),
+      /** 把 chunk 信息写入 records */
+      recordChunks: new SyncHook(["chunks", "records"]),
+
+      /** 代码生成前的优化 */
+      optimizeCodeGeneration: new SyncHook(["modules"]),
+
+      /** 计算模块 hash 之前 */
+      beforeModuleHash: new SyncHook([]),
+      /** 计算模块 hash 之后 */
+      afterModuleHash: new SyncHook([]),
+
+      /** 代码生成之前 */
+      beforeCodeGeneration: new SyncHook([]),
+      /** 代码生成之后 */
+      afterCodeGeneration: new SyncHook([]),
+
+      /** 处理运行时依赖之前 */
+      beforeRuntimeRequirements: new SyncHook([]),
+      /** 处理运行时依赖之后 */
+      afterRuntimeRequirements: new SyncHook([]),
+
+      /** 计算编译 hash 之前 */
+      beforeHash: new SyncHook([]),
+      /** 计算 chunk 的内容 hash */
+      contentHash: new SyncHook(["chunk"]),
+      /** 计算编译 hash 之后 */
+      afterHash: new SyncHook([]),
+      /** 把 hash 写入 records */
+      recordHash: new SyncHook(["records"]),
+      /** 把编译信息写入 records */
+      record: new SyncHook(["compilation", "records"]),
+
+      /** 创建模块资源之前 */
+      beforeModuleAssets: new SyncHook([]),
+      /** 返回 false 时不生成 chunk 资源 */
+      shouldGenerateChunkAssets: new SyncBailHook([]),
+      /** 创建 chunk 资源之前 */
+      beforeChunkAssets: new SyncHook([]),
+
+      // TODO webpack 6 deprecate
+      optimizeAssets: processAssetsHook,
+      // TODO webpack 6 deprecate
+      afterOptimizeAssets: afterProcessAssetsHook,
+
+      /**
+       * 处理资源，插件通过 stage 选项（Compilation.PROCESS_ASSETS_STAGE_*）指定处理的时机
+       * 例如压缩、生成 source map、计算真实的内容 hash 等都在这里进行
+       */
+      processAssets: processAssetsHook,
+      afterProcessAssets: afterProcessAssetsHook,
+      /** 处理 processAssets 过程中新增的资源 */
+      processAdditionalAssets: new AsyncSeriesHook(["assets"]),
+
+      /** 返回 true 时会 unseal 后重新 seal */
+      needAdditionalSeal: new SyncBailHook([]),
+      /** seal 结束后调用 */
+      afterSeal: new AsyncSeriesHook([]),
+
+      /**
+       * 获取 chunk 需要渲染的文件清单
+       * JavascriptModulesPlugin 等插件在这里返回 { render, filenameTemplate, pathOptions, identifier, hash }
+       */
+      renderManifest: new SyncWaterfallHook(["result", "options"]),
+
+      /** 计算编译的完整 hash */
+      fullHash: new SyncHook(["hash"]),
+      /** 计算 chunk hash */
+      chunkHash: new SyncHook(["chunk", "chunkHash", "ChunkHashContext"]),
+
+      /** 模块产出资源时触发 */
+      moduleAsset: new SyncHook(["module", "filename"]),
+      /** chunk 产出资源时触发 */
+      chunkAsset: new SyncHook(["chunk", "filename"]),
+
+      /** 根据模板替换出最终的资源路径（[name]、[contenthash] 等），由 TemplatedPathPlugin 实现 */
+      assetPath: new SyncWaterfallHook(["path", "options", "assetInfo"]),
+
+      /** 返回 true 时 Compiler 会再进行一次编译 */
+      needAdditionalPass: new SyncBailHook([]),
+
+      /** 创建子编译器后触发 */
+      childCompiler: new SyncHook([
+        "childCompiler",
+        "compilerName",
+        "compilerIndex",
+      ]),
+
+      /** 记录日志时触发，返回非 undefined 时该日志不再保存 */
+      log: new SyncBailHook(["origin", "logEntry"]),
+
+      /** 获取警告时调用，插件可以过滤或修改警告 */
+      processWarnings: new SyncWaterfallHook(["warnings"]),
+      /** 获取错误时调用，插件可以过滤或修改错误 */
+      processErrors: new SyncWaterfallHook(["errors"]),
+
+      /** 统计信息预设 */
+      statsPreset: new HookMap(() => new SyncHook(["options", "context"])),
+      /** 规范化统计信息选项 */
+      statsNormalize: new SyncHook(["options", "context"]),
+      /** 创建统计信息工厂后调用 */
+      statsFactory: new SyncHook(["statsFactory", "options"]),
+      /** 创建统计信息打印器后调用 */
+      statsPrinter: new SyncHook(["statsPrinter", "options"]),
+    });
+
+    /** @type {string=} */
+    this.name = undefined;
+    /** @type {number | undefined} */
+    this.startTime = undefined;
+    /** @type {number | undefined} */
+    this.endTime = undefined;
+    /** @type {Compiler} */
+    this.compiler = compiler;
+    this.resolverFactory = compiler.resolverFactory;
+    /** @type {InputFileSystem} */
+    this.inputFileSystem = compiler.inputFileSystem;
+    // 用于创建和检查模块的构建快照（buildInfo.snapshot），
+    // watch 模式下复用 watcher 收集到的时间戳
+    this.fileSystemInfo = new FileSystemInfo(this.inputFileSystem, {
+      unmanagedPaths: compiler.unmanagedPaths,
+      managedPaths: compiler.managedPaths,
+      immutablePaths: compiler.immutablePaths,
+      logger: this.getLogger("webpack.FileSystemInfo"),
+      hashFunction: compiler.options.output.hashFunction,
+    });
+    if (compiler.fileTimestamps) {
+      this.fileSystemInfo.addFileTimestamps(compiler.fileTimestamps, true);
+    }
+    if (compiler.contextTimestamps) {
+      this.fileSystemInfo.addContextTimestamps(
+        compiler.contextTimestamps,
+        true
+      );
+    }
+    /**
+     * watch 模式下触发本次构建的变更（上一次构建之后被修改或新增的文件），
+     * 非 watch 模式或首次构建时为 undefined
+     * @type {ReadonlySet<string> | undefined}
+     */
+    this.modifiedFiles = compiler.modifiedFiles;
+    /**
+     * watch 模式下上一次构建之后被删除的文件
+     * @type {ReadonlySet<string> | undefined}
+     */
+    this.removedFiles = compiler.removedFiles;
+    /**
+     * 记录值缓存的版本（例如 DefinePlugin 定义的值），模块据此判断是否需要重新构建
+     * @type {Map<string, string | Set<string>>}
+     */
+    this.valueCacheVersions = new Map();
+    this.requestShortener = compiler.requestShortener;
+    this.compilerPath = compiler.compilerPath;
+
+    this.logger = this.getLogger("webpack.Compilation");
+
+    const options = compiler.options;
+    this.options = options;
+    this.outputOptions = options && options.output;
+    /** 遇到第一个错误时立即停止编译 */
+    this.bail = (options && options.bail) || false;
+    /** 是否收集模块构建耗时信息 */
+    this.profile = (options && options.profile) || false;
+
+    this.params = params;
+    /** 生成运行时代码片段，代码生成时传给模块 */
+    this.runtimeTemplate = new RuntimeTemplate(
+      this,
+      this.outputOptions,
+      this.requestShortener
+    );
+
+    /** 模块之间的连接、issuer、导出信息等，在 make 阶段建立 */
+    this.moduleGraph = new ModuleGraph();
+    /**
+     * 模块与 chunk 的从属关系、运行时需求和 hash，在 seal 阶段创建
+     * @type {ChunkGraph | undefined}
+     */
+    this.chunkGraph = undefined;
+    /** @type {CodeGenerationResults | undefined} */
+    this.codeGenerationResults = undefined;
+
+    /**
+     * 处理模块依赖的队列，它的子队列共享并发数
+     * @type {AsyncQueue<Module, Module, void>}
+     */
+    this.processDependenciesQueue = new AsyncQueue({
+      name: "processDependencies",
+      parallelism: options.parallelism || 100,
+      processor: this._processModuleDependencies.bind(this),
+    });
+    /**
+     * 添加模块的队列，相同标识符的模块只会添加一次
+     * @type {AsyncQueue<Module, string, Module>}
+     */
+    this.addModuleQueue = new AsyncQueue({
+      name: "addModule",
+      parent: this.processDependenciesQueue,
+      getKey: (module) => module.identifier(),
+      processor: this._addModule.bind(this),
+    });
+    /**
+     * 通过模块工厂创建模块的队列
+     * @type {AsyncQueue<FactorizeModuleOptions, string, Module | ModuleFactoryResult>}
+     */
+    this.factorizeQueue = new AsyncQueue({
+      name: "factorize",
+      parent: this.addModuleQueue,
+      processor: this._factorizeModule.bind(this),
+    });
+    /**
+     * 构建模块的队列
+     * @type {AsyncQueue<Module, Module, Module>}
+     */
+    this.buildQueue = new AsyncQueue({
+      name: "build",
+      parent: this.factorizeQueue,
+      processor: this._buildModule.bind(this),
+    });
+
+    /**
+     * 模块在构建过程中又创建了哪些模块（例如 loader 中的 importModule），用于检测构建循环
+     * @type {WeakMap<Module, Set<Module>>}
+     */
+    this.creatingModuleDuringBuild = new WeakMap();
+
+    /**
+     * 入口名称 -> 入口数据
+     * @type {Map<string, EntryData>}
+     */
+    this.entries = new Map();
+    /**
+     * 没有名称的全局入口，其中的依赖会添加到每个入口中
+     * @type {EntryData}
+     */
+    this.globalEntry = {
+      dependencies: [],
+      includeDependencies: [],
+      options: {
+        name: undefined,
+      },
+    };
+    /** @type {Map<string, Entrypoint>} */
+    this.entrypoints = new Map();
+    /** @type {Entrypoint[]} */
+    this.asyncEntrypoints = [];
+    /** @type {Set<Chunk>} */
+    this.chunks = new Set();
+    /** @type {ChunkGroup[]} */
+    this.chunkGroups = [];
+    /** @type {Map<string, ChunkGroup>} */
+    this.namedChunkGroups = new Map();
+    /** @type {Map<string, Chunk>} */
+    this.namedChunks = new Map();
+    /** @type {Set<Module>} */
+    this.modules = new Set();
+    /**
+     * 模块标识符 -> 模块
+     * @private
+     * @type {Map<string, Module>}
+     */
+    this._modules = new Map();
+    /** @type {Record<string, any> | null} */
+    this.records = null;
+    /** @type {string[]} */
+    this.additionalChunkAssets = [];
+    /**
+     * 产出的资源，文件名 -> Source
+     * @type {CompilationAssets}
+     */
+    this.assets = {};
+    /**
+     * 资源的附加信息（是否不可变、hash、关联的 source map 等）
+     * @type {Map<string, AssetInfo>}
+     */
+    this.assetsInfo = new Map();
+    /**
+     * 资源 -> 哪些资源通过 related 关联了它（key 为关联类型）
+     * @type {Map<string, Map<string, Set<string>>>}
+     */
+    this._assetsRelatedIn = new Map();
+    /** @type {WebpackError[]} */
+    this.errors = [];
+    /** @type {WebpackError[]} */
+    this.warnings = [];
+    /**
+     * 子编译
+     * @type {Compilation[]}
+     */
+    this.children = [];
+    /**
+     * 日志名称 -> 日志条目
+     * @type {Map<string, LogEntry[]>}
+     */
+    this.logging = new Map();
+    /**
+     * 依赖类型 -> 创建对应模块的模块工厂
+     * @type {Map<DepConstructor, ModuleFactory>}
+     */
+    this.dependencyFactories = new Map();
+    /** @type {DependencyTemplates} */
+    this.dependencyTemplates = new DependencyTemplates(
+      this.outputOptions.hashFunction
+    );
+    /**
+     * 同名子编译器的计数
+     * @type {Record<string, number>}
+     */
+    this.childrenCounters = {};
+    /** @type {Set<number | string> | null} */
+    this.usedChunkIds = null;
+    /** @type {Set<number> | null} */
+    this.usedModuleIds = null;
+    /** 是否需要 Compiler 再进行一次编译 */
+    this.needAdditionalPass = false;
+    /**
+     * 本次编译中实际构建过的模块
+     * @type {WeakSet<Module>}
+     */
+    this.builtModules = new WeakSet();
+    /**
+     * 本次编译中实际生成过代码的模块
+     * @type {WeakSet<Module>}
+     */
+    this.codeGeneratedModules = new WeakSet();
+    /**
+     * 构建时执行过的模块（loader 通过 importModule 执行），stats 中标记为 buildTimeExecuted
+     * @type {WeakSet<Module>}
+     */
+    this.buildTimeExecutedModules = new WeakSet();
+    /** @type {Set<string>} */
+    this.emittedAssets = new Set();
+    /** @type {Set<string>} */
+    this.comparedForEmitAssets = new Set();
+    /**
+     * 编译依赖的文件，watch 模式下监听它们的变化
+     * @type {LazySet<string>}
+     */
+    this.fileDependencies = new LazySet();
+    /**
+     * 编译依赖的目录
+     * @type {LazySet<string>}
+     */
+    this.contextDependencies = new LazySet();
+    /**
+     * 解析时尝试过但不存在的路径，它们被创建时也需要重新编译
+     * @type {LazySet<string>}
+     */
+    this.missingDependencies = new LazySet();
+    /**
+     * 构建依赖（例如配置文件、loader），变化时持久化缓存失效
+     * @type {LazySet<string>}
+     */
+    this.buildDependencies = new LazySet();
+
+    // 构建好的模块按 identifier 写入缓存，之后的编译（watch 重新编译或持久化缓存恢复后）
+    // 可以直接取出，needBuild 判断仍然有效时无需再次构建
+    this._modulesCache = this.getCache("Compilation/modules");
+  }
+
+  /**
+   * @returns {Stats} 本次编译的统计信息
+   */
+  getStats() {
+    return new Stats(this);
+  }
+
+  /**
+   * 规范化统计信息选项
+   * 支持布尔值、预设名称或对象，预设通过 statsPreset 钩子展开
+   * @param {string | boolean | StatsOptions | undefined} optionsOrPreset stats option value
+   * @param {CreateStatsOptionsContext=} context context
+   * @returns {NormalizedStatsOptions} normalized options
+   */
+  createStatsOptions(optionsOrPreset, context = {}) {
+    if (typeof optionsOrPreset === "boolean") {
+      optionsOrPreset = {
+        preset: optionsOrPreset === false ? "none" : "normal",
+      };
+    } else if (typeof optionsOrPreset === "string") {
+      optionsOrPreset = { preset: optionsOrPreset };
+    }
+    if (typeof optionsOrPreset === "object" && optionsOrPreset !== null) {
+      // 使用 for in 进行浅拷贝，这样原型链上的属性也会被复制
+      const options = {};
+      // eslint-disable-next-line guard-for-in
+      for (const key in optionsOrPreset) {
+        options[key] = optionsOrPreset[key];
+      }
+      if (options.preset !== undefined) {
+        this.hooks.statsPreset.for(options.preset).call(options, context);
+      }
+      this.hooks.statsNormalize.call(options, context);
+      return options;
+    }
+    const options = {};
+    this.hooks.statsNormalize.call(options, context);
+    return options;
+  }
+
+  /**
+   * 创建统计信息工厂，插件通过 statsFactory 钩子注册提取、过滤、排序等规则
+   * @param {NormalizedStatsOptions} options options
+   * @returns {StatsFactory} the stats factory
+   */
+  createStatsFactory(options) {
+    const statsFactory = new StatsFactory();
+    this.hooks.statsFactory.call(statsFactory, options);
+    return statsFactory;
+  }
+
+  /**
+   * 创建统计信息打印器，插件通过 statsPrinter 钩子注册打印规则
+   * @param {NormalizedStatsOptions} options options
+   * @returns {StatsPrinter} the stats printer
+   */
+  createStatsPrinter(options) {
+    const statsPrinter = new StatsPrinter();
+    this.hooks.statsPrinter.call(statsPrinter, options);
+    return statsPrinter;
+  }
+
+  /**
+   * 获取指定名称的缓存门面，等同于 compiler.getCache(name)
+   * @param {string} name cache name
+   * @returns {CacheFacade} the cache facade instance
+   */
+  getCache(name) {
+    return this.compiler.getCache(name);
+  }
+
+  /**
+   * 创建一个日志记录器，日志会保存到 compilation.logging 中，最终输出到统计信息
+   * @param {string | (function(): string)} name name of the logger, or function called once to get the logger name
+   * @returns {Logger} a logger with that name
+   */
+  getLogger(name) {
+    if (!name) {
+      throw new TypeError("Compilation.getLogger(name) called without a name");
+    }
+    /** @type {LogEntry[] | undefined} */
+    let logEntries;
+
+    /**
+     * 名称可以是函数，第一次使用时才求值
+     * @returns {string} name
+     */
+    const getName = () => {
+      if (typeof name === "function") {
+        name = name();
+        if (!name) {
+          throw new TypeError(
+            "Compilation.getLogger(name) called with a function not returning a name"
+          );
+        }
+      }
+      return name;
+    };
+
+    return new Logger(
+      (type, args) => {
+        const loggerName = getName();
+        let trace;
+        switch (type) {
+          case LogType.warn:
+          case LogType.error:
+          case LogType.trace:
+            // 去掉 Error、Logger 内部调用的堆栈
+            trace = new Error("Trace").stack.split("\n").slice(3);
+            break;
+        }
+        /** @type {LogEntry} */
+        const logEntry = {
+          time: Date.now(),
+          type,
+          args,
+          trace,
+        };
+        if (this.hooks.log.call(loggerName, logEntry) === undefined) {
+          if (
+            logEntry.type === LogType.profileEnd &&
+            typeof console.profileEnd === "function"
+          ) {
+            console.profileEnd(`[${loggerName}] ${logEntry.args[0]}`);
+          }
+          if (logEntries === undefined) {
+            logEntries = this.logging.get(loggerName);
+            if (logEntries === undefined) {
+              logEntries = [];
+              this.logging.set(loggerName, logEntries);
+            }
+          }
+          logEntries.push(logEntry);
+          if (
+            logEntry.type === LogType.profile &&
+            typeof console.profile === "function"
+          ) {
+            console.profile(`[${loggerName}] ${logEntry.args[0]}`);
+          }
+        }
+      },
+      (childName) => {
+        if (typeof name === "function" || typeof childName === "function") {
+          return this.getLogger(() => {
+            if (typeof childName === "function") {
+              childName = childName();
+              if (!childName) {
+                throw new TypeError(
+                  "Logger.getChildLogger(name) called with a function not returning a name"
+                );
+              }
+            }
+            return `${getName()}/${childName}`;
+          });
+        }
+        return this.getLogger(`${name}/${childName}`);
+      }
+    );
+  }
+
+  /**
+   * 添加模块，相同标识符的模块只保留第一个
+   * @param {Module} module module to be added that was created
+   * @param {ModuleCallback} callback returns the module in the compilation,
+   * it could be the passed one (if new), or an already existing in the compilation
+   * @returns {void}
+   */
+  addModule(module, callback) {
+    this.addModuleQueue.add(module, callback);
+  }
+
+  /**
+   * @param {Module} module module to be added that was created
+   * @param {ModuleCallback} callback returns the module in the compilation,
+   * it could be the passed one (if new), or an already existing in the compilation
+   * @returns {void}
+   */
+  _addModule(module, callback) {
+    const identifier = module.identifier();
+    const alreadyAddedModule = this._modules.get(identifier);
+    if (alreadyAddedModule) {
+      return callback(null, alreadyAddedModule);
+    }
+
+    this._modulesCache.get(identifier, null, (err, cacheModule) => {
+      if (err) return callback(new ModuleRestoreError(module, err));
+
+      // 缓存中的模块保留了上次构建的结果，用新创建的模块更新解析相关的信息后代替它
+      if (cacheModule) {
+        cacheModule.updateCacheModule(module);
+
+        module = cacheModule;
+      }
+      this._modules.set(identifier, module);
+      this.modules.add(module);
+      // 兼容已弃用的模块属性，它们需要通过模块找到所属的 ModuleGraph
+      if (this._backCompat)
+        ModuleGraph.setModuleGraphForModule(module, this.moduleGraph);
+      callback(null, module);
+    });
+  }
+
+  /**
+   * 根据模块的标识符获取编译中已有的同一个模块
+   * @param {Module} module module with an identifier
+   * @returns {Module} attached module
+   */
+  getModule(module) {
+    const identifier = module.identifier();
+    return /** @type {Module} */ (this._modules.get(identifier));
+  }
+
+  /**
+   * @param {string} identifier identifier of the module
+   * @returns {Module | undefined} attached module
+   */
+  findModule(identifier) {
+    return this._modules.get(identifier);
+  }
+
+  /**
+   * 构建模块
+   * @param {Module} module module to be built
+   * @param {ModuleCallback} callback the callback
+   * @returns {void}
+   */
+  buildModule(module, callback) {
+    this.buildQueue.add(module, callback);
+  }
+
+  /**
+   * 先询问模块是否需要重新构建，需要时调用 module.build
+   * @param {Module} module module to be built
+   * @param {ModuleCallback} callback the callback
+   * @returns {void}
+   */
+  _buildModule(module, callback) {
+    module.needBuild(
+      {
+        compilation: this,
+        fileSystemInfo: this.fileSystemInfo,
+        valueCacheVersions: this.valueCacheVersions,
+      },
+      (err, needBuild) => {
+        if (err) return callback(err);
+
+        if (!needBuild) {
+          this.hooks.stillValidModule.call(module);
+          return callback();
+        }
+
+        this.hooks.buildModule.call(module);
+        this.builtModules.add(module);
+        module.build(
+          this.options,
+          this,
+          this.resolverFactory.get("normal", module.resolveOptions),
+          this.inputFileSystem,
+          (err) => {
+            if (err) {
+              this.hooks.failedModule.call(module, err);
+              return callback(err);
+            }
+            this._modulesCache.store(
+              module.identifier(),
+              null,
+              module,
+              (err) => {
+                if (err) {
+                  this.hooks.failedModule.call(module, err);
+                  return callback(new ModuleStoreError(module, err));
+                }
+                this.hooks.succeedModule.call(module);
+                return callback();
+              }
+            );
+          }
+        );
+      }
+    );
+  }
+
+  /**
+   * 处理模块的依赖
+   * @param {Module} module to be processed for deps
+   * @param {ModuleCallback} callback callback to be triggered
+   * @returns {void}
+   */
+  processModuleDependencies(module, callback) {
+    this.processDependenciesQueue.add(module, callback);
+  }
+
+  /**
+   * 遍历模块及其所有依赖块中的依赖，按模块工厂和请求分组，
+   * 指向同一个资源的依赖只需要创建一次模块
+   * @param {Module} module to be processed for deps
+   * @param {ModuleCallback} callback callback to be triggered
+   * @returns {void}
+   */
+  _processModuleDependencies(module, callback) {
+    /** @type {Array<{factory: ModuleFactory, dependencies: Dependency[], context: string|undefined, originModule: Module|null}>} */
+    const sortedDependencies = [];
+
+    /**
+     * 模块工厂 -> (分组 key -> 依赖列表)
+     * @type {Map<ModuleFactory, Map<string, Dependency[]>>}
+     */
+    const dependencies = new Map();
+
+    /**
+     * @param {Dependency} dep dependency
+     * @param {DependenciesBlock} block block the dependency is in
+     * @param {number} index index of the dependency in the block
+     * @returns {void}
+     */
+    const processDependency = (dep, block, index) => {
+      this.moduleGraph.setParents(dep, block, module, index);
+      const resourceIdent = dep.getResourceIdentifier();
+      // 没有资源标识符的依赖（例如 ConstDependency）不指向任何模块
+      if (resourceIdent === undefined || resourceIdent === null) return;
+      const constructor = dep.constructor;
+      const factory = this.dependencyFactories.get(constructor);
+      if (factory === undefined) {
+        throw new Error(
+          `No module factory available for dependency type: ${constructor.name}`
+        );
+      }
+      let factoryCacheValue = dependencies.get(factory);
+      if (factoryCacheValue === undefined) {
+        factoryCacheValue = new Map();
+        dependencies.set(factory, factoryCacheValue);
+      }
+      const category = dep.category;
+      // 大部分依赖是 esm 的，省去额外的字符串拼接
+      const cacheKey =
+        category === esmDependencyCategory
+          ? resourceIdent
+          : `${category}${resourceIdent}`;
+      let list = factoryCacheValue.get(cacheKey);
+      if (list === undefined) {
+        factoryCacheValue.set(cacheKey, (list = []));
+        sortedDependencies.push({
+          factory,
+          dependencies: list,
+          context: dep.getContext(),
+          originModule: module,
+        });
+      }
+      list.push(dep);
+    };
+
+    try {
+      /** @type {DependenciesBlock[]} */
+      const queue = [module];
+      do {
+        const block = /** @type {DependenciesBlock} */ (queue.pop());
+        if (block.dependencies) {
+          let i = 0;
+          for (const dep of block.dependencies)
+            processDependency(dep, block, i++);
+        }
+        if (block.blocks) {
+          for (const b of block.blocks) queue.push(b);
+        }
+      } while (queue.length !== 0);
+    } catch (err) {
+      return callback(err);
+    }
+
+    if (sortedDependencies.length === 0) {
+      return callback();
+    }
+
+    // 这里是嵌套的任务（当前任务在等待子任务完成），需要多允许一个并发，否则可能死锁
+    this.processDependenciesQueue.increaseParallelism();
+
+    let inProgressTransitive = sortedDependencies.length;
+
+    /**
+     * @param {WebpackError=} err error
+     * @returns {void}
+     */
+    const onTransitiveTasksFinished = (err) => {
+      if (err) return callback(err);
+      this.processDependenciesQueue.decreaseParallelism();
+      return callback();
+    };
+
+    for (const item of sortedDependencies) {
+      this.handleModuleCreation(item, (err) => {
+        if (err && this.bail) {
+          if (inProgressTransitive <= 0) return;
+          inProgressTransitive = -1;
+          // Error 对象会引用创建时的闭包，进而引用整个 Compilation，
+          // 这里访问一次 stack 让 V8 生成堆栈字符串，释放这些引用
+          // eslint-disable-next-line no-self-assign
+          err.stack = err.stack;
+          onTransitiveTasksFinished(err);
+          return;
+        }
+        if (--inProgressTransitive === 0) onTransitiveTasksFinished();
+      });
+    }
+  }
+
+  /**
+   * 创建模块的完整流程：通过工厂创建模块 -> 添加到编译中 -> 构建 -> 递归处理依赖
+   * @param {HandleModuleCreationOptions} options options object
+   * @param {ModuleCallback} callback callback
+   * @returns {void}
+   */
+  handleModuleCreation(
+    {
+      factory,
+      dependencies,
+      originModule,
+      contextInfo,
+      context,
+      recursive = true,
+      connectOrigin = recursive,
+      checkCycle = !recursive,
+    },
+    callback
+  ) {
+    this.factorizeModule(
+      {
+        factory,
+        dependencies,
+        factoryResult: true,
+        originModule,
+        contextInfo,
+        context,
+      },
+      (err, factoryResult) => {
+        const applyFactoryResultDependencies = () => {
+          const { fileDependencies, contextDependencies, missingDependencies } =
+            factoryResult;
+          if (fileDependencies) {
+            this.fileDependencies.addAll(fileDependencies);
+          }
+          if (contextDependencies) {
+            this.contextDependencies.addAll(contextDependencies);
+          }
+          if (missingDependencies) {
+            this.missingDependencies.addAll(missingDependencies);
+          }
+        };
+        if (err) {
+          if (factoryResult) applyFactoryResultDependencies();
+          // 可选依赖（例如 try { require("x") } catch {}）解析失败只产生警告
+          if (dependencies.every((d) => d.optional)) {
+            this.warnings.push(err);
+            return callback();
+          }
+          this.errors.push(err);
+          return callback(err);
+        }
+
+        const newModule = factoryResult.module;
+
+        if (!newModule) {
+          applyFactoryResultDependencies();
+          return callback();
+        }
+
+        this.addModule(newModule, (err, _module) => {
+          if (err) {
+            applyFactoryResultDependencies();
+            if (!err.module) {
+              err.module = _module;
+            }
+            this.errors.push(err);
+
+            return callback(err);
+          }
+
+          const module = /** @type {Module} */ (_module);
+
+          applyFactoryResultDependencies();
+          const moduleGraph = this.moduleGraph;
+          for (let i = 0; i < dependencies.length; i++) {
+            moduleGraph.setResolvedModule(
+              connectOrigin ? originModule : null,
+              dependencies[i],
+              module
+            );
+          }
+          // 记录第一次引用该模块的模块
+          moduleGraph.setIssuerIfUnset(
+            module,
+            originModule !== undefined ? originModule : null
+          );
+
+          this._handleModuleBuildAndDependencies(
+            originModule,
+            module,
+            recursive,
+            checkCycle,
+            callback
+          );
+        });
+      }
+    );
+  }
+
+  /**
+   * 构建模块，并在需要时递归处理它的依赖
+   * @param {Module} originModule original module
+   * @param {Module} module module
+   * @param {boolean} recursive true if make it recursive, otherwise false
+   * @param {boolean} checkCycle true if need to check cycle, otherwise false
+   * @param {ModuleCallback} callback callback
+   * @returns {void}
+   */
+  _handleModuleBuildAndDependencies(
+    originModule,
+    module,
+    recursive,
+    checkCycle,
+    callback
+  ) {
+    // 在另一个模块的构建过程中触发的构建，需要检测是否存在循环
+    let creatingModuleDuringBuildSet;
+    if (checkCycle && this.buildQueue.isProcessing(originModule)) {
+      // 记录构建依赖
+      creatingModuleDuringBuildSet =
+        this.creatingModuleDuringBuild.get(originModule);
+      if (creatingModuleDuringBuildSet === undefined) {
+        creatingModuleDuringBuildSet = new Set();
+        this.creatingModuleDuringBuild.set(
+          originModule,
+          creatingModuleDuringBuildSet
+        );
+      }
+      creatingModuleDuringBuildSet.add(module);
+
+      // 当前模块的构建被其他模块阻塞时，查找是否形成了环
+      // 形成环时直接报错，否则会互相等待导致死锁
+      const blockReasons = this.creatingModuleDuringBuild.get(module);
+      if (blockReasons !== undefined) {
+        const set = new Set(blockReasons);
+        for (const item of set) {
+          const blockReasons = this.creatingModuleDuringBuild.get(item);
+          if (blockReasons !== undefined) {
+            for (const m of blockReasons) {
+              if (m === module) {
+                return callback(new BuildCycleError(module));
+              }
+              set.add(m);
+            }
+          }
+        }
+      }
+    }
+
+    this.buildModule(module, (err) => {
+      if (creatingModuleDuringBuildSet !== undefined) {
+        creatingModuleDuringBuildSet.delete(module);
+      }
+      if (err) {
+        if (!err.module) {
+          err.module = module;
+        }
+        this.errors.push(err);
+
+        return callback(err);
+      }
+
+      if (!recursive) {
+        callback(null, module);
+        return;
+      }
+
+      // 循环依赖时模块可能正在处理依赖中，直接返回以避免死锁
+      if (this.processDependenciesQueue.isProcessing(module)) {
+        return callback(null, module);
+      }
+
+      this.processModuleDependencies(module, (err) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, module);
+      });
+    });
+  }
+
+  /**
+   * 通过模块工厂创建模块
+   * @param {FactorizeModuleOptions} options options object
+   * @param {ModuleOrFactoryResultCallback} callback callback
+   * @returns {void}
+   */
+  factorizeModule(options, callback) {
+    this.factorizeQueue.add(options, callback);
+  }
+
+  /**
+   * @param {FactorizeModuleOptions} options options object
+   * @param {ModuleOrFactoryResultCallback} callback callback
+   * @returns {void}
+   */
+  _factorizeModule(
+    {
+      factory,
+      dependencies,
+      originModule,
+      factoryResult,
+      contextInfo,
+      context,
+    },
+    callback
+  ) {
+    factory.create(
+      {
+        contextInfo: {
+          issuer: originModule ? originModule.nameForCondition() : "",
+          issuerLayer: originModule ? originModule.layer : null,
+          compiler: this.compiler.name,
+          ...contextInfo,
+        },
+        resolveOptions: originModule ? originModule.resolveOptions : undefined,
+        context:
+          context ||
+          (originModule ? originModule.context : this.compiler.context),
+        dependencies,
+      },
+      (err, result) => {
+        if (result) {
+          // TODO webpack 6: remove
+          // 兼容直接返回模块的工厂
+          if (result.module === undefined && result instanceof Module) {
+            result = {
+              module: result,
+            };
+          }
+          if (!factoryResult) {
+            const {
+              fileDependencies,
+              contextDependencies,
+              missingDependencies,
+            } = result;
+            if (fileDependencies) {
+              this.fileDependencies.addAll(fileDependencies);
+            }
+            if (contextDependencies) {
+              this.contextDependencies.addAll(contextDependencies);
+            }
+            if (missingDependencies) {
+              this.missingDependencies.addAll(missingDependencies);
+            }
+          }
+        }
+        if (err) {
+          const notFoundError = new ModuleNotFoundError(
+            originModule,
+            err,
+            dependencies.map((d) => d.loc).find(Boolean)
+          );
+          return callback(notFoundError, factoryResult ? result : undefined);
+        }
+        if (!result) {
+          return callback();
+        }
+
+        callback(null, factoryResult ? result : result.module);
+      }
+    );
+  }
+
+  /**
+   * 从一个依赖开始创建模块树
+   * @param {object} options options
+   * @param {string} options.context context string path
+   * @param {Dependency} options.dependency dependency used to create Module chain
+   * @param {Partial<ModuleFactoryCreateDataContextInfo>=} options.contextInfo additional context info for the root module
+   * @param {ModuleCallback} callback callback for when module chain is complete
+   * @returns {void} will throw if dependency instance is not a valid Dependency
+   */
+  addModuleTree({ context, dependency, contextInfo }, callback) {
+    if (
+      typeof dependency !== "object" ||
+      dependency === null ||
+      !dependency.constructor
+    ) {
+      return callback(
+        new WebpackError("Parameter 'dependency' must be a Dependency")
+      );
+    }
+    const Dep = dependency.constructor;
+    const moduleFactory = this.dependencyFactories.get(Dep);
+    if (!moduleFactory) {
+      return callback(
+        new WebpackError(
+          `No dependency factory available for this dependency type: ${dependency.constructor.name}`
+        )
+      );
+    }
+
+    this.handleModuleCreation(
+      {
+        factory: moduleFactory,
+        dependencies: [dependency],
+        originModule: null,
+        contextInfo,
+        context,
+      },
+      (err, result) => {
+        if (err && this.bail) {
+          callback(err);
+          this.buildQueue.stop();
+          this.processDependenciesQueue.stop();
+          this.factorizeQueue.stop();
+        } else if (!err && result) {
+          callback(null, result);
+        } else {
+          callback();
+        }
+      }
+    );
+  }
+
+  /**
+   * 添加入口
+   * @param {string} context context path for entry
+   * @param {Dependency} entry entry dependency that should be followed
+   * @param {string | EntryOptions} optionsOrName options or deprecated name of entry
+   * @param {ModuleCallback} callback callback function
+   * @returns {void} returns
+   */
+  addEntry(context, entry, optionsOrName, callback) {
+    // TODO webpack 6 remove
+    const options =
+      typeof optionsOrName === "object"
+        ? optionsOrName
+        : { name: optionsOrName };
+
+    this._addEntryItem(context, entry, "dependencies", options, callback);
+  }
+
+  /**
+   * 添加只包含在入口 chunk 中、但不作为入口执行的模块
+   * @param {string} context context path for entry
+   * @param {Dependency} dependency dependency that should be followed
+   * @param {EntryOptions} options options
+   * @param {ModuleCallback} callback callback function
+   * @returns {void} returns
+   */
+  addInclude(context, dependency, options, callback) {
+    this._addEntryItem(
+      context,
+      dependency,
+      "includeDependencies",
+      options,
+      callback
+    );
+  }
+
+  /**
+   * @param {string} context context path for entry
+   * @param {Dependency} entry entry dependency that should be followed
+   * @param {"dependencies" | "includeDependencies"} target type of entry
+   * @param {EntryOptions} options options
+   * @param {ModuleCallback} callback callback function
+   * @returns {void} returns
+   */
+  _addEntryItem(context, entry, target, options, callback) {
+    const { name } = options;
+    let entryData =
+      name !== undefined ? this.entries.get(name) : this.globalEntry;
+    if (entryData === undefined) {
+      entryData = {
+        dependencies: [],
+        includeDependencies: [],
+        options: {
+          name: undefined,
+          ...options,
+        },
+      };
+      entryData[target].push(entry);
+      this.entries.set(name, entryData);
+    } else {
+      entryData[target].push(entry);
+      // 同名入口的选项需要合并，出现冲突时报错
+      for (const key of Object.keys(options)) {
+        if (options[key] === undefined) continue;
+        if (entryData.options[key] === options[key]) continue;
+        if (
+          Array.isArray(entryData.options[key]) &&
+          Array.isArray(options[key]) &&
+          arrayEquals(entryData.options[key], options[key])
+        ) {
+          continue;
+        }
+        if (entryData.options[key] === undefined) {
+          entryData.options[key] = options[key];
+        } else {
+          return callback(
+            new WebpackError(
+              `Conflicting entry option ${key} = ${entryData.options[key]} vs ${options[key]}`
+            )
+          );
+        }
+      }
+    }
+
+    this.hooks.addEntry.call(entry, options);
+
+    this.addModuleTree(
+      {
+        context,
+        dependency: entry,
+        contextInfo: entryData.options.layer
+          ? { issuerLayer: entryData.options.layer }
+          : undefined,
+      },
+      (err, module) => {
+        if (err) {
+          this.hooks.failedEntry.call(entry, options, err);
+          return callback(err);
+        }
+        this.hooks.succeedEntry.call(entry, options, module);
+        return callback(null, module);
+      }
+    );
+  }
+
+  /**
+   * make 阶段结束后调用：触发 finishModules，并收集模块和依赖上的错误、警告
+   * @param {Callback} callback signals when the call finishes
+   * @returns {void}
+   */
+  finish(callback) {
+    this.factorizeQueue.clear();
+    this.logger.time("finish modules");
+    const { modules } = this;
+    this.hooks.finishModules.callAsync(modules, (err) => {
+      this.logger.timeEnd("finish modules");
+      if (err) return callback(err);
+
+      this.logger.time("report dependency errors and warnings");
+      for (const module of modules) {
+        this.reportDependencyErrorsAndWarnings(module, [module]);
+        const errors = module.getErrors();
+        if (errors !== undefined) {
+          for (const error of errors) {
+            if (!error.module) {
+              error.module = module;
+            }
+            this.errors.push(error);
+          }
+        }
+        const warnings = module.getWarnings();
+        if (warnings !== undefined) {
+          for (const warning of warnings) {
+            if (!warning.module) {
+              warning.module = module;
+            }
+            this.warnings.push(warning);
+          }
+        }
+      }
+      this.logger.timeEnd("report dependency errors and warnings");
+
+      callback();
+    });
+  }
+
+  /**
+   * 撤销 seal 的结果，之后可以再次 seal
+   */
+  unseal() {
+    this.hooks.unseal.call();
+    this.chunks.clear();
+    this.chunkGroups.length = 0;
+    this.namedChunks.clear();
+    this.namedChunkGroups.clear();
+    this.entrypoints.clear();
+    this.additionalChunkAssets.length = 0;
+    this.assets = {};
+    this.assetsInfo.clear();
+    this.moduleGraph.removeAllModuleAttributes();
+    this.moduleGraph.unfreeze();
+  }
+
+  /**
+   * 封装阶段：创建 chunk -> 优化 -> 分配 id -> 计算 hash -> 生成代码 -> 产出资源
+   * @param {Callback} callback signals when the call finishes
+   * @returns {void}
+   */
+  seal(callback) {
+    /**
+     * @param {WebpackError=} err err
+     * @returns {void}
+     */
+    const finalCallback = (err) => {
+      this.factorizeQueue.clear();
+      this.buildQueue.clear();
+      this.processDependenciesQueue.clear();
+      this.addModuleQueue.clear();
+      return callback(err);
+    };
+    const chunkGraph = new ChunkGraph(
+      this.moduleGraph,
+      this.outputOptions.hashFunction
+    );
+    this.chunkGraph = chunkGraph;
+
+    if (this._backCompat) {
+      for (const module of this.modules) {
+        ChunkGraph.setChunkGraphForModule(module, chunkGraph);
+      }
+    }
+
+    this.hooks.seal.call();
+
+    this.logger.time("optimize dependencies");
+    while (this.hooks.optimizeDependencies.call(this.modules)) {
+      /* empty */
+    }
+    this.hooks.afterOptimizeDependencies.call(this.modules);
+    this.logger.timeEnd("optimize dependencies");
+
+    this.logger.time("create chunks");
+    this.hooks.beforeChunks.call();
+    // 之后不再修改模块之间的连接，可以缓存 ModuleGraph 上的计算结果
+    this.moduleGraph.freeze("seal");
+    /**
+     * 入口 -> 入口中的模块，之后从这些模块开始遍历，把模块分配到 chunk 中
+     * @type {Map<Entrypoint, Module[]>}
+     */
+    const chunkGraphInit = new Map();
+    for (const [name, { dependencies, includeDependencies, options }] of this
+      .entries) {
+      const chunk = this.addChunk(name);
+      if (options.filename) {
+        chunk.filenameTemplate = options.filename;
+      }
+      const entrypoint = new Entrypoint(options);
+      // 依赖其他入口或指定了 runtime 的入口，运行时代码不放在自己的 chunk 中
+      if (!options.dependOn && !options.runtime) {
+        entrypoint.setRuntimeChunk(chunk);
+      }
+      entrypoint.setEntrypointChunk(chunk);
+      this.namedChunkGroups.set(name, entrypoint);
+      this.entrypoints.set(name, entrypoint);
+      this.chunkGroups.push(entrypoint);
+      connectChunkGroupAndChunk(entrypoint, chunk);
+
+      /** @type {Module[]} */
+      const modulesList = [];
+      /** @type {Set<Module>} */
+      const entryModules = new Set();
+      for (const dep of [...this.globalEntry.dependencies, ...dependencies]) {
+        entrypoint.addOrigin(null, { name }, dep.request);
+
+        const module = this.moduleGraph.getModule(dep);
+        if (module) {
+          chunkGraph.connectChunkAndEntryModule(chunk, module, entrypoint);
+          entryModules.add(module);
+          modulesList.push(module);
+        }
+      }
+
+      this.assignDepths(entryModules);
+
+      /**
+       * @param {Dependency[]} deps deps
+       * @returns {Module[]} sorted deps
+       */
+      const mapAndSort = (deps) =>
+        deps
+          .map((dep) => this.moduleGraph.getModule(dep))
+          .filter(Boolean)
+          .sort(compareModulesByIdentifier);
+      const includedModules = [
+        ...mapAndSort(this.globalEntry.includeDependencies),
+        ...mapAndSort(includeDependencies),
+      ];
+      this.assignDepths(new Set(includedModules));
+      for (const module of includedModules) {
+        modulesList.push(module);
+      }
+      chunkGraphInit.set(entrypoint, modulesList);
+    }
+
+    // 处理入口之间的依赖关系（dependOn）和共享的运行时 chunk（runtime）
+    const runtimeChunks = new Set();
+    outer: for (const [
+      name,
+      {
+        options: { dependOn, runtime },
+      },
+    ] of this.entries) {
+      if (dependOn && runtime) {
+        const err =
+          new WebpackError(`Entrypoint '${name}' has 'dependOn' and 'runtime' specified. This is not valid.
+Entrypoints that depend on other entrypoints do not have their own runtime.
+They will use the runtime(s) from referenced entrypoints instead.
+Remove the 'runtime' option from the entrypoint.`);
+        const entry = /** @type {Entrypoint} */ (this.entrypoints.get(name));
+        err.chunk = entry.getEntrypointChunk();
+        this.errors.push(err);
+      }
+      if (dependOn) {
+        const entry = /** @type {Entrypoint} */ (this.entrypoints.get(name));
+        const referencedChunks = entry
+          .getEntrypointChunk()
+          .getAllReferencedChunks();
+        const dependOnEntries = [];
+        for (const dep of dependOn) {
+          const dependency = this.entrypoints.get(dep);
+          if (!dependency) {
+            throw new Error(
+              `Entry ${name} depends on ${dep}, but this entry was not found`
+            );
+          }
+          if (referencedChunks.has(dependency.getEntrypointChunk())) {
+            const err = new WebpackError(
+              `Entrypoints '${name}' and '${dep}' use 'dependOn' to depend on each other in a circular way.`
+            );
+            const entryChunk = entry.getEntrypointChunk();
+            err.chunk = entryChunk;
+            this.errors.push(err);
+            entry.setRuntimeChunk(entryChunk);
+            continue outer;
+          }
+          dependOnEntries.push(dependency);
+        }
+        for (const dependency of dependOnEntries) {
+          connectChunkGroupParentAndChild(dependency, entry);
+        }
+      } else if (runtime) {
+        const entry = /** @type {Entrypoint} */ (this.entrypoints.get(name));
+        let chunk = this.namedChunks.get(runtime);
+        if (chunk) {
+          if (!runtimeChunks.has(chunk)) {
+            const err =
+              new WebpackError(`Entrypoint '${name}' has a 'runtime' option which points to another entrypoint named '${runtime}'.
+It's not valid to use other entrypoints as runtime chunk.
+Did you mean to use 'dependOn: ${JSON.stringify(
+                runtime
+              )}' instead to allow using entrypoint '${name}' within the runtime of entrypoint '${runtime}'? For this '${runtime}' must always be loaded when '${name}' is used.
+Or do you want to use the entrypoints '${name}' and '${runtime}' independently on the same page with a shared runtime? In this case give them both the same value for the 'runtime' option. It must be a name not already used by an entrypoint.`);
+            const entryChunk = entry.getEntrypointChunk();
+            err.chunk = entryChunk;
+            this.errors.push(err);
+            entry.setRuntimeChunk(entryChunk);
+            continue;
+          }
+        } else {
+          chunk = this.addChunk(runtime);
+          chunk.preventIntegration = true;
+          runtimeChunks.add(chunk);
+        }
+        entry.unshiftChunk(chunk);
+        chunk.addGroup(entry);
+        entry.setRuntimeChunk(chunk);
+      }
+    }
+    this._assignModuleIndices(chunkGraphInit);
+    this._buildChunkGraph(chunkGraphInit);
+    this.hooks.afterChunks.call(this.chunks);
+    this.logger.timeEnd("create chunks");
+
+    this.logger.time("optimize");
+    this.hooks.optimize.call();
+
+    while (this.hooks.optimizeModules.call(this.modules)) {
+      /* empty */
+    }
+    this.hooks.afterOptimizeModules.call(this.modules);
+
+    while (this.hooks.optimizeChunks.call(this.chunks, this.chunkGroups)) {
+      /* empty */
+    }
+    this.hooks.afterOptimizeChunks.call(this.chunks, this.chunkGroups);
+
+    this.hooks.optimizeTree.callAsync(this.chunks, this.modules, (err) => {
+      if (err) {
+        return finalCallback(
+          makeWebpackError(err, "Compilation.hooks.optimizeTree")
+        );
+      }
+
+      this.hooks.afterOptimizeTree.call(this.chunks, this.modules);
+
+      this.hooks.optimizeChunkModules.callAsync(
+        this.chunks,
+        this.modules,
+        (err) => {
+          if (err) {
+            return finalCallback(
+              makeWebpackError(err, "Compilation.hooks.optimizeChunkModules")
+            );
+          }
+
+          this.hooks.afterOptimizeChunkModules.call(this.chunks, this.modules);
+
+          const shouldRecord = this.hooks.shouldRecord.call() !== false;
+
+          this.hooks.reviveModules.call(this.modules, this.records);
+          this.hooks.beforeModuleIds.call(this.modules);
+          this.hooks.moduleIds.call(this.modules);
+          this.hooks.optimizeModuleIds.call(this.modules);
+          this.hooks.afterOptimizeModuleIds.call(this.modules);
+
+          this.hooks.reviveChunks.call(this.chunks, this.records);
+          this.hooks.beforeChunkIds.call(this.chunks);
+          this.hooks.chunkIds.call(this.chunks);
+          this.hooks.optimizeChunkIds.call(this.chunks);
+          this.hooks.afterOptimizeChunkIds.call(this.chunks);
+
+          this.sortItemsWithChunkIds();
+
+          if (shouldRecord) {
+            this.hooks.recordModules.call(this.modules, this.records);
+            this.hooks.recordChunks.call(this.chunks, this.records);
+          }
+
+          this.hooks.optimizeCodeGeneration.call(this.modules);
+          this.logger.timeEnd("optimize");
+
+          this.logger.time("module hashing");
+          this.hooks.beforeModuleHash.call();
+          this.createModuleHashes();
+          this.hooks.afterModuleHash.call();
+          this.logger.timeEnd("module hashing");
+
+          this.logger.time("code generation");
+          this.hooks.beforeCodeGeneration.call();
+          this.codeGeneration((err) => {
+            if (err) {
+              return finalCallback(err);
+            }
+            this.hooks.afterCodeGeneration.call();
+            this.logger.timeEnd("code generation");
+
+            this.logger.time("runtime requirements");
+            this.hooks.beforeRuntimeRequirements.call();
+            this.processRuntimeRequirements();
+            this.hooks.afterRuntimeRequirements.call();
+            this.logger.timeEnd("runtime requirements");
+
+            this.logger.time("hashing");
+            this.hooks.beforeHash.call();
+            const codeGenerationJobs = this.createHash();
+            this.hooks.afterHash.call();
+            this.logger.timeEnd("hashing");
+
+            // 运行时模块在计算 hash 时才确定内容，之后再为它们生成代码
+            this._runCodeGenerationJobs(codeGenerationJobs, (err) => {
+              if (err) {
+                return finalCallback(err);
+              }
+
+              if (shouldRecord) {
+                this.logger.time("record hash");
+                this.hooks.recordHash.call(this.records);
+                this.logger.timeEnd("record hash");
+              }
+
+              this.logger.time("module assets");
+              this.clearAssets();
+
+              this.hooks.beforeModuleAssets.call();
+              this.createModuleAssets();
+              this.logger.timeEnd("module assets");
+
+              const cont = () => {
+                this.logger.time("process assets");
+                this.hooks.processAssets.callAsync(this.assets, (err) => {
+                  if (err) {
+                    return finalCallback(
+                      makeWebpackError(err, "Compilation.hooks.processAssets")
+                    );
+                  }
+                  this.hooks.afterProcessAssets.call(this.assets);
+                  this.logger.timeEnd("process assets");
+
+                  this.summarizeDependencies();
+                  if (shouldRecord) {
+                    this.hooks.record.call(this, this.records);
+                  }
+
+                  if (this.hooks.needAdditionalSeal.call()) {
+                    this.unseal();
+                    return this.seal(callback);
+                  }
+                  return this.hooks.afterSeal.callAsync((err) => {
+                    if (err) {
+                      return finalCallback(
+                        makeWebpackError(err, "Compilation.hooks.afterSeal")
+                      );
+                    }
+                    this.fileSystemInfo.logStatistics();
+                    finalCallback();
+                  });
+                });
+              };
+
+              this.logger.time("create chunk assets");
+              if (this.hooks.shouldGenerateChunkAssets.call() !== false) {
+                this.hooks.beforeChunkAssets.call();
+                this.createChunkAssets((err) => {
+                  this.logger.timeEnd("create chunk assets");
+                  if (err) {
+                    return finalCallback(err);
+                  }
+                  cont();
+                });
+              } else {
+                this.logger.timeEnd("create chunk assets");
+                cont();
+              }
+            });
+          });
+        }
+      );
+    });
+  }
+
+  /**
+   * 从给定的模块开始广度优先遍历，为模块设置深度（到入口的最短距离）
+   * 队列中的数字用来分隔不同的层级
+   * 多个入口共享的模块保留其中最小的深度，深度没有变小的模块不再继续遍历
+   * @param {Set<Module>} modules module to assign depth
+   * @returns {void}
+   */
+  assignDepths(modules) {
+    const moduleGraph = this.moduleGraph;
+
+    /** @type {Set<Module | number>} */
+    const queue = new Set(modules);
+    queue.add(1);
+    let depth = 0;
+
+    let i = 0;
+    for (const module of queue) {
+      i++;
+      if (typeof module === "number") {
+        depth = module;
+        if (queue.size === i) return;
+        queue.add(depth + 1);
+      } else {
+        if (!moduleGraph.setDepthIfLower(module, depth)) continue;
+        for (const { module: refModule } of moduleGraph.getOutgoingConnections(
+          module
+        )) {
+          if (refModule) {
+            queue.add(refModule);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * 从入口模块开始深度优先遍历，为模块分配前序和后序索引
+   * 同步依赖按源码顺序遍历，异步依赖块中的模块在所有同步模块之后遍历，
+   * natural 模块 id 以及 stats 中的 index/index2 使用这些索引
+   * 与创建 chunk 时一样，跳过弱依赖和在入口运行时中未激活的连接
+   * @param {Map<Entrypoint, Module[]>} chunkGraphInit entrypoints with their modules
+   * @returns {void}
+   */
+  _assignModuleIndices(chunkGraphInit) {
+    const { moduleGraph } = this;
+    let nextPreOrderIndex = 0;
+    let nextPostOrderIndex = 0;
+    /** @type {Set<Module>} */
+    const visited = new Set();
+    /** @type {{ block: DependenciesBlock, runtime: RuntimeSpec }[]} */
+    const asyncBlocks = [];
+
+    /**
+     * @param {DependenciesBlock} root block to start from
+     * @param {RuntimeSpec} runtime runtime of the entrypoint
+     * @returns {void}
+     */
+    const visit = (root, runtime) => {
+      // leave 为 true 时表示模块的依赖都已遍历完，此时分配后序索引
+      /** @type {{ block: DependenciesBlock, leave: boolean }[]} */
+      const stack = [{ block: root, leave: false }];
+      while (stack.length > 0) {
+        const { block, leave } =
+          /** @type {{ block: DependenciesBlock, leave: boolean }} */ (
+            stack.pop()
+          );
+        if (block instanceof Module) {
+          if (leave) {
+            if (moduleGraph.setPostOrderIndexIfUnset(block, nextPostOrderIndex))
+              nextPostOrderIndex++;
+            continue;
+          }
+          if (visited.has(block)) continue;
+          visited.add(block);
+          if (moduleGraph.setPreOrderIndexIfUnset(block, nextPreOrderIndex))
+            nextPreOrderIndex++;
+          stack.push({ block, leave: true });
+        }
+        for (const asyncBlock of block.blocks) {
+          asyncBlocks.push({ block: asyncBlock, runtime });
+        }
+        // 逆序入栈，出栈时就是依赖在源码中的顺序
+        const { dependencies } = block;
+        for (let i = dependencies.length - 1; i >= 0; i--) {
+          const connection = moduleGraph.getConnection(dependencies[i]);
+          if (
+            !connection ||
+            !connection.module ||
+            connection.weak ||
+            !connection.isTargetActive(runtime)
+          ) {
+            continue;
+          }
+          if (!visited.has(connection.module)) {
+            stack.push({ block: connection.module, leave: false });
+          }
+        }
+      }
+    };
+
+    for (const [entrypoint, modules] of chunkGraphInit) {
+      const runtime = entrypoint.options.runtime || entrypoint.name;
+      for (const module of modules) {
+        visit(module, runtime);
+      }
+    }
+    // 遍历过程中还会加入新的异步依赖块
+    for (let i = 0; i < asyncBlocks.length; i++) {
+      visit(asyncBlocks[i].block, asyncBlocks[i].runtime);
+    }
+  }
+
+  /**
+   * 从入口模块开始遍历依赖，把模块放入 chunk
+   * 遇到异步依赖块时为它创建新的 chunkGroup 和 chunk，并继续在新 chunk 中遍历
+   * @param {Map<Entrypoint, Module[]>} chunkGraphInit entrypoints with their modules
+   * @returns {void}
+   */
+  _buildChunkGraph(chunkGraphInit) {
+    /**
+     * @typedef {object} QueueItem
+     * @property {DependenciesBlock} block 要遍历的依赖块
+     * @property {Chunk} chunk 依赖块中的模块要放入的 chunk
+     * @property {ChunkGroup} chunkGroup chunk 所属的 chunkGroup
+     */
+
+    const { moduleGraph, chunkGraph } = this;
+    /** @type {QueueItem[]} */
+    const queue = [];
+    /**
+     * chunk -> 已经遍历过的依赖块，避免循环依赖时重复遍历
+     * @type {Map<Chunk, Set<DependenciesBlock>>}
+     */
+    const visited = new Map();
+
+    for (const [entrypoint, modules] of chunkGraphInit) {
+      const chunk = entrypoint.getEntrypointChunk();
+      chunk.runtime = entrypoint.options.runtime || entrypoint.name;
+      for (const module of modules) {
+        queue.push({ block: module, chunk, chunkGroup: entrypoint });
+      }
+    }
+
+    let chunkGroupCounter = 0;
+    for (const chunkGroup of this.chunkGroups) {
+      chunkGroup.index = chunkGroupCounter++;
+    }
+
+    // 用下标遍历队列，避免 shift 在大型模块图上的开销
+    for (let i = 0; i < queue.length; i++) {
+      const { block, chunk, chunkGroup } = queue[i];
+      let visitedBlocks = visited.get(chunk);
+      if (visitedBlocks === undefined) {
+        visitedBlocks = new Set();
+        visited.set(chunk, visitedBlocks);
+      }
+      if (visitedBlocks.has(block)) continue;
+      visitedBlocks.add(block);
+
+      if (block instanceof Module) {
+        chunkGraph.connectChunkAndModule(chunk, block);
+      }
+
+      for (const dep of block.dependencies) {
+        const connection = moduleGraph.getConnection(dep);
+        // 弱依赖不会把模块放入 chunk，在当前运行时中未激活的连接也跳过
+        if (
+          !connection ||
+          !connection.module ||
+          connection.weak ||
+          !connection.isTargetActive(chunk.runtime)
+        ) {
+          continue;
+        }
+        const module = connection.module;
+        if (!visitedBlocks.has(module)) {
+          queue.push({ block: module, chunk, chunkGroup });
+        }
+      }
+
+      for (const asyncBlock of block.blocks) {
+        let childGroup = chunkGraph.getBlockChunkGroup(asyncBlock);
+        if (childGroup === undefined) {
+          const module = /** @type {Module} */ (asyncBlock.getRootBlock());
+          childGroup = this.addChunkInGroup(
+            asyncBlock.groupOptions,
+            module,
+            asyncBlock.loc,
+            asyncBlock.request
+          );
+          childGroup.index = chunkGroupCounter++;
+          chunkGraph.connectBlockAndChunkGroup(asyncBlock, childGroup);
+        }
+        connectChunkGroupParentAndChild(chunkGroup, childGroup);
+        const childChunk = childGroup.chunks[0];
+        if (childChunk.runtime === undefined)
+          childChunk.runtime = chunk.runtime;
+        // 异步块本身的同步依赖放入新的 chunk
+        queue.push({
+          block: asyncBlock,
+          chunk: childChunk,
+          chunkGroup: childGroup,
+        });
+      }
+    }
+  }
+
+  /**
+   * 把依赖及子依赖块中的警告和错误收集到编译中
+   * @param {Module} module module to report from
+   * @param {DependenciesBlock[]} blocks blocks to report from
+   * @returns {boolean} true, when it has warnings or errors
+   */
+  reportDependencyErrorsAndWarnings(module, blocks) {
+    let hasProblems = false;
+    for (let indexBlock = 0; indexBlock < blocks.length; indexBlock++) {
+      const block = blocks[indexBlock];
+      const dependencies = block.dependencies;
+
+      for (let indexDep = 0; indexDep < dependencies.length; indexDep++) {
+        const d = dependencies[indexDep];
+
+        const warnings = d.getWarnings(this.moduleGraph);
+        if (warnings) {
+          for (let indexWar = 0; indexWar < warnings.length; indexWar++) {
+            const w = warnings[indexWar];
+
+            const warning = new ModuleDependencyWarning(module, w, d.loc);
+            this.warnings.push(warning);
+            hasProblems = true;
+          }
+        }
+        const errors = d.getErrors(this.moduleGraph);
+        if (errors) {
+          for (let indexErr = 0; indexErr < errors.length; indexErr++) {
+            const e = errors[indexErr];
+
+            const error = new ModuleDependencyError(module, e, d.loc);
+            this.errors.push(error);
+            hasProblems = true;
+          }
+        }
+      }
+
+      if (this.reportDependencyErrorsAndWarnings(module, block.blocks))
+        hasProblems = true;
+    }
+    return hasProblems;
+  }
+
+  /**
+   * 为每个模块生成代码，结果保存在 codeGenerationResults 中
+   * @param {Callback} callback callback
+   * @returns {void}
+   */
+  codeGeneration(callback) {
+    const chunkGraph = /** @type {ChunkGraph} */ (this.chunkGraph);
+    this.codeGenerationResults = new CodeGenerationResults(
+      this.outputOptions.hashFunction
+    );
+    // 模块在每个运行时下都要有代码生成结果，
+    // 不同运行时下 hash 相同的模块只生成一次，结果共享给这些运行时
+    /** @type {CodeGenerationJobs} */
+    const jobs = [];
+    for (const module of this.modules) {
+      /** @type {Map<string, { module: Module, runtime: RuntimeSpec, runtimes: RuntimeSpec[] }>} */
+      const jobByHash = new Map();
+      for (const runtime of chunkGraph.getModuleRuntimes(module)) {
+        const hash = chunkGraph.getModuleHash(module, runtime);
+        const job = jobByHash.get(hash);
+        if (job === undefined) {
+          const newJob = { module, runtime, runtimes: [runtime] };
+          jobs.push(newJob);
+          jobByHash.set(hash, newJob);
+        } else {
+          job.runtimes.push(runtime);
+        }
+      }
+    }
+    this._runCodeGenerationJobs(jobs, callback);
+  }
+
+  /**
+   * 执行代码生成任务，出错的模块记录到 errors 中，不中断其他模块
+   * @private
+   * @param {CodeGenerationJobs} jobs code generation jobs
+   * @param {Callback} callback callback
+   * @returns {void}
+   */
+  _runCodeGenerationJobs(jobs, callback) {
+    if (jobs.length === 0) {
+      return callback();
+    }
+    const chunkGraph = /** @type {ChunkGraph} */ (this.chunkGraph);
+    /** @type {WebpackError[]} */
+    const errors = [];
+    asyncLib.eachLimit(
+      jobs,
+      this.options.parallelism,
+      ({ module, runtime, runtimes }, callback) => {
+        let result;
+        try {
+          result = module.codeGeneration({
+            chunkGraph,
+            moduleGraph: this.moduleGraph,
+            dependencyTemplates: this.dependencyTemplates,
+            runtimeTemplate: this.runtimeTemplate,
+            runtime,
+            codeGenerationResults: this.codeGenerationResults,
+            compilation: this,
+          });
+        } catch (err) {
+          const error = makeWebpackError(err, "Module.codeGeneration");
+          error.module = module;
+          errors.push(error);
+          return callback();
+        }
+        for (const runtime of runtimes) {
+          this.codeGenerationResults.add(module, runtime, result);
+        }
+        this.codeGeneratedModules.add(module);
+        callback();
+      },
+      (err) => {
+        if (err) return callback(err);
+        if (errors.length > 0) {
+          errors.sort(
+            (a, b) =>
+              compareModulesByIdentifier(a.module, b.module) ||
+              compareLocations(a.loc, b.loc)
+          );
+          for (const error of errors) {
+            this.errors.push(error);
+          }
+        }
+        callback();
+      }
+    );
+  }
+
+  /**
+   * 把 chunk 中的模块、chunkGroup 的来源等按 id 排序，保证输出稳定
+   * @returns {void}
+   */
+  sortItemsWithChunkIds() {
+    for (const chunkGroup of this.chunkGroups) {
+      chunkGroup.sortItems();
+    }
+
+    this.errors.sort(compareErrors);
+    this.warnings.sort(compareErrors);
+    this.children.sort(byNameOrHash);
+  }
+
+  /**
+   * 汇总本次编译的依赖（文件、目录、缺失的路径、构建依赖），供 watch 和缓存使用
+   * @returns {void}
+   */
+  summarizeDependencies() {
+    for (const child of this.children) {
+      this.fileDependencies.addAll(child.fileDependencies);
+      this.contextDependencies.addAll(child.contextDependencies);
+      this.missingDependencies.addAll(child.missingDependencies);
+      this.buildDependencies.addAll(child.buildDependencies);
+    }
+
+    for (const module of this.modules) {
+      module.addCacheDependencies(
+        this.fileDependencies,
+        this.contextDependencies,
+        this.missingDependencies,
+        this.buildDependencies
+      );
+    }
+  }
+
+  /**
+   * 计算所有模块的 hash
+   * @returns {void}
+   */
+  createModuleHashes() {
+    const chunkGraph = /** @type {ChunkGraph} */ (this.chunkGraph);
+    const { hashFunction, hashDigest, hashDigestLength } = this.outputOptions;
+    for (const module of this.modules) {
+      // 同一个模块在不同运行时中的导出使用情况可能不同，hash 按运行时分别计算
+      for (const runtime of chunkGraph.getModuleRuntimes(module)) {
+        const moduleHashObj = createHash(hashFunction);
+        module.updateHash(moduleHashObj, { chunkGraph, runtime });
+        const moduleHash = /** @type {string} */ (
+          moduleHashObj.digest(hashDigest)
+        );
+        chunkGraph.setModuleHashes(
+          module,
+          runtime,
+          moduleHash,
+          moduleHash.slice(0, hashDigestLength)
+        );
+      }
+    }
+  }
+
+  /**
+   * 为模块计算指定运行时下的 hash 并记录到 chunkGraph
+   * @param {Module} module module
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @param {RuntimeSpec} runtime runtime
+   * @returns {string} module hash digest
+   */
+  _createModuleHash(module, chunkGraph, runtime) {
+    const { hashFunction, hashDigest, hashDigestLength } = this.outputOptions;
+    const moduleHash = createHash(hashFunction);
+    module.updateHash(moduleHash, {
+      chunkGraph,
+      runtime,
+      runtimeTemplate: this.runtimeTemplate,
+    });
+    const moduleHashDigest = /** @type {string} */ (
+      moduleHash.digest(hashDigest)
+    );
+    chunkGraph.setModuleHashes(
+      module,
+      runtime,
+      moduleHashDigest,
+      moduleHashDigest.slice(0, hashDigestLength)
+    );
+    return moduleHashDigest;
+  }
+
+  /**
+   * 计算每个 chunk 的 hash 以及整个编译的 hash
+   * 运行时模块在这里才计算 hash，返回它们的代码生成任务
+   * @returns {CodeGenerationJobs} code generation jobs of the runtime modules
+   */
+  createHash() {
+    this.logger.time("hashing: initialize hash");
+    const outputOptions = this.outputOptions;
+    const hashFunction = outputOptions.hashFunction;
+    const hashDigest = outputOptions.hashDigest;
+    const hashDigestLength = outputOptions.hashDigestLength;
+    const hash = createHash(hashFunction);
+    if (outputOptions.hashSalt) {
+      hash.update(outputOptions.hashSalt);
+    }
+    this.logger.timeEnd("hashing: initialize hash");
+    if (this.children.length > 0) {
+      this.logger.time("hashing: hash child compilations");
+      for (const child of this.children) {
+        hash.update(child.hash);
+      }
+      this.logger.timeEnd("hashing: hash child compilations");
+    }
+    if (this.warnings.length > 0) {
+      this.logger.time("hashing: hash warnings");
+      for (const warning of this.warnings) {
+        hash.update(`${warning.message}`);
+      }
+      this.logger.timeEnd("hashing: hash warnings");
+    }
+    if (this.errors.length > 0) {
+      this.logger.time("hashing: hash errors");
+      for (const error of this.errors) {
+        hash.update(`${error.message}`);
+      }
+      this.logger.timeEnd("hashing: hash errors");
+    }
+
+    this.logger.time("hashing: hash chunks");
+    const chunkGraph = /** @type {ChunkGraph} */ (this.chunkGraph);
+    // 按 id 排序，保证 hash 与 chunk 的创建顺序无关
+    const chunks = Array.from(this.chunks).sort((a, b) => {
+      if (a.id === null || b.id === null)
+        return compareIds(a.debugId, b.debugId);
+      return compareIds(a.id, b.id);
+    });
+    /** @type {Set<Chunk>} */
+    const fullHashChunks = new Set();
+    /** @type {CodeGenerationJobs} */
+    const codeGenerationJobs = [];
+    /** @type {Map<string, Map<Module, { module: Module, hash: string, runtime: RuntimeSpec, runtimes: RuntimeSpec[] }>>} */
+    const codeGenerationJobsMap = new Map();
+    for (const chunk of chunks) {
+      // 运行时模块的内容可能依赖其他 chunk 的 hash，在所属 chunk 计算 hash 之前处理
+      const runtime = chunk.runtime;
+      for (const module of chunkGraph.getChunkRuntimeModulesInOrder(chunk)) {
+        if (!chunkGraph.hasModuleHashes(module, runtime)) {
+          const hash = this._createModuleHash(module, chunkGraph, runtime);
+          let hashMap = codeGenerationJobsMap.get(hash);
+          if (hashMap) {
+            const moduleJob = hashMap.get(module);
+            if (moduleJob) {
+              moduleJob.runtimes.push(runtime);
+              continue;
+            }
+          } else {
+            hashMap = new Map();
+            codeGenerationJobsMap.set(hash, hashMap);
+          }
+          const job = { module, hash, runtime, runtimes: [runtime] };
+          hashMap.set(module, job);
+          codeGenerationJobs.push(job);
+        }
+      }
+      const chunkHash = createHash(hashFunction);
+      if (outputOptions.hashSalt) {
+        chunkHash.update(outputOptions.hashSalt);
+      }
+      chunk.updateHash(chunkHash);
+      for (const module of chunkGraph.getOrderedChunkModulesIterable(
+        chunk,
+        compareModulesByIdentifier
+      )) {
+        chunkHash.update(chunkGraph.getModuleHash(module, chunk.runtime));
+      }
+      for (const module of chunkGraph.getChunkEntryModulesIterable(chunk)) {
+        chunkHash.update(`entry${module.identifier()}`);
+      }
+      this.hooks.chunkHash.call(chunk, chunkHash, {
+        chunkGraph: this.chunkGraph,
+        codeGenerationResults: this.codeGenerationResults,
+        moduleGraph: this.moduleGraph,
+        runtimeTemplate: this.runtimeTemplate,
+      });
+      const chunkHashDigest = /** @type {string} */ (
+        chunkHash.digest(hashDigest)
+      );
+      hash.update(chunkHashDigest);
+      chunk.hash = chunkHashDigest;
+      chunk.renderedHash = chunk.hash.slice(0, hashDigestLength);
+      const fullHashModules = chunkGraph.getChunkFullHashModulesIterable(chunk);
+      if (fullHashModules) {
+        fullHashChunks.add(chunk);
+      } else {
+        this.hooks.contentHash.call(chunk);
+      }
+    }
+    this.logger.timeEnd("hashing: hash chunks");
+
+    this.logger.time("hashing: hash digest");
+    this.hooks.fullHash.call(hash);
+    this.fullHash = /** @type {string} */ (hash.digest(hashDigest));
+    this.hash = this.fullHash.slice(0, hashDigestLength);
+    this.logger.timeEnd("hashing: hash digest");
+
+    // 依赖编译 hash 的运行时模块（例如 __webpack_require__.h）在得到 fullHash 后重新计算
+    this.logger.time("hashing: process full hash modules");
+    for (const chunk of fullHashChunks) {
+      for (const module of /** @type {Iterable<RuntimeModule>} */ (
+        chunkGraph.getChunkFullHashModulesIterable(chunk)
+      )) {
+        const oldHash = /** @type {string} */ (
+          chunkGraph.getModuleHash(module, chunk.runtime)
+        );
+        const moduleHashDigest = this._createModuleHash(
+          module,
+          chunkGraph,
+          chunk.runtime
+        );
+        codeGenerationJobsMap.get(oldHash).get(module).hash = moduleHashDigest;
+      }
+      const chunkHash = createHash(hashFunction);
+      chunkHash.update(chunk.hash);
+      chunkHash.update(this.hash);
+      const chunkHashDigest = /** @type {string} */ (
+        chunkHash.digest(hashDigest)
+      );
+      chunk.hash = chunkHashDigest;
+      chunk.renderedHash = chunk.hash.slice(0, hashDigestLength);
+      this.hooks.contentHash.call(chunk);
+    }
+    this.logger.timeEnd("hashing: process full hash modules");
+    return codeGenerationJobs;
+  }
+
+  /**
+   * 添加一个资源，同名资源内容不同时报告冲突
+   * @param {string} file file name
+   * @param {Source} source asset source
+   * @param {AssetInfo} assetInfo extra asset information
+   * @returns {void}
+   */
+  emitAsset(file, source, assetInfo = {}) {
+    if (this.assets[file]) {
+      if (!isSourceEqual(this.assets[file], source)) {
+        this.errors.push(
+          new WebpackError(
+            `Conflict: Multiple assets emit different content to the same filename ${file}${
+              assetInfo.sourceFilename
+                ? `. Original source ${assetInfo.sourceFilename}`
+                : ""
+            }`
+          )
+        );
+        this.assets[file] = source;
+        this._setAssetInfo(file, assetInfo);
+        return;
+      }
+      const oldInfo = this.assetsInfo.get(file);
+      const newInfo = { ...oldInfo, ...assetInfo };
+      this._setAssetInfo(file, newInfo, oldInfo);
+      return;
+    }
+    this.assets[file] = source;
+    this._setAssetInfo(file, assetInfo, undefined);
+  }
+
+  /**
+   * 设置资源信息，同时维护 related 的反向索引（_assetsRelatedIn）
+   * @param {string} file file name
+   * @param {AssetInfo=} newInfo new asset information
+   * @param {AssetInfo=} oldInfo old asset information
+   */
+  _setAssetInfo(file, newInfo, oldInfo = this.assetsInfo.get(file)) {
+    if (newInfo === undefined) {
+      this.assetsInfo.delete(file);
+    } else {
+      this.assetsInfo.set(file, newInfo);
+    }
+    const oldRelated = oldInfo && oldInfo.related;
+    const newRelated = newInfo && newInfo.related;
+    if (oldRelated) {
+      for (const key of Object.keys(oldRelated)) {
+        /**
+         * @param {string} name name
+         */
+        const remove = (name) => {
+          const relatedIn = this._assetsRelatedIn.get(name);
+          if (relatedIn === undefined) return;
+          const entry = relatedIn.get(key);
+          if (entry === undefined) return;
+          entry.delete(file);
+          if (entry.size !== 0) return;
+          relatedIn.delete(key);
+          if (relatedIn.size === 0) this._assetsRelatedIn.delete(name);
+        };
+        const entry = oldRelated[key];
+        if (Array.isArray(entry)) {
+          for (const name of entry) {
+            remove(name);
+          }
+        } else if (entry) {
+          remove(entry);
+        }
+      }
+    }
+    if (newRelated) {
+      for (const key of Object.keys(newRelated)) {
+        /**
+         * @param {string} name name
+         */
+        const add = (name) => {
+          let relatedIn = this._assetsRelatedIn.get(name);
+          if (relatedIn === undefined) {
+            this._assetsRelatedIn.set(name, (relatedIn = new Map()));
+          }
+          let entry = relatedIn.get(key);
+          if (entry === undefined) {
+            relatedIn.set(key, (entry = new Set()));
+          }
+          entry.add(file);
+        };
+        const entry = newRelated[key];
+        if (Array.isArray(entry)) {
+          for (const name of entry) {
+            add(name);
+          }
+        } else if (entry) {
+          add(entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * 更新已有资源的内容和信息
+   * @param {string} file file name
+   * @param {Source | function(Source): Source} newSourceOrFunction new asset source or function converting old to new
+   * @param {(AssetInfo | function(AssetInfo): AssetInfo) | undefined} assetInfoUpdateOrFunction new asset info or function converting old to new
+   */
+  updateAsset(
+    file,
+    newSourceOrFunction,
+    assetInfoUpdateOrFunction = undefined
+  ) {
+    if (!this.assets[file]) {
+      throw new Error(
+        `Called Compilation.updateAsset for not existing filename ${file}`
+      );
+    }
+    this.assets[file] =
+      typeof newSourceOrFunction === "function"
+        ? newSourceOrFunction(this.assets[file])
+        : newSourceOrFunction;
+    if (assetInfoUpdateOrFunction !== undefined) {
+      const oldInfo = this.assetsInfo.get(file) || EMPTY_ASSET_INFO;
+      if (typeof assetInfoUpdateOrFunction === "function") {
+        this._setAssetInfo(file, assetInfoUpdateOrFunction(oldInfo), oldInfo);
+      } else {
+        this._setAssetInfo(
+          file,
+          cachedCleverMerge(oldInfo, assetInfoUpdateOrFunction),
+          oldInfo
+        );
+      }
+    }
+  }
+
+  /**
+   * 重命名资源，同时更新其他资源中 related 的引用以及 chunk 的文件列表
+   * @param {string} file file name
+   * @param {string} newFile the new name of file
+   */
+  renameAsset(file, newFile) {
+    const source = this.assets[file];
+    if (!source) {
+      throw new Error(
+        `Called Compilation.renameAsset for not existing filename ${file}`
+      );
+    }
+    if (this.assets[newFile] && !isSourceEqual(this.assets[file], source)) {
+      this.errors.push(
+        new WebpackError(
+          `Conflict: Called Compilation.renameAsset for already existing filename ${newFile} with different content`
+        )
+      );
+    }
+    const assetInfo = this.assetsInfo.get(file);
+    // 更新其他资源中 related 的引用
+    const relatedInInfo = this._assetsRelatedIn.get(file);
+    if (relatedInInfo) {
+      for (const [key, assets] of relatedInInfo) {
+        for (const name of assets) {
+          const info = this.assetsInfo.get(name);
+          if (!info) continue;
+          const related = info.related;
+          if (!related) continue;
+          const entry = related[key];
+          let newEntry;
+          if (Array.isArray(entry)) {
+            newEntry = entry.map((x) => (x === file ? newFile : x));
+          } else if (entry === file) {
+            newEntry = newFile;
+          } else continue;
+          this.assetsInfo.set(name, {
+            ...info,
+            related: {
+              ...related,
+              [key]: newEntry,
+            },
+          });
+        }
+      }
+    }
+    this._setAssetInfo(file, undefined, assetInfo);
+    this._setAssetInfo(newFile, assetInfo);
+    delete this.assets[file];
+    this.assets[newFile] = source;
+    for (const chunk of this.chunks) {
+      {
+        const size = chunk.files.size;
+        chunk.files.delete(file);
+        if (size !== chunk.files.size) {
+          chunk.files.add(newFile);
+        }
+      }
+      {
+        const size = chunk.auxiliaryFiles.size;
+        chunk.auxiliaryFiles.delete(file);
+        if (size !== chunk.auxiliaryFiles.size) {
+          chunk.auxiliaryFiles.add(newFile);
+        }
+      }
+    }
+  }
+
+  /**
+   * 删除资源，关联的资源不再被其他资源引用时一并删除
+   * @param {string} file file name
+   */
+  deleteAsset(file) {
+    if (!this.assets[file]) {
+      return;
+    }
+    delete this.assets[file];
+    const assetInfo = this.assetsInfo.get(file);
+    this._setAssetInfo(file, undefined, assetInfo);
+    const related = assetInfo && assetInfo.related;
+    if (related) {
+      for (const key of Object.keys(related)) {
+        /**
+         * @param {string} file file
+         */
+        const checkUsedAndDelete = (file) => {
+          if (!this._assetsRelatedIn.has(file)) {
+            this.deleteAsset(file);
+          }
+        };
+        const items = related[key];
+        if (Array.isArray(items)) {
+          for (const file of items) {
+            checkUsedAndDelete(file);
+          }
+        } else if (items) {
+          checkUsedAndDelete(items);
+        }
+      }
+    }
+    // TODO 如果这里成为性能瓶颈，可以维护一个资源到 chunk 的反向索引
+    for (const chunk of this.chunks) {
+      chunk.files.delete(file);
+      chunk.auxiliaryFiles.delete(file);
+    }
+  }
+
+  /**
+   * @returns {Readonly<Asset>[]} 所有资源
+   */
+  getAssets() {
+    /** @type {Readonly<Asset>[]} */
+    const array = [];
+    for (const assetName of Object.keys(this.assets)) {
+      if (Object.prototype.hasOwnProperty.call(this.assets, assetName)) {
+        array.push({
+          name: assetName,
+          source: this.assets[assetName],
+          info: this.assetsInfo.get(assetName) || EMPTY_ASSET_INFO,
+        });
+      }
+    }
+    return array;
+  }
+
+  /**
+   * @param {string} name the name of the asset
+   * @returns {Readonly<Asset> | undefined} the asset or undefined when not found
+   */
+  getAsset(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.assets, name)) return;
+    return {
+      name,
+      source: this.assets[name],
+      info: this.assetsInfo.get(name) || EMPTY_ASSET_INFO,
+    };
+  }
+
+  clearAssets() {
+    for (const chunk of this.chunks) {
+      chunk.files.clear();
+      chunk.auxiliaryFiles.clear();
+    }
+  }
+
+  /**
+   * 产出模块在构建时生成的资源（例如 loader 调用 emitFile 产生的文件）
+   */
+  createModuleAssets() {
+    for (const module of this.modules) {
+      const buildInfo = module.buildInfo;
+      if (buildInfo && buildInfo.assets) {
+        const assetsInfo = buildInfo.assetsInfo;
+        for (const assetName of Object.keys(buildInfo.assets)) {
+          const fileName = this.getPath(assetName, {
+            chunkGraph: this.chunkGraph,
+            module,
+          });
+          for (const chunk of this.chunkGraph.getModuleChunksIterable(module)) {
+            chunk.auxiliaryFiles.add(fileName);
+          }
+          this.emitAsset(
+            fileName,
+            buildInfo.assets[assetName],
+            assetsInfo ? assetsInfo.get(assetName) : undefined
+          );
+          this.hooks.moduleAsset.call(module, fileName);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {RenderManifestOptions} options options object
+   * @returns {RenderManifestEntry[]} manifest entries
+   */
+  getRenderManifest(options) {
+    return this.hooks.renderManifest.call([], options);
+  }
+
+  /**
+   * 渲染每个 chunk 并产出资源
+   * @param {Callback} callback signals when the call finishes
+   * @returns {void}
+   */
+  createChunkAssets(callback) {
+    const outputOptions = this.outputOptions;
+    /** @type {WeakMap<Source, CachedSource>} */
+    const cachedSourceMap = new WeakMap();
+    /** @type {Map<string, {hash: string, source: Source, chunk: Chunk}>} */
+    const alreadyWrittenFiles = new Map();
+
+    asyncLib.forEachLimit(
+      this.chunks,
+      15,
+      (chunk, callback) => {
+        /** @type {RenderManifestEntry[]} */
+        let manifest;
+        try {
+          manifest = this.getRenderManifest({
+            chunk,
+            hash: this.hash,
+            fullHash: this.fullHash,
+            outputOptions,
+            codeGenerationResults: this.codeGenerationResults,
+            dependencyTemplates: this.dependencyTemplates,
+            chunkGraph: this.chunkGraph,
+            moduleGraph: this.moduleGraph,
+            compilation: this,
+          });
+        } catch (err) {
+          this.errors.push(new ChunkRenderError(chunk, "", err));
+          return callback();
+        }
+        asyncLib.each(
+          manifest,
+          (fileManifest, callback) => {
+            const usedHash = fileManifest.hash;
+            let filenameTemplate;
+            let file;
+            let assetInfo;
+
+            try {
+              if ("filename" in fileManifest) {
+                file = fileManifest.filename;
+                assetInfo = fileManifest.info;
+              } else {
+                filenameTemplate = fileManifest.filenameTemplate;
+                const pathAndInfo = this.getPathWithInfo(
+                  filenameTemplate,
+                  fileManifest.pathOptions
+                );
+                file = pathAndInfo.path;
+                assetInfo = fileManifest.info
+                  ? {
+                      ...pathAndInfo.info,
+                      ...fileManifest.info,
+                    }
+                  : pathAndInfo.info;
+              }
+
+              let source;
+
+              // 检查是否已经有其他 chunk 输出了同名的文件
+              const alreadyWritten = alreadyWrittenFiles.get(file);
+              if (alreadyWritten !== undefined) {
+                if (alreadyWritten.hash !== usedHash) {
+                  return callback(
+                    new WebpackError(
+                      `Conflict: Multiple chunks emit assets to the same filename ${file}` +
+                        ` (chunks ${alreadyWritten.chunk.id} and ${chunk.id})`
+                    )
+                  );
+                }
+                source = alreadyWritten.source;
+              } else {
+                // 渲染资源
+                source = fileManifest.render();
+
+                // 确保是 CachedSource，避免后续重复读取 source 时重复计算
+                if (!(source instanceof CachedSource)) {
+                  const cacheEntry = cachedSourceMap.get(source);
+                  if (cacheEntry) {
+                    source = cacheEntry;
+                  } else {
+                    const cachedSource = new CachedSource(source);
+                    cachedSourceMap.set(source, cachedSource);
+                    source = cachedSource;
+                  }
+                }
+              }
+              this.emitAsset(file, source, assetInfo);
+              if (fileManifest.auxiliary) {
+                chunk.auxiliaryFiles.add(file);
+              } else {
+                chunk.files.add(file);
+              }
+              this.hooks.chunkAsset.call(chunk, file);
+              alreadyWrittenFiles.set(file, {
+                hash: usedHash,
+                source,
+                chunk,
+              });
+            } catch (err) {
+              const filename =
+                file ||
+                (typeof filenameTemplate === "string" ? filenameTemplate : "");
+              this.errors.push(new ChunkRenderError(chunk, filename, err));
+            }
+            callback();
+          },
+          callback
+        );
+      },
+      callback
+    );
+  }
+
+  /**
+   * 替换路径模板中的占位符，默认使用编译的 hash
+   * @param {TemplatePath} filename used to get asset path with hash
+   * @param {PathData} data context data
+   * @returns {string} interpolated path
+   */
+  getPath(filename, data = {}) {
+    if (!data.hash) {
+      data = {
+        hash: this.hash,
+        ...data,
+      };
+    }
+    return this.getAssetPath(filename, data);
+  }
+
+  /**
+   * @param {TemplatePath} filename used to get asset path with hash
+   * @param {PathData} data context data
+   * @returns {InterpolatedPathAndAssetInfo} interpolated path and asset info
+   */
+  getPathWithInfo(filename, data = {}) {
+    if (!data.hash) {
+      data = {
+        hash: this.hash,
+        ...data,
+      };
+    }
+    return this.getAssetPathWithInfo(filename, data);
+  }
+
+  /**
+   * @param {TemplatePath} filename used to get asset path with hash
+   * @param {PathData} data context data
+   * @returns {string} interpolated path
+   */
+  getAssetPath(filename, data) {
+    return this.hooks.assetPath.call(
+      typeof filename === "function" ? filename(data) : filename,
+      data,
+      undefined
+    );
+  }
+
+  /**
+   * @param {TemplatePath} filename used to get asset path with hash
+   * @param {PathData} data context data
+   * @returns {InterpolatedPathAndAssetInfo} interpolated path and asset info
+   */
+  getAssetPathWithInfo(filename, data) {
+    const assetInfo = {};
+    // TODO webpack 5: refactor assetPath hook to receive { path, info } object
+    const newPath = this.hooks.assetPath.call(
+      typeof filename === "function" ? filename(data, assetInfo) : filename,
+      data,
+      assetInfo
+    );
+    return { path: newPath, info: assetInfo };
+  }
+
+  getWarnings() {
+    return this.hooks.processWarnings.call(this.warnings);
+  }
+
+  getErrors() {
+    return this.hooks.processErrors.call(this.errors);
+  }
+
+  /**
+   * 创建一个子编译器，它会继承父编译器的插件和配置，可以单独运行一次完整的编译
+   * 例如 html-webpack-plugin 就是借助子编译器编译模板
+   * @param {string} name name of the child compiler
+   * @param {OutputOptions=} outputOptions // Need to convert config schema to types for this
+   * @param {Array<WebpackPluginInstance | WebpackPluginFunction>=} plugins webpack plugins that will be applied
+   * @returns {Compiler} creates a child Compiler instance
+   */
+  createChildCompiler(name, outputOptions, plugins) {
+    const idx = this.childrenCounters[name] || 0;
+    this.childrenCounters[name] = idx + 1;
+    return this.compiler.createChildCompiler(
+      this,
+      name,
+      idx,
+      outputOptions,
+      plugins
+    );
+  }
+
+  /**
+   * 返回需要计算运行时依赖的入口 chunk（包含运行时的 chunk）
+   * @returns {Set<Chunk>} chunk graph entries
+   */
+  _getChunkGraphEntries() {
+    /** @type {Set<Chunk>} */
+    const treeEntries = new Set();
+    for (const ep of this.entrypoints.values()) {
+      const chunk = ep.getRuntimeChunk();
+      if (chunk) treeEntries.add(chunk);
+    }
+    for (const ep of this.asyncEntrypoints) {
+      const chunk = ep.getRuntimeChunk();
+      if (chunk) treeEntries.add(chunk);
+    }
+    return treeEntries;
+  }
+
+  /**
+   * 汇总运行时依赖（__webpack_require__.e、__webpack_require__.hmrC 等）
+   *
+   * 依次收集模块、chunk、入口 chunk 所在的整棵 chunk 树的运行时依赖，
+   * 每一层都会调用对应的 runtimeRequirementIn* 钩子，插件在钩子中补充依赖或添加运行时模块
+   * @param {object} options options
+   * @param {ChunkGraph=} options.chunkGraph the chunk graph
+   * @param {Iterable<Module>=} options.modules modules
+   * @param {Iterable<Chunk>=} options.chunks chunks
+   * @param {CodeGenerationResults=} options.codeGenerationResults codeGenerationResults
+   * @param {Iterable<Chunk>=} options.chunkGraphEntries chunkGraphEntries
+   * @returns {void}
+   */
+  processRuntimeRequirements({
+    chunkGraph = this.chunkGraph,
+    modules = this.modules,
+    chunks = this.chunks,
+    codeGenerationResults = this.codeGenerationResults,
+    chunkGraphEntries = this._getChunkGraphEntries(),
+  } = {}) {
+    const context = { chunkGraph, codeGenerationResults };
+    this.logger.time("runtime requirements.modules");
+    const additionalModuleRuntimeRequirements =
+      this.hooks.additionalModuleRuntimeRequirements;
+    const runtimeRequirementInModule = this.hooks.runtimeRequirementInModule;
+    for (const module of modules) {
+      if (chunkGraph.getNumberOfModuleChunks(module) > 0) {
+        for (const runtime of chunkGraph.getModuleRuntimes(module)) {
+          let set;
+          const runtimeRequirements =
+            codeGenerationResults.getRuntimeRequirements(module, runtime);
+          if (runtimeRequirements && runtimeRequirements.size > 0) {
+            set = new Set(runtimeRequirements);
+          } else if (additionalModuleRuntimeRequirements.isUsed()) {
+            set = new Set();
+          } else {
+            continue;
+          }
+          additionalModuleRuntimeRequirements.call(module, set, context);
+
+          for (const r of set) {
+            const hook = runtimeRequirementInModule.get(r);
+            if (hook !== undefined) hook.call(module, set, context);
+          }
+          if (set.size > 0) {
+            chunkGraph.addModuleRuntimeRequirements(module, runtime, set);
+          }
+        }
+      }
+    }
+    this.logger.timeEnd("runtime requirements.modules");
+
+    this.logger.time("runtime requirements.chunks");
+    for (const chunk of chunks) {
+      const set = new Set();
+      for (const module of chunkGraph.getChunkModulesIterable(chunk)) {
+        const runtimeRequirements = chunkGraph.getModuleRuntimeRequirements(
+          module,
+          chunk.runtime
+        );
+        for (const r of runtimeRequirements) set.add(r);
+      }
+      this.hooks.additionalChunkRuntimeRequirements.call(chunk, set, context);
+
+      for (const r of set) {
+        this.hooks.runtimeRequirementInChunk.for(r).call(chunk, set, context);
+      }
+
+      chunkGraph.addChunkRuntimeRequirements(chunk, set);
+    }
+    this.logger.timeEnd("runtime requirements.chunks");
+
+    this.logger.time("runtime requirements.entries");
+    for (const treeEntry of chunkGraphEntries) {
+      const set = new Set();
+      for (const chunk of treeEntry.getAllReferencedChunks()) {
+        const runtimeRequirements =
+          chunkGraph.getChunkRuntimeRequirements(chunk);
+        for (const r of runtimeRequirements) set.add(r);
+      }
+
+      this.hooks.additionalTreeRuntimeRequirements.call(
+        treeEntry,
+        set,
+        context
+      );
+
+      for (const r of set) {
+        this.hooks.runtimeRequirementInTree
+          .for(r)
+          .call(treeEntry, set, context);
+      }
+
+      chunkGraph.addTreeRuntimeRequirements(treeEntry, set);
+    }
+    this.logger.timeEnd("runtime requirements.entries");
+  }
+
+  /**
+   * 把运行时模块添加到 chunk 中
+   * 运行时模块不经过 factorize 和 build，由插件在处理运行时依赖时直接添加（例如 HMR 运行时）
+   * @param {Chunk} chunk target chunk
+   * @param {RuntimeModule} module runtime module
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @returns {void}
+   */
+  addRuntimeModule(chunk, module, chunkGraph = this.chunkGraph) {
+    if (this._backCompat)
+      ModuleGraph.setModuleGraphForModule(module, this.moduleGraph);
+
+    this.modules.add(module);
+    this._modules.set(module.identifier(), module);
+
+    chunkGraph.connectChunkAndModule(chunk, module);
+    chunkGraph.connectChunkAndRuntimeModule(chunk, module);
+    if (module.fullHash) {
+      chunkGraph.addFullHashModuleToChunk(chunk, module);
+    } else if (module.dependentHash) {
+      chunkGraph.addDependentHashModuleToChunk(chunk, module);
+    }
+
+    module.attach(this, chunk, chunkGraph);
+
+    // 运行时模块没有导出，只因副作用而被使用
+    const exportsInfo = this.moduleGraph.getExportsInfo(module);
+    exportsInfo.setHasProvideInfo();
+    if (typeof chunk.runtime === "string") {
+      exportsInfo.setUsedForSideEffectsOnly(chunk.runtime);
+    } else if (chunk.runtime === undefined) {
+      exportsInfo.setUsedForSideEffectsOnly(undefined);
+    } else {
+      for (const runtime of chunk.runtime) {
+        exportsInfo.setUsedForSideEffectsOnly(runtime);
+      }
+    }
+    chunkGraph.addModuleRuntimeRequirements(
+      module,
+      chunk.runtime,
+      new Set([RuntimeGlobals.requireScope])
+    );
+
+    // 运行时模块不需要 id
+    chunkGraph.setModuleId(module, "");
+
+    this.hooks.runtimeModule.call(module, chunk);
+  }
+
+  /**
+   * 添加一个 chunk，同名 chunk 只会创建一次
+   * @param {string=} name optional chunk name to be provided
+   * @returns {Chunk} create a chunk (invoked during seal event)
+   */
+  addChunk(name) {
+    if (name) {
+      const chunk = this.namedChunks.get(name);
+      if (chunk !== undefined) {
+        return chunk;
+      }
+    }
+    const chunk = new Chunk(name);
+    this.chunks.add(chunk);
+    if (this._backCompat)
+      ChunkGraph.setChunkGraphForChunk(chunk, this.chunkGraph);
+    if (name) {
+      this.namedChunks.set(name, chunk);
+    }
+    return chunk;
+  }
+
+  /**
+   * 为异步依赖块创建 chunkGroup（及其中的 chunk），同名的 chunkGroup 会复用
+   * @param {string | ChunkGroupOptions} groupOptions options for the chunk group
+   * @param {Module=} module the module the references the chunk group
+   * @param {DependencyLocation=} loc the location from with the chunk group is referenced (inside of module)
+   * @param {string=} request the request from which the the chunk group is referenced
+   * @returns {ChunkGroup} the new or existing chunk group
+   */
+  addChunkInGroup(groupOptions, module, loc, request) {
+    if (typeof groupOptions === "string") {
+      groupOptions = { name: groupOptions };
+    }
+    const name = groupOptions.name;
+
+    if (name) {
+      const chunkGroup = this.namedChunkGroups.get(name);
+      if (chunkGroup !== undefined) {
+        chunkGroup.addOptions(groupOptions);
+        if (module) {
+          chunkGroup.addOrigin(module, loc, request);
+        }
+        return chunkGroup;
+      }
+    }
+    const chunkGroup = new ChunkGroup(groupOptions);
+    if (module) chunkGroup.addOrigin(module, loc, request);
+    const chunk = this.addChunk(name);
+
+    connectChunkGroupAndChunk(chunkGroup, chunk);
+
+    this.chunkGroups.push(chunkGroup);
+    if (name) {
+      this.namedChunkGroups.set(name, chunkGroup);
+    }
+    return chunkGroup;
+  }
+}
+
+/**
+ * 按错误的模块、位置、信息排序
+ * @param {WebpackError} a error
+ * @param {WebpackError} b error
+ * @returns {-1|0|1} compare result
+ */
+const compareErrors = (a, b) => {
+  if (a.module && b.module) {
+    const res = compareModulesByIdentifier(a.module, b.module);
+    if (res !== 0) return res;
+  } else if (a.module) {
+    return -1;
+  } else if (b.module) {
+    return 1;
+  }
+  const res = compareLocations(a.loc, b.loc);
+  if (res !== 0) return res;
+  if (a.message < b.message) return -1;
+  if (a.message > b.message) return 1;
+  return 0;
+};
+
+/**
+ * 子编译按名称排序，没有名称的按 hash 排序
+ * @param {Compilation} a compilation
+ * @param {Compilation} b compilation
+ * @returns {-1|0|1} compare result
+ */
+const byNameOrHash = (a, b) => {
+  const aKey = a.name || a.hash || "";
+  const bKey = b.name || b.hash || "";
+  if (aKey < bKey) return -1;
+  if (aKey > bKey) return 1;
+  return 0;
+};
+
+// Hide from typescript
+const compilationPrototype = Compilation.prototype;
+
+// TODO webpack 6 remove
+Object.defineProperty(compilationPrototype, "modifyHash", {
+  writable: false,
+  enumerable: false,
+  configurable: false,
+  value: () => {
+    throw new Error(
+      "Compilation.modifyHash was removed in favor of Compilation.hooks.fullHash"
+    );
+  },
+});
+
+// TODO webpack 6 remove
+Object.defineProperty(compilationPrototype, "cache", {
+  enumerable: false,
+  configurable: false,
+  get: () => {
+    throw new Error(
+      "Compilation.cache was removed in favor of Compilation.getCache()"
+    );
+  },
+  set: () => {
+    throw new Error(
+      "Compilation.cache was removed in favor of Compilation.getCache()"
+    );
+  },
+});
+
+/**
+ * 添加额外的资源
+ */
+Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL = -2000;
+
+/**
+ * 对已有资源进行基础的预处理
+ */
+Compilation.PROCESS_ASSETS_STAGE_PRE_PROCESS = -1000;
+
+/**
+ * 从已有资源派生新的资源
+ * 已有资源不应被视为完整的
+ */
+Compilation.PROCESS_ASSETS_STAGE_DERIVED = -200;
+
+/**
+ * 向已有资源中添加额外的内容，例如 banner 或初始化代码
+ */
+Compilation.PROCESS_ASSETS_STAGE_ADDITIONS = -100;
+
+/**
+ * 以通用的方式优化已有资源
+ */
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE = 100;
+
+/**
+ * 优化已有资源的数量，例如合并资源
+ */
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_COUNT = 200;
+
+/**
+ * 优化已有资源的兼容性，例如添加 polyfill 或 vendor 前缀
+ */
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_COMPATIBILITY = 300;
+
+/**
+ * 优化已有资源的体积，例如压缩或去除空白
+ */
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE = 400;
+
+/**
+ * 为资源添加开发工具相关的内容，例如生成 source map
+ */
+Compilation.PROCESS_ASSETS_STAGE_DEV_TOOLING = 500;
+
+/**
+ * 优化已有资源的数量，例如把资源内联到其他资源中
+ */
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_INLINE = 700;
+
+/**
+ * 汇总已有资源的列表
+ */
+Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE = 1000;
+
+/**
+ * 优化资源的 hash，例如根据资源内容生成真实的 hash
+ */
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_HASH = 2500;
+
+/**
+ * 优化已有资源的传输，例如额外生成压缩（gzip）后的文件
+ */
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_TRANSFER = 3000;
+
+/**
+ * 分析已有资源
+ */
+Compilation.PROCESS_ASSETS_STAGE_ANALYSE = 4000;
+
+/**
+ * 创建用于报告的资源
+ */
+Compilation.PROCESS_ASSETS_STAGE_REPORT = 5000;
+
+module.exports = Compilation;
@@ -16,22 +16,23 @@ const {
 const { SizeOnlySource } = require("webpack-sources");
 const webpack = require(".");
 const Cache = require("./Cache");
-// const CacheFacade = require("./CacheFacade");
-// const ChunkGraph = require("./ChunkGraph");
-// const Compilation = require("./Compilation");
-// const ConcurrentCompilationError = require("./ConcurrentCompilationError");
+const CacheFacade = require("./CacheFacade");
+const ChunkGraph = require("./ChunkGraph");
+const Compilation = require("./Compilation");
+const ConcurrentCompilationError = require("./ConcurrentCompilationError");
 const ContextModuleFactory = require("./ContextModuleFactory");
-// const ModuleGraph = require("./ModuleGraph");
+const ModuleGraph = require("./ModuleGraph");
 const NormalModuleFactory = require("./NormalModuleFactory");
 const RequestShortener = require("./RequestShortener");
 const ResolverFactory = require("./ResolverFactory");
-// const Stats = require("./Stats");
+const Stats = require("./Stats");
 const Watching = require("./Watching");
-// const WebpackError = require("./WebpackError");
+const WebpackError = require("./WebpackError");
 const { Logger } = require("./logging/Logger");
-// const { join, dirname, mkdirp } = require("./util/fs");
+const createHash = require("./util/createHash");
+const { join, dirname, mkdirp } = require("./util/fs");
 // const { makePathsRelative } = require("./util/identifier");
-// const { isSourceEqual } = require("./util/source");
+const { isSourceEqual } = require("./util/source");
 
 /**
  * 判断一个字符串数组是否已按字典顺序排序
@@ -322,9 +323,17 @@ class Compiler {
      * @type {Set<string>}
      */
     this._assetEmittingPreviousFiles = new Set();
+    /**
+     * 记录每个输出文件最后一次写入内容的 hash，
+     * watch 模式下重新生成的 Source 内容不变时可以跳过写入
+     * @private
+     * @type {Map<string, string>}
+     */
+    this._assetEmittingWrittenHashes = new Map();
   }
 
   /**
+   * 获取指定名称的缓存门面，名称前会加上 compilerPath，子编译器之间互不影响
    * @param {string} name cache name
    * @returns {CacheFacade} the cache facade instance
    */
@@ -807,6 +816,16 @@ ${other}`);
               callback();
             };
 
+            /**
+             * @param {Buffer} content content
+             * @returns {string} hash of the content
+             */
+            const getContentHash = (content) => {
+              const hash = createHash(this.options.output.hashFunction);
+              hash.update(content);
+              return /** @type {string} */ (hash.digest("hex"));
+            };
+
             /**
              * Write the file to output file system
              * @param {Buffer} content content to be written
@@ -817,6 +836,13 @@ ${other}`);
               (this.outputFileSystem).writeFile(targetPath, content, (err) => {
                 if (err) return callback(err);
 
+                if (this.options.output.compareBeforeEmit) {
+                  this._assetEmittingWrittenHashes.set(
+                    targetPath,
+                    getContentHash(content)
+                  );
+                }
+
                 // information marker that the asset has been emitted
                 compilation.emittedAssets.add(file);
 
@@ -930,6 +956,27 @@ ${other}`);
               return doWrite(content);
             };
 
+            /**
+             * 该文件之前由本 Compiler 写入过，但写入的是另一个 Source，
+             * 比较内容 hash，相同时说明磁盘上的内容没有变化，不需要再次写入
+             * @returns {void}
+             */
+            const processPreviouslyWrittenFile = () => {
+              const writtenHash =
+                this._assetEmittingWrittenHashes.get(targetPath);
+              if (writtenHash === undefined) return processMissingFile();
+
+              const content = getContent();
+
+              updateWithReplacementSource(content.length);
+
+              compilation.comparedForEmitAssets.add(file);
+              if (getContentHash(content) !== writtenHash) {
+                return doWrite(content);
+              }
+              return alreadyWritten();
+            };
+
             // if the target file has already been written
             if (targetFileGeneration !== undefined) {
               // check if the Source has been written to this target file
@@ -957,9 +1004,11 @@ ${other}`);
                 immutable = true;
               } else if (!immutable) {
                 if (checkSimilarFile()) return;
-                // We wrote to this file before which has very likely a different content
-                // skip comparing and assume content is different for performance
-                // This case happens often during watch mode.
+                // 之前写入过该文件，内容很可能已经不同（watch 模式下很常见）
+                // 只比较记录下来的内容 hash，不再读取磁盘上的文件
+                if (this.options.output.compareBeforeEmit) {
+                  return processPreviouslyWrittenFile();
+                }
                 return processMissingFile();
               }
             }
@@ -997,6 +1046,12 @@ ${other}`);
             return callback(err);
           }
 
+          // 不再输出的文件不需要保留 hash
+          for (const targetPath of this._assetEmittingWrittenHashes.keys()) {
+            if (!allTargetPaths.has(targetPath)) {
+              this._assetEmittingWrittenHashes.delete(targetPath);
+            }
+          }
           this._assetEmittingPreviousFiles = allTargetPaths;
 
           this.hooks.afterEmit.callAsync(compilation, (err) => {
@@ -0,0 +1,22 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Maksim Nazarjev @acupofspirt
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+/**
+ * 同一个 Compiler 实例同时只能进行一次编译
+ * 在上一次 run/watch 还没结束时再次调用，就会抛出这个错误
+ */
+module.exports = class ConcurrentCompilationError extends WebpackError {
+  constructor() {
+    super();
+
+    this.name = "ConcurrentCompilationError";
+    this.message =
+      "You ran Webpack twice. Each instance only supports a single concurrent compilation at a time.";
+  }
+};
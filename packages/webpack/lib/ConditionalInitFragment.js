@@ -0,0 +1,124 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { ConcatSource, PrefixSource } = require("webpack-sources");
+const InitFragment = require("./InitFragment");
+const Template = require("./Template");
+const { mergeRuntime } = require("./util/runtime");
+
+/**
+ * 用 if (condition) { ... } 包裹代码
+ * @param {string} condition condition
+ * @param {string | Source} source source
+ * @returns {string | Source} wrapped source
+ */
+const wrapInCondition = (condition, source) => {
+  if (typeof source === "string") {
+    return Template.asString([
+      `if (${condition}) {`,
+      Template.indent(source),
+      "}",
+      "",
+    ]);
+  }
+  return new ConcatSource(
+    `if (${condition}) {\n`,
+    new PrefixSource("\t", source),
+    "}\n"
+  );
+};
+
+/**
+ * 只在部分运行时中执行的初始化代码片段
+ *
+ * runtimeCondition 为 true 时总是执行，为 false 时不生成代码，
+ * 否则根据 __webpack_require__.j（runtime id）生成判断条件
+ * @extends {InitFragment<GenerateContext>}
+ */
+class ConditionalInitFragment extends InitFragment {
+  /**
+   * @param {string | Source | undefined} content the source code that will be included as initialization code
+   * @param {number} stage category of initialization code (contribute to order)
+   * @param {number} position position in the category (contribute to order)
+   * @param {string | undefined} key unique key to avoid emitting the same initialization code twice
+   * @param {RuntimeSpec | boolean} runtimeCondition in which runtime this fragment should be executed
+   * @param {string | Source=} endContent the source code that will be included at the end of the module
+   */
+  constructor(
+    content,
+    stage,
+    position,
+    key,
+    runtimeCondition = true,
+    endContent = undefined
+  ) {
+    super(content, stage, position, key, endContent);
+    this.runtimeCondition = runtimeCondition;
+  }
+
+  /**
+   * 生成初始化代码，需要时用运行时条件包裹
+   * @param {GenerateContext} context context
+   * @returns {string | Source | undefined} the source code that will be included as initialization code
+   */
+  getContent(context) {
+    if (this.runtimeCondition === false || !this.content) return "";
+    if (this.runtimeCondition === true) return this.content;
+    const expr = context.runtimeTemplate.runtimeConditionExpression({
+      chunkGraph: context.chunkGraph,
+      runtimeRequirements: context.runtimeRequirements,
+      runtime: context.runtime,
+      runtimeCondition: this.runtimeCondition,
+    });
+    if (expr === "true") return this.content;
+    return wrapInCondition(expr, this.content);
+  }
+
+  /**
+   * 生成模块末尾的代码，需要时用运行时条件包裹
+   * @param {GenerateContext} context context
+   * @returns {string|Source=} the source code that will be included at the end of the module
+   */
+  getEndContent(context) {
+    if (this.runtimeCondition === false || !this.endContent) return "";
+    if (this.runtimeCondition === true) return this.endContent;
+    const expr = context.runtimeTemplate.runtimeConditionExpression({
+      chunkGraph: context.chunkGraph,
+      runtimeRequirements: context.runtimeRequirements,
+      runtime: context.runtime,
+      runtimeCondition: this.runtimeCondition,
+    });
+    if (expr === "true") return this.endContent;
+    return wrapInCondition(expr, this.endContent);
+  }
+
+  /**
+   * 合并 key 相同的片段，运行时条件取并集
+   * @param {ConditionalInitFragment} other fragment to merge with
+   * @returns {ConditionalInitFragment} merged fragment
+   */
+  merge(other) {
+    if (this.runtimeCondition === true) return this;
+    if (other.runtimeCondition === true) return other;
+    if (this.runtimeCondition === false) return other;
+    if (other.runtimeCondition === false) return this;
+    const runtimeCondition = mergeRuntime(
+      this.runtimeCondition,
+      other.runtimeCondition
+    );
+    return new ConditionalInitFragment(
+      this.content,
+      this.stage,
+      this.position,
+      this.key,
+      runtimeCondition,
+      this.endContent
+    );
+  }
+}
+
+module.exports = ConditionalInitFragment;
@@ -0,0 +1,1270 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { OriginalSource, RawSource } = require("webpack-sources");
+const AsyncDependenciesBlock = require("./AsyncDependenciesBlock");
+const { makeWebpackError } = require("./HookWebpackError");
+const Module = require("./Module");
+const { JAVASCRIPT_MODULE_TYPE_DYNAMIC } = require("./ModuleTypeConstants");
+const RuntimeGlobals = require("./RuntimeGlobals");
+const Template = require("./Template");
+const WebpackError = require("./WebpackError");
+const {
+  compareLocations,
+  concatComparators,
+  compareSelect,
+  keepOriginalOrder,
+  compareModulesById,
+} = require("./util/comparators");
+const {
+  contextify,
+  parseResource,
+  makePathsRelative,
+} = require("./util/identifier");
+const makeSerializable = require("./util/makeSerializable");
+
+/**
+ * 上下文模式，决定生成的 webpackContext 如何加载匹配到的模块
+ * - sync：所有模块打包进当前 chunk，同步 require（require.context 的默认值）
+ * - eager：所有模块打包进当前 chunk，但返回 Promise
+ * - weak：不打包模块，只在模块已经被其他地方加载时可用
+ * - async-weak：同 weak，但返回 Promise
+ * - lazy：每个模块单独拆分为一个异步 chunk（import() 的默认值）
+ * - lazy-once：所有模块拆分到同一个异步 chunk
+ * @typedef {"sync" | "eager" | "weak" | "async-weak" | "lazy" | "lazy-once"} ContextMode
+ */
+
+/**
+ * @typedef {object} ContextOptions
+ * @property {ContextMode} mode
+ * @property {boolean} recursive
+ * @property {RegExp} regExp
+ * @property {("strict" | boolean)=} namespaceObject
+ * @property {string=} addon
+ * @property {(string | null)=} chunkName
+ * @property {(RegExp | null)=} include
+ * @property {(RegExp | null)=} exclude
+ * @property {RawChunkGroupOptions=} groupOptions
+ * @property {string=} typePrefix
+ * @property {string=} category
+ * @property {(string[][] | null)=} referencedExports 被引用的导出（不会被混淆）
+ * @property {string=} layer
+ * @property {ImportAttributes=} attributes
+ */
+
+/**
+ * @typedef {object} ContextModuleOptionsExtras
+ * @property {false|string|string[]} resource
+ * @property {string=} resourceQuery
+ * @property {string=} resourceFragment
+ * @property {TODO} resolveOptions
+ */
+
+/** @typedef {ContextOptions & ContextModuleOptionsExtras} ContextModuleOptions */
+
+/**
+ * @callback ResolveDependenciesCallback
+ * @param {Error | null} err
+ * @param {ContextElementDependency[]=} dependencies
+ */
+
+/**
+ * @callback ResolveDependencies
+ * @param {InputFileSystem} fs
+ * @param {ContextModuleOptions} options
+ * @param {ResolveDependenciesCallback} callback
+ */
+
+/**
+ * 传给 __webpack_require__.t 的位掩码，决定如何为模块创建命名空间对象
+ * 9：ES 模块，直接返回；7：动态（运行时判断 __esModule）；1：只有 default；3：default 加上具名导出
+ * @typedef {1 | 3 | 7 | 9} FakeMapType
+ */
+
+/** @typedef {Record<ModuleId, FakeMapType>} FakeMap */
+
+const SNAPSHOT_OPTIONS = { timestamp: true };
+
+/**
+ * 上下文模块只支持 javascript 类型的源码
+ */
+const TYPES = new Set(["javascript"]);
+
+/**
+ * 上下文模块
+ *
+ * 对应 require.context(...) 或 import(`./views/${name}`) 这类带表达式的请求，
+ * 构建时扫描目录得到所有可能被请求的模块，生成的代码是一个 webpackContext 函数：
+ * 内部维护 “相对请求 -> 模块 id” 的 map，运行时根据传入的请求查找并加载对应模块
+ */
+class ContextModule extends Module {
+  /**
+   * @param {ResolveDependencies} resolveDependencies 扫描上下文目录得到依赖的函数
+   * @param {ContextModuleOptions} options options object
+   */
+  constructor(resolveDependencies, options) {
+    if (!options || typeof options.resource === "string") {
+      const parsed = parseResource(
+        options ? /** @type {string} */ (options.resource) : ""
+      );
+      const resource = parsed.path;
+      const resourceQuery = (options && options.resourceQuery) || parsed.query;
+      const resourceFragment =
+        (options && options.resourceFragment) || parsed.fragment;
+      const layer = options && options.layer;
+
+      super(JAVASCRIPT_MODULE_TYPE_DYNAMIC, resource, layer);
+      /** @type {ContextModuleOptions} */
+      this.options = {
+        ...options,
+        resource,
+        resourceQuery,
+        resourceFragment,
+      };
+    } else {
+      super(JAVASCRIPT_MODULE_TYPE_DYNAMIC, undefined, options.layer);
+      /** @type {ContextModuleOptions} */
+      this.options = {
+        ...options,
+        resource: options.resource,
+        resourceQuery: options.resourceQuery || "",
+        resourceFragment: options.resourceFragment || "",
+      };
+    }
+
+    // 来自 ContextModuleFactory 的信息
+    /** @type {ResolveDependencies | undefined} */
+    this.resolveDependencies = resolveDependencies;
+    if (options && options.resolveOptions !== undefined) {
+      this.resolveOptions = options.resolveOptions;
+    }
+
+    if (options && typeof options.mode !== "string") {
+      throw new Error("options.mode is a required option");
+    }
+
+    this._identifier = this._createIdentifier();
+    this._forceBuild = true;
+  }
+
+  /**
+   * @returns {SourceTypes} types available (do not mutate)
+   */
+  getSourceTypes() {
+    return TYPES;
+  }
+
+  /**
+   * 模块命中缓存时，用工厂新创建的模块更新缓存中的模块
+   * @param {Module} module fresh module
+   * @returns {void}
+   */
+  updateCacheModule(module) {
+    const m = /** @type {ContextModule} */ (module);
+    this.resolveDependencies = m.resolveDependencies;
+    this.options = m.options;
+  }
+
+  /**
+   * 模块放入缓存时，移除内部引用以释放内存
+   */
+  cleanupForCache() {
+    super.cleanupForCache();
+    this.resolveDependencies = undefined;
+  }
+
+  /**
+   * @private
+   * 把正则转换为可以放进标识符的字符串（转义 ! 和 |）
+   * @param {RegExp} regexString RegExp as a string
+   * @param {boolean=} stripSlash 是否去掉正则两侧的 /
+   * @returns {string} pretty RegExp
+   */
+  _prettyRegExp(regexString, stripSlash = true) {
+    const str = stripSlash
+      ? regexString.source + regexString.flags
+      : `${regexString}`;
+    return str.replace(/!/g, "%21").replace(/\|/g, "%7C");
+  }
+
+  /**
+   * 由上下文目录和各个选项组成模块的唯一标识符
+   * @returns {string} identifier
+   */
+  _createIdentifier() {
+    let identifier =
+      this.context ||
+      (typeof this.options.resource === "string" ||
+      this.options.resource === false
+        ? `${this.options.resource}`
+        : this.options.resource.join("|"));
+    if (this.options.resourceQuery) {
+      identifier += `|${this.options.resourceQuery}`;
+    }
+    if (this.options.resourceFragment) {
+      identifier += `|${this.options.resourceFragment}`;
+    }
+    if (this.options.mode) {
+      identifier += `|${this.options.mode}`;
+    }
+    if (!this.options.recursive) {
+      identifier += "|nonrecursive";
+    }
+    if (this.options.addon) {
+      identifier += `|${this.options.addon}`;
+    }
+    if (this.options.regExp) {
+      identifier += `|${this._prettyRegExp(this.options.regExp, false)}`;
+    }
+    if (this.options.include) {
+      identifier += `|include: ${this._prettyRegExp(
+        this.options.include,
+        false
+      )}`;
+    }
+    if (this.options.exclude) {
+      identifier += `|exclude: ${this._prettyRegExp(
+        this.options.exclude,
+        false
+      )}`;
+    }
+    if (this.options.referencedExports) {
+      identifier += `|referencedExports: ${JSON.stringify(
+        this.options.referencedExports
+      )}`;
+    }
+    if (this.options.chunkName) {
+      identifier += `|chunkName: ${this.options.chunkName}`;
+    }
+    if (this.options.groupOptions) {
+      identifier += `|groupOptions: ${JSON.stringify(
+        this.options.groupOptions
+      )}`;
+    }
+    if (this.options.namespaceObject === "strict") {
+      identifier += "|strict namespace object";
+    } else if (this.options.namespaceObject) {
+      identifier += "|namespace object";
+    }
+    if (this.layer) {
+      identifier += `|layer: ${this.layer}`;
+    }
+
+    return identifier;
+  }
+
+  /**
+   * @returns {string} a unique identifier of the module
+   */
+  identifier() {
+    return this._identifier;
+  }
+
+  /**
+   * @param {RequestShortener} requestShortener the request shortener
+   * @returns {string} a user readable identifier of the module
+   */
+  readableIdentifier(requestShortener) {
+    let identifier;
+    if (this.context) {
+      identifier = `${requestShortener.shorten(this.context)}/`;
+    } else if (
+      typeof this.options.resource === "string" ||
+      this.options.resource === false
+    ) {
+      identifier = `${requestShortener.shorten(`${this.options.resource}`)}/`;
+    } else {
+      identifier = this.options.resource
+        .map((r) => `${requestShortener.shorten(r)}/`)
+        .join(" ");
+    }
+    if (this.options.resourceQuery) {
+      identifier += ` ${this.options.resourceQuery}`;
+    }
+    if (this.options.mode) {
+      identifier += ` ${this.options.mode}`;
+    }
+    if (!this.options.recursive) {
+      identifier += " nonrecursive";
+    }
+    if (this.options.addon) {
+      identifier += ` ${requestShortener.shorten(this.options.addon)}`;
+    }
+    if (this.options.regExp) {
+      identifier += ` ${this._prettyRegExp(this.options.regExp)}`;
+    }
+    if (this.options.include) {
+      identifier += ` include: ${this._prettyRegExp(this.options.include)}`;
+    }
+    if (this.options.exclude) {
+      identifier += ` exclude: ${this._prettyRegExp(this.options.exclude)}`;
+    }
+    if (this.options.referencedExports) {
+      identifier += ` referencedExports: ${this.options.referencedExports
+        .map((e) => e.join("."))
+        .join(", ")}`;
+    }
+    if (this.options.chunkName) {
+      identifier += ` chunkName: ${this.options.chunkName}`;
+    }
+    if (this.options.groupOptions) {
+      const groupOptions = this.options.groupOptions;
+      for (const key of Object.keys(groupOptions)) {
+        identifier += ` ${key}: ${
+          groupOptions[/** @type {keyof RawChunkGroupOptions} */ (key)]
+        }`;
+      }
+    }
+    if (this.options.namespaceObject === "strict") {
+      identifier += " strict namespace object";
+    } else if (this.options.namespaceObject) {
+      identifier += " namespace object";
+    }
+
+    return identifier;
+  }
+
+  /**
+   * 与构建路径无关的标识符（相对于 options.context），用于生成稳定的模块 id
+   * @param {LibIdentOptions} options options
+   * @returns {string | null} an identifier for library inclusion
+   */
+  libIdent(options) {
+    let identifier;
+
+    if (this.context) {
+      identifier = contextify(
+        options.context,
+        this.context,
+        options.associatedObjectForCache
+      );
+    } else if (typeof this.options.resource === "string") {
+      identifier = contextify(
+        options.context,
+        this.options.resource,
+        options.associatedObjectForCache
+      );
+    } else if (this.options.resource === false) {
+      identifier = "false";
+    } else {
+      identifier = this.options.resource
+        .map((res) =>
+          contextify(options.context, res, options.associatedObjectForCache)
+        )
+        .join(" ");
+    }
+
+    if (this.layer) identifier = `(${this.layer})/${identifier}`;
+    if (this.options.mode) {
+      identifier += ` ${this.options.mode}`;
+    }
+    if (this.options.recursive) {
+      identifier += " recursive";
+    }
+    if (this.options.addon) {
+      identifier += ` ${contextify(
+        options.context,
+        this.options.addon,
+        options.associatedObjectForCache
+      )}`;
+    }
+    if (this.options.regExp) {
+      identifier += ` ${this._prettyRegExp(this.options.regExp)}`;
+    }
+    if (this.options.include) {
+      identifier += ` include: ${this._prettyRegExp(this.options.include)}`;
+    }
+    if (this.options.exclude) {
+      identifier += ` exclude: ${this._prettyRegExp(this.options.exclude)}`;
+    }
+    if (this.options.referencedExports) {
+      identifier += ` referencedExports: ${this.options.referencedExports
+        .map((e) => e.join("."))
+        .join(", ")}`;
+    }
+
+    return identifier;
+  }
+
+  /**
+   * 使构建失效，下次 needBuild 时强制重新构建
+   * @returns {void}
+   */
+  invalidateBuild() {
+    this._forceBuild = true;
+  }
+
+  /**
+   * 判断是否需要重新构建：检查目录快照（时间戳）是否仍然有效
+   * @param {NeedBuildContext} context context info
+   * @param {function((WebpackError | null)=, boolean=): void} callback callback function, returns true, if the module needs a rebuild
+   * @returns {void}
+   */
+  needBuild({ fileSystemInfo }, callback) {
+    // 强制重新构建
+    if (this._forceBuild) return callback(null, true);
+
+    const buildInfo = /** @type {BuildInfo} */ (this.buildInfo);
+
+    // 没有快照时，只要有上下文目录就需要构建
+    if (!buildInfo.snapshot)
+      return callback(null, Boolean(this.context || this.options.resource));
+
+    fileSystemInfo.checkSnapshotValid(buildInfo.snapshot, (err, valid) => {
+      callback(err, !valid);
+    });
+  }
+
+  /**
+   * 构建：调用 resolveDependencies 扫描目录，按模式把依赖组织为同步依赖或异步块，
+   * 最后为上下文目录创建快照，监听模式下据此判断目录是否变化
+   * @param {WebpackOptions} options webpack options
+   * @param {Compilation} compilation the compilation
+   * @param {ResolverWithOptions} resolver the resolver
+   * @param {InputFileSystem} fs the file system
+   * @param {function(WebpackError=): void} callback callback function
+   * @returns {void}
+   */
+  build(options, compilation, resolver, fs, callback) {
+    this._forceBuild = false;
+    /** @type {BuildMeta} */
+    this.buildMeta = {
+      exportsType: "default",
+      defaultObject: "redirect-warn",
+    };
+    this.buildInfo = {
+      snapshot: undefined,
+    };
+    this.dependencies.length = 0;
+    this.blocks.length = 0;
+    const startTime = Date.now();
+    /** @type {ResolveDependencies} */
+    (this.resolveDependencies)(fs, this.options, (err, dependencies) => {
+      if (err) {
+        return callback(
+          makeWebpackError(err, "ContextModule.resolveDependencies")
+        );
+      }
+
+      // 没有得到依赖时生成一个空的上下文
+      if (!dependencies) {
+        callback();
+        return;
+      }
+
+      // 以相对请求作为位置信息，并加上 loader 前缀
+      for (const dep of dependencies) {
+        dep.loc = {
+          name: dep.userRequest,
+        };
+        dep.request = this.options.addon + dep.request;
+      }
+      dependencies.sort(
+        concatComparators(
+          compareSelect((a) => a.loc, compareLocations),
+          keepOriginalOrder(this.dependencies)
+        )
+      );
+
+      if (this.options.mode === "sync" || this.options.mode === "eager") {
+        // sync、eager 模式下直接把所有依赖加到当前模块
+        this.dependencies = dependencies;
+      } else if (this.options.mode === "lazy-once") {
+        // lazy-once 模式把所有依赖放到同一个异步块中
+        if (dependencies.length > 0) {
+          const block = new AsyncDependenciesBlock({
+            ...this.options.groupOptions,
+            name: this.options.chunkName,
+          });
+          for (const dep of dependencies) {
+            block.addDependency(dep);
+          }
+          this.addBlock(block);
+        }
+      } else if (
+        this.options.mode === "weak" ||
+        this.options.mode === "async-weak"
+      ) {
+        // weak 模式下把所有依赖标记为弱依赖
+        for (const dep of dependencies) {
+          dep.weak = true;
+        }
+        this.dependencies = dependencies;
+      } else if (this.options.mode === "lazy") {
+        // lazy 模式为每个依赖创建一个异步块，chunkName 支持 [index] 和 [request] 占位符
+        let index = 0;
+        for (const dep of dependencies) {
+          let chunkName = this.options.chunkName;
+          if (chunkName) {
+            if (!/\[(index|request)\]/.test(chunkName)) {
+              chunkName += "[index]";
+            }
+            chunkName = chunkName.replace(/\[index\]/g, `${index++}`);
+            chunkName = chunkName.replace(
+              /\[request\]/g,
+              Template.toPath(dep.userRequest)
+            );
+          }
+          const block = new AsyncDependenciesBlock(
+            {
+              ...this.options.groupOptions,
+              name: chunkName,
+            },
+            dep.loc,
+            dep.userRequest
+          );
+          block.addDependency(dep);
+          this.addBlock(block);
+        }
+      } else {
+        callback(
+          new WebpackError(`Unsupported mode "${this.options.mode}" in context`)
+        );
+        return;
+      }
+      if (!this.context && !this.options.resource) return callback();
+
+      compilation.fileSystemInfo.createSnapshot(
+        startTime,
+        null,
+        this.context
+          ? [this.context]
+          : typeof this.options.resource === "string"
+            ? [this.options.resource]
+            : /** @type {string[]} */ (this.options.resource),
+        null,
+        SNAPSHOT_OPTIONS,
+        (err, snapshot) => {
+          if (err) return callback(err);
+          /** @type {BuildInfo} */
+          (this.buildInfo).snapshot = snapshot;
+          callback();
+        }
+      );
+    });
+  }
+
+  /**
+   * 把上下文目录加入 contextDependencies，监听模式下目录变化时重新构建
+   * @param {LazySet<string>} fileDependencies set where file dependencies are added to
+   * @param {LazySet<string>} contextDependencies set where context dependencies are added to
+   * @param {LazySet<string>} missingDependencies set where missing dependencies are added to
+   * @param {LazySet<string>} buildDependencies set where build dependencies are added to
+   */
+  addCacheDependencies(
+    fileDependencies,
+    contextDependencies,
+    missingDependencies,
+    buildDependencies
+  ) {
+    if (this.context) {
+      contextDependencies.add(this.context);
+    } else if (typeof this.options.resource === "string") {
+      contextDependencies.add(this.options.resource);
+    } else if (this.options.resource === false) {
+      // 什么都不做
+    } else {
+      for (const res of this.options.resource) contextDependencies.add(res);
+    }
+  }
+
+  /**
+   * 生成 “相对请求 -> 模块 id” 的映射，按请求排序保证输出稳定
+   * @param {Dependency[]} dependencies all dependencies
+   * @param {ChunkGraph} chunkGraph chunk graph
+   * @returns {Map<string, string | number>} map with user requests
+   */
+  getUserRequestMap(dependencies, chunkGraph) {
+    const moduleGraph = chunkGraph.moduleGraph;
+    // 先 filter 会得到新数组，因此排序不会修改原来的 dependencies，顺序不能调换
+    const sortedDependencies =
+      /** @type {ContextElementDependency[]} */
+      (dependencies)
+        .filter((dependency) => moduleGraph.getModule(dependency))
+        .sort((a, b) => {
+          if (a.userRequest === b.userRequest) {
+            return 0;
+          }
+          return a.userRequest < b.userRequest ? -1 : 1;
+        });
+    const map = Object.create(null);
+    for (const dep of sortedDependencies) {
+      const module = /** @type {Module} */ (moduleGraph.getModule(dep));
+      map[dep.userRequest] = chunkGraph.getModuleId(module);
+    }
+    return map;
+  }
+
+  /**
+   * 计算每个模块需要的命名空间对象类型
+   * 所有模块类型相同时返回单个数字，否则返回 “模块 id -> 类型” 的映射
+   * 没有开启 namespaceObject（require.context）时直接返回模块的 exports
+   * @param {Dependency[]} dependencies all dependencies
+   * @param {ChunkGraph} chunkGraph chunk graph
+   * @returns {FakeMap | FakeMapType} fake map
+   */
+  getFakeMap(dependencies, chunkGraph) {
+    if (!this.options.namespaceObject) {
+      return 9;
+    }
+    const moduleGraph = chunkGraph.moduleGraph;
+    // 位标记，记录出现过的导出类型
+    let hasType = 0;
+    const comparator = compareModulesById(chunkGraph);
+    // 先 filter 会得到新数组，因此排序不会修改原来的 dependencies，顺序不能调换
+    const sortedModules = dependencies
+      .map(
+        (dependency) =>
+          /** @type {Module} */ (moduleGraph.getModule(dependency))
+      )
+      .filter(Boolean)
+      .sort(comparator);
+    /** @type {FakeMap} */
+    const fakeMap = Object.create(null);
+    for (const module of sortedModules) {
+      const exportsType = module.getExportsType(
+        moduleGraph,
+        this.options.namespaceObject === "strict"
+      );
+      const id = /** @type {ModuleId} */ (chunkGraph.getModuleId(module));
+      switch (exportsType) {
+        case "namespace":
+          fakeMap[id] = 9;
+          hasType |= 1;
+          break;
+        case "dynamic":
+          fakeMap[id] = 7;
+          hasType |= 2;
+          break;
+        case "default-only":
+          fakeMap[id] = 1;
+          hasType |= 4;
+          break;
+        case "default-with-named":
+          fakeMap[id] = 3;
+          hasType |= 8;
+          break;
+        default:
+          throw new Error(`Unexpected exports type ${exportsType}`);
+      }
+    }
+    if (hasType === 1) {
+      return 9;
+    }
+    if (hasType === 2) {
+      return 7;
+    }
+    if (hasType === 4) {
+      return 1;
+    }
+    if (hasType === 8) {
+      return 3;
+    }
+    if (hasType === 0) {
+      return 9;
+    }
+    return fakeMap;
+  }
+
+  /**
+   * fakeMap 是映射时，生成声明它的语句
+   * @param {FakeMap | FakeMapType} fakeMap fake map
+   * @returns {string} fake map init statement
+   */
+  getFakeMapInitStatement(fakeMap) {
+    return typeof fakeMap === "object"
+      ? `var fakeMap = ${JSON.stringify(fakeMap, null, "\t")};`
+      : "";
+  }
+
+  /**
+   * 生成根据 id 获取模块导出的表达式
+   * @param {FakeMapType} type type
+   * @param {boolean=} asyncModule is async module
+   * @returns {string} return result
+   */
+  getReturn(type, asyncModule) {
+    if (type === 9) {
+      return `${RuntimeGlobals.require}(id)`;
+    }
+    return `${RuntimeGlobals.createFakeNamespaceObject}(id, ${type}${
+      asyncModule ? " | 16" : ""
+    })`;
+  }
+
+  /**
+   * 生成返回模块导出的语句
+   * @param {FakeMap | FakeMapType} fakeMap fake map
+   * @param {boolean=} asyncModule us async module
+   * @param {string=} fakeMapDataExpression fake map data expression
+   * @returns {string} module object source
+   */
+  getReturnModuleObjectSource(
+    fakeMap,
+    asyncModule,
+    fakeMapDataExpression = "fakeMap[id]"
+  ) {
+    if (typeof fakeMap === "number") {
+      return `return ${this.getReturn(fakeMap, asyncModule)};`;
+    }
+    return `return ${
+      RuntimeGlobals.createFakeNamespaceObject
+    }(id, ${fakeMapDataExpression}${asyncModule ? " | 16" : ""})`;
+  }
+
+  /**
+   * sync 模式：同步 require，请求不存在时抛出 MODULE_NOT_FOUND
+   * @param {Dependency[]} dependencies dependencies
+   * @param {ModuleId} id module id
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @returns {string} source code
+   */
+  getSyncSource(dependencies, id, chunkGraph) {
+    const map = this.getUserRequestMap(dependencies, chunkGraph);
+    const fakeMap = this.getFakeMap(dependencies, chunkGraph);
+    const returnModuleObject = this.getReturnModuleObjectSource(fakeMap);
+
+    return `var map = ${JSON.stringify(map, null, "\t")};
+${this.getFakeMapInitStatement(fakeMap)}
+
+function webpackContext(req) {
+	var id = webpackContextResolve(req);
+	${returnModuleObject}
+}
+function webpackContextResolve(req) {
+	if(!${RuntimeGlobals.hasOwnProperty}(map, req)) {
+		var e = new Error("Cannot find module '" + req + "'");
+		e.code = 'MODULE_NOT_FOUND';
+		throw e;
+	}
+	return map[req];
+}
+webpackContext.keys = function webpackContextKeys() {
+	return Object.keys(map);
+};
+webpackContext.resolve = webpackContextResolve;
+module.exports = webpackContext;
+webpackContext.id = ${JSON.stringify(id)};`;
+  }
+
+  /**
+   * weak 模式：同 sync，但模块不在 __webpack_require__.m 中时报错
+   * @param {Dependency[]} dependencies dependencies
+   * @param {ModuleId} id module id
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @returns {string} source code
+   */
+  getWeakSyncSource(dependencies, id, chunkGraph) {
+    const map = this.getUserRequestMap(dependencies, chunkGraph);
+    const fakeMap = this.getFakeMap(dependencies, chunkGraph);
+    const returnModuleObject = this.getReturnModuleObjectSource(fakeMap);
+
+    return `var map = ${JSON.stringify(map, null, "\t")};
+${this.getFakeMapInitStatement(fakeMap)}
+
+function webpackContext(req) {
+	var id = webpackContextResolve(req);
+	if(!${RuntimeGlobals.moduleFactories}[id]) {
+		var e = new Error("Module '" + req + "' ('" + id + "') is not available (weak dependency)");
+		e.code = 'MODULE_NOT_FOUND';
+		throw e;
+	}
+	${returnModuleObject}
+}
+function webpackContextResolve(req) {
+	if(!${RuntimeGlobals.hasOwnProperty}(map, req)) {
+		var e = new Error("Cannot find module '" + req + "'");
+		e.code = 'MODULE_NOT_FOUND';
+		throw e;
+	}
+	return map[req];
+}
+webpackContext.keys = function webpackContextKeys() {
+	return Object.keys(map);
+};
+webpackContext.resolve = webpackContextResolve;
+webpackContext.id = ${JSON.stringify(id)};
+module.exports = webpackContext;`;
+  }
+
+  /**
+   * async-weak 模式：同 weak，但返回 Promise
+   * @param {Dependency[]} dependencies dependencies
+   * @param {ModuleId} id module id
+   * @param {object} context context
+   * @param {ChunkGraph} context.chunkGraph the chunk graph
+   * @param {RuntimeTemplate} context.runtimeTemplate the chunk graph
+   * @returns {string} source code
+   */
+  getAsyncWeakSource(dependencies, id, { chunkGraph, runtimeTemplate }) {
+    const arrow = runtimeTemplate.supportsArrowFunction();
+    const map = this.getUserRequestMap(dependencies, chunkGraph);
+    const fakeMap = this.getFakeMap(dependencies, chunkGraph);
+    const returnModuleObject = this.getReturnModuleObjectSource(fakeMap, true);
+
+    return `var map = ${JSON.stringify(map, null, "\t")};
+${this.getFakeMapInitStatement(fakeMap)}
+
+function webpackAsyncContext(req) {
+	return webpackAsyncContextResolve(req).then(${
+    arrow ? "id =>" : "function(id)"
+  } {
+		if(!${RuntimeGlobals.moduleFactories}[id]) {
+			var e = new Error("Module '" + req + "' ('" + id + "') is not available (weak dependency)");
+			e.code = 'MODULE_NOT_FOUND';
+			throw e;
+		}
+		${returnModuleObject}
+	});
+}
+function webpackAsyncContextResolve(req) {
+	// 使用 Promise.resolve().then() 而不是 new Promise()，
+	// 避免在 devtools 中出现未捕获的异常
+	return Promise.resolve().then(${arrow ? "() =>" : "function()"} {
+		if(!${RuntimeGlobals.hasOwnProperty}(map, req)) {
+			var e = new Error("Cannot find module '" + req + "'");
+			e.code = 'MODULE_NOT_FOUND';
+			throw e;
+		}
+		return map[req];
+	});
+}
+webpackAsyncContext.keys = ${runtimeTemplate.returningFunction(
+      "Object.keys(map)"
+    )};
+webpackAsyncContext.resolve = webpackAsyncContextResolve;
+webpackAsyncContext.id = ${JSON.stringify(id)};
+module.exports = webpackAsyncContext;`;
+  }
+
+  /**
+   * eager 模式：模块已在当前 chunk 中，返回 Promise
+   * @param {Dependency[]} dependencies dependencies
+   * @param {ModuleId} id module id
+   * @param {object} context context
+   * @param {ChunkGraph} context.chunkGraph the chunk graph
+   * @param {RuntimeTemplate} context.runtimeTemplate the chunk graph
+   * @returns {string} source code
+   */
+  getEagerSource(dependencies, id, { chunkGraph, runtimeTemplate }) {
+    const arrow = runtimeTemplate.supportsArrowFunction();
+    const map = this.getUserRequestMap(dependencies, chunkGraph);
+    const fakeMap = this.getFakeMap(dependencies, chunkGraph);
+    const thenFunction =
+      fakeMap !== 9
+        ? `${arrow ? "id =>" : "function(id)"} {
+		${this.getReturnModuleObjectSource(fakeMap, true)}
+	}`
+        : RuntimeGlobals.require;
+    return `var map = ${JSON.stringify(map, null, "\t")};
+${this.getFakeMapInitStatement(fakeMap)}
+
+function webpackAsyncContext(req) {
+	return webpackAsyncContextResolve(req).then(${thenFunction});
+}
+function webpackAsyncContextResolve(req) {
+	// 使用 Promise.resolve().then() 而不是 new Promise()，
+	// 避免在 devtools 中出现未捕获的异常
+	return Promise.resolve().then(${arrow ? "() =>" : "function()"} {
+		if(!${RuntimeGlobals.hasOwnProperty}(map, req)) {
+			var e = new Error("Cannot find module '" + req + "'");
+			e.code = 'MODULE_NOT_FOUND';
+			throw e;
+		}
+		return map[req];
+	});
+}
+webpackAsyncContext.keys = ${runtimeTemplate.returningFunction(
+      "Object.keys(map)"
+    )};
+webpackAsyncContext.resolve = webpackAsyncContextResolve;
+webpackAsyncContext.id = ${JSON.stringify(id)};
+module.exports = webpackAsyncContext;`;
+  }
+
+  /**
+   * lazy-once 模式：先加载包含所有模块的异步 chunk，再 require
+   * @param {AsyncDependenciesBlock} block block
+   * @param {Dependency[]} dependencies dependencies
+   * @param {ModuleId} id module id
+   * @param {object} options options object
+   * @param {RuntimeTemplate} options.runtimeTemplate the runtime template
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @returns {string} source code
+   */
+  getLazyOnceSource(block, dependencies, id, { runtimeTemplate, chunkGraph }) {
+    const promise = runtimeTemplate.blockPromise({
+      chunkGraph,
+      block,
+      message: "lazy-once context",
+      runtimeRequirements: new Set(),
+    });
+    const arrow = runtimeTemplate.supportsArrowFunction();
+    const map = this.getUserRequestMap(dependencies, chunkGraph);
+    const fakeMap = this.getFakeMap(dependencies, chunkGraph);
+    const thenFunction =
+      fakeMap !== 9
+        ? `${arrow ? "id =>" : "function(id)"} {
+		${this.getReturnModuleObjectSource(fakeMap, true)};
+	}`
+        : RuntimeGlobals.require;
+
+    return `var map = ${JSON.stringify(map, null, "\t")};
+${this.getFakeMapInitStatement(fakeMap)}
+
+function webpackAsyncContext(req) {
+	return webpackAsyncContextResolve(req).then(${thenFunction});
+}
+function webpackAsyncContextResolve(req) {
+	return ${promise}.then(${arrow ? "() =>" : "function()"} {
+		if(!${RuntimeGlobals.hasOwnProperty}(map, req)) {
+			var e = new Error("Cannot find module '" + req + "'");
+			e.code = 'MODULE_NOT_FOUND';
+			throw e;
+		}
+		return map[req];
+	});
+}
+webpackAsyncContext.keys = ${runtimeTemplate.returningFunction(
+      "Object.keys(map)"
+    )};
+webpackAsyncContext.resolve = webpackAsyncContextResolve;
+webpackAsyncContext.id = ${JSON.stringify(id)};
+module.exports = webpackAsyncContext;`;
+  }
+
+  /**
+   * lazy 模式：map 中同时记录每个模块所在的 chunk，先加载 chunk 再 require
+   * @param {AsyncDependenciesBlock[]} blocks blocks
+   * @param {ModuleId} id module id
+   * @param {object} context context
+   * @param {ChunkGraph} context.chunkGraph the chunk graph
+   * @param {RuntimeTemplate} context.runtimeTemplate the chunk graph
+   * @returns {string} source code
+   */
+  getLazySource(blocks, id, { chunkGraph, runtimeTemplate }) {
+    const moduleGraph = chunkGraph.moduleGraph;
+    const arrow = runtimeTemplate.supportsArrowFunction();
+    let hasMultipleOrNoChunks = false;
+    let hasNoChunk = true;
+    const fakeMap = this.getFakeMap(
+      blocks.map((b) => b.dependencies[0]),
+      chunkGraph
+    );
+    const hasFakeMap = typeof fakeMap === "object";
+    /** @typedef {{userRequest: string, dependency: ContextElementDependency, chunks: undefined | Chunk[], module: Module, block: AsyncDependenciesBlock}} Item */
+    /**
+     * @type {Item[]}
+     */
+    const items = blocks
+      .map((block) => {
+        const dependency =
+          /** @type {ContextElementDependency} */
+          (block.dependencies[0]);
+        return {
+          dependency,
+          module: /** @type {Module} */ (moduleGraph.getModule(dependency)),
+          block,
+          userRequest: dependency.userRequest,
+          chunks: undefined,
+        };
+      })
+      .filter((item) => item.module);
+    for (const item of items) {
+      const chunkGroup = chunkGraph.getBlockChunkGroup(item.block);
+      const chunks = (chunkGroup && chunkGroup.chunks) || [];
+      item.chunks = chunks;
+      if (chunks.length > 0) {
+        hasNoChunk = false;
+      }
+      if (chunks.length !== 1) {
+        hasMultipleOrNoChunks = true;
+      }
+    }
+    const shortMode = hasNoChunk && !hasFakeMap;
+    const sortedItems = items.sort((a, b) => {
+      if (a.userRequest === b.userRequest) return 0;
+      return a.userRequest < b.userRequest ? -1 : 1;
+    });
+    /** @type {Record<string, ModuleId | (ModuleId[] | ChunkId[])>} */
+    const map = Object.create(null);
+    for (const item of sortedItems) {
+      const moduleId =
+        /** @type {ModuleId} */
+        (chunkGraph.getModuleId(item.module));
+      if (shortMode) {
+        map[item.userRequest] = moduleId;
+      } else {
+        /** @type {(ModuleId | ChunkId)[]} */
+        const arrayStart = [moduleId];
+        if (hasFakeMap) {
+          arrayStart.push(fakeMap[moduleId]);
+        }
+        map[item.userRequest] = arrayStart.concat(
+          /** @type {Chunk[]} */
+          (item.chunks).map((chunk) => /** @type {ChunkId} */ (chunk.id))
+        );
+      }
+    }
+
+    const chunksStartPosition = hasFakeMap ? 2 : 1;
+    const requestPrefix = hasNoChunk
+      ? "Promise.resolve()"
+      : hasMultipleOrNoChunks
+        ? `Promise.all(ids.slice(${chunksStartPosition}).map(${RuntimeGlobals.ensureChunk}))`
+        : `${RuntimeGlobals.ensureChunk}(ids[${chunksStartPosition}])`;
+    const returnModuleObject = this.getReturnModuleObjectSource(
+      fakeMap,
+      true,
+      shortMode ? "invalid" : "ids[1]"
+    );
+
+    const webpackAsyncContext =
+      requestPrefix === "Promise.resolve()"
+        ? `
+function webpackAsyncContext(req) {
+	return Promise.resolve().then(${arrow ? "() =>" : "function()"} {
+		if(!${RuntimeGlobals.hasOwnProperty}(map, req)) {
+			var e = new Error("Cannot find module '" + req + "'");
+			e.code = 'MODULE_NOT_FOUND';
+			throw e;
+		}
+
+		${shortMode ? "var id = map[req];" : "var ids = map[req], id = ids[0];"}
+		${returnModuleObject}
+	});
+}`
+        : `function webpackAsyncContext(req) {
+	if(!${RuntimeGlobals.hasOwnProperty}(map, req)) {
+		return Promise.resolve().then(${arrow ? "() =>" : "function()"} {
+			var e = new Error("Cannot find module '" + req + "'");
+			e.code = 'MODULE_NOT_FOUND';
+			throw e;
+		});
+	}
+
+	var ids = map[req], id = ids[0];
+	return ${requestPrefix}.then(${arrow ? "() =>" : "function()"} {
+		${returnModuleObject}
+	});
+}`;
+
+    return `var map = ${JSON.stringify(map, null, "\t")};
+${webpackAsyncContext}
+webpackAsyncContext.keys = ${runtimeTemplate.returningFunction(
+      "Object.keys(map)"
+    )};
+webpackAsyncContext.id = ${JSON.stringify(id)};
+module.exports = webpackAsyncContext;`;
+  }
+
+  /**
+   * 没有匹配到任何模块时的同步上下文
+   * @param {ModuleId} id module id
+   * @param {RuntimeTemplate} runtimeTemplate runtime template
+   * @returns {string} source for empty async context
+   */
+  getSourceForEmptyContext(id, runtimeTemplate) {
+    return `function webpackEmptyContext(req) {
+	var e = new Error("Cannot find module '" + req + "'");
+	e.code = 'MODULE_NOT_FOUND';
+	throw e;
+}
+webpackEmptyContext.keys = ${runtimeTemplate.returningFunction("[]")};
+webpackEmptyContext.resolve = webpackEmptyContext;
+webpackEmptyContext.id = ${JSON.stringify(id)};
+module.exports = webpackEmptyContext;`;
+  }
+
+  /**
+   * 没有匹配到任何模块时的异步上下文
+   * @param {ModuleId} id module id
+   * @param {RuntimeTemplate} runtimeTemplate runtime template
+   * @returns {string} source for empty async context
+   */
+  getSourceForEmptyAsyncContext(id, runtimeTemplate) {
+    const arrow = runtimeTemplate.supportsArrowFunction();
+    return `function webpackEmptyAsyncContext(req) {
+	// 使用 Promise.resolve().then() 而不是 new Promise()，
+	// 避免在 devtools 中出现未捕获的异常
+	return Promise.resolve().then(${arrow ? "() =>" : "function()"} {
+		var e = new Error("Cannot find module '" + req + "'");
+		e.code = 'MODULE_NOT_FOUND';
+		throw e;
+	});
+}
+webpackEmptyAsyncContext.keys = ${runtimeTemplate.returningFunction("[]")};
+webpackEmptyAsyncContext.resolve = webpackEmptyAsyncContext;
+webpackEmptyAsyncContext.id = ${JSON.stringify(id)};
+module.exports = webpackEmptyAsyncContext;`;
+  }
+
+  /**
+   * 根据模式生成 webpackContext 的源码
+   * @param {string} asyncMode module mode
+   * @param {CodeGenerationContext} context context info
+   * @returns {string} the source code
+   */
+  getSourceString(asyncMode, { runtimeTemplate, chunkGraph }) {
+    const id = /** @type {ModuleId} */ (chunkGraph.getModuleId(this));
+    if (asyncMode === "lazy") {
+      if (this.blocks && this.blocks.length > 0) {
+        return this.getLazySource(this.blocks, id, {
+          runtimeTemplate,
+          chunkGraph,
+        });
+      }
+      return this.getSourceForEmptyAsyncContext(id, runtimeTemplate);
+    }
+    if (asyncMode === "eager") {
+      if (this.dependencies && this.dependencies.length > 0) {
+        return this.getEagerSource(this.dependencies, id, {
+          chunkGraph,
+          runtimeTemplate,
+        });
+      }
+      return this.getSourceForEmptyAsyncContext(id, runtimeTemplate);
+    }
+    if (asyncMode === "lazy-once") {
+      const block = this.blocks[0];
+      if (block) {
+        return this.getLazyOnceSource(block, block.dependencies, id, {
+          runtimeTemplate,
+          chunkGraph,
+        });
+      }
+      return this.getSourceForEmptyAsyncContext(id, runtimeTemplate);
+    }
+    if (asyncMode === "async-weak") {
+      if (this.dependencies && this.dependencies.length > 0) {
+        return this.getAsyncWeakSource(this.dependencies, id, {
+          chunkGraph,
+          runtimeTemplate,
+        });
+      }
+      return this.getSourceForEmptyAsyncContext(id, runtimeTemplate);
+    }
+    if (
+      asyncMode === "weak" &&
+      this.dependencies &&
+      this.dependencies.length > 0
+    ) {
+      return this.getWeakSyncSource(this.dependencies, id, chunkGraph);
+    }
+    if (this.dependencies && this.dependencies.length > 0) {
+      return this.getSyncSource(this.dependencies, id, chunkGraph);
+    }
+    return this.getSourceForEmptyContext(id, runtimeTemplate);
+  }
+
+  /**
+   * 开启 source map 时使用 OriginalSource
+   * @param {string} sourceString source content
+   * @param {Compilation=} compilation the compilation
+   * @returns {Source} generated source
+   */
+  getSource(sourceString, compilation) {
+    if (this.useSourceMap || this.useSimpleSourceMap) {
+      return new OriginalSource(
+        sourceString,
+        `webpack://${makePathsRelative(
+          (compilation && compilation.compiler.context) || "",
+          this.identifier(),
+          compilation && compilation.compiler.root
+        )}`
+      );
+    }
+    return new RawSource(sourceString);
+  }
+
+  /**
+   * 生成代码，并记录运行时需要的全局变量
+   * @param {CodeGenerationContext} context context for code generation
+   * @returns {CodeGenerationResult} result
+   */
+  codeGeneration(context) {
+    const { chunkGraph, compilation } = context;
+    const sources = new Map();
+    sources.set(
+      "javascript",
+      this.getSource(
+        this.getSourceString(this.options.mode, context),
+        compilation
+      )
+    );
+    const set = new Set();
+    const allDeps =
+      this.dependencies.length > 0
+        ? /** @type {ContextElementDependency[]} */ (this.dependencies).slice()
+        : [];
+    for (const block of this.blocks)
+      for (const dep of block.dependencies)
+        allDeps.push(/** @type {ContextElementDependency} */ (dep));
+    set.add(RuntimeGlobals.module);
+    set.add(RuntimeGlobals.hasOwnProperty);
+    if (allDeps.length > 0) {
+      const asyncMode = this.options.mode;
+      set.add(RuntimeGlobals.require);
+      if (asyncMode === "weak") {
+        set.add(RuntimeGlobals.moduleFactories);
+      } else if (asyncMode === "async-weak") {
+        set.add(RuntimeGlobals.moduleFactories);
+        set.add(RuntimeGlobals.ensureChunk);
+      } else if (asyncMode === "lazy" || asyncMode === "lazy-once") {
+        set.add(RuntimeGlobals.ensureChunk);
+      }
+      if (this.getFakeMap(allDeps, chunkGraph) !== 9) {
+        set.add(RuntimeGlobals.createFakeNamespaceObject);
+      }
+    }
+    return {
+      sources,
+      runtimeRequirements: set,
+    };
+  }
+
+  /**
+   * 估算模块大小
+   * @param {string=} type the source type for which the size should be estimated
+   * @returns {number} the estimated size of the module (must be non-zero)
+   */
+  size(type) {
+    // 基础大小
+    let size = 160;
+
+    // 每个依赖在 map 中占用的大小
+    for (const dependency of this.dependencies) {
+      const element = /** @type {ContextElementDependency} */ (dependency);
+      size += 5 + element.userRequest.length;
+    }
+    return size;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this._identifier);
+    write(this._forceBuild);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this._identifier = read();
+    this._forceBuild = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(ContextModule, "webpack/lib/ContextModule");
+
+module.exports = ContextModule;
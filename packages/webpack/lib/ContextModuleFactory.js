@@ -0,0 +1,447 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const asyncLib = require("neo-async");
+const { AsyncSeriesWaterfallHook, SyncWaterfallHook } = require("tapable");
+const ContextModule = require("./ContextModule");
+const ModuleFactory = require("./ModuleFactory");
+const ContextElementDependency = require("./dependencies/ContextElementDependency");
+const LazySet = require("./util/LazySet");
+const { cachedSetProperty } = require("./util/cleverMerge");
+const { join } = require("./util/fs");
+
+const EMPTY_RESOLVE_OPTIONS = {};
+
+/**
+ * 上下文模块工厂
+ *
+ * 为 require.context("./icons", true, /\.svg$/) 以及 import(`../views/${name}`) 这类
+ * 无法在编译时确定具体文件的请求创建 ContextModule：
+ * 1. beforeResolve：插件可以修改请求或返回 false 忽略
+ * 2. 解析上下文目录（resolveToContext）以及请求中的 loader
+ * 3. afterResolve：插件可以修改结果，例如替换 resolveDependencies 或 regExp
+ * 4. 构建 ContextModule 时通过 resolveDependencies 扫描目录，为每个匹配的文件创建 ContextElementDependency
+ */
+module.exports = class ContextModuleFactory extends ModuleFactory {
+  /**
+   * @param {ResolverFactory} resolverFactory resolverFactory
+   */
+  constructor(resolverFactory) {
+    super();
+    this.hooks = Object.freeze({
+      /**
+       * 解析前调用，返回 false 时忽略该上下文
+       * @type {AsyncSeriesWaterfallHook<[TODO]>}
+       */
+      beforeResolve: new AsyncSeriesWaterfallHook(["data"]),
+      /**
+       * 解析后、创建 ContextModule 前调用，返回 false 时忽略该上下文
+       * @type {AsyncSeriesWaterfallHook<[TODO]>}
+       */
+      afterResolve: new AsyncSeriesWaterfallHook(["data"]),
+      /**
+       * 读取目录后调用，可以过滤或修改目录中的文件名
+       * @type {SyncWaterfallHook<[string[]]>}
+       */
+      contextModuleFiles: new SyncWaterfallHook(["files"]),
+      /**
+       * 为每个文件生成可选的请求形式，例如同时提供 ./home.js 和 ./home
+       * @type {AsyncSeriesWaterfallHook<[ContextAlternativeRequest[], ContextModuleOptions]>}
+       */
+      alternativeRequests: new AsyncSeriesWaterfallHook(["modules", "options"]),
+    });
+    this.resolverFactory = resolverFactory;
+  }
+
+  /**
+   * @param {ModuleFactoryCreateData} data data object
+   * @param {function((Error | null)=, ModuleFactoryResult=): void} callback callback
+   * @returns {void}
+   */
+  create(data, callback) {
+    const context = data.context;
+    const dependencies = data.dependencies;
+    const resolveOptions = data.resolveOptions;
+    const dependency = dependencies[0];
+    const fileDependencies = new LazySet();
+    const missingDependencies = new LazySet();
+    const contextDependencies = new LazySet();
+    this.hooks.beforeResolve.callAsync(
+      {
+        context,
+        dependencies,
+        layer: data.contextInfo.issuerLayer,
+        resolveOptions,
+        fileDependencies,
+        missingDependencies,
+        contextDependencies,
+        // request、recursive、regExp、mode 等由 ContextDependency 提供
+        ...dependency.options,
+      },
+      (err, beforeResolveResult) => {
+        if (err) {
+          return callback(err, {
+            fileDependencies,
+            missingDependencies,
+            contextDependencies,
+          });
+        }
+
+        // 被插件忽略
+        if (!beforeResolveResult) {
+          return callback(null, {
+            fileDependencies,
+            missingDependencies,
+            contextDependencies,
+          });
+        }
+
+        const context = beforeResolveResult.context;
+        const request = beforeResolveResult.request;
+        const resolveOptions = beforeResolveResult.resolveOptions;
+
+        // 拆分请求中的 loader，例如 "!!raw-loader!./icons"
+        let loaders;
+        let resource;
+        let loadersPrefix = "";
+        const idx = request.lastIndexOf("!");
+        if (idx >= 0) {
+          let loadersRequest = request.slice(0, idx + 1);
+          let i;
+          for (
+            i = 0;
+            i < loadersRequest.length && loadersRequest[i] === "!";
+            i++
+          ) {
+            loadersPrefix += "!";
+          }
+          loadersRequest = loadersRequest
+            .slice(i)
+            .replace(/!+$/, "")
+            .replace(/!!+/g, "!");
+          loaders = loadersRequest === "" ? [] : loadersRequest.split("!");
+          resource = request.slice(idx + 1);
+        } else {
+          loaders = [];
+          resource = request;
+        }
+
+        const contextResolver = this.resolverFactory.get(
+          "context",
+          dependencies.length > 0
+            ? cachedSetProperty(
+                resolveOptions || EMPTY_RESOLVE_OPTIONS,
+                "dependencyType",
+                dependencies[0].category
+              )
+            : resolveOptions
+        );
+        const loaderResolver = this.resolverFactory.get("loader");
+
+        asyncLib.parallel(
+          [
+            (callback) => {
+              // 一个请求可能解析到多个目录（例如 resolve.modules 中的多个位置）
+              const results = [];
+              const yield_ = (obj) => {
+                results.push(obj);
+              };
+
+              contextResolver.resolve(
+                {},
+                context,
+                resource,
+                {
+                  fileDependencies,
+                  missingDependencies,
+                  contextDependencies,
+                  yield: yield_,
+                },
+                (err) => {
+                  if (err) return callback(err);
+                  callback(null, results);
+                }
+              );
+            },
+            (callback) => {
+              asyncLib.map(
+                loaders,
+                (loader, callback) => {
+                  loaderResolver.resolve(
+                    {},
+                    context,
+                    loader,
+                    {
+                      fileDependencies,
+                      missingDependencies,
+                      contextDependencies,
+                    },
+                    (err, result) => {
+                      if (err) return callback(err);
+                      callback(null, result);
+                    }
+                  );
+                },
+                callback
+              );
+            },
+          ],
+          (err, result) => {
+            if (err) {
+              return callback(err, {
+                fileDependencies,
+                missingDependencies,
+                contextDependencies,
+              });
+            }
+            let [contextResult, loaderResult] = result;
+            if (contextResult.length > 1) {
+              const first = contextResult[0];
+              contextResult = contextResult.filter((r) => r.path);
+              if (contextResult.length === 0) contextResult.push(first);
+            }
+            this.hooks.afterResolve.callAsync(
+              {
+                addon:
+                  loadersPrefix +
+                  loaderResult.join("!") +
+                  (loaderResult.length > 0 ? "!" : ""),
+                resource:
+                  contextResult.length > 1
+                    ? contextResult.map((r) => r.path)
+                    : contextResult[0].path,
+                resolveDependencies: this.resolveDependencies.bind(this),
+                resourceQuery: contextResult[0].query,
+                resourceFragment: contextResult[0].fragment,
+                ...beforeResolveResult,
+              },
+              (err, result) => {
+                if (err) {
+                  return callback(err, {
+                    fileDependencies,
+                    missingDependencies,
+                    contextDependencies,
+                  });
+                }
+
+                // 被插件忽略
+                if (!result) {
+                  return callback(null, {
+                    fileDependencies,
+                    missingDependencies,
+                    contextDependencies,
+                  });
+                }
+
+                return callback(null, {
+                  module: new ContextModule(result.resolveDependencies, result),
+                  fileDependencies,
+                  missingDependencies,
+                  contextDependencies,
+                });
+              }
+            );
+          }
+        );
+      }
+    );
+  }
+
+  /**
+   * 扫描上下文目录，为每个匹配的文件创建 ContextElementDependency
+   * - recursive 为 false 时不进入子目录
+   * - exclude 匹配的路径（文件或目录）直接跳过，include 只作用于文件
+   * - 以 . 开头的文件和目录会被忽略
+   * - 最终由 regExp 过滤相对请求（例如 ./home.js）
+   * @param {InputFileSystem} fs file system
+   * @param {ContextModuleOptions} options options
+   * @param {ResolveDependenciesCallback} callback callback function
+   * @returns {void}
+   */
+  resolveDependencies(fs, options, callback) {
+    const cmf = this;
+    const {
+      resource,
+      resourceQuery,
+      resourceFragment,
+      recursive,
+      regExp,
+      include,
+      exclude,
+      referencedExports,
+      category,
+      typePrefix,
+      attributes,
+    } = options;
+    if (!regExp || !resource) return callback(null, []);
+
+    /**
+     * 通过 realpath 记录访问过的目录，避免符号链接造成的无限递归
+     * @param {string} ctx context
+     * @param {string} directory directory
+     * @param {Set<string>} visited visited
+     * @param {ResolveDependenciesCallback} callback callback
+     */
+    const addDirectoryChecked = (ctx, directory, visited, callback) => {
+      fs.realpath(directory, (err, realPath) => {
+        if (err) return callback(err);
+        if (visited.has(realPath)) return callback(null, []);
+        /** @type {Set<string> | undefined} */
+        let recursionStack;
+        addDirectory(
+          ctx,
+          directory,
+          (_, dir, callback) => {
+            if (recursionStack === undefined) {
+              recursionStack = new Set(visited);
+              recursionStack.add(realPath);
+            }
+            addDirectoryChecked(ctx, dir, recursionStack, callback);
+          },
+          callback
+        );
+      });
+    };
+
+    /**
+     * @param {string} ctx context
+     * @param {string} directory directory
+     * @param {function(string, string, function(): void): void} addSubDirectory addSubDirectoryFn
+     * @param {ResolveDependenciesCallback} callback callback
+     */
+    const addDirectory = (ctx, directory, addSubDirectory, callback) => {
+      fs.readdir(directory, (err, files) => {
+        if (err) return callback(err);
+        const processedFiles = cmf.hooks.contextModuleFiles.call(
+          files.map((file) => file.normalize("NFC"))
+        );
+        if (!processedFiles || processedFiles.length === 0)
+          return callback(null, []);
+        asyncLib.map(
+          processedFiles.filter((p) => p.indexOf(".") !== 0),
+          (segment, callback) => {
+            const subResource = join(fs, directory, segment);
+
+            if (!exclude || !subResource.match(exclude)) {
+              fs.stat(subResource, (err, stat) => {
+                if (err) {
+                  if (err.code === "ENOENT") {
+                    // 文件可能在 readdir 和 stat 之间被删除，忽略即可
+                    return callback();
+                  }
+                  return callback(err);
+                }
+
+                if (stat.isDirectory()) {
+                  if (!recursive) return callback();
+                  addSubDirectory(ctx, subResource, callback);
+                } else if (
+                  stat.isFile() &&
+                  (!include || subResource.match(include))
+                ) {
+                  /** @type {{ context: string, request: string }} */
+                  const obj = {
+                    context: ctx,
+                    request: `.${subResource.slice(ctx.length).replace(/\\/g, "/")}`,
+                  };
+
+                  this.hooks.alternativeRequests.callAsync(
+                    [obj],
+                    options,
+                    (err, alternatives) => {
+                      if (err) return callback(err);
+                      callback(
+                        null,
+                        alternatives
+                          .filter((obj) => regExp.test(obj.request))
+                          .map((obj) => {
+                            const dep = new ContextElementDependency(
+                              `${obj.request}${resourceQuery}${resourceFragment}`,
+                              obj.request,
+                              typePrefix,
+                              category,
+                              referencedExports,
+                              obj.context,
+                              attributes
+                            );
+                            // 上下文中的文件解析失败不应该导致编译报错
+                            dep.optional = true;
+                            return dep;
+                          })
+                      );
+                    }
+                  );
+                } else {
+                  callback();
+                }
+              });
+            } else {
+              callback();
+            }
+          },
+          (err, result) => {
+            if (err) return callback(err);
+
+            if (!result) return callback(null, []);
+
+            const flattenedResult = [];
+
+            for (const item of result) {
+              if (item) flattenedResult.push(...item);
+            }
+
+            callback(null, flattenedResult);
+          }
+        );
+      });
+    };
+
+    /**
+     * @param {string} ctx context
+     * @param {string} dir dir
+     * @param {ResolveDependenciesCallback} callback callback
+     * @returns {void}
+     */
+    const addSubDirectory = (ctx, dir, callback) =>
+      addDirectory(ctx, dir, addSubDirectory, callback);
+
+    /**
+     * @param {string} resource resource
+     * @param {ResolveDependenciesCallback} callback callback
+     */
+    const visitResource = (resource, callback) => {
+      if (typeof fs.realpath === "function") {
+        addDirectoryChecked(resource, resource, new Set(), callback);
+      } else {
+        addDirectory(resource, resource, addSubDirectory, callback);
+      }
+    };
+
+    if (typeof resource === "string") {
+      visitResource(resource, callback);
+    } else {
+      asyncLib.map(resource, visitResource, (err, result) => {
+        if (err) return callback(err);
+
+        // 多个目录中的同名请求只保留第一个（按解析结果的顺序）
+        /** @type {Set<string>} */
+        const temp = new Set();
+        /** @type {ContextElementDependency[]} */
+        const res = [];
+        for (let i = 0; i < result.length; i++) {
+          const inner = result[i];
+          for (const el of inner) {
+            if (temp.has(el.userRequest)) continue;
+            res.push(el);
+            temp.add(el.userRequest);
+          }
+        }
+        callback(null, res);
+      });
+    }
+  }
+};
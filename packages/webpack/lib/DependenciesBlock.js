@@ -0,0 +1,125 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("./util/makeSerializable");
+
+/**
+ * 依赖块，用来组织一组依赖
+ *
+ * Module 本身就是一个依赖块（同步依赖都在 dependencies 中），
+ * 而 import() 这类异步依赖会放在子块 blocks（AsyncDependenciesBlock）中，
+ * seal 阶段会为每个异步块创建单独的 ChunkGroup，从而实现代码分割
+ */
+class DependenciesBlock {
+  constructor() {
+    /**
+     * 同步依赖
+     * @type {Dependency[]}
+     */
+    this.dependencies = [];
+    /**
+     * 异步子块
+     * @type {AsyncDependenciesBlock[]}
+     */
+    this.blocks = [];
+    /**
+     * 父级依赖块
+     * @type {DependenciesBlock | undefined}
+     */
+    this.parent = undefined;
+  }
+
+  /**
+   * 沿着 parent 一直向上找到最外层的依赖块（通常是模块本身）
+   * @returns {DependenciesBlock}
+   */
+  getRootBlock() {
+    /** @type {DependenciesBlock} */
+    let current = this;
+    while (current.parent) current = current.parent;
+    return current;
+  }
+
+  /**
+   * 添加一个异步子块，并把当前块设为它的父级
+   * 这里只是记录下来，异步块的解析在 Compilation 的 processModuleDependencies 中完成
+   * @param {AsyncDependenciesBlock} block block being added
+   * @returns {void}
+   */
+  addBlock(block) {
+    this.blocks.push(block);
+    block.parent = this;
+  }
+
+  /**
+   * @param {Dependency} dependency dependency being tied to block.
+   * This is an "edge" pointing to another "node" on module graph.
+   * @returns {void}
+   */
+  addDependency(dependency) {
+    this.dependencies.push(dependency);
+  }
+
+  /**
+   * @param {Dependency} dependency dependency being removed
+   * @returns {void}
+   */
+  removeDependency(dependency) {
+    const idx = this.dependencies.indexOf(dependency);
+    if (idx >= 0) {
+      this.dependencies.splice(idx, 1);
+    }
+  }
+
+  /**
+   * 清空所有依赖和子块，模块重新构建前会调用
+   * @returns {void}
+   */
+  clearDependenciesAndBlocks() {
+    this.dependencies.length = 0;
+    this.blocks.length = 0;
+  }
+
+  /**
+   * 依次把所有依赖和子块的信息写入 hash
+   * @param {Hash} hash the hash used to track dependencies
+   * @param {UpdateHashContext} context context
+   * @returns {void}
+   */
+  updateHash(hash, context) {
+    for (const dep of this.dependencies) {
+      dep.updateHash(hash, context);
+    }
+    for (const block of this.blocks) {
+      block.updateHash(hash, context);
+    }
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize({ write }) {
+    write(this.dependencies);
+    write(this.blocks);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize({ read }) {
+    this.dependencies = read();
+    this.blocks = read();
+    // parent 不参与序列化，需要重新建立关系
+    for (const block of this.blocks) {
+      block.parent = this;
+    }
+  }
+}
+
+makeSerializable(DependenciesBlock, "webpack/lib/DependenciesBlock");
+
+module.exports = DependenciesBlock;
@@ -0,0 +1,76 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const createHash = require("./util/createHash");
+
+/**
+ * 依赖类型到依赖模板的映射
+ *
+ * 代码生成时，模块中的每个依赖都要通过对应的 DependencyTemplate 改写源码
+ * （例如把 import 语句替换成 __webpack_require__ 调用），
+ * 插件在 compilation 钩子中通过 compilation.dependencyTemplates.set 注册模板
+ */
+class DependencyTemplates {
+  /**
+   * @param {string | Hash} hashFunction the hash function to use
+   */
+  constructor(hashFunction = "md4") {
+    /** @type {Map<Function, DependencyTemplate>} */
+    this._map = new Map();
+    /**
+     * 模板集合的 hash，插件修改了模板的行为时通过 updateHash 改变它，
+     * 从而让依赖模板的代码生成结果缓存失效
+     * @type {string}
+     */
+    this._hash = "31d6cfe0d16ae931b73c59d7e0c089c0";
+    this._hashFunction = hashFunction;
+  }
+
+  /**
+   * @param {DependencyConstructor} dependency Constructor of Dependency
+   * @returns {DependencyTemplate | undefined} template for this dependency
+   */
+  get(dependency) {
+    return this._map.get(dependency);
+  }
+
+  /**
+   * @param {DependencyConstructor} dependency Constructor of Dependency
+   * @param {DependencyTemplate} dependencyTemplate template for this dependency
+   * @returns {void}
+   */
+  set(dependency, dependencyTemplate) {
+    this._map.set(dependency, dependencyTemplate);
+  }
+
+  /**
+   * @param {string} part additional hash contributor
+   * @returns {void}
+   */
+  updateHash(part) {
+    const hash = createHash(this._hashFunction);
+    hash.update(`${this._hash}${part}`);
+    this._hash = /** @type {string} */ (hash.digest("hex"));
+  }
+
+  getHash() {
+    return this._hash;
+  }
+
+  /**
+   * 复制一份，子编译器会基于父编译的模板继续注册
+   * @returns {DependencyTemplates} clone
+   */
+  clone() {
+    const newInstance = new DependencyTemplates(this._hashFunction);
+    newInstance._map = new Map(this._map);
+    newInstance._hash = this._hash;
+    return newInstance;
+  }
+}
+
+module.exports = DependencyTemplates;
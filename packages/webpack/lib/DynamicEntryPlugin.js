@@ -0,0 +1,78 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Naoyuki Kanezawa @nkzawa
+*/
+
+"use strict";
+
+const EntryOptionPlugin = require("./EntryOptionPlugin");
+const EntryPlugin = require("./EntryPlugin");
+const EntryDependency = require("./dependencies/EntryDependency");
+
+/**
+ * 动态入口插件
+ *
+ * entry 配置为函数时使用，每次编译的 make 阶段都会重新调用该函数获取入口，
+ * 函数可以返回 Promise，因此 watch 模式下入口可以随时变化
+ */
+class DynamicEntryPlugin {
+  /**
+   * @param {string} context 上下文目录
+   * @param {EntryDynamicNormalized} entry 返回入口配置的函数
+   */
+  constructor(context, entry) {
+    this.context = context;
+    this.entry = entry;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler 编译器实例
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      "DynamicEntryPlugin",
+      (compilation, { normalModuleFactory }) => {
+        compilation.dependencyFactories.set(
+          EntryDependency,
+          normalModuleFactory
+        );
+      }
+    );
+
+    compiler.hooks.make.tapPromise("DynamicEntryPlugin", (compilation) =>
+      Promise.resolve(this.entry())
+        .then((entry) => {
+          const promises = [];
+          for (const name of Object.keys(entry)) {
+            const desc = entry[name];
+            const options = EntryOptionPlugin.entryDescriptionToOptions(
+              compiler,
+              name,
+              desc
+            );
+            for (const entry of desc.import) {
+              promises.push(
+                new Promise((resolve, reject) => {
+                  compilation.addEntry(
+                    this.context,
+                    EntryPlugin.createDependency(entry, options),
+                    options,
+                    (err) => {
+                      if (err) return reject(err);
+                      resolve();
+                    }
+                  );
+                })
+              );
+            }
+          }
+          return Promise.all(promises);
+        })
+        .then((x) => {})
+    );
+  }
+}
+
+module.exports = DynamicEntryPlugin;
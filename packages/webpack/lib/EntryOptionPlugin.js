@@ -0,0 +1,98 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 处理 entry 配置的插件
+ *
+ * 在 entryOption 钩子中把规范化后的 entry 配置转换为具体的入口插件：
+ * - entry 是函数时使用 DynamicEntryPlugin，每次编译时调用函数获取入口
+ * - 否则为每个入口的每个 import 创建一个 EntryPlugin
+ */
+class EntryOptionPlugin {
+  /**
+   * @param {Compiler} compiler 编译器实例
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.entryOption.tap("EntryOptionPlugin", (context, entry) => {
+      EntryOptionPlugin.applyEntryOption(compiler, context, entry);
+      // 返回 true 表示 entry 已经处理完毕
+      return true;
+    });
+  }
+
+  /**
+   * @param {Compiler} compiler 编译器实例
+   * @param {string} context 上下文目录
+   * @param {EntryNormalized} entry 规范化后的 entry 配置
+   * @returns {void}
+   */
+  static applyEntryOption(compiler, context, entry) {
+    if (typeof entry === "function") {
+      const DynamicEntryPlugin = require("./DynamicEntryPlugin");
+      new DynamicEntryPlugin(context, entry).apply(compiler);
+    } else {
+      const EntryPlugin = require("./EntryPlugin");
+      for (const name of Object.keys(entry)) {
+        const desc = entry[name];
+        const options = EntryOptionPlugin.entryDescriptionToOptions(
+          compiler,
+          name,
+          desc
+        );
+        for (const entry of desc.import) {
+          new EntryPlugin(context, entry, options).apply(compiler);
+        }
+      }
+    }
+  }
+
+  /**
+   * 把入口描述转换为 compilation.addEntry 使用的入口选项
+   * @param {Compiler} compiler 编译器实例
+   * @param {string} name 入口名称
+   * @param {EntryDescriptionNormalized} desc 入口描述
+   * @returns {EntryOptions} 入口选项
+   */
+  static entryDescriptionToOptions(compiler, name, desc) {
+    /** @type {EntryOptions} */
+    const options = {
+      name,
+      filename: desc.filename,
+      runtime: desc.runtime,
+      layer: desc.layer,
+      dependOn: desc.dependOn,
+      baseUri: desc.baseUri,
+      publicPath: desc.publicPath,
+      chunkLoading: desc.chunkLoading,
+      asyncChunks: desc.asyncChunks,
+      wasmLoading: desc.wasmLoading,
+      library: desc.library,
+    };
+    if (desc.layer !== undefined && !compiler.options.experiments.layers) {
+      throw new Error(
+        "'entryOptions.layer' is only allowed when 'experiments.layers' is enabled"
+      );
+    }
+    // 入口使用的加载方式和 library 类型必须已经通过 output.enabled*Types 启用
+    if (desc.chunkLoading) {
+      const EnableChunkLoadingPlugin = require("./javascript/EnableChunkLoadingPlugin");
+      EnableChunkLoadingPlugin.checkEnabled(compiler, desc.chunkLoading);
+    }
+    if (desc.wasmLoading) {
+      const EnableWasmLoadingPlugin = require("./wasm/EnableWasmLoadingPlugin");
+      EnableWasmLoadingPlugin.checkEnabled(compiler, desc.wasmLoading);
+    }
+    if (desc.library) {
+      const EnableLibraryPlugin = require("./library/EnableLibraryPlugin");
+      EnableLibraryPlugin.checkEnabled(compiler, desc.library.type);
+    }
+    return options;
+  }
+}
+
+module.exports = EntryOptionPlugin;
@@ -0,0 +1,103 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const ChunkGroup = require("./ChunkGroup");
+
+/**
+ * 入口对应的 chunkGroup
+ *
+ * 与普通 chunkGroup 的区别在于：
+ * - 它会在页面初始时加载（isInitial 为 true），异步入口（例如 Worker）除外
+ * - 它包含一个运行时 chunk（runtime chunk），存放 __webpack_require__ 等运行时代码
+ * - 它有一个入口 chunk（entrypoint chunk），入口模块就放在这个 chunk 中
+ */
+class Entrypoint extends ChunkGroup {
+  /**
+   * @param {EntryOptions | string} entryOptions the options for the entrypoint (or name)
+   * @param {boolean=} initial false, when the entrypoint is not initial loaded
+   */
+  constructor(entryOptions, initial = true) {
+    if (typeof entryOptions === "string") {
+      entryOptions = { name: entryOptions };
+    }
+    super({
+      name: entryOptions.name,
+    });
+    /** 入口的完整选项（dependOn、runtime、filename、library 等） */
+    this.options = entryOptions;
+    /**
+     * 存放运行时代码的 chunk
+     * @type {Chunk=}
+     */
+    this._runtimeChunk = undefined;
+    /**
+     * 入口模块所在的 chunk
+     * @type {Chunk=}
+     */
+    this._entrypointChunk = undefined;
+    /** @type {boolean} */
+    this._initial = initial;
+  }
+
+  /**
+   * @returns {boolean} true, when this chunk group will be loaded on initial page load
+   */
+  isInitial() {
+    return this._initial;
+  }
+
+  /**
+   * 设置运行时 chunk
+   * @param {Chunk} chunk the chunk being set as the runtime chunk.
+   * @returns {void}
+   */
+  setRuntimeChunk(chunk) {
+    this._runtimeChunk = chunk;
+  }
+
+  /**
+   * 获取运行时 chunk，自身没有时（dependOn 的情况）从父入口中查找
+   * @returns {Chunk | null} returns the runtime chunk or null if there is none
+   */
+  getRuntimeChunk() {
+    if (this._runtimeChunk) return this._runtimeChunk;
+    for (const parent of this.parentsIterable) {
+      if (parent instanceof Entrypoint) return parent.getRuntimeChunk();
+    }
+    return null;
+  }
+
+  /**
+   * 设置入口 chunk
+   * @param {Chunk} chunk the chunk being set as the entrypoint chunk.
+   * @returns {void}
+   */
+  setEntrypointChunk(chunk) {
+    this._entrypointChunk = chunk;
+  }
+
+  /**
+   * @returns {Chunk} returns the entrypoint chunk
+   */
+  getEntrypointChunk() {
+    return /** @type {Chunk} */ (this._entrypointChunk);
+  }
+
+  /**
+   * 替换 chunk 时同步更新运行时 chunk 和入口 chunk
+   * @param {Chunk} oldChunk chunk to be replaced
+   * @param {Chunk} newChunk New chunk that will be replaced with
+   * @returns {boolean | undefined} returns true if the replacement was successful
+   */
+  replaceChunk(oldChunk, newChunk) {
+    if (this._runtimeChunk === oldChunk) this._runtimeChunk = newChunk;
+    if (this._entrypointChunk === oldChunk) this._entrypointChunk = newChunk;
+    return super.replaceChunk(oldChunk, newChunk);
+  }
+}
+
+module.exports = Entrypoint;
@@ -0,0 +1,49 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Gengkun He @ahabhgk
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+const makeSerializable = require("./util/makeSerializable");
+
+/** @typedef {"asyncWebAssembly" | "topLevelAwait" | "external promise" | "external script" | "external import" | "external module"} Feature */
+
+/**
+ * 生成的代码需要 async/await，但 output.environment 表示目标环境不支持时报告的警告
+ */
+class EnvironmentNotSupportAsyncWarning extends WebpackError {
+  /**
+   * @param {Module} module module
+   * @param {Feature} feature feature
+   */
+  constructor(module, feature) {
+    const message = `The generated code contains 'async/await' because this module is using "${feature}".
+However, your target environment does not appear to support 'async/await'.
+As a result, the code may not run as expected or may cause runtime errors.`;
+    super(message);
+
+    this.name = "EnvironmentNotSupportAsyncWarning";
+    this.module = module;
+  }
+
+  /**
+   * 目标环境不支持 async 函数时给模块添加警告
+   * @param {Module} module module
+   * @param {RuntimeTemplate} runtimeTemplate compilation
+   * @param {Feature} feature feature
+   */
+  static check(module, runtimeTemplate, feature) {
+    if (!runtimeTemplate.supportsAsyncFunction()) {
+      module.addWarning(new EnvironmentNotSupportAsyncWarning(module, feature));
+    }
+  }
+}
+
+makeSerializable(
+  EnvironmentNotSupportAsyncWarning,
+  "webpack/lib/EnvironmentNotSupportAsyncWarning"
+);
+
+module.exports = EnvironmentNotSupportAsyncWarning;
@@ -0,0 +1,157 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * @typedef {object} GenerateContext
+ * @property {DependencyTemplates} dependencyTemplates mapping from dependencies to templates
+ * @property {RuntimeTemplate} runtimeTemplate the runtime template
+ * @property {ModuleGraph} moduleGraph the module graph
+ * @property {ChunkGraph} chunkGraph the chunk graph
+ * @property {RuntimeRequirements} runtimeRequirements the requirements for runtime
+ * @property {RuntimeSpec} runtime the runtime
+ * @property {ConcatenationScope=} concatenationScope when in concatenated module, information about other concatenated modules
+ * @property {CodeGenerationResults=} codeGenerationResults code generation results of other modules (need to have a codeGenerationDependency to use that)
+ * @property {string} type which kind of code should be generated
+ * @property {function(): Map<string, any>=} getData get access to the code generation data
+ */
+
+/**
+ * @typedef {object} UpdateHashContext
+ * @property {NormalModule} module the module
+ * @property {ChunkGraph} chunkGraph
+ * @property {RuntimeSpec} runtime
+ * @property {RuntimeTemplate=} runtimeTemplate
+ */
+
+/**
+ * 生成器的基类
+ *
+ * NormalModule 在代码生成阶段把模块交给 generator，按源码类型（javascript、asset 等）
+ * 生成最终输出的代码，例如 JavascriptGenerator 会应用各个依赖的模板替换源码
+ */
+class Generator {
+  /**
+   * 按源码类型组合多个生成器，例如同时输出 javascript 和 asset 的模块
+   * @param {Record<string, Generator>} map map of types
+   * @returns {ByTypeGenerator} generator by type
+   */
+  static byType(map) {
+    return new ByTypeGenerator(map);
+  }
+
+  /* istanbul ignore next */
+  /**
+   * 模块能够生成的源码类型
+   * @abstract
+   * @param {NormalModule} module fresh module
+   * @returns {SourceTypes} available types (do not mutate)
+   */
+  getTypes(module) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /* istanbul ignore next */
+  /**
+   * 估算模块在指定源码类型下的大小
+   * @abstract
+   * @param {NormalModule} module the module
+   * @param {string=} type source type
+   * @returns {number} estimate size of the module
+   */
+  getSize(module, type) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /* istanbul ignore next */
+  /**
+   * 生成模块在指定源码类型下的代码
+   * @abstract
+   * @param {NormalModule} module module for which the code should be generated
+   * @param {GenerateContext} generateContext context for generate
+   * @returns {Source | null} generated code
+   */
+  generate(
+    module,
+    { dependencyTemplates, runtimeTemplate, moduleGraph, type }
+  ) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /**
+   * 模块不能被合并（scope hoisting）的原因
+   * @param {NormalModule} module module for which the bailout reason should be determined
+   * @param {ConcatenationBailoutReasonContext} context context
+   * @returns {string | undefined} reason why this module can't be concatenated, undefined when it can be concatenated
+   */
+  getConcatenationBailoutReason(module, context) {
+    return `Module Concatenation is not implemented for ${this.constructor.name}`;
+  }
+
+  /**
+   * 把生成器相关的信息计入模块 hash
+   * @param {Hash} hash hash that will be modified
+   * @param {UpdateHashContext} updateHashContext context for updating hash
+   */
+  updateHash(hash, { module, runtime }) {
+    // 默认没有需要计入 hash 的内容
+  }
+}
+
+/**
+ * 按源码类型把调用分发给对应的生成器
+ */
+class ByTypeGenerator extends Generator {
+  /**
+   * @param {Record<string, Generator>} map map of types
+   */
+  constructor(map) {
+    super();
+    this.map = map;
+    this._types = new Set(Object.keys(map));
+  }
+
+  /**
+   * 组合的生成器覆盖的所有源码类型
+   * @param {NormalModule} module fresh module
+   * @returns {SourceTypes} available types (do not mutate)
+   */
+  getTypes(module) {
+    return this._types;
+  }
+
+  /**
+   * 使用对应类型的生成器估算大小，没有对应生成器时为 0
+   * @param {NormalModule} module the module
+   * @param {string=} type source type
+   * @returns {number} estimate size of the module
+   */
+  getSize(module, type = "javascript") {
+    const t = type;
+    const generator = this.map[t];
+    return generator ? generator.getSize(module, t) : 0;
+  }
+
+  /**
+   * 使用对应类型的生成器生成代码
+   * @param {NormalModule} module module for which the code should be generated
+   * @param {GenerateContext} generateContext context for generate
+   * @returns {Source | null} generated code
+   */
+  generate(module, generateContext) {
+    const type = generateContext.type;
+    const generator = this.map[type];
+    if (!generator) {
+      throw new Error(`Generator.byType: no generator specified for ${type}`);
+    }
+    return generator.generate(module, generateContext);
+  }
+}
+
+module.exports = Generator;
@@ -0,0 +1,34 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 建立 chunkGroup 与 chunk 之间的双向关联
+ * @param {ChunkGroup} chunkGroup the ChunkGroup to connect
+ * @param {Chunk} chunk chunk to tie to ChunkGroup
+ * @returns {void}
+ */
+const connectChunkGroupAndChunk = (chunkGroup, chunk) => {
+  if (chunkGroup.pushChunk(chunk)) {
+    chunk.addGroup(chunkGroup);
+  }
+};
+
+/**
+ * 建立父子 chunkGroup 之间的双向关联
+ * @param {ChunkGroup} parent parent ChunkGroup to connect
+ * @param {ChunkGroup} child child ChunkGroup to connect
+ * @returns {void}
+ */
+const connectChunkGroupParentAndChild = (parent, child) => {
+  if (parent.addChild(child)) {
+    child.addParent(parent);
+  }
+};
+
+module.exports.connectChunkGroupAndChunk = connectChunkGroupAndChunk;
+module.exports.connectChunkGroupParentAndChild =
+  connectChunkGroupParentAndChild;
@@ -0,0 +1,19 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+/**
+ * ESM 导入导出链接失败（例如导入的名称在目标模块中不存在）时报告的错误
+ */
+module.exports = class HarmonyLinkingError extends WebpackError {
+  /** @param {string} message Error message */
+  constructor(message) {
+    super(message);
+    this.name = "HarmonyLinkingError";
+    this.hideStack = true;
+  }
+};
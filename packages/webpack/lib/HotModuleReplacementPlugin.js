@@ -1,10 +1,881 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { SyncBailHook } = require("tapable");
+const { RawSource } = require("webpack-sources");
+const Compilation = require("./Compilation");
+const HotUpdateChunk = require("./HotUpdateChunk");
+const NormalModule = require("./NormalModule");
+const RuntimeGlobals = require("./RuntimeGlobals");
+const WebpackError = require("./WebpackError");
+const ConstDependency = require("./dependencies/ConstDependency");
+const ImportMetaHotAcceptDependency = require("./dependencies/ImportMetaHotAcceptDependency");
+const ImportMetaHotDeclineDependency = require("./dependencies/ImportMetaHotDeclineDependency");
+const ModuleHotAcceptDependency = require("./dependencies/ModuleHotAcceptDependency");
+const ModuleHotDeclineDependency = require("./dependencies/ModuleHotDeclineDependency");
+const HotModuleReplacementRuntimeModule = require("./hmr/HotModuleReplacementRuntimeModule");
+const JavascriptParser = require("./javascript/JavascriptParser");
+const {
+  evaluateToIdentifier,
+} = require("./javascript/JavascriptParserHelpers");
+const { find, isSubset } = require("./util/SetHelpers");
+const TupleSet = require("./util/TupleSet");
+const { compareModulesById } = require("./util/comparators");
+const {
+  getRuntimeKey,
+  keyToRuntime,
+  forEachRuntime,
+  mergeRuntimeOwned,
+  subtractRuntime,
+  intersectRuntime,
+} = require("./util/runtime");
+
+const {
+  JAVASCRIPT_MODULE_TYPE_AUTO,
+  JAVASCRIPT_MODULE_TYPE_DYNAMIC,
+  JAVASCRIPT_MODULE_TYPE_ESM,
+  WEBPACK_MODULE_TYPE_RUNTIME,
+} = require("./ModuleTypeConstants");
+
+/**
+ * 插件给 JavascriptParser 添加的钩子
+ * hotAcceptCallback：module.hot.accept(deps, callback) 中解析到回调时调用
+ * hotAcceptWithoutCallback：module.hot.accept(deps) 没有回调时调用
+ * @typedef {object} HMRJavascriptParserHooks
+ * @property {SyncBailHook<[Expression | SpreadElement, string[]], void>} hotAcceptCallback
+ * @property {SyncBailHook<[CallExpression, string[]], void>} hotAcceptWithoutCallback
+ */
+
+/**
+ * 每个运行时对应一个热更新清单（[runtime].[fullhash].hot-update.json），记录这次更新中
+ * 变化的 chunk（c）、移除的 chunk（r）和移除的模块（m）
+ */
+/** @typedef {{ updatedChunkIds: Set<ChunkId>, removedChunkIds: Set<ChunkId>, removedModules: Set<Module>, filename: string, assetInfo: AssetInfo }} HotUpdateMainContentByRuntimeItem */
+/** @typedef {Map<string, HotUpdateMainContentByRuntimeItem>} HotUpdateMainContentByRuntime */
+
+/** @type {WeakMap<JavascriptParser, HMRJavascriptParserHooks>} */
+const parserHooksMap = new WeakMap();
+
+const PLUGIN_NAME = "HotModuleReplacementPlugin";
+
+/**
+ * 模块热替换插件
+ *
+ * 编译阶段：解析 module.hot / import.meta.webpackHot 的 accept、decline 调用，
+ * 为其中的请求创建依赖，并在运行时代码中加入 HMR 运行时（check、apply、status 等 API）
+ *
+ * 输出阶段：借助 records 保存上一次编译每个 chunk 中模块的 hash，
+ * 与这次编译比较得到变化的模块，只把它们输出到热更新 chunk（*.hot-update.js）中，
+ * 再为每个运行时输出一份热更新清单，浏览器端根据清单下载需要更新的 chunk
+ */
 class HotModuleReplacementPlugin {
+  /**
+   * 获取 parser 对应的 HMR 钩子，同一个 parser 只创建一次
+   * @param {JavascriptParser} parser the parser
+   * @returns {HMRJavascriptParserHooks} the attached hooks
+   */
+  static getParserHooks(parser) {
+    if (!(parser instanceof JavascriptParser)) {
+      throw new TypeError(
+        "The 'parser' argument must be an instance of JavascriptParser"
+      );
+    }
+    let hooks = parserHooksMap.get(parser);
+    if (hooks === undefined) {
+      hooks = {
+        hotAcceptCallback: new SyncBailHook(["expression", "requests"]),
+        hotAcceptWithoutCallback: new SyncBailHook(["expression", "requests"]),
+      };
+      parserHooksMap.set(parser, hooks);
+    }
+    return hooks;
+  }
+
+  /**
+   * @param {object=} options options
+   */
   constructor(options) {
     this.options = options || {};
   }
 
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
   apply(compiler) {
-    console.log("应用 热更新替换插件");
+    if (compiler.options.output.strictModuleErrorHandling === undefined)
+      compiler.options.output.strictModuleErrorHandling = true;
+    // module.hot 会被替换成模块参数（moduleArgument）上的 hot 属性，需要运行时提供 module 对象
+    const runtimeRequirements = [RuntimeGlobals.module];
+
+    /**
+     * 处理 accept 调用：第一个参数是字符串或字符串数组时，为每个请求创建依赖，
+     * 代码生成时请求会被替换成模块 id，运行时据此找到对应的模块
+     * @param {JavascriptParser} parser the parser
+     * @param {typeof ModuleHotAcceptDependency} ParamDependency dependency
+     * @returns {(expr: CallExpression) => boolean | undefined} callback
+     */
+    const createAcceptHandler = (parser, ParamDependency) => {
+      const { hotAcceptCallback, hotAcceptWithoutCallback } =
+        HotModuleReplacementPlugin.getParserHooks(parser);
+
+      return (expr) => {
+        const module = parser.state.module;
+        const dep = new ConstDependency(
+          `${module.moduleArgument}.hot.accept`,
+          /** @type {Range} */ (expr.callee.range),
+          runtimeRequirements
+        );
+        dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+        module.addPresentationalDependency(dep);
+        /** @type {BuildInfo} */
+        (module.buildInfo).moduleConcatenationBailout =
+          "Hot Module Replacement";
+
+        if (expr.arguments.length >= 1) {
+          const arg = parser.evaluateExpression(expr.arguments[0]);
+          /** @type {BasicEvaluatedExpression[]} */
+          let params = [];
+          if (arg.isString()) {
+            params = [arg];
+          } else if (arg.isArray()) {
+            params =
+              /** @type {BasicEvaluatedExpression[]} */
+              (arg.items).filter((param) => param.isString());
+          }
+          /** @type {string[]} */
+          const requests = [];
+          if (params.length > 0) {
+            for (const [idx, param] of params.entries()) {
+              const request = /** @type {string} */ (param.string);
+              const dep = new ParamDependency(
+                request,
+                /** @type {Range} */ (param.range)
+              );
+              dep.optional = true;
+              dep.loc = Object.create(
+                /** @type {DependencyLocation} */ (expr.loc)
+              );
+              dep.loc.index = idx;
+              module.addDependency(dep);
+              requests.push(request);
+            }
+            if (expr.arguments.length > 1) {
+              hotAcceptCallback.call(expr.arguments[1], requests);
+              for (let i = 1; i < expr.arguments.length; i++) {
+                parser.walkExpression(expr.arguments[i]);
+              }
+              return true;
+            }
+            hotAcceptWithoutCallback.call(expr, requests);
+            return true;
+          }
+        }
+        parser.walkExpressions(expr.arguments);
+        return true;
+      };
+    };
+
+    /**
+     * 处理 decline 调用，和 accept 类似，只是不会有回调
+     * @param {JavascriptParser} parser the parser
+     * @param {typeof ModuleHotDeclineDependency} ParamDependency dependency
+     * @returns {(expr: CallExpression) => boolean | undefined} callback
+     */
+    const createDeclineHandler = (parser, ParamDependency) => (expr) => {
+      const module = parser.state.module;
+      const dep = new ConstDependency(
+        `${module.moduleArgument}.hot.decline`,
+        /** @type {Range} */ (expr.callee.range),
+        runtimeRequirements
+      );
+      dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+      module.addPresentationalDependency(dep);
+      /** @type {BuildInfo} */
+      (module.buildInfo).moduleConcatenationBailout = "Hot Module Replacement";
+      if (expr.arguments.length === 1) {
+        const arg = parser.evaluateExpression(expr.arguments[0]);
+        /** @type {BasicEvaluatedExpression[]} */
+        let params = [];
+        if (arg.isString()) {
+          params = [arg];
+        } else if (arg.isArray()) {
+          params =
+            /** @type {BasicEvaluatedExpression[]} */
+            (arg.items).filter((param) => param.isString());
+        }
+        for (const [idx, param] of params.entries()) {
+          const dep = new ParamDependency(
+            /** @type {string} */ (param.string),
+            /** @type {Range} */ (param.range)
+          );
+          dep.optional = true;
+          dep.loc = Object.create(/** @type {DependencyLocation} */ (expr.loc));
+          dep.loc.index = idx;
+          module.addDependency(dep);
+        }
+      }
+      return true;
+    };
+
+    /**
+     * 处理单独出现的 module.hot 表达式（例如 if (module.hot)），替换成模块参数上的 hot 属性
+     * @param {JavascriptParser} parser the parser
+     * @returns {(expr: Expression) => boolean | undefined} callback
+     */
+    const createHMRExpressionHandler = (parser) => (expr) => {
+      const module = parser.state.module;
+      const dep = new ConstDependency(
+        `${module.moduleArgument}.hot`,
+        /** @type {Range} */ (expr.range),
+        runtimeRequirements
+      );
+      dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+      module.addPresentationalDependency(dep);
+      /** @type {BuildInfo} */
+      (module.buildInfo).moduleConcatenationBailout = "Hot Module Replacement";
+      return true;
+    };
+
+    /**
+     * CommonJS 风格的 module.hot API
+     * @param {JavascriptParser} parser the parser
+     * @returns {void}
+     */
+    const applyModuleHot = (parser) => {
+      parser.hooks.evaluateIdentifier.for("module.hot").tap(
+        {
+          name: PLUGIN_NAME,
+          before: "NodeStuffPlugin",
+        },
+        (expr) =>
+          evaluateToIdentifier(
+            "module.hot",
+            "module",
+            () => ["hot"],
+            true
+          )(expr)
+      );
+      parser.hooks.call
+        .for("module.hot.accept")
+        .tap(
+          PLUGIN_NAME,
+          createAcceptHandler(parser, ModuleHotAcceptDependency)
+        );
+      parser.hooks.call
+        .for("module.hot.decline")
+        .tap(
+          PLUGIN_NAME,
+          createDeclineHandler(parser, ModuleHotDeclineDependency)
+        );
+      parser.hooks.expression
+        .for("module.hot")
+        .tap(PLUGIN_NAME, createHMRExpressionHandler(parser));
+    };
+
+    /**
+     * ES 模块中的 import.meta.webpackHot API
+     * @param {JavascriptParser} parser the parser
+     * @returns {void}
+     */
+    const applyImportMetaHot = (parser) => {
+      parser.hooks.evaluateIdentifier
+        .for("import.meta.webpackHot")
+        .tap(PLUGIN_NAME, (expr) =>
+          evaluateToIdentifier(
+            "import.meta.webpackHot",
+            "import.meta",
+            () => ["webpackHot"],
+            true
+          )(expr)
+        );
+      parser.hooks.call
+        .for("import.meta.webpackHot.accept")
+        .tap(
+          PLUGIN_NAME,
+          createAcceptHandler(parser, ImportMetaHotAcceptDependency)
+        );
+      parser.hooks.call
+        .for("import.meta.webpackHot.decline")
+        .tap(
+          PLUGIN_NAME,
+          createDeclineHandler(parser, ImportMetaHotDeclineDependency)
+        );
+      parser.hooks.expression
+        .for("import.meta.webpackHot")
+        .tap(PLUGIN_NAME, createHMRExpressionHandler(parser));
+    };
+
+    compiler.hooks.compilation.tap(
+      PLUGIN_NAME,
+      (compilation, { normalModuleFactory }) => {
+        // 只作用于当前编译器，不影响子编译
+        if (compilation.compiler !== compiler) return;
+
+        // #region module.hot.* API
+        compilation.dependencyFactories.set(
+          ModuleHotAcceptDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ModuleHotAcceptDependency,
+          new ModuleHotAcceptDependency.Template()
+        );
+        compilation.dependencyFactories.set(
+          ModuleHotDeclineDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ModuleHotDeclineDependency,
+          new ModuleHotDeclineDependency.Template()
+        );
+        // #endregion
+
+        // #region import.meta.webpackHot.* API
+        compilation.dependencyFactories.set(
+          ImportMetaHotAcceptDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ImportMetaHotAcceptDependency,
+          new ImportMetaHotAcceptDependency.Template()
+        );
+        compilation.dependencyFactories.set(
+          ImportMetaHotDeclineDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ImportMetaHotDeclineDependency,
+          new ImportMetaHotDeclineDependency.Template()
+        );
+        // #endregion
+
+        // 每产生一次热更新加一，参与 fullhash 的计算
+        let hotIndex = 0;
+        /** @type {Record<string, string>} */
+        const fullHashChunkModuleHashes = {};
+        /** @type {Record<string, string>} */
+        const chunkModuleHashes = {};
+
+        // 把这次编译的 hash、每个 chunk 的运行时和模块 id、模块 hash 记录到 records 中，
+        // 作为下一次编译比较的基准
+        compilation.hooks.record.tap(PLUGIN_NAME, (compilation, records) => {
+          if (records.hash === compilation.hash) return;
+          const chunkGraph = compilation.chunkGraph;
+          records.hash = compilation.hash;
+          records.hotIndex = hotIndex;
+          records.fullHashChunkModuleHashes = fullHashChunkModuleHashes;
+          records.chunkModuleHashes = chunkModuleHashes;
+          records.chunkHashes = {};
+          records.chunkRuntime = {};
+          for (const chunk of compilation.chunks) {
+            const chunkId = /** @type {ChunkId} */ (chunk.id);
+            records.chunkHashes[chunkId] = chunk.hash;
+            records.chunkRuntime[chunkId] = getRuntimeKey(chunk.runtime);
+          }
+          records.chunkModuleIds = {};
+          for (const chunk of compilation.chunks) {
+            records.chunkModuleIds[/** @type {ChunkId} */ (chunk.id)] =
+              Array.from(
+                chunkGraph.getOrderedChunkModulesIterable(
+                  chunk,
+                  compareModulesById(chunkGraph)
+                ),
+                (m) => chunkGraph.getModuleId(m)
+              );
+          }
+        });
+        /** @type {TupleSet<[Module, Chunk]>} */
+        const updatedModules = new TupleSet();
+        /** @type {TupleSet<[Module, Chunk]>} */
+        const fullHashModules = new TupleSet();
+        /** @type {TupleSet<[Module, RuntimeSpec]>} */
+        const nonCodeGeneratedModules = new TupleSet();
+        // 计算 fullhash 时比较每个模块的 hash 和 records 中记录的是否相同，找出变化的模块
+        compilation.hooks.fullHash.tap(PLUGIN_NAME, (hash) => {
+          const chunkGraph = compilation.chunkGraph;
+          const records = compilation.records;
+          for (const chunk of compilation.chunks) {
+            /**
+             * @param {Module} module module
+             * @returns {string} module hash
+             */
+            const getModuleHash = (module) => {
+              if (
+                compilation.codeGenerationResults.has(module, chunk.runtime)
+              ) {
+                return compilation.codeGenerationResults.getHash(
+                  module,
+                  chunk.runtime
+                );
+              }
+              nonCodeGeneratedModules.add(module, chunk.runtime);
+              return chunkGraph.getModuleHash(module, chunk.runtime);
+            };
+            const fullHashModulesInThisChunk =
+              chunkGraph.getChunkFullHashModulesSet(chunk);
+            if (fullHashModulesInThisChunk !== undefined) {
+              for (const module of fullHashModulesInThisChunk) {
+                fullHashModules.add(module, chunk);
+              }
+            }
+            const modules = chunkGraph.getChunkModulesIterable(chunk);
+            if (modules !== undefined) {
+              if (records.chunkModuleHashes) {
+                if (fullHashModulesInThisChunk !== undefined) {
+                  for (const module of modules) {
+                    const key = `${chunk.id}|${module.identifier()}`;
+                    const hash = getModuleHash(module);
+                    if (
+                      fullHashModulesInThisChunk.has(
+                        /** @type {RuntimeModule} */ (module)
+                      )
+                    ) {
+                      if (records.fullHashChunkModuleHashes[key] !== hash) {
+                        updatedModules.add(module, chunk);
+                      }
+                      fullHashChunkModuleHashes[key] = hash;
+                    } else {
+                      if (records.chunkModuleHashes[key] !== hash) {
+                        updatedModules.add(module, chunk);
+                      }
+                      chunkModuleHashes[key] = hash;
+                    }
+                  }
+                } else {
+                  for (const module of modules) {
+                    const key = `${chunk.id}|${module.identifier()}`;
+                    const hash = getModuleHash(module);
+                    if (records.chunkModuleHashes[key] !== hash) {
+                      updatedModules.add(module, chunk);
+                    }
+                    chunkModuleHashes[key] = hash;
+                  }
+                }
+              } else if (fullHashModulesInThisChunk !== undefined) {
+                for (const module of modules) {
+                  const key = `${chunk.id}|${module.identifier()}`;
+                  const hash = getModuleHash(module);
+                  if (
+                    fullHashModulesInThisChunk.has(
+                      /** @type {RuntimeModule} */ (module)
+                    )
+                  ) {
+                    fullHashChunkModuleHashes[key] = hash;
+                  } else {
+                    chunkModuleHashes[key] = hash;
+                  }
+                }
+              } else {
+                for (const module of modules) {
+                  const key = `${chunk.id}|${module.identifier()}`;
+                  const hash = getModuleHash(module);
+                  chunkModuleHashes[key] = hash;
+                }
+              }
+            }
+          }
+
+          hotIndex = records.hotIndex || 0;
+          if (updatedModules.size > 0) hotIndex++;
+
+          hash.update(`${hotIndex}`);
+        });
+        compilation.hooks.processAssets.tap(
+          {
+            name: PLUGIN_NAME,
+            stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL,
+          },
+          // 输出热更新 chunk 和热更新清单
+          () => {
+            const chunkGraph = compilation.chunkGraph;
+            const records = compilation.records;
+            // 和上一次编译相比没有变化
+            if (records.hash === compilation.hash) return;
+            if (
+              !records.chunkModuleHashes ||
+              !records.chunkHashes ||
+              !records.chunkModuleIds
+            ) {
+              return;
+            }
+            // 依赖 fullhash 的模块只有在这里才能得到最终的 hash
+            for (const [module, chunk] of fullHashModules) {
+              const key = `${chunk.id}|${module.identifier()}`;
+              const hash = nonCodeGeneratedModules.has(module, chunk.runtime)
+                ? chunkGraph.getModuleHash(module, chunk.runtime)
+                : compilation.codeGenerationResults.getHash(
+                    module,
+                    chunk.runtime
+                  );
+              if (records.chunkModuleHashes[key] !== hash) {
+                updatedModules.add(module, chunk);
+              }
+              chunkModuleHashes[key] = hash;
+            }
+
+            /** @type {HotUpdateMainContentByRuntime} */
+            const hotUpdateMainContentByRuntime = new Map();
+            let allOldRuntime;
+            for (const key of Object.keys(records.chunkRuntime)) {
+              const runtime = keyToRuntime(records.chunkRuntime[key]);
+              allOldRuntime = mergeRuntimeOwned(allOldRuntime, runtime);
+            }
+            forEachRuntime(allOldRuntime, (runtime) => {
+              const { path: filename, info: assetInfo } =
+                compilation.getPathWithInfo(
+                  /** @type {NonNullable<OutputNormalized["hotUpdateMainFilename"]>} */
+                  (compilation.outputOptions.hotUpdateMainFilename),
+                  {
+                    hash: records.hash,
+                    runtime,
+                  }
+                );
+              hotUpdateMainContentByRuntime.set(
+                /** @type {string} */ (runtime),
+                {
+                  updatedChunkIds: new Set(),
+                  removedChunkIds: new Set(),
+                  removedModules: new Set(),
+                  filename,
+                  assetInfo,
+                }
+              );
+            });
+            if (hotUpdateMainContentByRuntime.size === 0) return;
+
+            // 这次编译中所有模块（id -> 模块），用来判断哪些模块被完全移除
+            /** @type {Map<number|string, Module>} */
+            const allModules = new Map();
+            for (const module of compilation.modules) {
+              const id =
+                /** @type {ModuleId} */
+                (chunkGraph.getModuleId(module));
+              allModules.set(id, module);
+            }
+
+            // 完全移除的模块
+            /** @type {Set<string | number>} */
+            const completelyRemovedModules = new Set();
+
+            for (const key of Object.keys(records.chunkHashes)) {
+              const oldRuntime = keyToRuntime(records.chunkRuntime[key]);
+              /** @type {Module[]} */
+              const remainingModules = [];
+              // 上一次编译中这个 chunk 的模块，检查哪些已经被移除
+              for (const id of records.chunkModuleIds[key]) {
+                const module = allModules.get(id);
+                if (module === undefined) {
+                  completelyRemovedModules.add(id);
+                } else {
+                  remainingModules.push(module);
+                }
+              }
+
+              /** @type {ChunkId | null} */
+              let chunkId;
+              let newModules;
+              let newRuntimeModules;
+              let newFullHashModules;
+              let newDependentHashModules;
+              let newRuntime;
+              let removedFromRuntime;
+              const currentChunk = find(
+                compilation.chunks,
+                (chunk) => `${chunk.id}` === key
+              );
+              if (currentChunk) {
+                chunkId = currentChunk.id;
+                newRuntime = intersectRuntime(
+                  currentChunk.runtime,
+                  allOldRuntime
+                );
+                if (newRuntime === undefined) continue;
+                newModules = chunkGraph
+                  .getChunkModules(currentChunk)
+                  .filter((module) => updatedModules.has(module, currentChunk));
+                newRuntimeModules = Array.from(
+                  chunkGraph.getChunkRuntimeModulesIterable(currentChunk)
+                ).filter((module) => updatedModules.has(module, currentChunk));
+                const fullHashModules =
+                  chunkGraph.getChunkFullHashModulesIterable(currentChunk);
+                newFullHashModules =
+                  fullHashModules &&
+                  Array.from(fullHashModules).filter((module) =>
+                    updatedModules.has(module, currentChunk)
+                  );
+                const dependentHashModules =
+                  chunkGraph.getChunkDependentHashModulesIterable(currentChunk);
+                newDependentHashModules =
+                  dependentHashModules &&
+                  Array.from(dependentHashModules).filter((module) =>
+                    updatedModules.has(module, currentChunk)
+                  );
+                removedFromRuntime = subtractRuntime(oldRuntime, newRuntime);
+              } else {
+                // chunk 已经被完全移除
+                chunkId = `${Number(key)}` === key ? Number(key) : key;
+                removedFromRuntime = oldRuntime;
+                newRuntime = oldRuntime;
+              }
+              if (removedFromRuntime) {
+                // chunk 从部分运行时中移除了
+                forEachRuntime(removedFromRuntime, (runtime) => {
+                  const item =
+                    /** @type {HotUpdateMainContentByRuntimeItem} */
+                    (
+                      hotUpdateMainContentByRuntime.get(
+                        /** @type {string} */ (runtime)
+                      )
+                    );
+                  item.removedChunkIds.add(/** @type {ChunkId} */ (chunkId));
+                });
+                // 这些运行时中，chunk 里不再属于该运行时的模块需要被 dispose
+                for (const module of remainingModules) {
+                  const moduleKey = `${key}|${module.identifier()}`;
+                  const oldHash = records.chunkModuleHashes[moduleKey];
+                  const runtimes = chunkGraph.getModuleRuntimes(module);
+                  if (oldRuntime === newRuntime && runtimes.has(newRuntime)) {
+                    // 模块仍然在同样的运行时组合中，hash 变化时需要更新
+                    const hash = nonCodeGeneratedModules.has(module, newRuntime)
+                      ? chunkGraph.getModuleHash(module, newRuntime)
+                      : compilation.codeGenerationResults.getHash(
+                          module,
+                          newRuntime
+                        );
+                    if (hash !== oldHash) {
+                      if (module.type === WEBPACK_MODULE_TYPE_RUNTIME) {
+                        newRuntimeModules = newRuntimeModules || [];
+                        newRuntimeModules.push(
+                          /** @type {RuntimeModule} */ (module)
+                        );
+                      } else {
+                        newModules = newModules || [];
+                        newModules.push(module);
+                      }
+                    }
+                  } else {
+                    // 模块不再属于这个运行时组合
+                    // 这里（不完全正确地）假设它也不在有重叠的运行时组合中，从 chunk 被移除的运行时中 dispose 它
+                    forEachRuntime(removedFromRuntime, (runtime) => {
+                      // 模块仍然在这个运行时中使用时不 dispose
+                      // 这可能导致模块已经加载，却没有包含它的 chunk，之后就收不到这个模块的热更新了
+                      // TODO force load one of the chunks which contains the module
+                      for (const moduleRuntime of runtimes) {
+                        if (typeof moduleRuntime === "string") {
+                          if (moduleRuntime === runtime) return;
+                        } else if (
+                          moduleRuntime !== undefined &&
+                          moduleRuntime.has(/** @type {string} */ (runtime))
+                        )
+                          return;
+                      }
+                      const item =
+                        /** @type {HotUpdateMainContentByRuntimeItem} */ (
+                          hotUpdateMainContentByRuntime.get(
+                            /** @type {string} */ (runtime)
+                          )
+                        );
+                      item.removedModules.add(module);
+                    });
+                  }
+                }
+              }
+              if (
+                (newModules && newModules.length > 0) ||
+                (newRuntimeModules && newRuntimeModules.length > 0)
+              ) {
+                // 只包含变化模块的热更新 chunk，沿用原 chunk 的 id，交给 renderManifest 渲染
+                const hotUpdateChunk = new HotUpdateChunk();
+                hotUpdateChunk.id = chunkId;
+                hotUpdateChunk.runtime = currentChunk
+                  ? currentChunk.runtime
+                  : newRuntime;
+                if (currentChunk) {
+                  for (const group of currentChunk.groupsIterable)
+                    hotUpdateChunk.addGroup(group);
+                }
+                chunkGraph.attachModules(hotUpdateChunk, newModules || []);
+                chunkGraph.attachRuntimeModules(
+                  hotUpdateChunk,
+                  newRuntimeModules || []
+                );
+                if (newFullHashModules) {
+                  chunkGraph.attachFullHashModules(
+                    hotUpdateChunk,
+                    newFullHashModules
+                  );
+                }
+                if (newDependentHashModules) {
+                  chunkGraph.attachDependentHashModules(
+                    hotUpdateChunk,
+                    newDependentHashModules
+                  );
+                }
+                const renderManifest = compilation.getRenderManifest({
+                  chunk: hotUpdateChunk,
+                  hash: records.hash,
+                  fullHash: records.hash,
+                  outputOptions: compilation.outputOptions,
+                  moduleTemplates: compilation.moduleTemplates,
+                  dependencyTemplates: compilation.dependencyTemplates,
+                  codeGenerationResults: compilation.codeGenerationResults,
+                  runtimeTemplate: compilation.runtimeTemplate,
+                  moduleGraph: compilation.moduleGraph,
+                  chunkGraph,
+                });
+                for (const entry of renderManifest) {
+                  /** @type {string} */
+                  let filename;
+                  /** @type {AssetInfo} */
+                  let assetInfo;
+                  if ("filename" in entry) {
+                    filename = entry.filename;
+                    assetInfo = entry.info;
+                  } else {
+                    ({ path: filename, info: assetInfo } =
+                      compilation.getPathWithInfo(
+                        entry.filenameTemplate,
+                        entry.pathOptions
+                      ));
+                  }
+                  const source = entry.render();
+                  compilation.additionalChunkAssets.push(filename);
+                  compilation.emitAsset(filename, source, {
+                    hotModuleReplacement: true,
+                    ...assetInfo,
+                  });
+                  if (currentChunk) {
+                    currentChunk.files.add(filename);
+                    compilation.hooks.chunkAsset.call(currentChunk, filename);
+                  }
+                }
+                forEachRuntime(newRuntime, (runtime) => {
+                  const item =
+                    /** @type {HotUpdateMainContentByRuntimeItem} */ (
+                      hotUpdateMainContentByRuntime.get(
+                        /** @type {string} */ (runtime)
+                      )
+                    );
+                  item.updatedChunkIds.add(/** @type {ChunkId} */ (chunkId));
+                });
+              }
+            }
+            const completelyRemovedModulesArray = Array.from(
+              completelyRemovedModules
+            );
+            // 多个运行时可能对应同一个清单文件（hotUpdateMainFilename 中没有 [runtime]），
+            // 内容不一致时给出警告并合并
+            const hotUpdateMainContentByFilename = new Map();
+            for (const {
+              removedChunkIds,
+              removedModules,
+              updatedChunkIds,
+              filename,
+              assetInfo,
+            } of hotUpdateMainContentByRuntime.values()) {
+              const old = hotUpdateMainContentByFilename.get(filename);
+              if (
+                old &&
+                (!isSubset(old.removedChunkIds, removedChunkIds) ||
+                  !isSubset(old.removedModules, removedModules) ||
+                  !isSubset(old.updatedChunkIds, updatedChunkIds))
+              ) {
+                compilation.warnings.push(
+                  new WebpackError(`HotModuleReplacementPlugin
+The configured output.hotUpdateMainFilename doesn't lead to unique filenames per runtime and HMR update differs between runtimes.
+This might lead to incorrect runtime behavior of the applied update.
+To fix this, make sure to include [runtime] in the output.hotUpdateMainFilename option, or use the default config.`)
+                );
+                for (const chunkId of removedChunkIds)
+                  old.removedChunkIds.add(chunkId);
+                for (const chunkId of removedModules)
+                  old.removedModules.add(chunkId);
+                for (const chunkId of updatedChunkIds)
+                  old.updatedChunkIds.add(chunkId);
+                continue;
+              }
+              hotUpdateMainContentByFilename.set(filename, {
+                removedChunkIds,
+                removedModules,
+                updatedChunkIds,
+                assetInfo,
+              });
+            }
+            for (const [
+              filename,
+              { removedChunkIds, removedModules, updatedChunkIds, assetInfo },
+            ] of hotUpdateMainContentByFilename) {
+              const hotUpdateMainJson = {
+                c: Array.from(updatedChunkIds),
+                r: Array.from(removedChunkIds),
+                m:
+                  removedModules.size === 0
+                    ? completelyRemovedModulesArray
+                    : completelyRemovedModulesArray.concat(
+                        Array.from(
+                          removedModules,
+                          (m) =>
+                            /** @type {ModuleId} */ (chunkGraph.getModuleId(m))
+                        )
+                      ),
+              };
+
+              const source = new RawSource(JSON.stringify(hotUpdateMainJson));
+              compilation.emitAsset(filename, source, {
+                hotModuleReplacement: true,
+                ...assetInfo,
+              });
+            }
+          }
+        );
+
+        // 在每个运行时 chunk 中加入 HMR 运行时
+        compilation.hooks.additionalTreeRuntimeRequirements.tap(
+          PLUGIN_NAME,
+          (chunk, runtimeRequirements) => {
+            runtimeRequirements.add(RuntimeGlobals.hmrDownloadManifest);
+            runtimeRequirements.add(RuntimeGlobals.hmrDownloadUpdateHandlers);
+            runtimeRequirements.add(RuntimeGlobals.interceptModuleExecution);
+            runtimeRequirements.add(RuntimeGlobals.moduleCache);
+            compilation.addRuntimeModule(
+              chunk,
+              new HotModuleReplacementRuntimeModule()
+            );
+          }
+        );
+
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_AUTO)
+          .tap(PLUGIN_NAME, (parser) => {
+            applyModuleHot(parser);
+            applyImportMetaHot(parser);
+          });
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_DYNAMIC)
+          .tap(PLUGIN_NAME, (parser) => {
+            applyModuleHot(parser);
+          });
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_ESM)
+          .tap(PLUGIN_NAME, (parser) => {
+            applyImportMetaHot(parser);
+          });
+
+        // loader 可以通过 this.hot 判断是否开启了 HMR（例如 style-loader 据此生成热更新代码）
+        NormalModule.getCompilationHooks(compilation).loader.tap(
+          PLUGIN_NAME,
+          (context) => {
+            context.hot = true;
+          }
+        );
+      }
+    );
   }
 }
 
@@ -0,0 +1,20 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Chunk = require("./Chunk");
+
+/**
+ * 热更新 chunk，只包含这次更新中变化的模块，由 HotModuleReplacementPlugin 创建，
+ * 渲染时据此输出 *.hot-update.js 而不是普通的 chunk 文件
+ */
+class HotUpdateChunk extends Chunk {
+  constructor() {
+    super();
+  }
+}
+
+module.exports = HotUpdateChunk;
@@ -0,0 +1,40 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 根据 ignoreWarnings 配置过滤编译警告
+ */
+class IgnoreWarningsPlugin {
+  /**
+   * @param {IgnoreWarningsNormalized} ignoreWarnings 规范化后的忽略条件，每一项都是函数
+   */
+  constructor(ignoreWarnings) {
+    this._ignoreWarnings = ignoreWarnings;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler 编译器实例
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap("IgnoreWarningsPlugin", (compilation) => {
+      compilation.hooks.processWarnings.tap(
+        "IgnoreWarningsPlugin",
+        (warnings) =>
+          warnings.filter(
+            (warning) =>
+              !this._ignoreWarnings.some((ignore) =>
+                ignore(warning, compilation)
+              )
+          )
+      );
+    });
+  }
+}
+
+module.exports = IgnoreWarningsPlugin;
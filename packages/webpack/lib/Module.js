@@ -1,6 +1,1237 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
 const util = require("util");
+const ChunkGraph = require("./ChunkGraph");
+const DependenciesBlock = require("./DependenciesBlock");
+const { UsageState } = require("./ExportsInfo");
+const ModuleGraph = require("./ModuleGraph");
+const RuntimeGlobals = require("./RuntimeGlobals");
+const { first } = require("./util/SetHelpers");
+const { compareChunksById } = require("./util/comparators");
 const makeSerializable = require("./util/makeSerializable");
-class Module {}
+
+/**
+ * @typedef {object} SourceContext
+ * @property {DependencyTemplates} dependencyTemplates the dependency templates
+ * @property {RuntimeTemplate} runtimeTemplate the runtime template
+ * @property {ModuleGraph} moduleGraph the module graph
+ * @property {ChunkGraph} chunkGraph the chunk graph
+ * @property {RuntimeSpec} runtime the runtimes code should be generated for
+ * @property {string=} type the type of source that should be generated
+ */
+
+/** @typedef {ReadonlySet<string>} SourceTypes */
+
+// TODO webpack 6: compilation will be required in CodeGenerationContext
+/**
+ * @typedef {object} CodeGenerationContext
+ * @property {DependencyTemplates} dependencyTemplates the dependency templates
+ * @property {RuntimeTemplate} runtimeTemplate the runtime template
+ * @property {ModuleGraph} moduleGraph the module graph
+ * @property {ChunkGraph} chunkGraph the chunk graph
+ * @property {RuntimeSpec} runtime the runtimes code should be generated for
+ * @property {ConcatenationScope=} concatenationScope when in concatenated module, information about other concatenated modules
+ * @property {CodeGenerationResults | undefined} codeGenerationResults code generation results of other modules (need to have a codeGenerationDependency to use that)
+ * @property {Compilation=} compilation the compilation
+ * @property {SourceTypes=} sourceTypes source types
+ */
+
+/**
+ * @typedef {object} ConcatenationBailoutReasonContext
+ * @property {ModuleGraph} moduleGraph the module graph
+ * @property {ChunkGraph} chunkGraph the chunk graph
+ */
+
+/** @typedef {Set<string>} RuntimeRequirements */
+/** @typedef {ReadonlySet<string>} ReadOnlyRuntimeRequirements */
+
+/**
+ * @typedef {object} CodeGenerationResult
+ * @property {Map<string, Source>} sources the resulting sources for all source types
+ * @property {Map<string, any>=} data the resulting data for all source types
+ * @property {ReadOnlyRuntimeRequirements | null} runtimeRequirements the runtime requirements
+ * @property {string=} hash a hash of the code generation result (will be automatically calculated from sources and runtimeRequirements if not provided)
+ */
+
+/**
+ * @typedef {object} LibIdentOptions
+ * @property {string} context absolute context path to which lib ident is relative to
+ * @property {object=} associatedObjectForCache object for caching
+ */
+
+/**
+ * @typedef {object} KnownBuildMeta
+ * @property {string=} moduleArgument
+ * @property {string=} exportsArgument
+ * @property {boolean=} strict
+ * @property {string=} moduleConcatenationBailout
+ * @property {("default" | "namespace" | "flagged" | "dynamic")=} exportsType
+ * @property {(false | "redirect" | "redirect-warn")=} defaultObject
+ * @property {boolean=} strictHarmonyModule
+ * @property {boolean=} async
+ * @property {boolean=} sideEffectFree
+ */
+
+/**
+ * @typedef {object} KnownBuildInfo
+ * @property {boolean=} cacheable
+ * @property {boolean=} parsed
+ * @property {LazySet<string>=} fileDependencies
+ * @property {LazySet<string>=} contextDependencies
+ * @property {LazySet<string>=} missingDependencies
+ * @property {LazySet<string>=} buildDependencies
+ * @property {ValueCacheVersions=} valueDependencies
+ * @property {TODO=} hash
+ * @property {Record<string, Source>=} assets
+ * @property {Map<string, AssetInfo | undefined>=} assetsInfo
+ * @property {(Snapshot | null)=} snapshot
+ */
+
+/** @typedef {Map<string, string | Set<string>>} ValueCacheVersions */
+
+/**
+ * @typedef {object} NeedBuildContext
+ * @property {Compilation} compilation
+ * @property {FileSystemInfo} fileSystemInfo
+ * @property {ValueCacheVersions} valueCacheVersions
+ */
+
+/** @typedef {KnownBuildMeta & Record<string, any>} BuildMeta */
+/** @typedef {KnownBuildInfo & Record<string, any>} BuildInfo */
+
+/**
+ * @typedef {object} FactoryMeta
+ * @property {boolean=} sideEffectFree
+ */
+
+/** @typedef {{ factoryMeta: FactoryMeta | undefined, resolveOptions: ResolveOptions | undefined }} UnsafeCacheData */
+
+/**
+ * 默认的解析选项，所有模块共享同一个空对象
+ */
+const EMPTY_RESOLVE_OPTIONS = {};
+
+let debugId = 1000;
+
+/** 没有实现 source() 的模块不生成代码 */
+const DEFAULT_TYPES_UNKNOWN = new Set(["unknown"]);
+const DEFAULT_TYPES_JS = new Set(["javascript"]);
+
+/**
+ * 兼容只实现了旧的 needRebuild 的模块，调用时输出弃用警告
+ */
+const deprecatedNeedRebuild = util.deprecate(
+  /**
+   * @param {Module} module the module
+   * @param {NeedBuildContext} context context info
+   * @returns {boolean} true, when rebuild is needed
+   */
+  (module, context) =>
+    module.needRebuild(
+      context.fileSystemInfo.getDeprecatedFileTimestamps(),
+      context.fileSystemInfo.getDeprecatedContextTimestamps()
+    ),
+  "Module.needRebuild is deprecated in favor of Module.needBuild",
+  "DEP_WEBPACK_MODULE_NEED_REBUILD"
+);
+
+/** @typedef {(requestShortener: RequestShortener) => string} OptimizationBailoutFunction */
+
+/**
+ * 模块的基类，模块本身也是一个依赖块（DependenciesBlock）
+ *
+ * 子类需要实现 identifier、readableIdentifier、build、size、codeGeneration 等方法，
+ * 基类负责保存构建结果（buildInfo、buildMeta）、错误和警告，并提供序列化
+ */
+class Module extends DependenciesBlock {
+  /**
+   * @param {ModuleTypes | ""} type the module type, when deserializing the type is not known and is an empty string
+   * @param {(string | null)=} context an optional context
+   * @param {(string | null)=} layer an optional layer in which the module is
+   */
+  constructor(type, context = null, layer = null) {
+    super();
+
+    /** @type {ModuleTypes} */
+    this.type = type;
+    /** @type {string | null} */
+    this.context = context;
+    /** @type {string | null} */
+    this.layer = layer;
+    /** @type {boolean} */
+    this.needId = true;
+
+    // 唯一 id，用于调试和排序
+    /** @type {number} */
+    this.debugId = debugId++;
+
+    // 来自模块工厂的信息
+    /** @type {ResolveOptions | undefined} */
+    this.resolveOptions = EMPTY_RESOLVE_OPTIONS;
+    /** @type {FactoryMeta | undefined} */
+    this.factoryMeta = undefined;
+    // TODO refactor this -> options object filled from Factory
+    // TODO webpack 6: use an enum
+    /** @type {boolean} */
+    this.useSourceMap = false;
+    /** @type {boolean} */
+    this.useSimpleSourceMap = false;
+
+    // 构建产生的信息
+    /** @type {WebpackError[] | undefined} */
+    this._warnings = undefined;
+    /** @type {WebpackError[] | undefined} */
+    this._errors = undefined;
+    /** @type {BuildMeta | undefined} */
+    this.buildMeta = undefined;
+    /** @type {BuildInfo | undefined} */
+    this.buildInfo = undefined;
+    /** @type {Dependency[] | undefined} */
+    this.presentationalDependencies = undefined;
+    /** @type {Dependency[] | undefined} */
+    this.codeGenerationDependencies = undefined;
+  }
+
+  // TODO remove in webpack 6
+  // BACKWARD-COMPAT START
+  /**
+   * 已弃用，改用 chunkGraph.getModuleId
+   * @returns {ModuleId | null} module id
+   */
+  get id() {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.id",
+      "DEP_WEBPACK_MODULE_ID"
+    ).getModuleId(this);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.setModuleId；设置为空字符串表示模块不需要 id
+   * @param {ModuleId} value value
+   */
+  set id(value) {
+    if (value === "") {
+      this.needId = false;
+      return;
+    }
+    ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.id",
+      "DEP_WEBPACK_MODULE_ID"
+    ).setModuleId(this, value);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.getModuleHash
+   * @returns {string} the hash of the module
+   */
+  get hash() {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.hash",
+      "DEP_WEBPACK_MODULE_HASH"
+    ).getModuleHash(this, undefined);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.getRenderedModuleHash
+   * @returns {string} the shortened hash of the module
+   */
+  get renderedHash() {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.renderedHash",
+      "DEP_WEBPACK_MODULE_RENDERED_HASH"
+    ).getRenderedModuleHash(this, undefined);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.getProfile
+   * @returns {ModuleProfile | undefined} the module profile
+   */
+  get profile() {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.profile",
+      "DEP_WEBPACK_MODULE_PROFILE"
+    ).getProfile(this);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.setProfile
+   * @param {ModuleProfile | undefined} value the module profile
+   */
+  set profile(value) {
+    ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.profile",
+      "DEP_WEBPACK_MODULE_PROFILE"
+    ).setProfile(this, value);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.getPreOrderIndex
+   * @returns {number | null} the pre order index
+   */
+  get index() {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.index",
+      "DEP_WEBPACK_MODULE_INDEX"
+    ).getPreOrderIndex(this);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.setPreOrderIndex
+   * @param {number} value the pre order index
+   */
+  set index(value) {
+    ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.index",
+      "DEP_WEBPACK_MODULE_INDEX"
+    ).setPreOrderIndex(this, value);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.getPostOrderIndex
+   * @returns {number | null} the post order index
+   */
+  get index2() {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.index2",
+      "DEP_WEBPACK_MODULE_INDEX2"
+    ).getPostOrderIndex(this);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.setPostOrderIndex
+   * @param {number} value the post order index
+   */
+  set index2(value) {
+    ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.index2",
+      "DEP_WEBPACK_MODULE_INDEX2"
+    ).setPostOrderIndex(this, value);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.getDepth
+   * @returns {number | null} the depth
+   */
+  get depth() {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.depth",
+      "DEP_WEBPACK_MODULE_DEPTH"
+    ).getDepth(this);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.setDepth
+   * @param {number} value the depth
+   */
+  set depth(value) {
+    ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.depth",
+      "DEP_WEBPACK_MODULE_DEPTH"
+    ).setDepth(this, value);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.getIssuer
+   * @returns {Module | null | undefined} issuer
+   */
+  get issuer() {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.issuer",
+      "DEP_WEBPACK_MODULE_ISSUER"
+    ).getIssuer(this);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.setIssuer
+   * @param {Module | null} value issuer
+   */
+  set issuer(value) {
+    ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.issuer",
+      "DEP_WEBPACK_MODULE_ISSUER"
+    ).setIssuer(this, value);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.getUsedExports
+   * @returns {false | true | SortableSet<string> | null} the used exports
+   */
+  get usedExports() {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.usedExports",
+      "DEP_WEBPACK_MODULE_USED_EXPORTS"
+    ).getUsedExports(this, undefined);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.getOptimizationBailout
+   * @deprecated
+   * @returns {(string | OptimizationBailoutFunction)[]} list
+   */
+  get optimizationBailout() {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.optimizationBailout",
+      "DEP_WEBPACK_MODULE_OPTIMIZATION_BAILOUT"
+    ).getOptimizationBailout(this);
+  }
+
+  /**
+   * 已弃用，改用 isOptional(moduleGraph)
+   * @returns {boolean} true, if the module is optional
+   */
+  get optional() {
+    return this.isOptional(
+      ModuleGraph.getModuleGraphForModule(
+        this,
+        "Module.optional",
+        "DEP_WEBPACK_MODULE_OPTIONAL"
+      )
+    );
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.connectChunkAndModule
+   * @param {Chunk} chunk the chunk
+   * @returns {boolean} true, when the module was added
+   */
+  addChunk(chunk) {
+    const chunkGraph = ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.addChunk",
+      "DEP_WEBPACK_MODULE_ADD_CHUNK"
+    );
+    if (chunkGraph.isModuleInChunk(this, chunk)) return false;
+    chunkGraph.connectChunkAndModule(chunk, this);
+    return true;
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.disconnectChunkAndModule
+   * @param {Chunk} chunk the chunk
+   * @returns {void}
+   */
+  removeChunk(chunk) {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.removeChunk",
+      "DEP_WEBPACK_MODULE_REMOVE_CHUNK"
+    ).disconnectChunkAndModule(chunk, this);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.isModuleInChunk
+   * @param {Chunk} chunk the chunk
+   * @returns {boolean} true, when the module is in the chunk
+   */
+  isInChunk(chunk) {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.isInChunk",
+      "DEP_WEBPACK_MODULE_IS_IN_CHUNK"
+    ).isModuleInChunk(this, chunk);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.isEntryModule
+   * @returns {boolean} true, if the module is an entry module
+   */
+  isEntryModule() {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.isEntryModule",
+      "DEP_WEBPACK_MODULE_IS_ENTRY_MODULE"
+    ).isEntryModule(this);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.getModuleChunks
+   * @returns {Chunk[]} chunks containing the module
+   */
+  getChunks() {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.getChunks",
+      "DEP_WEBPACK_MODULE_GET_CHUNKS"
+    ).getModuleChunks(this);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.getNumberOfModuleChunks
+   * @returns {number} the number of chunks
+   */
+  getNumberOfChunks() {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.getNumberOfChunks",
+      "DEP_WEBPACK_MODULE_GET_NUMBER_OF_CHUNKS"
+    ).getNumberOfModuleChunks(this);
+  }
+
+  /**
+   * 已弃用，改用 chunkGraph.getOrderedModuleChunksIterable
+   * @returns {Iterable<Chunk>} chunks ordered by id
+   */
+  get chunksIterable() {
+    return ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.chunksIterable",
+      "DEP_WEBPACK_MODULE_CHUNKS_ITERABLE"
+    ).getOrderedModuleChunksIterable(this, compareChunksById);
+  }
+
+  /**
+   * 已弃用，改用 moduleGraph.isExportProvided
+   * @param {string} exportName a name of an export
+   * @returns {boolean | null} true, if the export is provided why the module.
+   * null 表示未知，false 表示不提供
+   */
+  isProvided(exportName) {
+    return ModuleGraph.getModuleGraphForModule(
+      this,
+      "Module.usedExports",
+      "DEP_WEBPACK_MODULE_USED_EXPORTS"
+    ).isExportProvided(this, exportName);
+  }
+  // BACKWARD-COMPAT END
+
+  /**
+   * 模块代码中 exports 对象使用的变量名
+   * @returns {string} name of the exports argument
+   */
+  get exportsArgument() {
+    return (this.buildInfo && this.buildInfo.exportsArgument) || "exports";
+  }
+
+  /**
+   * 模块代码中 module 对象使用的变量名
+   * @returns {string} name of the module argument
+   */
+  get moduleArgument() {
+    return (this.buildInfo && this.buildInfo.moduleArgument) || "module";
+  }
+
+  /**
+   * 获取模块的导出类型，决定被 import 时如何得到命名空间对象
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @param {boolean | undefined} strict the importing module is strict
+   * @returns {"namespace" | "default-only" | "default-with-named" | "dynamic"} export type
+   * "namespace"：exports 本身就是命名空间对象，namespace = exports
+   * "dynamic"：运行时检查 __esModule，有时 namespace = { ...exports, default: exports }，没有时 namespace = { default: exports }
+   * "default-only"：命名空间对象只有默认导出，namespace = { default: exports }
+   * "default-with-named"：命名空间对象包含命名导出和默认导出，namespace = { ...exports, default: exports }
+   */
+  getExportsType(moduleGraph, strict) {
+    switch (this.buildMeta && this.buildMeta.exportsType) {
+      case "flagged":
+        return strict ? "default-with-named" : "namespace";
+      case "namespace":
+        return "namespace";
+      case "default":
+        switch (/** @type {BuildMeta} */ (this.buildMeta).defaultObject) {
+          case "redirect":
+            return "default-with-named";
+          case "redirect-warn":
+            return strict ? "default-only" : "default-with-named";
+          default:
+            return "default-only";
+        }
+      case "dynamic": {
+        if (strict) return "default-with-named";
+        // 沿着 re-export 尝试确定 __esModule 的值
+        const handleDefault = () => {
+          switch (/** @type {BuildMeta} */ (this.buildMeta).defaultObject) {
+            case "redirect":
+            case "redirect-warn":
+              return "default-with-named";
+            default:
+              return "default-only";
+          }
+        };
+        const exportInfo = moduleGraph.getReadOnlyExportInfo(
+          this,
+          "__esModule"
+        );
+        if (exportInfo.provided === false) {
+          return handleDefault();
+        }
+        const target = exportInfo.getTarget(moduleGraph);
+        if (
+          !target ||
+          !target.export ||
+          target.export.length !== 1 ||
+          target.export[0] !== "__esModule"
+        ) {
+          return "dynamic";
+        }
+        switch (
+          target.module.buildMeta &&
+          target.module.buildMeta.exportsType
+        ) {
+          case "flagged":
+          case "namespace":
+            return "namespace";
+          case "default":
+            return handleDefault();
+          default:
+            return "dynamic";
+        }
+      }
+      default:
+        return strict ? "default-with-named" : "dynamic";
+    }
+  }
+
+  /**
+   * 添加只用于生成代码的依赖（例如 ConstDependency），它不会在模块图中建立连接
+   * @param {Dependency} presentationalDependency dependency being tied to module.
+   * @returns {void}
+   */
+  addPresentationalDependency(presentationalDependency) {
+    if (this.presentationalDependencies === undefined) {
+      this.presentationalDependencies = [];
+    }
+    this.presentationalDependencies.push(presentationalDependency);
+  }
+
+  /**
+   * 添加代码生成时依赖被引用模块代码生成结果的依赖
+   * 这个依赖也需要通过 addDependency 添加到普通依赖中
+   * @param {Dependency} codeGenerationDependency dependency being tied to module.
+   * @returns {void}
+   */
+  addCodeGenerationDependency(codeGenerationDependency) {
+    if (this.codeGenerationDependencies === undefined) {
+      this.codeGenerationDependencies = [];
+    }
+    this.codeGenerationDependencies.push(codeGenerationDependency);
+  }
+
+  /**
+   * 移除所有依赖和依赖块，重新构建前调用
+   * @returns {void}
+   */
+  clearDependenciesAndBlocks() {
+    if (this.presentationalDependencies !== undefined) {
+      this.presentationalDependencies.length = 0;
+    }
+    if (this.codeGenerationDependencies !== undefined) {
+      this.codeGenerationDependencies.length = 0;
+    }
+    super.clearDependenciesAndBlocks();
+  }
+
+  /**
+   * 添加构建中产生的警告
+   * @param {WebpackError} warning the warning
+   * @returns {void}
+   */
+  addWarning(warning) {
+    if (this._warnings === undefined) {
+      this._warnings = [];
+    }
+    this._warnings.push(warning);
+  }
+
+  /**
+   * 获取构建中产生的警告
+   * @returns {Iterable<WebpackError> | undefined} list of warnings if any
+   */
+  getWarnings() {
+    return this._warnings;
+  }
+
+  /**
+   * 获取警告数量
+   * @returns {number} number of warnings
+   */
+  getNumberOfWarnings() {
+    return this._warnings !== undefined ? this._warnings.length : 0;
+  }
+
+  /**
+   * 添加构建中产生的错误
+   * @param {WebpackError} error the error
+   * @returns {void}
+   */
+  addError(error) {
+    if (this._errors === undefined) {
+      this._errors = [];
+    }
+    this._errors.push(error);
+  }
+
+  /**
+   * 获取构建中产生的错误
+   * @returns {Iterable<WebpackError> | undefined} list of errors if any
+   */
+  getErrors() {
+    return this._errors;
+  }
+
+  /**
+   * 获取错误数量
+   * @returns {number} number of errors
+   */
+  getNumberOfErrors() {
+    return this._errors !== undefined ? this._errors.length : 0;
+  }
+
+  /**
+   * 清除所有警告和错误，重新构建前调用
+   * @returns {void}
+   */
+  clearWarningsAndErrors() {
+    if (this._warnings !== undefined) {
+      this._warnings.length = 0;
+    }
+    if (this._errors !== undefined) {
+      this._errors.length = 0;
+    }
+  }
+
+  /**
+   * 模块是否是可选的：所有引用它的依赖都是可选依赖（例如 try 中的 require）
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @returns {boolean} true, if the module is optional
+   */
+  isOptional(moduleGraph) {
+    let hasConnections = false;
+    for (const r of moduleGraph.getIncomingConnections(this)) {
+      if (
+        !r.dependency ||
+        !r.dependency.optional ||
+        !r.isTargetActive(undefined)
+      ) {
+        return false;
+      }
+      hasConnections = true;
+    }
+    return hasConnections;
+  }
+
+  /**
+   * 从 chunk 所在的所有 chunkGroup 是否都能访问到该模块（忽略 ignoreChunk）
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @param {Chunk} chunk a chunk
+   * @param {Chunk=} ignoreChunk chunk to be ignored
+   * @returns {boolean} true, if the module is accessible from "chunk" when ignoring "ignoreChunk"
+   */
+  isAccessibleInChunk(chunkGraph, chunk, ignoreChunk) {
+    // 需要在所有 chunkGroup 中都能访问到
+    for (const chunkGroup of chunk.groupsIterable) {
+      if (!this.isAccessibleInChunkGroup(chunkGraph, chunkGroup)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 从 chunkGroup 是否能访问到该模块：模块在 chunkGroup 中，或者在它的所有父级中（忽略 ignoreChunk）
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @param {ChunkGroup} chunkGroup a chunk group
+   * @param {Chunk=} ignoreChunk chunk to be ignored
+   * @returns {boolean} true, if the module is accessible from "chunkGroup" when ignoring "ignoreChunk"
+   */
+  isAccessibleInChunkGroup(chunkGraph, chunkGroup, ignoreChunk) {
+    const queue = new Set([chunkGroup]);
+
+    // 检查从队列中的每个 chunkGroup 是否都能访问到
+    queueFor: for (const cg of queue) {
+      // 1. 模块在该 chunkGroup 的某个 chunk 中，可以访问，继续检查下一个
+      for (const chunk of cg.chunks) {
+        if (chunk !== ignoreChunk && chunkGraph.isModuleInChunk(this, chunk))
+          continue queueFor;
+      }
+      // 2. 已经是初始 chunkGroup，没有父级可以提供该模块，访问不到
+      if (chunkGroup.isInitial()) return false;
+      // 3. 需要从所有父级都能访问到，把父级加入队列
+      for (const parent of chunkGroup.parentsIterable) queue.add(parent);
+    }
+    // 处理完所有 chunkGroup 都没有提前返回，说明可以访问到
+    return true;
+  }
+
+  /**
+   * 是否有引用方需要模块放在 chunk 中：引用方所在的 chunk 在没有该 chunk 时访问不到这个模块
+   * @param {Chunk} chunk a chunk
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @returns {boolean} true, if the module has any reason why "chunk" should be included
+   */
+  hasReasonForChunk(chunk, moduleGraph, chunkGraph) {
+    // 检查每个引用方是否需要该 chunk
+    for (const [
+      fromModule,
+      connections,
+    ] of moduleGraph.getIncomingConnectionsByOriginModule(this)) {
+      if (!connections.some((c) => c.isTargetActive(chunk.runtime))) continue;
+      for (const originChunk of chunkGraph.getModuleChunksIterable(
+        /** @type {Module} */ (fromModule)
+      )) {
+        // 忽略该 chunk 后从引用方所在的 chunk 访问不到这个模块，说明需要该 chunk
+        if (!this.isAccessibleInChunk(chunkGraph, originChunk, chunk))
+          return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 是否有其他模块在该运行时中引用了这个模块
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {boolean} true if at least one other module depends on this module
+   */
+  hasReasons(moduleGraph, runtime) {
+    for (const c of moduleGraph.getIncomingConnections(this)) {
+      if (c.isTargetActive(runtime)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 两个模块是否在完全相同的 chunk 中
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @param {Module} otherModule the other module
+   * @returns {boolean} true, if both modules are in the same chunks
+   */
+  hasEqualChunks(chunkGraph, otherModule) {
+    if (
+      chunkGraph.getNumberOfModuleChunks(this) !==
+      chunkGraph.getNumberOfModuleChunks(otherModule)
+    ) {
+      return false;
+    }
+    for (const chunk of chunkGraph.getModuleChunksIterable(this)) {
+      if (!chunkGraph.isModuleInChunk(otherModule, chunk)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 获取导出在代码中实际使用的名称（可能被压缩），未被使用时返回 false
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @param {string | string[]} exportName the export name
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {UsedName} the used name
+   */
+  getUsedName(moduleGraph, exportName, runtime) {
+    return moduleGraph.getExportsInfo(this).getUsedName(exportName, runtime);
+  }
+
+  /**
+   * 导出在该运行时中是否被使用
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @param {string | string[]} exportName the export name
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {boolean} true, if the export is used
+   */
+  isExportUsed(moduleGraph, exportName, runtime) {
+    return (
+      moduleGraph.getExportsInfo(this).getUsed(exportName, runtime) !==
+      UsageState.Unused
+    );
+  }
+
+  /**
+   * 模块在该运行时中是否被使用（包括只因为副作用被引用）
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {boolean} true, if the module is used
+   */
+  isModuleUsed(moduleGraph, runtime) {
+    return moduleGraph.getExportsInfo(this).isModuleUsed(runtime);
+  }
+
+  /**
+   * 用于调试的字符串表示
+   * @returns {string} for debugging
+   */
+  toString() {
+    return `Module[${this.debugId}: ${this.identifier()}]`;
+  }
+
+  /**
+   * 是否需要构建，默认没有构建过时需要构建；兼容旧的 needRebuild
+   * @param {NeedBuildContext} context context info
+   * @param {function((WebpackError | null)=, boolean=): void} callback callback function, returns true, if the module needs a rebuild
+   * @returns {void}
+   */
+  needBuild(context, callback) {
+    callback(
+      null,
+      !this.buildMeta ||
+        /**
+         * 已弃用，改用 needBuild
+         */
+        this.needRebuild === Module.prototype.needRebuild ||
+        deprecatedNeedRebuild(this, context)
+    );
+  }
+
+  /**
+   * @deprecated Use needBuild instead
+   * @param {Map<string, number|null>} fileTimestamps timestamps of files
+   * @param {Map<string, number|null>} contextTimestamps timestamps of directories
+   * @returns {boolean} true, if the module needs a rebuild
+   */
+  needRebuild(fileTimestamps, contextTimestamps) {
+    return true;
+  }
+
+  /**
+   * 把模块在模块图中的信息和代码生成用的依赖写入 hash
+   * @param {Hash} hash the hash used to track dependencies
+   * @param {UpdateHashContext} context context
+   * @returns {void}
+   */
+  updateHash(
+    hash,
+    context = {
+      chunkGraph: ChunkGraph.getChunkGraphForModule(
+        this,
+        "Module.updateHash",
+        "DEP_WEBPACK_MODULE_UPDATE_HASH"
+      ),
+      runtime: undefined,
+    }
+  ) {
+    const { chunkGraph, runtime } = context;
+    hash.update(chunkGraph.getModuleGraphHash(this, runtime));
+    if (this.presentationalDependencies !== undefined) {
+      for (const dep of this.presentationalDependencies) {
+        dep.updateHash(hash, context);
+      }
+    }
+    super.updateHash(hash, context);
+  }
+
+  /**
+   * 使构建结果失效，下次 needBuild 时重新构建
+   * @returns {void}
+   */
+  invalidateBuild() {
+    // 子类重写以支持该功能
+  }
+
+  /* istanbul ignore next */
+  /**
+   * 模块的唯一标识符
+   * @abstract
+   * @returns {string} a unique identifier of the module
+   */
+  identifier() {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /* istanbul ignore next */
+  /**
+   * 便于阅读的标识符，用于 stats 和错误信息
+   * @abstract
+   * @param {RequestShortener} requestShortener the request shortener
+   * @returns {string} a user readable identifier of the module
+   */
+  readableIdentifier(requestShortener) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /* istanbul ignore next */
+  /**
+   * 构建模块：读取源码、解析依赖等
+   * @abstract
+   * @param {WebpackOptions} options webpack options
+   * @param {Compilation} compilation the compilation
+   * @param {ResolverWithOptions} resolver the resolver
+   * @param {InputFileSystem} fs the file system
+   * @param {function(WebpackError=): void} callback callback function
+   * @returns {void}
+   */
+  build(options, compilation, resolver, fs, callback) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /**
+   * 模块可以生成的源码类型（javascript、css 等）
+   * @abstract
+   * @returns {SourceTypes} types available (do not mutate)
+   */
+  getSourceTypes() {
+    // 子类最好重写该方法返回正确的类型
+    if (this.source === Module.prototype.source) {
+      return DEFAULT_TYPES_UNKNOWN;
+    }
+    return DEFAULT_TYPES_JS;
+  }
+
+  /**
+   * 已弃用，改用 codeGeneration
+   * @abstract
+   * @deprecated Use codeGeneration() instead
+   * @param {DependencyTemplates} dependencyTemplates the dependency templates
+   * @param {RuntimeTemplate} runtimeTemplate the runtime template
+   * @param {string=} type the type of source that should be generated
+   * @returns {Source} generated source
+   */
+  source(dependencyTemplates, runtimeTemplate, type = "javascript") {
+    if (this.codeGeneration === Module.prototype.codeGeneration) {
+      const AbstractMethodError = require("./AbstractMethodError");
+      throw new AbstractMethodError();
+    }
+    const chunkGraph = ChunkGraph.getChunkGraphForModule(
+      this,
+      "Module.source() is deprecated. Use Compilation.codeGenerationResults.getSource(module, runtime, type) instead",
+      "DEP_WEBPACK_MODULE_SOURCE"
+    );
+    /** @type {CodeGenerationContext} */
+    const codeGenContext = {
+      dependencyTemplates,
+      runtimeTemplate,
+      moduleGraph: chunkGraph.moduleGraph,
+      chunkGraph,
+      runtime: undefined,
+      codeGenerationResults: undefined,
+    };
+    const sources = this.codeGeneration(codeGenContext).sources;
+
+    return /** @type {Source} */ (
+      type
+        ? sources.get(type)
+        : sources.get(/** @type {string} */ (first(this.getSourceTypes())))
+    );
+  }
+
+  /* istanbul ignore next */
+  /**
+   * 估算模块某种源码类型的大小
+   * @abstract
+   * @param {string=} type the source type for which the size should be estimated
+   * @returns {number} the estimated size of the module (must be non-zero)
+   */
+  size(type) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /**
+   * 用于 DllPlugin 等场景的库标识符，与构建路径无关
+   * @param {LibIdentOptions} options options
+   * @returns {string | null} an identifier for library inclusion
+   */
+  libIdent(options) {
+    return null;
+  }
+
+  /**
+   * 用于规则匹配的路径（通常是资源路径）
+   * @returns {string | null} absolute path which should be used for condition matching (usually the resource path)
+   */
+  nameForCondition() {
+    return null;
+  }
+
+  /**
+   * 模块不能被合并（ModuleConcatenationPlugin）的原因，可以合并时返回 undefined
+   * @param {ConcatenationBailoutReasonContext} context context
+   * @returns {string | undefined} reason why this module can't be concatenated, undefined when it can be concatenated
+   */
+  getConcatenationBailoutReason(context) {
+    return `Module Concatenation is not implemented for ${this.constructor.name}`;
+  }
+
+  /**
+   * 模块只因副作用被引用时，引用方与模块之间的连接状态
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @returns {ConnectionState} how this module should be connected to referencing modules when consumed for side-effects only
+   */
+  getSideEffectsConnectionState(moduleGraph) {
+    return true;
+  }
+
+  /**
+   * 生成代码，默认调用旧的 source 方法生成每种源码类型的代码
+   * @param {CodeGenerationContext} context context for code generation
+   * @returns {CodeGenerationResult} result
+   */
+  codeGeneration(context) {
+    // 子类最好重写该方法
+    const sources = new Map();
+    for (const type of this.getSourceTypes()) {
+      if (type !== "unknown") {
+        sources.set(
+          type,
+          this.source(
+            context.dependencyTemplates,
+            context.runtimeTemplate,
+            type
+          )
+        );
+      }
+    }
+    return {
+      sources,
+      runtimeRequirements: new Set([
+        RuntimeGlobals.module,
+        RuntimeGlobals.exports,
+        RuntimeGlobals.require,
+      ]),
+    };
+  }
+
+  /**
+   * 模块是否可以放入该 chunk
+   * @param {Chunk} chunk the chunk which condition should be checked
+   * @param {Compilation} compilation the compilation
+   * @returns {boolean} true, if the chunk is ok for the module
+   */
+  chunkCondition(chunk, compilation) {
+    return true;
+  }
+
+  /**
+   * 是否重写了 chunkCondition
+   * @returns {boolean} true, if the module has a chunk condition
+   */
+  hasChunkCondition() {
+    return this.chunkCondition !== Module.prototype.chunkCondition;
+  }
+
+  /**
+   * 模块来自缓存时，用工厂新创建的模块更新缓存模块上的属性
+   * @param {Module} module fresh module
+   * @returns {void}
+   */
+  updateCacheModule(module) {
+    this.type = module.type;
+    this.layer = module.layer;
+    this.context = module.context;
+    this.factoryMeta = module.factoryMeta;
+    this.resolveOptions = module.resolveOptions;
+  }
+
+  /**
+   * 获取不安全缓存（module.unsafeCache）需要保存的数据，之后通过 _restoreFromUnsafeCache 恢复
+   * @returns {UnsafeCacheData} cached data
+   */
+  getUnsafeCacheData() {
+    return {
+      factoryMeta: this.factoryMeta,
+      resolveOptions: this.resolveOptions,
+    };
+  }
+
+  /**
+   * 从不安全缓存的数据恢复模块
+   * @param {object} unsafeCacheData data from getUnsafeCacheData
+   * @param {NormalModuleFactory} normalModuleFactory the normal module factory handling the unsafe caching
+   */
+  _restoreFromUnsafeCache(unsafeCacheData, normalModuleFactory) {
+    this.factoryMeta = unsafeCacheData.factoryMeta;
+    this.resolveOptions = unsafeCacheData.resolveOptions;
+  }
+
+  /**
+   * 模块放入缓存后移除内部引用，释放内存
+   */
+  cleanupForCache() {
+    this.factoryMeta = undefined;
+    this.resolveOptions = undefined;
+  }
+
+  /**
+   * webpack 转换前的原始源码
+   * @returns {Source | null} the original source for the module before webpack transformation
+   */
+  originalSource() {
+    return null;
+  }
+
+  /**
+   * 把模块的文件、目录、缺失路径和构建依赖添加到给定的集合中，用于缓存失效判断
+   * @param {LazySet<string>} fileDependencies set where file dependencies are added to
+   * @param {LazySet<string>} contextDependencies set where context dependencies are added to
+   * @param {LazySet<string>} missingDependencies set where missing dependencies are added to
+   * @param {LazySet<string>} buildDependencies set where build dependencies are added to
+   */
+  addCacheDependencies(
+    fileDependencies,
+    contextDependencies,
+    missingDependencies,
+    buildDependencies
+  ) {}
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.type);
+    write(this.layer);
+    write(this.context);
+    write(this.resolveOptions);
+    write(this.factoryMeta);
+    write(this.useSourceMap);
+    write(this.useSimpleSourceMap);
+    write(
+      this._warnings !== undefined && this._warnings.length === 0
+        ? undefined
+        : this._warnings
+    );
+    write(
+      this._errors !== undefined && this._errors.length === 0
+        ? undefined
+        : this._errors
+    );
+    write(this.buildMeta);
+    write(this.buildInfo);
+    write(this.presentationalDependencies);
+    write(this.codeGenerationDependencies);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.type = read();
+    this.layer = read();
+    this.context = read();
+    this.resolveOptions = read();
+    this.factoryMeta = read();
+    this.useSourceMap = read();
+    this.useSimpleSourceMap = read();
+    this._warnings = read();
+    this._errors = read();
+    this.buildMeta = read();
+    this.buildInfo = read();
+    this.presentationalDependencies = read();
+    this.codeGenerationDependencies = read();
+    super.deserialize(context);
+  }
+}
 
 makeSerializable(Module, "webpack/lib/Module");
 
@@ -39,6 +1270,8 @@ Object.defineProperty(Module.prototype, "errors", {
     /**
      * errors 属性进行弃用处理。
      * errors 存储模块的错误信息，但现在推荐使用 getErrors 方法来代替它
+     * @this {Module}
+     * @returns {WebpackError[]} array
      */
     function () {
       if (this._errors === undefined) {
@@ -0,0 +1,45 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+const makeSerializable = require("./util/makeSerializable");
+
+/**
+ * 处理模块依赖（解析、创建模块）失败时产生的错误
+ */
+class ModuleDependencyError extends WebpackError {
+  /**
+   * @param {Module} module 依赖所属的模块
+   * @param {Error} err 原始错误
+   * @param {DependencyLocation} loc 依赖在源码中的位置
+   */
+  constructor(module, err, loc) {
+    super(err.message);
+
+    this.name = "ModuleDependencyError";
+    // 原始错误没有要求隐藏堆栈时，把堆栈（去掉第一行的 message）作为详细信息
+    this.details =
+      err && !(/** @type {any} */ (err).hideStack)
+        ? /** @type {string} */ (err.stack).split("\n").slice(1).join("\n")
+        : undefined;
+    this.module = module;
+    this.loc = loc;
+    // error 不参与序列化，反序列化后可能为 undefined
+    this.error = err;
+
+    if (err && /** @type {any} */ (err).hideStack && err.stack) {
+      this.stack = /** @type {string} */ `${err.stack
+        .split("\n")
+        .slice(1)
+        .join("\n")}\n\n${this.stack}`;
+    }
+  }
+}
+
+makeSerializable(ModuleDependencyError, "webpack/lib/ModuleDependencyError");
+
+module.exports = ModuleDependencyError;
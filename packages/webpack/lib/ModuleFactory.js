@@ -0,0 +1,29 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 模块工厂的基类
+ *
+ * Compilation 根据依赖的类型在 dependencyFactories 中找到对应的工厂，
+ * 调用 create 为依赖创建模块，例如 NormalModuleFactory 创建普通模块，
+ * ContextModuleFactory 为 require.context / import(`./${name}`) 创建上下文模块
+ */
+class ModuleFactory {
+  /* istanbul ignore next */
+  /**
+   * @abstract
+   * @param {ModuleFactoryCreateData} data 包含 contextInfo、resolveOptions、context、dependencies
+   * @param {function((Error | null)=, ModuleFactoryResult=): void} callback 返回创建的模块以及解析过程中收集的文件依赖
+   * @returns {void}
+   */
+  create(data, callback) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+}
+
+module.exports = ModuleFactory;
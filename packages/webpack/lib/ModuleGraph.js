@@ -0,0 +1,958 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const util = require("util");
+const ExportsInfo = require("./ExportsInfo");
+const ModuleGraphConnection = require("./ModuleGraphConnection");
+const SortableSet = require("./util/SortableSet");
+const WeakTupleMap = require("./util/WeakTupleMap");
+
+/**
+ * @callback OptimizationBailoutFunction
+ * @param {RequestShortener} requestShortener
+ * @returns {string}
+ */
+
+/** 没有出边时返回的空集合 */
+const EMPTY_SET = new Set();
+
+/**
+ * 把连接按引用方模块分组，相邻的连接通常来自同一个模块，缓存上一次的列表减少查找
+ * @param {SortableSet<ModuleGraphConnection>} set input
+ * @returns {readonly Map<Module | undefined, readonly ModuleGraphConnection[]>} mapped by origin module
+ */
+const getConnectionsByOriginModule = (set) => {
+  const map = new Map();
+  /** @type {Module | 0} */
+  let lastModule = 0;
+  /** @type {ModuleGraphConnection[] | undefined} */
+  let lastList;
+  for (const connection of set) {
+    const { originModule } = connection;
+    if (lastModule === originModule) {
+      /** @type {ModuleGraphConnection[]} */
+      (lastList).push(connection);
+    } else {
+      lastModule = /** @type {Module} */ (originModule);
+      const list = map.get(originModule);
+      if (list !== undefined) {
+        lastList = list;
+        list.push(connection);
+      } else {
+        const list = [connection];
+        lastList = list;
+        map.set(originModule, list);
+      }
+    }
+  }
+  return map;
+};
+
+/**
+ * 把连接按被引用的模块分组
+ * @param {SortableSet<ModuleGraphConnection>} set input
+ * @returns {readonly Map<Module | undefined, readonly ModuleGraphConnection[]>} mapped by module
+ */
+const getConnectionsByModule = (set) => {
+  const map = new Map();
+  /** @type {Module | 0} */
+  let lastModule = 0;
+  /** @type {ModuleGraphConnection[] | undefined} */
+  let lastList;
+  for (const connection of set) {
+    const { module } = connection;
+    if (lastModule === module) {
+      /** @type {ModuleGraphConnection[]} */
+      (lastList).push(connection);
+    } else {
+      lastModule = module;
+      const list = map.get(module);
+      if (list !== undefined) {
+        lastList = list;
+        list.push(connection);
+      } else {
+        const list = [connection];
+        lastList = list;
+        map.set(module, list);
+      }
+    }
+  }
+  return map;
+};
+
+/** @typedef {SortableSet<ModuleGraphConnection>} IncomingConnections */
+/** @typedef {SortableSet<ModuleGraphConnection>} OutgoingConnections */
+
+/**
+ * ModuleGraph 中每个模块对应的信息
+ */
+class ModuleGraphModule {
+  constructor() {
+    /** @type {IncomingConnections} */
+    this.incomingConnections = new SortableSet();
+    /** @type {OutgoingConnections | undefined} */
+    this.outgoingConnections = undefined;
+    /** @type {Module | null | undefined} */
+    this.issuer = undefined;
+    /** @type {(string | OptimizationBailoutFunction)[]} */
+    this.optimizationBailout = [];
+    /** @type {ExportsInfo} */
+    this.exports = new ExportsInfo();
+    /** @type {number | null} */
+    this.preOrderIndex = null;
+    /** @type {number | null} */
+    this.postOrderIndex = null;
+    /** @type {number | null} */
+    this.depth = null;
+    /** @type {ModuleProfile | undefined} */
+    this.profile = undefined;
+    /** @type {boolean} */
+    this.async = false;
+    /** @type {ModuleGraphConnection[] | undefined} */
+    this._unassignedConnections = undefined;
+  }
+}
+
+/**
+ * 模块图：记录依赖解析到的模块以及模块之间的连接
+ *
+ * 还保存每个模块的 issuer、导出信息、优化失败原因、遍历顺序和深度等，
+ * 这些信息原来直接挂在模块上，拆出来后同一个模块可以在不同的编译中复用
+ */
+class ModuleGraph {
+  constructor() {
+    /**
+     * @type {WeakMap<Dependency, ModuleGraphConnection | null>}
+     * @private
+     */
+    this._dependencyMap = new WeakMap();
+    /**
+     * @type {Map<Module, ModuleGraphModule>}
+     * @private
+     */
+    this._moduleMap = new Map();
+    /**
+     * @type {WeakMap<any, object>}
+     * @private
+     */
+    this._metaMap = new WeakMap();
+    /**
+     * @type {WeakTupleMap<any[], any> | undefined}
+     * @private
+     */
+    this._cache = undefined;
+    /**
+     * @type {Map<Module, WeakTupleMap<any, any>> | undefined}
+     * @private
+     */
+    this._moduleMemCaches = undefined;
+
+    /**
+     * @type {string | undefined}
+     * @private
+     */
+    this._cacheStage = undefined;
+  }
+
+  /**
+   * 获取模块对应的信息，不存在时创建
+   * @param {Module} module the module
+   * @returns {ModuleGraphModule} the internal module
+   */
+  _getModuleGraphModule(module) {
+    let mgm = this._moduleMap.get(module);
+    if (mgm === undefined) {
+      mgm = new ModuleGraphModule();
+      this._moduleMap.set(module, mgm);
+    }
+    return mgm;
+  }
+
+  /**
+   * 记录依赖所在的依赖块、模块和在块中的位置
+   * @param {Dependency} dependency the dependency
+   * @param {DependenciesBlock} block parent block
+   * @param {Module} module parent module
+   * @param {number=} indexInBlock position in block
+   * @returns {void}
+   */
+  setParents(dependency, block, module, indexInBlock = -1) {
+    dependency._parentDependenciesBlockIndex = indexInBlock;
+    dependency._parentDependenciesBlock = block;
+    dependency._parentModule = module;
+  }
+
+  /**
+   * 获取依赖所在的模块
+   * @param {Dependency} dependency the dependency
+   * @returns {Module | undefined} parent module
+   */
+  getParentModule(dependency) {
+    return dependency._parentModule;
+  }
+
+  /**
+   * 获取依赖所在的依赖块
+   * @param {Dependency} dependency the dependency
+   * @returns {DependenciesBlock | undefined} parent block
+   */
+  getParentBlock(dependency) {
+    return dependency._parentDependenciesBlock;
+  }
+
+  /**
+   * 获取依赖在依赖块中的位置
+   * @param {Dependency} dependency the dependency
+   * @returns {number} index
+   */
+  getParentBlockIndex(dependency) {
+    return dependency._parentDependenciesBlockIndex;
+  }
+
+  /**
+   * 记录依赖解析到的模块，在两个模块之间建立连接
+   * 有引用方模块时连接先放进 _unassignedConnections，查询依赖时再批量写入 _dependencyMap
+   * @param {Module | null} originModule the referencing module
+   * @param {Dependency} dependency the referencing dependency
+   * @param {Module} module the referenced module
+   * @returns {void}
+   */
+  setResolvedModule(originModule, dependency, module) {
+    const connection = new ModuleGraphConnection(
+      originModule,
+      dependency,
+      module,
+      undefined,
+      dependency.weak,
+      dependency.getCondition(this)
+    );
+    const connections = this._getModuleGraphModule(module).incomingConnections;
+    connections.add(connection);
+    if (originModule) {
+      const mgm = this._getModuleGraphModule(originModule);
+      if (mgm._unassignedConnections === undefined) {
+        mgm._unassignedConnections = [];
+      }
+      mgm._unassignedConnections.push(connection);
+      if (mgm.outgoingConnections === undefined) {
+        mgm.outgoingConnections = new SortableSet();
+      }
+      mgm.outgoingConnections.add(connection);
+    } else {
+      this._dependencyMap.set(dependency, connection);
+    }
+  }
+
+  /**
+   * 把依赖指向另一个模块，原连接失效（例如模块合并后指向合并后的模块）
+   * @param {Dependency} dependency the referencing dependency
+   * @param {Module} module the referenced module
+   * @returns {void}
+   */
+  updateModule(dependency, module) {
+    const connection =
+      /** @type {ModuleGraphConnection} */
+      (this.getConnection(dependency));
+    if (connection.module === module) return;
+    const newConnection = connection.clone();
+    newConnection.module = module;
+    this._dependencyMap.set(dependency, newConnection);
+    connection.setActive(false);
+    const originMgm = this._getModuleGraphModule(
+      /** @type {Module} */ (connection.originModule)
+    );
+    /** @type {OutgoingConnections} */
+    (originMgm.outgoingConnections).add(newConnection);
+    const targetMgm = this._getModuleGraphModule(module);
+    targetMgm.incomingConnections.add(newConnection);
+  }
+
+  /**
+   * 移除依赖对应的连接
+   * @param {Dependency} dependency the referencing dependency
+   * @returns {void}
+   */
+  removeConnection(dependency) {
+    const connection =
+      /** @type {ModuleGraphConnection} */
+      (this.getConnection(dependency));
+    const targetMgm = this._getModuleGraphModule(connection.module);
+    targetMgm.incomingConnections.delete(connection);
+    const originMgm = this._getModuleGraphModule(
+      /** @type {Module} */ (connection.originModule)
+    );
+    /** @type {OutgoingConnections} */
+    (originMgm.outgoingConnections).delete(connection);
+    this._dependencyMap.set(dependency, null);
+  }
+
+  /**
+   * 给依赖对应的连接添加说明
+   * @param {Dependency} dependency the referencing dependency
+   * @param {string} explanation an explanation
+   * @returns {void}
+   */
+  addExplanation(dependency, explanation) {
+    const connection =
+      /** @type {ModuleGraphConnection} */
+      (this.getConnection(dependency));
+    connection.addExplanation(explanation);
+  }
+
+  /**
+   * 把一个模块的遍历顺序、深度、导出信息等复制给另一个模块
+   * @param {Module} sourceModule the source module
+   * @param {Module} targetModule the target module
+   * @returns {void}
+   */
+  cloneModuleAttributes(sourceModule, targetModule) {
+    const oldMgm = this._getModuleGraphModule(sourceModule);
+    const newMgm = this._getModuleGraphModule(targetModule);
+    newMgm.postOrderIndex = oldMgm.postOrderIndex;
+    newMgm.preOrderIndex = oldMgm.preOrderIndex;
+    newMgm.depth = oldMgm.depth;
+    newMgm.exports = oldMgm.exports;
+    newMgm.async = oldMgm.async;
+  }
+
+  /**
+   * 清除模块在 seal 阶段计算的属性
+   * @param {Module} module the module
+   * @returns {void}
+   */
+  removeModuleAttributes(module) {
+    const mgm = this._getModuleGraphModule(module);
+    mgm.postOrderIndex = null;
+    mgm.preOrderIndex = null;
+    mgm.depth = null;
+    mgm.async = false;
+  }
+
+  /**
+   * 清除所有模块在 seal 阶段计算的属性，unseal 时调用
+   * @returns {void}
+   */
+  removeAllModuleAttributes() {
+    for (const mgm of this._moduleMap.values()) {
+      mgm.postOrderIndex = null;
+      mgm.preOrderIndex = null;
+      mgm.depth = null;
+      mgm.async = false;
+    }
+  }
+
+  /**
+   * 把满足条件的连接从旧模块转移到新模块，入边和出边都会转移
+   * @param {Module} oldModule the old referencing module
+   * @param {Module} newModule the new referencing module
+   * @param {function(ModuleGraphConnection): boolean} filterConnection filter predicate for replacement
+   * @returns {void}
+   */
+  moveModuleConnections(oldModule, newModule, filterConnection) {
+    if (oldModule === newModule) return;
+    const oldMgm = this._getModuleGraphModule(oldModule);
+    const newMgm = this._getModuleGraphModule(newModule);
+    // 出边
+    const oldConnections = oldMgm.outgoingConnections;
+    if (oldConnections !== undefined) {
+      if (newMgm.outgoingConnections === undefined) {
+        newMgm.outgoingConnections = new SortableSet();
+      }
+      const newConnections = newMgm.outgoingConnections;
+      for (const connection of oldConnections) {
+        if (filterConnection(connection)) {
+          connection.originModule = newModule;
+          newConnections.add(connection);
+          oldConnections.delete(connection);
+        }
+      }
+    }
+    // 入边
+    const oldConnections2 = oldMgm.incomingConnections;
+    const newConnections2 = newMgm.incomingConnections;
+    for (const connection of oldConnections2) {
+      if (filterConnection(connection)) {
+        connection.module = newModule;
+        newConnections2.add(connection);
+        oldConnections2.delete(connection);
+      }
+    }
+  }
+
+  /**
+   * 把旧模块满足条件的出边复制一份给新模块
+   * @param {Module} oldModule the old referencing module
+   * @param {Module} newModule the new referencing module
+   * @param {function(ModuleGraphConnection): boolean} filterConnection filter predicate for replacement
+   * @returns {void}
+   */
+  copyOutgoingModuleConnections(oldModule, newModule, filterConnection) {
+    if (oldModule === newModule) return;
+    const oldMgm = this._getModuleGraphModule(oldModule);
+    const newMgm = this._getModuleGraphModule(newModule);
+    // 出边
+    const oldConnections = oldMgm.outgoingConnections;
+    if (oldConnections !== undefined) {
+      if (newMgm.outgoingConnections === undefined) {
+        newMgm.outgoingConnections = new SortableSet();
+      }
+      const newConnections = newMgm.outgoingConnections;
+      for (const connection of oldConnections) {
+        if (filterConnection(connection)) {
+          const newConnection = connection.clone();
+          newConnection.originModule = newModule;
+          newConnections.add(newConnection);
+          if (newConnection.module !== undefined) {
+            const otherMgm = this._getModuleGraphModule(newConnection.module);
+            otherMgm.incomingConnections.add(newConnection);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * 添加一条没有依赖的引用，只用于在 stats 中说明模块为什么被引入
+   * @param {Module} module the referenced module
+   * @param {string} explanation an explanation why it's referenced
+   * @returns {void}
+   */
+  addExtraReason(module, explanation) {
+    const connections = this._getModuleGraphModule(module).incomingConnections;
+    connections.add(new ModuleGraphConnection(null, null, module, explanation));
+  }
+
+  /**
+   * 获取依赖最初解析到的模块（不受 updateModule 影响）
+   * @param {Dependency} dependency the dependency to look for a referenced module
+   * @returns {Module | null} the referenced module
+   */
+  getResolvedModule(dependency) {
+    const connection = this.getConnection(dependency);
+    return connection !== undefined ? connection.resolvedModule : null;
+  }
+
+  /**
+   * 获取依赖对应的连接
+   * @param {Dependency} dependency the dependency to look for a referenced module
+   * @returns {ModuleGraphConnection | undefined} the connection
+   */
+  getConnection(dependency) {
+    const connection = this._dependencyMap.get(dependency);
+    if (connection === undefined) {
+      const module = this.getParentModule(dependency);
+      if (module !== undefined) {
+        const mgm = this._getModuleGraphModule(module);
+        if (
+          mgm._unassignedConnections &&
+          mgm._unassignedConnections.length !== 0
+        ) {
+          let foundConnection;
+          for (const connection of mgm._unassignedConnections) {
+            this._dependencyMap.set(
+              /** @type {Dependency} */ (connection.dependency),
+              connection
+            );
+            if (connection.dependency === dependency)
+              foundConnection = connection;
+          }
+          mgm._unassignedConnections.length = 0;
+          if (foundConnection !== undefined) {
+            return foundConnection;
+          }
+        }
+      }
+      this._dependencyMap.set(dependency, null);
+      return;
+    }
+    return connection === null ? undefined : connection;
+  }
+
+  /**
+   * 获取依赖当前指向的模块
+   * @param {Dependency} dependency the dependency to look for a referenced module
+   * @returns {Module | null} the referenced module
+   */
+  getModule(dependency) {
+    const connection = this.getConnection(dependency);
+    return connection !== undefined ? connection.module : null;
+  }
+
+  /**
+   * 获取依赖所在的引用方模块
+   * @param {Dependency} dependency the dependency to look for a referencing module
+   * @returns {Module | null} the referencing module
+   */
+  getOrigin(dependency) {
+    const connection = this.getConnection(dependency);
+    return connection !== undefined ? connection.originModule : null;
+  }
+
+  /**
+   * 获取依赖最初所在的引用方模块
+   * @param {Dependency} dependency the dependency to look for a referencing module
+   * @returns {Module | null} the original referencing module
+   */
+  getResolvedOrigin(dependency) {
+    const connection = this.getConnection(dependency);
+    return connection !== undefined ? connection.resolvedOriginModule : null;
+  }
+
+  /**
+   * 获取引用该模块的所有连接（入边）
+   * @param {Module} module the module
+   * @returns {Iterable<ModuleGraphConnection>} reasons why a module is included
+   */
+  getIncomingConnections(module) {
+    const connections = this._getModuleGraphModule(module).incomingConnections;
+    return connections;
+  }
+
+  /**
+   * 获取该模块引用其他模块的所有连接（出边）
+   * @param {Module} module the module
+   * @returns {Iterable<ModuleGraphConnection>} list of outgoing connections
+   */
+  getOutgoingConnections(module) {
+    const connections = this._getModuleGraphModule(module).outgoingConnections;
+    return connections === undefined ? EMPTY_SET : connections;
+  }
+
+  /**
+   * 获取入边并按引用方模块分组
+   * @param {Module} module the module
+   * @returns {readonly Map<Module | undefined | null, readonly ModuleGraphConnection[]>} reasons why a module is included, in a map by source module
+   */
+  getIncomingConnectionsByOriginModule(module) {
+    const connections = this._getModuleGraphModule(module).incomingConnections;
+    return connections.getFromUnorderedCache(getConnectionsByOriginModule);
+  }
+
+  /**
+   * 获取出边并按被引用的模块分组
+   * @param {Module} module the module
+   * @returns {readonly Map<Module | undefined, readonly ModuleGraphConnection[]> | undefined} connections to modules, in a map by module
+   */
+  getOutgoingConnectionsByModule(module) {
+    const connections = this._getModuleGraphModule(module).outgoingConnections;
+    return connections === undefined
+      ? undefined
+      : connections.getFromUnorderedCache(getConnectionsByModule);
+  }
+
+  /**
+   * 获取模块的构建耗时信息
+   * @param {Module} module the module
+   * @returns {ModuleProfile | undefined} the module profile
+   */
+  getProfile(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.profile;
+  }
+
+  /**
+   * 设置模块的构建耗时信息
+   * @param {Module} module the module
+   * @param {ModuleProfile | undefined} profile the module profile
+   * @returns {void}
+   */
+  setProfile(module, profile) {
+    const mgm = this._getModuleGraphModule(module);
+    mgm.profile = profile;
+  }
+
+  /**
+   * 获取第一次引用模块的模块，入口模块为 null
+   * @param {Module} module the module
+   * @returns {Module | null | undefined} the issuer module
+   */
+  getIssuer(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.issuer;
+  }
+
+  /**
+   * 设置模块的 issuer
+   * @param {Module} module the module
+   * @param {Module | null} issuer the issuer module
+   * @returns {void}
+   */
+  setIssuer(module, issuer) {
+    const mgm = this._getModuleGraphModule(module);
+    mgm.issuer = issuer;
+  }
+
+  /**
+   * 模块还没有 issuer 时设置
+   * @param {Module} module the module
+   * @param {Module | null} issuer the issuer module
+   * @returns {void}
+   */
+  setIssuerIfUnset(module, issuer) {
+    const mgm = this._getModuleGraphModule(module);
+    if (mgm.issuer === undefined) mgm.issuer = issuer;
+  }
+
+  /**
+   * 获取模块无法被优化（例如模块合并）的原因，可以直接往返回的数组中添加
+   * @param {Module} module the module
+   * @returns {(string | OptimizationBailoutFunction)[]} optimization bailouts
+   */
+  getOptimizationBailout(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.optimizationBailout;
+  }
+
+  /**
+   * 获取模块提供的导出
+   * @param {Module} module the module
+   * @returns {true | string[] | null} the provided exports
+   */
+  getProvidedExports(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.exports.getProvidedExports();
+  }
+
+  /**
+   * 模块是否提供某个导出
+   * @param {Module} module the module
+   * @param {string | string[]} exportName a name of an export
+   * @returns {boolean | null} true, if the export is provided by the module.
+   * null 表示未知，false 表示不提供
+   */
+  isExportProvided(module, exportName) {
+    const mgm = this._getModuleGraphModule(module);
+    const result = mgm.exports.isExportProvided(exportName);
+    return result === undefined ? null : result;
+  }
+
+  /**
+   * 获取模块的导出信息
+   * @param {Module} module the module
+   * @returns {ExportsInfo} info about the exports
+   */
+  getExportsInfo(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.exports;
+  }
+
+  /**
+   * 获取模块某个导出的信息，不存在时创建
+   * @param {Module} module the module
+   * @param {string} exportName the export
+   * @returns {ExportInfo} info about the export
+   */
+  getExportInfo(module, exportName) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.exports.getExportInfo(exportName);
+  }
+
+  /**
+   * 获取模块某个导出的信息，不存在时返回表示其他导出的信息
+   * @param {Module} module the module
+   * @param {string} exportName the export
+   * @returns {ExportInfo} info about the export (do not modify)
+   */
+  getReadOnlyExportInfo(module, exportName) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.exports.getReadOnlyExportInfo(exportName);
+  }
+
+  /**
+   * 获取模块在给定运行时中被使用的导出
+   * @param {Module} module the module
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {false | true | SortableSet<string> | null} the used exports
+   * false：模块完全没有被使用
+   * true：使用了模块的命名空间对象
+   * SortableSet<string>：使用了这些导出，为空时表示模块被使用但没有使用任何导出
+   * null：未知，需要按最坏情况处理
+   */
+  getUsedExports(module, runtime) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.exports.getUsedExports(runtime);
+  }
+
+  /**
+   * 获取模块在前序遍历中的顺序
+   * @param {Module} module the module
+   * @returns {number | null} the index of the module
+   */
+  getPreOrderIndex(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.preOrderIndex;
+  }
+
+  /**
+   * 获取模块在后序遍历中的顺序
+   * @param {Module} module the module
+   * @returns {number | null} the index of the module
+   */
+  getPostOrderIndex(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.postOrderIndex;
+  }
+
+  /**
+   * 设置模块在前序遍历中的顺序
+   * @param {Module} module the module
+   * @param {number} index the index of the module
+   * @returns {void}
+   */
+  setPreOrderIndex(module, index) {
+    const mgm = this._getModuleGraphModule(module);
+    mgm.preOrderIndex = index;
+  }
+
+  /**
+   * 还没有前序遍历顺序时设置
+   * @param {Module} module the module
+   * @param {number} index the index of the module
+   * @returns {boolean} true, if the index was set
+   */
+  setPreOrderIndexIfUnset(module, index) {
+    const mgm = this._getModuleGraphModule(module);
+    if (mgm.preOrderIndex === null) {
+      mgm.preOrderIndex = index;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 设置模块在后序遍历中的顺序
+   * @param {Module} module the module
+   * @param {number} index the index of the module
+   * @returns {void}
+   */
+  setPostOrderIndex(module, index) {
+    const mgm = this._getModuleGraphModule(module);
+    mgm.postOrderIndex = index;
+  }
+
+  /**
+   * 还没有后序遍历顺序时设置
+   * @param {Module} module the module
+   * @param {number} index the index of the module
+   * @returns {boolean} true, if the index was set
+   */
+  setPostOrderIndexIfUnset(module, index) {
+    const mgm = this._getModuleGraphModule(module);
+    if (mgm.postOrderIndex === null) {
+      mgm.postOrderIndex = index;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 获取模块到入口的最短距离
+   * @param {Module} module the module
+   * @returns {number | null} the depth of the module
+   */
+  getDepth(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.depth;
+  }
+
+  /**
+   * 设置模块到入口的距离
+   * @param {Module} module the module
+   * @param {number} depth the depth of the module
+   * @returns {void}
+   */
+  setDepth(module, depth) {
+    const mgm = this._getModuleGraphModule(module);
+    mgm.depth = depth;
+  }
+
+  /**
+   * 新的距离更短时更新
+   * @param {Module} module the module
+   * @param {number} depth the depth of the module
+   * @returns {boolean} true, if the depth was set
+   */
+  setDepthIfLower(module, depth) {
+    const mgm = this._getModuleGraphModule(module);
+    if (mgm.depth === null || mgm.depth > depth) {
+      mgm.depth = depth;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 模块是否是异步模块（使用了顶层 await 或依赖了异步模块）
+   * @param {Module} module the module
+   * @returns {boolean} true, if the module is async
+   */
+  isAsync(module) {
+    const mgm = this._getModuleGraphModule(module);
+    return mgm.async;
+  }
+
+  /**
+   * 把模块标记为异步模块
+   * @param {Module} module the module
+   * @returns {void}
+   */
+  setAsync(module) {
+    const mgm = this._getModuleGraphModule(module);
+    mgm.async = true;
+  }
+
+  /**
+   * 获取附加在任意对象上的元数据，插件可以在这里保存自己的信息
+   * @param {any} thing any thing
+   * @returns {object} metadata
+   */
+  getMeta(thing) {
+    let meta = this._metaMap.get(thing);
+    if (meta === undefined) {
+      meta = Object.create(null);
+      this._metaMap.set(thing, /** @type {object} */ (meta));
+    }
+    return /** @type {object} */ (meta);
+  }
+
+  /**
+   * 获取已有的元数据，不创建
+   * @param {any} thing any thing
+   * @returns {object | undefined} metadata
+   */
+  getMetaIfExisting(thing) {
+    return this._metaMap.get(thing);
+  }
+
+  /**
+   * 冻结模块图，之后连接不会再变化，cached 和 dependencyCacheProvide 的结果可以缓存
+   * @param {string=} cacheStage a persistent stage name for caching
+   */
+  freeze(cacheStage) {
+    this._cache = new WeakTupleMap();
+    this._cacheStage = cacheStage;
+  }
+
+  /**
+   * 解除冻结，清空缓存
+   */
+  unfreeze() {
+    this._cache = undefined;
+    this._cacheStage = undefined;
+  }
+
+  /**
+   * 调用 fn 计算结果，冻结期间按参数缓存
+   * @template {any[]} T
+   * @template V
+   * @param {(moduleGraph: ModuleGraph, ...args: T) => V} fn computer
+   * @param {T} args arguments
+   * @returns {V} computed value or cached
+   */
+  cached(fn, ...args) {
+    if (this._cache === undefined) return fn(this, ...args);
+    return this._cache.provide(fn, ...args, () => fn(this, ...args));
+  }
+
+  /**
+   * 设置每个模块的内存缓存，用于在多次编译间复用计算结果
+   * @param {Map<Module, WeakTupleMap<any, any>>} moduleMemCaches mem caches for modules for better caching
+   */
+  setModuleMemCaches(moduleMemCaches) {
+    this._moduleMemCaches = moduleMemCaches;
+  }
+
+  /**
+   * 按依赖缓存计算结果，有模块内存缓存时优先使用它
+   * @param {Dependency} dependency dependency
+   * @param {...any} args arguments, last argument is a function called with moduleGraph, dependency, ...args
+   * @returns {any} computed value or cached
+   */
+  dependencyCacheProvide(dependency, ...args) {
+    /** @type {(moduleGraph: ModuleGraph, dependency: Dependency, ...args: any[]) => any} */
+    const fn = args.pop();
+    if (this._moduleMemCaches && this._cacheStage) {
+      const memCache = this._moduleMemCaches.get(
+        /** @type {Module} */ (this.getParentModule(dependency))
+      );
+      if (memCache !== undefined) {
+        return memCache.provide(dependency, this._cacheStage, ...args, () =>
+          fn(this, dependency, ...args)
+        );
+      }
+    }
+    if (this._cache === undefined) return fn(this, dependency, ...args);
+    return this._cache.provide(dependency, ...args, () =>
+      fn(this, dependency, ...args)
+    );
+  }
+
+  // TODO remove in webpack 6
+  /**
+   * 通过模块找到所属的 ModuleGraph，用于兼容旧的 module.xxx 属性，调用时会输出弃用警告
+   * @param {Module} module the module
+   * @param {string} deprecateMessage message for the deprecation message
+   * @param {string} deprecationCode code for the deprecation
+   * @returns {ModuleGraph} the module graph
+   */
+  static getModuleGraphForModule(module, deprecateMessage, deprecationCode) {
+    const fn = deprecateMap.get(deprecateMessage);
+    if (fn) return fn(module);
+    const newFn = util.deprecate(
+      /**
+       * @param {Module} module the module
+       * @returns {ModuleGraph} the module graph
+       */
+      (module) => {
+        const moduleGraph = moduleGraphForModuleMap.get(module);
+        if (!moduleGraph)
+          throw new Error(
+            `${
+              deprecateMessage
+            }There was no ModuleGraph assigned to the Module for backward-compat (Use the new API)`
+          );
+        return moduleGraph;
+      },
+      `${deprecateMessage}: Use new ModuleGraph API`,
+      deprecationCode
+    );
+    deprecateMap.set(deprecateMessage, newFn);
+    return newFn(module);
+  }
+
+  // TODO remove in webpack 6
+  /**
+   * 记录模块所属的 ModuleGraph
+   * @param {Module} module the module
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @returns {void}
+   */
+  static setModuleGraphForModule(module, moduleGraph) {
+    moduleGraphForModuleMap.set(module, moduleGraph);
+  }
+
+  // TODO remove in webpack 6
+  /**
+   * 清除模块所属的 ModuleGraph
+   * @param {Module} module the module
+   * @returns {void}
+   */
+  static clearModuleGraphForModule(module) {
+    moduleGraphForModuleMap.delete(module);
+  }
+}
+
+// TODO remove in webpack 6
+/** @type {WeakMap<Module, ModuleGraph>} */
+const moduleGraphForModuleMap = new WeakMap();
+
+// TODO remove in webpack 6
+/** @type {Map<string, (module: Module) => ModuleGraph>} */
+const deprecateMap = new Map();
+
+module.exports = ModuleGraph;
+module.exports.ModuleGraphConnection = ModuleGraphConnection;
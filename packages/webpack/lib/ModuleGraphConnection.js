@@ -0,0 +1,225 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 模块本身不被引用，但通过它引用的模块（传递依赖）仍然有效
+ * 例如只被 re-export 的模块
+ */
+const TRANSITIVE_ONLY = Symbol("transitive only");
+
+/**
+ * 计算连接状态时遇到循环引用，用这个标记表示
+ */
+const CIRCULAR_CONNECTION = Symbol("circular connection");
+
+/** @typedef {boolean | typeof TRANSITIVE_ONLY | typeof CIRCULAR_CONNECTION} ConnectionState */
+
+/**
+ * 合并两个连接状态，任一方有效即有效
+ * @param {ConnectionState} a first
+ * @param {ConnectionState} b second
+ * @returns {ConnectionState} merged
+ */
+const addConnectionStates = (a, b) => {
+  if (a === true || b === true) return true;
+  if (a === false) return b;
+  if (b === false) return a;
+  if (a === TRANSITIVE_ONLY) return b;
+  if (b === TRANSITIVE_ONLY) return a;
+  return a;
+};
+
+/**
+ * 求两个连接状态的交集，任一方无效即无效
+ * @param {ConnectionState} a first
+ * @param {ConnectionState} b second
+ * @returns {ConnectionState} intersected
+ */
+const intersectConnectionStates = (a, b) => {
+  if (a === false || b === false) return false;
+  if (a === true) return b;
+  if (b === true) return a;
+  if (a === CIRCULAR_CONNECTION) return b;
+  if (b === CIRCULAR_CONNECTION) return a;
+  return a;
+};
+
+/**
+ * ModuleGraph 中的一条连接：originModule 通过 dependency 引用了 module
+ *
+ * 连接可以带条件（condition），根据运行时和导出的使用情况决定是否有效，
+ * 例如未被使用的 import 在 sideEffects 优化后不再需要引入模块
+ */
+class ModuleGraphConnection {
+  /**
+   * @param {Module|null} originModule the referencing module
+   * @param {Dependency|null} dependency the referencing dependency
+   * @param {Module} module the referenced module
+   * @param {string=} explanation some extra detail
+   * @param {boolean=} weak the reference is weak
+   * @param {false | null | GetConditionFn | undefined} condition condition for the connection
+   */
+  constructor(
+    originModule,
+    dependency,
+    module,
+    explanation,
+    weak = false,
+    condition = undefined
+  ) {
+    this.originModule = originModule;
+    this.resolvedOriginModule = originModule;
+    this.dependency = dependency;
+    this.resolvedModule = module;
+    this.module = module;
+    this.weak = weak;
+    this.conditional = Boolean(condition);
+    this._active = condition !== false;
+    /** @type {(function(ModuleGraphConnection, RuntimeSpec): ConnectionState) | undefined} */
+    this.condition = condition || undefined;
+    /** @type {Set<string> | undefined} */
+    this.explanations = undefined;
+    if (explanation) {
+      this.explanations = new Set();
+      this.explanations.add(explanation);
+    }
+  }
+
+  /**
+   * 复制连接
+   */
+  clone() {
+    const clone = new ModuleGraphConnection(
+      this.resolvedOriginModule,
+      this.dependency,
+      this.resolvedModule,
+      undefined,
+      this.weak,
+      this.condition
+    );
+    clone.originModule = this.originModule;
+    clone.module = this.module;
+    clone.conditional = this.conditional;
+    clone._active = this._active;
+    if (this.explanations) clone.explanations = new Set(this.explanations);
+    return clone;
+  }
+
+  /**
+   * 追加条件，与已有条件取交集；连接已无效时不再添加
+   * @param {function(ModuleGraphConnection, RuntimeSpec): ConnectionState} condition condition for the connection
+   * @returns {void}
+   */
+  addCondition(condition) {
+    if (this.conditional) {
+      const old =
+        /** @type {(function(ModuleGraphConnection, RuntimeSpec): ConnectionState)} */
+        (this.condition);
+      this.condition = (c, r) =>
+        intersectConnectionStates(old(c, r), condition(c, r));
+    } else if (this._active) {
+      this.conditional = true;
+      this.condition = condition;
+    }
+  }
+
+  /**
+   * 添加一条说明，显示在 stats 的 reason 中
+   * @param {string} explanation the explanation to add
+   * @returns {void}
+   */
+  addExplanation(explanation) {
+    if (this.explanations === undefined) {
+      this.explanations = new Set();
+    }
+    this.explanations.add(explanation);
+  }
+
+  /**
+   * 所有说明用空格连接
+   * @returns {string} the explanation
+   */
+  get explanation() {
+    if (this.explanations === undefined) return "";
+    return Array.from(this.explanations).join(" ");
+  }
+
+  /**
+   * 连接在给定运行时中是否有效（包括只有传递依赖有效的情况）
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {boolean} true, if the connection is active
+   */
+  isActive(runtime) {
+    if (!this.conditional) return this._active;
+
+    return (
+      /** @type {(function(ModuleGraphConnection, RuntimeSpec): ConnectionState)} */ (
+        this.condition
+      )(this, runtime) !== false
+    );
+  }
+
+  /**
+   * 被引用的模块本身在给定运行时中是否需要
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {boolean} true, if the connection is active
+   */
+  isTargetActive(runtime) {
+    if (!this.conditional) return this._active;
+    return (
+      /** @type {(function(ModuleGraphConnection, RuntimeSpec): ConnectionState)} */ (
+        this.condition
+      )(this, runtime) === true
+    );
+  }
+
+  /**
+   * 获取连接在给定运行时中的状态
+   * @param {RuntimeSpec} runtime the runtime
+   * @returns {ConnectionState} true: fully active, false: inactive, TRANSITIVE: direct module inactive, but transitive connection maybe active
+   */
+  getActiveState(runtime) {
+    if (!this.conditional) return this._active;
+    return /** @type {(function(ModuleGraphConnection, RuntimeSpec): ConnectionState)} */ (
+      this.condition
+    )(this, runtime);
+  }
+
+  /**
+   * 直接设置连接是否有效，之后不再根据条件计算
+   * @param {boolean} value active or not
+   * @returns {void}
+   */
+  setActive(value) {
+    this.conditional = false;
+    this._active = value;
+  }
+
+  // TODO webpack 5 remove
+  /**
+   * 旧的 active 属性已移除，改用 getActiveState/setActive
+   */
+  get active() {
+    throw new Error("Use getActiveState instead");
+  }
+
+  set active(value) {
+    throw new Error("Use setActive instead");
+  }
+}
+
+/** @typedef {typeof TRANSITIVE_ONLY} TRANSITIVE_ONLY */
+/** @typedef {typeof CIRCULAR_CONNECTION} CIRCULAR_CONNECTION */
+
+module.exports = ModuleGraphConnection;
+module.exports.addConnectionStates = addConnectionStates;
+module.exports.TRANSITIVE_ONLY = /** @type {typeof TRANSITIVE_ONLY} */ (
+  TRANSITIVE_ONLY
+);
+module.exports.CIRCULAR_CONNECTION = /** @type {typeof CIRCULAR_CONNECTION} */ (
+  CIRCULAR_CONNECTION
+);
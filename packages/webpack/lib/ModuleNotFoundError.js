@@ -0,0 +1,90 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+/**
+ * webpack 4 及之前会自动为 node.js 核心模块注入浏览器端的 polyfill，webpack 5 不再这样做
+ * 解析失败的请求如果命中这里的模块，就在错误信息中提示用户如何手动配置 polyfill
+ */
+const previouslyPolyfilledBuiltinModules = {
+  assert: "assert/",
+  buffer: "buffer/",
+  console: "console-browserify",
+  constants: "constants-browserify",
+  crypto: "crypto-browserify",
+  domain: "domain-browser",
+  events: "events/",
+  http: "stream-http",
+  https: "https-browserify",
+  os: "os-browserify/browser",
+  path: "path-browserify",
+  punycode: "punycode/",
+  process: "process/browser",
+  querystring: "querystring-es3",
+  stream: "stream-browserify",
+  _stream_duplex: "readable-stream/duplex",
+  _stream_passthrough: "readable-stream/passthrough",
+  _stream_readable: "readable-stream/readable",
+  _stream_transform: "readable-stream/transform",
+  _stream_writable: "readable-stream/writable",
+  string_decoder: "string_decoder/",
+  sys: "util/",
+  timers: "timers-browserify",
+  tty: "tty-browserify",
+  url: "url/",
+  util: "util/",
+  vm: "vm-browserify",
+  zlib: "browserify-zlib",
+};
+
+/**
+ * 模块工厂无法解析依赖时产生的错误
+ */
+class ModuleNotFoundError extends WebpackError {
+  /**
+   * @param {Module | null} module 发起请求的模块
+   * @param {Error & { details?: string }} err 解析时的原始错误
+   * @param {DependencyLocation} loc 依赖在源码中的位置
+   */
+  constructor(module, err, loc) {
+    let message = `Module not found: ${err.toString()}`;
+
+    // TODO remove in webpack 6
+    const match = err.message.match(/Can't resolve '([^']+)'/);
+    if (match) {
+      const request = match[1];
+      const alias = previouslyPolyfilledBuiltinModules[request];
+      if (alias) {
+        const pathIndex = alias.indexOf("/");
+        const dependency = pathIndex > 0 ? alias.slice(0, pathIndex) : alias;
+        message +=
+          "\n\n" +
+          "BREAKING CHANGE: " +
+          "webpack < 5 used to include polyfills for node.js core modules by default.\n" +
+          "This is no longer the case. Verify if you need this module and configure a polyfill for it.\n\n";
+        message +=
+          "If you want to include a polyfill, you need to:\n" +
+          `\t- add a fallback 'resolve.fallback: { "${request}": require.resolve("${alias}") }'\n` +
+          `\t- install '${dependency}'\n`;
+        message +=
+          "If you don't want to include a polyfill, you can use an empty module like this:\n" +
+          `\tresolve.fallback: { "${request}": false }`;
+      }
+    }
+
+    super(message);
+
+    this.name = "ModuleNotFoundError";
+    this.details = err.details;
+    this.module = module;
+    this.error = err;
+    this.loc = loc;
+  }
+}
+
+module.exports = ModuleNotFoundError;
@@ -0,0 +1,195 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const identifierUtils = require("./util/identifier");
+
+/**
+ * 给多行文本的每一行加上前缀
+ * @param {string} str string
+ * @param {string} prefix pref
+ * @returns {string} indent
+ */
+const indent = (str, prefix) => {
+  const rem = str.replace(/\n([^\n])/g, `\n${prefix}$1`);
+  return prefix + rem;
+};
+
+/**
+ * MultiCompiler 的统计信息，聚合了每个子编译器的 Stats
+ */
+class MultiStats {
+  /**
+   * @param {Stats[]} stats 各个子编译器的统计信息
+   */
+  constructor(stats) {
+    this.stats = stats;
+  }
+
+  get hash() {
+    return this.stats.map((stat) => stat.hash).join("");
+  }
+
+  /**
+   * 任意一个子编译存在错误即返回 true
+   * @returns {boolean} true if a child compilation encountered an error
+   */
+  hasErrors() {
+    return this.stats.some((stat) => stat.hasErrors());
+  }
+
+  /**
+   * 任意一个子编译存在警告即返回 true
+   * @returns {boolean} true if a child compilation had a warning
+   */
+  hasWarnings() {
+    return this.stats.some((stat) => stat.hasWarnings());
+  }
+
+  /**
+   * 为每个子编译器生成统计信息选项
+   * options.children 可以是数组（按顺序对应每个子编译器）或者对所有子编译器生效的单个选项
+   * @param {string | boolean | StatsOptions | undefined} options stats options
+   * @param {CreateStatsOptionsContext} context context
+   * @returns {ChildOptions} context context
+   */
+  _createChildOptions(options, context) {
+    const getCreateStatsOptions = () => {
+      if (!options) {
+        options = {};
+      }
+
+      const { children: childrenOptions = undefined, ...baseOptions } =
+        typeof options === "string" ? { preset: options } : options;
+
+      return { childrenOptions, baseOptions };
+    };
+
+    const children = this.stats.map((stat, idx) => {
+      if (typeof options === "boolean") {
+        return stat.compilation.createStatsOptions(options, context);
+      }
+      const { childrenOptions, baseOptions } = getCreateStatsOptions();
+      const childOptions = Array.isArray(childrenOptions)
+        ? childrenOptions[idx]
+        : childrenOptions;
+      return stat.compilation.createStatsOptions(
+        {
+          ...baseOptions,
+          ...(typeof childOptions === "string"
+            ? { preset: childOptions }
+            : childOptions && typeof childOptions === "object"
+              ? childOptions
+              : undefined),
+        },
+        context
+      );
+    });
+    // 只有所有子编译器都开启时，汇总结果中才输出对应的字段
+    return {
+      version: children.every((o) => o.version),
+      hash: children.every((o) => o.hash),
+      errorsCount: children.every((o) => o.errorsCount),
+      warningsCount: children.every((o) => o.warningsCount),
+      errors: children.every((o) => o.errors),
+      warnings: children.every((o) => o.warnings),
+      children,
+    };
+  }
+
+  /**
+   * @param {(string | boolean | StatsOptions)=} options stats options
+   * @returns {StatsCompilation} json output
+   */
+  toJson(options) {
+    const childOptions = this._createChildOptions(options, {
+      forToString: false,
+    });
+    const obj = {};
+    obj.children = this.stats.map((stat, idx) => {
+      const obj = stat.toJson(childOptions.children[idx]);
+      const compilationName = stat.compilation.name;
+      const name =
+        compilationName &&
+        identifierUtils.makePathsRelative(
+          stat.compilation.compiler.context,
+          compilationName,
+          stat.compilation.compiler.root
+        );
+      obj.name = name;
+      return obj;
+    });
+    if (childOptions.version) {
+      obj.version = obj.children[0].version;
+    }
+    if (childOptions.hash) {
+      obj.hash = obj.children.map((j) => j.hash).join("");
+    }
+    // 错误和警告中记录来自哪个编译器
+    const mapError = (j, obj) => ({
+      ...obj,
+      compilerPath: obj.compilerPath ? `${j.name}.${obj.compilerPath}` : j.name,
+    });
+    if (childOptions.errors) {
+      obj.errors = [];
+      for (const j of obj.children) {
+        for (const i of j.errors) {
+          obj.errors.push(mapError(j, i));
+        }
+      }
+    }
+    if (childOptions.warnings) {
+      obj.warnings = [];
+      for (const j of obj.children) {
+        for (const i of j.warnings) {
+          obj.warnings.push(mapError(j, i));
+        }
+      }
+    }
+    if (childOptions.errorsCount) {
+      obj.errorsCount = 0;
+      for (const j of obj.children) {
+        obj.errorsCount += j.errorsCount;
+      }
+    }
+    if (childOptions.warningsCount) {
+      obj.warningsCount = 0;
+      for (const j of obj.children) {
+        obj.warningsCount += j.warningsCount;
+      }
+    }
+    return obj;
+  }
+
+  /**
+   * 每个子编译器的输出以编译器名称开头并缩进
+   * @param {(string | boolean | StatsOptions)=} options stats options
+   * @returns {string} string output
+   */
+  toString(options) {
+    const childOptions = this._createChildOptions(options, {
+      forToString: true,
+    });
+    const results = this.stats.map((stat, idx) => {
+      const str = stat.toString(childOptions.children[idx]);
+      const compilationName = stat.compilation.name;
+      const name =
+        compilationName &&
+        identifierUtils
+          .makePathsRelative(
+            stat.compilation.compiler.context,
+            compilationName,
+            stat.compilation.compiler.root
+          )
+          .replace(/\|/g, " ");
+      if (!str) return str;
+      return name ? `${name}:\n${indent(str, "  ")}` : str;
+    });
+    return results.filter(Boolean).join("\n\n");
+  }
+}
+
+module.exports = MultiStats;
@@ -0,0 +1,82 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const asyncLib = require("neo-async");
+
+/**
+ * MultiCompiler.watch 返回的监听对象，把操作转发给每个子编译器的 Watching
+ */
+class MultiWatching {
+  /**
+   * @param {Watching[]} watchings 子编译器的 Watching
+   * @param {MultiCompiler} compiler the compiler
+   */
+  constructor(watchings, compiler) {
+    this.watchings = watchings;
+    this.compiler = compiler;
+  }
+
+  /**
+   * 使所有子编译器的当前构建失效并重新构建
+   * @param {Callback<void>=} callback signals when the build has completed again
+   * @returns {void}
+   */
+  invalidate(callback) {
+    if (callback) {
+      asyncLib.each(
+        this.watchings,
+        (watching, callback) => watching.invalidate(callback),
+        callback
+      );
+    } else {
+      for (const watching of this.watchings) {
+        watching.invalidate();
+      }
+    }
+  }
+
+  /**
+   * 暂停所有子编译器的构建，期间的变更会被收集起来
+   */
+  suspend() {
+    for (const watching of this.watchings) {
+      watching.suspend();
+    }
+  }
+
+  /**
+   * 恢复所有子编译器的构建
+   */
+  resume() {
+    for (const watching of this.watchings) {
+      watching.resume();
+    }
+  }
+
+  /**
+   * 关闭所有子编译器的监听
+   * @param {Callback<void>} callback signals when the watcher is closed
+   * @returns {void}
+   */
+  close(callback) {
+    asyncLib.each(
+      this.watchings,
+      (watching, finishedCallback) => {
+        watching.close(finishedCallback);
+      },
+      (err) => {
+        this.compiler.hooks.watchClose.call();
+        if (typeof callback === "function") {
+          this.compiler.running = false;
+          callback(err);
+        }
+      }
+    );
+  }
+}
+
+module.exports = MultiWatching;
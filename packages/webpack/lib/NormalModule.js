@@ -0,0 +1,1505 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const parseJson = require("json-parse-even-better-errors");
+const { getContext, runLoaders } = require("loader-runner");
+const querystring = require("querystring");
+const { HookMap, SyncHook, AsyncSeriesBailHook } = require("tapable");
+const {
+  CachedSource,
+  OriginalSource,
+  RawSource,
+  SourceMapSource,
+} = require("webpack-sources");
+const Compilation = require("./Compilation");
+const HookWebpackError = require("./HookWebpackError");
+const Module = require("./Module");
+const ModuleBuildError = require("./ModuleBuildError");
+const ModuleError = require("./ModuleError");
+const ModuleParseError = require("./ModuleParseError");
+const { JAVASCRIPT_MODULE_TYPE_AUTO } = require("./ModuleTypeConstants");
+const ModuleWarning = require("./ModuleWarning");
+const RuntimeGlobals = require("./RuntimeGlobals");
+const UnhandledSchemeError = require("./UnhandledSchemeError");
+const WebpackError = require("./WebpackError");
+const LazySet = require("./util/LazySet");
+const { isSubset } = require("./util/SetHelpers");
+const { getScheme } = require("./util/URLAbsoluteSpecifier");
+const {
+  compareLocations,
+  concatComparators,
+  compareSelect,
+  keepOriginalOrder,
+} = require("./util/comparators");
+const createHash = require("./util/createHash");
+const { join } = require("./util/fs");
+const {
+  contextify,
+  absolutify,
+  makePathsRelative,
+} = require("./util/identifier");
+const makeSerializable = require("./util/makeSerializable");
+const memoize = require("./util/memoize");
+
+/** @typedef {{[k: string]: any}} ParserOptions */
+/** @typedef {{[k: string]: any}} GeneratorOptions */
+
+/**
+ * @typedef {object} SourceMap
+ * @property {number} version
+ * @property {string[]} sources
+ * @property {string} mappings
+ * @property {string=} file
+ * @property {string=} sourceRoot
+ * @property {string[]=} sourcesContent
+ * @property {string[]=} names
+ */
+
+const getInvalidDependenciesModuleWarning = memoize(() =>
+  require("./InvalidDependenciesModuleWarning")
+);
+const getValidate = memoize(() => require("schema-utils").validate);
+
+const ABSOLUTE_PATH_REGEX = /^([a-zA-Z]:\\|\\\\|\/)/;
+
+/**
+ * @typedef {object} LoaderItem
+ * @property {string} loader
+ * @property {any} options
+ * @property {string?} ident
+ * @property {string?} type
+ */
+
+/**
+ * 把 source map 中的源文件路径转换成 webpack:// 开头的相对路径，避免产物里出现本机的绝对路径
+ * @param {string} context absolute context path
+ * @param {string} source a source path
+ * @param {object=} associatedObjectForCache an object to which the cache will be attached
+ * @returns {string} new source path
+ */
+const contextifySourceUrl = (context, source, associatedObjectForCache) => {
+  if (source.startsWith("webpack://")) return source;
+  return `webpack://${makePathsRelative(
+    context,
+    source,
+    associatedObjectForCache
+  )}`;
+};
+
+/**
+ * 处理整个 source map：拼接 sourceRoot 后把每个 sources 都转换成 webpack:// 路径
+ * @param {string} context absolute context path
+ * @param {SourceMap} sourceMap a source map
+ * @param {object=} associatedObjectForCache an object to which the cache will be attached
+ * @returns {SourceMap} new source map
+ */
+const contextifySourceMap = (context, sourceMap, associatedObjectForCache) => {
+  if (!Array.isArray(sourceMap.sources)) return sourceMap;
+  const { sourceRoot } = sourceMap;
+  /** @type {function(string): string} */
+  const mapper = !sourceRoot
+    ? (source) => source
+    : sourceRoot.endsWith("/")
+      ? (source) =>
+          source.startsWith("/")
+            ? `${sourceRoot.slice(0, -1)}${source}`
+            : `${sourceRoot}${source}`
+      : (source) =>
+          source.startsWith("/")
+            ? `${sourceRoot}${source}`
+            : `${sourceRoot}/${source}`;
+  const newSources = sourceMap.sources.map((source) =>
+    contextifySourceUrl(context, mapper(source), associatedObjectForCache)
+  );
+  return {
+    ...sourceMap,
+    file: "x",
+    sourceRoot: undefined,
+    sources: newSources,
+  };
+};
+
+/**
+ * @param {string | Buffer} input the input
+ * @returns {string} the converted string
+ */
+const asString = (input) => {
+  if (Buffer.isBuffer(input)) {
+    return input.toString("utf-8");
+  }
+  return input;
+};
+
+/**
+ * @param {string | Buffer} input the input
+ * @returns {Buffer} the converted buffer
+ */
+const asBuffer = (input) => {
+  if (!Buffer.isBuffer(input)) {
+    return Buffer.from(input, "utf-8");
+  }
+  return input;
+};
+
+/**
+ * loader 通过 callback / emitError / emitWarning 传出的不是 Error 实例时，用它包装一下
+ */
+class NonErrorEmittedError extends WebpackError {
+  /**
+   * @param {any} error value which is not an instance of Error
+   */
+  constructor(error) {
+    super();
+
+    this.name = "NonErrorEmittedError";
+    this.message = `(Emitted value instead of an instance of Error) ${error}`;
+  }
+}
+
+makeSerializable(
+  NonErrorEmittedError,
+  "webpack/lib/NormalModule",
+  "NonErrorEmittedError"
+);
+
+/**
+ * NormalModule 挂在每个 compilation 上的钩子
+ * loader：创建 loaderContext 后调用，插件可以往 loaderContext 上添加属性（例如 LoaderOptionsPlugin）
+ * readResource：按 scheme 读取资源内容，例如 FileUriPlugin 负责读取普通文件
+ * @typedef {object} NormalModuleCompilationHooks
+ * @property {SyncHook<[LoaderContext<any>, NormalModule]>} loader
+ * @property {SyncHook<[LoaderItem[], NormalModule, LoaderContext<any>]>} beforeLoaders
+ * @property {SyncHook<[NormalModule]>} beforeParse
+ * @property {SyncHook<[NormalModule]>} beforeSnapshot
+ * @property {HookMap<AsyncSeriesBailHook<[LoaderContext<any>], string | Buffer | null>>} readResource
+ * @property {AsyncSeriesBailHook<[NormalModule, NeedBuildContext], boolean>} needBuild
+ */
+
+/**
+ * @typedef {object} NormalModuleCreateData
+ * @property {string=} layer an optional layer in which the module is
+ * @property {JavaScriptModuleTypes | ""} type module type. When deserializing, this is set to an empty string "".
+ * @property {string} request request string
+ * @property {string} userRequest request intended by user (without loaders from config)
+ * @property {string} rawRequest request without resolving
+ * @property {LoaderItem[]} loaders list of loaders
+ * @property {string} resource path + query of the real resource
+ * @property {Record<string, any>=} resourceResolveData resource resolve data
+ * @property {string} context context directory for resolving
+ * @property {string=} matchResource path + query of the matched resource (virtual)
+ * @property {Parser} parser the parser used
+ * @property {ParserOptions=} parserOptions the options of the parser used
+ * @property {Generator} generator the generator used
+ * @property {GeneratorOptions=} generatorOptions the options of the generator used
+ * @property {ResolveOptions=} resolveOptions options used for resolving requests from this module
+ */
+
+/** @type {WeakMap<Compilation, NormalModuleCompilationHooks>} */
+const compilationHooksMap = new WeakMap();
+
+/**
+ * 普通模块，项目里的源码文件都对应一个 NormalModule
+ *
+ * 由 NormalModuleFactory 解析请求后创建，构建过程（build）分为三步：
+ * 1. 通过 loader-runner 按顺序执行 loader 链（先 pitch 再 normal），读取并转换资源
+ * 2. 调用 parser 解析 loader 返回的结果，收集模块的依赖
+ * 3. 把 loader 和 parser 记录的文件依赖转换成文件系统快照，用于之后判断是否需要重新构建
+ */
+class NormalModule extends Module {
+  /**
+   * 获取 compilation 对应的钩子，同一个 compilation 只创建一次
+   * @param {Compilation} compilation the compilation
+   * @returns {NormalModuleCompilationHooks} the attached hooks
+   */
+  static getCompilationHooks(compilation) {
+    if (!(compilation instanceof Compilation)) {
+      throw new TypeError(
+        "The 'compilation' argument must be an instance of Compilation"
+      );
+    }
+    let hooks = compilationHooksMap.get(compilation);
+    if (hooks === undefined) {
+      hooks = {
+        loader: new SyncHook(["loaderContext", "module"]),
+        beforeLoaders: new SyncHook(["loaders", "module", "loaderContext"]),
+        beforeParse: new SyncHook(["module"]),
+        beforeSnapshot: new SyncHook(["module"]),
+        readResource: new HookMap(
+          () => new AsyncSeriesBailHook(["loaderContext"])
+        ),
+        needBuild: new AsyncSeriesBailHook(["module", "context"]),
+      };
+      compilationHooksMap.set(
+        compilation,
+        /** @type {NormalModuleCompilationHooks} */ (hooks)
+      );
+    }
+    return /** @type {NormalModuleCompilationHooks} */ (hooks);
+  }
+
+  /**
+   * @param {NormalModuleCreateData} options NormalModuleFactory 解析得到的 createData
+   */
+  constructor({
+    layer,
+    type,
+    request,
+    userRequest,
+    rawRequest,
+    loaders,
+    resource,
+    resourceResolveData,
+    context,
+    matchResource,
+    parser,
+    parserOptions,
+    generator,
+    generatorOptions,
+    resolveOptions,
+  }) {
+    super(type, context || getContext(resource), layer);
+
+    // 来自 NormalModuleFactory 的信息
+    /** @type {string} */
+    this.request = request;
+    /** @type {string} */
+    this.userRequest = userRequest;
+    /** @type {string} */
+    this.rawRequest = rawRequest;
+    /** @type {boolean} */
+    this.binary = /^(asset|webassembly)\b/.test(type);
+    /** @type {undefined | Parser} */
+    this.parser = parser;
+    /** @type {undefined | ParserOptions} */
+    this.parserOptions = parserOptions;
+    /** @type {undefined | Generator} */
+    this.generator = generator;
+    /** @type {undefined | GeneratorOptions} */
+    this.generatorOptions = generatorOptions;
+    /** @type {string} */
+    this.resource = resource;
+    this.resourceResolveData = resourceResolveData;
+    /** @type {string | undefined} */
+    this.matchResource = matchResource;
+    /** @type {LoaderItem[]} */
+    this.loaders = loaders;
+    if (resolveOptions !== undefined) {
+      // 父类中已经声明过
+      this.resolveOptions = resolveOptions;
+    }
+
+    // 构建过程中得到的信息
+    /** @type {WebpackError | null} */
+    this.error = null;
+    /**
+     * @private
+     * @type {Source | null}
+     */
+    this._source = null;
+    /**
+     * @private
+     * @type {Map<string | undefined, number> | undefined}
+     */
+    this._sourceSizes = undefined;
+    /**
+     * @private
+     * @type {undefined | SourceTypes}
+     */
+    this._sourceTypes = undefined;
+
+    // 缓存相关
+    this._lastSuccessfulBuildMeta = {};
+    this._forceBuild = true;
+    /** @type {Map<string, any>} */
+    this._codeGeneratorData = new Map();
+  }
+
+  /**
+   * 模块的唯一标识，由类型、完整请求（包含 loader）和 layer 组成
+   * javascript/auto 类型省略类型前缀
+   * @returns {string} a unique identifier of the module
+   */
+  identifier() {
+    if (this.layer === null) {
+      if (this.type === JAVASCRIPT_MODULE_TYPE_AUTO) {
+        return this.request;
+      }
+      return `${this.type}|${this.request}`;
+    }
+    return `${this.type}|${this.request}|${this.layer}`;
+  }
+
+  /**
+   * @param {RequestShortener} requestShortener the request shortener
+   * @returns {string} a user readable identifier of the module
+   */
+  readableIdentifier(requestShortener) {
+    return /** @type {string} */ (requestShortener.shorten(this.userRequest));
+  }
+
+  /**
+   * @param {LibIdentOptions} options options
+   * @returns {string | null} an identifier for library inclusion
+   */
+  libIdent(options) {
+    let ident = contextify(
+      options.context,
+      this.userRequest,
+      options.associatedObjectForCache
+    );
+    if (this.layer) ident = `(${this.layer})/${ident}`;
+    return ident;
+  }
+
+  /**
+   * @returns {string | null} absolute path which should be used for condition matching (usually the resource path)
+   */
+  nameForCondition() {
+    const resource = this.matchResource || this.resource;
+    const idx = resource.indexOf("?");
+    if (idx >= 0) return resource.slice(0, idx);
+    return resource;
+  }
+
+  /**
+   * 模块命中缓存时，用工厂新创建的模块更新缓存中的模块（主要是引用和属性）
+   * @param {Module} module fresh module
+   * @returns {void}
+   */
+  updateCacheModule(module) {
+    super.updateCacheModule(module);
+    const m = /** @type {NormalModule} */ (module);
+    this.binary = m.binary;
+    this.request = m.request;
+    this.userRequest = m.userRequest;
+    this.rawRequest = m.rawRequest;
+    this.parser = m.parser;
+    this.parserOptions = m.parserOptions;
+    this.generator = m.generator;
+    this.generatorOptions = m.generatorOptions;
+    this.resource = m.resource;
+    this.resourceResolveData = m.resourceResolveData;
+    this.context = m.context;
+    this.matchResource = m.matchResource;
+    this.loaders = m.loaders;
+  }
+
+  /**
+   * 模块被放入缓存时，移除内部引用以释放内存
+   */
+  cleanupForCache() {
+    // 清理前先计算并缓存类型和大小，stats 会访问它们，清理后 generator 已经不可用
+    // TODO reconsider this for webpack 6
+    if (this.buildInfo) {
+      if (this._sourceTypes === undefined) this.getSourceTypes();
+      for (const type of /** @type {SourceTypes} */ (this._sourceTypes)) {
+        this.size(type);
+      }
+    }
+    super.cleanupForCache();
+    this.parser = undefined;
+    this.parserOptions = undefined;
+    this.generator = undefined;
+    this.generatorOptions = undefined;
+  }
+
+  /**
+   * 为 loader 通过 emitFile 输出的资源创建 Source
+   * @param {string} context the compilation context
+   * @param {string} name the asset name
+   * @param {string | Buffer} content the content
+   * @param {(string | SourceMap)=} sourceMap an optional source map
+   * @param {object=} associatedObjectForCache object for caching
+   * @returns {Source} the created source
+   */
+  createSourceForAsset(
+    context,
+    name,
+    content,
+    sourceMap,
+    associatedObjectForCache
+  ) {
+    if (sourceMap) {
+      if (
+        typeof sourceMap === "string" &&
+        (this.useSourceMap || this.useSimpleSourceMap)
+      ) {
+        return new OriginalSource(
+          content,
+          contextifySourceUrl(context, sourceMap, associatedObjectForCache)
+        );
+      }
+
+      if (this.useSourceMap) {
+        return new SourceMapSource(
+          content,
+          name,
+          contextifySourceMap(
+            context,
+            /** @type {SourceMap} */ (sourceMap),
+            associatedObjectForCache
+          )
+        );
+      }
+    }
+
+    return new RawSource(content);
+  }
+
+  /**
+   * 创建 loader 中的 this（loaderContext）
+   * loader-runner 会在它的基础上补充 resource、loaders、loaderIndex、async、callback、addDependency 等属性
+   * @private
+   * @template T
+   * @param {ResolverWithOptions} resolver a resolver
+   * @param {WebpackOptions} options webpack options
+   * @param {Compilation} compilation the compilation
+   * @param {InputFileSystem} fs file system from reading
+   * @param {NormalModuleCompilationHooks} hooks the hooks
+   * @returns {NormalModuleLoaderContext<T>} loader context
+   */
+  _createLoaderContext(resolver, options, compilation, fs, hooks) {
+    const { requestShortener } = compilation.runtimeTemplate;
+    const getCurrentLoaderName = () => {
+      const currentLoader = this.getCurrentLoader(loaderContext);
+      if (!currentLoader) return "(not in loader scope)";
+      return requestShortener.shorten(currentLoader.loader);
+    };
+    /**
+     * @returns {ResolveContext} resolve context
+     */
+    const getResolveContext = () => ({
+      fileDependencies: {
+        add: (d) => /** @type {TODO} */ (loaderContext).addDependency(d),
+      },
+      contextDependencies: {
+        add: (d) => /** @type {TODO} */ (loaderContext).addContextDependency(d),
+      },
+      missingDependencies: {
+        add: (d) => /** @type {TODO} */ (loaderContext).addMissingDependency(d),
+      },
+    });
+    const getAbsolutify = memoize(() =>
+      absolutify.bindCache(compilation.compiler.root)
+    );
+    const getAbsolutifyInContext = memoize(() =>
+      absolutify.bindContextCache(
+        /** @type {string} */
+        (this.context),
+        compilation.compiler.root
+      )
+    );
+    const getContextify = memoize(() =>
+      contextify.bindCache(compilation.compiler.root)
+    );
+    const getContextifyInContext = memoize(() =>
+      contextify.bindContextCache(
+        /** @type {string} */
+        (this.context),
+        compilation.compiler.root
+      )
+    );
+    const utils = {
+      /**
+       * @param {string} context context
+       * @param {string} request request
+       * @returns {string} result
+       */
+      absolutify: (context, request) =>
+        context === this.context
+          ? getAbsolutifyInContext()(request)
+          : getAbsolutify()(context, request),
+      /**
+       * @param {string} context context
+       * @param {string} request request
+       * @returns {string} result
+       */
+      contextify: (context, request) =>
+        context === this.context
+          ? getContextifyInContext()(request)
+          : getContextify()(context, request),
+      /**
+       * @param {(string | typeof Hash)=} type type
+       * @returns {Hash} hash
+       */
+      createHash: (type) =>
+        createHash(
+          type ||
+            /** @type {Algorithm} */
+            (compilation.outputOptions.hashFunction)
+        ),
+    };
+    /** @type {NormalModuleLoaderContext<T>} */
+    const loaderContext = {
+      version: 2,
+      // 获取当前 loader 的 options，字符串形式的 options 按 JSON 或 querystring 解析
+      // 传入 schema 时使用 schema-utils 校验
+      getOptions: (schema) => {
+        const loader = this.getCurrentLoader(loaderContext);
+
+        let { options } = /** @type {LoaderItem} */ (loader);
+
+        if (typeof options === "string") {
+          if (options.startsWith("{") && options.endsWith("}")) {
+            try {
+              options = parseJson(options);
+            } catch (err) {
+              throw new Error(
+                `Cannot parse string options: ${/** @type {Error} */ (err).message}`
+              );
+            }
+          } else {
+            options = querystring.parse(options, "&", "=", {
+              maxKeys: 0,
+            });
+          }
+        }
+
+        if (options === null || options === undefined) {
+          options = {};
+        }
+
+        if (schema) {
+          let name = "Loader";
+          let baseDataPath = "options";
+          let match;
+          if (schema.title && (match = /^(.+) (.+)$/.exec(schema.title))) {
+            [, name, baseDataPath] = match;
+          }
+          getValidate()(schema, options, {
+            name,
+            baseDataPath,
+          });
+        }
+
+        return options;
+      },
+      emitWarning: (warning) => {
+        if (!(warning instanceof Error)) {
+          warning = new NonErrorEmittedError(warning);
+        }
+        this.addWarning(
+          new ModuleWarning(warning, {
+            from: getCurrentLoaderName(),
+          })
+        );
+      },
+      emitError: (error) => {
+        if (!(error instanceof Error)) {
+          error = new NonErrorEmittedError(error);
+        }
+        this.addError(
+          new ModuleError(error, {
+            from: getCurrentLoaderName(),
+          })
+        );
+      },
+      getLogger: (name) => {
+        const currentLoader = this.getCurrentLoader(loaderContext);
+        return compilation.getLogger(() =>
+          [currentLoader && currentLoader.loader, name, this.identifier()]
+            .filter(Boolean)
+            .join("|")
+        );
+      },
+      resolve(context, request, callback) {
+        resolver.resolve({}, context, request, getResolveContext(), callback);
+      },
+      getResolve(options) {
+        const child = options ? resolver.withOptions(options) : resolver;
+        return (context, request, callback) => {
+          if (callback) {
+            child.resolve({}, context, request, getResolveContext(), callback);
+          } else {
+            return new Promise((resolve, reject) => {
+              child.resolve(
+                {},
+                context,
+                request,
+                getResolveContext(),
+                (err, result) => {
+                  if (err) reject(err);
+                  else resolve(result);
+                }
+              );
+            });
+          }
+        };
+      },
+      // 输出额外的资源文件，记录在 buildInfo.assets 中，之后由 compilation 统一输出
+      emitFile: (name, content, sourceMap, assetInfo) => {
+        const buildInfo = /** @type {BuildInfo} */ (this.buildInfo);
+
+        if (!buildInfo.assets) {
+          buildInfo.assets = Object.create(null);
+          buildInfo.assetsInfo = new Map();
+        }
+
+        const assets =
+          /** @type {NonNullable<KnownBuildInfo["assets"]>} */
+          (buildInfo.assets);
+        const assetsInfo =
+          /** @type {NonNullable<KnownBuildInfo["assetsInfo"]>} */
+          (buildInfo.assetsInfo);
+
+        assets[name] = this.createSourceForAsset(
+          /** @type {string} */ (options.context),
+          name,
+          content,
+          sourceMap,
+          compilation.compiler.root
+        );
+        assetsInfo.set(name, assetInfo);
+      },
+      addBuildDependency: (dep) => {
+        const buildInfo = /** @type {BuildInfo} */ (this.buildInfo);
+
+        if (buildInfo.buildDependencies === undefined) {
+          buildInfo.buildDependencies = new LazySet();
+        }
+        buildInfo.buildDependencies.add(dep);
+      },
+      utils,
+      rootContext: /** @type {string} */ (options.context),
+      webpack: true,
+      sourceMap: Boolean(this.useSourceMap),
+      mode: options.mode || "production",
+      hashFunction: /** @type {TODO} */ (options.output.hashFunction),
+      hashDigest: /** @type {string} */ (options.output.hashDigest),
+      hashDigestLength: /** @type {number} */ (options.output.hashDigestLength),
+      hashSalt: /** @type {string} */ (options.output.hashSalt),
+      _module: this,
+      _compilation: compilation,
+      _compiler: compilation.compiler,
+      fs,
+    };
+
+    Object.assign(loaderContext, options.loader);
+
+    hooks.loader.call(/** @type {LoaderContext<any>} */ (loaderContext), this);
+
+    return loaderContext;
+  }
+
+  // TODO remove `loaderContext` in webpack@6
+  /**
+   * 获取 loaderIndex 对应的 loader，不在 loader 执行过程中时返回 null
+   * @param {TODO} loaderContext loader context
+   * @param {number} index index
+   * @returns {LoaderItem | null} loader
+   */
+  getCurrentLoader(loaderContext, index = loaderContext.loaderIndex) {
+    if (
+      this.loaders &&
+      this.loaders.length &&
+      index < this.loaders.length &&
+      index >= 0 &&
+      this.loaders[index]
+    ) {
+      return this.loaders[index];
+    }
+    return null;
+  }
+
+  /**
+   * 根据 devtool 配置为 loader 的结果创建 Source
+   * useSourceMap 时使用 loader 返回的 source map，useSimpleSourceMap 时只保留原始代码
+   * @param {string} context the compilation context
+   * @param {string | Buffer} content the content
+   * @param {(string | SourceMapSource | null)=} sourceMap an optional source map
+   * @param {object=} associatedObjectForCache object for caching
+   * @returns {Source} the created source
+   */
+  createSource(context, content, sourceMap, associatedObjectForCache) {
+    if (Buffer.isBuffer(content)) {
+      return new RawSource(content);
+    }
+
+    // 没有 identifier 时直接返回 RawSource
+    if (!this.identifier) {
+      return new RawSource(content);
+    }
+
+    const identifier = this.identifier();
+
+    if (this.useSourceMap && sourceMap) {
+      return new SourceMapSource(
+        content,
+        contextifySourceUrl(context, identifier, associatedObjectForCache),
+        contextifySourceMap(
+          context,
+          /** @type {TODO} */ (sourceMap),
+          associatedObjectForCache
+        )
+      );
+    }
+
+    if (this.useSourceMap || this.useSimpleSourceMap) {
+      return new OriginalSource(
+        content,
+        contextifySourceUrl(context, identifier, associatedObjectForCache)
+      );
+    }
+
+    return new RawSource(content);
+  }
+
+  /**
+   * 执行 loader 链，得到模块的源码
+   * @param {WebpackOptions} options webpack options
+   * @param {Compilation} compilation the compilation
+   * @param {ResolverWithOptions} resolver the resolver
+   * @param {InputFileSystem} fs the file system
+   * @param {NormalModuleCompilationHooks} hooks the hooks
+   * @param {function((WebpackError | null)=): void} callback callback function
+   * @returns {void}
+   */
+  _doBuild(options, compilation, resolver, fs, hooks, callback) {
+    const loaderContext = this._createLoaderContext(
+      resolver,
+      options,
+      compilation,
+      fs,
+      hooks
+    );
+
+    /** @typedef {[string | Buffer, string | SourceMapSource, Record<string, any>]}  Result */
+
+    /**
+     * @param {Error | null} err err
+     * @param {(Result | null)=} _result result
+     * @returns {void}
+     */
+    const processResult = (err, _result) => {
+      if (err) {
+        if (!(err instanceof Error)) {
+          err = new NonErrorEmittedError(err);
+        }
+        const currentLoader = this.getCurrentLoader(loaderContext);
+        const error = new ModuleBuildError(err, {
+          from:
+            currentLoader &&
+            compilation.runtimeTemplate.requestShortener.shorten(
+              currentLoader.loader
+            ),
+        });
+        return callback(error);
+      }
+
+      const result = /** @type {Result} */ (_result);
+      const source = result[0];
+      const sourceMap = result.length >= 1 ? result[1] : null;
+      const extraInfo = result.length >= 2 ? result[2] : null;
+
+      if (!Buffer.isBuffer(source) && typeof source !== "string") {
+        const currentLoader = this.getCurrentLoader(loaderContext, 0);
+        const err = new Error(
+          `Final loader (${
+            currentLoader
+              ? compilation.runtimeTemplate.requestShortener.shorten(
+                  currentLoader.loader
+                )
+              : "unknown"
+          }) didn't return a Buffer or String`
+        );
+        const error = new ModuleBuildError(err);
+        return callback(error);
+      }
+
+      const isBinaryModule =
+        this.generatorOptions && this.generatorOptions.binary !== undefined
+          ? this.generatorOptions.binary
+          : this.binary;
+
+      this._source = this.createSource(
+        /** @type {string} */ (options.context),
+        isBinaryModule ? asBuffer(source) : asString(source),
+        sourceMap,
+        compilation.compiler.root
+      );
+      if (this._sourceSizes !== undefined) this._sourceSizes.clear();
+      this._ast =
+        typeof extraInfo === "object" &&
+        extraInfo !== null &&
+        extraInfo.webpackAST !== undefined
+          ? extraInfo.webpackAST
+          : null;
+      return callback();
+    };
+
+    const buildInfo = /** @type {BuildInfo} */ (this.buildInfo);
+
+    buildInfo.fileDependencies = new LazySet();
+    buildInfo.contextDependencies = new LazySet();
+    buildInfo.missingDependencies = new LazySet();
+    buildInfo.cacheable = true;
+
+    try {
+      hooks.beforeLoaders.call(
+        this.loaders,
+        this,
+        /** @type {LoaderContext<any>} */ (loaderContext)
+      );
+    } catch (err) {
+      processResult(/** @type {Error} */ (err));
+      return;
+    }
+
+    if (this.loaders.length > 0) {
+      /** @type {BuildInfo} */
+      (this.buildInfo).buildDependencies = new LazySet();
+    }
+
+    runLoaders(
+      {
+        resource: this.resource,
+        loaders: this.loaders,
+        context: loaderContext,
+        /**
+         * @param {LoaderContext<TODO>} loaderContext the loader context
+         * @param {string} resourcePath the resource Path
+         * @param {(err: Error | null, result?: string | Buffer) => void} callback callback
+         */
+        // 所有 loader 的 pitch 都执行完后读取资源，按 scheme 交给 readResource 钩子处理
+        processResource: (loaderContext, resourcePath, callback) => {
+          const resource = loaderContext.resource;
+          const scheme = getScheme(resource);
+          hooks.readResource
+            .for(scheme)
+            .callAsync(loaderContext, (err, result) => {
+              if (err) return callback(err);
+              if (typeof result !== "string" && !result) {
+                return callback(
+                  new UnhandledSchemeError(
+                    /** @type {string} */
+                    (scheme),
+                    resource
+                  )
+                );
+              }
+              return callback(null, result);
+            });
+        },
+      },
+      (err, result) => {
+        // 清理 loaderContext 上的引用，避免增量编译时内存泄漏
+        loaderContext._compilation =
+          loaderContext._compiler =
+          loaderContext._module =
+          // eslint-disable-next-line no-warning-comments
+          // @ts-ignore
+          loaderContext.fs =
+            undefined;
+
+        if (!result) {
+          /** @type {BuildInfo} */
+          (this.buildInfo).cacheable = false;
+          return processResult(
+            err || new Error("No result from loader-runner processing"),
+            null
+          );
+        }
+
+        const buildInfo = /** @type {BuildInfo} */ (this.buildInfo);
+
+        const fileDependencies =
+          /** @type {NonNullable<KnownBuildInfo["fileDependencies"]>} */
+          (buildInfo.fileDependencies);
+        const contextDependencies =
+          /** @type {NonNullable<KnownBuildInfo["contextDependencies"]>} */
+          (buildInfo.contextDependencies);
+        const missingDependencies =
+          /** @type {NonNullable<KnownBuildInfo["missingDependencies"]>} */
+          (buildInfo.missingDependencies);
+
+        // loader 通过 addDependency 等方法添加的依赖，包括资源文件本身
+        fileDependencies.addAll(result.fileDependencies);
+        contextDependencies.addAll(result.contextDependencies);
+        missingDependencies.addAll(result.missingDependencies);
+        for (const loader of this.loaders) {
+          const buildDependencies =
+            /** @type {NonNullable<KnownBuildInfo["buildDependencies"]>} */
+            (buildInfo.buildDependencies);
+
+          buildDependencies.add(loader.loader);
+        }
+        buildInfo.cacheable = buildInfo.cacheable && result.cacheable;
+        processResult(err, result.result);
+      }
+    );
+  }
+
+  /**
+   * 把模块标记为构建失败
+   * @param {WebpackError} error the error
+   * @returns {void}
+   */
+  markModuleAsErrored(error) {
+    // 恢复上一次成功构建的 buildMeta，保持导入方的状态不变
+    this.buildMeta = { ...this._lastSuccessfulBuildMeta };
+    this.error = error;
+    this.addError(error);
+  }
+
+  /**
+   * 判断请求是否匹配一条 module.noParse 规则
+   * @param {TODO} rule rule
+   * @param {string} content content
+   * @returns {boolean} result
+   */
+  applyNoParseRule(rule, content) {
+    // 字符串规则：请求以它开头
+    if (typeof rule === "string") {
+      return content.startsWith(rule);
+    }
+
+    if (typeof rule === "function") {
+      return rule(content);
+    }
+    // 否则认为是正则
+    return rule.test(content);
+  }
+
+  /**
+   * 判断模块是否命中 module.noParse，命中的模块不经过 parser 解析
+   * @param {TODO} noParseRule no parse rule
+   * @param {string} request request
+   * @returns {boolean} check if module should not be parsed, returns "true" if the module should !not! be parsed, returns "false" if the module !must! be parsed
+   */
+  shouldPreventParsing(noParseRule, request) {
+    // 没有配置 noParse，必须解析
+    if (!noParseRule) {
+      return false;
+    }
+
+    // 只有一条规则
+    if (!Array.isArray(noParseRule)) {
+      return this.applyNoParseRule(noParseRule, request);
+    }
+
+    for (let i = 0; i < noParseRule.length; i++) {
+      const rule = noParseRule[i];
+      // 命中任意一条规则就不解析
+      if (this.applyNoParseRule(rule, request)) {
+        return true;
+      }
+    }
+    // 没有命中，需要解析
+    return false;
+  }
+
+  /**
+   * 根据源码和 buildMeta 计算 buildInfo.hash
+   * @param {Compilation} compilation compilation
+   * @private
+   */
+  _initBuildHash(compilation) {
+    const hash = createHash(
+      /** @type {Algorithm} */
+      (compilation.outputOptions.hashFunction)
+    );
+    if (this._source) {
+      hash.update("source");
+      this._source.updateHash(hash);
+    }
+    hash.update("meta");
+    hash.update(JSON.stringify(this.buildMeta));
+    /** @type {BuildInfo} */
+    (this.buildInfo).hash = /** @type {string} */ (hash.digest("hex"));
+  }
+
+  /**
+   * 构建模块：执行 loader、解析源码、创建文件系统快照
+   * 构建中的错误不会通过 callback 传出，而是记录在模块上（markModuleAsErrored）
+   * @param {WebpackOptions} options webpack options
+   * @param {Compilation} compilation the compilation
+   * @param {ResolverWithOptions} resolver the resolver
+   * @param {InputFileSystem} fs the file system
+   * @param {function(WebpackError=): void} callback callback function
+   * @returns {void}
+   */
+  build(options, compilation, resolver, fs, callback) {
+    this._forceBuild = false;
+    this._source = null;
+    if (this._sourceSizes !== undefined) this._sourceSizes.clear();
+    this._sourceTypes = undefined;
+    this._ast = null;
+    this.error = null;
+    this.clearWarningsAndErrors();
+    this.clearDependenciesAndBlocks();
+    this.buildMeta = {};
+    this.buildInfo = {
+      cacheable: false,
+      parsed: true,
+      fileDependencies: undefined,
+      contextDependencies: undefined,
+      missingDependencies: undefined,
+      buildDependencies: undefined,
+      valueDependencies: undefined,
+      hash: undefined,
+      assets: undefined,
+      assetsInfo: undefined,
+    };
+
+    const startTime = compilation.compiler.fsStartTime || Date.now();
+
+    const hooks = NormalModule.getCompilationHooks(compilation);
+
+    return this._doBuild(options, compilation, resolver, fs, hooks, (err) => {
+      // loader 执行失败，标记模块构建失败并结束
+      if (err) {
+        this.markModuleAsErrored(err);
+        this._initBuildHash(compilation);
+        return callback();
+      }
+
+      /**
+       * @param {Error} e error
+       * @returns {void}
+       */
+      const handleParseError = (e) => {
+        const source = /** @type {Source} */ (this._source).source();
+        const loaders = this.loaders.map((item) =>
+          contextify(
+            /** @type {string} */ (options.context),
+            item.loader,
+            compilation.compiler.root
+          )
+        );
+        const error = new ModuleParseError(source, e, loaders, this.type);
+        this.markModuleAsErrored(error);
+        this._initBuildHash(compilation);
+        return callback();
+      };
+
+      const handleParseResult = () => {
+        this.dependencies.sort(
+          concatComparators(
+            compareSelect((a) => a.loc, compareLocations),
+            keepOriginalOrder(this.dependencies)
+          )
+        );
+        this._initBuildHash(compilation);
+        this._lastSuccessfulBuildMeta =
+          /** @type {BuildMeta} */
+          (this.buildMeta);
+        return handleBuildDone();
+      };
+
+      const handleBuildDone = () => {
+        try {
+          hooks.beforeSnapshot.call(this);
+        } catch (err) {
+          this.markModuleAsErrored(/** @type {WebpackError} */ (err));
+          return callback();
+        }
+
+        const snapshotOptions = compilation.options.snapshot.module;
+        const { cacheable } = /** @type {BuildInfo} */ (this.buildInfo);
+        if (!cacheable || !snapshotOptions) {
+          return callback();
+        }
+        // fileDependencies 等集合中出现非绝对路径时给出警告，方便排查 watch 和缓存的问题
+        // 同时尝试基于模块的 context 把它们转换成绝对路径
+        /** @type {undefined | Set<string>} */
+        let nonAbsoluteDependencies;
+        /**
+         * @param {LazySet<string>} deps deps
+         */
+        const checkDependencies = (deps) => {
+          for (const dep of deps) {
+            if (!ABSOLUTE_PATH_REGEX.test(dep)) {
+              if (nonAbsoluteDependencies === undefined)
+                nonAbsoluteDependencies = new Set();
+              nonAbsoluteDependencies.add(dep);
+              deps.delete(dep);
+              try {
+                const depWithoutGlob = dep.replace(/[\\/]?\*.*$/, "");
+                const absolute = join(
+                  compilation.fileSystemInfo.fs,
+                  /** @type {string} */
+                  (this.context),
+                  depWithoutGlob
+                );
+                if (absolute !== dep && ABSOLUTE_PATH_REGEX.test(absolute)) {
+                  (depWithoutGlob !== dep
+                    ? /** @type {NonNullable<KnownBuildInfo["contextDependencies"]>} */
+                      (
+                        /** @type {BuildInfo} */ (this.buildInfo)
+                          .contextDependencies
+                      )
+                    : deps
+                  ).add(absolute);
+                }
+              } catch (_err) {
+                // 忽略
+              }
+            }
+          }
+        };
+        const buildInfo = /** @type {BuildInfo} */ (this.buildInfo);
+        const fileDependencies =
+          /** @type {NonNullable<KnownBuildInfo["fileDependencies"]>} */
+          (buildInfo.fileDependencies);
+        const contextDependencies =
+          /** @type {NonNullable<KnownBuildInfo["contextDependencies"]>} */
+          (buildInfo.contextDependencies);
+        const missingDependencies =
+          /** @type {NonNullable<KnownBuildInfo["missingDependencies"]>} */
+          (buildInfo.missingDependencies);
+        checkDependencies(fileDependencies);
+        checkDependencies(missingDependencies);
+        checkDependencies(contextDependencies);
+        if (nonAbsoluteDependencies !== undefined) {
+          const InvalidDependenciesModuleWarning =
+            getInvalidDependenciesModuleWarning();
+          this.addWarning(
+            new InvalidDependenciesModuleWarning(this, nonAbsoluteDependencies)
+          );
+        }
+        // 把 file/context/missingDependencies 转换成文件系统快照
+        compilation.fileSystemInfo.createSnapshot(
+          startTime,
+          fileDependencies,
+          contextDependencies,
+          missingDependencies,
+          snapshotOptions,
+          (err, snapshot) => {
+            if (err) {
+              this.markModuleAsErrored(err);
+              return;
+            }
+            buildInfo.fileDependencies = undefined;
+            buildInfo.contextDependencies = undefined;
+            buildInfo.missingDependencies = undefined;
+            buildInfo.snapshot = snapshot;
+            return callback();
+          }
+        );
+      };
+
+      try {
+        hooks.beforeParse.call(this);
+      } catch (err) {
+        this.markModuleAsErrored(/** @type {WebpackError} */ (err));
+        this._initBuildHash(compilation);
+        return callback();
+      }
+
+      // 命中 noParse 的模块跳过解析
+      const noParseRule = options.module && options.module.noParse;
+      if (this.shouldPreventParsing(noParseRule, this.request)) {
+        // 没有解析的模块认为需要 module 和 exports
+        /** @type {BuildInfo} */
+        (this.buildInfo).parsed = false;
+        this._initBuildHash(compilation);
+        return handleBuildDone();
+      }
+
+      try {
+        const source = /** @type {Source} */ (this._source).source();
+        /** @type {Parser} */
+        (this.parser).parse(this._ast || source, {
+          source,
+          current: this,
+          module: this,
+          compilation,
+          options,
+        });
+      } catch (parseErr) {
+        handleParseError(/** @type {Error} */ (parseErr));
+        return;
+      }
+      handleParseResult();
+    });
+  }
+
+  /**
+   * @param {ConcatenationBailoutReasonContext} context context
+   * @returns {string | undefined} reason why this module can't be concatenated, undefined when it can be concatenated
+   */
+  getConcatenationBailoutReason(context) {
+    return /** @type {Generator} */ (
+      this.generator
+    ).getConcatenationBailoutReason(this, context);
+  }
+
+  /**
+   * @returns {SourceTypes} types available (do not mutate)
+   */
+  getSourceTypes() {
+    if (this._sourceTypes === undefined) {
+      this._sourceTypes = /** @type {Generator} */ (this.generator).getTypes(
+        this
+      );
+    }
+    return this._sourceTypes;
+  }
+
+  /**
+   * 为每种源码类型调用 generator 生成代码，构建失败的模块生成直接抛出错误的代码
+   * @param {CodeGenerationContext} context context for code generation
+   * @returns {CodeGenerationResult} result
+   */
+  codeGeneration({
+    dependencyTemplates,
+    runtimeTemplate,
+    moduleGraph,
+    chunkGraph,
+    runtime,
+    concatenationScope,
+    codeGenerationResults,
+    sourceTypes,
+  }) {
+    /** @type {Set<string>} */
+    const runtimeRequirements = new Set();
+
+    const { parsed } = /** @type {BuildInfo} */ (this.buildInfo);
+
+    if (!parsed) {
+      runtimeRequirements.add(RuntimeGlobals.module);
+      runtimeRequirements.add(RuntimeGlobals.exports);
+      runtimeRequirements.add(RuntimeGlobals.thisAsExports);
+    }
+
+    /** @type {function(): Map<string, any>} */
+    const getData = () => this._codeGeneratorData;
+
+    const sources = new Map();
+    for (const type of sourceTypes || chunkGraph.getModuleSourceTypes(this)) {
+      const source = this.error
+        ? new RawSource(
+            `throw new Error(${JSON.stringify(this.error.message)});`
+          )
+        : /** @type {Generator} */ (this.generator).generate(this, {
+            dependencyTemplates,
+            runtimeTemplate,
+            moduleGraph,
+            chunkGraph,
+            runtimeRequirements,
+            runtime,
+            concatenationScope,
+            codeGenerationResults,
+            getData,
+            type,
+          });
+
+      if (source) {
+        sources.set(type, new CachedSource(source));
+      }
+    }
+
+    /** @type {CodeGenerationResult} */
+    const resultEntry = {
+      sources,
+      runtimeRequirements,
+      data: this._codeGeneratorData,
+    };
+    return resultEntry;
+  }
+
+  /**
+   * @returns {Source | null} the original source for the module before webpack transformation
+   */
+  originalSource() {
+    return this._source;
+  }
+
+  /**
+   * @returns {void}
+   */
+  invalidateBuild() {
+    this._forceBuild = true;
+  }
+
+  /**
+   * 判断模块是否需要重新构建
+   * @param {NeedBuildContext} context context info
+   * @param {function((WebpackError | null)=, boolean=): void} callback callback function, returns true, if the module needs a rebuild
+   * @returns {void}
+   */
+  needBuild(context, callback) {
+    const { fileSystemInfo, compilation, valueCacheVersions } = context;
+    // 强制构建
+    if (this._forceBuild) return callback(null, true);
+
+    // 上次构建失败时总是重新构建
+    if (this.error) return callback(null, true);
+
+    const { cacheable, snapshot, valueDependencies } =
+      /** @type {BuildInfo} */ (this.buildInfo);
+
+    // 模块不可缓存
+    if (!cacheable) return callback(null, true);
+
+    // 没有可以检查的快照
+    if (!snapshot) return callback(null, true);
+
+    // valueDependencies 发生了变化
+    if (valueDependencies) {
+      if (!valueCacheVersions) return callback(null, true);
+      for (const [key, value] of valueDependencies) {
+        if (value === undefined) return callback(null, true);
+        const current = valueCacheVersions.get(key);
+        if (
+          value !== current &&
+          (typeof value === "string" ||
+            typeof current === "string" ||
+            current === undefined ||
+            !isSubset(value, current))
+        ) {
+          return callback(null, true);
+        }
+      }
+    }
+
+    // 检查快照是否仍然有效
+    fileSystemInfo.checkSnapshotValid(snapshot, (err, valid) => {
+      if (err) return callback(err);
+      if (!valid) return callback(null, true);
+      const hooks = NormalModule.getCompilationHooks(compilation);
+      hooks.needBuild.callAsync(this, context, (err, needBuild) => {
+        if (err) {
+          return callback(
+            HookWebpackError.makeWebpackError(
+              err,
+              "NormalModule.getCompilationHooks().needBuild"
+            )
+          );
+        }
+        callback(null, Boolean(needBuild));
+      });
+    });
+  }
+
+  /**
+   * @param {string=} type the source type for which the size should be estimated
+   * @returns {number} the estimated size of the module (must be non-zero)
+   */
+  size(type) {
+    const cachedSize =
+      this._sourceSizes === undefined ? undefined : this._sourceSizes.get(type);
+    if (cachedSize !== undefined) {
+      return cachedSize;
+    }
+    const size = Math.max(
+      1,
+      /** @type {Generator} */ (this.generator).getSize(this, type)
+    );
+    if (this._sourceSizes === undefined) {
+      this._sourceSizes = new Map();
+    }
+    this._sourceSizes.set(type, size);
+    return size;
+  }
+
+  /**
+   * 把模块的文件依赖添加到持久化缓存的依赖集合中，已经创建快照时从快照中读取
+   * @param {LazySet<string>} fileDependencies set where file dependencies are added to
+   * @param {LazySet<string>} contextDependencies set where context dependencies are added to
+   * @param {LazySet<string>} missingDependencies set where missing dependencies are added to
+   * @param {LazySet<string>} buildDependencies set where build dependencies are added to
+   */
+  addCacheDependencies(
+    fileDependencies,
+    contextDependencies,
+    missingDependencies,
+    buildDependencies
+  ) {
+    const { snapshot, buildDependencies: buildDeps } =
+      /** @type {BuildInfo} */ (this.buildInfo);
+    if (snapshot) {
+      fileDependencies.addAll(snapshot.getFileIterable());
+      contextDependencies.addAll(snapshot.getContextIterable());
+      missingDependencies.addAll(snapshot.getMissingIterable());
+    } else {
+      const {
+        fileDependencies: fileDeps,
+        contextDependencies: contextDeps,
+        missingDependencies: missingDeps,
+      } = /** @type {BuildInfo} */ (this.buildInfo);
+      if (fileDeps !== undefined) fileDependencies.addAll(fileDeps);
+      if (contextDeps !== undefined) contextDependencies.addAll(contextDeps);
+      if (missingDeps !== undefined) missingDependencies.addAll(missingDeps);
+    }
+    if (buildDeps !== undefined) {
+      buildDependencies.addAll(buildDeps);
+    }
+  }
+
+  /**
+   * @param {Hash} hash the hash used to track dependencies
+   * @param {UpdateHashContext} context context
+   * @returns {void}
+   */
+  updateHash(hash, context) {
+    hash.update(/** @type {BuildInfo} */ (this.buildInfo).hash);
+    /** @type {Generator} */
+    (this.generator).updateHash(hash, {
+      module: this,
+      ...context,
+    });
+    super.updateHash(hash, context);
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this._source);
+    write(this.error);
+    write(this._lastSuccessfulBuildMeta);
+    write(this._forceBuild);
+    write(this._codeGeneratorData);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   * @returns {TODO} Module
+   */
+  static deserialize(context) {
+    const obj = new NormalModule({
+      // 由 Module 反序列化
+      layer: /** @type {EXPECTED_ANY} */ (null),
+      type: "",
+      // 由 updateCacheModule 填充
+      resource: "",
+      context: "",
+      request: /** @type {EXPECTED_ANY} */ (null),
+      userRequest: /** @type {EXPECTED_ANY} */ (null),
+      rawRequest: /** @type {EXPECTED_ANY} */ (null),
+      loaders: /** @type {EXPECTED_ANY} */ (null),
+      matchResource: /** @type {EXPECTED_ANY} */ (null),
+      parser: /** @type {EXPECTED_ANY} */ (null),
+      parserOptions: /** @type {EXPECTED_ANY} */ (null),
+      generator: /** @type {EXPECTED_ANY} */ (null),
+      generatorOptions: /** @type {EXPECTED_ANY} */ (null),
+      resolveOptions: /** @type {EXPECTED_ANY} */ (null),
+    });
+    obj.deserialize(context);
+    return obj;
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this._source = read();
+    this.error = read();
+    this._lastSuccessfulBuildMeta = read();
+    this._forceBuild = read();
+    this._codeGeneratorData = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(NormalModule, "webpack/lib/NormalModule");
+
+module.exports = NormalModule;
@@ -1,3 +1,12 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { getContext } = require("loader-runner");
+const asyncLib = require("neo-async");
 const {
   AsyncSeriesBailHook,
   SyncWaterfallHook,
@@ -5,18 +14,191 @@ const {
   SyncHook,
   HookMap,
 } = require("tapable");
+const ChunkGraph = require("./ChunkGraph");
+const Module = require("./Module");
 const ModuleFactory = require("./ModuleFactory");
-const RuleSetCompiler = require("./rules/RuleSetCompiler");
+const ModuleGraph = require("./ModuleGraph");
+const { JAVASCRIPT_MODULE_TYPE_AUTO } = require("./ModuleTypeConstants");
+const NormalModule = require("./NormalModule");
 const BasicEffectRulePlugin = require("./rules/BasicEffectRulePlugin");
 const BasicMatcherRulePlugin = require("./rules/BasicMatcherRulePlugin");
 const ObjectMatcherRulePlugin = require("./rules/ObjectMatcherRulePlugin");
+const RuleSetCompiler = require("./rules/RuleSetCompiler");
 const UseEffectRulePlugin = require("./rules/UseEffectRulePlugin");
-
+const LazySet = require("./util/LazySet");
+const { getScheme } = require("./util/URLAbsoluteSpecifier");
+const { cachedCleverMerge, cachedSetProperty } = require("./util/cleverMerge");
+const { join } = require("./util/fs");
 const {
   parseResource,
   parseResourceWithoutFragment,
 } = require("./util/identifier");
 
+/** @typedef {Pick<RuleSetRule, 'type' | 'sideEffects' | 'parser' | 'generator' | 'resolve' | 'layer'>} ModuleSettings */
+/** @typedef {Partial<NormalModuleCreateData & { settings: ModuleSettings }>} CreateData */
+
+/**
+ * factorize 过程中在各个钩子之间传递的数据
+ * @typedef {object} ResolveData
+ * @property {ModuleFactoryCreateData["contextInfo"]} contextInfo
+ * @property {ModuleFactoryCreateData["resolveOptions"]} resolveOptions
+ * @property {string} context
+ * @property {string} request
+ * @property {Record<string, any> | undefined} assertions
+ * @property {ModuleDependency[]} dependencies
+ * @property {string} dependencyType
+ * @property {CreateData} createData
+ * @property {LazySet<string>} fileDependencies
+ * @property {LazySet<string>} missingDependencies
+ * @property {LazySet<string>} contextDependencies
+ * @property {Module=} ignoredModule
+ * @property {boolean} cacheable allow to use the unsafe cache
+ */
+
+/**
+ * @typedef {object} ResourceData
+ * @property {string} resource
+ * @property {string=} path
+ * @property {string=} query
+ * @property {string=} fragment
+ * @property {string=} context
+ */
+
+/** @typedef {ResourceData & { data: Record<string, any> }} ResourceDataWithData */
+
+/**
+ * 请求中内联的 loader，例如 style-loader!css-loader?modules!./a.css
+ * @typedef {object} ParsedLoaderRequest
+ * @property {string} loader loader
+ * @property {string|undefined} options options
+ */
+
+/**
+ * @template T
+ * @callback Callback
+ * @param {(Error | null)=} err
+ * @param {T=} stats
+ * @returns {void}
+ */
+
+const EMPTY_RESOLVE_OPTIONS = {};
+/** @type {ParserOptions} */
+const EMPTY_PARSER_OPTIONS = {};
+/** @type {GeneratorOptions} */
+const EMPTY_GENERATOR_OPTIONS = {};
+/** @type {ParsedLoaderRequest[]} */
+const EMPTY_ELEMENTS = [];
+
+/** 匹配 matchResource 语法：./a.js.css!=!./a.js */
+const MATCH_RESOURCE_REGEX = /^([^!]+)!=!/;
+const LEADING_DOT_EXTENSION_REGEX = /^[^.]/;
+
+/**
+ * 把 loader 转换为请求中的字符串形式，对象形式的选项优先使用 ident 引用
+ * @param {LoaderItem} data data
+ * @returns {string} ident
+ */
+const loaderToIdent = (data) => {
+  if (!data.options) {
+    return data.loader;
+  }
+  if (typeof data.options === "string") {
+    return `${data.loader}?${data.options}`;
+  }
+  if (typeof data.options !== "object") {
+    throw new Error("loader options must be string or object");
+  }
+  if (data.ident) {
+    return `${data.loader}??${data.ident}`;
+  }
+  return `${data.loader}?${JSON.stringify(data.options)}`;
+};
+
+/**
+ * 拼接完整的请求：loader1!loader2!resource
+ * @param {LoaderItem[]} loaders loaders
+ * @param {string} resource resource
+ * @returns {string} stringified loaders and resource
+ */
+const stringifyLoadersAndResource = (loaders, resource) => {
+  let str = "";
+  for (const loader of loaders) {
+    str += `${loaderToIdent(loader)}!`;
+  }
+  return str + resource;
+};
+
+/**
+ * 回调被调用 times 次后才真正执行 callback，出错时立即执行且之后不再执行
+ * @param {number} times times
+ * @param {(err?: null | Error) => void} callback callback
+ * @returns {(err?: null | Error) => void} callback
+ */
+const needCalls = (times, callback) => (err) => {
+  if (--times === 0) {
+    return callback(err);
+  }
+  if (err && times > 0) {
+    times = Number.NaN;
+    return callback(err);
+  }
+};
+
+/**
+ * 按模块类型的层级合并全局选项，例如 javascript/auto 会依次合并
+ * module.parser.javascript 和 module.parser["javascript/auto"]，最后合并规则中的选项
+ * @template T
+ * @template O
+ * @param {T} globalOptions global options
+ * @param {string} type type
+ * @param {O} localOptions local options
+ * @returns {T & O | T | O} result
+ */
+const mergeGlobalOptions = (globalOptions, type, localOptions) => {
+  const parts = type.split("/");
+  let result;
+  let current = "";
+  for (const part of parts) {
+    current = current ? `${current}/${part}` : part;
+    const options =
+      /** @type {T} */
+      (globalOptions[/** @type {keyof T} */ (current)]);
+    if (typeof options === "object") {
+      result =
+        result === undefined ? options : cachedCleverMerge(result, options);
+    }
+  }
+  if (result === undefined) {
+    return localOptions;
+  }
+  return cachedCleverMerge(result, localOptions);
+};
+
+// TODO webpack 6 remove
+/**
+ * 钩子从瀑布钩子改为熔断钩子后，插件仍然返回对象时的报错信息
+ * @param {string} name name
+ * @param {TODO} hook hook
+ * @returns {string} result
+ */
+const deprecationChangedHookMessage = (name, hook) => {
+  const names = hook.taps
+    .map(
+      /**
+       * @param {TODO} tapped tapped
+       * @returns {string} name
+       */
+      (tapped) => tapped.name
+    )
+    .join(", ");
+
+  return (
+    `NormalModuleFactory.${name} (${names}) is no longer a waterfall hook, but a bailing hook instead. ` +
+    "Do not return the passed object, but modify it instead. " +
+    "Returning false will ignore the request and results in no module created."
+  );
+};
+
 const ruleSetCompiler = new RuleSetCompiler([
   new BasicMatcherRulePlugin("test", "resource"),
   new BasicMatcherRulePlugin("scheme"),
@@ -50,6 +232,15 @@ const ruleSetCompiler = new RuleSetCompiler([
   new BasicEffectRulePlugin("layer"),
   new UseEffectRulePlugin(),
 ]);
+/**
+ * 普通模块工厂
+ *
+ * 为 import / require 等依赖创建 NormalModule：
+ * 1. beforeResolve：插件可以返回 false 忽略请求
+ * 2. factorize → resolve：拆分请求中的内联 loader，解析资源路径，匹配 module.rules 得到 loader、type、parser 等配置
+ * 3. afterResolve / createModule：插件可以修改 createData 或直接返回模块
+ * 4. 默认使用 createData 创建 NormalModule
+ */
 class NormalModuleFactory extends ModuleFactory {
   /**
    * @param {object} param params
@@ -665,6 +856,504 @@ class NormalModuleFactory extends ModuleFactory {
       }
     );
   }
+
+  /**
+   * 清理 unsafeCache 中恢复的模块，释放它们与上次编译的模块图、chunk 图的关联
+   */
+  cleanupForCache() {
+    for (const module of this._restoredUnsafeCacheEntries) {
+      ChunkGraph.clearChunkGraphForModule(module);
+      ModuleGraph.clearModuleGraphForModule(module);
+      module.cleanupForCache();
+    }
+  }
+
+  /**
+   * 为依赖创建模块
+   * 先调用 beforeResolve，再通过 factorize 解析请求并创建模块，
+   * 解析过程中收集的文件、目录、缺失路径依赖会一并返回，用于 watch
+   * @param {ModuleFactoryCreateData} data data object
+   * @param {function((Error | null)=, ModuleFactoryResult=): void} callback callback
+   * @returns {void}
+   */
+  create(data, callback) {
+    const dependencies = /** @type {ModuleDependency[]} */ (data.dependencies);
+    const context = data.context || this.context;
+    const resolveOptions = data.resolveOptions || EMPTY_RESOLVE_OPTIONS;
+    const dependency = dependencies[0];
+    const request = dependency.request;
+    const assertions = dependency.assertions;
+    const contextInfo = data.contextInfo;
+    const fileDependencies = new LazySet();
+    const missingDependencies = new LazySet();
+    const contextDependencies = new LazySet();
+    const dependencyType =
+      (dependencies.length > 0 && dependencies[0].category) || "";
+    /** @type {ResolveData} */
+    const resolveData = {
+      contextInfo,
+      resolveOptions,
+      context,
+      request,
+      assertions,
+      dependencies,
+      dependencyType,
+      fileDependencies,
+      missingDependencies,
+      contextDependencies,
+      createData: {},
+      cacheable: true,
+    };
+    this.hooks.beforeResolve.callAsync(resolveData, (err, result) => {
+      if (err) {
+        return callback(err, {
+          fileDependencies,
+          missingDependencies,
+          contextDependencies,
+          cacheable: false,
+        });
+      }
+
+      // 插件返回 false，忽略该请求
+      if (result === false) {
+        /** @type {ModuleFactoryResult} * */
+        const factoryResult = {
+          fileDependencies,
+          missingDependencies,
+          contextDependencies,
+          cacheable: resolveData.cacheable,
+        };
+
+        if (resolveData.ignoredModule) {
+          factoryResult.module = resolveData.ignoredModule;
+        }
+
+        return callback(null, factoryResult);
+      }
+
+      if (typeof result === "object")
+        throw new Error(
+          deprecationChangedHookMessage(
+            "beforeResolve",
+            this.hooks.beforeResolve
+          )
+        );
+
+      this.hooks.factorize.callAsync(resolveData, (err, module) => {
+        if (err) {
+          return callback(err, {
+            fileDependencies,
+            missingDependencies,
+            contextDependencies,
+            cacheable: false,
+          });
+        }
+
+        /** @type {ModuleFactoryResult} * */
+        const factoryResult = {
+          module,
+          fileDependencies,
+          missingDependencies,
+          contextDependencies,
+          cacheable: resolveData.cacheable,
+        };
+
+        callback(null, factoryResult);
+      });
+    });
+  }
+
+  /**
+   * 解析资源路径，失败时在错误信息中追加可能的原因提示
+   * @param {ModuleFactoryCreateDataContextInfo} contextInfo context info
+   * @param {string} context context
+   * @param {string} unresolvedResource unresolved resource
+   * @param {ResolverWithOptions} resolver resolver
+   * @param {ResolveContext} resolveContext resolver context
+   * @param {(err: null | Error, res?: string | false, req?: ResolveRequest) => void} callback callback
+   */
+  resolveResource(
+    contextInfo,
+    context,
+    unresolvedResource,
+    resolver,
+    resolveContext,
+    callback
+  ) {
+    resolver.resolve(
+      contextInfo,
+      context,
+      unresolvedResource,
+      resolveContext,
+      (err, resolvedResource, resolvedResourceResolveData) => {
+        if (err) {
+          return this._resolveResourceErrorHints(
+            err,
+            contextInfo,
+            context,
+            unresolvedResource,
+            resolver,
+            resolveContext,
+            (err2, hints) => {
+              if (err2) {
+                err.message += `
+A fatal error happened during resolving additional hints for this error: ${err2.message}`;
+                err.stack += `
+
+A fatal error happened during resolving additional hints for this error:
+${err2.stack}`;
+                return callback(err);
+              }
+              if (hints && hints.length > 0) {
+                err.message += `
+${hints.join("\n\n")}`;
+              }
+
+              // 检查 resolve.extensions 中的扩展名是否漏写了开头的点（例如写成 "js" 而不是 ".js"）
+              let appendResolveExtensionsHint = false;
+              const specifiedExtensions = Array.from(
+                resolver.options.extensions
+              );
+              const expectedExtensions = specifiedExtensions.map(
+                (extension) => {
+                  if (LEADING_DOT_EXTENSION_REGEX.test(extension)) {
+                    appendResolveExtensionsHint = true;
+                    return `.${extension}`;
+                  }
+                  return extension;
+                }
+              );
+              if (appendResolveExtensionsHint) {
+                err.message += `\nDid you miss the leading dot in 'resolve.extensions'? Did you mean '${JSON.stringify(
+                  expectedExtensions
+                )}' instead of '${JSON.stringify(specifiedExtensions)}'?`;
+              }
+
+              callback(err);
+            }
+          );
+        }
+        callback(err, resolvedResource, resolvedResourceResolveData);
+      }
+    );
+  }
+
+  /**
+   * 解析失败时尝试换一种方式重新解析，生成提示信息：
+   * - fullySpecified 导致缺少扩展名
+   * - enforceExtension 导致不能写扩展名
+   * - 相对路径漏写了 ./
+   * @param {Error} error error
+   * @param {ModuleFactoryCreateDataContextInfo} contextInfo context info
+   * @param {string} context context
+   * @param {string} unresolvedResource unresolved resource
+   * @param {ResolverWithOptions} resolver resolver
+   * @param {ResolveContext} resolveContext resolver context
+   * @param {Callback<string[]>} callback callback
+   * @private
+   */
+  _resolveResourceErrorHints(
+    error,
+    contextInfo,
+    context,
+    unresolvedResource,
+    resolver,
+    resolveContext,
+    callback
+  ) {
+    asyncLib.parallel(
+      [
+        (callback) => {
+          if (!resolver.options.fullySpecified) return callback();
+          resolver
+            .withOptions({
+              fullySpecified: false,
+            })
+            .resolve(
+              contextInfo,
+              context,
+              unresolvedResource,
+              resolveContext,
+              (err, resolvedResource) => {
+                if (!err && resolvedResource) {
+                  const resource = parseResource(resolvedResource).path.replace(
+                    /^.*[\\/]/,
+                    ""
+                  );
+                  return callback(
+                    null,
+                    `Did you mean '${resource}'?
+BREAKING CHANGE: The request '${unresolvedResource}' failed to resolve only because it was resolved as fully specified
+(probably because the origin is strict EcmaScript Module, e. g. a module with javascript mimetype, a '*.mjs' file, or a '*.js' file where the package.json contains '"type": "module"').
+The extension in the request is mandatory for it to be fully specified.
+Add the extension to the request.`
+                  );
+                }
+                callback();
+              }
+            );
+        },
+        (callback) => {
+          if (!resolver.options.enforceExtension) return callback();
+          resolver
+            .withOptions({
+              enforceExtension: false,
+              extensions: [],
+            })
+            .resolve(
+              contextInfo,
+              context,
+              unresolvedResource,
+              resolveContext,
+              (err, resolvedResource) => {
+                if (!err && resolvedResource) {
+                  let hint = "";
+                  const match = /(\.[^.]+)(\?|$)/.exec(unresolvedResource);
+                  if (match) {
+                    const fixedRequest = unresolvedResource.replace(
+                      /(\.[^.]+)(\?|$)/,
+                      "$2"
+                    );
+                    hint = resolver.options.extensions.has(match[1])
+                      ? `Did you mean '${fixedRequest}'?`
+                      : `Did you mean '${fixedRequest}'? Also note that '${match[1]}' is not in 'resolve.extensions' yet and need to be added for this to work?`;
+                  } else {
+                    hint =
+                      "Did you mean to omit the extension or to remove 'resolve.enforceExtension'?";
+                  }
+                  return callback(
+                    null,
+                    `The request '${unresolvedResource}' failed to resolve only because 'resolve.enforceExtension' was specified.
+${hint}
+Including the extension in the request is no longer possible. Did you mean to enforce including the extension in requests with 'resolve.extensions: []' instead?`
+                  );
+                }
+                callback();
+              }
+            );
+        },
+        (callback) => {
+          if (
+            /^\.\.?\//.test(unresolvedResource) ||
+            resolver.options.preferRelative
+          ) {
+            return callback();
+          }
+          resolver.resolve(
+            contextInfo,
+            context,
+            `./${unresolvedResource}`,
+            resolveContext,
+            (err, resolvedResource) => {
+              if (err || !resolvedResource) return callback();
+              const moduleDirectories = resolver.options.modules
+                .map((m) => (Array.isArray(m) ? m.join(", ") : m))
+                .join(", ");
+              callback(
+                null,
+                `Did you mean './${unresolvedResource}'?
+Requests that should resolve in the current directory need to start with './'.
+Requests that start with a name are treated as module requests and resolve within module directories (${moduleDirectories}).
+If changing the source code is not an option there is also a resolve options called 'preferRelative' which tries to resolve these kind of requests in the current directory too.`
+              );
+            }
+          );
+        },
+      ],
+      (err, hints) => {
+        if (err) return callback(err);
+        callback(null, /** @type {string[]} */ (hints).filter(Boolean));
+      }
+    );
+  }
+
+  /**
+   * 解析 loader 列表，得到 loader 的绝对路径、选项以及模块类型（module / commonjs）
+   * @param {ModuleFactoryCreateDataContextInfo} contextInfo context info
+   * @param {string} context context
+   * @param {LoaderItem[]} array array
+   * @param {ResolverWithOptions} resolver resolver
+   * @param {ResolveContext} resolveContext resolve context
+   * @param {Callback<LoaderItem[]>} callback callback
+   * @returns {void} result
+   */
+  resolveRequestArray(
+    contextInfo,
+    context,
+    array,
+    resolver,
+    resolveContext,
+    callback
+  ) {
+    if (array.length === 0) return callback(null, array);
+    asyncLib.map(
+      array,
+      (item, callback) => {
+        resolver.resolve(
+          contextInfo,
+          context,
+          item.loader,
+          resolveContext,
+          (err, result, resolveRequest) => {
+            if (
+              err &&
+              /^[^/]*$/.test(item.loader) &&
+              !item.loader.endsWith("-loader")
+            ) {
+              return resolver.resolve(
+                contextInfo,
+                context,
+                `${item.loader}-loader`,
+                resolveContext,
+                (err2) => {
+                  if (!err2) {
+                    err.message =
+                      `${err.message}\n` +
+                      "BREAKING CHANGE: It's no longer allowed to omit the '-loader' suffix when using loaders.\n" +
+                      `                 You need to specify '${item.loader}-loader' instead of '${item.loader}',\n` +
+                      "                 see https://webpack.js.org/migrate/3/#automatic-loader-module-name-extension-removed";
+                  }
+                  callback(err);
+                }
+              );
+            }
+            if (err) return callback(err);
+
+            const parsedResult = this._parseResourceWithoutFragment(
+              /** @type {string} */ (result)
+            );
+
+            const type = /\.mjs$/i.test(parsedResult.path)
+              ? "module"
+              : /\.cjs$/i.test(parsedResult.path)
+                ? "commonjs"
+                : /** @type {ResolveRequest} */
+                  (resolveRequest).descriptionFileData === undefined
+                  ? undefined
+                  : /** @type {ResolveRequest} */
+                    (resolveRequest).descriptionFileData.type;
+            const resolved = {
+              loader: parsedResult.path,
+              type,
+              options:
+                item.options === undefined
+                  ? parsedResult.query
+                    ? parsedResult.query.slice(1)
+                    : undefined
+                  : item.options,
+              ident:
+                item.options === undefined
+                  ? undefined
+                  : /** @type {string} */ (item.ident),
+            };
+
+            return callback(null, /** @type {LoaderItem} */ (resolved));
+          }
+        );
+      },
+      /** @type {Callback<TODO>} */ (callback)
+    );
+  }
+
+  /**
+   * 获取指定类型和选项对应的解析器，同一个选项对象复用同一个解析器
+   * @param {string} type type
+   * @param {ParserOptions} parserOptions parser options
+   * @returns {Parser} parser
+   */
+  getParser(type, parserOptions = EMPTY_PARSER_OPTIONS) {
+    let cache = this.parserCache.get(type);
+
+    if (cache === undefined) {
+      cache = new WeakMap();
+      this.parserCache.set(type, cache);
+    }
+
+    let parser = cache.get(parserOptions);
+
+    if (parser === undefined) {
+      parser = this.createParser(type, parserOptions);
+      cache.set(parserOptions, parser);
+    }
+
+    return parser;
+  }
+
+  /**
+   * 创建解析器，选项会先与全局的 module.parser 配置合并
+   * @param {string} type type
+   * @param {ParserOptions} parserOptions parser options
+   * @returns {Parser} parser
+   */
+  createParser(type, parserOptions = {}) {
+    parserOptions = mergeGlobalOptions(
+      this._globalParserOptions,
+      type,
+      parserOptions
+    );
+    const parser = this.hooks.createParser.for(type).call(parserOptions);
+    if (!parser) {
+      throw new Error(`No parser registered for ${type}`);
+    }
+    this.hooks.parser.for(type).call(parser, parserOptions);
+    return parser;
+  }
+
+  /**
+   * 获取指定类型和选项对应的生成器，同一个选项对象复用同一个生成器
+   * @param {string} type type of generator
+   * @param {GeneratorOptions} generatorOptions generator options
+   * @returns {Generator} generator
+   */
+  getGenerator(type, generatorOptions = EMPTY_GENERATOR_OPTIONS) {
+    let cache = this.generatorCache.get(type);
+
+    if (cache === undefined) {
+      cache = new WeakMap();
+      this.generatorCache.set(type, cache);
+    }
+
+    let generator = cache.get(generatorOptions);
+
+    if (generator === undefined) {
+      generator = this.createGenerator(type, generatorOptions);
+      cache.set(generatorOptions, generator);
+    }
+
+    return generator;
+  }
+
+  /**
+   * 创建生成器，选项会先与全局的 module.generator 配置合并
+   * @param {string} type type of generator
+   * @param {GeneratorOptions} generatorOptions generator options
+   * @returns {Generator} generator
+   */
+  createGenerator(type, generatorOptions = {}) {
+    generatorOptions = mergeGlobalOptions(
+      this._globalGeneratorOptions,
+      type,
+      generatorOptions
+    );
+    const generator = this.hooks.createGenerator
+      .for(type)
+      .call(generatorOptions);
+    if (!generator) {
+      throw new Error(`No generator registered for ${type}`);
+    }
+    this.hooks.generator.for(type).call(generator, generatorOptions);
+    return generator;
+  }
+
+  /**
+   * 获取指定类型的解析器（normal / loader / context）
+   * @param {Parameters<ResolverFactory["get"]>[0]} type type of resolver
+   * @param {Parameters<ResolverFactory["get"]>[1]=} resolveOptions options
+   * @returns {ReturnType<ResolverFactory["get"]>} the resolver
+   */
+  getResolver(type, resolveOptions) {
+    return this.resolverFactory.get(type, resolveOptions);
+  }
 }
 
 module.exports = NormalModuleFactory;
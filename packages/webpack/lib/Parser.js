@@ -0,0 +1,41 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @typedef {Record<string, any>} PreparsedAst */
+
+/**
+ * @typedef {object} ParserStateBase
+ * @property {string | Buffer} source
+ * @property {NormalModule} current
+ * @property {NormalModule} module
+ * @property {Compilation} compilation
+ * @property {{[k: string]: any}} options
+ */
+
+/** @typedef {Record<string, any> & ParserStateBase} ParserState */
+
+/**
+ * 解析器的基类
+ *
+ * NormalModule 构建时把 loader 处理后的源码（或 loader 提供的 AST）交给 parser，
+ * parser 分析源码并通过 state.module 给模块添加依赖，例如 JavascriptParser
+ */
+class Parser {
+  /* istanbul ignore next */
+  /**
+   * @abstract
+   * @param {string | Buffer | PreparsedAst} source the source to parse
+   * @param {ParserState} state the parser state
+   * @returns {ParserState} the parser state
+   */
+  parse(source, state) {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+}
+
+module.exports = Parser;
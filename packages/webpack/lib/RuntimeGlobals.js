@@ -0,0 +1,295 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 运行时全局变量
+ *
+ * 生成的代码中用到的 __webpack_require__ 及其属性统一在这里定义，
+ * 模块在代码生成时把用到的名称放进 runtimeRequirements，
+ * 之后只为 chunk 注入实际用到的那部分运行时代码
+ */
+
+/**
+ * 模块内部的 require 函数
+ */
+module.exports.require = "__webpack_require__";
+
+/**
+ * __webpack_require__ 上的所有属性（用于按需注入运行时时匹配）
+ */
+module.exports.requireScope = "__webpack_require__.*";
+
+/**
+ * 模块内部的 exports 对象
+ */
+module.exports.exports = "__webpack_exports__";
+
+/**
+ * 顶层的 this 需要指向 exports
+ */
+module.exports.thisAsExports = "top-level-this-exports";
+
+/**
+ * 运行时需要返回入口模块的 exports
+ */
+module.exports.returnExportsFromRuntime = "return-exports-from-runtime";
+
+/**
+ * 模块内部的 module 对象
+ */
+module.exports.module = "module";
+
+/**
+ * 模块内部的 module.id
+ */
+module.exports.moduleId = "module.id";
+
+/**
+ * 模块内部的 module.loaded
+ */
+module.exports.moduleLoaded = "module.loaded";
+
+/**
+ * 配置的 output.publicPath
+ */
+module.exports.publicPath = "__webpack_require__.p";
+
+/**
+ * 入口模块的 id
+ */
+module.exports.entryModuleId = "__webpack_require__.s";
+
+/**
+ * 模块缓存（已执行过的模块）
+ */
+module.exports.moduleCache = "__webpack_require__.c";
+
+/**
+ * 模块工厂函数的集合，key 是模块 id
+ */
+module.exports.moduleFactories = "__webpack_require__.m";
+
+/**
+ * 只会向模块工厂集合中添加新的工厂函数
+ */
+module.exports.moduleFactoriesAddOnly = "__webpack_require__.m (add only)";
+
+/**
+ * 加载 chunk 的函数，返回 Promise
+ * @example
+ * __webpack_require__.e(chunkId).then(...)
+ */
+module.exports.ensureChunk = "__webpack_require__.e";
+
+/**
+ * 加载 chunk 的处理函数集合（jsonp、css 等各自注册）
+ */
+module.exports.ensureChunkHandlers = "__webpack_require__.f";
+
+/**
+ * 加载 chunk 时同时加载 chunk 中包含的入口
+ */
+module.exports.ensureChunkIncludeEntries =
+  "__webpack_require__.f (include entries)";
+
+/**
+ * 预获取（prefetch）chunk 的函数
+ */
+module.exports.prefetchChunk = "__webpack_require__.E";
+
+/**
+ * 预获取 chunk 的处理函数集合
+ */
+module.exports.prefetchChunkHandlers = "__webpack_require__.F";
+
+/**
+ * 预加载（preload）chunk 的函数
+ */
+module.exports.preloadChunk = "__webpack_require__.G";
+
+/**
+ * 预加载 chunk 的处理函数集合
+ */
+module.exports.preloadChunkHandlers = "__webpack_require__.H";
+
+/**
+ * 在 exports 上定义 getter 形式的导出
+ */
+module.exports.definePropertyGetters = "__webpack_require__.d";
+
+/**
+ * 把 exports 标记为 ES 模块命名空间对象（__esModule）
+ */
+module.exports.makeNamespaceObject = "__webpack_require__.r";
+
+/**
+ * 为非 ES 模块创建“伪”命名空间对象
+ * 第二个参数是位掩码，决定如何处理 default 导出，ContextModule 中的 fakeMap 保存的就是它
+ */
+module.exports.createFakeNamespaceObject = "__webpack_require__.t";
+
+/**
+ * 获取兼容 CommonJS 模块的 default 导出
+ */
+module.exports.compatGetDefaultExport = "__webpack_require__.n";
+
+/**
+ * 包装异步模块（使用了顶层 await 或依赖了异步模块），
+ * module.exports 会被替换为 Promise，依赖它的模块需要等待它完成
+ */
+module.exports.asyncModule = "__webpack_require__.a";
+
+/**
+ * ES 模块的 module 装饰器
+ */
+module.exports.harmonyModuleDecorator = "__webpack_require__.hmd";
+
+/**
+ * node 模块的 module 装饰器
+ */
+module.exports.nodeModuleDecorator = "__webpack_require__.nmd";
+
+/**
+ * 获取编译的完整 hash
+ */
+module.exports.getFullHash = "__webpack_require__.h";
+
+/**
+ * 通过 script 标签加载脚本
+ */
+module.exports.loadScript = "__webpack_require__.l";
+
+/**
+ * 使用了 fetchPriority（不是运行时函数，仅作为标记）
+ */
+module.exports.hasFetchPriority = "has fetch priority";
+
+/**
+ * 当前运行时的名称
+ */
+module.exports.runtimeId = "__webpack_require__.j";
+
+/**
+ * 根据 chunk id 获取 chunk 脚本的文件名
+ */
+module.exports.getChunkScriptFilename = "__webpack_require__.u";
+
+/**
+ * 拦截模块执行（热更新中用于注入 module.hot）
+ */
+module.exports.interceptModuleExecution = "__webpack_require__.i";
+
+/**
+ * 全局对象
+ */
+module.exports.global = "__webpack_require__.g";
+
+/**
+ * 检查对象自身是否有某个属性（Object.prototype.hasOwnProperty 的简写）
+ */
+module.exports.hasOwnProperty = "__webpack_require__.o";
+
+/**
+ * 热更新 chunk 中脚本部分的文件名
+ */
+module.exports.getChunkUpdateScriptFilename = "__webpack_require__.hu";
+
+/**
+ * 热更新清单的文件名
+ */
+module.exports.getUpdateManifestFilename = "__webpack_require__.hmrF";
+
+/**
+ * 下载热更新清单的函数
+ */
+module.exports.hmrDownloadManifest = "__webpack_require__.hmrM";
+
+/**
+ * 下载热更新 chunk 的处理函数（按 chunk 加载方式注册，例如 jsonp）
+ */
+module.exports.hmrDownloadUpdateHandlers = "__webpack_require__.hmrC";
+
+/**
+ * 所有模块的 HMR 数据（dispose 时传给下一个版本的模块）
+ */
+module.exports.hmrModuleData = "__webpack_require__.hmrD";
+
+/**
+ * 模块 invalidate 时调用的处理函数
+ */
+module.exports.hmrInvalidateModuleHandlers = "__webpack_require__.hmrI";
+
+/**
+ * 开启 HMR 时运行时模块保存状态用的前缀
+ */
+module.exports.hmrRuntimeStatePrefix = "__webpack_require__.hmrS";
+
+/**
+ * 当前文档的 baseURI
+ */
+module.exports.baseURI = "__webpack_require__.b";
+
+/**
+ * script 标签的 nonce
+ */
+module.exports.scriptNonce = "__webpack_require__.nc";
+
+/**
+ * 通过 Trusted Types 策略把字符串转换为 TrustedScript
+ * Arguments: (script: string) => TrustedScript
+ */
+module.exports.createScript = "__webpack_require__.ts";
+
+/**
+ * 通过 Trusted Types 策略把字符串转换为 TrustedScriptURL
+ * Arguments: (url: string) => TrustedScriptURL
+ */
+module.exports.createScriptUrl = "__webpack_require__.tu";
+
+/**
+ * 运行时 chunk 加载完成后的启动函数
+ */
+module.exports.startup = "__webpack_require__.x";
+
+/**
+ * @deprecated
+ * 不生成默认的启动函数（由 chunk 加载插件自行启动入口模块）
+ */
+module.exports.startupNoDefault = "__webpack_require__.x (no default handler)";
+
+/**
+ * 只在启动之后追加逻辑
+ */
+module.exports.startupOnlyAfter = "__webpack_require__.x (only after)";
+
+/**
+ * 只在启动之前追加同步逻辑
+ */
+module.exports.startupOnlyBefore = "__webpack_require__.x (only before)";
+
+/**
+ * 安装 chunk 的全局回调函数名
+ */
+module.exports.chunkCallback = "webpackChunk";
+
+/**
+ * 加载入口所需的 chunk 后启动入口模块
+ * Signature: (moduleId: Id, chunkIds: Id[]) => any.
+ */
+module.exports.startupEntrypoint = "__webpack_require__.X";
+
+/**
+ * 注册在指定 chunk 都加载完成后执行的代码
+ * Signature: (chunkIds: Id[], fn: () => any, priority: int >= 0 = 0) => any
+ */
+module.exports.onChunksLoaded = "__webpack_require__.O";
+
+/**
+ * 安装通过其他方式加载的 chunk
+ * Signature: ({ id, ids, modules, runtime }) => void
+ */
+module.exports.externalInstallChunk = "__webpack_require__.C";
@@ -0,0 +1,208 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { RawSource } = require("webpack-sources");
+const OriginalSource = require("webpack-sources").OriginalSource;
+const Module = require("./Module");
+const { WEBPACK_MODULE_TYPE_RUNTIME } = require("./ModuleTypeConstants");
+
+/**
+ * 运行时模块只生成 runtime 类型的源码
+ */
+const TYPES = new Set([WEBPACK_MODULE_TYPE_RUNTIME]);
+
+/**
+ * 运行时模块的基类
+ *
+ * 运行时模块不经过 build，在处理运行时依赖（runtimeRequirements）时由插件添加到运行时 chunk 中，
+ * 子类实现 generate 返回运行时代码，例如 __webpack_require__.d、HMR 运行时等
+ */
+class RuntimeModule extends Module {
+  /**
+   * @param {string} name a readable name
+   * @param {number=} stage an optional stage
+   */
+  constructor(name, stage = 0) {
+    super(WEBPACK_MODULE_TYPE_RUNTIME);
+    this.name = name;
+    this.stage = stage;
+    this.buildMeta = {};
+    this.buildInfo = {};
+    /** @type {Compilation | undefined} */
+    this.compilation = undefined;
+    /** @type {Chunk | undefined} */
+    this.chunk = undefined;
+    /** @type {ChunkGraph | undefined} */
+    this.chunkGraph = undefined;
+    this.fullHash = false;
+    this.dependentHash = false;
+    /** @type {string | undefined | null} */
+    this._cachedGeneratedCode = undefined;
+  }
+
+  /**
+   * 关联到所在的 chunk，generate 时可以访问 compilation 和 chunk
+   * @param {Compilation} compilation the compilation
+   * @param {Chunk} chunk the chunk
+   * @param {ChunkGraph} chunkGraph the chunk graph
+   * @returns {void}
+   */
+  attach(compilation, chunk, chunkGraph = compilation.chunkGraph) {
+    this.compilation = compilation;
+    this.chunk = chunk;
+    this.chunkGraph = chunkGraph;
+  }
+
+  /**
+   * @returns {string} a unique identifier of the module
+   */
+  identifier() {
+    return `webpack/runtime/${this.name}`;
+  }
+
+  /**
+   * @param {RequestShortener} requestShortener the request shortener
+   * @returns {string} a user readable identifier of the module
+   */
+  readableIdentifier(requestShortener) {
+    return `webpack/runtime/${this.name}`;
+  }
+
+  /**
+   * @param {NeedBuildContext} context context info
+   * @param {function((WebpackError | null)=, boolean=): void} callback callback function, returns true, if the module needs a rebuild
+   * @returns {void}
+   */
+  needBuild(context, callback) {
+    return callback(null, false);
+  }
+
+  /**
+   * @param {WebpackOptions} options webpack options
+   * @param {Compilation} compilation the compilation
+   * @param {ResolverWithOptions} resolver the resolver
+   * @param {InputFileSystem} fs the file system
+   * @param {function(WebpackError=): void} callback callback function
+   * @returns {void}
+   */
+  build(options, compilation, resolver, fs, callback) {
+    // 运行时模块在构建之后才加入 compilation，不会被调用
+    callback();
+  }
+
+  /**
+   * @param {Hash} hash the hash used to track dependencies
+   * @param {UpdateHashContext} context context
+   * @returns {void}
+   */
+  updateHash(hash, context) {
+    hash.update(this.name);
+    hash.update(`${this.stage}`);
+    try {
+      if (this.fullHash || this.dependentHash) {
+        // 这时 compilation 的 hash 可能还没有计算出来，不使用 getGeneratedCode 的缓存
+        hash.update(/** @type {string} */ (this.generate()));
+      } else {
+        hash.update(/** @type {string} */ (this.getGeneratedCode()));
+      }
+    } catch (err) {
+      hash.update(/** @type {Error} */ (err).message);
+    }
+    super.updateHash(hash, context);
+  }
+
+  /**
+   * @returns {SourceTypes} types available (do not mutate)
+   */
+  getSourceTypes() {
+    return TYPES;
+  }
+
+  /**
+   * @param {CodeGenerationContext} context context for code generation
+   * @returns {CodeGenerationResult} result
+   */
+  codeGeneration(context) {
+    const sources = new Map();
+    const generatedCode = this.getGeneratedCode();
+    if (generatedCode) {
+      sources.set(
+        WEBPACK_MODULE_TYPE_RUNTIME,
+        this.useSourceMap || this.useSimpleSourceMap
+          ? new OriginalSource(generatedCode, this.identifier())
+          : new RawSource(generatedCode)
+      );
+    }
+    return {
+      sources,
+      runtimeRequirements: null,
+    };
+  }
+
+  /**
+   * @param {string=} type the source type for which the size should be estimated
+   * @returns {number} the estimated size of the module (must be non-zero)
+   */
+  size(type) {
+    try {
+      const source = this.getGeneratedCode();
+      return source ? source.length : 0;
+    } catch (_err) {
+      return 0;
+    }
+  }
+
+  /* istanbul ignore next */
+  /**
+   * @abstract
+   * @returns {string | null} runtime code
+   */
+  generate() {
+    const AbstractMethodError = require("./AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /**
+   * 获取生成的代码，结果会被缓存
+   * @returns {string | null} runtime code
+   */
+  getGeneratedCode() {
+    if (this._cachedGeneratedCode) {
+      return this._cachedGeneratedCode;
+    }
+    return (this._cachedGeneratedCode = this.generate());
+  }
+
+  /**
+   * @returns {boolean} true, if the runtime module should get it's own scope
+   */
+  shouldIsolate() {
+    return true;
+  }
+}
+
+/**
+ * 不依赖其他运行时模块
+ */
+RuntimeModule.STAGE_NORMAL = 0;
+
+/**
+ * 简单依赖其他运行时模块
+ */
+RuntimeModule.STAGE_BASIC = 5;
+
+/**
+ * 挂载到其他运行时模块的处理函数上
+ */
+RuntimeModule.STAGE_ATTACH = 10;
+
+/**
+ * 在启动时触发动作
+ */
+RuntimeModule.STAGE_TRIGGER = 20;
+
+module.exports = RuntimeModule;
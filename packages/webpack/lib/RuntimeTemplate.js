@@ -0,0 +1,914 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const InitFragment = require("./InitFragment");
+const RuntimeGlobals = require("./RuntimeGlobals");
+const Template = require("./Template");
+const { equals } = require("./util/ArrayHelpers");
+const compileBooleanMatcher = require("./util/compileBooleanMatcher");
+const propertyAccess = require("./util/propertyAccess");
+const { forEachRuntime, subtractRuntime } = require("./util/runtime");
+
+/**
+ * 模块没有分配 id 时的错误信息，列出模块所在的 chunk 和引用它的模块，方便排查
+ * @param {Module} module the module
+ * @param {ChunkGraph} chunkGraph the chunk graph
+ * @returns {string} error message
+ */
+const noModuleIdErrorMessage = (
+  module,
+  chunkGraph
+) => `Module ${module.identifier()} has no id assigned.
+This should not happen.
+It's in these chunks: ${
+  Array.from(
+    chunkGraph.getModuleChunksIterable(module),
+    (c) => c.name || c.id || c.debugId
+  ).join(", ") || "none"
+} (If module is in no chunk this indicates a bug in some chunk/module optimization logic)
+Module has these incoming connections: ${Array.from(
+  chunkGraph.moduleGraph.getIncomingConnections(module),
+  (connection) =>
+    `\n - ${
+      connection.originModule && connection.originModule.identifier()
+    } ${connection.dependency && connection.dependency.type} ${
+      (connection.explanations &&
+        Array.from(connection.explanations).join(", ")) ||
+      ""
+    }`
+).join("")}`;
+
+/**
+ * 处理 output.globalObject，不是简单标识符或调用表达式时用 Object(...) 包裹
+ * @param {string | undefined} definition global object definition
+ * @returns {string | undefined} save to use global object
+ */
+function getGlobalObject(definition) {
+  if (!definition) return definition;
+  const trimmed = definition.trim();
+
+  if (
+    // 标识符
+    /^[_\p{L}][_0-9\p{L}]*$/iu.test(trimmed) ||
+    // 立即执行函数、函数调用、括号表达式
+    /^([_\p{L}][_0-9\p{L}]*)?\(.*\)$/iu.test(trimmed)
+  )
+    return trimmed;
+
+  return `Object(${trimmed})`;
+}
+
+/**
+ * 生成运行时代码片段的工具类
+ *
+ * 根据 output.environment 决定是否使用箭头函数等语法，
+ * 模块在代码生成阶段通过 codeGeneration 上下文中的 runtimeTemplate 使用它
+ */
+class RuntimeTemplate {
+  /**
+   * @param {Compilation} compilation the compilation
+   * @param {OutputOptions} outputOptions the compilation output options
+   * @param {RequestShortener} requestShortener the request shortener
+   */
+  constructor(compilation, outputOptions, requestShortener) {
+    this.compilation = compilation;
+    this.outputOptions = outputOptions || {};
+    this.requestShortener = requestShortener;
+    this.globalObject = getGlobalObject(this.outputOptions.globalObject);
+    this.contentHashReplacement = "X".repeat(
+      this.outputOptions.hashDigestLength
+    );
+  }
+
+  isIIFE() {
+    return this.outputOptions.iife;
+  }
+
+  isModule() {
+    return this.outputOptions.module;
+  }
+
+  supportsConst() {
+    return this.outputOptions.environment.const;
+  }
+
+  supportsArrowFunction() {
+    return this.outputOptions.environment.arrowFunction;
+  }
+
+  supportsAsyncFunction() {
+    return this.outputOptions.environment.asyncFunction;
+  }
+
+  supportsOptionalChaining() {
+    return this.outputOptions.environment.optionalChaining;
+  }
+
+  supportsForOf() {
+    return this.outputOptions.environment.forOf;
+  }
+
+  supportsDestructuring() {
+    return this.outputOptions.environment.destructuring;
+  }
+
+  supportsBigIntLiteral() {
+    return this.outputOptions.environment.bigIntLiteral;
+  }
+
+  supportsDynamicImport() {
+    return this.outputOptions.environment.dynamicImport;
+  }
+
+  supportsEcmaScriptModuleSyntax() {
+    return this.outputOptions.environment.module;
+  }
+
+  supportTemplateLiteral() {
+    return this.outputOptions.environment.templateLiteral;
+  }
+
+  supportNodePrefixForCoreModules() {
+    return this.outputOptions.environment.nodePrefixForCoreModules;
+  }
+
+  /**
+   * 生成直接返回一个值的函数
+   * @param {string} returnValue return value
+   * @param {string} args arguments
+   * @returns {string} returning function
+   */
+  returningFunction(returnValue, args = "") {
+    return this.supportsArrowFunction()
+      ? `(${args}) => (${returnValue})`
+      : `function(${args}) { return ${returnValue}; }`;
+  }
+
+  /**
+   * 生成带函数体的函数
+   * @param {string} args arguments
+   * @param {string | string[]} body body
+   * @returns {string} basic function
+   */
+  basicFunction(args, body) {
+    return this.supportsArrowFunction()
+      ? `(${args}) => {\n${Template.indent(body)}\n}`
+      : `function(${args}) {\n${Template.indent(body)}\n}`;
+  }
+
+  /**
+   * 生成只执行一个表达式的函数
+   * @param {string} expression expression
+   * @param {string} args arguments
+   * @returns {string} expression function code
+   */
+  expressionFunction(expression, args = "") {
+    return this.supportsArrowFunction()
+      ? `(${args}) => (${expression})`
+      : `function(${args}) { ${expression}; }`;
+  }
+
+  /**
+   * @returns {string} empty function code
+   */
+  emptyFunction() {
+    return this.supportsArrowFunction() ? "x => {}" : "function() {}";
+  }
+
+  /**
+   * 生成数组解构赋值，不支持解构时逐项赋值
+   * @param {string[]} items items
+   * @param {string} value value
+   * @returns {string} destructure array code
+   */
+  destructureArray(items, value) {
+    return this.supportsDestructuring()
+      ? `var [${items.join(", ")}] = ${value};`
+      : Template.asString(
+          items.map((item, i) => `var ${item} = ${value}[${i}];`)
+        );
+  }
+
+  /**
+   * 生成对象解构赋值，不支持解构时逐个属性赋值
+   * @param {string[]} items items
+   * @param {string} value value
+   * @returns {string} destructure object code
+   */
+  destructureObject(items, value) {
+    return this.supportsDestructuring()
+      ? `var {${items.join(", ")}} = ${value};`
+      : Template.asString(
+          items.map(
+            (item) => `var ${item} = ${value}${propertyAccess([item])};`
+          )
+        );
+  }
+
+  /**
+   * 生成立即执行函数
+   * @param {string} args arguments
+   * @param {string} body body
+   * @returns {string} IIFE code
+   */
+  iife(args, body) {
+    return `(${this.basicFunction(args, body)})()`;
+  }
+
+  /**
+   * 生成说明性的注释，开启 output.pathinfo 时包含请求路径
+   * @param {object} options information
+   * @param {string=} options.request request string used originally
+   * @param {(string | null)=} options.chunkName name of the chunk referenced
+   * @param {string=} options.chunkReason reason information of the chunk
+   * @param {string=} options.message additional message
+   * @param {string=} options.exportName name of the export
+   * @returns {string} comment
+   */
+  comment({ request, chunkName, chunkReason, message, exportName }) {
+    let content;
+    if (this.outputOptions.pathinfo) {
+      content = [message, request, chunkName, chunkReason]
+        .filter(Boolean)
+        .map((item) => this.requestShortener.shorten(item))
+        .join(" | ");
+    } else {
+      content = [message, chunkName, chunkReason]
+        .filter(Boolean)
+        .map((item) => this.requestShortener.shorten(item))
+        .join(" | ");
+    }
+    if (!content) return "";
+    if (this.outputOptions.pathinfo) {
+      return `${Template.toComment(content)} `;
+    }
+    return `${Template.toNormalComment(content)} `;
+  }
+
+  /**
+   * 生成抛出 “找不到模块” 错误的语句
+   * @param {object} options generation options
+   * @param {string=} options.request request string used originally
+   * @returns {string} generated error block
+   */
+  throwMissingModuleErrorBlock({ request }) {
+    const err = `Cannot find module '${request}'`;
+    return `var e = new Error(${JSON.stringify(
+      err
+    )}); e.code = 'MODULE_NOT_FOUND'; throw e;`;
+  }
+
+  /**
+   * @param {object} options generation options
+   * @param {string=} options.request request string used originally
+   * @returns {string} generated error function
+   */
+  throwMissingModuleErrorFunction({ request }) {
+    return `function webpackMissingModule() { ${this.throwMissingModuleErrorBlock(
+      { request }
+    )} }`;
+  }
+
+  /**
+   * 依赖的模块不存在时，用一个执行后立即抛错的表达式代替
+   * @param {object} options generation options
+   * @param {string=} options.request request string used originally
+   * @returns {string} generated error IIFE
+   */
+  missingModule({ request }) {
+    return `Object(${this.throwMissingModuleErrorFunction({ request })}())`;
+  }
+
+  /**
+   * @param {object} options generation options
+   * @param {string=} options.request request string used originally
+   * @returns {string} generated error statement
+   */
+  missingModuleStatement({ request }) {
+    return `${this.missingModule({ request })};\n`;
+  }
+
+  /**
+   * 依赖的模块不存在时，用一个 reject 的 Promise 代替
+   * @param {object} options generation options
+   * @param {string=} options.request request string used originally
+   * @returns {string} generated error code
+   */
+  missingModulePromise({ request }) {
+    return `Promise.resolve().then(${this.throwMissingModuleErrorFunction({
+      request,
+    })})`;
+  }
+
+  /**
+   * 生成弱依赖的模块不可用时抛出错误的代码
+   * @param {object} options options object
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {Module} options.module the module
+   * @param {string=} options.request the request that should be printed as comment
+   * @param {string=} options.idExpr expression to use as id expression
+   * @param {"expression" | "promise" | "statements"} options.type which kind of code should be returned
+   * @returns {string} the code
+   */
+  weakError({ module, chunkGraph, request, idExpr, type }) {
+    const moduleId = chunkGraph.getModuleId(module);
+    const errorMessage =
+      moduleId === null
+        ? JSON.stringify("Module is not available (weak dependency)")
+        : idExpr
+          ? `"Module '" + ${idExpr} + "' is not available (weak dependency)"`
+          : JSON.stringify(
+              `Module '${moduleId}' is not available (weak dependency)`
+            );
+    const comment = request ? `${Template.toNormalComment(request)} ` : "";
+    const errorStatements = `var e = new Error(${errorMessage}); ${
+      comment
+    }e.code = 'MODULE_NOT_FOUND'; throw e;`;
+    switch (type) {
+      case "statements":
+        return errorStatements;
+      case "promise":
+        return `Promise.resolve().then(${this.basicFunction(
+          "",
+          errorStatements
+        )})`;
+      case "expression":
+        return this.iife("", errorStatements);
+    }
+  }
+
+  /**
+   * 生成模块 id 的表达式，开启 pathinfo 时带上请求的注释
+   * 弱依赖（例如 module.hot.accept 中的请求）的模块可能不在任何 chunk 中，没有 id 时返回 null
+   * @param {object} options options object
+   * @param {Module} options.module the module
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {string=} options.request the request that should be printed as comment
+   * @param {boolean=} options.weak if the dependency is weak (will create a nice error message)
+   * @returns {string} the expression
+   */
+  moduleId({ module, chunkGraph, request, weak }) {
+    if (!module) {
+      return this.missingModule({
+        request,
+      });
+    }
+    const moduleId = chunkGraph.getModuleId(module);
+    if (moduleId === null) {
+      if (weak) {
+        return "null /* weak dependency, without id */";
+      }
+      throw new Error(
+        `RuntimeTemplate.moduleId(): ${noModuleIdErrorMessage(
+          module,
+          chunkGraph
+        )}`
+      );
+    }
+    return `${this.comment({ request })}${JSON.stringify(moduleId)}`;
+  }
+
+  /**
+   * 生成 __webpack_require__(id) 表达式
+   * @param {object} options options object
+   * @param {Module | null} options.module the module
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {string=} options.request the request that should be printed as comment
+   * @param {boolean=} options.weak if the dependency is weak (will create a nice error message)
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {string} the expression
+   */
+  moduleRaw({ module, chunkGraph, request, weak, runtimeRequirements }) {
+    if (!module) {
+      return this.missingModule({
+        request,
+      });
+    }
+    const moduleId = chunkGraph.getModuleId(module);
+    if (moduleId === null) {
+      if (weak) {
+        // 只有弱引用的模块才可能没有 id，这时生成抛出错误的代码即可
+        return this.weakError({
+          module,
+          chunkGraph,
+          request,
+          type: "expression",
+        });
+      }
+      throw new Error(
+        `RuntimeTemplate.moduleId(): ${noModuleIdErrorMessage(
+          module,
+          chunkGraph
+        )}`
+      );
+    }
+    runtimeRequirements.add(RuntimeGlobals.require);
+    return `${RuntimeGlobals.require}(${this.moduleId({
+      module,
+      chunkGraph,
+      request,
+      weak,
+    })})`;
+  }
+
+  /**
+   * 生成获取模块 exports 的表达式
+   * @param {object} options options object
+   * @param {Module | null} options.module the module
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {string} options.request the request that should be printed as comment
+   * @param {boolean=} options.weak if the dependency is weak (will create a nice error message)
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {string} the expression
+   */
+  moduleExports({ module, chunkGraph, request, weak, runtimeRequirements }) {
+    return this.moduleRaw({
+      module,
+      chunkGraph,
+      request,
+      weak,
+      runtimeRequirements,
+    });
+  }
+
+  /**
+   * 生成 import() 的 Promise 表达式：先加载异步块的 chunk，再按导出类型返回模块命名空间对象
+   * @param {object} options options object
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {AsyncDependenciesBlock=} options.block the current dependencies block
+   * @param {Module} options.module the module
+   * @param {string} options.request the request that should be printed as comment
+   * @param {string} options.message a message for the comment
+   * @param {boolean=} options.strict if the current module is in strict esm mode
+   * @param {boolean=} options.weak if the dependency is weak (will create a nice error message)
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {string} the promise expression
+   */
+  moduleNamespacePromise({
+    chunkGraph,
+    block,
+    module,
+    request,
+    message,
+    strict,
+    weak,
+    runtimeRequirements,
+  }) {
+    if (!module) {
+      return this.missingModulePromise({
+        request,
+      });
+    }
+    const moduleId = chunkGraph.getModuleId(module);
+    if (moduleId === null) {
+      if (weak) {
+        // 只有被弱引用的模块没有 id，这里直接生成报错的代码
+        return this.weakError({
+          module,
+          chunkGraph,
+          request,
+          type: "promise",
+        });
+      }
+      throw new Error(
+        `RuntimeTemplate.moduleNamespacePromise(): ${noModuleIdErrorMessage(
+          module,
+          chunkGraph
+        )}`
+      );
+    }
+    const promise = this.blockPromise({
+      chunkGraph,
+      block,
+      message,
+      runtimeRequirements,
+    });
+
+    let appending;
+    let idExpr = JSON.stringify(chunkGraph.getModuleId(module));
+    const comment = this.comment({
+      request,
+    });
+    let header = "";
+    if (weak) {
+      if (idExpr.length > 8) {
+        // id 较长时先存到变量中，缩短生成的代码
+        header += `var id = ${idExpr}; `;
+        idExpr = "id";
+      }
+      runtimeRequirements.add(RuntimeGlobals.moduleFactories);
+      header += `if(!${
+        RuntimeGlobals.moduleFactories
+      }[${idExpr}]) { ${this.weakError({
+        module,
+        chunkGraph,
+        request,
+        idExpr,
+        type: "statements",
+      })} } `;
+    }
+    const moduleIdExpr = this.moduleId({
+      module,
+      chunkGraph,
+      request,
+      weak,
+    });
+    const exportsType = module.getExportsType(chunkGraph.moduleGraph, strict);
+    let fakeType = 16;
+    switch (exportsType) {
+      case "namespace":
+        if (header) {
+          const rawModule = this.moduleRaw({
+            module,
+            chunkGraph,
+            request,
+            weak,
+            runtimeRequirements,
+          });
+          appending = `.then(${this.basicFunction(
+            "",
+            `${header}return ${rawModule};`
+          )})`;
+        } else {
+          runtimeRequirements.add(RuntimeGlobals.require);
+          appending = `.then(${RuntimeGlobals.require}.bind(${RuntimeGlobals.require}, ${comment}${idExpr}))`;
+        }
+        break;
+      case "dynamic":
+        fakeType |= 4;
+      /* fall through */
+      case "default-with-named":
+        fakeType |= 2;
+      /* fall through */
+      case "default-only":
+        runtimeRequirements.add(RuntimeGlobals.createFakeNamespaceObject);
+        if (chunkGraph.moduleGraph.isAsync(module)) {
+          if (header) {
+            const rawModule = this.moduleRaw({
+              module,
+              chunkGraph,
+              request,
+              weak,
+              runtimeRequirements,
+            });
+            appending = `.then(${this.basicFunction(
+              "",
+              `${header}return ${rawModule};`
+            )})`;
+          } else {
+            runtimeRequirements.add(RuntimeGlobals.require);
+            appending = `.then(${RuntimeGlobals.require}.bind(${RuntimeGlobals.require}, ${comment}${idExpr}))`;
+          }
+          appending += `.then(${this.returningFunction(
+            `${RuntimeGlobals.createFakeNamespaceObject}(m, ${fakeType})`,
+            "m"
+          )})`;
+        } else {
+          fakeType |= 1;
+          if (header) {
+            const returnExpression = `${RuntimeGlobals.createFakeNamespaceObject}(${moduleIdExpr}, ${fakeType})`;
+            appending = `.then(${this.basicFunction(
+              "",
+              `${header}return ${returnExpression};`
+            )})`;
+          } else {
+            appending = `.then(${RuntimeGlobals.createFakeNamespaceObject}.bind(${RuntimeGlobals.require}, ${comment}${idExpr}, ${fakeType}))`;
+          }
+        }
+        break;
+    }
+
+    return `${promise || "Promise.resolve()"}${appending}`;
+  }
+
+  /**
+   * 生成判断当前运行时是否满足 runtimeCondition 的表达式（比较 __webpack_require__.j）
+   * @param {object} options options object
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {RuntimeSpec=} options.runtime runtime for which this code will be generated
+   * @param {RuntimeSpec | boolean=} options.runtimeCondition only execute the statement in some runtimes
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {string} expression
+   */
+  runtimeConditionExpression({
+    chunkGraph,
+    runtimeCondition,
+    runtime,
+    runtimeRequirements,
+  }) {
+    if (runtimeCondition === undefined) return "true";
+    if (typeof runtimeCondition === "boolean") return `${runtimeCondition}`;
+    /** @type {Set<string>} */
+    const positiveRuntimeIds = new Set();
+    forEachRuntime(runtimeCondition, (runtime) =>
+      positiveRuntimeIds.add(
+        `${chunkGraph.getRuntimeId(/** @type {string} */ (runtime))}`
+      )
+    );
+    /** @type {Set<string>} */
+    const negativeRuntimeIds = new Set();
+    forEachRuntime(subtractRuntime(runtime, runtimeCondition), (runtime) =>
+      negativeRuntimeIds.add(
+        `${chunkGraph.getRuntimeId(/** @type {string} */ (runtime))}`
+      )
+    );
+    runtimeRequirements.add(RuntimeGlobals.runtimeId);
+    return compileBooleanMatcher.fromLists(
+      Array.from(positiveRuntimeIds),
+      Array.from(negativeRuntimeIds)
+    )(RuntimeGlobals.runtimeId);
+  }
+
+  /**
+   * 生成 ESM 导入语句：var importVar = __webpack_require__(id)
+   * 被导入模块的导出类型为 dynamic 时还会生成获取默认导出的兼容语句
+   * @param {object} options options object
+   * @param {boolean=} options.update whether a new variable should be created or the existing one updated
+   * @param {Module} options.module the module
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {string} options.request the request that should be printed as comment
+   * @param {string} options.importVar name of the import variable
+   * @param {Module} options.originModule module in which the statement is emitted
+   * @param {boolean=} options.weak true, if this is a weak dependency
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {[string, string]} the import statement and the compat statement
+   */
+  importStatement({
+    update,
+    module,
+    chunkGraph,
+    request,
+    importVar,
+    originModule,
+    weak,
+    runtimeRequirements,
+  }) {
+    if (!module) {
+      return [
+        this.missingModuleStatement({
+          request,
+        }),
+        "",
+      ];
+    }
+    if (chunkGraph.getModuleId(module) === null) {
+      if (weak) {
+        // 只有弱引用的模块才可能没有 id，这时生成抛出错误的代码即可
+        return [
+          this.weakError({
+            module,
+            chunkGraph,
+            request,
+            type: "statements",
+          }),
+          "",
+        ];
+      }
+      throw new Error(
+        `RuntimeTemplate.importStatement(): ${noModuleIdErrorMessage(
+          module,
+          chunkGraph
+        )}`
+      );
+    }
+    const moduleId = this.moduleId({
+      module,
+      chunkGraph,
+      request,
+      weak,
+    });
+    const optDeclaration = update ? "" : "var ";
+
+    const exportsType = module.getExportsType(
+      chunkGraph.moduleGraph,
+      /** @type {BuildMeta} */
+      (originModule.buildMeta).strictHarmonyModule
+    );
+    runtimeRequirements.add(RuntimeGlobals.require);
+    const importContent = `/* harmony import */ ${optDeclaration}${importVar} = ${RuntimeGlobals.require}(${moduleId});\n`;
+
+    if (exportsType === "dynamic") {
+      runtimeRequirements.add(RuntimeGlobals.compatGetDefaultExport);
+      return [
+        importContent,
+        `/* harmony import */ ${optDeclaration}${importVar}_default = /*#__PURE__*/${RuntimeGlobals.compatGetDefaultExport}(${importVar});\n`,
+      ];
+    }
+    return [importContent, ""];
+  }
+
+  /**
+   * 生成访问导入绑定的表达式，例如 _a__WEBPACK_IMPORTED_MODULE_0__.foo
+   *
+   * 根据被导入模块的导出类型处理默认导出和命名空间对象的兼容，
+   * 并使用压缩后的导出名称，导出未被使用时生成 undefined
+   * @param {object} options options
+   * @param {ModuleGraph} options.moduleGraph the module graph
+   * @param {Module} options.module the module
+   * @param {string} options.request the request
+   * @param {string | string[]} options.exportName the export name
+   * @param {Module} options.originModule the origin module
+   * @param {boolean|undefined} options.asiSafe true, if location is safe for ASI, a bracket can be emitted
+   * @param {boolean} options.isCall true, if expression will be called
+   * @param {boolean | null} options.callContext when false, call context will not be preserved
+   * @param {boolean} options.defaultInterop when true and accessing the default exports, interop code will be generated
+   * @param {string} options.importVar the identifier name of the import variable
+   * @param {InitFragment<TODO>[]} options.initFragments init fragments will be added here
+   * @param {RuntimeSpec} options.runtime runtime for which this code will be generated
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {string} expression
+   */
+  exportFromImport({
+    moduleGraph,
+    module,
+    request,
+    exportName,
+    originModule,
+    asiSafe,
+    isCall,
+    callContext,
+    defaultInterop,
+    importVar,
+    initFragments,
+    runtime,
+    runtimeRequirements,
+  }) {
+    if (!module) {
+      return this.missingModule({
+        request,
+      });
+    }
+    if (!Array.isArray(exportName)) {
+      exportName = exportName ? [exportName] : [];
+    }
+    const exportsType = module.getExportsType(
+      moduleGraph,
+      /** @type {BuildMeta} */
+      (originModule.buildMeta).strictHarmonyModule
+    );
+
+    if (defaultInterop) {
+      if (exportName.length > 0 && exportName[0] === "default") {
+        switch (exportsType) {
+          case "dynamic":
+            if (isCall) {
+              return `${importVar}_default()${propertyAccess(exportName, 1)}`;
+            }
+            return asiSafe
+              ? `(${importVar}_default()${propertyAccess(exportName, 1)})`
+              : asiSafe === false
+                ? `;(${importVar}_default()${propertyAccess(exportName, 1)})`
+                : `${importVar}_default.a${propertyAccess(exportName, 1)}`;
+
+          case "default-only":
+          case "default-with-named":
+            exportName = exportName.slice(1);
+            break;
+        }
+      } else if (exportName.length > 0) {
+        if (exportsType === "default-only") {
+          return `/* non-default import from non-esm module */undefined${propertyAccess(
+            exportName,
+            1
+          )}`;
+        } else if (
+          exportsType !== "namespace" &&
+          exportName[0] === "__esModule"
+        ) {
+          return "/* __esModule */true";
+        }
+      } else if (
+        exportsType === "default-only" ||
+        exportsType === "default-with-named"
+      ) {
+        // 导入整个命名空间时，为非 ESM 模块创建（并缓存）模拟的命名空间对象
+        runtimeRequirements.add(RuntimeGlobals.createFakeNamespaceObject);
+        initFragments.push(
+          new InitFragment(
+            `var ${importVar}_namespace_cache;\n`,
+            InitFragment.STAGE_CONSTANTS,
+            -1,
+            `${importVar}_namespace_cache`
+          )
+        );
+        return `/*#__PURE__*/ ${
+          asiSafe ? "" : asiSafe === false ? ";" : "Object"
+        }(${importVar}_namespace_cache || (${importVar}_namespace_cache = ${
+          RuntimeGlobals.createFakeNamespaceObject
+        }(${importVar}${exportsType === "default-only" ? "" : ", 2"})))`;
+      }
+    }
+
+    if (exportName.length > 0) {
+      const exportsInfo = moduleGraph.getExportsInfo(module);
+      const used = exportsInfo.getUsedName(exportName, runtime);
+      if (!used) {
+        const comment = Template.toNormalComment(
+          `unused export ${propertyAccess(exportName)}`
+        );
+        return `${comment} undefined`;
+      }
+      const comment = equals(used, exportName)
+        ? ""
+        : `${Template.toNormalComment(propertyAccess(exportName))} `;
+      const access = `${importVar}${comment}${propertyAccess(used)}`;
+      if (isCall && callContext === false) {
+        // 调用时不保留 this，生成 (0, fn)() 的形式
+        return asiSafe
+          ? `(0,${access})`
+          : asiSafe === false
+            ? `;(0,${access})`
+            : `/*#__PURE__*/Object(${access})`;
+      }
+      return access;
+    }
+    return importVar;
+  }
+
+  /**
+   * 生成加载异步块所在 chunk 的表达式，结果是一个 Promise
+   * 块没有对应的 chunk（例如模块已经在父 chunk 中）时直接返回 Promise.resolve()
+   * @param {object} options options
+   * @param {AsyncDependenciesBlock | undefined} options.block the async block
+   * @param {string} options.message the message
+   * @param {ChunkGraph} options.chunkGraph the chunk graph
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {string} expression
+   */
+  blockPromise({ block, message, chunkGraph, runtimeRequirements }) {
+    if (!block) {
+      const comment = this.comment({
+        message,
+      });
+      return `Promise.resolve(${comment.trim()})`;
+    }
+    const chunkGroup = chunkGraph.getBlockChunkGroup(block);
+    if (!chunkGroup || chunkGroup.chunks.length === 0) {
+      const comment = this.comment({
+        message,
+      });
+      return `Promise.resolve(${comment.trim()})`;
+    }
+    const chunks = chunkGroup.chunks.filter(
+      (chunk) => !chunk.hasRuntime() && chunk.id !== null
+    );
+    const comment = this.comment({
+      message,
+      chunkName: block.chunkName,
+    });
+    if (chunks.length === 1) {
+      const chunkId = JSON.stringify(chunks[0].id);
+      runtimeRequirements.add(RuntimeGlobals.ensureChunk);
+
+      const fetchPriority = chunkGroup.options.fetchPriority;
+
+      if (fetchPriority) {
+        runtimeRequirements.add(RuntimeGlobals.hasFetchPriority);
+      }
+
+      return `${RuntimeGlobals.ensureChunk}(${comment}${chunkId}${
+        fetchPriority ? `, ${JSON.stringify(fetchPriority)}` : ""
+      })`;
+    } else if (chunks.length > 0) {
+      runtimeRequirements.add(RuntimeGlobals.ensureChunk);
+
+      const fetchPriority = chunkGroup.options.fetchPriority;
+
+      if (fetchPriority) {
+        runtimeRequirements.add(RuntimeGlobals.hasFetchPriority);
+      }
+
+      /**
+       * @param {Chunk} chunk chunk
+       * @returns {string} require chunk id code
+       */
+      const requireChunkId = (chunk) =>
+        `${RuntimeGlobals.ensureChunk}(${JSON.stringify(chunk.id)}${
+          fetchPriority ? `, ${JSON.stringify(fetchPriority)}` : ""
+        })`;
+      return `Promise.all(${comment.trim()}[${chunks
+        .map(requireChunkId)
+        .join(", ")}])`;
+    }
+    return `Promise.resolve(${comment.trim()})`;
+  }
+
+  /**
+   * 生成把 exports 标记为 ESM（设置 __esModule 和 Symbol.toStringTag）的语句
+   * @param {object} options options
+   * @param {string} options.exportsArgument the name of the exports object
+   * @param {RuntimeRequirements} options.runtimeRequirements if set, will be filled with runtime requirements
+   * @returns {string} statement
+   */
+  defineEsModuleFlagStatement({ exportsArgument, runtimeRequirements }) {
+    runtimeRequirements.add(RuntimeGlobals.makeNamespaceObject);
+    runtimeRequirements.add(RuntimeGlobals.exports);
+    return `${RuntimeGlobals.makeNamespaceObject}(${exportsArgument});\n`;
+  }
+}
+
+module.exports = RuntimeTemplate;
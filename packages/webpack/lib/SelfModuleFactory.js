@@ -0,0 +1,33 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 解析结果为依赖所在模块自身的模块工厂，用于模块引用自己的情况（如 require.cache[module.id]）
+ */
+class SelfModuleFactory {
+  /**
+   * @param {ModuleGraph} moduleGraph module graph
+   */
+  constructor(moduleGraph) {
+    this.moduleGraph = moduleGraph;
+  }
+
+  /**
+   * 直接返回依赖所在的父模块
+   * @param {ModuleFactoryCreateData} data data object
+   * @param {function((Error | null)=, ModuleFactoryResult=): void} callback callback
+   * @returns {void}
+   */
+  create(data, callback) {
+    const module = this.moduleGraph.getParentModule(data.dependencies[0]);
+    callback(null, {
+      module,
+    });
+  }
+}
+
+module.exports = SelfModuleFactory;
@@ -1,3 +1,7 @@
+const { ConcatSource, PrefixSource } = require("webpack-sources");
+const { WEBPACK_MODULE_TYPE_RUNTIME } = require("./ModuleTypeConstants");
+const RuntimeGlobals = require("./RuntimeGlobals");
+
 /** 小写字母 'a' 的 ASCII 码，用于定义字母范围的起始点 */
 const START_LOWERCASE_ALPHABET_CODE = "a".charCodeAt(0);
 /** 大写字母 'A' 的 ASCII 码 */
@@ -17,6 +21,21 @@ const NUMBER_OF_IDENTIFIER_START_CHARS = DELTA_A_TO_Z * 2 + 2; // a-z A-Z _ $
 const NUMBER_OF_IDENTIFIER_CONTINUATION_CHARS =
   NUMBER_OF_IDENTIFIER_START_CHARS + 10; // a-z A-Z _ $ 0-9
 
+/**
+ * 匹配函数源码的首尾（function () { 和 }），用于取出函数体
+ */
+const FUNCTION_CONTENT_REGEX = /^function\s?\(\)\s?\{\r?\n?|\r?\n?\}$/g;
+
+/**
+ * 匹配每行开头的一级缩进（tab 或两个空格）
+ */
+const INDENT_MULTILINE_REGEX = /^(\t| {2})/gm;
+
+/**
+ * 匹配换行符，统一成 \n
+ */
+const LINE_SEPARATOR_REGEX = /\r?\n/g;
+
 /**
  * 用于检查字符串首字符是否是非字母、非下划线和非 $
  */
@@ -28,7 +47,36 @@ const IDENTIFIER_NAME_REPLACE_REGEX = /^([^a-zA-Z$_])/;
  */
 const IDENTIFIER_ALPHA_NUMERIC_NAME_REPLACE_REGEX = /[^a-zA-Z0-9$]+/g;
 
+/**
+ * 匹配注释结束符 \*\/，生成注释时需要转义，否则注释会被提前闭合
+ */
+const COMMENT_END_REGEX = /\*\//g;
+
+/**
+ * 用于将路径中不适合出现在文件名里的字符替换为 -
+ */
+const PATH_NAME_NORMALIZE_REPLACE_REGEX = /[^a-zA-Z0-9_!§$()=\-^°]+/g;
+
+/**
+ * 匹配首尾的 -
+ */
+const MATCH_PADDED_HYPHENS_REPLACE_REGEX = /^-|-$/g;
+
 class Template {
+  /**
+   * 取出函数体的代码并去掉一级缩进
+   * 运行时模板（例如 hmr/HotModuleReplacement.runtime.js）以函数的形式编写，通过它得到要输出的代码
+   * @param {Function} fn a runtime function (.runtime.js) "template"
+   * @returns {string} the updated and normalized function string
+   */
+  static getFunctionContent(fn) {
+    return fn
+      .toString()
+      .replace(FUNCTION_CONTENT_REGEX, "")
+      .replace(INDENT_MULTILINE_REGEX, "")
+      .replace(LINE_SEPARATOR_REGEX, "\n");
+  }
+
   /**
    * 用于将任意字符串 str 转换为合法的 JavaScript 标识符
    */
@@ -49,6 +97,239 @@ class Template {
         .replace(IDENTIFIER_ALPHA_NUMERIC_NAME_REPLACE_REGEX, "_")
     );
   }
+
+  /**
+   * 生成保留注释（/*! ... *\/），压缩时不会被移除
+   * @param {string} str 注释内容
+   * @returns {string} 注释代码
+   */
+  static toComment(str) {
+    if (!str) return "";
+    return `/*! ${str.replace(COMMENT_END_REGEX, "* /")} */`;
+  }
+
+  /**
+   * 生成普通注释（/* ... *\/）
+   * @param {string} str 注释内容
+   * @returns {string} 注释代码
+   */
+  static toNormalComment(str) {
+    if (!str) return "";
+    return `/* ${str.replace(COMMENT_END_REGEX, "* /")} */`;
+  }
+
+  /**
+   * 将字符串转换为可以用在文件路径中的形式
+   * @example
+   * Template.toPath("./views/home.js") // "views-home-js"
+   * @param {string} str 任意字符串
+   * @returns {string} 路径片段
+   */
+  static toPath(str) {
+    if (typeof str !== "string") return "";
+    return str
+      .replace(PATH_NAME_NORMALIZE_REPLACE_REGEX, "-")
+      .replace(MATCH_PADDED_HYPHENS_REPLACE_REGEX, "");
+  }
+
+  /**
+   * 给每一行代码增加一个 tab 的缩进，空行保持不变
+   * @param {string | string[]} s 代码（数组时按行拼接）
+   * @returns {string} 缩进后的代码
+   */
+  static indent(s) {
+    if (Array.isArray(s)) {
+      return s.map(Template.indent).join("\n");
+    }
+    const str = s.trimEnd();
+    if (!str) return "";
+    const ind = str[0] === "\n" ? "" : "\t";
+    return ind + str.replace(/\n([^\n])/g, "\n\t$1");
+  }
+
+  /**
+   * 给每一行代码加上前缀，空行保持不变
+   * @param {string | string[]} s string to create prefix for
+   * @param {string} prefix prefix to compose
+   * @returns {string} returns new prefix string
+   */
+  static prefix(s, prefix) {
+    const str = Template.asString(s).trim();
+    if (!str) return "";
+    const ind = str[0] === "\n" ? "" : prefix;
+    return ind + str.replace(/\n([^\n])/g, `\n${prefix}$1`);
+  }
+
+  /**
+   * 数组按行拼接成一段代码
+   * @param {string | string[]} str string or string collection
+   * @returns {string} returns a single string from array
+   */
+  static asString(str) {
+    if (Array.isArray(str)) {
+      return str.join("\n");
+    }
+    return str;
+  }
+
+  /**
+   * 模块 id 都是数字且足够紧凑时，用数组代替对象输出模块表更短
+   * @param {{ id: string | number }[]} modules a collection of modules to get array bounds for
+   * @returns {[number, number] | false} returns the upper and lower array bounds
+   * or false if not every module has a number based id
+   */
+  static getModulesArrayBounds(modules) {
+    let maxId = -Infinity;
+    let minId = Infinity;
+    for (const module of modules) {
+      const moduleId = module.id;
+      if (typeof moduleId !== "number") return false;
+      if (maxId < moduleId) maxId = moduleId;
+      if (minId > moduleId) minId = moduleId;
+    }
+    if (minId < 16 + String(minId).length) {
+      // add minId x ',' instead of 'Array(minId).concat(…)'
+      minId = 0;
+    }
+    // start with -1 because the first module needs no comma
+    let objectOverhead = -1;
+    for (const module of modules) {
+      // module id + colon + comma
+      objectOverhead += `${module.id}`.length + 2;
+    }
+    // number of commas, or when starting non-zero the length of Array(minId).concat()
+    const arrayOverhead = minId === 0 ? maxId : 16 + `${minId}`.length + maxId;
+    return arrayOverhead < objectOverhead ? [minId, maxId] : false;
+  }
+
+  /**
+   * 输出 chunk 的模块表，按 getModulesArrayBounds 选择数组或对象形式
+   * @param {ChunkRenderContext} renderContext render context
+   * @param {Module[]} modules modules to render (should be ordered by identifier)
+   * @param {function(Module): Source | null} renderModule function to render a module
+   * @param {string=} prefix applying prefix strings
+   * @returns {Source | null} rendered chunk modules in a Source object or null if no modules
+   */
+  static renderChunkModules(renderContext, modules, renderModule, prefix = "") {
+    const { chunkGraph } = renderContext;
+    const source = new ConcatSource();
+    if (modules.length === 0) {
+      return null;
+    }
+    /** @type {{id: string|number, source: Source|string}[]} */
+    const allModules = modules.map((module) => ({
+      id: /** @type {ModuleId} */ (chunkGraph.getModuleId(module)),
+      source: renderModule(module) || "false",
+    }));
+    const bounds = Template.getModulesArrayBounds(allModules);
+    if (bounds) {
+      // Render a spare array
+      const minId = bounds[0];
+      const maxId = bounds[1];
+      if (minId !== 0) {
+        source.add(`Array(${minId}).concat(`);
+      }
+      source.add("[\n");
+      /** @type {Map<string|number, {id: string|number, source: Source|string}>} */
+      const modules = new Map();
+      for (const module of allModules) {
+        modules.set(module.id, module);
+      }
+      for (let idx = minId; idx <= maxId; idx++) {
+        const module = modules.get(idx);
+        if (idx !== minId) {
+          source.add(",\n");
+        }
+        source.add(`/* ${idx} */`);
+        if (module) {
+          source.add("\n");
+          source.add(module.source);
+        }
+      }
+      source.add(`\n${prefix}]`);
+      if (minId !== 0) {
+        source.add(")");
+      }
+    } else {
+      // Render an object
+      source.add("{\n");
+      for (let i = 0; i < allModules.length; i++) {
+        const module = allModules[i];
+        if (i !== 0) {
+          source.add(",\n");
+        }
+        source.add(`\n/***/ ${JSON.stringify(module.id)}:\n`);
+        source.add(module.source);
+      }
+      source.add(`\n\n${prefix}}`);
+    }
+    return source;
+  }
+
+  /**
+   * 依次输出运行时模块的代码，需要隔离作用域的模块包在 IIFE 中
+   * @param {RuntimeModule[]} runtimeModules array of runtime modules in order
+   * @param {RenderContext & { codeGenerationResults?: CodeGenerationResults }} renderContext render context
+   * @returns {Source} rendered runtime modules in a Source object
+   */
+  static renderRuntimeModules(runtimeModules, renderContext) {
+    const source = new ConcatSource();
+    for (const module of runtimeModules) {
+      const codeGenerationResults = renderContext.codeGenerationResults;
+      let runtimeSource;
+      if (codeGenerationResults) {
+        runtimeSource = codeGenerationResults.getSource(
+          module,
+          renderContext.chunk.runtime,
+          WEBPACK_MODULE_TYPE_RUNTIME
+        );
+      } else {
+        const codeGenResult = module.codeGeneration({
+          chunkGraph: renderContext.chunkGraph,
+          dependencyTemplates: renderContext.dependencyTemplates,
+          moduleGraph: renderContext.moduleGraph,
+          runtimeTemplate: renderContext.runtimeTemplate,
+          runtime: renderContext.chunk.runtime,
+          codeGenerationResults,
+        });
+        if (!codeGenResult) continue;
+        runtimeSource = codeGenResult.sources.get("runtime");
+      }
+      if (runtimeSource) {
+        source.add(`${Template.toNormalComment(module.identifier())}\n`);
+        if (!module.shouldIsolate()) {
+          source.add(runtimeSource);
+          source.add("\n\n");
+        } else if (renderContext.runtimeTemplate.supportsArrowFunction()) {
+          source.add("(() => {\n");
+          source.add(new PrefixSource("\t", runtimeSource));
+          source.add("\n})();\n\n");
+        } else {
+          source.add("!function() {\n");
+          source.add(new PrefixSource("\t", runtimeSource));
+          source.add("\n}();\n\n");
+        }
+      }
+    }
+    return source;
+  }
+
+  /**
+   * 非运行时 chunk 携带的运行时模块，包装成在 chunk 加载时执行的函数
+   * @param {RuntimeModule[]} runtimeModules array of runtime modules in order
+   * @param {RenderContext} renderContext render context
+   * @returns {Source} rendered chunk runtime modules in a Source object
+   */
+  static renderChunkRuntimeModules(runtimeModules, renderContext) {
+    return new PrefixSource(
+      "/******/ ",
+      new ConcatSource(
+        `function(${RuntimeGlobals.require}) { // webpackRuntimeModules\n`,
+        this.renderRuntimeModules(runtimeModules, renderContext),
+        "}\n"
+      )
+    );
+  }
 }
 
 module.exports = Template;
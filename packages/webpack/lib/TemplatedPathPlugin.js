@@ -0,0 +1,341 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Jason Anderson @diurnalist
+*/
+
+"use strict";
+
+const { basename, extname } = require("path");
+const util = require("util");
+const Chunk = require("./Chunk");
+const Module = require("./Module");
+const { parseResource } = require("./util/identifier");
+
+/** 匹配路径模板中的占位符，例如 [name]、[contenthash:8]，\ 转义的 [\name\] 保留原样 */
+const REGEXP = /\[\\*([\w:]+)\\*\]/gi;
+
+/**
+ * 把 id 转换为可以安全用在文件名中的形式
+ * @param {string | number} id id
+ * @returns {string | number} result
+ */
+const prepareId = (id) => {
+  if (typeof id !== "string") return id;
+
+  // id 是运行时表达式（例如 `" + chunkId + "`）时，在运行时替换非法字符
+  if (/^"\s\+*.*\+\s*"$/.test(id)) {
+    const match = /^"\s\+*\s*(.*)\s*\+\s*"$/.exec(id);
+
+    return `" + (${match[1]} + "").replace(/(^[.-]|[^a-zA-Z0-9_-])+/g, "_") + "`;
+  }
+
+  return id.replace(/(^[.-]|[^a-zA-Z0-9_-])+/g, "_");
+};
+
+/**
+ * 支持 [hash:8] 这种指定长度的写法，并把用到的 hash 记录到资源信息中
+ * @param {ReplacerFunction} replacer replacer
+ * @param {((arg0: number) => string) | undefined} handler 根据长度生成 hash 的函数
+ * @param {AssetInfo | undefined} assetInfo 资源信息（会被修改）
+ * @param {string} hashName hash 的名称，用作资源信息中的 key
+ * @returns {ReplacerFunction} hash replacer function
+ */
+const hashLength = (replacer, handler, assetInfo, hashName) => {
+  /** @type {ReplacerFunction} */
+  const fn = (match, arg, input) => {
+    let result;
+    const length = arg && Number.parseInt(arg, 10);
+
+    if (length && handler) {
+      result = handler(length);
+    } else {
+      const hash = replacer(match, arg, input);
+
+      result = length ? hash.slice(0, length) : hash;
+    }
+    if (assetInfo) {
+      // 文件名中包含 hash，内容变化时文件名也会变化，因此可以长期缓存
+      assetInfo.immutable = true;
+      if (Array.isArray(assetInfo[hashName])) {
+        assetInfo[hashName] = [...assetInfo[hashName], result];
+      } else if (assetInfo[hashName]) {
+        assetInfo[hashName] = [assetInfo[hashName], result];
+      } else {
+        assetInfo[hashName] = result;
+      }
+    }
+    return result;
+  };
+
+  return fn;
+};
+
+/**
+ * 创建占位符的替换函数，值可以是函数，用到时才求值
+ * @param {string | number | null | undefined | (() => string | number | null | undefined)} value value
+ * @param {boolean=} allowEmpty 为 true 时值为空替换为空字符串，否则报错
+ * @returns {Replacer} replacer
+ */
+const replacer = (value, allowEmpty) => {
+  /** @type {Replacer} */
+  const fn = (match, arg, input) => {
+    if (typeof value === "function") {
+      value = value();
+    }
+    if (value === null || value === undefined) {
+      if (!allowEmpty) {
+        throw new Error(
+          `Path variable ${match} not implemented in this context: ${input}`
+        );
+      }
+
+      return "";
+    }
+
+    return `${value}`;
+  };
+
+  return fn;
+};
+
+const deprecationCache = new Map();
+const deprecatedFunction = (() => () => {})();
+/**
+ * 包装已弃用的占位符，使用时输出弃用提示（每条提示只创建一次）
+ * @param {Function} fn function
+ * @param {string} message message
+ * @param {string} code code
+ * @returns {function(...any[]): void} function with deprecation output
+ */
+const deprecated = (fn, message, code) => {
+  let d = deprecationCache.get(message);
+  if (d === undefined) {
+    d = util.deprecate(deprecatedFunction, message, code);
+    deprecationCache.set(message, d);
+  }
+  return (...args) => {
+    d();
+    return fn(...args);
+  };
+};
+
+/**
+ * 替换路径模板中的占位符
+ * @param {TemplatePath} path 路径模板
+ * @param {PathData} data 上下文数据（chunk、module、hash、filename 等）
+ * @param {AssetInfo | undefined} assetInfo 资源信息（会被修改）
+ * @returns {string} 替换后的路径
+ */
+const replacePathVariables = (path, data, assetInfo) => {
+  const chunkGraph = data.chunkGraph;
+
+  /** @type {Map<string, Function>} */
+  const replacements = new Map();
+
+  // 文件相关的占位符
+  //
+  // 以 /some/path/file.js?query#fragment 为例：
+  // [file] - /some/path/file.js
+  // [query] - ?query
+  // [fragment] - #fragment
+  // [base] - file.js
+  // [path] - /some/path/
+  // [name] - file
+  // [ext] - .js
+  if (typeof data.filename === "string") {
+    const { path: file, query, fragment } = parseResource(data.filename);
+
+    const ext = extname(file);
+    const base = basename(file);
+    const name = base.slice(0, base.length - ext.length);
+    const path = file.slice(0, file.length - base.length);
+
+    replacements.set("file", replacer(file));
+    replacements.set("query", replacer(query, true));
+    replacements.set("fragment", replacer(fragment, true));
+    replacements.set("path", replacer(path, true));
+    replacements.set("base", replacer(base));
+    replacements.set("name", replacer(name));
+    replacements.set("ext", replacer(ext, true));
+    // 旧的写法
+    replacements.set(
+      "filebase",
+      deprecated(
+        replacer(base),
+        "[filebase] is now [base]",
+        "DEP_WEBPACK_TEMPLATE_PATH_PLUGIN_REPLACE_PATH_VARIABLES_FILENAME"
+      )
+    );
+  }
+
+  // 编译相关的占位符
+  //
+  // [fullhash] - data.hash (3a4b5c6e7f)
+  //
+  // 旧的写法：
+  // [hash] - data.hash (3a4b5c6e7f)
+  if (data.hash) {
+    const hashReplacer = hashLength(
+      replacer(data.hash),
+      data.hashWithLength,
+      assetInfo,
+      "fullhash"
+    );
+
+    replacements.set("fullhash", hashReplacer);
+
+    replacements.set(
+      "hash",
+      deprecated(
+        hashReplacer,
+        "[hash] is now [fullhash] (also consider using [chunkhash] or [contenthash], see documentation for details)",
+        "DEP_WEBPACK_TEMPLATE_PATH_PLUGIN_REPLACE_PATH_VARIABLES_HASH"
+      )
+    );
+  }
+
+  // chunk 相关的占位符
+  //
+  // [id] - chunk.id (0.js)
+  // [name] - chunk.name (app.js)
+  // [chunkhash] - chunk.hash (7823t4t4.js)
+  // [contenthash] - chunk.contentHash[type] (3256u3zg.js)
+  if (data.chunk) {
+    const chunk = data.chunk;
+
+    const contentHashType = data.contentHashType;
+
+    const idReplacer = replacer(chunk.id);
+    const nameReplacer = replacer(chunk.name || chunk.id);
+    const chunkhashReplacer = hashLength(
+      replacer(chunk instanceof Chunk ? chunk.renderedHash : chunk.hash),
+      "hashWithLength" in chunk ? chunk.hashWithLength : undefined,
+      assetInfo,
+      "chunkhash"
+    );
+    const contenthashReplacer = hashLength(
+      replacer(
+        data.contentHash ||
+          (contentHashType &&
+            chunk.contentHash &&
+            chunk.contentHash[contentHashType])
+      ),
+      data.contentHashWithLength ||
+        ("contentHashWithLength" in chunk && chunk.contentHashWithLength
+          ? chunk.contentHashWithLength[contentHashType]
+          : undefined),
+      assetInfo,
+      "contenthash"
+    );
+
+    replacements.set("id", idReplacer);
+    replacements.set("name", nameReplacer);
+    replacements.set("chunkhash", chunkhashReplacer);
+    replacements.set("contenthash", contenthashReplacer);
+  }
+
+  // 模块相关的占位符
+  //
+  // [id] - module.id (2.png)
+  // [hash] - module.hash (6237543873.png)
+  //
+  // 旧的写法：
+  // [moduleid] - module.id (2.png)
+  // [modulehash] - module.hash (6237543873.png)
+  if (data.module) {
+    const module = data.module;
+
+    const idReplacer = replacer(() =>
+      prepareId(
+        module instanceof Module ? chunkGraph.getModuleId(module) : module.id
+      )
+    );
+    const moduleHashReplacer = hashLength(
+      replacer(() =>
+        module instanceof Module
+          ? chunkGraph.getRenderedModuleHash(module, data.runtime)
+          : module.hash
+      ),
+      "hashWithLength" in module ? module.hashWithLength : undefined,
+      assetInfo,
+      "modulehash"
+    );
+    const contentHashReplacer = hashLength(
+      replacer(data.contentHash),
+      undefined,
+      assetInfo,
+      "contenthash"
+    );
+
+    replacements.set("id", idReplacer);
+    replacements.set("modulehash", moduleHashReplacer);
+    replacements.set("contenthash", contentHashReplacer);
+    replacements.set(
+      "hash",
+      data.contentHash ? contentHashReplacer : moduleHashReplacer
+    );
+    replacements.set(
+      "moduleid",
+      deprecated(
+        idReplacer,
+        "[moduleid] is now [id]",
+        "DEP_WEBPACK_TEMPLATE_PATH_PLUGIN_REPLACE_PATH_VARIABLES_MODULE_ID"
+      )
+    );
+  }
+
+  // 其他占位符
+  if (data.url) {
+    replacements.set("url", replacer(data.url));
+  }
+  if (typeof data.runtime === "string") {
+    replacements.set(
+      "runtime",
+      replacer(() => prepareId(data.runtime))
+    );
+  } else {
+    replacements.set("runtime", replacer("_"));
+  }
+
+  if (typeof path === "function") {
+    path = path(data, assetInfo);
+  }
+
+  path = path.replace(REGEXP, (match, content) => {
+    if (content.length + 2 === match.length) {
+      const contentMatch = /^(\w+)(?::(\w+))?$/.exec(content);
+      if (!contentMatch) return match;
+      const [, kind, arg] = contentMatch;
+      const replacer = replacements.get(kind);
+      if (replacer !== undefined) {
+        return replacer(match, arg, path);
+      }
+    } else if (match.startsWith("[\\") && match.endsWith("\\]")) {
+      // [\name\] 转义为 [name]
+      return `[${match.slice(2, -2)}]`;
+    }
+    return match;
+  });
+
+  return path;
+};
+
+const plugin = "TemplatedPathPlugin";
+
+/**
+ * 实现 compilation.hooks.assetPath，把输出路径模板中的占位符替换为实际的值
+ */
+class TemplatedPathPlugin {
+  /**
+   * 应用插件
+   * @param {Compiler} compiler 编译器实例
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(plugin, (compilation) => {
+      compilation.hooks.assetPath.tap(plugin, replacePathVariables);
+    });
+  }
+}
+
+module.exports = TemplatedPathPlugin;
@@ -0,0 +1,36 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Ivan Kopeykin @vankop
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+const makeSerializable = require("./util/makeSerializable");
+
+/**
+ * 没有插件处理资源的 scheme（例如 http:）时，读取资源失败的错误
+ */
+class UnhandledSchemeError extends WebpackError {
+  /**
+   * @param {string} scheme scheme
+   * @param {string} resource resource
+   */
+  constructor(scheme, resource) {
+    super(
+      `Reading from "${resource}" is not handled by plugins (Unhandled scheme).` +
+        '\nWebpack supports "data:" and "file:" URIs by default.' +
+        `\nYou may need an additional plugin to handle "${scheme}:" URIs.`
+    );
+    this.file = resource;
+    this.name = "UnhandledSchemeError";
+  }
+}
+
+makeSerializable(
+  UnhandledSchemeError,
+  "webpack/lib/UnhandledSchemeError",
+  "UnhandledSchemeError"
+);
+
+module.exports = UnhandledSchemeError;
@@ -0,0 +1,59 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Florent Cailhol @ooflorent
+*/
+
+"use strict";
+
+const WebpackError = require("./WebpackError");
+
+/**
+ * 配置中使用了已废弃的选项值时，在编译结果中添加一条警告
+ */
+class WarnDeprecatedOptionPlugin {
+  /**
+   * @param {string} option the target option
+   * @param {string | number} value the deprecated option value
+   * @param {string} suggestion the suggestion replacement
+   */
+  constructor(option, value, suggestion) {
+    this.option = option;
+    this.value = value;
+    this.suggestion = suggestion;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(
+      "WarnDeprecatedOptionPlugin",
+      (compilation) => {
+        compilation.warnings.push(
+          new DeprecatedOptionWarning(this.option, this.value, this.suggestion)
+        );
+      }
+    );
+  }
+}
+
+class DeprecatedOptionWarning extends WebpackError {
+  /**
+   * @param {string} option the target option
+   * @param {string | number} value the deprecated option value
+   * @param {string} suggestion the suggestion replacement
+   */
+  constructor(option, value, suggestion) {
+    super();
+
+    this.name = "DeprecatedOptionWarning";
+    this.message =
+      "configuration\n" +
+      `The value '${value}' for option '${option}' is deprecated. ` +
+      `Use '${suggestion}' instead.`;
+  }
+}
+
+module.exports = WarnDeprecatedOptionPlugin;
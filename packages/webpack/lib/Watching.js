@@ -1,3 +1,4 @@
+const path = require("path");
 const Stats = require("./Stats");
 
 class Watching {
@@ -64,6 +65,18 @@ class Watching {
     this.watcher = undefined;
     /** 用于保存暂停状态下的监视器实例 */
     this.pausedWatcher = undefined;
+    /**
+     * 当前监听的文件、目录和缺失的文件，用于判断变更是否来自符号链接的目标
+     * @type {{ files: Iterable<string>, dirs: Iterable<string>, missing: Iterable<string> } | undefined}
+     */
+    this._watched = undefined;
+    /**
+     * 由 _watched 转换而来的集合，第一次判断符号链接目标时才创建，每次开始监听时重置
+     * @type {{ files: Set<string>, dirs: Set<string>, missing: Set<string> } | undefined}
+     */
+    this._watchedSets = undefined;
+    /** 输出变更报告的日志 */
+    this._logger = compiler.getInfrastructureLogger("webpack.Watching");
     /**
      * 收集被修改的文件，支持增量编译
      * @type {Set<string> | undefined}
@@ -191,6 +204,11 @@ class Watching {
       }
     }
 
+    this._reportChanges(
+      this._collectedChangedFiles,
+      this._collectedRemovedFiles
+    );
+
     /**
      * 将内部收集到的变更和删除文件集合赋值给 compiler 实例
      * 将收集的变更和删除信息清空，为下一次变更收集做好准备
@@ -444,6 +462,8 @@ class Watching {
   watch(files, dirs, missing) {
     // 确保当前没有暂停的监听器
     this.pausedWatcher = null;
+    this._watched = { files, dirs, missing };
+    this._watchedSets = undefined;
     this.watcher =
       /**
        * 开始监听指定的文件和目录
@@ -487,6 +507,13 @@ class Watching {
           // 文件失效时的回调函数
           if (!this._invalidReported) {
             this._invalidReported = true;
+            if (this._isSymlinkTarget(fileName)) {
+              this._logger.log(
+                `Compilation invalidated by ${fileName} (target of a symlinked dependency)`
+              );
+            } else {
+              this._logger.log(`Compilation invalidated by ${fileName}`);
+            }
             //  触发 invalid 钩子通知插件当前文件失效
             this.compiler.hooks.invalid.call(fileName, changeTime);
           }
@@ -495,6 +522,61 @@ class Watching {
       );
   }
 
+  /**
+   * 开启 watchOptions.followSymlinks 后，watchpack 同时监听符号链接和它指向的真实文件，
+   * 此时变更的文件可能不在编译的依赖中，而是某个依赖的链接目标
+   * @param {string | null} fileName changed file
+   * @returns {boolean} true, when the file is not a dependency itself and was reported because symlinks are followed
+   */
+  _isSymlinkTarget(fileName) {
+    if (!fileName || !this.watchOptions.followSymlinks || !this._watched) {
+      return false;
+    }
+    if (this._watchedSets === undefined) {
+      const { files, dirs, missing } = this._watched;
+      this._watchedSets = {
+        files: new Set(files),
+        dirs: new Set(dirs),
+        missing: new Set(missing),
+      };
+    }
+    const { files, dirs, missing } = this._watchedSets;
+    if (files.has(fileName) || missing.has(fileName)) return false;
+    // 文件位于监听的目录（或其子目录）中时，也属于编译的依赖
+    let dir = fileName;
+    for (;;) {
+      if (dirs.has(dir)) return false;
+      const parent = path.dirname(dir);
+      if (parent === dir) return true;
+      dir = parent;
+    }
+  }
+
+  /**
+   * 开始新的构建前输出聚合后的变更，文件列表只在 debug 日志中输出
+   * @param {ReadonlySet<string>=} changedFiles changed files
+   * @param {ReadonlySet<string>=} removedFiles removed files
+   * @returns {void}
+   */
+  _reportChanges(changedFiles, removedFiles) {
+    if (!changedFiles && !removedFiles) return;
+    const changed = changedFiles ? changedFiles.size : 0;
+    const removed = removedFiles ? removedFiles.size : 0;
+    this._logger.log(`${changed} files changed, ${removed} files removed`);
+    if (changedFiles) {
+      for (const file of changedFiles) {
+        this._logger.debug(
+          this._isSymlinkTarget(file)
+            ? `changed: ${file} (symlink target)`
+            : `changed: ${file}`
+        );
+      }
+    }
+    if (removedFiles) {
+      for (const file of removedFiles) this._logger.debug(`removed: ${file}`);
+    }
+  }
+
   /**
    * @param {Callback<void>=} callback signals when the build has completed again
    * @returns {void}
@@ -548,6 +630,100 @@ class Watching {
       );
     }
   }
+
+  /**
+   * 暂停构建：监听不会停止，期间的变更会被收集起来，resume 后一次性构建
+   */
+  suspend() {
+    this.suspended = true;
+  }
+
+  /**
+   * 恢复构建，暂停期间收集的变更和监听器中尚未发出的变更合并后触发一次构建
+   */
+  resume() {
+    if (this.suspended) {
+      this.suspended = false;
+      this._invalidate();
+    }
+  }
+
+  /**
+   * 关闭监听，正在构建时等待本次构建结束后再关闭
+   * @param {Callback<void>} callback signals when the watcher is closed
+   * @returns {void}
+   */
+  close(callback) {
+    if (this._closeCallbacks) {
+      if (callback) {
+        this._closeCallbacks.push(callback);
+      }
+      return;
+    }
+    /**
+     * @param {WebpackError | null} err error if any
+     * @param {Compilation=} compilation compilation if any
+     */
+    const finalCallback = (err, compilation) => {
+      this.running = false;
+      this.compiler.running = false;
+      this.compiler.watching = undefined;
+      this.compiler.watchMode = false;
+      this.compiler.modifiedFiles = undefined;
+      this.compiler.removedFiles = undefined;
+      this.compiler.fileTimestamps = undefined;
+      this.compiler.contextTimestamps = undefined;
+      this.compiler.fsStartTime = undefined;
+      /**
+       * @param {WebpackError | null} err error if any
+       */
+      const shutdown = (err) => {
+        this.compiler.hooks.watchClose.call();
+        const closeCallbacks =
+          /** @type {Callback<void>[]} */
+          (this._closeCallbacks);
+        this._closeCallbacks = undefined;
+        for (const cb of closeCallbacks) cb(err);
+      };
+      if (compilation) {
+        // 关闭前保存本次构建的构建依赖
+        const logger = compilation.getLogger("webpack.Watching");
+        logger.time("storeBuildDependencies");
+        this.compiler.cache.storeBuildDependencies(
+          compilation.buildDependencies,
+          (err2) => {
+            logger.timeEnd("storeBuildDependencies");
+            shutdown(err || err2);
+          }
+        );
+      } else {
+        shutdown(err);
+      }
+    };
+
+    this.closed = true;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    if (this.pausedWatcher) {
+      this.pausedWatcher.close();
+      this.pausedWatcher = null;
+    }
+    this._watched = undefined;
+    this._watchedSets = undefined;
+    this._closeCallbacks = [];
+    if (callback) {
+      this._closeCallbacks.push(callback);
+    }
+    if (this.running) {
+      // 正在构建，替换 _done，本次构建结束时执行关闭
+      this.invalid = true;
+      this._done = finalCallback;
+    } else {
+      finalCallback(null);
+    }
+  }
 }
 
 module.exports = Watching;
@@ -7,12 +7,486 @@
 
 const OptionsApply = require("./OptionsApply");
 
+const EntryOptionPlugin = require("./EntryOptionPlugin");
+const RecordIdsPlugin = require("./RecordIdsPlugin");
+const TemplatedPathPlugin = require("./TemplatedPathPlugin");
+
+const { cleverMerge } = require("./util/cleverMerge");
+
+/**
+ * 把规范化（并填充了默认值）的配置转换为编译器的属性和内置插件
+ */
 class WebpackOptionsApply extends OptionsApply {
   constructor() {
     super();
   }
 
-  process(options, compiler) {}
+  /**
+   * @param {WebpackOptionsNormalized} options 规范化后的配置
+   * @param {Compiler} compiler 编译器实例
+   * @returns {WebpackOptionsNormalized} options object
+   */
+  process(options, compiler) {
+    compiler.outputPath = options.output.path;
+    compiler.recordsInputPath = options.recordsInputPath || null;
+    compiler.recordsOutputPath = options.recordsOutputPath || null;
+    compiler.name = options.name;
+
+    // externals 中的请求不打包，生成从运行环境中获取的外部模块
+    if (options.externals) {
+      const ExternalsPlugin = require("./ExternalsPlugin");
+      new ExternalsPlugin(options.externalsType, options.externals).apply(
+        compiler
+      );
+    }
+
+    // 按 target 推导出的 externalsPresets，把运行环境自带的模块作为外部模块
+    if (options.externalsPresets.node) {
+      const NodeTargetPlugin = require("./node/NodeTargetPlugin");
+      new NodeTargetPlugin().apply(compiler);
+    }
+    if (options.externalsPresets.electronMain) {
+      const ElectronTargetPlugin = require("./electron/ElectronTargetPlugin");
+      new ElectronTargetPlugin("main").apply(compiler);
+    }
+    if (options.externalsPresets.electronPreload) {
+      const ElectronTargetPlugin = require("./electron/ElectronTargetPlugin");
+      new ElectronTargetPlugin("preload").apply(compiler);
+    }
+    if (options.externalsPresets.electronRenderer) {
+      const ElectronTargetPlugin = require("./electron/ElectronTargetPlugin");
+      new ElectronTargetPlugin("renderer").apply(compiler);
+    }
+    if (
+      options.externalsPresets.electron &&
+      !options.externalsPresets.electronMain &&
+      !options.externalsPresets.electronPreload &&
+      !options.externalsPresets.electronRenderer
+    ) {
+      const ElectronTargetPlugin = require("./electron/ElectronTargetPlugin");
+      new ElectronTargetPlugin().apply(compiler);
+    }
+    if (options.externalsPresets.nwjs) {
+      const ExternalsPlugin = require("./ExternalsPlugin");
+      new ExternalsPlugin("node-commonjs", "nw.gui").apply(compiler);
+    }
+    // 浏览器环境中 http(s) 地址的请求在运行时直接加载
+    if (options.externalsPresets.webAsync) {
+      const ExternalsPlugin = require("./ExternalsPlugin");
+      new ExternalsPlugin("import", ({ request, dependencyType }, callback) => {
+        if (dependencyType === "url") {
+          if (/^(\/\/|https?:\/\/|#)/.test(/** @type {string} */ (request)))
+            return callback(null, `asset ${request}`);
+        }
+        callback();
+      }).apply(compiler);
+    } else if (options.externalsPresets.web) {
+      const ExternalsPlugin = require("./ExternalsPlugin");
+      new ExternalsPlugin("module", ({ request, dependencyType }, callback) => {
+        if (dependencyType === "url") {
+          if (/^(\/\/|https?:\/\/|#)/.test(/** @type {string} */ (request)))
+            return callback(null, `asset ${request}`);
+        } else if (
+          /^(\/\/|https?:\/\/|std:)/.test(/** @type {string} */ (request))
+        ) {
+          return callback(null, `module ${request}`);
+        }
+        callback();
+      }).apply(compiler);
+    }
+
+    // chunk 文件的格式，由 target 决定（浏览器 array-push，node commonjs，ESM module）
+    if (typeof options.output.chunkFormat === "string") {
+      switch (options.output.chunkFormat) {
+        case "array-push": {
+          const ArrayPushCallbackChunkFormatPlugin = require("./javascript/ArrayPushCallbackChunkFormatPlugin");
+          new ArrayPushCallbackChunkFormatPlugin().apply(compiler);
+          break;
+        }
+        case "commonjs": {
+          const CommonJsChunkFormatPlugin = require("./javascript/CommonJsChunkFormatPlugin");
+          new CommonJsChunkFormatPlugin().apply(compiler);
+          break;
+        }
+        case "module": {
+          const ModuleChunkFormatPlugin = require("./esm/ModuleChunkFormatPlugin");
+          new ModuleChunkFormatPlugin().apply(compiler);
+          break;
+        }
+        default:
+          throw new Error(
+            `Unsupported chunk format '${options.output.chunkFormat}'.`
+          );
+      }
+    }
+
+    // 启用 chunk、wasm 的加载方式和 library 的类型，入口只能使用这里启用过的类型
+    const enabledChunkLoadingTypes = options.output.enabledChunkLoadingTypes;
+    if (enabledChunkLoadingTypes.length > 0) {
+      for (const type of enabledChunkLoadingTypes) {
+        const EnableChunkLoadingPlugin = require("./javascript/EnableChunkLoadingPlugin");
+        new EnableChunkLoadingPlugin(type).apply(compiler);
+      }
+    }
+
+    const enabledWasmLoadingTypes = options.output.enabledWasmLoadingTypes;
+    if (enabledWasmLoadingTypes.length > 0) {
+      for (const type of enabledWasmLoadingTypes) {
+        const EnableWasmLoadingPlugin = require("./wasm/EnableWasmLoadingPlugin");
+        new EnableWasmLoadingPlugin(type).apply(compiler);
+      }
+    }
+
+    const enabledLibraryTypes = options.output.enabledLibraryTypes;
+    if (enabledLibraryTypes.length > 0) {
+      for (const type of enabledLibraryTypes) {
+        const EnableLibraryPlugin = require("./library/EnableLibraryPlugin");
+        new EnableLibraryPlugin(type).apply(compiler);
+      }
+    }
+
+    // devtool：source-map 系列生成 SourceMap（带 eval 时内联在 eval 代码中），eval 只用 eval 包裹模块代码
+    if (options.devtool) {
+      if (options.devtool.includes("source-map")) {
+        const hidden = options.devtool.includes("hidden");
+        const inline = options.devtool.includes("inline");
+        const evalWrapped = options.devtool.includes("eval");
+        const cheap = options.devtool.includes("cheap");
+        const moduleMaps = options.devtool.includes("module");
+        const noSources = options.devtool.includes("nosources");
+        const Plugin = evalWrapped
+          ? require("./EvalSourceMapDevToolPlugin")
+          : require("./SourceMapDevToolPlugin");
+        new Plugin({
+          filename: inline ? null : options.output.sourceMapFilename,
+          moduleFilenameTemplate: options.output.devtoolModuleFilenameTemplate,
+          fallbackModuleFilenameTemplate:
+            options.output.devtoolFallbackModuleFilenameTemplate,
+          append: hidden ? false : undefined,
+          module: moduleMaps ? true : !cheap,
+          columns: !cheap,
+          noSources,
+          namespace: options.output.devtoolNamespace,
+        }).apply(compiler);
+      } else if (options.devtool.includes("eval")) {
+        const EvalDevToolModulePlugin = require("./EvalDevToolModulePlugin");
+        new EvalDevToolModulePlugin({
+          moduleFilenameTemplate: options.output.devtoolModuleFilenameTemplate,
+          namespace: options.output.devtoolNamespace,
+        }).apply(compiler);
+      }
+    }
+
+    if (!options.experiments.outputModule) {
+      if (options.output.module) {
+        throw new Error(
+          "'output.module: true' is only allowed when 'experiments.outputModule' is enabled"
+        );
+      }
+      if (options.output.enabledLibraryTypes.includes("module")) {
+        throw new Error(
+          "library type \"module\" is only allowed when 'experiments.outputModule' is enabled"
+        );
+      }
+      if (options.output.enabledLibraryTypes.includes("modern-module")) {
+        throw new Error(
+          "library type \"modern-module\" is only allowed when 'experiments.outputModule' is enabled"
+        );
+      }
+      if (
+        options.externalsType === "module" ||
+        options.externalsType === "module-import"
+      ) {
+        throw new Error(
+          "'externalsType: \"module\"' is only allowed when 'experiments.outputModule' is enabled"
+        );
+      }
+    }
+
+    // 处理 entry 配置，为每个入口注册 EntryPlugin（或 DynamicEntryPlugin）
+    // 入口会检查 chunkLoading、wasmLoading、library 的类型，需要在启用这些类型之后
+    new EntryOptionPlugin().apply(compiler);
+    compiler.hooks.entryOption.call(options.context, options.entry);
+
+    // 按 optimization.moduleIds 选择模块 id 的生成方式，false 时由用户自己的插件分配
+    const moduleIds = options.optimization.moduleIds;
+    if (moduleIds) {
+      switch (moduleIds) {
+        case "natural": {
+          const NaturalModuleIdsPlugin = require("./ids/NaturalModuleIdsPlugin");
+          new NaturalModuleIdsPlugin().apply(compiler);
+          break;
+        }
+        case "named": {
+          const NamedModuleIdsPlugin = require("./ids/NamedModuleIdsPlugin");
+          new NamedModuleIdsPlugin().apply(compiler);
+          break;
+        }
+        case "hashed": {
+          const WarnDeprecatedOptionPlugin = require("./WarnDeprecatedOptionPlugin");
+          const HashedModuleIdsPlugin = require("./ids/HashedModuleIdsPlugin");
+          new WarnDeprecatedOptionPlugin(
+            "optimization.moduleIds",
+            "hashed",
+            "deterministic"
+          ).apply(compiler);
+          new HashedModuleIdsPlugin({
+            hashFunction: options.output.hashFunction,
+          }).apply(compiler);
+          break;
+        }
+        case "deterministic": {
+          const DeterministicModuleIdsPlugin = require("./ids/DeterministicModuleIdsPlugin");
+          new DeterministicModuleIdsPlugin().apply(compiler);
+          break;
+        }
+        case "size": {
+          const OccurrenceModuleIdsPlugin = require("./ids/OccurrenceModuleIdsPlugin");
+          new OccurrenceModuleIdsPlugin({
+            prioritiseInitial: true,
+          }).apply(compiler);
+          break;
+        }
+        default:
+          throw new Error(
+            `webpack bug: moduleIds: ${moduleIds} is not implemented`
+          );
+      }
+    }
+    // 按 optimization.chunkIds 选择 chunk id 的生成方式
+    const chunkIds = options.optimization.chunkIds;
+    if (chunkIds) {
+      switch (chunkIds) {
+        case "natural": {
+          const NaturalChunkIdsPlugin = require("./ids/NaturalChunkIdsPlugin");
+          new NaturalChunkIdsPlugin().apply(compiler);
+          break;
+        }
+        case "named": {
+          const NamedChunkIdsPlugin = require("./ids/NamedChunkIdsPlugin");
+          new NamedChunkIdsPlugin().apply(compiler);
+          break;
+        }
+        case "deterministic": {
+          const DeterministicChunkIdsPlugin = require("./ids/DeterministicChunkIdsPlugin");
+          new DeterministicChunkIdsPlugin().apply(compiler);
+          break;
+        }
+        case "size": {
+          const OccurrenceChunkIdsPlugin = require("./ids/OccurrenceChunkIdsPlugin");
+          new OccurrenceChunkIdsPlugin({
+            prioritiseInitial: true,
+          }).apply(compiler);
+          break;
+        }
+        case "total-size": {
+          const OccurrenceChunkIdsPlugin = require("./ids/OccurrenceChunkIdsPlugin");
+          new OccurrenceChunkIdsPlugin({
+            prioritiseInitial: false,
+          }).apply(compiler);
+          break;
+        }
+        default:
+          throw new Error(
+            `webpack bug: chunkIds: ${chunkIds} is not implemented`
+          );
+      }
+    }
+
+    if (options.optimization.minimize) {
+      // minimizer 中的 "..." 表示默认的压缩插件，在填充默认值时已经展开
+      for (const minimizer of options.optimization.minimizer) {
+        if (typeof minimizer === "function") {
+          minimizer.call(compiler, compiler);
+        } else if (minimizer !== "..." && minimizer) {
+          minimizer.apply(compiler);
+        }
+      }
+    }
+
+    // 为 javascript 类型的模块注册解析器和生成器
+    const JavascriptModulesPlugin = require("./javascript/JavascriptModulesPlugin");
+    new JavascriptModulesPlugin().apply(compiler);
+
+    // 解析 ESM 的 import/export 语句并生成对应的依赖
+    const HarmonyModulesPlugin = require("./dependencies/HarmonyModulesPlugin");
+    new HarmonyModulesPlugin({
+      topLevelAwait: options.experiments.topLevelAwait,
+    }).apply(compiler);
+
+    // 解析 CommonJS 的 require 调用和 exports/module.exports 导出
+    const CommonJsPlugin = require("./dependencies/CommonJsPlugin");
+    new CommonJsPlugin().apply(compiler);
+
+    // 解析 require.context，并为上下文模块中的文件注册模块工厂
+    const RequireContextPlugin = require("./dependencies/RequireContextPlugin");
+    new RequireContextPlugin().apply(compiler);
+
+    // 解析 import()，表达式请求生成按 parser.dynamicImportMode 加载的上下文模块
+    const ImportPlugin = require("./dependencies/ImportPlugin");
+    new ImportPlugin().apply(compiler);
+
+    // 读取普通文件以及 file: 协议的资源
+    const FileUriPlugin = require("./schemes/FileUriPlugin");
+    new FileUriPlugin().apply(compiler);
+
+    // 替换输出路径中的 [name]、[contenthash] 等占位符
+    new TemplatedPathPlugin().apply(compiler);
+
+    // 把模块和 chunk 的 id 写入 records，并在下次构建时恢复，保持 id 稳定
+    new RecordIdsPlugin({
+      portableIds: options.optimization.portableRecords,
+    }).apply(compiler);
+
+    // output.clean：emit 前清理输出目录中不属于本次构建的文件
+    if (options.output.clean) {
+      const CleanPlugin = require("./CleanPlugin");
+      new CleanPlugin(
+        options.output.clean === true ? {} : options.output.clean
+      ).apply(compiler);
+    }
+
+    // snapshot 中的托管路径、不可变路径交给 Compilation 的 FileSystemInfo 使用
+    const AddManagedPathsPlugin = require("./cache/AddManagedPathsPlugin");
+    new AddManagedPathsPlugin(
+      options.snapshot.managedPaths,
+      options.snapshot.immutablePaths,
+      options.snapshot.unmanagedPaths
+    ).apply(compiler);
+
+    // 根据 cache 配置注册缓存插件
+    if (options.cache && typeof options.cache === "object") {
+      const cacheOptions = options.cache;
+      switch (cacheOptions.type) {
+        case "memory": {
+          // 设置了 maxGenerations 时使用带垃圾回收的内存缓存
+          if (Number.isFinite(cacheOptions.maxGenerations)) {
+            const MemoryWithGcCachePlugin = require("./cache/MemoryWithGcCachePlugin");
+            new MemoryWithGcCachePlugin({
+              maxGenerations: cacheOptions.maxGenerations,
+            }).apply(compiler);
+          } else {
+            const MemoryCachePlugin = require("./cache/MemoryCachePlugin");
+            new MemoryCachePlugin().apply(compiler);
+          }
+          if (cacheOptions.cacheUnaffected) {
+            if (!options.experiments.cacheUnaffected) {
+              throw new Error(
+                "'cache.cacheUnaffected: true' is only allowed when 'experiments.cacheUnaffected' is enabled"
+              );
+            }
+            compiler.moduleMemCaches = new Map();
+          }
+          break;
+        }
+        case "filesystem": {
+          // cache.buildDependencies 中的文件（通常是配置文件本身）变化时，缓存整体失效
+          const AddBuildDependenciesPlugin = require("./cache/AddBuildDependenciesPlugin");
+          for (const key in cacheOptions.buildDependencies) {
+            const list = cacheOptions.buildDependencies[key];
+            new AddBuildDependenciesPlugin(list).apply(compiler);
+          }
+          // 文件系统缓存之前还有一层内存缓存，maxMemoryGenerations 为 0 时不使用内存缓存
+          if (!Number.isFinite(cacheOptions.maxMemoryGenerations)) {
+            const MemoryCachePlugin = require("./cache/MemoryCachePlugin");
+            new MemoryCachePlugin().apply(compiler);
+          } else if (cacheOptions.maxMemoryGenerations !== 0) {
+            const MemoryWithGcCachePlugin = require("./cache/MemoryWithGcCachePlugin");
+            new MemoryWithGcCachePlugin({
+              maxGenerations: cacheOptions.maxMemoryGenerations,
+            }).apply(compiler);
+          }
+          if (cacheOptions.memoryCacheUnaffected) {
+            if (!options.experiments.cacheUnaffected) {
+              throw new Error(
+                "'cache.memoryCacheUnaffected: true' is only allowed when 'experiments.cacheUnaffected' is enabled"
+              );
+            }
+            compiler.moduleMemCaches = new Map();
+          }
+          switch (cacheOptions.store) {
+            case "pack": {
+              // 空闲时把缓存以 pack 文件的形式写入 cacheLocation
+              const IdleFileCachePlugin = require("./cache/IdleFileCachePlugin");
+              const PackFileCacheStrategy = require("./cache/PackFileCacheStrategy");
+              new IdleFileCachePlugin(
+                new PackFileCacheStrategy({
+                  compiler,
+                  fs: compiler.intermediateFileSystem,
+                  context: options.context,
+                  cacheLocation: cacheOptions.cacheLocation,
+                  version: cacheOptions.version,
+                  logger: compiler.getInfrastructureLogger(
+                    "webpack.cache.PackFileCacheStrategy"
+                  ),
+                  snapshot: options.snapshot,
+                  maxAge: cacheOptions.maxAge,
+                  profile: cacheOptions.profile,
+                  allowCollectingMemory: cacheOptions.allowCollectingMemory,
+                  readonly: cacheOptions.readonly,
+                  compression: cacheOptions.compression,
+                }),
+                cacheOptions.idleTimeout,
+                cacheOptions.idleTimeoutForInitialStore,
+                cacheOptions.idleTimeoutAfterLargeChanges
+              ).apply(compiler);
+              break;
+            }
+            default:
+              throw new Error("Unhandled value for cache.store");
+          }
+          break;
+        }
+        default:
+          throw new Error(`Unknown cache type ${cacheOptions.type}`);
+      }
+    }
+
+    // stats 的预设、提取规则和打印规则
+    const DefaultStatsFactoryPlugin = require("./stats/DefaultStatsFactoryPlugin");
+    const DefaultStatsPresetPlugin = require("./stats/DefaultStatsPresetPlugin");
+    const DefaultStatsPrinterPlugin = require("./stats/DefaultStatsPrinterPlugin");
+    new DefaultStatsFactoryPlugin().apply(compiler);
+    new DefaultStatsPresetPlugin().apply(compiler);
+    new DefaultStatsPrinterPlugin().apply(compiler);
+
+    if (options.ignoreWarnings && options.ignoreWarnings.length > 0) {
+      const IgnoreWarningsPlugin = require("./IgnoreWarningsPlugin");
+      new IgnoreWarningsPlugin(options.ignoreWarnings).apply(compiler);
+    }
+
+    compiler.hooks.afterPlugins.call(compiler);
+    if (!compiler.inputFileSystem) {
+      throw new Error("No input filesystem provided");
+    }
+
+    // 创建解析器时合并 resolve / resolveLoader 配置，并使用编译器的输入文件系统
+    compiler.resolverFactory.hooks.resolveOptions
+      .for("normal")
+      .tap("WebpackOptionsApply", (resolveOptions) => {
+        resolveOptions = cleverMerge(options.resolve, resolveOptions);
+        resolveOptions.fileSystem = compiler.inputFileSystem;
+        return resolveOptions;
+      });
+    compiler.resolverFactory.hooks.resolveOptions
+      .for("context")
+      .tap("WebpackOptionsApply", (resolveOptions) => {
+        resolveOptions = cleverMerge(options.resolve, resolveOptions);
+        resolveOptions.fileSystem = compiler.inputFileSystem;
+        // 目录请求（require.context）解析到目录而不是文件
+        resolveOptions.resolveToContext = true;
+        return resolveOptions;
+      });
+    compiler.resolverFactory.hooks.resolveOptions
+      .for("loader")
+      .tap("WebpackOptionsApply", (resolveOptions) => {
+        resolveOptions = cleverMerge(options.resolveLoader, resolveOptions);
+        resolveOptions.fileSystem = compiler.inputFileSystem;
+        return resolveOptions;
+      });
+    compiler.hooks.afterResolvers.call(compiler);
+    return options;
+  }
 }
 
 module.exports = WebpackOptionsApply;
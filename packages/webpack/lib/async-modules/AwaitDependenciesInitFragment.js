@@ -0,0 +1,72 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const InitFragment = require("../InitFragment");
+const RuntimeGlobals = require("../RuntimeGlobals");
+const Template = require("../Template");
+
+/**
+ * 异步模块中等待依赖的异步模块完成的初始化代码
+ * @extends {InitFragment<GenerateContext>}
+ */
+class AwaitDependenciesInitFragment extends InitFragment {
+  /**
+   * @param {Set<string>} promises the promises that should be awaited
+   */
+  constructor(promises) {
+    super(
+      undefined,
+      InitFragment.STAGE_ASYNC_DEPENDENCIES,
+      0,
+      "await-dependencies"
+    );
+    this.promises = promises;
+  }
+
+  /**
+   * 合并需要等待的依赖
+   * @param {AwaitDependenciesInitFragment} other other AwaitDependenciesInitFragment
+   * @returns {AwaitDependenciesInitFragment} AwaitDependenciesInitFragment
+   */
+  merge(other) {
+    const promises = new Set(other.promises);
+    for (const p of this.promises) {
+      promises.add(p);
+    }
+    return new AwaitDependenciesInitFragment(promises);
+  }
+
+  /**
+   * 生成等待依赖的代码
+   * @param {GenerateContext} context context
+   * @returns {string | Source | undefined} the source code that will be included as initialization code
+   */
+  getContent({ runtimeRequirements }) {
+    runtimeRequirements.add(RuntimeGlobals.module);
+    const promises = this.promises;
+    if (promises.size === 0) {
+      return "";
+    }
+    if (promises.size === 1) {
+      const [p] = promises;
+      return Template.asString([
+        `var __webpack_async_dependencies__ = __webpack_handle_async_dependencies__([${p}]);`,
+        `${p} = (__webpack_async_dependencies__.then ? (await __webpack_async_dependencies__)() : __webpack_async_dependencies__)[0];`,
+        "",
+      ]);
+    }
+    const sepPromises = Array.from(promises).join(", ");
+    // TODO 检查目标环境是否支持解构
+    return Template.asString([
+      `var __webpack_async_dependencies__ = __webpack_handle_async_dependencies__([${sepPromises}]);`,
+      `([${sepPromises}] = __webpack_async_dependencies__.then ? (await __webpack_async_dependencies__)() : __webpack_async_dependencies__);`,
+      "",
+    ]);
+  }
+}
+
+module.exports = AwaitDependenciesInitFragment;
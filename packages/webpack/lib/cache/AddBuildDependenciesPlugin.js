@@ -0,0 +1,35 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 把 cache.buildDependencies 中配置的文件加入 compilation.buildDependencies，
+ * 这些文件变化时持久化缓存会整体失效
+ */
+class AddBuildDependenciesPlugin {
+  /**
+   * @param {Iterable<string>} buildDependencies list of build dependencies
+   */
+  constructor(buildDependencies) {
+    this.buildDependencies = new Set(buildDependencies);
+  }
+
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      "AddBuildDependenciesPlugin",
+      (compilation) => {
+        compilation.buildDependencies.addAll(this.buildDependencies);
+      }
+    );
+  }
+}
+
+module.exports = AddBuildDependenciesPlugin;
@@ -0,0 +1,247 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Cache = require("../Cache");
+
+/** 构建依赖在 pendingIdleTasks 中对应的 key */
+const BUILD_DEPENDENCIES_KEY = Symbol("build dependencies key");
+
+/**
+ * 在 STAGE_DISK 阶段接入 Cache 的钩子，把读写交给持久化策略（PackFileCacheStrategy）
+ * 写入不会立即落盘，而是先记录为待处理任务，等编译器空闲（beginIdle）一段时间后再分批执行，
+ * 避免磁盘写入拖慢编译
+ */
+class IdleFileCachePlugin {
+  /**
+   * @param {PackFileCacheStrategy} strategy cache strategy
+   * @param {number} idleTimeout timeout
+   * @param {number} idleTimeoutForInitialStore initial timeout
+   * @param {number} idleTimeoutAfterLargeChanges timeout after changes
+   */
+  constructor(
+    strategy,
+    idleTimeout,
+    idleTimeoutForInitialStore,
+    idleTimeoutAfterLargeChanges
+  ) {
+    this.strategy = strategy;
+    this.idleTimeout = idleTimeout;
+    this.idleTimeoutForInitialStore = idleTimeoutForInitialStore;
+    this.idleTimeoutAfterLargeChanges = idleTimeoutAfterLargeChanges;
+  }
+
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const strategy = this.strategy;
+    const idleTimeout = this.idleTimeout;
+    const idleTimeoutForInitialStore = Math.min(
+      idleTimeout,
+      this.idleTimeoutForInitialStore
+    );
+    const idleTimeoutAfterLargeChanges = this.idleTimeoutAfterLargeChanges;
+    const resolvedPromise = Promise.resolve();
+
+    // 记录编译与持久化的耗时，用来判断是否属于“大改动”，大改动后会更早地持久化
+    let timeSpendInBuild = 0;
+    let timeSpendInStore = 0;
+    let avgTimeSpendInStore = 0;
+
+    /**
+     * 等待空闲时执行的持久化任务，同一个 identifier 只保留最后一次写入
+     * @type {Map<string | typeof BUILD_DEPENDENCIES_KEY, () => Promise<void>>}
+     */
+    const pendingIdleTasks = new Map();
+
+    compiler.cache.hooks.store.tap(
+      { name: "IdleFileCachePlugin", stage: Cache.STAGE_DISK },
+      (identifier, etag, data) => {
+        pendingIdleTasks.set(identifier, () =>
+          strategy.store(identifier, etag, data)
+        );
+      }
+    );
+
+    // 内存缓存未命中时从磁盘恢复，磁盘也没有时在拿到结果后补充写入
+    compiler.cache.hooks.get.tapPromise(
+      { name: "IdleFileCachePlugin", stage: Cache.STAGE_DISK },
+      (identifier, etag, gotHandlers) => {
+        const restore = () =>
+          strategy.restore(identifier, etag).then((cacheEntry) => {
+            if (cacheEntry === undefined) {
+              gotHandlers.push((result, callback) => {
+                if (result !== undefined) {
+                  pendingIdleTasks.set(identifier, () =>
+                    strategy.store(identifier, etag, result)
+                  );
+                }
+                callback();
+              });
+            } else {
+              return cacheEntry;
+            }
+          });
+        // 还有未执行的写入任务时先执行，保证读到的是最新的数据
+        const pendingTask = pendingIdleTasks.get(identifier);
+        if (pendingTask !== undefined) {
+          pendingIdleTasks.delete(identifier);
+          return pendingTask().then(restore);
+        }
+        return restore();
+      }
+    );
+
+    compiler.cache.hooks.storeBuildDependencies.tap(
+      { name: "IdleFileCachePlugin", stage: Cache.STAGE_DISK },
+      (dependencies) => {
+        pendingIdleTasks.set(BUILD_DEPENDENCIES_KEY, () =>
+          Promise.resolve().then(() =>
+            strategy.storeBuildDependencies(dependencies)
+          )
+        );
+      }
+    );
+
+    // 关闭时立即执行所有待处理的任务并持久化
+    compiler.cache.hooks.shutdown.tapPromise(
+      { name: "IdleFileCachePlugin", stage: Cache.STAGE_DISK },
+      () => {
+        if (idleTimer) {
+          clearTimeout(idleTimer);
+          idleTimer = undefined;
+        }
+        isIdle = false;
+        const jobs = Array.from(pendingIdleTasks.values());
+        const promises = jobs.map((fn) => fn());
+        pendingIdleTasks.clear();
+        promises.push(currentIdlePromise);
+        const promise = Promise.all(promises);
+        currentIdlePromise = promise.then(() => strategy.afterAllStored());
+        return currentIdlePromise.then(() => {
+          // 重置持久化策略的状态
+          if (strategy.clear) strategy.clear();
+        });
+      }
+    );
+
+    /** @type {Promise<any>} */
+    let currentIdlePromise = resolvedPromise;
+    let isIdle = false;
+    let isInitialStore = true;
+    // 分批执行待处理任务，每批最多 100 个或 100ms，批次之间让出事件循环
+    // 任务全部执行完后调用 strategy.afterAllStored() 把 pack 写入磁盘
+    const processIdleTasks = () => {
+      if (isIdle) {
+        const startTime = Date.now();
+        if (pendingIdleTasks.size > 0) {
+          const promises = [currentIdlePromise];
+          const maxTime = startTime + 100;
+          let maxCount = 100;
+          for (const [filename, factory] of pendingIdleTasks) {
+            pendingIdleTasks.delete(filename);
+            promises.push(factory());
+            if (maxCount-- <= 0 || Date.now() > maxTime) break;
+          }
+          currentIdlePromise = Promise.all(promises);
+          currentIdlePromise.then(() => {
+            timeSpendInStore += Date.now() - startTime;
+            // 允许进程在批次之间退出
+            idleTimer = setTimeout(processIdleTasks, 0);
+            idleTimer.unref();
+          });
+          return;
+        }
+        currentIdlePromise = currentIdlePromise
+          .then(async () => {
+            await strategy.afterAllStored();
+            timeSpendInStore += Date.now() - startTime;
+            avgTimeSpendInStore =
+              Math.max(avgTimeSpendInStore, timeSpendInStore) * 0.9 +
+              timeSpendInStore * 0.1;
+            timeSpendInStore = 0;
+            timeSpendInBuild = 0;
+          })
+          .catch((err) => {
+            const logger = compiler.getInfrastructureLogger(
+              "IdleFileCachePlugin"
+            );
+            logger.warn(`Background tasks during idle failed: ${err.message}`);
+            logger.debug(err.stack);
+          });
+        isInitialStore = false;
+      }
+    };
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    let idleTimer;
+    // 编译结束进入空闲，等待 idleTimeout 后开始持久化
+    // 首次构建以及大改动之后使用更短的等待时间
+    compiler.cache.hooks.beginIdle.tap(
+      { name: "IdleFileCachePlugin", stage: Cache.STAGE_DISK },
+      () => {
+        const isLargeChange = timeSpendInBuild > avgTimeSpendInStore * 2;
+        if (isInitialStore && idleTimeoutForInitialStore < idleTimeout) {
+          compiler
+            .getInfrastructureLogger("IdleFileCachePlugin")
+            .log(
+              `Initial cache was generated and cache will be persisted in ${
+                idleTimeoutForInitialStore / 1000
+              }s.`
+            );
+        } else if (
+          isLargeChange &&
+          idleTimeoutAfterLargeChanges < idleTimeout
+        ) {
+          compiler
+            .getInfrastructureLogger("IdleFileCachePlugin")
+            .log(
+              `Spend ${Math.round(timeSpendInBuild) / 1000}s in build and ${
+                Math.round(avgTimeSpendInStore) / 1000
+              }s in average in cache store. This is considered as large change and cache will be persisted in ${
+                idleTimeoutAfterLargeChanges / 1000
+              }s.`
+            );
+        }
+        idleTimer = setTimeout(
+          () => {
+            idleTimer = undefined;
+            isIdle = true;
+            resolvedPromise.then(processIdleTasks);
+          },
+          Math.min(
+            isInitialStore ? idleTimeoutForInitialStore : Infinity,
+            isLargeChange ? idleTimeoutAfterLargeChanges : Infinity,
+            idleTimeout
+          )
+        );
+        idleTimer.unref();
+      }
+    );
+    // 新的编译开始，暂停持久化
+    compiler.cache.hooks.endIdle.tap(
+      { name: "IdleFileCachePlugin", stage: Cache.STAGE_DISK },
+      () => {
+        if (idleTimer) {
+          clearTimeout(idleTimer);
+          idleTimer = undefined;
+        }
+        isIdle = false;
+      }
+    );
+    compiler.hooks.done.tap("IdleFileCachePlugin", (stats) => {
+      // 忽略 10% 的编译开销，这部分无法被缓存
+      timeSpendInBuild *= 0.9;
+      timeSpendInBuild +=
+        /** @type {number} */ (stats.endTime) -
+        /** @type {number} */ (stats.startTime);
+    });
+  }
+}
+
+module.exports = IdleFileCachePlugin;
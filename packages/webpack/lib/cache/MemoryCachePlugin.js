@@ -0,0 +1,58 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Cache = require("../Cache");
+
+/**
+ * 不限制大小的内存缓存，在 STAGE_MEMORY 阶段处理读写
+ * 缓存在同一个进程的多次编译（watch 模式）之间共享
+ */
+class MemoryCachePlugin {
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    // null 表示已经确认没有缓存
+    /** @type {Map<string, { etag: Etag | null, data: any } | null>} */
+    const cache = new Map();
+    compiler.cache.hooks.store.tap(
+      { name: "MemoryCachePlugin", stage: Cache.STAGE_MEMORY },
+      (identifier, etag, data) => {
+        cache.set(identifier, { etag, data });
+      }
+    );
+    compiler.cache.hooks.get.tap(
+      { name: "MemoryCachePlugin", stage: Cache.STAGE_MEMORY },
+      (identifier, etag, gotHandlers) => {
+        const cacheEntry = cache.get(identifier);
+        if (cacheEntry === null) {
+          return null;
+        } else if (cacheEntry !== undefined) {
+          return cacheEntry.etag === etag ? cacheEntry.data : null;
+        }
+        // 内存中没有时，等后续阶段（例如文件系统缓存）返回结果后保存到内存
+        gotHandlers.push((result, callback) => {
+          if (result === undefined) {
+            cache.set(identifier, null);
+          } else {
+            cache.set(identifier, { etag, data: result });
+          }
+          return callback();
+        });
+      }
+    );
+    compiler.cache.hooks.shutdown.tap(
+      { name: "MemoryCachePlugin", stage: Cache.STAGE_MEMORY },
+      () => {
+        cache.clear();
+      }
+    );
+  }
+}
+module.exports = MemoryCachePlugin;
@@ -0,0 +1,136 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Cache = require("../Cache");
+
+/**
+ * 带垃圾回收的内存缓存，对应 cache.maxGenerations
+ * 每次编译结束（afterDone）为一代，每代把一部分缓存项移入 oldCache，
+ * 在 maxGenerations 代内没有再被访问的缓存项会被移除
+ */
+class MemoryWithGcCachePlugin {
+  /**
+   * @param {object} options Options
+   * @param {number} options.maxGenerations max generations
+   */
+  constructor({ maxGenerations }) {
+    this._maxGenerations = maxGenerations;
+  }
+
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const maxGenerations = this._maxGenerations;
+    /** @type {Map<string, { etag: Etag | null, data: any } | undefined | null>} */
+    const cache = new Map();
+    // 最近未被访问的缓存项，until 为过期的代数
+    /** @type {Map<string, { entry: { etag: Etag | null, data: any } | null, until: number }>} */
+    const oldCache = new Map();
+    let generation = 0;
+    let cachePosition = 0;
+    const logger = compiler.getInfrastructureLogger("MemoryWithGcCachePlugin");
+    compiler.hooks.afterDone.tap("MemoryWithGcCachePlugin", () => {
+      generation++;
+      let clearedEntries = 0;
+      let lastClearedIdentifier;
+      // 移除已经过期且期间没有被访问的缓存项
+      /* istanbul ignore next */
+      for (const [identifier, entry] of oldCache) {
+        if (entry.until > generation) break;
+
+        oldCache.delete(identifier);
+        if (cache.get(identifier) === undefined) {
+          cache.delete(identifier);
+          clearedEntries++;
+          lastClearedIdentifier = identifier;
+        }
+      }
+      if (clearedEntries > 0 || oldCache.size > 0) {
+        logger.log(
+          `${cache.size - oldCache.size} active entries, ${
+            oldCache.size
+          } recently unused cached entries${
+            clearedEntries > 0
+              ? `, ${clearedEntries} old unused cache entries removed e. g. ${lastClearedIdentifier}`
+              : ""
+          }`
+        );
+      }
+      // 每代把 1/maxGenerations 的缓存项移入 oldCache，cachePosition 记录上次处理到的位置
+      let i = (cache.size / maxGenerations) | 0;
+      let j = cachePosition >= cache.size ? 0 : cachePosition;
+      cachePosition = j + i;
+      for (const [identifier, entry] of cache) {
+        if (j !== 0) {
+          j--;
+          continue;
+        }
+        if (entry !== undefined) {
+          // 不直接删除，而是设置为 undefined，保留在 Map 中的位置，
+          // 避免频繁增删带来的重新哈希，从 oldCache 移除时才真正删除
+          cache.set(identifier, undefined);
+          oldCache.delete(identifier);
+          oldCache.set(identifier, {
+            entry,
+            until: generation + maxGenerations,
+          });
+          if (i-- === 0) break;
+        }
+      }
+    });
+    compiler.cache.hooks.store.tap(
+      { name: "MemoryWithGcCachePlugin", stage: Cache.STAGE_MEMORY },
+      (identifier, etag, data) => {
+        cache.set(identifier, { etag, data });
+      }
+    );
+    compiler.cache.hooks.get.tap(
+      { name: "MemoryWithGcCachePlugin", stage: Cache.STAGE_MEMORY },
+      (identifier, etag, gotHandlers) => {
+        const cacheEntry = cache.get(identifier);
+        if (cacheEntry === null) {
+          return null;
+        } else if (cacheEntry !== undefined) {
+          return cacheEntry.etag === etag ? cacheEntry.data : null;
+        }
+        // 在 oldCache 中找到时重新放回 cache，重新开始计算代数
+        const oldCacheEntry = oldCache.get(identifier);
+        if (oldCacheEntry !== undefined) {
+          const cacheEntry = oldCacheEntry.entry;
+          if (cacheEntry === null) {
+            oldCache.delete(identifier);
+            cache.set(identifier, cacheEntry);
+            return null;
+          }
+          if (cacheEntry.etag !== etag) return null;
+          oldCache.delete(identifier);
+          cache.set(identifier, cacheEntry);
+          return cacheEntry.data;
+        }
+        gotHandlers.push((result, callback) => {
+          if (result === undefined) {
+            cache.set(identifier, null);
+          } else {
+            cache.set(identifier, { etag, data: result });
+          }
+          return callback();
+        });
+      }
+    );
+    compiler.cache.hooks.shutdown.tap(
+      { name: "MemoryWithGcCachePlugin", stage: Cache.STAGE_MEMORY },
+      () => {
+        cache.clear();
+        oldCache.clear();
+      }
+    );
+  }
+}
+module.exports = MemoryWithGcCachePlugin;
@@ -0,0 +1,1591 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const FileSystemInfo = require("../FileSystemInfo");
+const { formatSize } = require("../SizeFormatHelpers");
+const SerializerMiddleware = require("../serialization/SerializerMiddleware");
+const LazySet = require("../util/LazySet");
+const makeSerializable = require("../util/makeSerializable");
+const memoize = require("../util/memoize");
+const {
+  createFileSerializer,
+  NOT_SERIALIZABLE,
+} = require("../util/serialization");
+
+/** @typedef {Map<string, string | false>} ResolveResults */
+/** @typedef {Set<string>} Items */
+/** @typedef {Set<string>} BuildDependencies */
+/** @typedef {Map<string, PackItemInfo>} ItemInfo */
+
+/**
+ * 缓存入口文件（index.pack）中保存的容器
+ * 除了缓存数据本身外，还记录了版本和构建依赖的快照，恢复时据此判断缓存是否仍然有效
+ */
+class PackContainer {
+  /**
+   * @param {object} data stored data
+   * @param {string} version version identifier
+   * @param {Snapshot} buildSnapshot snapshot of all build dependencies
+   * @param {BuildDependencies} buildDependencies list of all unresolved build dependencies captured
+   * @param {ResolveResults} resolveResults result of the resolved build dependencies
+   * @param {Snapshot} resolveBuildDependenciesSnapshot snapshot of the dependencies of the build dependencies resolving
+   */
+  constructor(
+    data,
+    version,
+    buildSnapshot,
+    buildDependencies,
+    resolveResults,
+    resolveBuildDependenciesSnapshot
+  ) {
+    this.data = data;
+    this.version = version;
+    this.buildSnapshot = buildSnapshot;
+    this.buildDependencies = buildDependencies;
+    this.resolveResults = resolveResults;
+    this.resolveBuildDependenciesSnapshot = resolveBuildDependenciesSnapshot;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize({ write, writeLazy }) {
+    write(this.version);
+    write(this.buildSnapshot);
+    write(this.buildDependencies);
+    write(this.resolveResults);
+    write(this.resolveBuildDependenciesSnapshot);
+    /** @type {NonNullable<ObjectSerializerContext["writeLazy"]>} */
+    (writeLazy)(this.data);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize({ read }) {
+    this.version = read();
+    this.buildSnapshot = read();
+    this.buildDependencies = read();
+    this.resolveResults = read();
+    this.resolveBuildDependenciesSnapshot = read();
+    this.data = read();
+  }
+}
+
+makeSerializable(
+  PackContainer,
+  "webpack/lib/cache/PackFileCacheStrategy",
+  "PackContainer"
+);
+
+/** 小于该大小的 pack 文件会被合并 */
+const MIN_CONTENT_SIZE = 1024 * 1024; // 1 MB
+/** 小文件达到该数量时触发合并 */
+const CONTENT_COUNT_TO_MERGE = 10;
+/** 按请求时间拆分新 pack 时，每个 pack 至少包含的缓存项数量 */
+const MIN_ITEMS_IN_FRESH_PACK = 100;
+/** 单个新 pack 最多包含的缓存项数量 */
+const MAX_ITEMS_IN_FRESH_PACK = 50000;
+/** 在该时间内被请求的缓存项会被放进同一个 pack */
+const MAX_TIME_IN_FRESH_PACK = 1 * 60 * 1000; // 1 min
+
+/**
+ * 单个缓存项的元信息
+ * location 为 -1 表示该项是新写入的（freshValue），尚未放入任何 pack 文件
+ */
+class PackItemInfo {
+  /**
+   * @param {string} identifier identifier of item
+   * @param {string | null | undefined} etag etag of item
+   * @param {any} value fresh value of item
+   */
+  constructor(identifier, etag, value) {
+    this.identifier = identifier;
+    this.etag = etag;
+    this.location = -1;
+    this.lastAccess = Date.now();
+    this.freshValue = value;
+  }
+}
+
+/**
+ * 所有缓存项的集合
+ * 缓存项按访问顺序分组存放在多个 PackContent 中，每个 PackContent 序列化为一个单独的文件，
+ * 这样恢复时只需要反序列化实际用到的文件
+ */
+class Pack {
+  /**
+   * @param {Logger} logger a logger
+   * @param {number} maxAge max age of cache items
+   */
+  constructor(logger, maxAge) {
+    /** @type {ItemInfo} */
+    this.itemInfo = new Map();
+    /** @type {(string | undefined)[]} */
+    this.requests = [];
+    this.requestsTimeout = undefined;
+    /** @type {ItemInfo} */
+    this.freshContent = new Map();
+    /** @type {(undefined | PackContent)[]} */
+    this.content = [];
+    this.invalid = false;
+    this.logger = logger;
+    this.maxAge = maxAge;
+  }
+
+  /**
+   * 记录缓存项的请求顺序，写入新 pack 时按这个顺序分组，
+   * 每隔 MAX_TIME_IN_FRESH_PACK 插入一个 undefined 作为时间分隔
+   * @param {string} identifier identifier
+   */
+  _addRequest(identifier) {
+    this.requests.push(identifier);
+    if (this.requestsTimeout === undefined) {
+      this.requestsTimeout = setTimeout(() => {
+        this.requests.push(undefined);
+        this.requestsTimeout = undefined;
+      }, MAX_TIME_IN_FRESH_PACK);
+      if (this.requestsTimeout.unref) this.requestsTimeout.unref();
+    }
+  }
+
+  /**
+   * 停止记录请求顺序的定时器
+   */
+  stopCapturingRequests() {
+    if (this.requestsTimeout !== undefined) {
+      clearTimeout(this.requestsTimeout);
+      this.requestsTimeout = undefined;
+    }
+  }
+
+  /**
+   * 读取缓存项，etag 不匹配时返回 null
+   * 缓存项所在的 pack 还没有反序列化时，返回的可能是 Promise
+   * @param {string} identifier unique name for the resource
+   * @param {string | null} etag etag of the resource
+   * @returns {any} cached content
+   */
+  get(identifier, etag) {
+    const info = this.itemInfo.get(identifier);
+    this._addRequest(identifier);
+    if (info === undefined) {
+      return;
+    }
+    if (info.etag !== etag) return null;
+    info.lastAccess = Date.now();
+    const loc = info.location;
+    if (loc === -1) {
+      return info.freshValue;
+    }
+    if (!this.content[loc]) {
+      return;
+    }
+    return /** @type {PackContent} */ (this.content[loc]).get(identifier);
+  }
+
+  /**
+   * 写入缓存项，写入后整个 pack 被标记为 invalid，需要重新持久化
+   * 已经存在于某个 pack 文件中的项会从原文件中移除，成为新的 fresh 项
+   * @param {string} identifier unique name for the resource
+   * @param {string | null} etag etag of the resource
+   * @param {any} data cached content
+   * @returns {void}
+   */
+  set(identifier, etag, data) {
+    if (!this.invalid) {
+      this.invalid = true;
+      this.logger.log(`Pack got invalid because of write to: ${identifier}`);
+    }
+    const info = this.itemInfo.get(identifier);
+    if (info === undefined) {
+      const newInfo = new PackItemInfo(identifier, etag, data);
+      this.itemInfo.set(identifier, newInfo);
+      this._addRequest(identifier);
+      this.freshContent.set(identifier, newInfo);
+    } else {
+      const loc = info.location;
+      if (loc >= 0) {
+        this._addRequest(identifier);
+        this.freshContent.set(identifier, info);
+        const content = /** @type {PackContent} */ (this.content[loc]);
+        content.delete(identifier);
+        if (content.items.size === 0) {
+          this.content[loc] = undefined;
+          this.logger.debug("Pack %d got empty and is removed", loc);
+        }
+      }
+      info.freshValue = data;
+      info.lastAccess = Date.now();
+      info.etag = etag;
+      info.location = -1;
+    }
+  }
+
+  /**
+   * 统计 pack 文件的数量与总大小
+   * @returns {{ count: number, size: number }} stats
+   */
+  getContentStats() {
+    let count = 0;
+    let size = 0;
+    for (const content of this.content) {
+      if (content !== undefined) {
+        count++;
+        const s = content.getSize();
+        if (s > 0) {
+          size += s;
+        }
+      }
+    }
+    return { count, size };
+  }
+
+  /**
+   * 找到第一个空位，用作新 pack 的位置
+   * @returns {number} new location of data entries
+   */
+  _findLocation() {
+    let i;
+    for (i = 0; i < this.content.length && this.content[i] !== undefined; i++);
+    return i;
+  }
+
+  /**
+   * 移除超过 maxAge 没有被访问的缓存项，并把剩余项的位置更新为 newLoc
+   * @private
+   * @param {Items} items items
+   * @param {Items} usedItems used items
+   * @param {number} newLoc new location
+   */
+  _gcAndUpdateLocation(items, usedItems, newLoc) {
+    let count = 0;
+    let lastGC;
+    const now = Date.now();
+    for (const identifier of items) {
+      const info = /** @type {PackItemInfo} */ (this.itemInfo.get(identifier));
+      if (now - info.lastAccess > this.maxAge) {
+        this.itemInfo.delete(identifier);
+        items.delete(identifier);
+        usedItems.delete(identifier);
+        count++;
+        lastGC = identifier;
+      } else {
+        info.location = newLoc;
+      }
+    }
+    if (count > 0) {
+      this.logger.log(
+        "Garbage Collected %d old items at pack %d (%d items remaining) e. g. %s",
+        count,
+        newLoc,
+        items.size,
+        lastGC
+      );
+    }
+  }
+
+  /**
+   * 把新写入的缓存项按请求顺序分组放入新的 PackContent
+   */
+  _persistFreshContent() {
+    /** @typedef {{ items: Items, map: Map<string, any>, loc: number }} PackItem */
+    const itemsCount = this.freshContent.size;
+    if (itemsCount > 0) {
+      const packCount = Math.ceil(itemsCount / MAX_ITEMS_IN_FRESH_PACK);
+      const itemsPerPack = Math.ceil(itemsCount / packCount);
+      /** @type {PackItem[]} */
+      const packs = [];
+      let i = 0;
+      let ignoreNextTimeTick = false;
+      const createNextPack = () => {
+        const loc = this._findLocation();
+        this.content[loc] = /** @type {EXPECTED_ANY} */ (null); // 先占位
+        /** @type {PackItem} */
+        const pack = {
+          items: new Set(),
+          map: new Map(),
+          loc,
+        };
+        packs.push(pack);
+        return pack;
+      };
+      let pack = createNextPack();
+      if (this.requestsTimeout !== undefined)
+        clearTimeout(this.requestsTimeout);
+      for (const identifier of this.requests) {
+        if (identifier === undefined) {
+          if (ignoreNextTimeTick) {
+            ignoreNextTimeTick = false;
+          } else if (pack.items.size >= MIN_ITEMS_IN_FRESH_PACK) {
+            i = 0;
+            pack = createNextPack();
+          }
+          continue;
+        }
+        const info = this.freshContent.get(identifier);
+        if (info === undefined) continue;
+        pack.items.add(identifier);
+        pack.map.set(identifier, info.freshValue);
+        info.location = pack.loc;
+        info.freshValue = undefined;
+        this.freshContent.delete(identifier);
+        if (++i > itemsPerPack) {
+          i = 0;
+          pack = createNextPack();
+          ignoreNextTimeTick = true;
+        }
+      }
+      this.requests.length = 0;
+      for (const pack of packs) {
+        this.content[pack.loc] = new PackContent(
+          pack.items,
+          new Set(pack.items),
+          new PackContentItems(pack.map)
+        );
+      }
+      this.logger.log(
+        `${itemsCount} fresh items in cache put into pack ${
+          packs.length > 1
+            ? packs
+                .map((pack) => `${pack.loc} (${pack.items.size} items)`)
+                .join(", ")
+            : packs[0].loc
+        }`
+      );
+    }
+  }
+
+  /**
+   * 把多个小的 pack 文件合并为一个
+   */
+  _optimizeSmallContent() {
+    // 1. 找出所有小文件
+    // 用到的和没用到的分开处理，避免合并后又被 _optimizeUnusedContent 拆开
+    /** @type {number[]} */
+    const smallUsedContents = [];
+    /** @type {number} */
+    let smallUsedContentSize = 0;
+    /** @type {number[]} */
+    const smallUnusedContents = [];
+    /** @type {number} */
+    let smallUnusedContentSize = 0;
+    for (let i = 0; i < this.content.length; i++) {
+      const content = this.content[i];
+      if (content === undefined) continue;
+      if (content.outdated) continue;
+      const size = content.getSize();
+      if (size < 0 || size > MIN_CONTENT_SIZE) continue;
+      if (content.used.size > 0) {
+        smallUsedContents.push(i);
+        smallUsedContentSize += size;
+      } else {
+        smallUnusedContents.push(i);
+        smallUnusedContentSize += size;
+      }
+    }
+
+    // 2. 检查是否达到合并的阈值
+    let mergedIndices;
+    if (
+      smallUsedContents.length >= CONTENT_COUNT_TO_MERGE ||
+      smallUsedContentSize > MIN_CONTENT_SIZE
+    ) {
+      mergedIndices = smallUsedContents;
+    } else if (
+      smallUnusedContents.length >= CONTENT_COUNT_TO_MERGE ||
+      smallUnusedContentSize > MIN_CONTENT_SIZE
+    ) {
+      mergedIndices = smallUnusedContents;
+    } else return;
+
+    /** @type {PackContent[] } */
+    const mergedContent = [];
+
+    // 3. 移除旧的 pack
+    for (const i of mergedIndices) {
+      mergedContent.push(/** @type {PackContent} */ (this.content[i]));
+      this.content[i] = undefined;
+    }
+
+    // 4. 计算合并后的缓存项
+    /** @type {Items} */
+    const mergedItems = new Set();
+    /** @type {Items} */
+    const mergedUsedItems = new Set();
+    /** @type {(function(Map<string, any>): Promise<void>)[]} */
+    const addToMergedMap = [];
+    for (const content of mergedContent) {
+      for (const identifier of content.items) {
+        mergedItems.add(identifier);
+      }
+      for (const identifier of content.used) {
+        mergedUsedItems.add(identifier);
+      }
+      addToMergedMap.push(async (map) => {
+        // 先解包已有的内容，之后可以通过 .content 访问
+        await content.unpack(
+          "it should be merged with other small pack contents"
+        );
+        for (const [identifier, value] of /** @type {Content} */ (
+          content.content
+        )) {
+          map.set(identifier, value);
+        }
+      });
+    }
+
+    // 5. 清理过期项并更新合并项的位置
+    const newLoc = this._findLocation();
+    this._gcAndUpdateLocation(mergedItems, mergedUsedItems, newLoc);
+
+    // 6. 不为空时放到新位置
+    if (mergedItems.size > 0) {
+      this.content[newLoc] = new PackContent(
+        mergedItems,
+        mergedUsedItems,
+        memoize(async () => {
+          /** @type {Content} */
+          const map = new Map();
+          await Promise.all(addToMergedMap.map((fn) => fn(map)));
+          return new PackContentItems(map);
+        })
+      );
+      this.logger.log(
+        "Merged %d small files with %d cache items into pack %d",
+        mergedContent.length,
+        mergedItems.size,
+        newLoc
+      );
+    }
+  }
+
+  /**
+   * 把同时包含用到和没用到缓存项的大文件拆成两个，
+   * 这样下次恢复时只需要反序列化用到的部分
+   */
+  _optimizeUnusedContent() {
+    // 1. 找到同时包含用到和没用到缓存项的大文件
+    for (let i = 0; i < this.content.length; i++) {
+      const content = this.content[i];
+      if (content === undefined) continue;
+      const size = content.getSize();
+      if (size < MIN_CONTENT_SIZE) continue;
+      const used = content.used.size;
+      const total = content.items.size;
+      if (used > 0 && used < total) {
+        // 2. 移除该文件
+        this.content[i] = undefined;
+
+        // 3. 计算用到的缓存项
+        const usedItems = new Set(content.used);
+        const newLoc = this._findLocation();
+        this._gcAndUpdateLocation(usedItems, usedItems, newLoc);
+
+        // 4. 为用到的缓存项创建新文件
+        if (usedItems.size > 0) {
+          this.content[newLoc] = new PackContent(
+            usedItems,
+            new Set(usedItems),
+            async () => {
+              await content.unpack(
+                "it should be splitted into used and unused items"
+              );
+              const map = new Map();
+              for (const identifier of usedItems) {
+                map.set(
+                  identifier,
+                  /** @type {Content} */
+                  (content.content).get(identifier)
+                );
+              }
+              return new PackContentItems(map);
+            }
+          );
+        }
+
+        // 5. 计算没用到的缓存项
+        const unusedItems = new Set(content.items);
+        const usedOfUnusedItems = new Set();
+        for (const identifier of usedItems) {
+          unusedItems.delete(identifier);
+        }
+        const newUnusedLoc = this._findLocation();
+        this._gcAndUpdateLocation(unusedItems, usedOfUnusedItems, newUnusedLoc);
+
+        // 6. 为没用到的缓存项创建新文件
+        if (unusedItems.size > 0) {
+          this.content[newUnusedLoc] = new PackContent(
+            unusedItems,
+            usedOfUnusedItems,
+            async () => {
+              await content.unpack(
+                "it should be splitted into used and unused items"
+              );
+              const map = new Map();
+              for (const identifier of unusedItems) {
+                map.set(
+                  identifier,
+                  /** @type {Content} */
+                  (content.content).get(identifier)
+                );
+              }
+              return new PackContentItems(map);
+            }
+          );
+        }
+
+        this.logger.log(
+          "Split pack %d into pack %d with %d used items and pack %d with %d unused items",
+          i,
+          newLoc,
+          usedItems.size,
+          newUnusedLoc,
+          unusedItems.size
+        );
+
+        // 每次只拆分一个文件，减少需要重新序列化的数据量
+        return;
+      }
+    }
+  }
+
+  /**
+   * 找到包含最久未访问缓存项的文件并对其做垃圾回收
+   * 每次只处理一个文件，避免大面积失效
+   */
+  _gcOldestContent() {
+    /** @type {PackItemInfo | undefined} */
+    let oldest;
+    for (const info of this.itemInfo.values()) {
+      if (oldest === undefined || info.lastAccess < oldest.lastAccess) {
+        oldest = info;
+      }
+    }
+    if (
+      Date.now() - /** @type {PackItemInfo} */ (oldest).lastAccess >
+      this.maxAge
+    ) {
+      const loc = /** @type {PackItemInfo} */ (oldest).location;
+      if (loc < 0) return;
+      const content = /** @type {PackContent} */ (this.content[loc]);
+      const items = new Set(content.items);
+      const usedItems = new Set(content.used);
+      this._gcAndUpdateLocation(items, usedItems, loc);
+
+      this.content[loc] =
+        items.size > 0
+          ? new PackContent(items, usedItems, async () => {
+              await content.unpack(
+                "it contains old items that should be garbage collected"
+              );
+              const map = new Map();
+              for (const identifier of items) {
+                map.set(
+                  identifier,
+                  /** @type {Content} */
+                  (content.content).get(identifier)
+                );
+              }
+              return new PackContentItems(map);
+            })
+          : undefined;
+    }
+  }
+
+  /**
+   * 序列化前先整理 pack 文件：持久化新内容、合并小文件、拆分大文件、回收过期项
+   * 每个 PackContent 通过 writeSeparate 写入单独的文件
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize({ write, writeSeparate }) {
+    this._persistFreshContent();
+    this._optimizeSmallContent();
+    this._optimizeUnusedContent();
+    this._gcOldestContent();
+    for (const identifier of this.itemInfo.keys()) {
+      write(identifier);
+    }
+    write(null); // null 标记 key 列表结束
+    for (const info of this.itemInfo.values()) {
+      write(info.etag);
+    }
+    for (const info of this.itemInfo.values()) {
+      write(info.lastAccess);
+    }
+    for (let i = 0; i < this.content.length; i++) {
+      const content = this.content[i];
+      if (content !== undefined) {
+        write(content.items);
+        content.writeLazy((lazy) => writeSeparate(lazy, { name: `${i}` }));
+      } else {
+        write(undefined); // undefined 表示空位
+      }
+    }
+    write(null); // null 标记 pack 列表结束
+  }
+
+  /**
+   * @param {ObjectDeserializerContext & { logger: Logger }} context context
+   */
+  deserialize({ read, logger }) {
+    this.logger = logger;
+    {
+      const items = [];
+      let item = read();
+      while (item !== null) {
+        items.push(item);
+        item = read();
+      }
+      this.itemInfo.clear();
+      const infoItems = items.map((identifier) => {
+        const info = new PackItemInfo(identifier, undefined, undefined);
+        this.itemInfo.set(identifier, info);
+        return info;
+      });
+      for (const info of infoItems) {
+        info.etag = read();
+      }
+      for (const info of infoItems) {
+        info.lastAccess = read();
+      }
+    }
+    this.content.length = 0;
+    let items = read();
+    while (items !== null) {
+      if (items === undefined) {
+        this.content.push(items);
+      } else {
+        const idx = this.content.length;
+        const lazy = read();
+        this.content.push(
+          new PackContent(
+            items,
+            new Set(),
+            lazy,
+            logger,
+            `${this.content.length}`
+          )
+        );
+        for (const identifier of items) {
+          /** @type {PackItemInfo} */
+          (this.itemInfo.get(identifier)).location = idx;
+        }
+      }
+      items = read();
+    }
+  }
+}
+
+makeSerializable(Pack, "webpack/lib/cache/PackFileCacheStrategy", "Pack");
+
+/** @typedef {Map<string, any>} Content */
+
+/**
+ * 单个 pack 文件中的缓存项
+ */
+class PackContentItems {
+  /**
+   * @param {Content} map items
+   */
+  constructor(map) {
+    this.map = map;
+  }
+
+  /**
+   * 优先整体序列化，失败时逐项序列化并跳过无法序列化的缓存项
+   * 开启 profile 时逐项序列化并记录耗时
+   * @param {ObjectSerializerContext & { snapshot: TODO, rollback: TODO, logger: Logger, profile: boolean | undefined  }} context context
+   */
+  serialize({ write, snapshot, rollback, logger, profile }) {
+    if (profile) {
+      write(false);
+      for (const [key, value] of this.map) {
+        const s = snapshot();
+        try {
+          write(key);
+          const start = process.hrtime();
+          write(value);
+          const durationHr = process.hrtime(start);
+          const duration = durationHr[0] * 1000 + durationHr[1] / 1e6;
+          if (duration > 1) {
+            if (duration > 500)
+              logger.error(`Serialization of '${key}': ${duration} ms`);
+            else if (duration > 50)
+              logger.warn(`Serialization of '${key}': ${duration} ms`);
+            else if (duration > 10)
+              logger.info(`Serialization of '${key}': ${duration} ms`);
+            else if (duration > 5)
+              logger.log(`Serialization of '${key}': ${duration} ms`);
+            else logger.debug(`Serialization of '${key}': ${duration} ms`);
+          }
+        } catch (err) {
+          rollback(s);
+          if (err === NOT_SERIALIZABLE) continue;
+          const msg = "Skipped not serializable cache item";
+          const notSerializableErr = /** @type {Error} */ (err);
+          if (notSerializableErr.message.includes("ModuleBuildError")) {
+            logger.log(
+              `${msg} (in build error): ${notSerializableErr.message}`
+            );
+            logger.debug(
+              `${msg} '${key}' (in build error): ${notSerializableErr.stack}`
+            );
+          } else {
+            logger.warn(`${msg}: ${notSerializableErr.message}`);
+            logger.debug(`${msg} '${key}': ${notSerializableErr.stack}`);
+          }
+        }
+      }
+      write(null);
+      return;
+    }
+    // 尝试一次性序列化全部内容
+    const s = snapshot();
+    try {
+      write(true);
+      write(this.map);
+    } catch (_err) {
+      rollback(s);
+
+      // 逐项序列化
+      write(false);
+      for (const [key, value] of this.map) {
+        const s = snapshot();
+        try {
+          write(key);
+          write(value);
+        } catch (err) {
+          rollback(s);
+          if (err === NOT_SERIALIZABLE) continue;
+          const notSerializableErr = /** @type {Error} */ (err);
+          logger.warn(
+            `Skipped not serializable cache item '${key}': ${notSerializableErr.message}`
+          );
+          logger.debug(notSerializableErr.stack);
+        }
+      }
+      write(null);
+    }
+  }
+
+  /**
+   * @param {ObjectDeserializerContext & { logger: Logger, profile: boolean | undefined }} context context
+   */
+  deserialize({ read, logger, profile }) {
+    if (read()) {
+      this.map = read();
+    } else if (profile) {
+      const map = new Map();
+      let key = read();
+      while (key !== null) {
+        const start = process.hrtime();
+        const value = read();
+        const durationHr = process.hrtime(start);
+        const duration = durationHr[0] * 1000 + durationHr[1] / 1e6;
+        if (duration > 1) {
+          if (duration > 100)
+            logger.error(`Deserialization of '${key}': ${duration} ms`);
+          else if (duration > 20)
+            logger.warn(`Deserialization of '${key}': ${duration} ms`);
+          else if (duration > 5)
+            logger.info(`Deserialization of '${key}': ${duration} ms`);
+          else if (duration > 2)
+            logger.log(`Deserialization of '${key}': ${duration} ms`);
+          else logger.debug(`Deserialization of '${key}': ${duration} ms`);
+        }
+        map.set(key, value);
+        key = read();
+      }
+      this.map = map;
+    } else {
+      const map = new Map();
+      let key = read();
+      while (key !== null) {
+        map.set(key, read());
+        key = read();
+      }
+      this.map = map;
+    }
+  }
+}
+
+makeSerializable(
+  PackContentItems,
+  "webpack/lib/cache/PackFileCacheStrategy",
+  "PackContentItems"
+);
+
+/** @typedef {(function(): Promise<PackContentItems> | PackContentItems)} LazyFn */
+
+/**
+ * 对应一个 pack 文件，内容在第一次被访问时才反序列化
+ */
+class PackContent {
+  /*
+		该类有以下几种状态：
+		   |   this.lazy    | this.content | this.outdated | state
+		A1 |   undefined    |     Map      |     false     | fresh content
+		A2 |   undefined    |     Map      |     true      | (will not happen)
+		B1 | lazy () => {}  |  undefined   |     false     | not deserialized
+		B2 | lazy () => {}  |  undefined   |     true      | not deserialized, but some items has been removed
+		C1 | lazy* () => {} |     Map      |     false     | deserialized
+		C2 | lazy* () => {} |     Map      |     true      | deserialized, and some items has been removed
+
+		this.used 是 this.items 的子集
+		this.items 是 this.content.keys()（或 this.lazy().map.keys()）的子集
+		this.outdated === false 时，this.items 与 this.content.keys()（或 this.lazy().map.keys()）相同
+		this.outdated === true 时，需要用 this.items 重新生成 this.lazy/this.content
+		this.lazy 与 this.content 同时存在时，两者数据一致
+		this.get 只能以 this.items 中的有效项调用
+		状态 C 中 this.lazy 是 unMemoize 过的
+	*/
+
+  /**
+   * @param {Items} items keys
+   * @param {Items} usedItems used keys
+   * @param {PackContentItems | function(): Promise<PackContentItems>} dataOrFn sync or async content
+   * @param {Logger=} logger logger for logging
+   * @param {string=} lazyName name of dataOrFn for logging
+   */
+  constructor(items, usedItems, dataOrFn, logger, lazyName) {
+    this.items = items;
+    /** @type {LazyFn | undefined} */
+    this.lazy = typeof dataOrFn === "function" ? dataOrFn : undefined;
+    /** @type {Content | undefined} */
+    this.content = typeof dataOrFn === "function" ? undefined : dataOrFn.map;
+    this.outdated = false;
+    this.used = usedItems;
+    this.logger = logger;
+    this.lazyName = lazyName;
+  }
+
+  /**
+   * @param {string} identifier identifier
+   * @returns {string | Promise<string>} result
+   */
+  get(identifier) {
+    this.used.add(identifier);
+    if (this.content) {
+      return this.content.get(identifier);
+    }
+
+    const logger = /** @type {Logger} */ (this.logger);
+    // 处于状态 B
+    const { lazyName } = this;
+    /** @type {string | undefined} */
+    let timeMessage;
+    if (lazyName) {
+      // 只记录一次日志
+      this.lazyName = undefined;
+      timeMessage = `restore cache content ${lazyName} (${formatSize(
+        this.getSize()
+      )})`;
+      logger.log(
+        `starting to restore cache content ${lazyName} (${formatSize(
+          this.getSize()
+        )}) because of request to: ${identifier}`
+      );
+      logger.time(timeMessage);
+    }
+    const value = /** @type {LazyFn} */ (this.lazy)();
+    if ("then" in value) {
+      return value.then((data) => {
+        const map = data.map;
+        if (timeMessage) {
+          logger.timeEnd(timeMessage);
+        }
+        // 进入状态 C
+        this.content = map;
+        this.lazy = SerializerMiddleware.unMemoizeLazy(
+          /** @type {LazyFn} */
+          (this.lazy)
+        );
+        return map.get(identifier);
+      });
+    }
+
+    const map = value.map;
+    if (timeMessage) {
+      logger.timeEnd(timeMessage);
+    }
+    // 进入状态 C
+    this.content = map;
+    this.lazy = SerializerMiddleware.unMemoizeLazy(
+      /** @type {LazyFn} */
+      (this.lazy)
+    );
+    return map.get(identifier);
+  }
+
+  /**
+   * 确保内容已经反序列化
+   * @param {string} reason explanation why unpack is necessary
+   * @returns {void | Promise<void>} maybe a promise if lazy
+   */
+  unpack(reason) {
+    if (this.content) return;
+
+    const logger = /** @type {Logger} */ (this.logger);
+    // 从状态 B 进入状态 C
+    if (this.lazy) {
+      const { lazyName } = this;
+      /** @type {string | undefined} */
+      let timeMessage;
+      if (lazyName) {
+        // 只记录一次日志
+        this.lazyName = undefined;
+        timeMessage = `unpack cache content ${lazyName} (${formatSize(
+          this.getSize()
+        )})`;
+        logger.log(
+          `starting to unpack cache content ${lazyName} (${formatSize(
+            this.getSize()
+          )}) because ${reason}`
+        );
+        logger.time(timeMessage);
+      }
+      const value = this.lazy();
+      if ("then" in value) {
+        return value.then((data) => {
+          if (timeMessage) {
+            logger.timeEnd(timeMessage);
+          }
+          this.content = data.map;
+        });
+      }
+      if (timeMessage) {
+        logger.timeEnd(timeMessage);
+      }
+      this.content = value.map;
+    }
+  }
+
+  /**
+   * 文件大小由 FileMiddleware 写在 lazy 的 options 中
+   * @returns {number} size of the content or -1 if not known
+   */
+  getSize() {
+    if (!this.lazy) return -1;
+    const options = /** @type {any} */ (this.lazy).options;
+    if (!options) return -1;
+    const size = options.size;
+    if (typeof size !== "number") return -1;
+    return size;
+  }
+
+  /**
+   * 移除缓存项，内容在下次序列化时重建
+   * @param {string} identifier identifier
+   */
+  delete(identifier) {
+    this.items.delete(identifier);
+    this.used.delete(identifier);
+    this.outdated = true;
+  }
+
+  /**
+   * 根据当前状态写出 lazy 内容，没有变化时直接复用原来的 lazy，避免重新序列化
+   * @template T
+   * @param {function(any): function(): Promise<PackContentItems> | PackContentItems} write write function
+   * @returns {void}
+   */
+  writeLazy(write) {
+    if (!this.outdated && this.lazy) {
+      // 状态 B1 或 C1
+      // this.lazy 仍然是有效的反序列化版本
+      write(this.lazy);
+      return;
+    }
+    if (!this.outdated && this.content) {
+      // 状态 A1
+      const map = new Map(this.content);
+      // 进入状态 C1
+      this.lazy = SerializerMiddleware.unMemoizeLazy(
+        write(() => new PackContentItems(map))
+      );
+      return;
+    }
+    if (this.content) {
+      // 状态 A2 或 C2
+      /** @type {Content} */
+      const map = new Map();
+      for (const item of this.items) {
+        map.set(item, this.content.get(item));
+      }
+      // 进入状态 C1
+      this.outdated = false;
+      this.content = map;
+      this.lazy = SerializerMiddleware.unMemoizeLazy(
+        write(() => new PackContentItems(map))
+      );
+      return;
+    }
+    const logger = /** @type {Logger} */ (this.logger);
+    // 状态 B2
+    const { lazyName } = this;
+    /** @type {string | undefined} */
+    let timeMessage;
+    if (lazyName) {
+      // 只记录一次日志
+      this.lazyName = undefined;
+      timeMessage = `unpack cache content ${lazyName} (${formatSize(
+        this.getSize()
+      )})`;
+      logger.log(
+        `starting to unpack cache content ${lazyName} (${formatSize(
+          this.getSize()
+        )}) because it's outdated and need to be serialized`
+      );
+      logger.time(timeMessage);
+    }
+    const value = /** @type {LazyFn} */ (this.lazy)();
+    this.outdated = false;
+    if ("then" in value) {
+      // 进入状态 B1
+      this.lazy = write(() =>
+        value.then((data) => {
+          if (timeMessage) {
+            logger.timeEnd(timeMessage);
+          }
+          const oldMap = data.map;
+          /** @type {Content} */
+          const map = new Map();
+          for (const item of this.items) {
+            map.set(item, oldMap.get(item));
+          }
+          // 进入状态 C1（也可能是 C2）
+          this.content = map;
+          this.lazy = SerializerMiddleware.unMemoizeLazy(
+            /** @type {LazyFn} */
+            (this.lazy)
+          );
+
+          return new PackContentItems(map);
+        })
+      );
+    } else {
+      // 进入状态 C1
+      if (timeMessage) {
+        logger.timeEnd(timeMessage);
+      }
+      const oldMap = value.map;
+      /** @type {Content} */
+      const map = new Map();
+      for (const item of this.items) {
+        map.set(item, oldMap.get(item));
+      }
+      this.content = map;
+      this.lazy = write(() => new PackContentItems(map));
+    }
+  }
+}
+
+/**
+ * 反序列化得到的 Buffer 可能只是一个大 ArrayBuffer 的一小段，
+ * 浪费较多时复制一份，使原来的大块内存可以被回收
+ * @param {Buffer} buf buffer
+ * @returns {Buffer} buffer that can be collected
+ */
+const allowCollectingMemory = (buf) => {
+  const wasted = buf.buffer.byteLength - buf.byteLength;
+  if (wasted > 8192 && (wasted > 1048576 || wasted > buf.byteLength)) {
+    return Buffer.from(buf);
+  }
+  return buf;
+};
+
+/**
+ * cache.type 为 "filesystem" 且 store 为 "pack" 时使用的持久化策略
+ * 所有缓存项保存在 cacheLocation 下的 pack 文件中，入口为 index.pack，
+ * 恢复时先通过构建依赖（buildDependencies）的快照判断缓存是否仍然有效
+ */
+class PackFileCacheStrategy {
+  /**
+   * @param {object} options options
+   * @param {Compiler} options.compiler the compiler
+   * @param {IntermediateFileSystem} options.fs the filesystem
+   * @param {string} options.context the context directory
+   * @param {string} options.cacheLocation the location of the cache data
+   * @param {string} options.version version identifier
+   * @param {Logger} options.logger a logger
+   * @param {SnapshotOptions} options.snapshot options regarding snapshotting
+   * @param {number} options.maxAge max age of cache items
+   * @param {boolean | undefined} options.profile track and log detailed timing information for individual cache items
+   * @param {boolean | undefined} options.allowCollectingMemory allow to collect unused memory created during deserialization
+   * @param {boolean | undefined} options.readonly disable storing cache into filesystem
+   * @param {false | "gzip" | "brotli"} options.compression compression used for the cache files
+   */
+  constructor({
+    compiler,
+    fs,
+    context,
+    cacheLocation,
+    version,
+    logger,
+    snapshot,
+    maxAge,
+    profile,
+    allowCollectingMemory,
+    readonly,
+    compression,
+  }) {
+    this.fileSerializer = createFileSerializer(
+      fs,
+      compiler.options.output.hashFunction,
+      compression
+    );
+    this.fileSystemInfo = new FileSystemInfo(fs, {
+      managedPaths: snapshot.managedPaths,
+      immutablePaths: snapshot.immutablePaths,
+      logger: logger.getChildLogger("webpack.FileSystemInfo"),
+      hashFunction: compiler.options.output.hashFunction,
+    });
+    this.compiler = compiler;
+    this.context = context;
+    this.cacheLocation = cacheLocation;
+    this.version = version;
+    this.logger = logger;
+    this.maxAge = maxAge;
+    this.profile = profile;
+    this.readonly = readonly;
+    this.allowCollectingMemory = allowCollectingMemory;
+    this.compression = compression;
+    // 压缩统计信息输出到 webpack.cache 日志
+    this.compressionLogger = compiler.getInfrastructureLogger("webpack.cache");
+    // 缓存文件的扩展名，index.pack 为入口，其余 pack 文件由 FileMiddleware 按 lazy 区块拆分
+    this._extension = ".pack";
+    this.snapshot = snapshot;
+    /** @type {BuildDependencies} */
+    this.buildDependencies = new Set();
+    /** @type {LazySet<string>} */
+    this.newBuildDependencies = new LazySet();
+    /** @type {Snapshot | undefined} */
+    this.resolveBuildDependenciesSnapshot = undefined;
+    /** @type {ResolveResults | undefined} */
+    this.resolveResults = undefined;
+    /** @type {Snapshot | undefined} */
+    this.buildSnapshot = undefined;
+    /** @type {Promise<Pack> | undefined} */
+    this.packPromise = this._openPack();
+    this.storePromise = Promise.resolve();
+  }
+
+  /**
+   * 获取当前的 pack，正在持久化时等待持久化完成后重新打开
+   * @returns {Promise<Pack>} pack
+   */
+  _getPack() {
+    if (this.packPromise === undefined) {
+      this.packPromise = this.storePromise.then(() => this._openPack());
+    }
+    return this.packPromise;
+  }
+
+  /**
+   * 从磁盘恢复 pack
+   * 版本不一致、构建依赖发生变化或构建依赖解析到不同位置时，丢弃旧缓存并返回新的空 pack
+   * @returns {Promise<Pack>} the pack
+   */
+  _openPack() {
+    const { logger, profile, cacheLocation, version } = this;
+    /** @type {Snapshot} */
+    let buildSnapshot;
+    /** @type {BuildDependencies} */
+    let buildDependencies;
+    /** @type {BuildDependencies} */
+    let newBuildDependencies;
+    /** @type {Snapshot} */
+    let resolveBuildDependenciesSnapshot;
+    /** @type {ResolveResults | undefined} */
+    let resolveResults;
+    logger.time("restore cache container");
+    return this.fileSerializer
+      .deserialize(null, {
+        filename: `${cacheLocation}/index${this._extension}`,
+        extension: `${this._extension}`,
+        logger,
+        profile,
+        retainedBuffer: this.allowCollectingMemory
+          ? allowCollectingMemory
+          : undefined,
+      })
+      .catch((err) => {
+        if (err.code !== "ENOENT") {
+          logger.warn(
+            `Restoring pack failed from ${cacheLocation}${this._extension}: ${err}`
+          );
+          logger.debug(err.stack);
+        } else {
+          logger.debug(
+            `No pack exists at ${cacheLocation}${this._extension}: ${err}`
+          );
+        }
+        return undefined;
+      })
+      .then((packContainer) => {
+        logger.timeEnd("restore cache container");
+        if (!packContainer) return;
+        if (!(packContainer instanceof PackContainer)) {
+          logger.warn(
+            `Restored pack from ${cacheLocation}${this._extension}, but contained content is unexpected.`,
+            packContainer
+          );
+          return;
+        }
+        if (packContainer.version !== version) {
+          logger.log(
+            `Restored pack from ${cacheLocation}${this._extension}, but version doesn't match.`
+          );
+          return;
+        }
+        logger.time("check build dependencies");
+        return Promise.all([
+          new Promise((resolve, reject) => {
+            this.fileSystemInfo.checkSnapshotValid(
+              packContainer.buildSnapshot,
+              (err, valid) => {
+                if (err) {
+                  logger.log(
+                    `Restored pack from ${cacheLocation}${this._extension}, but checking snapshot of build dependencies errored: ${err}.`
+                  );
+                  logger.debug(err.stack);
+                  return resolve(false);
+                }
+                if (!valid) {
+                  logger.log(
+                    `Restored pack from ${cacheLocation}${this._extension}, but build dependencies have changed.`
+                  );
+                  return resolve(false);
+                }
+                buildSnapshot = packContainer.buildSnapshot;
+                return resolve(true);
+              }
+            );
+          }),
+          new Promise((resolve, reject) => {
+            this.fileSystemInfo.checkSnapshotValid(
+              packContainer.resolveBuildDependenciesSnapshot,
+              (err, valid) => {
+                if (err) {
+                  logger.log(
+                    `Restored pack from ${cacheLocation}${this._extension}, but checking snapshot of resolving of build dependencies errored: ${err}.`
+                  );
+                  logger.debug(err.stack);
+                  return resolve(false);
+                }
+                if (valid) {
+                  resolveBuildDependenciesSnapshot =
+                    packContainer.resolveBuildDependenciesSnapshot;
+                  buildDependencies = packContainer.buildDependencies;
+                  resolveResults = packContainer.resolveResults;
+                  return resolve(true);
+                }
+                logger.log(
+                  "resolving of build dependencies is invalid, will re-resolve build dependencies"
+                );
+                this.fileSystemInfo.checkResolveResultsValid(
+                  packContainer.resolveResults,
+                  (err, valid) => {
+                    if (err) {
+                      logger.log(
+                        `Restored pack from ${cacheLocation}${this._extension}, but resolving of build dependencies errored: ${err}.`
+                      );
+                      logger.debug(err.stack);
+                      return resolve(false);
+                    }
+                    if (valid) {
+                      newBuildDependencies = packContainer.buildDependencies;
+                      resolveResults = packContainer.resolveResults;
+                      return resolve(true);
+                    }
+                    logger.log(
+                      `Restored pack from ${cacheLocation}${this._extension}, but build dependencies resolve to different locations.`
+                    );
+                    return resolve(false);
+                  }
+                );
+              }
+            );
+          }),
+        ])
+          .catch((err) => {
+            logger.timeEnd("check build dependencies");
+            throw err;
+          })
+          .then(([buildSnapshotValid, resolveValid]) => {
+            logger.timeEnd("check build dependencies");
+            if (buildSnapshotValid && resolveValid) {
+              logger.time("restore cache content metadata");
+              const d = packContainer.data();
+              logger.timeEnd("restore cache content metadata");
+              return d;
+            }
+            return undefined;
+          });
+      })
+      .then((pack) => {
+        if (pack) {
+          pack.maxAge = this.maxAge;
+          this.buildSnapshot = buildSnapshot;
+          if (buildDependencies) this.buildDependencies = buildDependencies;
+          if (newBuildDependencies)
+            this.newBuildDependencies.addAll(newBuildDependencies);
+          this.resolveResults = resolveResults;
+          this.resolveBuildDependenciesSnapshot =
+            resolveBuildDependenciesSnapshot;
+          return pack;
+        }
+        return new Pack(logger, this.maxAge);
+      })
+      .catch((err) => {
+        this.logger.warn(
+          `Restoring pack from ${cacheLocation}${this._extension} failed: ${err}`
+        );
+        this.logger.debug(err.stack);
+        return new Pack(logger, this.maxAge);
+      });
+  }
+
+  /**
+   * 写入缓存项（只写入内存中的 pack，空闲时由 afterAllStored 持久化）
+   * @param {string} identifier unique name for the resource
+   * @param {Etag | null} etag etag of the resource
+   * @param {any} data cached content
+   * @returns {Promise<void>} promise
+   */
+  store(identifier, etag, data) {
+    if (this.readonly) return Promise.resolve();
+
+    return this._getPack().then((pack) => {
+      pack.set(identifier, etag === null ? null : etag.toString(), data);
+    });
+  }
+
+  /**
+   * 读取缓存项
+   * @param {string} identifier unique name for the resource
+   * @param {Etag | null} etag etag of the resource
+   * @returns {Promise<any>} promise to the cached content
+   */
+  restore(identifier, etag) {
+    return this._getPack()
+      .then((pack) =>
+        pack.get(identifier, etag === null ? null : etag.toString())
+      )
+      .catch((err) => {
+        if (err && err.code !== "ENOENT") {
+          this.logger.warn(
+            `Restoring failed for ${identifier} from pack: ${err}`
+          );
+          this.logger.debug(err.stack);
+        }
+      });
+  }
+
+  /**
+   * 记录新的构建依赖，持久化时再解析并创建快照
+   * @param {LazySet<string> | Iterable<string>} dependencies dependencies to store
+   */
+  storeBuildDependencies(dependencies) {
+    if (this.readonly) return;
+    this.newBuildDependencies.addAll(dependencies);
+  }
+
+  /**
+   * 持久化 pack：为新的构建依赖创建快照，然后序列化写入磁盘
+   * @returns {Promise<void>} promise
+   */
+  afterAllStored() {
+    const packPromise = this.packPromise;
+    if (packPromise === undefined) return Promise.resolve();
+    return (this.storePromise = packPromise
+      .then((pack) => {
+        pack.stopCapturingRequests();
+        if (!pack.invalid) return;
+        this.packPromise = undefined;
+        this.logger.log("Storing pack...");
+        let promise;
+        const newBuildDependencies = new Set();
+        for (const dep of this.newBuildDependencies) {
+          if (!this.buildDependencies.has(dep)) {
+            newBuildDependencies.add(dep);
+          }
+        }
+        if (newBuildDependencies.size > 0 || !this.buildSnapshot) {
+          this.logger.debug(
+            `Capturing build dependencies... (${Array.from(
+              newBuildDependencies
+            ).join(", ")})`
+          );
+          promise = new Promise((resolve, reject) => {
+            this.logger.time("resolve build dependencies");
+            this.fileSystemInfo.resolveBuildDependencies(
+              this.context,
+              newBuildDependencies,
+              (err, result) => {
+                this.logger.timeEnd("resolve build dependencies");
+                if (err) return reject(err);
+
+                this.logger.time("snapshot build dependencies");
+                const {
+                  files,
+                  directories,
+                  missing,
+                  resolveResults,
+                  resolveDependencies,
+                } = /** @type {ResolveBuildDependenciesResult} */ (result);
+                if (this.resolveResults) {
+                  for (const [key, value] of resolveResults) {
+                    this.resolveResults.set(key, value);
+                  }
+                } else {
+                  this.resolveResults = resolveResults;
+                }
+                this.fileSystemInfo.createSnapshot(
+                  undefined,
+                  resolveDependencies.files,
+                  resolveDependencies.directories,
+                  resolveDependencies.missing,
+                  this.snapshot.resolveBuildDependencies,
+                  (err, snapshot) => {
+                    if (err) {
+                      this.logger.timeEnd("snapshot build dependencies");
+                      return reject(err);
+                    }
+                    if (!snapshot) {
+                      this.logger.timeEnd("snapshot build dependencies");
+                      return reject(
+                        new Error("Unable to snapshot resolve dependencies")
+                      );
+                    }
+                    if (this.resolveBuildDependenciesSnapshot) {
+                      this.resolveBuildDependenciesSnapshot =
+                        this.fileSystemInfo.mergeSnapshots(
+                          this.resolveBuildDependenciesSnapshot,
+                          snapshot
+                        );
+                    } else {
+                      this.resolveBuildDependenciesSnapshot = snapshot;
+                    }
+                    this.fileSystemInfo.createSnapshot(
+                      undefined,
+                      files,
+                      directories,
+                      missing,
+                      this.snapshot.buildDependencies,
+                      (err, snapshot) => {
+                        this.logger.timeEnd("snapshot build dependencies");
+                        if (err) return reject(err);
+                        if (!snapshot) {
+                          return reject(
+                            new Error("Unable to snapshot build dependencies")
+                          );
+                        }
+                        this.logger.debug("Captured build dependencies");
+
+                        if (this.buildSnapshot) {
+                          this.buildSnapshot =
+                            this.fileSystemInfo.mergeSnapshots(
+                              this.buildSnapshot,
+                              snapshot
+                            );
+                        } else {
+                          this.buildSnapshot = snapshot;
+                        }
+
+                        resolve();
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          });
+        } else {
+          promise = Promise.resolve();
+        }
+        return promise.then(() => {
+          this.logger.time("store pack");
+          const updatedBuildDependencies = new Set(this.buildDependencies);
+          for (const dep of newBuildDependencies) {
+            updatedBuildDependencies.add(dep);
+          }
+          const content = new PackContainer(
+            pack,
+            this.version,
+            /** @type {Snapshot} */
+            (this.buildSnapshot),
+            updatedBuildDependencies,
+            /** @type {ResolveResults} */
+            (this.resolveResults),
+            /** @type {Snapshot} */
+            (this.resolveBuildDependenciesSnapshot)
+          );
+          /** @type {CompressionStats} */
+          const compressionStats = { rawSize: 0, compressedSize: 0 };
+          return this.fileSerializer
+            .serialize(content, {
+              filename: `${this.cacheLocation}/index${this._extension}`,
+              extension: `${this._extension}`,
+              logger: this.logger,
+              profile: this.profile,
+              compressionStats,
+            })
+            .then(() => {
+              for (const dep of newBuildDependencies) {
+                this.buildDependencies.add(dep);
+              }
+              this.newBuildDependencies.clear();
+              this.logger.timeEnd("store pack");
+              const stats = pack.getContentStats();
+              this.logger.log(
+                "Stored pack (%d items, %d files, %d MiB)",
+                pack.itemInfo.size,
+                stats.count,
+                Math.round(stats.size / 1024 / 1024)
+              );
+              // 只统计本次新写入的文件，没有变化的文件不会重新压缩
+              if (this.compression && compressionStats.rawSize > 0) {
+                const { rawSize, compressedSize } = compressionStats;
+                this.compressionLogger.log(
+                  "Compressed pack data with %s: %d KiB -> %d KiB (%d%%)",
+                  this.compression,
+                  Math.round(rawSize / 1024),
+                  Math.round(compressedSize / 1024),
+                  Math.round((compressedSize / rawSize) * 100)
+                );
+              }
+            })
+            .catch((err) => {
+              this.logger.timeEnd("store pack");
+              this.logger.warn(`Caching failed for pack: ${err}`);
+              this.logger.debug(err.stack);
+            });
+        });
+      })
+      .catch((err) => {
+        this.logger.warn(`Caching failed for pack: ${err}`);
+        this.logger.debug(err.stack);
+      }));
+  }
+
+  /**
+   * 重置状态，compiler 关闭后调用
+   */
+  clear() {
+    this.fileSystemInfo.clear();
+    this.buildDependencies.clear();
+    this.newBuildDependencies.clear();
+    this.resolveBuildDependenciesSnapshot = undefined;
+    this.resolveResults = undefined;
+    this.buildSnapshot = undefined;
+    this.packPromise = undefined;
+  }
+}
+
+module.exports = PackFileCacheStrategy;
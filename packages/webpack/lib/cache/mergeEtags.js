@@ -0,0 +1,72 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 由两个 etag 合并而成的 etag
+ */
+class MergedEtag {
+  /**
+   * @param {Etag} a first
+   * @param {Etag} b second
+   */
+  constructor(a, b) {
+    this.a = a;
+    this.b = b;
+  }
+
+  toString() {
+    return `${this.a.toString()}|${this.b.toString()}`;
+  }
+}
+
+// 缓存合并结果，相同的两个 etag 合并后总是得到同一个实例
+const dualObjectMap = new WeakMap();
+const objectStringMap = new WeakMap();
+
+/**
+ * 合并两个 etag：都是字符串时直接拼接，否则创建（或复用）MergedEtag
+ * @param {Etag} a first
+ * @param {Etag} b second
+ * @returns {Etag} result
+ */
+const mergeEtags = (a, b) => {
+  if (typeof a === "string") {
+    if (typeof b === "string") {
+      return `${a}|${b}`;
+    }
+    const temp = b;
+    b = a;
+    a = temp;
+  } else if (typeof b !== "string") {
+    // a 和 b 都是对象
+    let map = dualObjectMap.get(a);
+    if (map === undefined) {
+      dualObjectMap.set(a, (map = new WeakMap()));
+    }
+    const mergedEtag = map.get(b);
+    if (mergedEtag === undefined) {
+      const newMergedEtag = new MergedEtag(a, b);
+      map.set(b, newMergedEtag);
+      return newMergedEtag;
+    }
+    return mergedEtag;
+  }
+  // a 是对象，b 是字符串
+  let map = objectStringMap.get(a);
+  if (map === undefined) {
+    objectStringMap.set(a, (map = new Map()));
+  }
+  const mergedEtag = map.get(b);
+  if (mergedEtag === undefined) {
+    const newMergedEtag = new MergedEtag(a, b);
+    map.set(b, newMergedEtag);
+    return newMergedEtag;
+  }
+  return mergedEtag;
+};
+
+module.exports = mergeEtags;
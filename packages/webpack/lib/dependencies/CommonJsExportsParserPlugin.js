@@ -0,0 +1,406 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const RuntimeGlobals = require("../RuntimeGlobals");
+const formatLocation = require("../formatLocation");
+const { evaluateToString } = require("../javascript/JavascriptParserHelpers");
+const propertyAccess = require("../util/propertyAccess");
+const CommonJsExportRequireDependency = require("./CommonJsExportRequireDependency");
+const CommonJsExportsDependency = require("./CommonJsExportsDependency");
+const CommonJsSelfReferenceDependency = require("./CommonJsSelfReferenceDependency");
+const DynamicExports = require("./DynamicExports");
+const HarmonyExports = require("./HarmonyExports");
+const ModuleDecoratorDependency = require("./ModuleDecoratorDependency");
+
+/**
+ * 从属性描述符对象中取出 value 属性的值
+ *
+ * CommonJS 模块（尤其是 TypeScript/Babel 编译的产物）常用 Object.defineProperty 定义导出：
+ * ```js
+ * Object.defineProperty(exports, "__esModule", { value: true });
+ * exports.foo = void 0;
+ * exports.foo = "bar";
+ * ```
+ * @param {TODO} expr expression
+ * @returns {Expression | undefined} returns the value of property descriptor
+ */
+const getValueOfPropertyDescription = (expr) => {
+  if (expr.type !== "ObjectExpression") return;
+  for (const property of expr.properties) {
+    if (property.computed) continue;
+    const key = property.key;
+    if (key.type !== "Identifier" || key.name !== "value") continue;
+    return property.value;
+  }
+};
+
+/**
+ * 判断表达式是否为真值字面量（包括 !0 这类取反写法），用于识别 __esModule 标记
+ * @param {Expression} expr expression being checked
+ * @returns {boolean} true, when the expression is a truthy literal
+ */
+const isTruthyLiteral = (expr) => {
+  switch (expr.type) {
+    case "Literal":
+      return Boolean(expr.value);
+    case "UnaryExpression":
+      if (expr.operator === "!") return isFalsyLiteral(expr.argument);
+  }
+  return false;
+};
+
+/**
+ * 判断表达式是否为假值字面量（包括 !1 这类取反写法）
+ * @param {Expression} expr expression being checked
+ * @returns {boolean} true, when the expression is a falsy literal
+ */
+const isFalsyLiteral = (expr) => {
+  switch (expr.type) {
+    case "Literal":
+      return !expr.value;
+    case "UnaryExpression":
+      if (expr.operator === "!") return isTruthyLiteral(expr.argument);
+  }
+  return false;
+};
+
+/**
+ * 解析 require("x").a.b 形式的表达式，得到请求参数和属性访问链
+ * @param {JavascriptParser} parser the parser
+ * @param {Expression} expr expression
+ * @returns {{ argument: BasicEvaluatedExpression, ids: string[] } | undefined} parsed call
+ */
+const parseRequireCall = (parser, expr) => {
+  const ids = [];
+  while (expr.type === "MemberExpression") {
+    if (expr.object.type === "Super") return;
+    if (!expr.property) return;
+    const prop = expr.property;
+    if (expr.computed) {
+      if (prop.type !== "Literal") return;
+      ids.push(`${prop.value}`);
+    } else {
+      if (prop.type !== "Identifier") return;
+      ids.push(prop.name);
+    }
+    expr = expr.object;
+  }
+  if (expr.type !== "CallExpression" || expr.arguments.length !== 1) return;
+  const callee = expr.callee;
+  if (
+    callee.type !== "Identifier" ||
+    parser.getVariableInfo(callee.name) !== "require"
+  ) {
+    return;
+  }
+  const arg = expr.arguments[0];
+  if (arg.type === "SpreadElement") return;
+  const argValue = parser.evaluateExpression(arg);
+  return { argument: argValue, ids: ids.reverse() };
+};
+
+/**
+ * 分析 CommonJS 模块的导出：exports.a = ...、module.exports = ...、Object.defineProperty(exports, ...)，
+ * 以及模块内部对自身导出的读取
+ *
+ * 能够静态确定导出名时生成结构化的导出信息，否则放弃优化（bailout）
+ */
+class CommonJsExportsParserPlugin {
+  /**
+   * @param {ModuleGraph} moduleGraph module graph
+   */
+  constructor(moduleGraph) {
+    this.moduleGraph = moduleGraph;
+  }
+
+  /**
+   * 应用插件
+   * @param {JavascriptParser} parser the parser
+   * @returns {void}
+   */
+  apply(parser) {
+    /**
+     * 开始按结构化方式收集导出
+     */
+    const enableStructuredExports = () => {
+      DynamicExports.enable(parser.state);
+    };
+
+    /**
+     * 顶层的 exports.__esModule = true 把模块标记为 ESM 编译产物，其他对 __esModule 的赋值使模块导出变为动态
+     * @param {boolean} topLevel true, when the export is on top level
+     * @param {string[]} members members of the export
+     * @param {Expression | undefined} valueExpr expression for the value
+     * @returns {void}
+     */
+    const checkNamespace = (topLevel, members, valueExpr) => {
+      if (!DynamicExports.isEnabled(parser.state)) return;
+      if (members.length > 0 && members[0] === "__esModule") {
+        if (valueExpr && isTruthyLiteral(valueExpr) && topLevel) {
+          DynamicExports.setFlagged(parser.state);
+        } else {
+          DynamicExports.setDynamic(parser.state);
+        }
+      }
+    };
+    /**
+     * 放弃对导出的静态分析，reason 会记录到优化放弃原因中
+     * @param {string=} reason reason
+     */
+    const bailout = (reason) => {
+      DynamicExports.bailout(parser.state);
+      if (reason) bailoutHint(reason);
+    };
+    /**
+     * 记录无法优化的原因
+     * @param {string} reason reason
+     */
+    const bailoutHint = (reason) => {
+      this.moduleGraph
+        .getOptimizationBailout(parser.state.module)
+        .push(`CommonJS bailout: ${reason}`);
+    };
+
+    // 元信息 //
+    parser.hooks.evaluateTypeof
+      .for("module")
+      .tap("CommonJsExportsParserPlugin", evaluateToString("object"));
+    parser.hooks.evaluateTypeof
+      .for("exports")
+      .tap("CommonJsPlugin", evaluateToString("object"));
+
+    // 导出 //
+
+    /**
+     * 处理对 exports/this/module.exports 属性的赋值
+     * @param {AssignmentExpression} expr expression
+     * @param {CommonJSDependencyBaseKeywords} base commonjs base keywords
+     * @param {string[]} members members of the export
+     * @returns {boolean | undefined} true, when the expression was handled
+     */
+    const handleAssignExport = (expr, base, members) => {
+      if (HarmonyExports.isEnabled(parser.state)) return;
+      // 把 require 的结果作为导出
+      const requireCall = parseRequireCall(parser, expr.right);
+      if (
+        requireCall &&
+        requireCall.argument.isString() &&
+        (members.length === 0 || members[0] !== "__esModule")
+      ) {
+        enableStructuredExports();
+        // 可能重新导出了 __esModule，只能作为动态导出的模块处理
+        if (members.length === 0) DynamicExports.setDynamic(parser.state);
+        const dep = new CommonJsExportRequireDependency(
+          /** @type {Range} */ (expr.range),
+          null,
+          base,
+          members,
+          /** @type {string} */ (requireCall.argument.string),
+          requireCall.ids,
+          !parser.isStatementLevelExpression(expr)
+        );
+        dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+        dep.optional = Boolean(parser.scope.inTry);
+        parser.state.module.addDependency(dep);
+        return true;
+      }
+      if (members.length === 0) return;
+      enableStructuredExports();
+      const remainingMembers = members;
+      checkNamespace(
+        /** @type {StatementPath} */
+        (parser.statementPath).length === 1 &&
+          parser.isStatementLevelExpression(expr),
+        remainingMembers,
+        expr.right
+      );
+      const dep = new CommonJsExportsDependency(
+        /** @type {Range} */ (expr.left.range),
+        null,
+        base,
+        remainingMembers
+      );
+      dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+      parser.state.module.addDependency(dep);
+      parser.walkExpression(expr.right);
+      return true;
+    };
+    parser.hooks.assignMemberChain
+      .for("exports")
+      .tap("CommonJsExportsParserPlugin", (expr, members) =>
+        handleAssignExport(expr, "exports", members)
+      );
+    parser.hooks.assignMemberChain
+      .for("this")
+      .tap("CommonJsExportsParserPlugin", (expr, members) => {
+        if (!parser.scope.topLevelScope) return;
+        return handleAssignExport(expr, "this", members);
+      });
+    parser.hooks.assignMemberChain
+      .for("module")
+      .tap("CommonJsExportsParserPlugin", (expr, members) => {
+        if (members[0] !== "exports") return;
+        return handleAssignExport(expr, "module.exports", members.slice(1));
+      });
+    // Object.defineProperty(exports, "a", { ... })
+    parser.hooks.call
+      .for("Object.defineProperty")
+      .tap("CommonJsExportsParserPlugin", (expression) => {
+        const expr = /** @type {CallExpression} */ (expression);
+        if (!parser.isStatementLevelExpression(expr)) return;
+        if (expr.arguments.length !== 3) return;
+        if (expr.arguments[0].type === "SpreadElement") return;
+        if (expr.arguments[1].type === "SpreadElement") return;
+        if (expr.arguments[2].type === "SpreadElement") return;
+        const exportsArg = parser.evaluateExpression(expr.arguments[0]);
+        if (!exportsArg.isIdentifier()) return;
+        if (
+          exportsArg.identifier !== "exports" &&
+          exportsArg.identifier !== "module.exports" &&
+          (exportsArg.identifier !== "this" || !parser.scope.topLevelScope)
+        ) {
+          return;
+        }
+        const propertyArg = parser.evaluateExpression(expr.arguments[1]);
+        const property = propertyArg.asString();
+        if (typeof property !== "string") return;
+        enableStructuredExports();
+        const descArg = expr.arguments[2];
+        checkNamespace(
+          /** @type {StatementPath} */
+          (parser.statementPath).length === 1,
+          [property],
+          getValueOfPropertyDescription(descArg)
+        );
+        const dep = new CommonJsExportsDependency(
+          /** @type {Range} */ (expr.range),
+          /** @type {Range} */ (expr.arguments[2].range),
+          `Object.defineProperty(${exportsArg.identifier})`,
+          [property]
+        );
+        dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+        parser.state.module.addDependency(dep);
+
+        parser.walkExpression(expr.arguments[2]);
+        return true;
+      });
+
+    // 读取自身导出 //
+
+    /**
+     * 处理模块内部对自身导出的读取和调用
+     * @param {Expression | Super} expr expression
+     * @param {CommonJSDependencyBaseKeywords} base commonjs base keywords
+     * @param {string[]} members members of the export
+     * @param {CallExpression=} call call expression
+     * @returns {boolean | void} true, when the expression was handled
+     */
+    const handleAccessExport = (expr, base, members, call) => {
+      if (HarmonyExports.isEnabled(parser.state)) return;
+      if (members.length === 0) {
+        bailout(
+          `${base} is used directly at ${formatLocation(
+            /** @type {DependencyLocation} */ (expr.loc)
+          )}`
+        );
+      }
+      if (call && members.length === 1) {
+        bailoutHint(
+          `${base}${propertyAccess(
+            members
+          )}(...) prevents optimization as ${base} is passed as call context at ${formatLocation(
+            /** @type {DependencyLocation} */ (expr.loc)
+          )}`
+        );
+      }
+      const dep = new CommonJsSelfReferenceDependency(
+        /** @type {Range} */ (expr.range),
+        base,
+        members,
+        Boolean(call)
+      );
+      dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+      parser.state.module.addDependency(dep);
+      if (call) {
+        parser.walkExpressions(call.arguments);
+      }
+      return true;
+    };
+    parser.hooks.callMemberChain
+      .for("exports")
+      .tap("CommonJsExportsParserPlugin", (expr, members) =>
+        handleAccessExport(expr.callee, "exports", members, expr)
+      );
+    parser.hooks.expressionMemberChain
+      .for("exports")
+      .tap("CommonJsExportsParserPlugin", (expr, members) =>
+        handleAccessExport(expr, "exports", members)
+      );
+    parser.hooks.expression
+      .for("exports")
+      .tap("CommonJsExportsParserPlugin", (expr) =>
+        handleAccessExport(expr, "exports", [])
+      );
+    parser.hooks.callMemberChain
+      .for("module")
+      .tap("CommonJsExportsParserPlugin", (expr, members) => {
+        if (members[0] !== "exports") return;
+        return handleAccessExport(
+          expr.callee,
+          "module.exports",
+          members.slice(1),
+          expr
+        );
+      });
+    parser.hooks.expressionMemberChain
+      .for("module")
+      .tap("CommonJsExportsParserPlugin", (expr, members) => {
+        if (members[0] !== "exports") return;
+        return handleAccessExport(expr, "module.exports", members.slice(1));
+      });
+    parser.hooks.expression
+      .for("module.exports")
+      .tap("CommonJsExportsParserPlugin", (expr) =>
+        handleAccessExport(expr, "module.exports", [])
+      );
+    parser.hooks.callMemberChain
+      .for("this")
+      .tap("CommonJsExportsParserPlugin", (expr, members) => {
+        if (!parser.scope.topLevelScope) return;
+        return handleAccessExport(expr.callee, "this", members, expr);
+      });
+    parser.hooks.expressionMemberChain
+      .for("this")
+      .tap("CommonJsExportsParserPlugin", (expr, members) => {
+        if (!parser.scope.topLevelScope) return;
+        return handleAccessExport(expr, "this", members);
+      });
+    parser.hooks.expression
+      .for("this")
+      .tap("CommonJsExportsParserPlugin", (expr) => {
+        if (!parser.scope.topLevelScope) return;
+        return handleAccessExport(expr, "this", []);
+      });
+
+    // 放弃优化 //
+    // 直接使用 module 对象时无法分析导出，并且需要用装饰器补全 module 对象
+    parser.hooks.expression.for("module").tap("CommonJsPlugin", (expr) => {
+      bailout();
+      const isHarmony = HarmonyExports.isEnabled(parser.state);
+      const dep = new ModuleDecoratorDependency(
+        isHarmony
+          ? RuntimeGlobals.harmonyModuleDecorator
+          : RuntimeGlobals.nodeModuleDecorator,
+        !isHarmony
+      );
+      dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+      parser.state.module.addDependency(dep);
+      return true;
+    });
+  }
+}
+module.exports = CommonJsExportsParserPlugin;
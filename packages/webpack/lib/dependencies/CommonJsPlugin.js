@@ -0,0 +1,314 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const RuntimeGlobals = require("../RuntimeGlobals");
+const RuntimeModule = require("../RuntimeModule");
+const SelfModuleFactory = require("../SelfModuleFactory");
+const Template = require("../Template");
+const CommonJsExportsDependency = require("./CommonJsExportsDependency");
+const CommonJsFullRequireDependency = require("./CommonJsFullRequireDependency");
+const CommonJsRequireContextDependency = require("./CommonJsRequireContextDependency");
+const CommonJsRequireDependency = require("./CommonJsRequireDependency");
+const CommonJsSelfReferenceDependency = require("./CommonJsSelfReferenceDependency");
+const ModuleDecoratorDependency = require("./ModuleDecoratorDependency");
+const RequireHeaderDependency = require("./RequireHeaderDependency");
+const RequireResolveContextDependency = require("./RequireResolveContextDependency");
+const RequireResolveDependency = require("./RequireResolveDependency");
+const RequireResolveHeaderDependency = require("./RequireResolveHeaderDependency");
+const RuntimeRequirementsDependency = require("./RuntimeRequirementsDependency");
+
+const CommonJsExportsParserPlugin = require("./CommonJsExportsParserPlugin");
+const CommonJsImportsParserPlugin = require("./CommonJsImportsParserPlugin");
+
+const {
+  JAVASCRIPT_MODULE_TYPE_AUTO,
+  JAVASCRIPT_MODULE_TYPE_DYNAMIC,
+} = require("../ModuleTypeConstants");
+const {
+  evaluateToIdentifier,
+  toConstantDependency,
+} = require("../javascript/JavascriptParserHelpers");
+const CommonJsExportRequireDependency = require("./CommonJsExportRequireDependency");
+
+const PLUGIN_NAME = "CommonJsPlugin";
+
+/**
+ * 支持 CommonJS 模块：注册 require/exports 相关依赖的模块工厂和模板，
+ * 并为 javascript/auto 和 javascript/dynamic 类型的解析器添加导入、导出的解析插件
+ */
+class CommonJsPlugin {
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      PLUGIN_NAME,
+      (compilation, { contextModuleFactory, normalModuleFactory }) => {
+        compilation.dependencyFactories.set(
+          CommonJsRequireDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          CommonJsRequireDependency,
+          new CommonJsRequireDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          CommonJsFullRequireDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          CommonJsFullRequireDependency,
+          new CommonJsFullRequireDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          CommonJsRequireContextDependency,
+          contextModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          CommonJsRequireContextDependency,
+          new CommonJsRequireContextDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          RequireResolveDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          RequireResolveDependency,
+          new RequireResolveDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          RequireResolveContextDependency,
+          contextModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          RequireResolveContextDependency,
+          new RequireResolveContextDependency.Template()
+        );
+
+        compilation.dependencyTemplates.set(
+          RequireResolveHeaderDependency,
+          new RequireResolveHeaderDependency.Template()
+        );
+
+        compilation.dependencyTemplates.set(
+          RequireHeaderDependency,
+          new RequireHeaderDependency.Template()
+        );
+
+        compilation.dependencyTemplates.set(
+          CommonJsExportsDependency,
+          new CommonJsExportsDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          CommonJsExportRequireDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          CommonJsExportRequireDependency,
+          new CommonJsExportRequireDependency.Template()
+        );
+
+        // 引用模块自身的依赖解析为所在模块
+        const selfFactory = new SelfModuleFactory(compilation.moduleGraph);
+
+        compilation.dependencyFactories.set(
+          CommonJsSelfReferenceDependency,
+          selfFactory
+        );
+        compilation.dependencyTemplates.set(
+          CommonJsSelfReferenceDependency,
+          new CommonJsSelfReferenceDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          ModuleDecoratorDependency,
+          selfFactory
+        );
+        compilation.dependencyTemplates.set(
+          ModuleDecoratorDependency,
+          new ModuleDecoratorDependency.Template()
+        );
+
+        compilation.hooks.runtimeRequirementInModule
+          .for(RuntimeGlobals.harmonyModuleDecorator)
+          .tap(PLUGIN_NAME, (module, set) => {
+            set.add(RuntimeGlobals.module);
+            set.add(RuntimeGlobals.requireScope);
+          });
+
+        compilation.hooks.runtimeRequirementInModule
+          .for(RuntimeGlobals.nodeModuleDecorator)
+          .tap(PLUGIN_NAME, (module, set) => {
+            set.add(RuntimeGlobals.module);
+            set.add(RuntimeGlobals.requireScope);
+          });
+
+        compilation.hooks.runtimeRequirementInTree
+          .for(RuntimeGlobals.harmonyModuleDecorator)
+          .tap(PLUGIN_NAME, (chunk, set) => {
+            compilation.addRuntimeModule(
+              chunk,
+              new HarmonyModuleDecoratorRuntimeModule()
+            );
+          });
+
+        compilation.hooks.runtimeRequirementInTree
+          .for(RuntimeGlobals.nodeModuleDecorator)
+          .tap(PLUGIN_NAME, (chunk, set) => {
+            compilation.addRuntimeModule(
+              chunk,
+              new NodeModuleDecoratorRuntimeModule()
+            );
+          });
+
+        /**
+         * 给解析器添加 CommonJS 相关插件，parser.commonjs 为 false 时不处理
+         * @param {Parser} parser parser parser
+         * @param {JavascriptParserOptions} parserOptions parserOptions
+         * @returns {void}
+         */
+        const handler = (parser, parserOptions) => {
+          if (parserOptions.commonjs !== undefined && !parserOptions.commonjs)
+            return;
+          parser.hooks.typeof
+            .for("module")
+            .tap(
+              PLUGIN_NAME,
+              toConstantDependency(parser, JSON.stringify("object"))
+            );
+
+          // require.main 指向入口模块
+          parser.hooks.expression
+            .for("require.main")
+            .tap(
+              PLUGIN_NAME,
+              toConstantDependency(
+                parser,
+                `${RuntimeGlobals.moduleCache}[${RuntimeGlobals.entryModuleId}]`,
+                [RuntimeGlobals.moduleCache, RuntimeGlobals.entryModuleId]
+              )
+            );
+          // 使用 module.loaded、module.id 的模块不能参与模块合并
+          parser.hooks.expression
+            .for(RuntimeGlobals.moduleLoaded)
+            .tap(PLUGIN_NAME, (expr) => {
+              /** @type {BuildInfo} */
+              (parser.state.module.buildInfo).moduleConcatenationBailout =
+                RuntimeGlobals.moduleLoaded;
+              const dep = new RuntimeRequirementsDependency([
+                RuntimeGlobals.moduleLoaded,
+              ]);
+              dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+              parser.state.module.addPresentationalDependency(dep);
+              return true;
+            });
+
+          parser.hooks.expression
+            .for(RuntimeGlobals.moduleId)
+            .tap(PLUGIN_NAME, (expr) => {
+              /** @type {BuildInfo} */
+              (parser.state.module.buildInfo).moduleConcatenationBailout =
+                RuntimeGlobals.moduleId;
+              const dep = new RuntimeRequirementsDependency([
+                RuntimeGlobals.moduleId,
+              ]);
+              dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+              parser.state.module.addPresentationalDependency(dep);
+              return true;
+            });
+
+          parser.hooks.evaluateIdentifier.for("module.hot").tap(
+            PLUGIN_NAME,
+            evaluateToIdentifier("module.hot", "module", () => ["hot"], null)
+          );
+
+          new CommonJsImportsParserPlugin(parserOptions).apply(parser);
+          new CommonJsExportsParserPlugin(compilation.moduleGraph).apply(
+            parser
+          );
+        };
+
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_AUTO)
+          .tap(PLUGIN_NAME, handler);
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_DYNAMIC)
+          .tap(PLUGIN_NAME, handler);
+      }
+    );
+  }
+}
+
+/**
+ * __webpack_require__.hmd：ESM 中访问 module 时使用，禁止对 module.exports 赋值
+ */
+class HarmonyModuleDecoratorRuntimeModule extends RuntimeModule {
+  constructor() {
+    super("harmony module decorator");
+  }
+
+  /**
+   * 生成运行时代码
+   * @returns {string | null} runtime code
+   */
+  generate() {
+    const { runtimeTemplate } = /** @type {Compilation} */ (this.compilation);
+    return Template.asString([
+      `${
+        RuntimeGlobals.harmonyModuleDecorator
+      } = ${runtimeTemplate.basicFunction("module", [
+        "module = Object.create(module);",
+        "if (!module.children) module.children = [];",
+        "Object.defineProperty(module, 'exports', {",
+        Template.indent([
+          "enumerable: true,",
+          `set: ${runtimeTemplate.basicFunction("", [
+            "throw new Error('ES Modules may not assign module.exports or exports.*, Use ESM export syntax, instead: ' + module.id);",
+          ])}`,
+        ]),
+        "});",
+        "return module;",
+      ])};`,
+    ]);
+  }
+}
+
+/**
+ * __webpack_require__.nmd：CommonJS 中访问 module 时补全 paths、children 属性
+ */
+class NodeModuleDecoratorRuntimeModule extends RuntimeModule {
+  constructor() {
+    super("node module decorator");
+  }
+
+  /**
+   * 生成运行时代码
+   * @returns {string | null} runtime code
+   */
+  generate() {
+    const { runtimeTemplate } = /** @type {Compilation} */ (this.compilation);
+    return Template.asString([
+      `${RuntimeGlobals.nodeModuleDecorator} = ${runtimeTemplate.basicFunction(
+        "module",
+        [
+          "module.paths = [];",
+          "if (!module.children) module.children = [];",
+          "return module;",
+        ]
+      )};`,
+    ]);
+  }
+}
+
+module.exports = CommonJsPlugin;
@@ -0,0 +1,148 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const RuntimeGlobals = require("../RuntimeGlobals");
+const { equals } = require("../util/ArrayHelpers");
+const makeSerializable = require("../util/makeSerializable");
+const propertyAccess = require("../util/propertyAccess");
+const NullDependency = require("./NullDependency");
+
+/**
+ * CommonJS 模块中读取自身导出的表达式，如 exports.a、module.exports.a() 或 this.a
+ */
+class CommonJsSelfReferenceDependency extends NullDependency {
+  /**
+   * @param {Range} range range
+   * @param {CommonJSDependencyBaseKeywords} base base
+   * @param {string[]} names names
+   * @param {boolean} call is a call
+   */
+  constructor(range, base, names, call) {
+    super();
+    this.range = range;
+    this.base = base;
+    this.names = names;
+    this.call = call;
+  }
+
+  get type() {
+    return "cjs self exports reference";
+  }
+
+  get category() {
+    return "self";
+  }
+
+  /**
+   * 指向模块自身
+   * @returns {string | null} an identifier to merge equal requests
+   */
+  getResourceIdentifier() {
+    return "self";
+  }
+
+  /**
+   * 引用访问的导出，调用时 this 为上一级对象
+   * @param {ModuleGraph} moduleGraph module graph
+   * @param {RuntimeSpec} runtime the runtime for which the module is analysed
+   * @returns {(string[] | ReferencedExport)[]} referenced exports
+   */
+  getReferencedExports(moduleGraph, runtime) {
+    return [this.call ? this.names.slice(0, -1) : this.names];
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.range);
+    write(this.base);
+    write(this.names);
+    write(this.call);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.range = read();
+    this.base = read();
+    this.names = read();
+    this.call = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  CommonJsSelfReferenceDependency,
+  "webpack/lib/dependencies/CommonJsSelfReferenceDependency"
+);
+
+/**
+ * 按导出被使用后的名称改写属性访问
+ */
+CommonJsSelfReferenceDependency.Template = class CommonJsSelfReferenceDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(
+    dependency,
+    source,
+    { module, moduleGraph, runtime, runtimeRequirements }
+  ) {
+    const dep = /** @type {CommonJsSelfReferenceDependency} */ (dependency);
+    const used =
+      dep.names.length === 0
+        ? dep.names
+        : moduleGraph.getExportsInfo(module).getUsedName(dep.names, runtime);
+    if (!used) {
+      throw new Error(
+        "Self-reference dependency has unused export name: This should not happen"
+      );
+    }
+
+    let base;
+    switch (dep.base) {
+      case "exports":
+        runtimeRequirements.add(RuntimeGlobals.exports);
+        base = module.exportsArgument;
+        break;
+      case "module.exports":
+        runtimeRequirements.add(RuntimeGlobals.module);
+        base = `${module.moduleArgument}.exports`;
+        break;
+      case "this":
+        runtimeRequirements.add(RuntimeGlobals.thisAsExports);
+        base = "this";
+        break;
+      default:
+        throw new Error(`Unsupported base ${dep.base}`);
+    }
+
+    if (base === dep.base && equals(used, dep.names)) {
+      // 不需要修改
+      // 为了兼容直接修改 module._source 的插件（本不应该这样做），这里不做替换
+      return;
+    }
+
+    source.replace(
+      dep.range[0],
+      dep.range[1] - 1,
+      `${base}${propertyAccess(used)}`
+    );
+  }
+};
+
+module.exports = CommonJsSelfReferenceDependency;
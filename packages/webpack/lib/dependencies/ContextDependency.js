@@ -0,0 +1,180 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Dependency = require("../Dependency");
+const DependencyTemplate = require("../DependencyTemplate");
+const makeSerializable = require("../util/makeSerializable");
+const memoize = require("../util/memoize");
+
+const getCriticalDependencyWarning = memoize(() =>
+  require("./CriticalDependencyWarning")
+);
+
+/** @typedef {ContextOptions & { request: string }} ContextDependencyOptions */
+
+/**
+ * 正则转为字符串，空值返回空字符串
+ * @param {RegExp | null | undefined} r regexp
+ * @returns {string} stringified regexp
+ */
+const regExpToString = (r) => (r ? String(r) : "");
+
+/**
+ * 上下文依赖的基类，对应 require(`./dir/${name}`) 这类请求无法在编译期确定的依赖
+ *
+ * 由 ContextModuleFactory 创建包含目录下所有匹配模块的上下文模块
+ */
+class ContextDependency extends Dependency {
+  /**
+   * @param {ContextDependencyOptions} options options for the context module
+   * @param {string=} context request context
+   */
+  constructor(options, context) {
+    super();
+
+    this.options = options;
+    this.userRequest = this.options && this.options.request;
+    /** @type {false | undefined | string} */
+    this.critical = false;
+    this.hadGlobalOrStickyRegExp = false;
+
+    if (
+      this.options &&
+      (this.options.regExp.global || this.options.regExp.sticky)
+    ) {
+      this.options = { ...this.options, regExp: null };
+      this.hadGlobalOrStickyRegExp = true;
+    }
+
+    this.request = undefined;
+    this.range = undefined;
+    this.valueRange = undefined;
+    /** @type {boolean | string | undefined} */
+    this.inShorthand = undefined;
+    // TODO refactor this
+    this.replaces = undefined;
+    this._requestContext = context;
+  }
+
+  /**
+   * 解析请求时使用的上下文目录
+   * @returns {string | undefined} a request context
+   */
+  getContext() {
+    return this._requestContext;
+  }
+
+  get category() {
+    return "commonjs";
+  }
+
+  /**
+   * 上下文模块的变化总会影响引用它的模块
+   * @returns {boolean | TRANSITIVE} true, when changes to the referenced module could affect the referencing module; TRANSITIVE, when changes to the referenced module could affect referencing modules of the referencing module
+   */
+  couldAffectReferencingModule() {
+    return true;
+  }
+
+  /**
+   * 相同目录、相同匹配规则和模式的上下文依赖会复用同一个上下文模块
+   * @returns {string | null} an identifier to merge equal requests
+   */
+  getResourceIdentifier() {
+    return (
+      `context${this._requestContext || ""}|ctx request${
+        this.options.request
+      } ${this.options.recursive} ` +
+      `${regExpToString(this.options.regExp)} ${regExpToString(
+        this.options.include
+      )} ${regExpToString(this.options.exclude)} ` +
+      `${this.options.mode} ${this.options.chunkName} ` +
+      `${JSON.stringify(this.options.groupOptions)}` +
+      `${
+        this.options.referencedExports
+          ? ` ${JSON.stringify(this.options.referencedExports)}`
+          : ""
+      }`
+    );
+  }
+
+  /**
+   * 表达式无法静态分析（critical）或正则带有 g/y 标志时给出警告
+   * @param {ModuleGraph} moduleGraph module graph
+   * @returns {WebpackError[] | null | undefined} warnings
+   */
+  getWarnings(moduleGraph) {
+    let warnings = super.getWarnings(moduleGraph);
+
+    if (this.critical) {
+      if (!warnings) warnings = [];
+      const CriticalDependencyWarning = getCriticalDependencyWarning();
+      warnings.push(new CriticalDependencyWarning(this.critical));
+    }
+
+    if (this.hadGlobalOrStickyRegExp) {
+      if (!warnings) warnings = [];
+      const CriticalDependencyWarning = getCriticalDependencyWarning();
+      warnings.push(
+        new CriticalDependencyWarning(
+          "Contexts can't use RegExps with the 'g' or 'y' flags."
+        )
+      );
+    }
+
+    return warnings;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+
+    write(this.options);
+    write(this.userRequest);
+    write(this.critical);
+    write(this.hadGlobalOrStickyRegExp);
+    write(this.request);
+    write(this._requestContext);
+    write(this.range);
+    write(this.valueRange);
+    write(this.prepend);
+    write(this.replaces);
+
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+
+    this.options = read();
+    this.userRequest = read();
+    this.critical = read();
+    this.hadGlobalOrStickyRegExp = read();
+    this.request = read();
+    this._requestContext = read();
+    this.range = read();
+    this.valueRange = read();
+    this.prepend = read();
+    this.replaces = read();
+
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  ContextDependency,
+  "webpack/lib/dependencies/ContextDependency"
+);
+
+ContextDependency.Template = DependencyTemplate;
+
+module.exports = ContextDependency;
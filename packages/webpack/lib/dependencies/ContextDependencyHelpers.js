@@ -0,0 +1,257 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { parseResource } = require("../util/identifier");
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} str String to quote
+ * @returns {string} Escaped string
+ */
+const quoteMeta = (str) => str.replace(/[-[\]\\/{}()*+?.^$|]/g, "\\$&");
+
+/**
+ * 把前缀中最后一个 / 之前的部分拆出来作为上下文目录
+ * @param {string} prefix prefix
+ * @returns {{prefix: string, context: string}} result
+ */
+const splitContextFromPrefix = (prefix) => {
+  const idx = prefix.lastIndexOf("/");
+  let context = ".";
+  if (idx >= 0) {
+    context = prefix.slice(0, idx);
+    prefix = `.${prefix.slice(idx)}`;
+  }
+  return {
+    context,
+    prefix,
+  };
+};
+
+/** @typedef {Partial<Omit<ContextDependencyOptions, "resource">>} PartialContextDependencyOptions */
+/** @typedef {{ new(options: ContextDependencyOptions, range: Range, valueRange: [number, number], ...args: any[]): ContextDependency }} ContextDependencyConstructor */
+
+/**
+ * 根据 require 参数的求值结果创建上下文依赖
+ *
+ * 模板字符串和字符串拼接可以根据固定的前缀/后缀推断出目录和匹配正则，
+ * 完全无法确定的表达式使用 exprContext* 配置
+ * @param {ContextDependencyConstructor} Dep the Dependency class
+ * @param {Range} range source range
+ * @param {BasicEvaluatedExpression} param context param
+ * @param {EsTreeNode} expr expr
+ * @param {Pick<JavascriptParserOptions, `${"expr"|"wrapped"}Context${"Critical"|"Recursive"|"RegExp"}` | "exprContextRequest">} options options for context creation
+ * @param {PartialContextDependencyOptions} contextOptions options for the ContextModule
+ * @param {JavascriptParser} parser the parser
+ * @param {...any} depArgs depArgs
+ * @returns {ContextDependency} the created Dependency
+ */
+module.exports.create = (
+  Dep,
+  range,
+  param,
+  expr,
+  options,
+  contextOptions,
+  parser,
+  ...depArgs
+) => {
+  if (param.isTemplateString()) {
+    const quasis = /** @type {BasicEvaluatedExpression[]} */ (param.quasis);
+    const prefixRaw = /** @type {string} */ (quasis[0].string);
+    const postfixRaw =
+      /** @type {string} */
+      (quasis.length > 1 ? quasis[quasis.length - 1].string : "");
+
+    const valueRange = /** @type {Range} */ (param.range);
+    const { context, prefix } = splitContextFromPrefix(prefixRaw);
+    const {
+      path: postfix,
+      query,
+      fragment,
+    } = parseResource(postfixRaw, parser);
+
+    // 超过两段字符串时，中间的字符串也可以用于生成更精确的正则，
+    // 各段之间用表达式对应的正则连接
+    const innerQuasis = quasis.slice(1, -1);
+    const innerRegExp =
+      /** @type {RegExp} */ (options.wrappedContextRegExp).source +
+      innerQuasis
+        .map(
+          (q) =>
+            quoteMeta(/** @type {string} */ (q.string)) +
+            /** @type {RegExp} */ (options.wrappedContextRegExp).source
+        )
+        .join("");
+
+    // 例如：`./context/pre${e}inner${e}inner2${e}post?query#frag`
+    // context: "./context"
+    // prefix: "./pre"
+    // innerQuasis: [BEE("inner"), BEE("inner2")]
+    // （BEE 即 BasicEvaluatedExpression）
+    // postfix: "post"
+    // query: "?query"
+    // fragment: "#frag"
+    // regExp: /^\.\/pre.*inner.*inner2.*post$/
+    const regExp = new RegExp(
+      `^${quoteMeta(prefix)}${innerRegExp}${quoteMeta(postfix)}$`
+    );
+    const dep = new Dep(
+      {
+        request: context + query + fragment,
+        recursive: /** @type {boolean} */ (options.wrappedContextRecursive),
+        regExp,
+        mode: "sync",
+        ...contextOptions,
+      },
+      range,
+      valueRange,
+      ...depArgs
+    );
+    dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+
+    /** @type {{ value: string, range: Range }[]} */
+    const replaces = [];
+    const parts = /** @type {BasicEvaluatedExpression[]} */ (param.parts);
+
+    for (const [i, part] of parts.entries()) {
+      if (i % 2 === 0) {
+        // 字符串部分
+        let range = /** @type {Range} */ (part.range);
+        let value = /** @type {string} */ (part.string);
+        if (param.templateStringKind === "cooked") {
+          value = JSON.stringify(value);
+          value = value.slice(1, -1);
+        }
+        if (i === 0) {
+          // 前缀
+          value = prefix;
+          range = [
+            /** @type {Range} */ (param.range)[0],
+            /** @type {Range} */ (part.range)[1],
+          ];
+          value =
+            (param.templateStringKind === "cooked" ? "`" : "String.raw`") +
+            value;
+        } else if (i === parts.length - 1) {
+          // 后缀
+          value = postfix;
+          range = [
+            /** @type {Range} */ (part.range)[0],
+            /** @type {Range} */ (param.range)[1],
+          ];
+          value = `${value}\``;
+        } else if (
+          part.expression &&
+          part.expression.type === "TemplateElement" &&
+          part.expression.value.raw === value
+        ) {
+          // 中间的字符串不需要修改时跳过
+          continue;
+        }
+        replaces.push({
+          range,
+          value,
+        });
+      } else {
+        // 表达式部分
+        parser.walkExpression(part.expression);
+      }
+    }
+
+    dep.replaces = replaces;
+    dep.critical =
+      options.wrappedContextCritical &&
+      "a part of the request of a dependency is an expression";
+    return dep;
+  } else if (
+    param.isWrapped() &&
+    ((param.prefix && param.prefix.isString()) ||
+      (param.postfix && param.postfix.isString()))
+  ) {
+    const prefixRaw =
+      /** @type {string} */
+      (param.prefix && param.prefix.isString() ? param.prefix.string : "");
+    const postfixRaw =
+      /** @type {string} */
+      (param.postfix && param.postfix.isString() ? param.postfix.string : "");
+    const prefixRange =
+      param.prefix && param.prefix.isString() ? param.prefix.range : null;
+    const postfixRange =
+      param.postfix && param.postfix.isString() ? param.postfix.range : null;
+    const valueRange = /** @type {Range} */ (param.range);
+    const { context, prefix } = splitContextFromPrefix(prefixRaw);
+    const {
+      path: postfix,
+      query,
+      fragment,
+    } = parseResource(postfixRaw, parser);
+    const regExp = new RegExp(
+      `^${quoteMeta(prefix)}${
+        /** @type {RegExp} */ (options.wrappedContextRegExp).source
+      }${quoteMeta(postfix)}$`
+    );
+    const dep = new Dep(
+      {
+        request: context + query + fragment,
+        recursive: /** @type {boolean} */ (options.wrappedContextRecursive),
+        regExp,
+        mode: "sync",
+        ...contextOptions,
+      },
+      range,
+      valueRange,
+      ...depArgs
+    );
+    dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+    const replaces = [];
+    if (prefixRange) {
+      replaces.push({
+        range: prefixRange,
+        value: JSON.stringify(prefix),
+      });
+    }
+    if (postfixRange) {
+      replaces.push({
+        range: postfixRange,
+        value: JSON.stringify(postfix),
+      });
+    }
+    dep.replaces = replaces;
+    dep.critical =
+      options.wrappedContextCritical &&
+      "a part of the request of a dependency is an expression";
+
+    if (parser && param.wrappedInnerExpressions) {
+      for (const part of param.wrappedInnerExpressions) {
+        if (part.expression) parser.walkExpression(part.expression);
+      }
+    }
+
+    return dep;
+  }
+  const dep = new Dep(
+    {
+      request: /** @type {string} */ (options.exprContextRequest),
+      recursive: /** @type {boolean} */ (options.exprContextRecursive),
+      regExp: /** @type {RegExp} */ (options.exprContextRegExp),
+      mode: "sync",
+      ...contextOptions,
+    },
+    range,
+    /** @type {Range} */ (param.range),
+    ...depArgs
+  );
+  dep.loc = /** @type {DependencyLocation} */ (expr.loc);
+  dep.critical =
+    options.exprContextCritical &&
+    "the request of a dependency is an expression";
+
+  parser.walkExpression(param.expression);
+
+  return dep;
+};
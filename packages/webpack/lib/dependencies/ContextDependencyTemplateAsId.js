@@ -0,0 +1,61 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const ContextDependency = require("./ContextDependency");
+
+/**
+ * 把上下文依赖替换为对上下文模块 resolve 方法的调用，用于 require.resolve(expr)
+ */
+class ContextDependencyTemplateAsId extends ContextDependency.Template {
+  /**
+   * 有 valueRange 时保留原表达式作为 resolve 的参数
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(
+    dependency,
+    source,
+    { runtimeTemplate, moduleGraph, chunkGraph, runtimeRequirements }
+  ) {
+    const dep = /** @type {ContextDependency} */ (dependency);
+    const moduleExports = runtimeTemplate.moduleExports({
+      module: moduleGraph.getModule(dep),
+      chunkGraph,
+      request: dep.request,
+      weak: dep.weak,
+      runtimeRequirements,
+    });
+
+    if (moduleGraph.getModule(dep)) {
+      if (dep.valueRange) {
+        if (Array.isArray(dep.replaces)) {
+          for (let i = 0; i < dep.replaces.length; i++) {
+            const rep = dep.replaces[i];
+            source.replace(rep.range[0], rep.range[1] - 1, rep.value);
+          }
+        }
+        source.replace(dep.valueRange[1], dep.range[1] - 1, ")");
+        source.replace(
+          dep.range[0],
+          dep.valueRange[0] - 1,
+          `${moduleExports}.resolve(`
+        );
+      } else {
+        source.replace(
+          dep.range[0],
+          dep.range[1] - 1,
+          `${moduleExports}.resolve`
+        );
+      }
+    } else {
+      source.replace(dep.range[0], dep.range[1] - 1, moduleExports);
+    }
+  }
+}
+module.exports = ContextDependencyTemplateAsId;
@@ -0,0 +1,129 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Dependency = require("../Dependency");
+const makeSerializable = require("../util/makeSerializable");
+const ModuleDependency = require("./ModuleDependency");
+
+/**
+ * 上下文模块中的单个元素
+ *
+ * ContextModuleFactory 扫描目录时，为每个匹配的文件创建一个 ContextElementDependency，
+ * userRequest 是相对于上下文目录的路径（例如 ./home.js），也是运行时 map 中的 key
+ */
+class ContextElementDependency extends ModuleDependency {
+  /**
+   * @param {string} request 实际解析的请求（带上 query 和 fragment）
+   * @param {string|undefined} userRequest 相对于上下文目录的请求
+   * @param {string | undefined} typePrefix 类型前缀，例如 "import()"、"require.context"
+   * @param {string} category 依赖类别，例如 "esm"、"commonjs"
+   * @param {(string[][] | null)=} referencedExports 被引用的导出（这些导出不会被混淆）
+   * @param {string=} context 解析请求时使用的目录
+   * @param {ImportAttributes=} attributes import assertions
+   */
+  constructor(
+    request,
+    userRequest,
+    typePrefix,
+    category,
+    referencedExports,
+    context,
+    attributes
+  ) {
+    super(request);
+    this.referencedExports = referencedExports;
+    this._typePrefix = typePrefix;
+    this._category = category;
+    this._context = context || undefined;
+
+    if (userRequest) {
+      this.userRequest = userRequest;
+    }
+
+    this.assertions = attributes;
+  }
+
+  get type() {
+    if (this._typePrefix) {
+      return `${this._typePrefix} context element`;
+    }
+
+    return "context element";
+  }
+
+  get category() {
+    return this._category;
+  }
+
+  /**
+   * 返回该依赖引用的导出
+   * 没有指定 referencedExports 时引用整个导出对象
+   * @param {ModuleGraph} moduleGraph module graph
+   * @param {RuntimeSpec} runtime the runtime for which the module is analysed
+   * @returns {(string[] | ReferencedExport)[]} referenced exports
+   */
+  getReferencedExports(moduleGraph, runtime) {
+    if (!this.referencedExports) return Dependency.EXPORTS_OBJECT_REFERENCED;
+    const refs = [];
+    for (const referencedExport of this.referencedExports) {
+      // import() 引用 default 时，非 ES 模块的 default 就是整个导出对象
+      if (
+        this._typePrefix === "import()" &&
+        referencedExport[0] === "default"
+      ) {
+        const selfModule = moduleGraph.getParentModule(this);
+        const importedModule = moduleGraph.getModule(this);
+        const exportsType = importedModule.getExportsType(
+          moduleGraph,
+          selfModule.options.namespaceObject === "strict"
+        );
+        if (
+          exportsType === "default-only" ||
+          exportsType === "default-with-named"
+        ) {
+          return Dependency.EXPORTS_OBJECT_REFERENCED;
+        }
+      }
+      refs.push({
+        name: referencedExport,
+        canMangle: false,
+      });
+    }
+    return refs;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this._typePrefix);
+    write(this._category);
+    write(this.referencedExports);
+    write(this.assertions);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this._typePrefix = read();
+    this._category = read();
+    this.referencedExports = read();
+    this.assertions = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  ContextElementDependency,
+  "webpack/lib/dependencies/ContextElementDependency"
+);
+
+module.exports = ContextElementDependency;
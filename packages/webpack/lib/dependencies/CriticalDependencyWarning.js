@@ -0,0 +1,31 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const WebpackError = require("../WebpackError");
+const makeSerializable = require("../util/makeSerializable");
+
+/**
+ * 无法静态分析的依赖产生的警告，如 require(expr) 中的表达式无法确定
+ */
+class CriticalDependencyWarning extends WebpackError {
+  /**
+   * @param {string} message message
+   */
+  constructor(message) {
+    super();
+
+    this.name = "CriticalDependencyWarning";
+    this.message = `Critical dependency: ${message}`;
+  }
+}
+
+makeSerializable(
+  CriticalDependencyWarning,
+  "webpack/lib/dependencies/CriticalDependencyWarning"
+);
+
+module.exports = CriticalDependencyWarning;
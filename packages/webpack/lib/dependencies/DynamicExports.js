@@ -0,0 +1,78 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 记录模块的 CommonJS 导出能否被静态分析：true 表示可以，false 表示已放弃分析
+ * @type {WeakMap<ParserState, boolean>}
+ */
+const parserStateExportsState = new WeakMap();
+
+/**
+ * 放弃静态分析模块的导出（例如模块中出现了 ESM 语法，或者 exports 被整体替换）
+ * @param {ParserState} parserState parser state
+ * @returns {void}
+ */
+module.exports.bailout = (parserState) => {
+  const value = parserStateExportsState.get(parserState);
+  parserStateExportsState.set(parserState, false);
+  if (value === true) {
+    const buildMeta = /** @type {BuildMeta} */ (parserState.module.buildMeta);
+    buildMeta.exportsType = undefined;
+    buildMeta.defaultObject = false;
+  }
+};
+
+/**
+ * 开始静态分析模块的 CommonJS 导出
+ * @param {ParserState} parserState parser state
+ * @returns {void}
+ */
+module.exports.enable = (parserState) => {
+  const value = parserStateExportsState.get(parserState);
+  if (value === false) return;
+  parserStateExportsState.set(parserState, true);
+  if (value !== true) {
+    const buildMeta = /** @type {BuildMeta} */ (parserState.module.buildMeta);
+    buildMeta.exportsType = "default";
+    buildMeta.defaultObject = "redirect";
+  }
+};
+
+/**
+ * 模块通过 __esModule 标记为 ESM 转换而来
+ * @param {ParserState} parserState parser state
+ * @returns {void}
+ */
+module.exports.setFlagged = (parserState) => {
+  const value = parserStateExportsState.get(parserState);
+  if (value !== true) return;
+  const buildMeta = /** @type {BuildMeta} */ (parserState.module.buildMeta);
+  if (buildMeta.exportsType === "dynamic") return;
+  buildMeta.exportsType = "flagged";
+};
+
+/**
+ * 模块的导出无法静态确定，运行时再判断是否是 ESM
+ * @param {ParserState} parserState parser state
+ * @returns {void}
+ */
+module.exports.setDynamic = (parserState) => {
+  const value = parserStateExportsState.get(parserState);
+  if (value !== true) return;
+  /** @type {BuildMeta} */
+  (parserState.module.buildMeta).exportsType = "dynamic";
+};
+
+/**
+ * 判断是否正在静态分析模块的 CommonJS 导出
+ * @param {ParserState} parserState parser state
+ * @returns {boolean} true, when enabled
+ */
+module.exports.isEnabled = (parserState) => {
+  const value = parserStateExportsState.get(parserState);
+  return value === true;
+};
@@ -0,0 +1,144 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Template = require("../Template");
+const makeSerializable = require("../util/makeSerializable");
+const HarmonyImportDependency = require("./HarmonyImportDependency");
+const NullDependency = require("./NullDependency");
+
+/**
+ * ESM 模块中 module.hot.accept([...], callback) 的依赖列表
+ *
+ * 被接受的模块更新后需要重新执行对应的 import 语句，更新导入变量后再调用回调
+ */
+class HarmonyAcceptDependency extends NullDependency {
+  /**
+   * @param {Range} range expression range
+   * @param {HarmonyAcceptImportDependency[]} dependencies import dependencies
+   * @param {boolean} hasCallback true, if the range wraps an existing callback
+   */
+  constructor(range, dependencies, hasCallback) {
+    super();
+    this.range = range;
+    this.dependencies = dependencies;
+    this.hasCallback = hasCallback;
+  }
+
+  get type() {
+    return "accepted harmony modules";
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.range);
+    write(this.dependencies);
+    write(this.hasCallback);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.range = read();
+    this.dependencies = read();
+    this.hasCallback = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  HarmonyAcceptDependency,
+  "webpack/lib/dependencies/HarmonyAcceptDependency"
+);
+
+/**
+ * 在 accept 的回调前插入重新导入被更新模块的代码，没有回调时补一个回调
+ */
+HarmonyAcceptDependency.Template = class HarmonyAcceptDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * 生成重新执行 import 语句的代码，hasCallback 时包裹原回调，否则作为新回调追加到参数末尾
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, templateContext) {
+    const dep = /** @type {HarmonyAcceptDependency} */ (dependency);
+    const {
+      module,
+      runtime,
+      runtimeRequirements,
+      runtimeTemplate,
+      moduleGraph,
+      chunkGraph,
+    } = templateContext;
+    const content = dep.dependencies
+      .map((dependency) => {
+        const referencedModule = moduleGraph.getModule(dependency);
+        return {
+          dependency,
+          runtimeCondition: referencedModule
+            ? HarmonyImportDependency.Template.getImportEmittedRuntime(
+                module,
+                referencedModule
+              )
+            : false,
+        };
+      })
+      .filter(({ runtimeCondition }) => runtimeCondition !== false)
+      .map(({ dependency, runtimeCondition }) => {
+        const condition = runtimeTemplate.runtimeConditionExpression({
+          chunkGraph,
+          runtime,
+          runtimeCondition,
+          runtimeRequirements,
+        });
+        const s = dependency.getImportStatement(true, templateContext);
+        const code = s[0] + s[1];
+        if (condition !== "true") {
+          return `if (${condition}) {\n${Template.indent(code)}\n}\n`;
+        }
+        return code;
+      })
+      .join("");
+
+    if (dep.hasCallback) {
+      if (runtimeTemplate.supportsArrowFunction()) {
+        source.insert(
+          dep.range[0],
+          `__WEBPACK_OUTDATED_DEPENDENCIES__ => { ${content}(`
+        );
+        source.insert(dep.range[1], ")(__WEBPACK_OUTDATED_DEPENDENCIES__); }");
+      } else {
+        source.insert(
+          dep.range[0],
+          `function(__WEBPACK_OUTDATED_DEPENDENCIES__) { ${content}(`
+        );
+        source.insert(
+          dep.range[1],
+          ")(__WEBPACK_OUTDATED_DEPENDENCIES__); }.bind(this)"
+        );
+      }
+      return;
+    }
+
+    const arrow = runtimeTemplate.supportsArrowFunction();
+    source.insert(
+      dep.range[1] - 0.5,
+      `, ${arrow ? "() =>" : "function()"} { ${content} }`
+    );
+  }
+};
+
+module.exports = HarmonyAcceptDependency;
@@ -0,0 +1,41 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const HarmonyImportDependency = require("./HarmonyImportDependency");
+const NullDependency = require("./NullDependency");
+
+/**
+ * ESM 模块中 module.hot.accept 接受的模块请求
+ *
+ * 是弱依赖，本身不生成代码，重新导入的语句由 HarmonyAcceptDependency 生成
+ */
+class HarmonyAcceptImportDependency extends HarmonyImportDependency {
+  /**
+   * @param {string} request the request string
+   */
+  constructor(request) {
+    super(request, Number.NaN);
+    this.weak = true;
+  }
+
+  get type() {
+    return "harmony accept";
+  }
+}
+
+makeSerializable(
+  HarmonyAcceptImportDependency,
+  "webpack/lib/dependencies/HarmonyAcceptImportDependency"
+);
+
+HarmonyAcceptImportDependency.Template =
+  /** @type {typeof HarmonyImportDependency.Template} */ (
+    NullDependency.Template
+  );
+
+module.exports = HarmonyAcceptImportDependency;
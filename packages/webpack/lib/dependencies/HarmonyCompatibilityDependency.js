@@ -0,0 +1,96 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { UsageState } = require("../ExportsInfo");
+const InitFragment = require("../InitFragment");
+const RuntimeGlobals = require("../RuntimeGlobals");
+const makeSerializable = require("../util/makeSerializable");
+const NullDependency = require("./NullDependency");
+
+/**
+ * 每个 ESM 模块都会添加的依赖
+ *
+ * 代码生成时在模块开头用 __webpack_require__.r 标记 __esModule，
+ * 异步模块还会用 __webpack_require__.a 包裹整个模块
+ */
+class HarmonyCompatibilityDependency extends NullDependency {
+  get type() {
+    return "harmony export header";
+  }
+}
+
+makeSerializable(
+  HarmonyCompatibilityDependency,
+  "webpack/lib/dependencies/HarmonyCompatibilityDependency"
+);
+
+/**
+ * 生成 __esModule 标记和异步模块包裹代码，模块合并时不需要
+ */
+HarmonyCompatibilityDependency.Template = class HarmonyExportDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * __esModule 被使用时生成标记语句；模块是异步模块时添加包裹模块的开头和结尾代码
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(
+    dependency,
+    source,
+    {
+      module,
+      runtimeTemplate,
+      moduleGraph,
+      initFragments,
+      runtimeRequirements,
+      runtime,
+      concatenationScope,
+    }
+  ) {
+    if (concatenationScope) return;
+    const exportsInfo = moduleGraph.getExportsInfo(module);
+    if (
+      exportsInfo.getReadOnlyExportInfo("__esModule").getUsed(runtime) !==
+      UsageState.Unused
+    ) {
+      const content = runtimeTemplate.defineEsModuleFlagStatement({
+        exportsArgument: module.exportsArgument,
+        runtimeRequirements,
+      });
+      initFragments.push(
+        new InitFragment(
+          content,
+          InitFragment.STAGE_HARMONY_EXPORTS,
+          0,
+          "harmony compatibility"
+        )
+      );
+    }
+    if (moduleGraph.isAsync(module)) {
+      runtimeRequirements.add(RuntimeGlobals.module);
+      runtimeRequirements.add(RuntimeGlobals.asyncModule);
+      initFragments.push(
+        new InitFragment(
+          runtimeTemplate.supportsArrowFunction()
+            ? `${RuntimeGlobals.asyncModule}(${module.moduleArgument}, async (__webpack_handle_async_dependencies__, __webpack_async_result__) => { try {\n`
+            : `${RuntimeGlobals.asyncModule}(${module.moduleArgument}, async function (__webpack_handle_async_dependencies__, __webpack_async_result__) { try {\n`,
+          InitFragment.STAGE_ASYNC_BOUNDARY,
+          0,
+          undefined,
+          `\n__webpack_async_result__();\n} catch(e) { __webpack_async_result__(e); } }${
+            /** @type {BuildMeta} */ (module.buildMeta).async ? ", 1" : ""
+          });`
+        )
+      );
+    }
+  }
+};
+
+module.exports = HarmonyCompatibilityDependency;
@@ -0,0 +1,144 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Ivan Kopeykin @vankop
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const HarmonyImportSpecifierDependency = require("./HarmonyImportSpecifierDependency");
+
+/**
+ * 可以静态求值的导入绑定表达式，目前只有 in 运算符，例如
+ * @example
+ * import * as a from "a";
+ * "x" in a; // 根据模块是否提供 x 替换为 true 或 false
+ */
+class HarmonyEvaluatedImportSpecifierDependency extends HarmonyImportSpecifierDependency {
+  /**
+   * @param {string} request the request string
+   * @param {number} sourceOrder source order
+   * @param {TODO} ids ids
+   * @param {TODO} name name
+   * @param {Range} range location in source code
+   * @param {ImportAttributes} attributes import assertions
+   * @param {string} operator operator
+   */
+  constructor(request, sourceOrder, ids, name, range, attributes, operator) {
+    super(request, sourceOrder, ids, name, range, false, attributes, []);
+    this.operator = operator;
+  }
+
+  get type() {
+    return `evaluated X ${this.operator} harmony import specifier`;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    super.serialize(context);
+    const { write } = context;
+    write(this.operator);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    super.deserialize(context);
+    const { read } = context;
+    this.operator = read();
+  }
+}
+
+makeSerializable(
+  HarmonyEvaluatedImportSpecifierDependency,
+  "webpack/lib/dependencies/HarmonyEvaluatedImportSpecifierDependency"
+);
+
+/**
+ * 能确定导出是否存在时替换为布尔值，否则生成使用压缩后名称的 in 表达式
+ */
+HarmonyEvaluatedImportSpecifierDependency.Template = class HarmonyEvaluatedImportSpecifierDependencyTemplate extends (
+  HarmonyImportSpecifierDependency.Template
+) {
+  /**
+   * 生成 in 表达式的求值结果
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, templateContext) {
+    const dep = /** @type {HarmonyEvaluatedImportSpecifierDependency} */ (
+      dependency
+    );
+    const { module, moduleGraph, runtime } = templateContext;
+    const connection = moduleGraph.getConnection(dep);
+    // 连接在当前运行时中不生效时不生成代码
+    if (connection && !connection.isTargetActive(runtime)) return;
+
+    const exportsInfo = moduleGraph.getExportsInfo(
+      /** @type {ModuleGraphConnection} */ (connection).module
+    );
+    const ids = dep.getIds(moduleGraph);
+
+    let value;
+
+    const exportsType =
+      /** @type {ModuleGraphConnection} */
+      (connection).module.getExportsType(
+        moduleGraph,
+        /** @type {BuildMeta} */
+        (module.buildMeta).strictHarmonyModule
+      );
+    switch (exportsType) {
+      case "default-with-named": {
+        if (ids[0] === "default") {
+          value =
+            ids.length === 1 || exportsInfo.isExportProvided(ids.slice(1));
+        } else {
+          value = exportsInfo.isExportProvided(ids);
+        }
+        break;
+      }
+      case "namespace": {
+        value =
+          ids[0] === "__esModule"
+            ? ids.length === 1 || undefined
+            : exportsInfo.isExportProvided(ids);
+        break;
+      }
+      case "dynamic": {
+        if (ids[0] !== "default") {
+          value = exportsInfo.isExportProvided(ids);
+        }
+        break;
+      }
+      // default-only 不做静态求值，默认导出是原始值时 in 运算符会在运行时报错
+    }
+
+    if (typeof value === "boolean") {
+      source.replace(dep.range[0], dep.range[1] - 1, ` ${value}`);
+    } else {
+      const usedName = exportsInfo.getUsedName(ids, runtime);
+
+      const code = this._getCodeForIds(
+        dep,
+        source,
+        templateContext,
+        ids.slice(0, -1)
+      );
+      source.replace(
+        dep.range[0],
+        dep.range[1] - 1,
+        `${
+          usedName ? JSON.stringify(usedName[usedName.length - 1]) : '""'
+        } in ${code}`
+      );
+    }
+  }
+};
+
+module.exports = HarmonyEvaluatedImportSpecifierDependency;
@@ -0,0 +1,81 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const NullDependency = require("./NullDependency");
+
+/**
+ * export 语句的头部
+ *
+ * 例如 export const a = 1 中的 "export "，代码生成时删除，只保留声明本身；
+ * export { a } 这种没有声明的语句会被整体删除
+ */
+class HarmonyExportHeaderDependency extends NullDependency {
+  /**
+   * @param {Range | false} range range
+   * @param {Range} rangeStatement range statement
+   */
+  constructor(range, rangeStatement) {
+    super();
+    this.range = range;
+    this.rangeStatement = rangeStatement;
+  }
+
+  get type() {
+    return "harmony export header";
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.range);
+    write(this.rangeStatement);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.range = read();
+    this.rangeStatement = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  HarmonyExportHeaderDependency,
+  "webpack/lib/dependencies/HarmonyExportHeaderDependency"
+);
+
+/**
+ * 删除 export 关键字（或整个 export 语句）
+ */
+HarmonyExportHeaderDependency.Template = class HarmonyExportDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * 把 export 语句开头到声明之前的部分替换为空
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, templateContext) {
+    const dep = /** @type {HarmonyExportHeaderDependency} */ (dependency);
+    const content = "";
+    const replaceUntil = dep.range
+      ? dep.range[0] - 1
+      : dep.rangeStatement[1] - 1;
+    source.replace(dep.rangeStatement[0], replaceUntil, content);
+  }
+};
+
+module.exports = HarmonyExportHeaderDependency;
@@ -0,0 +1,124 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const HarmonyExportInitFragment = require("./HarmonyExportInitFragment");
+const NullDependency = require("./NullDependency");
+
+/**
+ * ESM 模块中导出本地变量的依赖
+ *
+ * 如 export { a as b }、export const a = 1，id 为本地变量名，name 为导出名
+ */
+class HarmonyExportSpecifierDependency extends NullDependency {
+  /**
+   * @param {TODO} id id
+   * @param {TODO} name name
+   */
+  constructor(id, name) {
+    super();
+    this.id = id;
+    this.name = name;
+  }
+
+  get type() {
+    return "harmony export specifier";
+  }
+
+  /**
+   * 导出名即 name
+   * @param {ModuleGraph} moduleGraph module graph
+   * @returns {ExportsSpec | undefined} export names
+   */
+  getExports(moduleGraph) {
+    return {
+      exports: [this.name],
+      priority: 1,
+      terminalBinding: true,
+      dependencies: undefined,
+    };
+  }
+
+  /**
+   * 导出本地绑定没有副作用
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @returns {ConnectionState} how this dependency connects the module to referencing modules
+   */
+  getModuleEvaluationSideEffectsState(moduleGraph) {
+    return false;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.id);
+    write(this.name);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.id = read();
+    this.name = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  HarmonyExportSpecifierDependency,
+  "webpack/lib/dependencies/HarmonyExportSpecifierDependency"
+);
+
+/**
+ * 通过 HarmonyExportInitFragment 在模块顶部定义导出 getter
+ */
+HarmonyExportSpecifierDependency.Template = class HarmonyExportSpecifierDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * 模块合并时直接登记到 concatenationScope；导出未被使用时只输出 unused 注释
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(
+    dependency,
+    source,
+    { module, moduleGraph, initFragments, runtime, concatenationScope }
+  ) {
+    const dep = /** @type {HarmonyExportSpecifierDependency} */ (dependency);
+    if (concatenationScope) {
+      concatenationScope.registerExport(dep.name, dep.id);
+      return;
+    }
+    const used = moduleGraph
+      .getExportsInfo(module)
+      .getUsedName(dep.name, runtime);
+    if (!used) {
+      const set = new Set();
+      set.add(dep.name || "namespace");
+      initFragments.push(
+        new HarmonyExportInitFragment(module.exportsArgument, undefined, set)
+      );
+      return;
+    }
+
+    const map = new Map();
+    map.set(used, `/* binding */ ${dep.id}`);
+    initFragments.push(
+      new HarmonyExportInitFragment(module.exportsArgument, map, undefined)
+    );
+  }
+};
+
+module.exports = HarmonyExportSpecifierDependency;
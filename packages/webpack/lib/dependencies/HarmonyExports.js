@@ -0,0 +1,48 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const RuntimeGlobals = require("../RuntimeGlobals");
+
+/**
+ * 记录模块是否按 ESM 处理
+ * @type {WeakMap<ParserState, boolean>}
+ */
+const parserStateExportsState = new WeakMap();
+
+/**
+ * 把模块标记为 ESM：导出类型为 namespace，开启严格模式
+ * javascript/esm 类型的模块还会开启严格的 ESM 语义（strictHarmonyModule）
+ * @param {ParserState} parserState parser state
+ * @param {boolean} isStrictHarmony strict harmony mode should be enabled
+ * @returns {void}
+ */
+module.exports.enable = (parserState, isStrictHarmony) => {
+  const value = parserStateExportsState.get(parserState);
+  if (value === false) return;
+  parserStateExportsState.set(parserState, true);
+  if (value !== true) {
+    const buildMeta = /** @type {BuildMeta} */ (parserState.module.buildMeta);
+    buildMeta.exportsType = "namespace";
+    const buildInfo = /** @type {BuildInfo} */ (parserState.module.buildInfo);
+    buildInfo.strict = true;
+    buildInfo.exportsArgument = RuntimeGlobals.exports;
+    if (isStrictHarmony) {
+      buildMeta.strictHarmonyModule = true;
+      buildInfo.moduleArgument = "__webpack_module__";
+    }
+  }
+};
+
+/**
+ * 判断模块是否按 ESM 处理
+ * @param {ParserState} parserState parser state
+ * @returns {boolean} true, when enabled
+ */
+module.exports.isEnabled = (parserState) => {
+  const value = parserStateExportsState.get(parserState);
+  return value === true;
+};
@@ -0,0 +1,387 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const ConditionalInitFragment = require("../ConditionalInitFragment");
+const Dependency = require("../Dependency");
+const HarmonyLinkingError = require("../HarmonyLinkingError");
+const InitFragment = require("../InitFragment");
+const Template = require("../Template");
+const AwaitDependenciesInitFragment = require("../async-modules/AwaitDependenciesInitFragment");
+const { filterRuntime, mergeRuntime } = require("../util/runtime");
+const ModuleDependency = require("./ModuleDependency");
+
+/**
+ * 导入的名称在目标模块中不存在时的处理方式，对应 parser.javascript.exportsPresence 等配置
+ * NONE 不提示，WARN 警告，AUTO 严格 ESM 模块中报错、其他模块中警告，ERROR 报错
+ */
+const ExportPresenceModes = {
+  NONE: /** @type {0} */ (0),
+  WARN: /** @type {1} */ (1),
+  AUTO: /** @type {2} */ (2),
+  ERROR: /** @type {3} */ (3),
+  /**
+   * 把配置值转换为 ExportPresenceModes
+   * @param {string | false} str param
+   * @returns {0 | 1 | 2 | 3} result
+   */
+  fromUserOption(str) {
+    switch (str) {
+      case "error":
+        return ExportPresenceModes.ERROR;
+      case "warn":
+        return ExportPresenceModes.WARN;
+      case "auto":
+        return ExportPresenceModes.AUTO;
+      case false:
+        return ExportPresenceModes.NONE;
+      default:
+        throw new Error(`Invalid export presence value ${str}`);
+    }
+  },
+};
+
+/**
+ * ESM 导入依赖的基类，对应一条 import 语句中的模块请求
+ *
+ * 代码生成时在模块开头生成 var x = __webpack_require__(id) 导入语句，
+ * 同一个被导入模块只生成一次；sourceOrder 是 import 语句在源码中的顺序，决定导入语句的顺序
+ */
+class HarmonyImportDependency extends ModuleDependency {
+  /**
+   * @param {string} request request string
+   * @param {number} sourceOrder source order
+   * @param {ImportAttributes=} attributes import attributes
+   */
+  constructor(request, sourceOrder, attributes) {
+    super(request);
+    this.sourceOrder = sourceOrder;
+    this.assertions = attributes;
+  }
+
+  get category() {
+    return "esm";
+  }
+
+  /**
+   * 导入语句本身不引用任何导出，具体的导出由 HarmonyImportSpecifierDependency 引用
+   * @param {ModuleGraph} moduleGraph module graph
+   * @param {RuntimeSpec} runtime the runtime for which the module is analysed
+   * @returns {(string[] | ReferencedExport)[]} referenced exports
+   */
+  getReferencedExports(moduleGraph, runtime) {
+    return Dependency.NO_EXPORTS_REFERENCED;
+  }
+
+  /**
+   * 获取导入变量名，例如 _a__WEBPACK_IMPORTED_MODULE_0__，同一个模块中按被导入模块编号
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @returns {string} name of the variable for the import
+   */
+  getImportVar(moduleGraph) {
+    const module = /** @type {Module} */ (moduleGraph.getParentModule(this));
+    const meta = /** @type {TODO} */ (moduleGraph.getMeta(module));
+    let importVarMap = meta.importVarMap;
+    if (!importVarMap) meta.importVarMap = importVarMap = new Map();
+    let importVar = importVarMap.get(
+      /** @type {Module} */ (moduleGraph.getModule(this))
+    );
+    if (importVar) return importVar;
+    importVar = `${Template.toIdentifier(
+      `${this.userRequest}`
+    )}__WEBPACK_IMPORTED_MODULE_${importVarMap.size}__`;
+    importVarMap.set(
+      /** @type {Module} */ (moduleGraph.getModule(this)),
+      importVar
+    );
+    return importVar;
+  }
+
+  /**
+   * 生成导入语句和兼容语句
+   * @param {boolean} update create new variables or update existing one
+   * @param {DependencyTemplateContext} templateContext the template context
+   * @returns {[string, string]} the import statement and the compat statement
+   */
+  getImportStatement(
+    update,
+    { runtimeTemplate, module, moduleGraph, chunkGraph, runtimeRequirements }
+  ) {
+    return runtimeTemplate.importStatement({
+      update,
+      module: /** @type {Module} */ (moduleGraph.getModule(this)),
+      chunkGraph,
+      importVar: this.getImportVar(moduleGraph),
+      request: this.request,
+      originModule: module,
+      runtimeRequirements,
+    });
+  }
+
+  /**
+   * 检查导入的名称在目标模块中是否存在，返回链接错误
+   * @param {ModuleGraph} moduleGraph module graph
+   * @param {string[]} ids imported ids
+   * @param {string} additionalMessage extra info included in the error message
+   * @returns {WebpackError[] | undefined} errors
+   */
+  getLinkingErrors(moduleGraph, ids, additionalMessage) {
+    const importedModule = moduleGraph.getModule(this);
+    // 模块不存在或构建失败时已经有其他错误，这里不再报告
+    if (!importedModule || importedModule.getNumberOfErrors() > 0) {
+      return;
+    }
+
+    const parentModule =
+      /** @type {Module} */
+      (moduleGraph.getParentModule(this));
+    const exportsType = importedModule.getExportsType(
+      moduleGraph,
+      /** @type {BuildMeta} */ (parentModule.buildMeta).strictHarmonyModule
+    );
+    if (exportsType === "namespace" || exportsType === "default-with-named") {
+      if (ids.length === 0) {
+        return;
+      }
+
+      if (
+        (exportsType !== "default-with-named" || ids[0] !== "default") &&
+        moduleGraph.isExportProvided(importedModule, ids) === false
+      ) {
+        // 可以确定目标模块没有提供该导出
+
+        // 尽量在错误信息中给出详细的信息
+        let pos = 0;
+        let exportsInfo = moduleGraph.getExportsInfo(importedModule);
+        while (pos < ids.length && exportsInfo) {
+          const id = ids[pos++];
+          const exportInfo = exportsInfo.getReadOnlyExportInfo(id);
+          if (exportInfo.provided === false) {
+            // 可以确定没有提供该导出
+            const providedExports = exportsInfo.getProvidedExports();
+            const moreInfo = !Array.isArray(providedExports)
+              ? " (possible exports unknown)"
+              : providedExports.length === 0
+                ? " (module has no exports)"
+                : ` (possible exports: ${providedExports.join(", ")})`;
+            return [
+              new HarmonyLinkingError(
+                `export ${ids
+                  .slice(0, pos)
+                  .map((id) => `'${id}'`)
+                  .join(".")} ${additionalMessage} was not found in '${
+                  this.userRequest
+                }'${moreInfo}`
+              ),
+            ];
+          }
+          exportsInfo =
+            /** @type {ExportsInfo} */
+            (exportInfo.getNestedExportsInfo());
+        }
+
+        // 通用的错误信息
+        return [
+          new HarmonyLinkingError(
+            `export ${ids
+              .map((id) => `'${id}'`)
+              .join(".")} ${additionalMessage} was not found in '${
+              this.userRequest
+            }'`
+          ),
+        ];
+      }
+    }
+    switch (exportsType) {
+      case "default-only":
+        // 只有默认导出
+        if (ids.length > 0 && ids[0] !== "default") {
+          // 严格的 ESM 模块中只能导入默认导出
+          return [
+            new HarmonyLinkingError(
+              `Can't import the named export ${ids
+                .map((id) => `'${id}'`)
+                .join(
+                  "."
+                )} ${additionalMessage} from default-exporting module (only default export is available)`
+            ),
+          ];
+        }
+        break;
+      case "default-with-named":
+        // 有默认导出，命名导出重定向到默认导出的属性
+        // 某些情况下仍然需要警告
+        if (
+          ids.length > 0 &&
+          ids[0] !== "default" &&
+          /** @type {BuildMeta} */
+          (importedModule.buildMeta).defaultObject === "redirect-warn"
+        ) {
+          // 这类模块以后只支持默认导出
+          return [
+            new HarmonyLinkingError(
+              `Should not import the named export ${ids
+                .map((id) => `'${id}'`)
+                .join(
+                  "."
+                )} ${additionalMessage} from default-exporting module (only default export is available soon)`
+            ),
+          ];
+        }
+        break;
+    }
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.sourceOrder);
+    write(this.assertions);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.sourceOrder = read();
+    this.assertions = read();
+    super.deserialize(context);
+  }
+}
+
+module.exports = HarmonyImportDependency;
+
+/**
+ * 记录每个模块中已经生成了导入语句的被导入模块，以及对应的运行时条件
+ * HarmonyAcceptDependency 据此决定热更新时需要重新导入哪些模块
+ * @type {WeakMap<Module, WeakMap<Module, RuntimeSpec | boolean>>}
+ */
+const importEmittedMap = new WeakMap();
+
+/**
+ * 在模块开头生成导入语句
+ * 被导入的模块是异步模块时，还会生成等待该模块完成的代码
+ */
+HarmonyImportDependency.Template = class HarmonyImportDependencyTemplate extends (
+  ModuleDependency.Template
+) {
+  /**
+   * 生成导入语句的初始化代码片段，并记录在哪些运行时中生成了对该模块的导入
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, templateContext) {
+    const dep = /** @type {HarmonyImportDependency} */ (dependency);
+    const { module, chunkGraph, moduleGraph, runtime } = templateContext;
+
+    const connection = moduleGraph.getConnection(dep);
+    if (connection && !connection.isTargetActive(runtime)) return;
+
+    const referencedModule = connection && connection.module;
+
+    if (
+      connection &&
+      connection.weak &&
+      referencedModule &&
+      chunkGraph.getModuleId(referencedModule) === null
+    ) {
+      // 弱引用的模块可能不在任何 chunk 中，这时不需要生成导入语句
+      return;
+    }
+
+    const moduleKey = referencedModule
+      ? referencedModule.identifier()
+      : dep.request;
+    const key = `harmony import ${moduleKey}`;
+
+    const runtimeCondition = dep.weak
+      ? false
+      : connection
+        ? filterRuntime(runtime, (r) => connection.isTargetActive(r))
+        : true;
+
+    if (module && referencedModule) {
+      let emittedModules = importEmittedMap.get(module);
+      if (emittedModules === undefined) {
+        emittedModules = new WeakMap();
+        importEmittedMap.set(module, emittedModules);
+      }
+      let mergedRuntimeCondition = runtimeCondition;
+      const oldRuntimeCondition = emittedModules.get(referencedModule) || false;
+      if (oldRuntimeCondition !== false && mergedRuntimeCondition !== true) {
+        if (mergedRuntimeCondition === false || oldRuntimeCondition === true) {
+          mergedRuntimeCondition = oldRuntimeCondition;
+        } else {
+          mergedRuntimeCondition = mergeRuntime(
+            oldRuntimeCondition,
+            mergedRuntimeCondition
+          );
+        }
+      }
+      emittedModules.set(referencedModule, mergedRuntimeCondition);
+    }
+
+    const importStatement = dep.getImportStatement(false, templateContext);
+    if (
+      referencedModule &&
+      templateContext.moduleGraph.isAsync(referencedModule)
+    ) {
+      templateContext.initFragments.push(
+        new ConditionalInitFragment(
+          importStatement[0],
+          InitFragment.STAGE_HARMONY_IMPORTS,
+          dep.sourceOrder,
+          key,
+          runtimeCondition
+        )
+      );
+      templateContext.initFragments.push(
+        new AwaitDependenciesInitFragment(
+          new Set([dep.getImportVar(templateContext.moduleGraph)])
+        )
+      );
+      templateContext.initFragments.push(
+        new ConditionalInitFragment(
+          importStatement[1],
+          InitFragment.STAGE_ASYNC_HARMONY_IMPORTS,
+          dep.sourceOrder,
+          `${key} compat`,
+          runtimeCondition
+        )
+      );
+    } else {
+      templateContext.initFragments.push(
+        new ConditionalInitFragment(
+          importStatement[0] + importStatement[1],
+          InitFragment.STAGE_HARMONY_IMPORTS,
+          dep.sourceOrder,
+          key,
+          runtimeCondition
+        )
+      );
+    }
+  }
+
+  /**
+   * 获取 module 中生成了 referencedModule 导入语句的运行时条件
+   * @param {Module} module the module
+   * @param {Module} referencedModule the referenced module
+   * @returns {RuntimeSpec | boolean} runtimeCondition in which this import has been emitted
+   */
+  static getImportEmittedRuntime(module, referencedModule) {
+    const emittedModules = importEmittedMap.get(module);
+    if (emittedModules === undefined) return false;
+    return emittedModules.get(referencedModule) || false;
+  }
+};
+
+module.exports.ExportPresenceModes = ExportPresenceModes;
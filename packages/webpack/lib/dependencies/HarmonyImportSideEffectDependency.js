@@ -0,0 +1,83 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const HarmonyImportDependency = require("./HarmonyImportDependency");
+
+/**
+ * import 语句对被导入模块的副作用依赖
+ *
+ * 每条 import 语句（包括 import "./a"）都会添加，保证被导入模块会被执行；
+ * 被导入模块没有副作用并且导出没有被使用时，连接可以被优化掉
+ */
+class HarmonyImportSideEffectDependency extends HarmonyImportDependency {
+  /**
+   * @param {string} request the request string
+   * @param {number} sourceOrder source order
+   * @param {ImportAttributes=} attributes import attributes
+   */
+  constructor(request, sourceOrder, attributes) {
+    super(request, sourceOrder, attributes);
+  }
+
+  get type() {
+    return "harmony side effect evaluation";
+  }
+
+  /**
+   * 被导入模块标记为没有副作用时，连接只在有导出被使用时生效
+   * @param {ModuleGraph} moduleGraph module graph
+   * @returns {null | false | GetConditionFn} function to determine if the connection is active
+   */
+  getCondition(moduleGraph) {
+    return (connection) => {
+      const refModule = connection.resolvedModule;
+      if (!refModule) return true;
+      return refModule.getSideEffectsConnectionState(moduleGraph);
+    };
+  }
+
+  /**
+   * 被导入模块是否有副作用
+   * @param {ModuleGraph} moduleGraph the module graph
+   * @returns {ConnectionState} how this dependency connects the module to referencing modules
+   */
+  getModuleEvaluationSideEffectsState(moduleGraph) {
+    const refModule = moduleGraph.getModule(this);
+    if (!refModule) return true;
+    return refModule.getSideEffectsConnectionState(moduleGraph);
+  }
+}
+
+makeSerializable(
+  HarmonyImportSideEffectDependency,
+  "webpack/lib/dependencies/HarmonyImportSideEffectDependency"
+);
+
+HarmonyImportSideEffectDependency.Template = class HarmonyImportSideEffectDependencyTemplate extends (
+  HarmonyImportDependency.Template
+) {
+  /**
+   * 模块合并时被导入的模块也在合并范围内，不需要生成导入语句
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, templateContext) {
+    const { moduleGraph, concatenationScope } = templateContext;
+    if (concatenationScope) {
+      const module = /** @type {Module} */ (moduleGraph.getModule(dependency));
+      if (concatenationScope.isModuleInScope(module)) {
+        return;
+      }
+    }
+    super.apply(dependency, source, templateContext);
+  }
+};
+
+module.exports = HarmonyImportSideEffectDependency;
@@ -0,0 +1,67 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const ContextDependency = require("./ContextDependency");
+const ContextDependencyTemplateAsRequireCall = require("./ContextDependencyTemplateAsRequireCall");
+
+/**
+ * import(expr) 中无法确定的请求，生成上下文模块
+ * options.mode 决定上下文模块加载文件的方式（lazy、lazy-once、eager、async-weak）
+ */
+class ImportContextDependency extends ContextDependency {
+  /**
+   * @param {TODO} options options
+   * @param {Range} range range
+   * @param {Range} valueRange value range
+   */
+  constructor(options, range, valueRange) {
+    super(options);
+
+    this.range = range;
+    this.valueRange = valueRange;
+  }
+
+  get type() {
+    return `import() context ${this.options.mode}`;
+  }
+
+  get category() {
+    return "esm";
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+
+    write(this.valueRange);
+
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+
+    this.valueRange = read();
+
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  ImportContextDependency,
+  "webpack/lib/dependencies/ImportContextDependency"
+);
+
+ImportContextDependency.Template = ContextDependencyTemplateAsRequireCall;
+
+module.exports = ImportContextDependency;
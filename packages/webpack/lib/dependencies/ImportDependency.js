@@ -0,0 +1,135 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Dependency = require("../Dependency");
+const makeSerializable = require("../util/makeSerializable");
+const ModuleDependency = require("./ModuleDependency");
+
+/**
+ * import("./x") 中的静态请求（lazy 和 lazy-once 模式）
+ * 依赖放在单独的异步块中，被引用的模块会拆分到异步 chunk
+ */
+class ImportDependency extends ModuleDependency {
+  /**
+   * @param {string} request the request
+   * @param {Range} range expression range
+   * @param {(string[][] | null)=} referencedExports list of referenced exports
+   * @param {ImportAttributes=} attributes import attributes
+   */
+  constructor(request, range, referencedExports, attributes) {
+    super(request);
+    this.range = range;
+    // 来自 webpackExports 注释或解构赋值，为 null 时引用整个导出对象
+    this.referencedExports = referencedExports;
+    this.assertions = attributes;
+  }
+
+  get type() {
+    return "import()";
+  }
+
+  get category() {
+    return "esm";
+  }
+
+  /**
+   * 返回被引用的导出
+   * @param {ModuleGraph} moduleGraph module graph
+   * @param {RuntimeSpec} runtime the runtime for which the module is analysed
+   * @returns {(string[] | ReferencedExport)[]} referenced exports
+   */
+  getReferencedExports(moduleGraph, runtime) {
+    if (!this.referencedExports) return Dependency.EXPORTS_OBJECT_REFERENCED;
+    const refs = [];
+    for (const referencedExport of this.referencedExports) {
+      if (referencedExport[0] === "default") {
+        const selfModule =
+          /** @type {Module} */
+          (moduleGraph.getParentModule(this));
+        const importedModule =
+          /** @type {Module} */
+          (moduleGraph.getModule(this));
+        const exportsType = importedModule.getExportsType(
+          moduleGraph,
+          /** @type {BuildMeta} */
+          (selfModule.buildMeta).strictHarmonyModule
+        );
+        // default 由 fake namespace 对象提供，需要整个导出对象
+        if (
+          exportsType === "default-only" ||
+          exportsType === "default-with-named"
+        ) {
+          return Dependency.EXPORTS_OBJECT_REFERENCED;
+        }
+      }
+      refs.push({
+        name: referencedExport,
+        canMangle: false,
+      });
+    }
+    return refs;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    context.write(this.range);
+    context.write(this.referencedExports);
+    context.write(this.assertions);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    this.range = context.read();
+    this.referencedExports = context.read();
+    this.assertions = context.read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(ImportDependency, "webpack/lib/dependencies/ImportDependency");
+
+/**
+ * 把 import() 替换为加载异步 chunk 后返回模块命名空间对象的 Promise
+ */
+ImportDependency.Template = class ImportDependencyTemplate extends (
+  ModuleDependency.Template
+) {
+  /**
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(
+    dependency,
+    source,
+    { runtimeTemplate, module, moduleGraph, chunkGraph, runtimeRequirements }
+  ) {
+    const dep = /** @type {ImportDependency} */ (dependency);
+    const block = /** @type {AsyncDependenciesBlock} */ (
+      moduleGraph.getParentBlock(dep)
+    );
+    const content = runtimeTemplate.moduleNamespacePromise({
+      chunkGraph,
+      block,
+      module: /** @type {Module} */ (moduleGraph.getModule(dep)),
+      request: dep.request,
+      strict: /** @type {BuildMeta} */ (module.buildMeta).strictHarmonyModule,
+      message: "import()",
+      runtimeRequirements,
+    });
+
+    source.replace(dep.range[0], dep.range[1] - 1, content);
+  }
+};
+
+module.exports = ImportDependency;
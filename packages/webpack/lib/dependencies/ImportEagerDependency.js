@@ -0,0 +1,69 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const ImportDependency = require("./ImportDependency");
+
+/**
+ * webpackMode: "eager" 的 import()
+ * 模块打包进当前 chunk，不产生额外的网络请求，但仍然返回 Promise
+ */
+class ImportEagerDependency extends ImportDependency {
+  /**
+   * @param {string} request the request
+   * @param {Range} range expression range
+   * @param {(string[][] | null)=} referencedExports list of referenced exports
+   * @param {ImportAttributes=} attributes import attributes
+   */
+  constructor(request, range, referencedExports, attributes) {
+    super(request, range, referencedExports, attributes);
+  }
+
+  get type() {
+    return "import() eager";
+  }
+
+  get category() {
+    return "esm";
+  }
+}
+
+makeSerializable(
+  ImportEagerDependency,
+  "webpack/lib/dependencies/ImportEagerDependency"
+);
+
+ImportEagerDependency.Template = class ImportEagerDependencyTemplate extends (
+  ImportDependency.Template
+) {
+  /**
+   * 没有异步块，直接返回 resolve 为模块命名空间对象的 Promise
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(
+    dependency,
+    source,
+    { runtimeTemplate, module, moduleGraph, chunkGraph, runtimeRequirements }
+  ) {
+    const dep = /** @type {ImportEagerDependency} */ (dependency);
+    const content = runtimeTemplate.moduleNamespacePromise({
+      chunkGraph,
+      module: /** @type {Module} */ (moduleGraph.getModule(dep)),
+      request: dep.request,
+      strict: /** @type {BuildMeta} */ (module.buildMeta).strictHarmonyModule,
+      message: "import() eager",
+      runtimeRequirements,
+    });
+
+    source.replace(dep.range[0], dep.range[1] - 1, content);
+  }
+};
+
+module.exports = ImportEagerDependency;
@@ -0,0 +1,100 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const {
+  JAVASCRIPT_MODULE_TYPE_AUTO,
+  JAVASCRIPT_MODULE_TYPE_DYNAMIC,
+  JAVASCRIPT_MODULE_TYPE_ESM,
+} = require("../ModuleTypeConstants");
+const ImportContextDependency = require("./ImportContextDependency");
+const ImportDependency = require("./ImportDependency");
+const ImportEagerDependency = require("./ImportEagerDependency");
+const ImportParserPlugin = require("./ImportParserPlugin");
+const ImportWeakDependency = require("./ImportWeakDependency");
+
+const PLUGIN_NAME = "ImportPlugin";
+
+/**
+ * 支持 import() 动态导入
+ *
+ * 为各种 import() 依赖注册模块工厂和模板：静态请求使用普通模块工厂，
+ * 表达式请求（ImportContextDependency）使用上下文模块工厂
+ * parser.import 为 false 时不解析 import()
+ */
+class ImportPlugin {
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      PLUGIN_NAME,
+      (compilation, { contextModuleFactory, normalModuleFactory }) => {
+        compilation.dependencyFactories.set(
+          ImportDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ImportDependency,
+          new ImportDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          ImportEagerDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ImportEagerDependency,
+          new ImportEagerDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          ImportWeakDependency,
+          normalModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ImportWeakDependency,
+          new ImportWeakDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          ImportContextDependency,
+          contextModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          ImportContextDependency,
+          new ImportContextDependency.Template()
+        );
+
+        /**
+         * @param {Parser} parser parser parser
+         * @param {JavascriptParserOptions} parserOptions parserOptions
+         * @returns {void}
+         */
+        const handler = (parser, parserOptions) => {
+          if (parserOptions.import !== undefined && !parserOptions.import)
+            return;
+
+          new ImportParserPlugin(parserOptions).apply(parser);
+        };
+
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_AUTO)
+          .tap(PLUGIN_NAME, handler);
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_DYNAMIC)
+          .tap(PLUGIN_NAME, handler);
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_ESM)
+          .tap(PLUGIN_NAME, handler);
+      }
+    );
+  }
+}
+
+module.exports = ImportPlugin;
@@ -0,0 +1,64 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+
+/**
+ * AMD 中通过 define("name", ...) 在模块内部定义的具名模块
+ */
+class LocalModule {
+  /**
+   * @param {string} name name
+   * @param {number} idx index
+   */
+  constructor(name, idx) {
+    this.name = name;
+    this.idx = idx;
+    this.used = false;
+  }
+
+  /**
+   * 标记为已被引用
+   */
+  flagUsed() {
+    this.used = true;
+  }
+
+  /**
+   * 保存该模块导出值的变量名
+   * @returns {string} variable name
+   */
+  variableName() {
+    return `__WEBPACK_LOCAL_MODULE_${this.idx}__`;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+
+    write(this.name);
+    write(this.idx);
+    write(this.used);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+
+    this.name = read();
+    this.idx = read();
+    this.used = read();
+  }
+}
+
+makeSerializable(LocalModule, "webpack/lib/dependencies/LocalModule");
+
+module.exports = LocalModule;
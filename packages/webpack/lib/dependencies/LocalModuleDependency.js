@@ -0,0 +1,83 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const NullDependency = require("./NullDependency");
+
+/**
+ * 对模块内部定义的具名模块（LocalModule）的引用
+ */
+class LocalModuleDependency extends NullDependency {
+  /**
+   * @param {LocalModule} localModule local module
+   * @param {Range | undefined} range range
+   * @param {boolean} callNew true, when the local module should be called with new
+   */
+  constructor(localModule, range, callNew) {
+    super();
+
+    this.localModule = localModule;
+    this.range = range;
+    this.callNew = callNew;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+
+    write(this.localModule);
+    write(this.range);
+    write(this.callNew);
+
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+
+    this.localModule = read();
+    this.range = read();
+    this.callNew = read();
+
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  LocalModuleDependency,
+  "webpack/lib/dependencies/LocalModuleDependency"
+);
+
+/**
+ * 把引用替换为保存该模块导出值的变量
+ */
+LocalModuleDependency.Template = class LocalModuleDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * callNew 时通过 new 调用以保持与原表达式一致的行为
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, templateContext) {
+    const dep = /** @type {LocalModuleDependency} */ (dependency);
+    if (!dep.range) return;
+    const moduleInstance = dep.callNew
+      ? `new (function () { return ${dep.localModule.variableName()}; })()`
+      : dep.localModule.variableName();
+    source.replace(dep.range[0], dep.range[1] - 1, moduleInstance);
+  }
+};
+
+module.exports = LocalModuleDependency;
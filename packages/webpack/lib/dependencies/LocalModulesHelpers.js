@@ -0,0 +1,69 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const LocalModule = require("./LocalModule");
+
+/**
+ * 把相对于具名模块的请求解析为具名模块名
+ * @param {string} parent parent module
+ * @param {string} mod module to resolve
+ * @returns {string} resolved module
+ */
+const lookup = (parent, mod) => {
+  if (mod.charAt(0) !== ".") return mod;
+
+  const path = parent.split("/");
+  const segments = mod.split("/");
+  path.pop();
+
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    if (seg === "..") {
+      path.pop();
+    } else if (seg !== ".") {
+      path.push(seg);
+    }
+  }
+
+  return path.join("/");
+};
+
+/**
+ * 在解析状态中登记一个具名模块
+ * @param {ParserState} state parser state
+ * @param {string} name name
+ * @returns {LocalModule} local module
+ */
+module.exports.addLocalModule = (state, name) => {
+  if (!state.localModules) {
+    state.localModules = [];
+  }
+  const m = new LocalModule(name, state.localModules.length);
+  state.localModules.push(m);
+  return m;
+};
+
+/**
+ * 按名称查找已登记的具名模块，找不到时返回 null
+ * @param {ParserState} state parser state
+ * @param {string} name name
+ * @param {string} [namedModule] named module
+ * @returns {LocalModule | null} local module or null
+ */
+module.exports.getLocalModule = (state, name, namedModule) => {
+  if (!state.localModules) return null;
+  if (namedModule) {
+    // 相对路径基于定义所在的具名模块解析
+    name = lookup(namedModule, name);
+  }
+  for (let i = 0; i < state.localModules.length; i++) {
+    if (state.localModules[i].name === name) {
+      return state.localModules[i];
+    }
+  }
+  return null;
+};
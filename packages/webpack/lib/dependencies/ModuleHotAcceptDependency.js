@@ -0,0 +1,43 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const ModuleDependency = require("./ModuleDependency");
+const ModuleDependencyTemplateAsId = require("./ModuleDependencyTemplateAsId");
+
+/**
+ * module.hot.accept(request) 中的请求
+ * 代码生成时请求被替换成模块 id；weak 表示它本身不会把模块加入 chunk
+ */
+class ModuleHotAcceptDependency extends ModuleDependency {
+  /**
+   * @param {string} request the request string
+   * @param {Range} range location in source code
+   */
+  constructor(request, range) {
+    super(request);
+    this.range = range;
+    this.weak = true;
+  }
+
+  get type() {
+    return "module.hot.accept";
+  }
+
+  get category() {
+    return "commonjs";
+  }
+}
+
+makeSerializable(
+  ModuleHotAcceptDependency,
+  "webpack/lib/dependencies/ModuleHotAcceptDependency"
+);
+
+ModuleHotAcceptDependency.Template = ModuleDependencyTemplateAsId;
+
+module.exports = ModuleHotAcceptDependency;
@@ -0,0 +1,38 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const ContextDependency = require("./ContextDependency");
+const ModuleDependencyTemplateAsRequireId = require("./ModuleDependencyTemplateAsRequireId");
+
+/**
+ * require.context(...) 调用，整个调用表达式会被替换为上下文模块的 require
+ */
+class RequireContextDependency extends ContextDependency {
+  /**
+   * @param {TODO} options options
+   * @param {Range} range range
+   */
+  constructor(options, range) {
+    super(options);
+
+    this.range = range;
+  }
+
+  get type() {
+    return "require.context";
+  }
+}
+
+makeSerializable(
+  RequireContextDependency,
+  "webpack/lib/dependencies/RequireContextDependency"
+);
+
+RequireContextDependency.Template = ModuleDependencyTemplateAsRequireId;
+
+module.exports = RequireContextDependency;
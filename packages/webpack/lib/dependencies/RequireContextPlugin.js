@@ -0,0 +1,169 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const {
+  JAVASCRIPT_MODULE_TYPE_AUTO,
+  JAVASCRIPT_MODULE_TYPE_DYNAMIC,
+} = require("../ModuleTypeConstants");
+const { cachedSetProperty } = require("../util/cleverMerge");
+const ContextElementDependency = require("./ContextElementDependency");
+const RequireContextDependency = require("./RequireContextDependency");
+const RequireContextDependencyParserPlugin = require("./RequireContextDependencyParserPlugin");
+
+/** @type {ResolveOptions} */
+const EMPTY_RESOLVE_OPTIONS = {};
+
+const PLUGIN_NAME = "RequireContextPlugin";
+
+/**
+ * 支持 require.context(directory, recursive, regExp, mode)
+ *
+ * - 为 RequireContextDependency 注册上下文模块工厂和模板
+ * - 为 ContextElementDependency 注册普通模块工厂，上下文模块扫描出的每个文件都通过它创建模块
+ *   （require(expr) 等表达式生成的上下文模块同样依赖这个注册）
+ * - 通过 alternativeRequests 为上下文中的文件补充省略扩展名、mainFiles 和 modules 目录的请求写法
+ */
+class RequireContextPlugin {
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      PLUGIN_NAME,
+      (compilation, { contextModuleFactory, normalModuleFactory }) => {
+        compilation.dependencyFactories.set(
+          RequireContextDependency,
+          contextModuleFactory
+        );
+        compilation.dependencyTemplates.set(
+          RequireContextDependency,
+          new RequireContextDependency.Template()
+        );
+
+        compilation.dependencyFactories.set(
+          ContextElementDependency,
+          normalModuleFactory
+        );
+
+        /**
+         * parser.requireContext 为 false 时不解析 require.context
+         * @param {Parser} parser parser parser
+         * @param {JavascriptParserOptions} parserOptions parserOptions
+         * @returns {void}
+         */
+        const handler = (parser, parserOptions) => {
+          if (
+            parserOptions.requireContext !== undefined &&
+            !parserOptions.requireContext
+          )
+            return;
+
+          new RequireContextDependencyParserPlugin().apply(parser);
+        };
+
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_AUTO)
+          .tap(PLUGIN_NAME, handler);
+        normalModuleFactory.hooks.parser
+          .for(JAVASCRIPT_MODULE_TYPE_DYNAMIC)
+          .tap(PLUGIN_NAME, handler);
+
+        contextModuleFactory.hooks.alternativeRequests.tap(
+          PLUGIN_NAME,
+          (items, options) => {
+            if (items.length === 0) return items;
+
+            // 按 context 对应的 resolve 配置生成其它可以解析到同一文件的请求
+
+            const finalResolveOptions = compiler.resolverFactory.get(
+              "normal",
+              cachedSetProperty(
+                options.resolveOptions || EMPTY_RESOLVE_OPTIONS,
+                "dependencyType",
+                /** @type {string} */ (options.category)
+              )
+            ).options;
+
+            let newItems;
+            if (!finalResolveOptions.fullySpecified) {
+              newItems = [];
+              for (const item of items) {
+                const { request, context } = item;
+                for (const ext of finalResolveOptions.extensions) {
+                  if (request.endsWith(ext)) {
+                    newItems.push({
+                      context,
+                      request: request.slice(0, -ext.length),
+                    });
+                  }
+                }
+                if (!finalResolveOptions.enforceExtension) {
+                  newItems.push(item);
+                }
+              }
+              items = newItems;
+
+              newItems = [];
+              for (const obj of items) {
+                const { request, context } = obj;
+                for (const mainFile of finalResolveOptions.mainFiles) {
+                  if (request.endsWith(`/${mainFile}`)) {
+                    newItems.push({
+                      context,
+                      request: request.slice(0, -mainFile.length),
+                    });
+                    newItems.push({
+                      context,
+                      request: request.slice(0, -mainFile.length - 1),
+                    });
+                  }
+                }
+                newItems.push(obj);
+              }
+              items = newItems;
+            }
+
+            newItems = [];
+            for (const item of items) {
+              let hideOriginal = false;
+              for (const modulesItems of finalResolveOptions.modules) {
+                if (Array.isArray(modulesItems)) {
+                  for (const dir of modulesItems) {
+                    if (item.request.startsWith(`./${dir}/`)) {
+                      newItems.push({
+                        context: item.context,
+                        request: item.request.slice(dir.length + 3),
+                      });
+                      hideOriginal = true;
+                    }
+                  }
+                } else {
+                  const dir = modulesItems.replace(/\\/g, "/");
+                  const fullPath =
+                    item.context.replace(/\\/g, "/") + item.request.slice(1);
+                  if (fullPath.startsWith(dir)) {
+                    newItems.push({
+                      context: item.context,
+                      request: fullPath.slice(dir.length + 1),
+                    });
+                  }
+                }
+              }
+              if (!hideOriginal) {
+                newItems.push(item);
+              }
+            }
+            return newItems;
+          }
+        );
+      }
+    );
+  }
+}
+module.exports = RequireContextPlugin;
@@ -0,0 +1,56 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Dependency = require("../Dependency");
+const makeSerializable = require("../util/makeSerializable");
+const ModuleDependency = require("./ModuleDependency");
+const ModuleDependencyAsId = require("./ModuleDependencyTemplateAsId");
+
+/**
+ * require.resolve("x") 中的请求，替换为模块 id
+ */
+class RequireResolveDependency extends ModuleDependency {
+  /**
+   * @param {string} request the request string
+   * @param {Range} range location in source code
+   * @param {string} [context] context
+   */
+  constructor(request, range, context) {
+    super(request);
+
+    this.range = range;
+    this._context = context;
+  }
+
+  get type() {
+    return "require.resolve";
+  }
+
+  get category() {
+    return "commonjs";
+  }
+
+  /**
+   * 只需要模块 id，不引用任何导出
+   * @param {ModuleGraph} moduleGraph module graph
+   * @param {RuntimeSpec} runtime the runtime for which the module is analysed
+   * @returns {(string[] | ReferencedExport)[]} referenced exports
+   */
+  getReferencedExports(moduleGraph, runtime) {
+    // 不使用任何导出
+    return Dependency.NO_EXPORTS_REFERENCED;
+  }
+}
+
+makeSerializable(
+  RequireResolveDependency,
+  "webpack/lib/dependencies/RequireResolveDependency"
+);
+
+RequireResolveDependency.Template = ModuleDependencyAsId;
+
+module.exports = RequireResolveDependency;
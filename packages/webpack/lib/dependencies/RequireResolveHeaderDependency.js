@@ -0,0 +1,81 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const NullDependency = require("./NullDependency");
+
+/**
+ * require.resolve 调用中的 require.resolve 部分
+ */
+class RequireResolveHeaderDependency extends NullDependency {
+  /**
+   * @param {Range} range range
+   */
+  constructor(range) {
+    super();
+
+    if (!Array.isArray(range)) throw new Error("range must be valid");
+
+    this.range = range;
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+
+    write(this.range);
+
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   * @returns {RequireResolveHeaderDependency} RequireResolveHeaderDependency
+   */
+  static deserialize(context) {
+    const obj = new RequireResolveHeaderDependency(context.read());
+    obj.deserialize(context);
+    return obj;
+  }
+}
+
+makeSerializable(
+  RequireResolveHeaderDependency,
+  "webpack/lib/dependencies/RequireResolveHeaderDependency"
+);
+
+/**
+ * 把 require.resolve 替换为注释，调用结果由 RequireResolveDependency 替换为模块 id
+ */
+RequireResolveHeaderDependency.Template = class RequireResolveHeaderDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, templateContext) {
+    const dep = /** @type {RequireResolveHeaderDependency} */ (dependency);
+    source.replace(dep.range[0], dep.range[1] - 1, "/*require.resolve*/");
+  }
+
+  /**
+   * 作为上下文模块模板的参数时同样替换为注释
+   * @param {string} name name
+   * @param {RequireResolveHeaderDependency} dep dependency
+   * @param {ReplaceSource} source source
+   */
+  applyAsTemplateArgument(name, dep, source) {
+    source.replace(dep.range[0], dep.range[1] - 1, "/*require.resolve*/");
+  }
+};
+
+module.exports = RequireResolveHeaderDependency;
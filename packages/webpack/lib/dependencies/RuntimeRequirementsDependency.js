@@ -0,0 +1,81 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const NullDependency = require("./NullDependency");
+
+/**
+ * 只为模块添加运行时依赖，不修改源码
+ */
+class RuntimeRequirementsDependency extends NullDependency {
+  /**
+   * @param {string[]} runtimeRequirements runtime requirements
+   */
+  constructor(runtimeRequirements) {
+    super();
+    this.runtimeRequirements = new Set(runtimeRequirements);
+    this._hashUpdate = undefined;
+  }
+
+  /**
+   * 运行时依赖参与模块哈希的计算
+   * @param {Hash} hash hash to be updated
+   * @param {UpdateHashContext} context context
+   * @returns {void}
+   */
+  updateHash(hash, context) {
+    if (this._hashUpdate === undefined) {
+      this._hashUpdate = `${Array.from(this.runtimeRequirements).join()}`;
+    }
+    hash.update(this._hashUpdate);
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.runtimeRequirements);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.runtimeRequirements = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  RuntimeRequirementsDependency,
+  "webpack/lib/dependencies/RuntimeRequirementsDependency"
+);
+
+/**
+ * 把记录的运行时依赖添加到模块的运行时依赖中
+ */
+RuntimeRequirementsDependency.Template = class RuntimeRequirementsDependencyTemplate extends (
+  NullDependency.Template
+) {
+  /**
+   * @param {Dependency} dependency the dependency for which the template should be applied
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {DependencyTemplateContext} templateContext the context object
+   * @returns {void}
+   */
+  apply(dependency, source, { runtimeRequirements }) {
+    const dep = /** @type {RuntimeRequirementsDependency} */ (dependency);
+    for (const req of dep.runtimeRequirements) {
+      runtimeRequirements.add(req);
+    }
+  }
+};
+
+module.exports = RuntimeRequirementsDependency;
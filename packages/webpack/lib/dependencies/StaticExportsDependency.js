@@ -0,0 +1,68 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("../util/makeSerializable");
+const NullDependency = require("./NullDependency");
+
+/**
+ * 声明模块的导出是静态已知的（或 true 表示导出未知），用于外部模块等不经过解析的模块
+ */
+class StaticExportsDependency extends NullDependency {
+  /**
+   * @param {string[] | true} exports export names
+   * @param {boolean} canMangle true, if mangling exports names is allowed
+   */
+  constructor(exports, canMangle) {
+    super();
+    this.exports = exports;
+    this.canMangle = canMangle;
+  }
+
+  get type() {
+    return "static exports";
+  }
+
+  /**
+   * Returns the exported names
+   * @param {ModuleGraph} moduleGraph module graph
+   * @returns {ExportsSpec | undefined} export names
+   */
+  getExports(moduleGraph) {
+    return {
+      exports: this.exports,
+      canMangle: this.canMangle,
+      dependencies: undefined,
+    };
+  }
+
+  /**
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(context) {
+    const { write } = context;
+    write(this.exports);
+    write(this.canMangle);
+    super.serialize(context);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   */
+  deserialize(context) {
+    const { read } = context;
+    this.exports = read();
+    this.canMangle = read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(
+  StaticExportsDependency,
+  "webpack/lib/dependencies/StaticExportsDependency"
+);
+
+module.exports = StaticExportsDependency;
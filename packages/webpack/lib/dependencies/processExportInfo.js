@@ -0,0 +1,66 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { UsageState } = require("../ExportsInfo");
+
+/** @typedef {string[][]} ReferencedExports */
+
+/**
+ * 根据导出的使用情况收集被引用的导出
+ * 只有嵌套属性被使用时，递归收集使用到的嵌套导出，否则引用整个导出
+ * @param {RuntimeSpec} runtime the runtime
+ * @param {ReferencedExports} referencedExports list of referenced exports, will be added to
+ * @param {string[]} prefix export prefix
+ * @param {ExportInfo=} exportInfo the export info
+ * @param {boolean} defaultPointsToSelf when true, using default will reference itself
+ * @param {Set<ExportInfo>} alreadyVisited already visited export info (to handle circular reexports)
+ */
+const processExportInfo = (
+  runtime,
+  referencedExports,
+  prefix,
+  exportInfo,
+  defaultPointsToSelf = false,
+  alreadyVisited = new Set()
+) => {
+  if (!exportInfo) {
+    referencedExports.push(prefix);
+    return;
+  }
+  const used = exportInfo.getUsed(runtime);
+  if (used === UsageState.Unused) return;
+  if (alreadyVisited.has(exportInfo)) {
+    referencedExports.push(prefix);
+    return;
+  }
+  alreadyVisited.add(exportInfo);
+  if (
+    used !== UsageState.OnlyPropertiesUsed ||
+    !exportInfo.exportsInfo ||
+    exportInfo.exportsInfo.otherExportsInfo.getUsed(runtime) !==
+      UsageState.Unused
+  ) {
+    alreadyVisited.delete(exportInfo);
+    referencedExports.push(prefix);
+    return;
+  }
+  const exportsInfo = exportInfo.exportsInfo;
+  for (const exportInfo of exportsInfo.orderedExports) {
+    processExportInfo(
+      runtime,
+      referencedExports,
+      defaultPointsToSelf && exportInfo.name === "default"
+        ? prefix
+        : prefix.concat(exportInfo.name),
+      exportInfo,
+      false,
+      alreadyVisited
+    );
+  }
+  alreadyVisited.delete(exportInfo);
+};
+module.exports = processExportInfo;
@@ -0,0 +1,29 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const WebpackError = require("../WebpackError");
+
+/**
+ * 模块构建时出现循环等待（A 构建依赖 B，B 又依赖 A）时产生的错误
+ * 例如 importModule 在构建阶段加载的模块又反过来依赖当前模块
+ */
+class BuildCycleError extends WebpackError {
+  /**
+   * Creates an instance of ModuleDependencyError.
+   * @param {Module} module the module starting the cycle
+   */
+  constructor(module) {
+    super(
+      "There is a circular build dependency, which makes it impossible to create this module"
+    );
+
+    this.name = "BuildCycleError";
+    this.module = module;
+  }
+}
+
+module.exports = BuildCycleError;
@@ -0,0 +1,33 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+const RuntimeGlobals = require("../RuntimeGlobals");
+const RuntimeModule = require("../RuntimeModule");
+
+/**
+ * ESM 输出时导出 __webpack_require__，供其他 chunk 通过 import 获取运行时
+ */
+class ExportWebpackRequireRuntimeModule extends RuntimeModule {
+  constructor() {
+    super("export webpack runtime", RuntimeModule.STAGE_ATTACH);
+  }
+
+  /**
+   * @returns {boolean} true, if the runtime module should get it's own scope
+   */
+  shouldIsolate() {
+    return false;
+  }
+
+  /**
+   * @returns {string | null} runtime code
+   */
+  generate() {
+    return `export default ${RuntimeGlobals.require};`;
+  }
+}
+
+module.exports = ExportWebpackRequireRuntimeModule;
@@ -0,0 +1,77 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Florent Cailhol @ooflorent
+*/
+
+"use strict";
+
+const { compareChunksNatural } = require("../util/comparators");
+const {
+  getFullChunkName,
+  getUsedChunkIds,
+  assignDeterministicIds,
+} = require("./IdHelpers");
+
+/**
+ * @typedef {object} DeterministicChunkIdsPluginOptions
+ * @property {string=} context context for ids
+ * @property {number=} maxLength maximum length of ids
+ */
+
+/**
+ * 根据 chunk 名称的哈希生成较短的数字 chunk id，生产环境默认使用
+ */
+class DeterministicChunkIdsPlugin {
+  /**
+   * @param {DeterministicChunkIdsPluginOptions} [options] options
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      "DeterministicChunkIdsPlugin",
+      (compilation) => {
+        compilation.hooks.chunkIds.tap(
+          "DeterministicChunkIdsPlugin",
+          (chunks) => {
+            const chunkGraph = compilation.chunkGraph;
+            const context = this.options.context
+              ? this.options.context
+              : compiler.context;
+            const maxLength = this.options.maxLength || 3;
+
+            const compareNatural = compareChunksNatural(chunkGraph);
+
+            const usedIds = getUsedChunkIds(compilation);
+            assignDeterministicIds(
+              Array.from(chunks).filter((chunk) => chunk.id === null),
+              (chunk) =>
+                getFullChunkName(chunk, chunkGraph, context, compiler.root),
+              compareNatural,
+              (chunk, id) => {
+                const size = usedIds.size;
+                usedIds.add(`${id}`);
+                if (size === usedIds.size) return false;
+                chunk.id = id;
+                chunk.ids = [id];
+                return true;
+              },
+              [10 ** maxLength],
+              10,
+              usedIds.size
+            );
+          }
+        );
+      }
+    );
+  }
+}
+
+module.exports = DeterministicChunkIdsPlugin;
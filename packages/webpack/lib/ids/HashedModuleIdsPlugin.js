@@ -0,0 +1,134 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const {
+  compareModulesByPreOrderIndexOrIdentifier,
+} = require("../util/comparators");
+const createHash = require("../util/createHash");
+const memoize = require("../util/memoize");
+const {
+  getUsedModuleIdsAndModules,
+  getFullModuleName,
+} = require("./IdHelpers");
+
+/**
+ * @typedef {object} HashedModuleIdsPluginOptions
+ * @property {string=} context The context directory for creating names.
+ * @property {("hex" | "latin1" | "base64")=} hashDigest The encoding to use when generating the hash, defaults to 'base64'.
+ * @property {number=} hashDigestLength The prefix length of the hash digest to use, defaults to 4.
+ * @property {(string | typeof Hash)=} hashFunction The hashing algorithm to use, defaults to 'md4'.
+ */
+
+const getValidate = memoize(() => require("schema-utils").validate);
+
+/**
+ * 校验插件参数，hashFunction 复用 WebpackOptions.json 中的 HashFunction 定义
+ * @param {HashedModuleIdsPluginOptions} options options
+ * @returns {void}
+ */
+const validate = (options) => {
+  const { definitions } = require("../../schemas/WebpackOptions.json");
+  getValidate()(
+    /** @type {any} */ ({
+      definitions,
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        context: {
+          description: "The context directory for creating names.",
+          type: "string",
+          absolutePath: true,
+        },
+        hashDigest: {
+          description:
+            "The encoding to use when generating the hash, defaults to 'base64'. All encodings from Node.JS' hash.digest are supported.",
+          enum: ["hex", "latin1", "base64"],
+        },
+        hashDigestLength: {
+          description:
+            "The prefix length of the hash digest to use, defaults to 4.",
+          type: "number",
+          minimum: 1,
+        },
+        hashFunction: {
+          description:
+            "The hashing algorithm to use, defaults to 'md4'. All functions from Node.JS' crypto.createHash are supported.",
+          oneOf: [{ $ref: "#/definitions/HashFunction" }],
+        },
+      },
+    }),
+    options,
+    {
+      name: "Hashed Module Ids Plugin",
+      baseDataPath: "options",
+    }
+  );
+};
+
+/**
+ * 使用模块名称哈希的前几位作为模块 id，冲突时加长。
+ * 已经被 DeterministicModuleIdsPlugin 取代，对应 optimization.moduleIds: "hashed"
+ */
+class HashedModuleIdsPlugin {
+  /**
+   * @param {HashedModuleIdsPluginOptions=} options options object
+   */
+  constructor(options = {}) {
+    validate(options);
+
+    /** @type {HashedModuleIdsPluginOptions} */
+    this.options = {
+      context: undefined,
+      hashFunction: "md4",
+      hashDigest: "base64",
+      hashDigestLength: 4,
+      ...options,
+    };
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const options = this.options;
+    compiler.hooks.compilation.tap("HashedModuleIdsPlugin", (compilation) => {
+      compilation.hooks.moduleIds.tap("HashedModuleIdsPlugin", () => {
+        const chunkGraph = compilation.chunkGraph;
+        const context = this.options.context
+          ? this.options.context
+          : compiler.context;
+
+        const [usedIds, modules] = getUsedModuleIdsAndModules(compilation);
+        const modulesInNaturalOrder = modules.sort(
+          compareModulesByPreOrderIndexOrIdentifier(compilation.moduleGraph)
+        );
+        for (const module of modulesInNaturalOrder) {
+          const ident = getFullModuleName(module, context, compiler.root);
+          const hash = createHash(
+            /** @type {NonNullable<HashedModuleIdsPluginOptions["hashFunction"]>} */ (
+              options.hashFunction
+            )
+          );
+          hash.update(ident || "");
+          const hashId = /** @type {string} */ (
+            hash.digest(options.hashDigest)
+          );
+          let len = options.hashDigestLength;
+          while (usedIds.has(hashId.slice(0, len)))
+            /** @type {number} */ (len)++;
+          const moduleId = hashId.slice(0, len);
+          chunkGraph.setModuleId(module, moduleId);
+          usedIds.add(moduleId);
+        }
+      });
+    });
+  }
+}
+
+module.exports = HashedModuleIdsPlugin;
@@ -0,0 +1,92 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { compareChunksNatural } = require("../util/comparators");
+const {
+  getShortChunkName,
+  getLongChunkName,
+  assignNames,
+  getUsedChunkIds,
+  assignAscendingChunkIds,
+} = require("./IdHelpers");
+
+/**
+ * @typedef {object} NamedChunkIdsPluginOptions
+ * @property {string} [context] context
+ * @property {string} [delimiter] delimiter
+ */
+
+/**
+ * 使用 chunk 名称或根模块路径生成的可读名称作为 chunk id，开发环境默认使用
+ */
+class NamedChunkIdsPlugin {
+  /**
+   * @param {NamedChunkIdsPluginOptions=} options options
+   */
+  constructor(options) {
+    this.delimiter = (options && options.delimiter) || "-";
+    this.context = options && options.context;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap("NamedChunkIdsPlugin", (compilation) => {
+      const hashFunction =
+        /** @type {NonNullable<Output["hashFunction"]>} */
+        (compilation.outputOptions.hashFunction);
+      compilation.hooks.chunkIds.tap("NamedChunkIdsPlugin", (chunks) => {
+        const chunkGraph = compilation.chunkGraph;
+        const context = this.context ? this.context : compiler.context;
+        const delimiter = this.delimiter;
+
+        const unnamedChunks = assignNames(
+          Array.from(chunks).filter((chunk) => {
+            // 有名称的 chunk 直接使用名称作为 id
+            if (chunk.name) {
+              chunk.id = chunk.name;
+              chunk.ids = [chunk.name];
+            }
+            return chunk.id === null;
+          }),
+          (chunk) =>
+            getShortChunkName(
+              chunk,
+              chunkGraph,
+              context,
+              delimiter,
+              hashFunction,
+              compiler.root
+            ),
+          (chunk) =>
+            getLongChunkName(
+              chunk,
+              chunkGraph,
+              context,
+              delimiter,
+              hashFunction,
+              compiler.root
+            ),
+          compareChunksNatural(chunkGraph),
+          getUsedChunkIds(compilation),
+          (chunk, name) => {
+            chunk.id = name;
+            chunk.ids = [name];
+          }
+        );
+        if (unnamedChunks.length > 0) {
+          assignAscendingChunkIds(unnamedChunks, compilation);
+        }
+      });
+    });
+  }
+}
+
+module.exports = NamedChunkIdsPlugin;
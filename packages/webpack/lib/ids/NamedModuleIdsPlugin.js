@@ -0,0 +1,68 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { compareModulesByIdentifier } = require("../util/comparators");
+const {
+  getShortModuleName,
+  getLongModuleName,
+  assignNames,
+  getUsedModuleIdsAndModules,
+  assignAscendingModuleIds,
+} = require("./IdHelpers");
+
+/**
+ * @typedef {object} NamedModuleIdsPluginOptions
+ * @property {string} [context] context
+ */
+
+/**
+ * 使用相对于 context 的模块路径作为模块 id，可读性好，开发环境默认使用
+ */
+class NamedModuleIdsPlugin {
+  /**
+   * @param {NamedModuleIdsPluginOptions} [options] options
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const { root } = compiler;
+    compiler.hooks.compilation.tap("NamedModuleIdsPlugin", (compilation) => {
+      const hashFunction =
+        /** @type {NonNullable<Output["hashFunction"]>} */
+        (compilation.outputOptions.hashFunction);
+      compilation.hooks.moduleIds.tap("NamedModuleIdsPlugin", () => {
+        const chunkGraph = compilation.chunkGraph;
+        const context = this.options.context
+          ? this.options.context
+          : compiler.context;
+
+        const [usedIds, modules] = getUsedModuleIdsAndModules(compilation);
+        const unnamedModules = assignNames(
+          modules,
+          (m) => getShortModuleName(m, context, root),
+          (m, shortName) =>
+            getLongModuleName(shortName, m, context, hashFunction, root),
+          compareModulesByIdentifier,
+          usedIds,
+          (m, name) => chunkGraph.setModuleId(m, name)
+        );
+        if (unnamedModules.length > 0) {
+          assignAscendingModuleIds(usedIds, unnamedModules, compilation);
+        }
+      });
+    });
+  }
+}
+
+module.exports = NamedModuleIdsPlugin;
@@ -0,0 +1,32 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { compareChunksNatural } = require("../util/comparators");
+const { assignAscendingChunkIds } = require("./IdHelpers");
+
+/**
+ * 按 chunk 的自然顺序分配递增的数字 id
+ */
+class NaturalChunkIdsPlugin {
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap("NaturalChunkIdsPlugin", (compilation) => {
+      compilation.hooks.chunkIds.tap("NaturalChunkIdsPlugin", (chunks) => {
+        const chunkGraph = compilation.chunkGraph;
+        const compareNatural = compareChunksNatural(chunkGraph);
+        const chunksInNaturalOrder = Array.from(chunks).sort(compareNatural);
+        assignAscendingChunkIds(chunksInNaturalOrder, compilation);
+      });
+    });
+  }
+}
+
+module.exports = NaturalChunkIdsPlugin;
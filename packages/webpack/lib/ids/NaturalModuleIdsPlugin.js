@@ -0,0 +1,40 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Florent Cailhol @ooflorent
+*/
+
+"use strict";
+
+const {
+  compareModulesByPreOrderIndexOrIdentifier,
+} = require("../util/comparators");
+const {
+  assignAscendingModuleIds,
+  getUsedModuleIdsAndModules,
+} = require("./IdHelpers");
+
+/**
+ * 按模块的使用顺序（前序遍历索引）分配递增的数字 id
+ */
+class NaturalModuleIdsPlugin {
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap("NaturalModuleIdsPlugin", (compilation) => {
+      compilation.hooks.moduleIds.tap("NaturalModuleIdsPlugin", (modules) => {
+        if (!compilation.chunkGraph) return;
+        const [usedIds, modulesInNaturalOrder] =
+          getUsedModuleIdsAndModules(compilation);
+        modulesInNaturalOrder.sort(
+          compareModulesByPreOrderIndexOrIdentifier(compilation.moduleGraph)
+        );
+        assignAscendingModuleIds(usedIds, modulesInNaturalOrder, compilation);
+      });
+    });
+  }
+}
+
+module.exports = NaturalModuleIdsPlugin;
@@ -0,0 +1,109 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { compareChunksNatural } = require("../util/comparators");
+const { assignAscendingChunkIds } = require("./IdHelpers");
+const memoize = require("../util/memoize");
+
+/**
+ * @typedef {object} OccurrenceChunkIdsPluginOptions
+ * @property {boolean=} prioritiseInitial Prioritise initial size over total size.
+ */
+
+const getValidate = memoize(() => require("schema-utils").validate);
+
+/**
+ * 校验插件参数，只允许 prioritiseInitial 一个布尔选项
+ * @param {OccurrenceChunkIdsPluginOptions} options options
+ * @returns {void}
+ */
+const validate = (options) => {
+  getValidate()(
+    {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        prioritiseInitial: {
+          description: "Prioritise initial size over total size.",
+          type: "boolean",
+        },
+      },
+    },
+    options,
+    {
+      name: "Occurrence Order Chunk Ids Plugin",
+      baseDataPath: "options",
+    }
+  );
+};
+
+/**
+ * 按 chunk 被引用的次数分配递增的数字 id，引用越多 id 越短；
+ * prioritiseInitial 时优先考虑在初始 chunk 中出现的次数
+ */
+class OccurrenceChunkIdsPlugin {
+  /**
+   * @param {OccurrenceChunkIdsPluginOptions=} options options object
+   */
+  constructor(options = {}) {
+    validate(options);
+    this.options = options;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const prioritiseInitial = this.options.prioritiseInitial;
+    compiler.hooks.compilation.tap(
+      "OccurrenceChunkIdsPlugin",
+      (compilation) => {
+        compilation.hooks.chunkIds.tap("OccurrenceChunkIdsPlugin", (chunks) => {
+          const chunkGraph = compilation.chunkGraph;
+
+          /** @type {Map<Chunk, number>} */
+          const occursInInitialChunksMap = new Map();
+
+          const compareNatural = compareChunksNatural(chunkGraph);
+
+          for (const c of chunks) {
+            let occurs = 0;
+            for (const chunkGroup of c.groupsIterable) {
+              for (const parent of chunkGroup.parentsIterable) {
+                if (parent.isInitial()) occurs++;
+              }
+            }
+            occursInInitialChunksMap.set(c, occurs);
+          }
+
+          const chunksInOccurrenceOrder = Array.from(chunks).sort((a, b) => {
+            if (prioritiseInitial) {
+              const aEntryOccurs =
+                /** @type {number} */
+                (occursInInitialChunksMap.get(a));
+              const bEntryOccurs =
+                /** @type {number} */
+                (occursInInitialChunksMap.get(b));
+              if (aEntryOccurs > bEntryOccurs) return -1;
+              if (aEntryOccurs < bEntryOccurs) return 1;
+            }
+            const aOccurs = a.getNumberOfGroups();
+            const bOccurs = b.getNumberOfGroups();
+            if (aOccurs > bOccurs) return -1;
+            if (aOccurs < bOccurs) return 1;
+            return compareNatural(a, b);
+          });
+          assignAscendingChunkIds(chunksInOccurrenceOrder, compilation);
+        });
+      }
+    );
+  }
+}
+
+module.exports = OccurrenceChunkIdsPlugin;
@@ -0,0 +1,187 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const {
+  compareModulesByPreOrderIndexOrIdentifier,
+} = require("../util/comparators");
+const {
+  assignAscendingModuleIds,
+  getUsedModuleIdsAndModules,
+} = require("./IdHelpers");
+const memoize = require("../util/memoize");
+
+/**
+ * @typedef {object} OccurrenceModuleIdsPluginOptions
+ * @property {boolean=} prioritiseInitial Prioritise initial size over total size.
+ */
+
+const getValidate = memoize(() => require("schema-utils").validate);
+
+/**
+ * 校验插件参数，只允许 prioritiseInitial 一个布尔选项
+ * @param {OccurrenceModuleIdsPluginOptions} options options
+ * @returns {void}
+ */
+const validate = (options) => {
+  getValidate()(
+    {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        prioritiseInitial: {
+          description: "Prioritise initial size over total size.",
+          type: "boolean",
+        },
+      },
+    },
+    options,
+    {
+      name: "Occurrence Order Module Ids Plugin",
+      baseDataPath: "options",
+    }
+  );
+};
+
+/**
+ * 按模块被引用的次数分配递增的数字 id，引用越多 id 越短；
+ * prioritiseInitial 时优先考虑在初始 chunk 中出现的次数
+ */
+class OccurrenceModuleIdsPlugin {
+  /**
+   * @param {OccurrenceModuleIdsPluginOptions=} options options object
+   */
+  constructor(options = {}) {
+    validate(options);
+    this.options = options;
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const prioritiseInitial = this.options.prioritiseInitial;
+    compiler.hooks.compilation.tap(
+      "OccurrenceModuleIdsPlugin",
+      (compilation) => {
+        const moduleGraph = compilation.moduleGraph;
+
+        compilation.hooks.moduleIds.tap("OccurrenceModuleIdsPlugin", () => {
+          const chunkGraph = compilation.chunkGraph;
+
+          const [usedIds, modulesInOccurrenceOrder] =
+            getUsedModuleIdsAndModules(compilation);
+
+          const occursInInitialChunksMap = new Map();
+          const occursInAllChunksMap = new Map();
+
+          const initialChunkChunkMap = new Map();
+          const entryCountMap = new Map();
+          for (const m of modulesInOccurrenceOrder) {
+            let initial = 0;
+            let entry = 0;
+            for (const c of chunkGraph.getModuleChunksIterable(m)) {
+              if (c.canBeInitial()) initial++;
+              if (chunkGraph.isEntryModuleInChunk(m, c)) entry++;
+            }
+            initialChunkChunkMap.set(m, initial);
+            entryCountMap.set(m, entry);
+          }
+
+          /**
+           * 引用该模块的（处于活动状态的）模块所在的初始 chunk 数量之和
+           * @param {Module} module module
+           * @returns {number} count of occurs
+           */
+          const countOccursInEntry = (module) => {
+            let sum = 0;
+            for (const [
+              originModule,
+              connections,
+            ] of moduleGraph.getIncomingConnectionsByOriginModule(module)) {
+              if (!originModule) continue;
+              if (!connections.some((c) => c.isTargetActive(undefined)))
+                continue;
+              sum += initialChunkChunkMap.get(originModule) || 0;
+            }
+            return sum;
+          };
+
+          /**
+           * 所有引用中 id 出现的次数，按引用方模块所在的 chunk 数量加权
+           * @param {Module} module module
+           * @returns {number} count of occurs
+           */
+          const countOccurs = (module) => {
+            let sum = 0;
+            for (const [
+              originModule,
+              connections,
+            ] of moduleGraph.getIncomingConnectionsByOriginModule(module)) {
+              if (!originModule) continue;
+              const chunkModules =
+                chunkGraph.getNumberOfModuleChunks(originModule);
+              for (const c of connections) {
+                if (!c.isTargetActive(undefined)) continue;
+                if (!c.dependency) continue;
+                const factor = c.dependency.getNumberOfIdOccurrences();
+                if (factor === 0) continue;
+                sum += factor * chunkModules;
+              }
+            }
+            return sum;
+          };
+
+          if (prioritiseInitial) {
+            for (const m of modulesInOccurrenceOrder) {
+              const result =
+                countOccursInEntry(m) +
+                initialChunkChunkMap.get(m) +
+                entryCountMap.get(m);
+              occursInInitialChunksMap.set(m, result);
+            }
+          }
+
+          for (const m of modulesInOccurrenceOrder) {
+            const result =
+              countOccurs(m) +
+              chunkGraph.getNumberOfModuleChunks(m) +
+              entryCountMap.get(m);
+            occursInAllChunksMap.set(m, result);
+          }
+
+          const naturalCompare = compareModulesByPreOrderIndexOrIdentifier(
+            compilation.moduleGraph
+          );
+
+          modulesInOccurrenceOrder.sort((a, b) => {
+            if (prioritiseInitial) {
+              const aEntryOccurs = occursInInitialChunksMap.get(a);
+              const bEntryOccurs = occursInInitialChunksMap.get(b);
+              if (aEntryOccurs > bEntryOccurs) return -1;
+              if (aEntryOccurs < bEntryOccurs) return 1;
+            }
+            const aOccurs = occursInAllChunksMap.get(a);
+            const bOccurs = occursInAllChunksMap.get(b);
+            if (aOccurs > bOccurs) return -1;
+            if (aOccurs < bOccurs) return 1;
+            return naturalCompare(a, b);
+          });
+
+          assignAscendingModuleIds(
+            usedIds,
+            modulesInOccurrenceOrder,
+            compilation
+          );
+        });
+      }
+    );
+  }
+}
+
+module.exports = OccurrenceModuleIdsPlugin;
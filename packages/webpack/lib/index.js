@@ -86,10 +86,49 @@ module.exports = mergeExports(fn, {
   get EntryPlugin() {
     return require("./EntryPlugin");
   },
+  get NormalModule() {
+    return require("./NormalModule");
+  },
   get HotModuleReplacementPlugin() {
     return require("./HotModuleReplacementPlugin");
   },
   get ProvidePlugin() {
     return require("./ProvidePlugin");
   },
+  get HashedModuleIdsPlugin() {
+    return require("./ids/HashedModuleIdsPlugin");
+  },
+  get NamedChunkIdsPlugin() {
+    return require("./ids/NamedChunkIdsPlugin");
+  },
+
+  ids: {
+    get NaturalModuleIdsPlugin() {
+      return require("./ids/NaturalModuleIdsPlugin");
+    },
+    get NamedModuleIdsPlugin() {
+      return require("./ids/NamedModuleIdsPlugin");
+    },
+    get DeterministicModuleIdsPlugin() {
+      return require("./ids/DeterministicModuleIdsPlugin");
+    },
+    get OccurrenceModuleIdsPlugin() {
+      return require("./ids/OccurrenceModuleIdsPlugin");
+    },
+    get NaturalChunkIdsPlugin() {
+      return require("./ids/NaturalChunkIdsPlugin");
+    },
+    get NamedChunkIdsPlugin() {
+      return require("./ids/NamedChunkIdsPlugin");
+    },
+    get DeterministicChunkIdsPlugin() {
+      return require("./ids/DeterministicChunkIdsPlugin");
+    },
+    get OccurrenceChunkIdsPlugin() {
+      return require("./ids/OccurrenceChunkIdsPlugin");
+    },
+    get HashedModuleIdsPlugin() {
+      return require("./ids/HashedModuleIdsPlugin");
+    },
+  },
 });
@@ -0,0 +1,596 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+// 表达式的类型
+const TypeUnknown = 0;
+const TypeUndefined = 1;
+const TypeNull = 2;
+const TypeString = 3;
+const TypeNumber = 4;
+const TypeBoolean = 5;
+const TypeRegExp = 6;
+const TypeConditional = 7;
+const TypeArray = 8;
+const TypeConstArray = 9;
+const TypeIdentifier = 10;
+const TypeWrapped = 11;
+const TypeTemplateString = 12;
+const TypeBigInt = 13;
+
+/**
+ * JavascriptParser 计算表达式（evaluateExpression）的结果
+ *
+ * 记录表达式在编译时能确定的信息：类型（字符串、数字、标识符、数组、条件表达式等）、值、
+ * 真假性以及在源码中的位置，插件据此做静态分析，例如 module.hot.accept(["./a", "./b"]) 中解析出请求
+ */
+class BasicEvaluatedExpression {
+  constructor() {
+    this.type = TypeUnknown;
+    /** @type {Range | undefined} */
+    this.range = undefined;
+    /** @type {boolean} */
+    this.falsy = false;
+    /** @type {boolean} */
+    this.truthy = false;
+    /** @type {boolean | undefined} */
+    this.nullish = undefined;
+    /** @type {boolean} */
+    this.sideEffects = true;
+    /** @type {boolean | undefined} */
+    this.bool = undefined;
+    /** @type {number | undefined} */
+    this.number = undefined;
+    /** @type {bigint | undefined} */
+    this.bigint = undefined;
+    /** @type {RegExp | undefined} */
+    this.regExp = undefined;
+    /** @type {string | undefined} */
+    this.string = undefined;
+    /** @type {BasicEvaluatedExpression[] | undefined} */
+    this.quasis = undefined;
+    /** @type {BasicEvaluatedExpression[] | undefined} */
+    this.parts = undefined;
+    /** @type {any[] | undefined} */
+    this.array = undefined;
+    /** @type {BasicEvaluatedExpression[] | undefined} */
+    this.items = undefined;
+    /** @type {BasicEvaluatedExpression[] | undefined} */
+    this.options = undefined;
+    /** @type {BasicEvaluatedExpression | undefined | null} */
+    this.prefix = undefined;
+    /** @type {BasicEvaluatedExpression | undefined | null} */
+    this.postfix = undefined;
+    /** @type {BasicEvaluatedExpression[] | undefined} */
+    this.wrappedInnerExpressions = undefined;
+    /** @type {string | VariableInfoInterface | undefined} */
+    this.identifier = undefined;
+    /** @type {string | VariableInfoInterface | undefined} */
+    this.rootInfo = undefined;
+    /** @type {(() => string[]) | undefined} */
+    this.getMembers = undefined;
+    /** @type {(() => boolean[]) | undefined} */
+    this.getMembersOptionals = undefined;
+    /** @type {(() => Range[]) | undefined} */
+    this.getMemberRanges = undefined;
+    /** @type {Node | undefined} */
+    this.expression = undefined;
+  }
+
+  isUnknown() {
+    return this.type === TypeUnknown;
+  }
+
+  isNull() {
+    return this.type === TypeNull;
+  }
+
+  isUndefined() {
+    return this.type === TypeUndefined;
+  }
+
+  isString() {
+    return this.type === TypeString;
+  }
+
+  isNumber() {
+    return this.type === TypeNumber;
+  }
+
+  isBigInt() {
+    return this.type === TypeBigInt;
+  }
+
+  isBoolean() {
+    return this.type === TypeBoolean;
+  }
+
+  isRegExp() {
+    return this.type === TypeRegExp;
+  }
+
+  isConditional() {
+    return this.type === TypeConditional;
+  }
+
+  isArray() {
+    return this.type === TypeArray;
+  }
+
+  isConstArray() {
+    return this.type === TypeConstArray;
+  }
+
+  isIdentifier() {
+    return this.type === TypeIdentifier;
+  }
+
+  isWrapped() {
+    return this.type === TypeWrapped;
+  }
+
+  isTemplateString() {
+    return this.type === TypeTemplateString;
+  }
+
+  /**
+   * 表达式的值是原始类型还是对象
+   * @returns {boolean | undefined} true: primitive type, false: object type, undefined: unknown/runtime-defined
+   */
+  isPrimitiveType() {
+    switch (this.type) {
+      case TypeUndefined:
+      case TypeNull:
+      case TypeString:
+      case TypeNumber:
+      case TypeBoolean:
+      case TypeBigInt:
+      case TypeWrapped:
+      case TypeTemplateString:
+        return true;
+      case TypeRegExp:
+      case TypeArray:
+      case TypeConstArray:
+        return false;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * 表达式的值能否在编译时确定
+   * @returns {boolean} true: compile time value, false: runtime value
+   */
+  isCompileTimeValue() {
+    switch (this.type) {
+      case TypeUndefined:
+      case TypeNull:
+      case TypeString:
+      case TypeNumber:
+      case TypeBoolean:
+      case TypeRegExp:
+      case TypeConstArray:
+      case TypeBigInt:
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 获取表达式在编译时的值
+   * @returns {any} the javascript value
+   */
+  asCompileTimeValue() {
+    switch (this.type) {
+      case TypeUndefined:
+        return;
+      case TypeNull:
+        return null;
+      case TypeString:
+        return this.string;
+      case TypeNumber:
+        return this.number;
+      case TypeBoolean:
+        return this.bool;
+      case TypeRegExp:
+        return this.regExp;
+      case TypeConstArray:
+        return this.array;
+      case TypeBigInt:
+        return this.bigint;
+      default:
+        throw new Error(
+          "asCompileTimeValue must only be called for compile-time values"
+        );
+    }
+  }
+
+  isTruthy() {
+    return this.truthy;
+  }
+
+  isFalsy() {
+    return this.falsy;
+  }
+
+  isNullish() {
+    return this.nullish;
+  }
+
+  /**
+   * 表达式是否可能有副作用
+   * @returns {boolean} false: never has side effects
+   */
+  couldHaveSideEffects() {
+    return this.sideEffects;
+  }
+
+  /**
+   * 转换成布尔值
+   * @returns {boolean | undefined} true: truthy, false: falsy, undefined: unknown
+   */
+  asBool() {
+    if (this.truthy) return true;
+    if (this.falsy || this.nullish) return false;
+    if (this.isBoolean()) return this.bool;
+    if (this.isNull()) return false;
+    if (this.isUndefined()) return false;
+    if (this.isString()) return this.string !== "";
+    if (this.isNumber()) return this.number !== 0;
+    if (this.isBigInt()) return this.bigint !== BigInt(0);
+    if (this.isRegExp()) return true;
+    if (this.isArray()) return true;
+    if (this.isConstArray()) return true;
+    if (this.isWrapped()) {
+      return (this.prefix && this.prefix.asBool()) ||
+        (this.postfix && this.postfix.asBool())
+        ? true
+        : undefined;
+    }
+    if (this.isTemplateString()) {
+      const str = this.asString();
+      if (typeof str === "string") return str !== "";
+    }
+  }
+
+  /**
+   * 判断是否为 null / undefined（用于 ?? 运算）
+   * @returns {boolean | undefined} true: nullish, false: not nullish, undefined: unknown
+   */
+  asNullish() {
+    const nullish = this.isNullish();
+
+    if (nullish === true || this.isNull() || this.isUndefined()) return true;
+
+    if (nullish === false) return false;
+    if (this.isTruthy()) return false;
+    if (this.isBoolean()) return false;
+    if (this.isString()) return false;
+    if (this.isNumber()) return false;
+    if (this.isBigInt()) return false;
+    if (this.isRegExp()) return false;
+    if (this.isArray()) return false;
+    if (this.isConstArray()) return false;
+    if (this.isTemplateString()) return false;
+    if (this.isRegExp()) return false;
+  }
+
+  /**
+   * 转换成字符串
+   * @returns {string | undefined} the string representation or undefined if not possible
+   */
+  asString() {
+    if (this.isBoolean()) return `${this.bool}`;
+    if (this.isNull()) return "null";
+    if (this.isUndefined()) return "undefined";
+    if (this.isString()) return this.string;
+    if (this.isNumber()) return `${this.number}`;
+    if (this.isBigInt()) return `${this.bigint}`;
+    if (this.isRegExp()) return `${this.regExp}`;
+    if (this.isArray()) {
+      const array = [];
+      for (const item of /** @type {BasicEvaluatedExpression[]} */ (
+        this.items
+      )) {
+        const itemStr = item.asString();
+        if (itemStr === undefined) return;
+        array.push(itemStr);
+      }
+      return `${array}`;
+    }
+    if (this.isConstArray()) return `${this.array}`;
+    if (this.isTemplateString()) {
+      let str = "";
+      for (const part of /** @type {BasicEvaluatedExpression[]} */ (
+        this.parts
+      )) {
+        const partStr = part.asString();
+        if (partStr === undefined) return;
+        str += partStr;
+      }
+      return str;
+    }
+  }
+
+  /**
+   * @param {string} string value
+   * @returns {BasicEvaluatedExpression} basic evaluated expression
+   */
+  setString(string) {
+    this.type = TypeString;
+    this.string = string;
+    this.sideEffects = false;
+    return this;
+  }
+
+  setUndefined() {
+    this.type = TypeUndefined;
+    this.sideEffects = false;
+    return this;
+  }
+
+  setNull() {
+    this.type = TypeNull;
+    this.sideEffects = false;
+    return this;
+  }
+
+  /**
+   * 设置为数字
+   * @param {number} number number to set
+   * @returns {this} this
+   */
+  setNumber(number) {
+    this.type = TypeNumber;
+    this.number = number;
+    this.sideEffects = false;
+    return this;
+  }
+
+  /**
+   * 设置为 BigInt
+   * @param {bigint} bigint bigint to set
+   * @returns {this} this
+   */
+  setBigInt(bigint) {
+    this.type = TypeBigInt;
+    this.bigint = bigint;
+    this.sideEffects = false;
+    return this;
+  }
+
+  /**
+   * 设置为布尔值
+   * @param {boolean} bool boolean to set
+   * @returns {this} this
+   */
+  setBoolean(bool) {
+    this.type = TypeBoolean;
+    this.bool = bool;
+    this.sideEffects = false;
+    return this;
+  }
+
+  /**
+   * 设置为正则表达式
+   * @param {RegExp} regExp regular expression to set
+   * @returns {this} this
+   */
+  setRegExp(regExp) {
+    this.type = TypeRegExp;
+    this.regExp = regExp;
+    this.sideEffects = false;
+    return this;
+  }
+
+  /**
+   * 设置为标识符及其成员访问，例如 module.hot 的 identifier 是 module.hot，rootInfo 是 module，members 是 ["hot"]
+   * @param {string | VariableInfoInterface} identifier identifier to set
+   * @param {string | VariableInfoInterface} rootInfo root info
+   * @param {() => string[]} getMembers members
+   * @param {() => boolean[]=} getMembersOptionals optional members
+   * @param {() => Range[]=} getMemberRanges ranges of progressively increasing sub-expressions
+   * @returns {this} this
+   */
+  setIdentifier(
+    identifier,
+    rootInfo,
+    getMembers,
+    getMembersOptionals,
+    getMemberRanges
+  ) {
+    this.type = TypeIdentifier;
+    this.identifier = identifier;
+    this.rootInfo = rootInfo;
+    this.getMembers = getMembers;
+    this.getMembersOptionals = getMembersOptionals;
+    this.getMemberRanges = getMemberRanges;
+    this.sideEffects = true;
+    return this;
+  }
+
+  /**
+   * 用前缀和后缀包裹一组表达式，例如模板字符串中间有未知部分的情况
+   * @param {BasicEvaluatedExpression | null | undefined} prefix Expression to be added before the innerExpressions
+   * @param {BasicEvaluatedExpression | null | undefined} postfix Expression to be added after the innerExpressions
+   * @param {BasicEvaluatedExpression[] | undefined} innerExpressions Expressions to be wrapped
+   * @returns {this} this
+   */
+  setWrapped(prefix, postfix, innerExpressions) {
+    this.type = TypeWrapped;
+    this.prefix = prefix;
+    this.postfix = postfix;
+    this.wrappedInnerExpressions = innerExpressions;
+    this.sideEffects = true;
+    return this;
+  }
+
+  /**
+   * 设置条件表达式的各个可能取值
+   * @param {BasicEvaluatedExpression[]} options optional (consequent/alternate) expressions to be set
+   * @returns {this} this
+   */
+  setOptions(options) {
+    this.type = TypeConditional;
+    this.options = options;
+    this.sideEffects = true;
+    return this;
+  }
+
+  /**
+   * 添加条件表达式的可能取值
+   * @param {BasicEvaluatedExpression[]} options optional (consequent/alternate) expressions to be added
+   * @returns {this} this
+   */
+  addOptions(options) {
+    if (!this.options) {
+      this.type = TypeConditional;
+      this.options = [];
+      this.sideEffects = true;
+    }
+    for (const item of options) {
+      this.options.push(item);
+    }
+    return this;
+  }
+
+  /**
+   * 设置为由表达式组成的数组
+   * @param {BasicEvaluatedExpression[]} items expressions to set
+   * @returns {this} this
+   */
+  setItems(items) {
+    this.type = TypeArray;
+    this.items = items;
+    this.sideEffects = items.some((i) => i.couldHaveSideEffects());
+    return this;
+  }
+
+  /**
+   * 设置为字符串数组
+   * @param {string[]} array array to set
+   * @returns {this} this
+   */
+  setArray(array) {
+    this.type = TypeConstArray;
+    this.array = array;
+    this.sideEffects = false;
+    return this;
+  }
+
+  /**
+   * 设置为模板字符串（cooked 或 raw），用于计算 TemplateLiteral 表达式
+   * @param {BasicEvaluatedExpression[]} quasis template string quasis
+   * @param {BasicEvaluatedExpression[]} parts template string parts
+   * @param {"cooked" | "raw"} kind template string kind
+   * @returns {this} this
+   */
+  setTemplateString(quasis, parts, kind) {
+    this.type = TypeTemplateString;
+    this.quasis = quasis;
+    this.parts = parts;
+    this.templateStringKind = kind;
+    this.sideEffects = parts.some((p) => p.sideEffects);
+    return this;
+  }
+
+  setTruthy() {
+    this.falsy = false;
+    this.truthy = true;
+    this.nullish = false;
+    return this;
+  }
+
+  setFalsy() {
+    this.falsy = true;
+    this.truthy = false;
+    return this;
+  }
+
+  /**
+   * 设置是否为 null / undefined
+   * @param {boolean} value true, if the expression is nullish
+   * @returns {this} this
+   */
+  setNullish(value) {
+    this.nullish = value;
+
+    if (value) return this.setFalsy();
+
+    return this;
+  }
+
+  /**
+   * 设置表达式在源码中的位置
+   * @param {[number, number]} range range to set
+   * @returns {this} this
+   */
+  setRange(range) {
+    this.range = range;
+    return this;
+  }
+
+  /**
+   * 设置表达式是否有副作用
+   * @param {boolean} sideEffects true, if the expression has side effects
+   * @returns {this} this
+   */
+  setSideEffects(sideEffects = true) {
+    this.sideEffects = sideEffects;
+    return this;
+  }
+
+  /**
+   * 设置对应的 AST 节点
+   * @param {Node | undefined} expression expression
+   * @returns {this} this
+   */
+  setExpression(expression) {
+    this.expression = expression;
+    return this;
+  }
+}
+
+/**
+ * @param {string} flags regexp flags
+ * @returns {boolean} is valid flags
+ */
+BasicEvaluatedExpression.isValidRegExpFlags = (flags) => {
+  const len = flags.length;
+
+  if (len === 0) return true;
+  if (len > 4) return false;
+
+  // cspell:word gimy
+  let remaining = 0b0000; // 每个正则 flag 占一位：gimy
+
+  for (let i = 0; i < len; i++)
+    switch (flags.charCodeAt(i)) {
+      case 103 /* g */:
+        if (remaining & 0b1000) return false;
+        remaining |= 0b1000;
+        break;
+      case 105 /* i */:
+        if (remaining & 0b0100) return false;
+        remaining |= 0b0100;
+        break;
+      case 109 /* m */:
+        if (remaining & 0b0010) return false;
+        remaining |= 0b0010;
+        break;
+      case 121 /* y */:
+        if (remaining & 0b0001) return false;
+        remaining |= 0b0001;
+        break;
+      default:
+        return false;
+    }
+
+  return true;
+};
+
+module.exports = BasicEvaluatedExpression;
@@ -0,0 +1,257 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const util = require("util");
+const { RawSource, ReplaceSource } = require("webpack-sources");
+const Generator = require("../Generator");
+const InitFragment = require("../InitFragment");
+const HarmonyCompatibilityDependency = require("../dependencies/HarmonyCompatibilityDependency");
+
+// TODO: clean up this file
+// replace with newer constructs
+
+const JS_TYPES = new Set(["javascript"]);
+
+/**
+ * 兼容旧版本依赖模板的 getInitFragments
+ */
+const deprecatedGetInitFragments = util.deprecate(
+  /**
+   * @param {DependencyTemplate} template template
+   * @param {Dependency} dependency dependency
+   * @param {DependencyTemplateContext} templateContext template context
+   * @returns {InitFragment<GenerateContext>[]} init fragments
+   */
+  (template, dependency, templateContext) =>
+    /** @type {DependencyTemplate & { getInitFragments: function(Dependency, DependencyTemplateContext): InitFragment<GenerateContext>[] }} */
+    (template).getInitFragments(dependency, templateContext),
+  "DependencyTemplate.getInitFragment is deprecated (use apply(dep, source, { initFragments }) instead)",
+  "DEP_WEBPACK_JAVASCRIPT_GENERATOR_GET_INIT_FRAGMENTS"
+);
+
+/**
+ * javascript 模块的生成器
+ *
+ * 在模块的原始源码上应用每个依赖的模板（例如把 import 替换为 __webpack_require__ 调用），
+ * 再把模板产生的初始化片段（InitFragment）插入到源码前面
+ */
+class JavascriptGenerator extends Generator {
+  /**
+   * javascript 模块只生成 javascript 类型的源码
+   * @param {NormalModule} module fresh module
+   * @returns {SourceTypes} available types (do not mutate)
+   */
+  getTypes(module) {
+    return JS_TYPES;
+  }
+
+  /**
+   * 使用原始源码的大小作为估算值
+   * @param {NormalModule} module the module
+   * @param {string=} type source type
+   * @returns {number} estimate size of the module
+   */
+  getSize(module, type) {
+    const originalSource = module.originalSource();
+    if (!originalSource) {
+      return 39;
+    }
+    return originalSource.size();
+  }
+
+  /**
+   * 只有 ES 模块才能被合并，使用了某些特殊表达式的模块也不能合并
+   * @param {NormalModule} module module for which the bailout reason should be determined
+   * @param {ConcatenationBailoutReasonContext} context context
+   * @returns {string | undefined} reason why this module can't be concatenated, undefined when it can be concatenated
+   */
+  getConcatenationBailoutReason(module, context) {
+    // 只有 ES 模块可以被合并
+    if (
+      !module.buildMeta ||
+      module.buildMeta.exportsType !== "namespace" ||
+      module.presentationalDependencies === undefined ||
+      !module.presentationalDependencies.some(
+        (d) => d instanceof HarmonyCompatibilityDependency
+      )
+    ) {
+      return "Module is not an ECMAScript module";
+    }
+
+    // 某些表达式在模块合并后会产生错误的结果，解析时已经记录下来
+    if (module.buildInfo && module.buildInfo.moduleConcatenationBailout) {
+      return `Module uses ${module.buildInfo.moduleConcatenationBailout}`;
+    }
+  }
+
+  /**
+   * 在原始源码上应用依赖模板生成最终代码
+   * @param {NormalModule} module module for which the code should be generated
+   * @param {GenerateContext} generateContext context for generate
+   * @returns {Source | null} generated code
+   */
+  generate(module, generateContext) {
+    const originalSource = module.originalSource();
+    if (!originalSource) {
+      return new RawSource("throw new Error('No source available');");
+    }
+
+    const source = new ReplaceSource(originalSource);
+    /** @type {InitFragment<GenerateContext>[]} */
+    const initFragments = [];
+
+    this.sourceModule(module, initFragments, source, generateContext);
+
+    return InitFragment.addToSource(source, initFragments, generateContext);
+  }
+
+  /**
+   * 应用模块自身、展示型依赖以及所有异步块中依赖的模板
+   * @param {Module} module the module to generate
+   * @param {InitFragment<GenerateContext>[]} initFragments mutable list of init fragments
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {GenerateContext} generateContext the generateContext
+   * @returns {void}
+   */
+  sourceModule(module, initFragments, source, generateContext) {
+    for (const dependency of module.dependencies) {
+      this.sourceDependency(
+        module,
+        dependency,
+        initFragments,
+        source,
+        generateContext
+      );
+    }
+
+    if (module.presentationalDependencies !== undefined) {
+      for (const dependency of module.presentationalDependencies) {
+        this.sourceDependency(
+          module,
+          dependency,
+          initFragments,
+          source,
+          generateContext
+        );
+      }
+    }
+
+    for (const childBlock of module.blocks) {
+      this.sourceBlock(
+        module,
+        childBlock,
+        initFragments,
+        source,
+        generateContext
+      );
+    }
+  }
+
+  /**
+   * 递归应用异步块中依赖的模板
+   * @param {Module} module the module to generate
+   * @param {DependenciesBlock} block the dependencies block which will be processed
+   * @param {InitFragment<GenerateContext>[]} initFragments mutable list of init fragments
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {GenerateContext} generateContext the generateContext
+   * @returns {void}
+   */
+  sourceBlock(module, block, initFragments, source, generateContext) {
+    for (const dependency of block.dependencies) {
+      this.sourceDependency(
+        module,
+        dependency,
+        initFragments,
+        source,
+        generateContext
+      );
+    }
+
+    for (const childBlock of block.blocks) {
+      this.sourceBlock(
+        module,
+        childBlock,
+        initFragments,
+        source,
+        generateContext
+      );
+    }
+  }
+
+  /**
+   * 找到依赖对应的模板并应用到源码上
+   * @param {Module} module the current module
+   * @param {Dependency} dependency the dependency to generate
+   * @param {InitFragment<GenerateContext>[]} initFragments mutable list of init fragments
+   * @param {ReplaceSource} source the current replace source which can be modified
+   * @param {GenerateContext} generateContext the render context
+   * @returns {void}
+   */
+  sourceDependency(module, dependency, initFragments, source, generateContext) {
+    const constructor =
+      /** @type {new (...args: EXPECTED_ANY[]) => Dependency} */
+      (dependency.constructor);
+    const template = generateContext.dependencyTemplates.get(constructor);
+    if (!template) {
+      throw new Error(
+        `No template for dependency: ${dependency.constructor.name}`
+      );
+    }
+
+    /** @type {InitFragment<GenerateContext>[] | undefined} */
+    let chunkInitFragments;
+
+    /** @type {DependencyTemplateContext} */
+    const templateContext = {
+      runtimeTemplate: generateContext.runtimeTemplate,
+      dependencyTemplates: generateContext.dependencyTemplates,
+      moduleGraph: generateContext.moduleGraph,
+      chunkGraph: generateContext.chunkGraph,
+      module,
+      runtime: generateContext.runtime,
+      runtimeRequirements: generateContext.runtimeRequirements,
+      concatenationScope: generateContext.concatenationScope,
+      codeGenerationResults:
+        /** @type {NonNullable<GenerateContext["codeGenerationResults"]>} */
+        (generateContext.codeGenerationResults),
+      initFragments,
+      get chunkInitFragments() {
+        if (!chunkInitFragments) {
+          const data =
+            /** @type {NonNullable<GenerateContext["getData"]>} */
+            (generateContext.getData)();
+          chunkInitFragments = data.get("chunkInitFragments");
+          if (!chunkInitFragments) {
+            chunkInitFragments = [];
+            data.set("chunkInitFragments", chunkInitFragments);
+          }
+        }
+
+        return chunkInitFragments;
+      },
+    };
+
+    template.apply(dependency, source, templateContext);
+
+    // TODO remove in webpack 6
+    if ("getInitFragments" in template) {
+      const fragments = deprecatedGetInitFragments(
+        template,
+        dependency,
+        templateContext
+      );
+
+      if (fragments) {
+        for (const fragment of fragments) {
+          initFragments.push(fragment);
+        }
+      }
+    }
+  }
+}
+
+module.exports = JavascriptGenerator;
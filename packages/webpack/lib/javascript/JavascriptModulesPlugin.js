@@ -0,0 +1,432 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { SyncWaterfallHook, SyncHook, SyncBailHook } = require("tapable");
+const { ConcatSource, RawSource, CachedSource } = require("webpack-sources");
+const Compilation = require("../Compilation");
+const { tryRunOrWebpackError } = require("../HookWebpackError");
+const HotUpdateChunk = require("../HotUpdateChunk");
+const InitFragment = require("../InitFragment");
+const {
+  JAVASCRIPT_MODULE_TYPE_AUTO,
+  JAVASCRIPT_MODULE_TYPE_DYNAMIC,
+  JAVASCRIPT_MODULE_TYPE_ESM,
+} = require("../ModuleTypeConstants");
+const RuntimeGlobals = require("../RuntimeGlobals");
+const Template = require("../Template");
+const ConstDependency = require("../dependencies/ConstDependency");
+const { compareModulesByIdentifier } = require("../util/comparators");
+const JavascriptGenerator = require("./JavascriptGenerator");
+const JavascriptParser = require("./JavascriptParser");
+
+/**
+ * 判断 chunk 是否需要输出 JS 文件
+ * @param {Chunk} chunk a chunk
+ * @param {ChunkGraph} chunkGraph the chunk graph
+ * @returns {boolean} true, when a JS file is needed for this chunk
+ */
+const chunkHasJs = (chunk, chunkGraph) => {
+  if (chunkGraph.getNumberOfEntryModules(chunk) > 0) return true;
+
+  return Boolean(
+    chunkGraph.getChunkModulesIterableBySourceType(chunk, "javascript")
+  );
+};
+
+/** @type {WeakMap<Compilation, CompilationHooks>} */
+const compilationHooksMap = new WeakMap();
+
+const PLUGIN_NAME = "JavascriptModulesPlugin";
+
+/**
+ * 为 javascript 类型的模块注册解析器和生成器
+ *
+ * - javascript/auto：同时支持 ES 模块和 CommonJS，由解析结果决定
+ * - javascript/dynamic：按脚本解析，只支持 CommonJS
+ * - javascript/esm：按严格的 ES 模块解析（.mjs 或 package.json 中 "type": "module"）
+ *
+ * HarmonyModulesPlugin、CommonJsPlugin 等插件再通过 normalModuleFactory.hooks.parser
+ * 为这些解析器添加各自的解析插件
+ *
+ * 解析插件普遍通过 toConstantDependency 把表达式替换为常量，ConstDependency 的模板也在这里注册
+ */
+class JavascriptModulesPlugin {
+  /**
+   * 渲染 JS chunk 时使用的钩子，每个 compilation 一份
+   *
+   * chunk 格式插件（ArrayPushCallbackChunkFormatPlugin 等）通过 renderChunk 包装模块，
+   * devtool 插件通过 renderModuleContent 改写单个模块的代码
+   * @param {Compilation} compilation the compilation
+   * @returns {CompilationHooks} the attached hooks
+   */
+  static getCompilationHooks(compilation) {
+    if (!(compilation instanceof Compilation)) {
+      throw new TypeError(
+        "The 'compilation' argument must be an instance of Compilation"
+      );
+    }
+    let hooks = compilationHooksMap.get(compilation);
+    if (hooks === undefined) {
+      hooks = {
+        renderModuleContent: new SyncWaterfallHook([
+          "source",
+          "module",
+          "renderContext",
+        ]),
+        renderModuleContainer: new SyncWaterfallHook([
+          "source",
+          "module",
+          "renderContext",
+        ]),
+        renderModulePackage: new SyncWaterfallHook([
+          "source",
+          "module",
+          "renderContext",
+        ]),
+        render: new SyncWaterfallHook(["source", "renderContext"]),
+        renderContent: new SyncWaterfallHook(["source", "renderContext"]),
+        renderStartup: new SyncWaterfallHook([
+          "source",
+          "module",
+          "startupRenderContext",
+        ]),
+        renderChunk: new SyncWaterfallHook(["source", "renderContext"]),
+        renderMain: new SyncWaterfallHook(["source", "renderContext"]),
+        renderRequire: new SyncWaterfallHook(["code", "renderContext"]),
+        inlineInRuntimeBailout: new SyncBailHook(["module", "renderContext"]),
+        embedInRuntimeBailout: new SyncBailHook(["module", "renderContext"]),
+        strictRuntimeBailout: new SyncBailHook(["renderContext"]),
+        chunkHash: new SyncHook(["chunk", "hash", "context"]),
+        useSourceMap: new SyncBailHook(["chunk", "renderContext"]),
+      };
+      compilationHooksMap.set(compilation, hooks);
+    }
+    return hooks;
+  }
+
+  constructor(options = {}) {
+    this.options = options;
+    /**
+     * 模块内容 -> 包装成模块工厂函数后的代码，内容和参数不变时复用
+     * @type {WeakMap<Source, { source: Source, needModule?: boolean, needExports?: boolean, needRequire?: boolean, needThisAsExports?: boolean, needStrict?: boolean }>}
+     */
+    this._moduleFactoryCache = new WeakMap();
+  }
+
+  /**
+   * 应用插件
+   * @param {Compiler} compiler webpack compiler
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      PLUGIN_NAME,
+      (compilation, { normalModuleFactory }) => {
+        const hooks = JavascriptModulesPlugin.getCompilationHooks(compilation);
+        compilation.dependencyTemplates.set(
+          ConstDependency,
+          new ConstDependency.Template()
+        );
+        normalModuleFactory.hooks.createParser
+          .for(JAVASCRIPT_MODULE_TYPE_AUTO)
+          .tap(PLUGIN_NAME, (options) => new JavascriptParser("auto"));
+        normalModuleFactory.hooks.createParser
+          .for(JAVASCRIPT_MODULE_TYPE_DYNAMIC)
+          .tap(PLUGIN_NAME, (options) => new JavascriptParser("script"));
+        normalModuleFactory.hooks.createParser
+          .for(JAVASCRIPT_MODULE_TYPE_ESM)
+          .tap(PLUGIN_NAME, (options) => new JavascriptParser("module"));
+        normalModuleFactory.hooks.createGenerator
+          .for(JAVASCRIPT_MODULE_TYPE_AUTO)
+          .tap(PLUGIN_NAME, () => new JavascriptGenerator());
+        normalModuleFactory.hooks.createGenerator
+          .for(JAVASCRIPT_MODULE_TYPE_DYNAMIC)
+          .tap(PLUGIN_NAME, () => new JavascriptGenerator());
+        normalModuleFactory.hooks.createGenerator
+          .for(JAVASCRIPT_MODULE_TYPE_ESM)
+          .tap(PLUGIN_NAME, () => new JavascriptGenerator());
+        // 目前只渲染热更新 chunk（*.hot-update.js），带运行时的入口 chunk 需要的 renderMain 还没有实现
+        compilation.hooks.renderManifest.tap(PLUGIN_NAME, (result, options) => {
+          const {
+            hash,
+            chunk,
+            chunkGraph,
+            moduleGraph,
+            runtimeTemplate,
+            dependencyTemplates,
+            outputOptions,
+            codeGenerationResults,
+          } = options;
+
+          if (!(chunk instanceof HotUpdateChunk)) return result;
+
+          result.push({
+            render: () =>
+              this.renderChunk(
+                {
+                  chunk,
+                  dependencyTemplates,
+                  runtimeTemplate,
+                  moduleGraph,
+                  chunkGraph,
+                  codeGenerationResults,
+                  strictMode: runtimeTemplate.isModule(),
+                },
+                hooks
+              ),
+            filenameTemplate: JavascriptModulesPlugin.getChunkFilenameTemplate(
+              chunk,
+              outputOptions
+            ),
+            pathOptions: {
+              hash,
+              runtime: chunk.runtime,
+              chunk,
+              contentHashType: "javascript",
+            },
+            info: {
+              javascriptModule: compilation.runtimeTemplate.isModule(),
+            },
+            identifier: `hotupdatechunk${chunk.id}`,
+            hash: chunk.contentHash.javascript,
+          });
+
+          return result;
+        });
+        compilation.hooks.chunkHash.tap(PLUGIN_NAME, (chunk, hash, context) => {
+          hooks.chunkHash.call(chunk, hash, context);
+        });
+        // 有依赖入口的其他 chunk 时，入口模块要等这些 chunk 加载完成后再执行
+        compilation.hooks.additionalTreeRuntimeRequirements.tap(
+          PLUGIN_NAME,
+          (chunk, set, { chunkGraph }) => {
+            if (
+              !set.has(RuntimeGlobals.startupNoDefault) &&
+              chunkGraph.hasChunkEntryDependentChunks(chunk)
+            ) {
+              set.add(RuntimeGlobals.onChunksLoaded);
+              set.add(RuntimeGlobals.exports);
+              set.add(RuntimeGlobals.require);
+            }
+          }
+        );
+      }
+    );
+  }
+
+  /**
+   * 按 chunk 的类型选择输出文件名模板
+   * @param {Chunk} chunk chunk
+   * @param {OutputOptions} outputOptions output options
+   * @returns {TemplatePath} used filename template
+   */
+  static getChunkFilenameTemplate(chunk, outputOptions) {
+    if (chunk.filenameTemplate) {
+      return chunk.filenameTemplate;
+    } else if (chunk instanceof HotUpdateChunk) {
+      return /** @type {TemplatePath} */ (outputOptions.hotUpdateChunkFilename);
+    } else if (chunk.canBeInitial()) {
+      return /** @type {TemplatePath} */ (outputOptions.filename);
+    }
+    return /** @type {TemplatePath} */ (outputOptions.chunkFilename);
+  }
+
+  /**
+   * 渲染单个模块，factory 为 true 时包装成 (module, exports, __webpack_require__) => {} 形式的工厂函数
+   * @param {Module} module the rendered module
+   * @param {ChunkRenderContext} renderContext options object
+   * @param {CompilationHooks} hooks hooks
+   * @param {boolean} factory true: renders as factory method, false: pure module content
+   * @returns {Source | null} the newly generated source from rendering
+   */
+  renderModule(module, renderContext, hooks, factory) {
+    const {
+      chunk,
+      chunkGraph,
+      runtimeTemplate,
+      codeGenerationResults,
+      strictMode,
+    } = renderContext;
+    try {
+      const codeGenResult = codeGenerationResults.get(module, chunk.runtime);
+      const moduleSource = codeGenResult.sources.get("javascript");
+      if (!moduleSource) return null;
+      if (codeGenResult.data !== undefined) {
+        const chunkInitFragments = codeGenResult.data.get("chunkInitFragments");
+        if (chunkInitFragments) {
+          for (const i of chunkInitFragments)
+            renderContext.chunkInitFragments.push(i);
+        }
+      }
+      const moduleSourcePostContent = tryRunOrWebpackError(
+        () =>
+          hooks.renderModuleContent.call(moduleSource, module, renderContext),
+        "JavascriptModulesPlugin.getCompilationHooks().renderModuleContent"
+      );
+      let moduleSourcePostContainer;
+      if (factory) {
+        const runtimeRequirements = chunkGraph.getModuleRuntimeRequirements(
+          module,
+          chunk.runtime
+        );
+        const needModule = runtimeRequirements.has(RuntimeGlobals.module);
+        const needExports = runtimeRequirements.has(RuntimeGlobals.exports);
+        const needRequire =
+          runtimeRequirements.has(RuntimeGlobals.require) ||
+          runtimeRequirements.has(RuntimeGlobals.requireScope);
+        const needThisAsExports = runtimeRequirements.has(
+          RuntimeGlobals.thisAsExports
+        );
+        const needStrict =
+          /** @type {BuildInfo} */
+          (module.buildInfo).strict && !strictMode;
+        const cacheEntry = this._moduleFactoryCache.get(
+          moduleSourcePostContent
+        );
+        let source;
+        if (
+          cacheEntry &&
+          cacheEntry.needModule === needModule &&
+          cacheEntry.needExports === needExports &&
+          cacheEntry.needRequire === needRequire &&
+          cacheEntry.needThisAsExports === needThisAsExports &&
+          cacheEntry.needStrict === needStrict
+        ) {
+          source = cacheEntry.source;
+        } else {
+          const factorySource = new ConcatSource();
+          const args = [];
+          if (needExports || needRequire || needModule)
+            args.push(
+              needModule
+                ? module.moduleArgument
+                : `__unused_webpack_${module.moduleArgument}`
+            );
+          if (needExports || needRequire)
+            args.push(
+              needExports
+                ? module.exportsArgument
+                : `__unused_webpack_${module.exportsArgument}`
+            );
+          if (needRequire) args.push(RuntimeGlobals.require);
+          if (!needThisAsExports && runtimeTemplate.supportsArrowFunction()) {
+            factorySource.add(`/***/ ((${args.join(", ")}) => {\n\n`);
+          } else {
+            factorySource.add(`/***/ (function(${args.join(", ")}) {\n\n`);
+          }
+          if (needStrict) {
+            factorySource.add('"use strict";\n');
+          }
+          factorySource.add(moduleSourcePostContent);
+          factorySource.add("\n\n/***/ })");
+          source = new CachedSource(factorySource);
+          this._moduleFactoryCache.set(moduleSourcePostContent, {
+            source,
+            needModule,
+            needExports,
+            needRequire,
+            needThisAsExports,
+            needStrict,
+          });
+        }
+        moduleSourcePostContainer = tryRunOrWebpackError(
+          () => hooks.renderModuleContainer.call(source, module, renderContext),
+          "JavascriptModulesPlugin.getCompilationHooks().renderModuleContainer"
+        );
+      } else {
+        moduleSourcePostContainer = moduleSourcePostContent;
+      }
+      return tryRunOrWebpackError(
+        () =>
+          hooks.renderModulePackage.call(
+            moduleSourcePostContainer,
+            module,
+            renderContext
+          ),
+        "JavascriptModulesPlugin.getCompilationHooks().renderModulePackage"
+      );
+    } catch (err) {
+      /** @type {WebpackError} */
+      (err).module = module;
+      throw err;
+    }
+  }
+
+  /**
+   * 渲染不带运行时的 chunk，模块对象交给 chunk 格式插件通过 renderChunk 钩子包装
+   * @param {RenderContext} renderContext the render context
+   * @param {CompilationHooks} hooks hooks
+   * @returns {Source} the rendered source
+   */
+  renderChunk(renderContext, hooks) {
+    const { chunk, chunkGraph } = renderContext;
+    const modules = chunkGraph.getOrderedChunkModulesIterableBySourceType(
+      chunk,
+      "javascript",
+      compareModulesByIdentifier
+    );
+    const allModules = modules ? Array.from(modules) : [];
+    let strictHeader;
+    let allStrict = renderContext.strictMode;
+    if (
+      !allStrict &&
+      allModules.every((m) => /** @type {BuildInfo} */ (m.buildInfo).strict)
+    ) {
+      const strictBailout = hooks.strictRuntimeBailout.call(renderContext);
+      strictHeader = strictBailout
+        ? `// runtime can't be in strict mode because ${strictBailout}.\n`
+        : '"use strict";\n';
+      if (!strictBailout) allStrict = true;
+    }
+    /** @type {ChunkRenderContext} */
+    const chunkRenderContext = {
+      ...renderContext,
+      chunkInitFragments: [],
+      strictMode: allStrict,
+    };
+    const moduleSources =
+      Template.renderChunkModules(chunkRenderContext, allModules, (module) =>
+        this.renderModule(module, chunkRenderContext, hooks, true)
+      ) || new RawSource("{}");
+    let source = tryRunOrWebpackError(
+      () => hooks.renderChunk.call(moduleSources, chunkRenderContext),
+      "JavascriptModulesPlugin.getCompilationHooks().renderChunk"
+    );
+    source = tryRunOrWebpackError(
+      () => hooks.renderContent.call(source, chunkRenderContext),
+      "JavascriptModulesPlugin.getCompilationHooks().renderContent"
+    );
+    if (!source) {
+      throw new Error(
+        "JavascriptModulesPlugin error: JavascriptModulesPlugin.getCompilationHooks().renderContent plugins should return something"
+      );
+    }
+    source = InitFragment.addToSource(
+      source,
+      chunkRenderContext.chunkInitFragments,
+      chunkRenderContext
+    );
+    source = tryRunOrWebpackError(
+      () => hooks.render.call(source, chunkRenderContext),
+      "JavascriptModulesPlugin.getCompilationHooks().render"
+    );
+    if (!source) {
+      throw new Error(
+        "JavascriptModulesPlugin error: JavascriptModulesPlugin.getCompilationHooks().render plugins should return something"
+      );
+    }
+    chunk.rendered = true;
+    return strictHeader
+      ? new ConcatSource(strictHeader, source, ";")
+      : renderContext.runtimeTemplate.isModule()
+        ? source
+        : new ConcatSource(source, ";");
+  }
+}
+
+module.exports = JavascriptModulesPlugin;
+module.exports.chunkHasJs = chunkHasJs;
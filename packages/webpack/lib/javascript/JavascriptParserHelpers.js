@@ -1 +1,131 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const UnsupportedFeatureWarning = require("../UnsupportedFeatureWarning");
+const ConstDependency = require("../dependencies/ConstDependency");
+const BasicEvaluatedExpression = require("./BasicEvaluatedExpression");
+
+/**
+ * 创建把表达式替换为常量代码的钩子回调，例如把 __webpack_hash__ 替换为 __webpack_require__.h()
+ * @param {JavascriptParser} parser the parser
+ * @param {string} value the const value
+ * @param {(string[] | null)=} runtimeRequirements runtime requirements
+ * @returns {function(Expression): true} plugin function
+ */
+module.exports.toConstantDependency = (parser, value, runtimeRequirements) =>
+  function constDependency(expr) {
+    const dep = new ConstDependency(
+      value,
+      /** @type {Range} */ (expr.range),
+      runtimeRequirements
+    );
+    dep.loc = /** @type {SourceLocation} */ (expr.loc);
+    parser.state.module.addPresentationalDependency(dep);
+    return true;
+  };
+
+/**
+ * 创建 evaluate 钩子的回调，把表达式计算成指定的字符串
+ * @param {string} value the string value
+ * @returns {function(Expression): BasicEvaluatedExpression} plugin function
+ */
+module.exports.evaluateToString = (value) =>
+  function stringExpression(expr) {
+    return new BasicEvaluatedExpression()
+      .setString(value)
+      .setRange(/** @type {Range} */ (expr.range));
+  };
+
+/**
+ * 创建 evaluate 钩子的回调，把表达式计算成指定的数字
+ * @param {number} value the number value
+ * @returns {function(Expression): BasicEvaluatedExpression} plugin function
+ */
+module.exports.evaluateToNumber = (value) =>
+  function stringExpression(expr) {
+    return new BasicEvaluatedExpression()
+      .setNumber(value)
+      .setRange(/** @type {Range} */ (expr.range));
+  };
+
+/**
+ * 创建 evaluate 钩子的回调，把表达式计算成指定的布尔值
+ * @param {boolean} value the boolean value
+ * @returns {function(Expression): BasicEvaluatedExpression} plugin function
+ */
+module.exports.evaluateToBoolean = (value) =>
+  function booleanExpression(expr) {
+    return new BasicEvaluatedExpression()
+      .setBoolean(value)
+      .setRange(/** @type {Range} */ (expr.range));
+  };
+
+/**
+ * 创建 evaluateIdentifier 钩子的回调，把表达式计算成指定的标识符
+ * 例如 HotModuleReplacementPlugin 把 module.hot 计算成真值，这样 if (module.hot) 可以被静态分析
+ * @param {string} identifier identifier
+ * @param {string} rootInfo rootInfo
+ * @param {function(): string[]} getMembers getMembers
+ * @param {boolean|null=} truthy is truthy, null if nullish
+ * @returns {function(Expression): BasicEvaluatedExpression} callback
+ */
+module.exports.evaluateToIdentifier = (
+  identifier,
+  rootInfo,
+  getMembers,
+  truthy
+) =>
+  function identifierExpression(expr) {
+    const evaluatedExpression = new BasicEvaluatedExpression()
+      .setIdentifier(identifier, rootInfo, getMembers)
+      .setSideEffects(false)
+      .setRange(/** @type {Range} */ (expr.range));
+    switch (truthy) {
+      case true:
+        evaluatedExpression.setTruthy();
+        break;
+      case null:
+        evaluatedExpression.setNullish(true);
+        break;
+      case false:
+        evaluatedExpression.setFalsy();
+        break;
+    }
+
+    return evaluatedExpression;
+  };
+
+/**
+ * 创建处理不支持写法的钩子回调：把表达式替换为 (void 0)，并给模块添加警告
+ * @param {JavascriptParser} parser the parser
+ * @param {string} message the message
+ * @returns {function(Expression): boolean | undefined} callback to handle unsupported expression
+ */
+module.exports.expressionIsUnsupported = (parser, message) =>
+  function unsupportedExpression(expr) {
+    const dep = new ConstDependency(
+      "(void 0)",
+      /** @type {Range} */ (expr.range),
+      null
+    );
+    dep.loc = /** @type {SourceLocation} */ (expr.loc);
+    parser.state.module.addPresentationalDependency(dep);
+    if (!parser.state.module) return;
+    parser.state.module.addWarning(
+      new UnsupportedFeatureWarning(
+        message,
+        /** @type {SourceLocation} */ (expr.loc)
+      )
+    );
+    return true;
+  };
+
+/** 返回 true 跳过对表达式的遍历 */
+module.exports.skipTraversal = () => true;
+
+/** 返回 true 表示允许，例如 canRename 钩子中允许重命名 */
 module.exports.approve = () => true;
@@ -0,0 +1,113 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @type {WeakMap<Compiler, Set<LibraryType>>} */
+const enabledTypes = new WeakMap();
+
+/**
+ * @param {Compiler} compiler the compiler instance
+ * @returns {Set<LibraryType>} enabled types
+ */
+const getEnabledTypes = (compiler) => {
+  let set = enabledTypes.get(compiler);
+  if (set === undefined) {
+    set = new Set();
+    enabledTypes.set(compiler, set);
+  }
+  return set;
+};
+
+/**
+ * 启用 output.library 的输出方式
+ *
+ * 入口通过 EntryOptionPlugin 检查 library.type 已经启用。
+ * 把入口导出赋值到全局变量、module.exports 等位置的 library 插件依赖主 chunk 的渲染，
+ * 这部分不在当前实现中，这里只登记已知的类型，未知类型与 webpack 一样报错
+ */
+class EnableLibraryPlugin {
+  /**
+   * @param {LibraryType} type library type that should be available
+   */
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * @param {Compiler} compiler the compiler instance
+   * @param {LibraryType} type type of library
+   * @returns {void}
+   */
+  static setEnabled(compiler, type) {
+    getEnabledTypes(compiler).add(type);
+  }
+
+  /**
+   * @param {Compiler} compiler the compiler instance
+   * @param {LibraryType} type type of library
+   * @returns {void}
+   */
+  static checkEnabled(compiler, type) {
+    if (!getEnabledTypes(compiler).has(type)) {
+      throw new Error(
+        `Library type "${type}" is not enabled. ` +
+          "EnableLibraryPlugin need to be used to enable this type of library. " +
+          'This usually happens through the "output.enabledLibraryTypes" option. ' +
+          'If you are using a function as entry which sets "library", you need to add all potential library types to "output.enabledLibraryTypes". ' +
+          `These types are enabled: ${Array.from(
+            getEnabledTypes(compiler)
+          ).join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const { type } = this;
+
+    // Only enable once
+    const enabled = getEnabledTypes(compiler);
+    if (enabled.has(type)) return;
+    enabled.add(type);
+
+    if (typeof type === "string") {
+      switch (type) {
+        case "var":
+        case "assign-properties":
+        case "assign":
+        case "this":
+        case "window":
+        case "self":
+        case "global":
+        case "commonjs":
+        case "commonjs-static":
+        case "commonjs2":
+        case "commonjs-module":
+        case "amd":
+        case "amd-require":
+        case "umd":
+        case "umd2":
+        case "system":
+        case "jsonp":
+        case "module":
+        case "modern-module":
+          break;
+        default:
+          throw new Error(`Unsupported library type ${type}.
+Plugins which provide custom library types must call EnableLibraryPlugin.setEnabled(compiler, type) to disable this error.`);
+      }
+    } else {
+      // TODO support plugin instances here
+      // apply them to the compiler
+    }
+  }
+}
+
+module.exports = EnableLibraryPlugin;
@@ -0,0 +1,45 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 把规则上的属性原样作为效果输出，例如 type、sideEffects、parser、generator、resolve、layer
+ */
+class BasicEffectRulePlugin {
+  /**
+   * @param {string} ruleProperty 规则上的属性名
+   * @param {string=} effectType 效果的类型，默认与属性名相同
+   */
+  constructor(ruleProperty, effectType) {
+    this.ruleProperty = ruleProperty;
+    this.effectType = effectType || ruleProperty;
+  }
+
+  /**
+   * @param {RuleSetCompiler} ruleSetCompiler the rule set compiler
+   * @returns {void}
+   */
+  apply(ruleSetCompiler) {
+    ruleSetCompiler.hooks.rule.tap(
+      "BasicEffectRulePlugin",
+      (path, rule, unhandledProperties, result, references) => {
+        if (unhandledProperties.has(this.ruleProperty)) {
+          unhandledProperties.delete(this.ruleProperty);
+
+          const value =
+            rule[/** @type {keyof RuleSetRule} */ (this.ruleProperty)];
+
+          result.effects.push({
+            type: this.effectType,
+            value,
+          });
+        }
+      }
+    );
+  }
+}
+
+module.exports = BasicEffectRulePlugin;
@@ -0,0 +1,56 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 把规则上的属性编译为针对数据中某个属性的匹配条件
+ * @example
+ * new BasicMatcherRulePlugin("test", "resource") // rule.test 匹配 data.resource
+ * new BasicMatcherRulePlugin("exclude", "resource", true) // rule.exclude 取反后匹配 data.resource
+ */
+class BasicMatcherRulePlugin {
+  /**
+   * @param {string} ruleProperty 规则上的属性名
+   * @param {string=} dataProperty 要匹配的数据属性，默认与属性名相同
+   * @param {boolean=} invert 为 true 时对条件取反
+   */
+  constructor(ruleProperty, dataProperty, invert) {
+    this.ruleProperty = ruleProperty;
+    this.dataProperty = dataProperty || ruleProperty;
+    this.invert = invert || false;
+  }
+
+  /**
+   * @param {RuleSetCompiler} ruleSetCompiler the rule set compiler
+   * @returns {void}
+   */
+  apply(ruleSetCompiler) {
+    ruleSetCompiler.hooks.rule.tap(
+      "BasicMatcherRulePlugin",
+      (path, rule, unhandledProperties, result) => {
+        if (unhandledProperties.has(this.ruleProperty)) {
+          unhandledProperties.delete(this.ruleProperty);
+          const value =
+            rule[/** @type {keyof RuleSetRule} */ (this.ruleProperty)];
+          const condition = ruleSetCompiler.compileCondition(
+            `${path}.${this.ruleProperty}`,
+            value
+          );
+          const fn = condition.fn;
+          result.conditions.push({
+            property: this.dataProperty,
+            matchWhenEmpty: this.invert
+              ? !condition.matchWhenEmpty
+              : condition.matchWhenEmpty,
+            fn: this.invert ? (v) => !fn(v) : fn,
+          });
+        }
+      }
+    );
+  }
+}
+
+module.exports = BasicMatcherRulePlugin;
@@ -0,0 +1,66 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 把对象形式的规则属性编译为多个针对嵌套数据属性的条件
+ * @example
+ * // descriptionData: { type: "module" } 匹配 package.json 中的 type 字段
+ * new ObjectMatcherRulePlugin("descriptionData")
+ */
+class ObjectMatcherRulePlugin {
+  /**
+   * @param {string} ruleProperty 规则上的属性名
+   * @param {string=} dataProperty 要匹配的数据属性，默认与属性名相同
+   * @param {RuleConditionFunction=} additionalConditionFunction 对整个数据属性额外检查的条件（例如区分 assert 和 with）
+   */
+  constructor(ruleProperty, dataProperty, additionalConditionFunction) {
+    this.ruleProperty = ruleProperty;
+    this.dataProperty = dataProperty || ruleProperty;
+    this.additionalConditionFunction = additionalConditionFunction;
+  }
+
+  /**
+   * @param {RuleSetCompiler} ruleSetCompiler the rule set compiler
+   * @returns {void}
+   */
+  apply(ruleSetCompiler) {
+    const { ruleProperty, dataProperty } = this;
+    ruleSetCompiler.hooks.rule.tap(
+      "ObjectMatcherRulePlugin",
+      (path, rule, unhandledProperties, result) => {
+        if (unhandledProperties.has(ruleProperty)) {
+          unhandledProperties.delete(ruleProperty);
+          const value =
+            /** @type {Record<string, any>} */
+            (rule[/** @type {keyof RuleSetRule} */ (ruleProperty)]);
+          // key 中的 . 表示嵌套属性
+          for (const property of Object.keys(value)) {
+            const nestedDataProperties = property.split(".");
+            const condition = ruleSetCompiler.compileCondition(
+              `${path}.${ruleProperty}.${property}`,
+              value[property]
+            );
+            if (this.additionalConditionFunction) {
+              result.conditions.push({
+                property: [dataProperty],
+                matchWhenEmpty: condition.matchWhenEmpty,
+                fn: this.additionalConditionFunction,
+              });
+            }
+            result.conditions.push({
+              property: [dataProperty, ...nestedDataProperties],
+              matchWhenEmpty: condition.matchWhenEmpty,
+              fn: condition.fn,
+            });
+          }
+        }
+      }
+    );
+  }
+}
+
+module.exports = ObjectMatcherRulePlugin;
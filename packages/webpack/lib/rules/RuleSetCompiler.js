@@ -0,0 +1,425 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { SyncHook } = require("tapable");
+
+/** @typedef {function(string | EffectData): boolean} RuleConditionFunction */
+
+/**
+ * @typedef {object} RuleCondition
+ * @property {string | string[]} property
+ * @property {boolean} matchWhenEmpty
+ * @property {RuleConditionFunction} fn
+ */
+
+/**
+ * @typedef {object} Condition
+ * @property {boolean} matchWhenEmpty
+ * @property {RuleConditionFunction} fn
+ */
+
+/**
+ * @typedef {Record<string, TODO>} EffectData
+ */
+
+/**
+ * @typedef {object} CompiledRule
+ * @property {RuleCondition[]} conditions
+ * @property {(Effect|function(EffectData): Effect[])[]} effects
+ * @property {CompiledRule[]=} rules
+ * @property {CompiledRule[]=} oneOf
+ */
+
+/**
+ * @typedef {object} Effect
+ * @property {string} type
+ * @property {any} value
+ */
+
+/**
+ * @typedef {object} RuleSet
+ * @property {Map<string, any>} references map of references in the rule set (may grow over time)
+ * @property {function(EffectData): Effect[]} exec execute the rule set
+ */
+
+/** @typedef {{ apply: (function(RuleSetCompiler): void) }} RuleSetPlugin */
+
+/**
+ * module.rules 的编译器
+ *
+ * 把用户配置的规则编译为由条件（conditions）和效果（effects）组成的 CompiledRule，
+ * 规则上的每个属性由插件通过 hooks.rule 认领处理：
+ * - 匹配类插件（BasicMatcherRulePlugin、ObjectMatcherRulePlugin）生成条件，例如 test、include、issuer
+ * - 效果类插件（BasicEffectRulePlugin、UseEffectRulePlugin）生成效果，例如 type、parser、use
+ * 没有被任何插件认领的属性（rules、oneOf 除外）会被当作未知属性报错
+ *
+ * NormalModuleFactory 解析模块时用 { resource, issuer, ... } 调用 exec，得到所有命中规则的效果
+ */
+class RuleSetCompiler {
+  /**
+   * @param {RuleSetPlugin[]} plugins plugins
+   */
+  constructor(plugins) {
+    this.hooks = Object.freeze({
+      /** @type {SyncHook<[string, RuleSetRule, Set<string>, CompiledRule, Map<string | undefined, any>]>} */
+      rule: new SyncHook([
+        "path",
+        "rule",
+        "unhandledProperties",
+        "compiledRule",
+        "references",
+      ]),
+    });
+    if (plugins) {
+      for (const plugin of plugins) {
+        plugin.apply(this);
+      }
+    }
+  }
+
+  /**
+   * 编译规则集
+   * 返回的 references 保存了 loader ident -> options，
+   * 用于把 "loader?ident" 形式的内联请求还原为对应的配置对象
+   * @param {TODO[]} ruleSet raw user provided rules
+   * @returns {RuleSet} compiled RuleSet
+   */
+  compile(ruleSet) {
+    const refs = new Map();
+    const rules = this.compileRules("ruleSet", ruleSet, refs);
+
+    /**
+     * 执行单条规则：所有条件都满足时收集它的效果，再执行嵌套的 rules（全部执行）
+     * 和 oneOf（只执行第一条命中的规则）
+     * @param {EffectData} data data passed in
+     * @param {CompiledRule} rule the compiled rule
+     * @param {Effect[]} effects an array where effects are pushed to
+     * @returns {boolean} true, if the rule has matched
+     */
+    const execRule = (data, rule, effects) => {
+      for (const condition of rule.conditions) {
+        const p = condition.property;
+        // 数组形式的属性表示嵌套路径，例如 descriptionData.type -> ["descriptionData", "type"]
+        if (Array.isArray(p)) {
+          /** @type {EffectData | string | undefined} */
+          let current = data;
+          for (const subProperty of p) {
+            if (
+              current &&
+              typeof current === "object" &&
+              Object.prototype.hasOwnProperty.call(current, subProperty)
+            ) {
+              current = current[subProperty];
+            } else {
+              current = undefined;
+              break;
+            }
+          }
+          if (current !== undefined) {
+            if (!condition.fn(current)) return false;
+            continue;
+          }
+        } else if (p in data) {
+          const value = data[p];
+          if (value !== undefined) {
+            if (!condition.fn(value)) return false;
+            continue;
+          }
+        }
+        // 数据中没有对应的属性时，由 matchWhenEmpty 决定是否算作匹配
+        if (!condition.matchWhenEmpty) {
+          return false;
+        }
+      }
+      for (const effect of rule.effects) {
+        if (typeof effect === "function") {
+          const returnedEffects = effect(data);
+          for (const effect of returnedEffects) {
+            effects.push(effect);
+          }
+        } else {
+          effects.push(effect);
+        }
+      }
+      if (rule.rules) {
+        for (const childRule of rule.rules) {
+          execRule(data, childRule, effects);
+        }
+      }
+      if (rule.oneOf) {
+        for (const childRule of rule.oneOf) {
+          if (execRule(data, childRule, effects)) {
+            break;
+          }
+        }
+      }
+      return true;
+    };
+
+    return {
+      references: refs,
+      exec: (data) => {
+        /** @type {Effect[]} */
+        const effects = [];
+        for (const rule of rules) {
+          execRule(data, rule, effects);
+        }
+        return effects;
+      },
+    };
+  }
+
+  /**
+   * @param {string} path current path
+   * @param {RuleSetRules} rules the raw rules provided by user
+   * @param {Map<string, any>} refs references
+   * @returns {CompiledRule[]} rules
+   */
+  compileRules(path, rules, refs) {
+    return rules
+      .filter(Boolean)
+      .map((rule, i) =>
+        this.compileRule(
+          `${path}[${i}]`,
+          /** @type {RuleSetRule} */ (rule),
+          refs
+        )
+      );
+  }
+
+  /**
+   * 编译单条规则，先交给插件处理各个属性，再递归编译 rules 和 oneOf
+   * @param {string} path current path
+   * @param {RuleSetRule} rule the raw rule provided by user
+   * @param {Map<string, any>} refs references
+   * @returns {CompiledRule} normalized and compiled rule for processing
+   */
+  compileRule(path, rule, refs) {
+    const unhandledProperties = new Set(
+      Object.keys(rule).filter(
+        (key) => rule[/** @type {keyof RuleSetRule} */ (key)] !== undefined
+      )
+    );
+
+    /** @type {CompiledRule} */
+    const compiledRule = {
+      conditions: [],
+      effects: [],
+      rules: undefined,
+      oneOf: undefined,
+    };
+
+    this.hooks.rule.call(path, rule, unhandledProperties, compiledRule, refs);
+
+    if (unhandledProperties.has("rules")) {
+      unhandledProperties.delete("rules");
+      const rules = rule.rules;
+      if (!Array.isArray(rules))
+        throw this.error(path, rules, "Rule.rules must be an array of rules");
+      compiledRule.rules = this.compileRules(`${path}.rules`, rules, refs);
+    }
+
+    if (unhandledProperties.has("oneOf")) {
+      unhandledProperties.delete("oneOf");
+      const oneOf = rule.oneOf;
+      if (!Array.isArray(oneOf))
+        throw this.error(path, oneOf, "Rule.oneOf must be an array of rules");
+      compiledRule.oneOf = this.compileRules(`${path}.oneOf`, oneOf, refs);
+    }
+
+    if (unhandledProperties.size > 0) {
+      throw this.error(
+        path,
+        rule,
+        `Properties ${Array.from(unhandledProperties).join(", ")} are unknown`
+      );
+    }
+
+    return compiledRule;
+  }
+
+  /**
+   * 编译条件
+   * - 字符串：匹配以它开头的值（通常是绝对路径）
+   * - 正则：test 匹配
+   * - 函数：返回 true 即匹配
+   * - 数组：任意一个匹配即可
+   * - 对象：{ and, or, not } 组合，对象中的多个属性需要同时满足
+   * @param {string} path current path
+   * @param {any} condition user provided condition value
+   * @returns {Condition} compiled condition
+   */
+  compileCondition(path, condition) {
+    if (condition === "") {
+      return {
+        matchWhenEmpty: true,
+        fn: (str) => str === "",
+      };
+    }
+    if (!condition) {
+      throw this.error(
+        path,
+        condition,
+        "Expected condition but got falsy value"
+      );
+    }
+    if (typeof condition === "string") {
+      return {
+        matchWhenEmpty: condition.length === 0,
+        fn: (str) => typeof str === "string" && str.startsWith(condition),
+      };
+    }
+    if (typeof condition === "function") {
+      try {
+        return {
+          matchWhenEmpty: condition(""),
+          fn: condition,
+        };
+      } catch (_err) {
+        throw this.error(
+          path,
+          condition,
+          "Evaluation of condition function threw error"
+        );
+      }
+    }
+    if (condition instanceof RegExp) {
+      return {
+        matchWhenEmpty: condition.test(""),
+        fn: (v) => typeof v === "string" && condition.test(v),
+      };
+    }
+    if (Array.isArray(condition)) {
+      const items = condition.map((c, i) =>
+        this.compileCondition(`${path}[${i}]`, c)
+      );
+      return this.combineConditionsOr(items);
+    }
+
+    if (typeof condition !== "object") {
+      throw this.error(
+        path,
+        condition,
+        `Unexpected ${typeof condition} when condition was expected`
+      );
+    }
+
+    const conditions = [];
+    for (const key of Object.keys(condition)) {
+      const value = condition[key];
+      switch (key) {
+        case "or":
+          if (value) {
+            if (!Array.isArray(value)) {
+              throw this.error(
+                `${path}.or`,
+                condition.or,
+                "Expected array of conditions"
+              );
+            }
+            conditions.push(this.compileCondition(`${path}.or`, value));
+          }
+          break;
+        case "and":
+          if (value) {
+            if (!Array.isArray(value)) {
+              throw this.error(
+                `${path}.and`,
+                condition.and,
+                "Expected array of conditions"
+              );
+            }
+            let i = 0;
+            for (const item of value) {
+              conditions.push(this.compileCondition(`${path}.and[${i}]`, item));
+              i++;
+            }
+          }
+          break;
+        case "not":
+          if (value) {
+            const matcher = this.compileCondition(`${path}.not`, value);
+            const fn = matcher.fn;
+            conditions.push({
+              matchWhenEmpty: !matcher.matchWhenEmpty,
+              fn: /** @type {RuleConditionFunction} */ ((v) => !fn(v)),
+            });
+          }
+          break;
+        default:
+          throw this.error(
+            `${path}.${key}`,
+            condition[key],
+            `Unexpected property ${key} in condition`
+          );
+      }
+    }
+    if (conditions.length === 0) {
+      throw this.error(
+        path,
+        condition,
+        "Expected condition, but got empty thing"
+      );
+    }
+    return this.combineConditionsAnd(conditions);
+  }
+
+  /**
+   * 合并为 “任意一个满足” 的条件
+   * @param {Condition[]} conditions some conditions
+   * @returns {Condition} merged condition
+   */
+  combineConditionsOr(conditions) {
+    if (conditions.length === 0) {
+      return {
+        matchWhenEmpty: false,
+        fn: () => false,
+      };
+    } else if (conditions.length === 1) {
+      return conditions[0];
+    }
+    return {
+      matchWhenEmpty: conditions.some((c) => c.matchWhenEmpty),
+      fn: (v) => conditions.some((c) => c.fn(v)),
+    };
+  }
+
+  /**
+   * 合并为 “全部满足” 的条件
+   * @param {Condition[]} conditions some conditions
+   * @returns {Condition} merged condition
+   */
+  combineConditionsAnd(conditions) {
+    if (conditions.length === 0) {
+      return {
+        matchWhenEmpty: false,
+        fn: () => false,
+      };
+    } else if (conditions.length === 1) {
+      return conditions[0];
+    }
+    return {
+      matchWhenEmpty: conditions.every((c) => c.matchWhenEmpty),
+      fn: (v) => conditions.every((c) => c.fn(v)),
+    };
+  }
+
+  /**
+   * 创建编译规则失败的错误，信息中包含出错的位置，例如 ruleSet[1].rules[0].test
+   * @param {string} path current path
+   * @param {any} value value at the error location
+   * @param {string} message message explaining the problem
+   * @returns {Error} an error object
+   */
+  error(path, value, message) {
+    return new Error(
+      `Compiling RuleSet failed: ${message} (at ${path}: ${value})`
+    );
+  }
+}
+
+module.exports = RuleSetCompiler;
@@ -0,0 +1,53 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { URL, fileURLToPath } = require("url");
+const { NormalModule } = require("..");
+
+/**
+ * 处理 file: 协议的资源
+ *
+ * resolveForScheme 把 file:///path/to/a.js?query 转换成普通的文件路径，
+ * readResource.for(undefined) 负责读取没有 scheme 的普通文件，同时把它记录为模块的文件依赖
+ */
+class FileUriPlugin {
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(
+      "FileUriPlugin",
+      (compilation, { normalModuleFactory }) => {
+        normalModuleFactory.hooks.resolveForScheme
+          .for("file")
+          .tap("FileUriPlugin", (resourceData) => {
+            const url = new URL(resourceData.resource);
+            const path = fileURLToPath(url);
+            const query = url.search;
+            const fragment = url.hash;
+            resourceData.path = path;
+            resourceData.query = query;
+            resourceData.fragment = fragment;
+            resourceData.resource = path + query + fragment;
+            return true;
+          });
+        const hooks = NormalModule.getCompilationHooks(compilation);
+        hooks.readResource
+          .for(undefined)
+          .tapAsync("FileUriPlugin", (loaderContext, callback) => {
+            const { resourcePath } = loaderContext;
+            loaderContext.addDependency(resourcePath);
+            loaderContext.fs.readFile(resourcePath, callback);
+          });
+      }
+    );
+  }
+}
+
+module.exports = FileUriPlugin;
@@ -0,0 +1,283 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+const {
+  brotliCompress,
+  brotliDecompress,
+  gzip,
+  gunzip,
+  constants: zConstants,
+} = require("zlib");
+const SerializerMiddleware = require("./SerializerMiddleware");
+
+/*
+CompressionMiddleware 位于 BinaryMiddleware 和 FileMiddleware 之间，
+把每段连续的 Buffer（两个 lazy 指针之间的内容）压缩成一个 Buffer，前面加上 8 字节的头
+
+Format:
+
+Section -> Header Buffer
+
+Header -> Magic Method
+Magic -> u32 ("wpcz" in little-endian)
+Method -> u32 (0: none, 1: gzip, 2: brotli)
+
+读取时根据头部记录的 Method 解压，和当前 cache.compression 配置无关，
+所以切换配置后旧的 pack 仍然可以读取；没有头部的段按未压缩处理
+*/
+
+// 小端序的 "wpcz"
+const MAGIC = 0x7a637077;
+const HEADER_SIZE = 8;
+
+const METHOD_NONE = 0;
+const METHOD_GZIP = 1;
+const METHOD_BROTLI = 2;
+
+/** @type {Record<string, number>} */
+const METHODS = {
+  gzip: METHOD_GZIP,
+  brotli: METHOD_BROTLI,
+};
+
+/**
+ * @param {number} method compression method
+ * @returns {Buffer} header
+ */
+const createHeader = (method) => {
+  const header = Buffer.allocUnsafe(HEADER_SIZE);
+  header.writeUInt32LE(MAGIC, 0);
+  header.writeUInt32LE(method, 4);
+  return header;
+};
+
+/**
+ * 读取段的头部，没有头部时返回 undefined
+ * @param {Buffer[]} buffers buffers of the section
+ * @returns {number | undefined} compression method
+ */
+const readMethod = (buffers) => {
+  let first = buffers[0];
+  if (first.length < HEADER_SIZE) {
+    first = Buffer.concat(buffers);
+    if (first.length < HEADER_SIZE) return;
+  }
+  if (first.readUInt32LE(0) !== MAGIC) return;
+  return first.readUInt32LE(4);
+};
+
+/**
+ * 去掉段开头的 n 个字节
+ * @param {Buffer[]} buffers buffers
+ * @param {number} n number of bytes
+ * @returns {Buffer[]} remaining buffers
+ */
+const skipBytes = (buffers, n) => {
+  const result = [];
+  for (const buf of buffers) {
+    if (n >= buf.length) {
+      n -= buf.length;
+    } else {
+      result.push(n > 0 ? buf.slice(n) : buf);
+      n = 0;
+    }
+  }
+  return result;
+};
+
+/**
+ * @param {Buffer} content content
+ * @param {number} method compression method
+ * @returns {Promise<Buffer>} compressed content
+ */
+const compress = (content, method) =>
+  new Promise((resolve, reject) => {
+    /**
+     * @param {Error | null} err error
+     * @param {Buffer} result result
+     */
+    const callback = (err, result) => {
+      if (err) return reject(err);
+      resolve(result);
+    };
+    if (method === METHOD_GZIP) {
+      gzip(content, { level: zConstants.Z_BEST_SPEED }, callback);
+    } else {
+      brotliCompress(
+        content,
+        {
+          params: {
+            [zConstants.BROTLI_PARAM_MODE]: zConstants.BROTLI_MODE_TEXT,
+            [zConstants.BROTLI_PARAM_QUALITY]: 2,
+            [zConstants.BROTLI_PARAM_DISABLE_LITERAL_CONTEXT_MODELING]: true,
+            [zConstants.BROTLI_PARAM_SIZE_HINT]: content.length,
+          },
+        },
+        callback
+      );
+    }
+  });
+
+/**
+ * @param {Buffer} content content
+ * @param {number} method compression method
+ * @returns {Promise<Buffer>} decompressed content
+ */
+const decompress = (content, method) =>
+  new Promise((resolve, reject) => {
+    /**
+     * @param {Error | null} err error
+     * @param {Buffer} result result
+     */
+    const callback = (err, result) => {
+      if (err) return reject(err);
+      resolve(result);
+    };
+    if (method === METHOD_GZIP) {
+      gunzip(content, callback);
+    } else if (method === METHOD_BROTLI) {
+      brotliDecompress(content, callback);
+    } else {
+      reject(new Error(`Unknown compression method ${method} in cache file`));
+    }
+  });
+
+/**
+ * @typedef {object} CompressionStats
+ * @property {number} rawSize 压缩前的字节数
+ * @property {number} compressedSize 压缩后的字节数
+ */
+
+/**
+ * @typedef {BufferSerializableType[]} DeserializedType
+ * @typedef {BufferSerializableType[]} SerializedType
+ * @extends {SerializerMiddleware<DeserializedType, SerializedType>}
+ */
+class CompressionMiddleware extends SerializerMiddleware {
+  /**
+   * @param {false | "gzip" | "brotli"} compression compression type, false to write uncompressed sections
+   */
+  constructor(compression) {
+    super();
+    if (compression && !(compression in METHODS)) {
+      throw new Error(`Unknown cache compression ${compression}`);
+    }
+    this.method = compression ? METHODS[compression] : METHOD_NONE;
+  }
+
+  /**
+   * context.compressionStats 存在时会累加本次写入的字节数
+   * @param {DeserializedType} data data
+   * @param {object} context context object
+   * @returns {SerializedType|Promise<SerializedType>} serialized data
+   */
+  serialize(data, context) {
+    /** @type {(Buffer[] | function(): any)[]} */
+    const sections = [];
+    /** @type {Buffer[] | undefined} */
+    let lastBuffers;
+    for (const item of data) {
+      if (typeof item === "function") {
+        lastBuffers = undefined;
+        const serializedData =
+          SerializerMiddleware.getLazySerializedValue(item);
+        if (typeof serializedData === "function") {
+          // 已经处理过的 lazy 值，直接使用之前的结果
+          sections.push(serializedData);
+        } else {
+          sections.push(
+            SerializerMiddleware.serializeLazy(item, (data) =>
+              this.serialize(data, context)
+            )
+          );
+        }
+      } else if (lastBuffers) {
+        lastBuffers.push(item);
+      } else {
+        lastBuffers = [item];
+        sections.push(lastBuffers);
+      }
+    }
+    /** @type {CompressionStats | undefined} */
+    const stats = /** @type {any} */ (context).compressionStats;
+    const header = createHeader(this.method);
+    if (this.method === METHOD_NONE) {
+      /** @type {SerializedType} */
+      const result = [];
+      for (const section of sections) {
+        if (typeof section === "function") {
+          result.push(section);
+          continue;
+        }
+        result.push(header);
+        for (const buf of section) {
+          result.push(buf);
+          if (stats) {
+            stats.rawSize += buf.length;
+            stats.compressedSize += buf.length;
+          }
+        }
+      }
+      return result;
+    }
+    return Promise.all(
+      sections.map((section) => {
+        if (typeof section === "function") return [section];
+        const content = Buffer.concat(section);
+        return compress(content, this.method).then((compressed) => {
+          if (stats) {
+            stats.rawSize += content.length;
+            stats.compressedSize += compressed.length;
+          }
+          return [header, compressed];
+        });
+      })
+    ).then((results) => results.flat());
+  }
+
+  /**
+   * @param {SerializedType} data data
+   * @param {object} context context object
+   * @returns {DeserializedType|Promise<DeserializedType>} deserialized data
+   */
+  deserialize(data, context) {
+    /** @type {(Buffer[] | function(): any)[]} */
+    const sections = [];
+    /** @type {Buffer[] | undefined} */
+    let lastBuffers;
+    for (const item of data) {
+      if (typeof item === "function") {
+        lastBuffers = undefined;
+        sections.push(
+          SerializerMiddleware.deserializeLazy(item, (data) =>
+            this.deserialize(data, context)
+          )
+        );
+      } else if (lastBuffers) {
+        lastBuffers.push(/** @type {Buffer} */ (item));
+      } else {
+        lastBuffers = [/** @type {Buffer} */ (item)];
+        sections.push(lastBuffers);
+      }
+    }
+    let needsDecompression = false;
+    /** @type {(Buffer[] | function(): any | Promise<Buffer>)[]} */
+    const results = sections.map((section) => {
+      if (typeof section === "function") return section;
+      const method = readMethod(section);
+      if (method === undefined) return section;
+      const content = skipBytes(section, HEADER_SIZE);
+      if (method === METHOD_NONE) return content;
+      needsDecompression = true;
+      return decompress(Buffer.concat(content), method);
+    });
+    if (!needsDecompression)
+      return /** @type {DeserializedType} */ (results.flat());
+    return Promise.all(results).then((results) => results.flat());
+  }
+}
+
+module.exports = CompressionMiddleware;
@@ -0,0 +1,28 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+/**
+ * Date 的序列化器：写入时间戳
+ */
+class DateObjectSerializer {
+  /**
+   * @param {Date} obj date
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(obj, context) {
+    context.write(obj.getTime());
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   * @returns {Date} date
+   */
+  deserialize(context) {
+    return new Date(context.read());
+  }
+}
+
+module.exports = DateObjectSerializer;
@@ -1,21 +1,225 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+const createHash = require("../util/createHash");
+const ArraySerializer = require("./ArraySerializer");
+const DateObjectSerializer = require("./DateObjectSerializer");
+const ErrorObjectSerializer = require("./ErrorObjectSerializer");
+const MapObjectSerializer = require("./MapObjectSerializer");
+const NullPrototypeObjectSerializer = require("./NullPrototypeObjectSerializer");
+const PlainObjectSerializer = require("./PlainObjectSerializer");
+const RegExpObjectSerializer = require("./RegExpObjectSerializer");
 const SerializerMiddleware = require("./SerializerMiddleware");
+const SetObjectSerializer = require("./SetObjectSerializer");
+
+/** @typedef {new (...params: any[]) => any} Constructor */
+
+/*
+
+ObjectMiddleware 把对象图拍平成由原始值组成的数组，交给 BinaryMiddleware 写成二进制
+对象用 ESCAPE 包裹，开头记录构造函数对应的 request 和 name，
+已经出现过的对象、字符串和 Buffer 只写一个相对偏移量（引用）
+
+Format:
+
+File -> Section*
+Section -> ObjectSection | ReferenceSection | EscapeSection | OtherSection
+
+ObjectSection -> ESCAPE (
+	number:relativeOffset (number > 0) |
+	string:request (string|null):export
+) Section:value* ESCAPE ESCAPE_END_OBJECT
+ReferenceSection -> ESCAPE number:relativeOffset (number < 0)
+EscapeSection -> ESCAPE ESCAPE_ESCAPE_VALUE (escaped value ESCAPE)
+EscapeSection -> ESCAPE ESCAPE_UNDEFINED (escaped value ESCAPE)
+OtherSection -> any (except ESCAPE)
+
+为什么用 null 作为转义值？
+BinaryMiddleware 可以把连续的多个 null 合并，这样非常高效，理论上用任何值都可以
+
+*/
 
 /**
- * 表示一个不可序列化的常量对象
+ * @typedef {object} ObjectSerializerContext
+ * @property {function(any): void} write
+ * @property {(function(any): void)=} writeLazy
+ * @property {(function(any, object=): (() => Promise<any> | any))=} writeSeparate
+ * @property {function(any): void} setCircularReference
  */
-const NOT_SERIALIZABLE = {};
+
+/**
+ * @typedef {object} ObjectDeserializerContext
+ * @property {function(): any} read
+ * @property {function(any): void} setCircularReference
+ */
+
+/**
+ * @typedef {object} ObjectSerializer
+ * @property {function(any, ObjectSerializerContext): void} serialize
+ * @property {function(ObjectDeserializerContext): any} deserialize
+ */
+
+/**
+ * 把 Set 截断到指定大小，用于 rollback
+ * @template T
+ * @param {Set<T>} set set
+ * @param {number} size count of items to keep
+ */
+const setSetSize = (set, size) => {
+  let i = 0;
+  for (const item of set) {
+    if (i++ >= size) {
+      set.delete(item);
+    }
+  }
+};
+
+/**
+ * 把 Map 截断到指定大小，用于 rollback
+ * @template K, X
+ * @param {Map<K, X>} map map
+ * @param {number} size count of items to keep
+ */
+const setMapSize = (map, size) => {
+  let i = 0;
+  for (const item of map.keys()) {
+    if (i++ >= size) {
+      map.delete(item);
+    }
+  }
+};
+
+/**
+ * @param {Buffer} buffer buffer
+ * @param {string | Hash} hashFunction hash function to use
+ * @returns {string} hash
+ */
+const toHash = (buffer, hashFunction) => {
+  const hash = createHash(hashFunction);
+  hash.update(buffer);
+  return /** @type {string} */ (hash.digest("latin1"));
+};
+
+const ESCAPE = null;
+const ESCAPE_ESCAPE_VALUE = null;
+const ESCAPE_END_OBJECT = true;
+const ESCAPE_UNDEFINED = false;
+
+// 数据格式的版本号，反序列化时版本不一致直接报错
+const CURRENT_VERSION = 2;
 
 /**
  * 存储构造函数和对应的序列化器配置对象
+ * @type {Map<Constructor, { request?: string, name?: string | number | null, serializer?: ObjectSerializer }>}
  */
 const serializers = new Map();
-
 /**
- * 将字符串 key（由 request 和 name 拼接而成）映射到 serializer，便于反向查找
+ * 将字符串 key（由 request 和 name 拼接而成）映射到 serializer，便于反序列化时反向查找
+ * @type {Map<string | number, ObjectSerializer>}
  */
 const serializerInversed = new Map();
 
+// 反序列化时已经 require 过的 request
+/** @type {Set<string>} */
+const loadedRequests = new Set();
+
+/**
+ * 表示一个不可序列化的常量对象
+ */
+const NOT_SERIALIZABLE = {};
+
+// JS 内置类型的序列化器，request 为空字符串，name 为序号
+
+const jsTypes = new Map();
+jsTypes.set(Object, new PlainObjectSerializer());
+jsTypes.set(Array, new ArraySerializer());
+jsTypes.set(null, new NullPrototypeObjectSerializer());
+jsTypes.set(Map, new MapObjectSerializer());
+jsTypes.set(Set, new SetObjectSerializer());
+jsTypes.set(Date, new DateObjectSerializer());
+jsTypes.set(RegExp, new RegExpObjectSerializer());
+jsTypes.set(Error, new ErrorObjectSerializer(Error));
+jsTypes.set(EvalError, new ErrorObjectSerializer(EvalError));
+jsTypes.set(RangeError, new ErrorObjectSerializer(RangeError));
+jsTypes.set(ReferenceError, new ErrorObjectSerializer(ReferenceError));
+jsTypes.set(SyntaxError, new ErrorObjectSerializer(SyntaxError));
+jsTypes.set(TypeError, new ErrorObjectSerializer(TypeError));
+
+// 在沙箱环境（例如 jest）中，这里会跳出沙箱，把真正的 Object、Array 等类型也注册上
+// 这些类型在其他场景下也可能出现，例如 postMessage 中使用结构化克隆得到的对象
+// eslint-disable-next-line n/exports-style
+if (exports.constructor !== Object) {
+  // eslint-disable-next-line jsdoc/check-types, n/exports-style
+  const Obj = /** @type {typeof Object} */ (exports.constructor);
+  const Fn = /** @type {typeof Function} */ (Obj.constructor);
+  for (const [type, config] of Array.from(jsTypes)) {
+    if (type) {
+      const Type = new Fn(`return ${type.name};`)();
+      jsTypes.set(Type, config);
+    }
+  }
+}
+
+{
+  let i = 1;
+  for (const [type, serializer] of jsTypes) {
+    serializers.set(type, {
+      request: "",
+      name: i++,
+      serializer,
+    });
+  }
+}
+
+for (const { request, name, serializer } of serializers.values()) {
+  serializerInversed.set(
+    `${request}/${name}`,
+    /** @type {ObjectSerializer} */ (serializer)
+  );
+}
+
+// 反序列化时按 request 加载序列化器的 loader，例如 webpack/lib/ 开头的 request 从 internalSerializables 加载
+/** @type {Map<RegExp, (request: string) => boolean>} */
+const loaders = new Map();
+
+/**
+ * @typedef {ComplexSerializableType[]} DeserializedType
+ * @typedef {PrimitiveSerializableType[]} SerializedType
+ * @extends {SerializerMiddleware<DeserializedType, SerializedType>}
+ */
 class ObjectMiddleware extends SerializerMiddleware {
+  /**
+   * extendContext 用来扩展序列化上下文，例如添加 writeLazy、writeSeparate
+   * @param {function(any): void} extendContext context extensions
+   * @param {string | Hash} hashFunction hash function to use
+   */
+  constructor(extendContext, hashFunction = "md4") {
+    super();
+    this.extendContext = extendContext;
+    this._hashFunction = hashFunction;
+  }
+
+  /**
+   * 注册 loader，反序列化遇到还没有注册序列化器的 request 时，先尝试用 loader 加载
+   * @param {RegExp} regExp RegExp for which the request is tested
+   * @param {function(string): boolean} loader loader to load the request, returns true when successful
+   * @returns {void}
+   */
+  static registerLoader(regExp, loader) {
+    loaders.set(regExp, loader);
+  }
+
+  /**
+   * 注册构造函数的序列化器，反序列化时会 require(request) 确保序列化器已经注册
+   * @param {Constructor} Constructor the constructor
+   * @param {string} request the request which will be required when deserializing
+   * @param {string | null} name the name to make multiple serializer unique when sharing a request
+   * @param {ObjectSerializer} serializer the serializer
+   * @returns {void}
+   */
   static register(Constructor, request, name, serializer) {
     // 构建唯一标识
     const key = `${request}/${name}`;
@@ -43,6 +247,565 @@ class ObjectMiddleware extends SerializerMiddleware {
     // 将 key 直接关联到 serializer，便于快速通过 key 查找序列化器
     serializerInversed.set(key, serializer);
   }
+
+  /**
+   * 标记构造函数不可序列化，序列化到该类型的对象时会抛出 NOT_SERIALIZABLE
+   * @param {Constructor} Constructor the constructor
+   * @returns {void}
+   */
+  static registerNotSerializable(Constructor) {
+    if (serializers.has(Constructor)) {
+      throw new Error(
+        `ObjectMiddleware.registerNotSerializable: serializer for ${Constructor.name} is already registered`
+      );
+    }
+
+    serializers.set(Constructor, NOT_SERIALIZABLE);
+  }
+
+  /**
+   * 根据对象的构造函数查找序列化器配置
+   * @param {any} object object
+   * @returns {{ request?: string, name?: string | number | null, serializer?: ObjectSerializer }} serializer config
+   */
+  static getSerializerFor(object) {
+    const proto = Object.getPrototypeOf(object);
+    let c;
+    if (proto === null) {
+      // 通过 Object.create(null) 创建的对象
+      c = null;
+    } else {
+      c = proto.constructor;
+      if (!c) {
+        throw new Error(
+          "Serialization of objects with prototype without valid constructor property not possible"
+        );
+      }
+    }
+    const config = serializers.get(c);
+
+    if (!config) throw new Error(`No serializer registered for ${c.name}`);
+    if (config === NOT_SERIALIZABLE) throw NOT_SERIALIZABLE;
+
+    return config;
+  }
+
+  /**
+   * 根据 request 和 name 查找序列化器，找不到时报错
+   * @param {string} request request
+   * @param {TODO} name name
+   * @returns {ObjectSerializer} serializer
+   */
+  static getDeserializerFor(request, name) {
+    const key = `${request}/${name}`;
+    const serializer = serializerInversed.get(key);
+
+    if (serializer === undefined) {
+      throw new Error(`No deserializer registered for ${key}`);
+    }
+
+    return serializer;
+  }
+
+  /**
+   * @param {string} request request
+   * @param {string} name name
+   * @returns {ObjectSerializer | undefined} serializer
+   */
+  static _getDeserializerForWithoutError(request, name) {
+    const key = `${request}/${name}`;
+    const serializer = serializerInversed.get(key);
+    return serializer;
+  }
+
+  /**
+   * 序列化：把对象图转换成原始值数组
+   * 遇到 NOT_SERIALIZABLE 时返回 null，Serializer 会停止后续中间件
+   * @param {DeserializedType} data data
+   * @param {object} context context object
+   * @returns {SerializedType|Promise<SerializedType>} serialized data
+   */
+  serialize(data, context) {
+    /** @type {any[]} */
+    let result = [CURRENT_VERSION];
+    let currentPos = 0;
+    // 可以被引用的值（对象、字符串、Buffer）到其位置的映射
+    let referenceable = new Map();
+    const addReferenceable = (item) => {
+      referenceable.set(item, currentPos++);
+    };
+    // 按长度分组对 Buffer 去重：少量时直接比较内容，数量多了之后改为比较哈希
+    let bufferDedupeMap = new Map();
+    /**
+     * @param {Buffer} buf buffer
+     * @returns {Buffer} deduped buffer
+     */
+    const dedupeBuffer = (buf) => {
+      const len = buf.length;
+      const entry = bufferDedupeMap.get(len);
+      if (entry === undefined) {
+        bufferDedupeMap.set(len, buf);
+        return buf;
+      }
+      if (Buffer.isBuffer(entry)) {
+        if (len < 32) {
+          if (buf.equals(entry)) {
+            return entry;
+          }
+          bufferDedupeMap.set(len, [entry, buf]);
+          return buf;
+        }
+        const hash = toHash(entry, this._hashFunction);
+        const newMap = new Map();
+        newMap.set(hash, entry);
+        bufferDedupeMap.set(len, newMap);
+        const hashBuf = toHash(buf, this._hashFunction);
+        if (hash === hashBuf) {
+          return entry;
+        }
+        return buf;
+      } else if (Array.isArray(entry)) {
+        if (entry.length < 16) {
+          for (const item of entry) {
+            if (buf.equals(item)) {
+              return item;
+            }
+          }
+          entry.push(buf);
+          return buf;
+        }
+        const newMap = new Map();
+        const hash = toHash(buf, this._hashFunction);
+        let found;
+        for (const item of entry) {
+          const itemHash = toHash(item, this._hashFunction);
+          newMap.set(itemHash, item);
+          if (found === undefined && itemHash === hash) found = item;
+        }
+        bufferDedupeMap.set(len, newMap);
+        if (found === undefined) {
+          newMap.set(hash, buf);
+          return buf;
+        }
+        return found;
+      }
+      const hash = toHash(buf, this._hashFunction);
+      const item = entry.get(hash);
+      if (item !== undefined) {
+        return item;
+      }
+      entry.set(hash, buf);
+      return buf;
+    };
+    // 已经写过的类型（request/name），再次出现时只写相对偏移量
+    let currentPosTypeLookup = 0;
+    let objectTypeLookup = new Map();
+    // 正在序列化的对象，用于检测循环引用
+    const cycleStack = new Set();
+    // 出错时把当前正在序列化的对象路径拼接到错误信息中，便于定位是哪个类出了问题
+    const stackToString = (item) => {
+      const arr = Array.from(cycleStack);
+      arr.push(item);
+      return arr
+        .map((item) => {
+          if (typeof item === "string") {
+            if (item.length > 100) {
+              return `String ${JSON.stringify(item.slice(0, 100)).slice(
+                0,
+                -1
+              )}..."`;
+            }
+            return `String ${JSON.stringify(item)}`;
+          }
+          try {
+            const { request, name } = ObjectMiddleware.getSerializerFor(item);
+            if (request) {
+              return `${request}${name ? `.${name}` : ""}`;
+            }
+          } catch (_err) {
+            // 忽略，使用下面的兜底逻辑
+          }
+          if (typeof item === "object" && item !== null) {
+            if (item.constructor) {
+              if (item.constructor === Object)
+                return `Object { ${Object.keys(item).join(", ")} }`;
+              if (item.constructor === Map) return `Map { ${item.size} items }`;
+              if (item.constructor === Array)
+                return `Array { ${item.length} items }`;
+              if (item.constructor === Set) return `Set { ${item.size} items }`;
+              if (item.constructor === RegExp) return item.toString();
+              return `${item.constructor.name}`;
+            }
+            return `Object [null prototype] { ${Object.keys(item).join(
+              ", "
+            )} }`;
+          }
+          if (typeof item === "bigint") {
+            return `BigInt ${item}n`;
+          }
+          try {
+            return `${item}`;
+          } catch (err) {
+            return `(${err.message})`;
+          }
+        })
+        .join(" -> ");
+    };
+    /** @type {WeakSet<Error>} */
+    let hasDebugInfoAttached;
+    let ctx = {
+      write(value, key) {
+        try {
+          process(value);
+        } catch (err) {
+          if (err !== NOT_SERIALIZABLE) {
+            if (hasDebugInfoAttached === undefined)
+              hasDebugInfoAttached = new WeakSet();
+            if (!hasDebugInfoAttached.has(/** @type {Error} */ (err))) {
+              /** @type {Error} */
+              (err).message += `\nwhile serializing ${stackToString(value)}`;
+              hasDebugInfoAttached.add(/** @type {Error} */ (err));
+            }
+          }
+          throw err;
+        }
+      },
+      setCircularReference(ref) {
+        addReferenceable(ref);
+      },
+      // snapshot 和 rollback 用于序列化失败时回退到之前的状态，例如跳过不可序列化的缓存项
+      snapshot() {
+        return {
+          length: result.length,
+          cycleStackSize: cycleStack.size,
+          referenceableSize: referenceable.size,
+          currentPos,
+          objectTypeLookupSize: objectTypeLookup.size,
+          currentPosTypeLookup,
+        };
+      },
+      rollback(snapshot) {
+        result.length = snapshot.length;
+        setSetSize(cycleStack, snapshot.cycleStackSize);
+        setMapSize(referenceable, snapshot.referenceableSize);
+        currentPos = snapshot.currentPos;
+        setMapSize(objectTypeLookup, snapshot.objectTypeLookupSize);
+        currentPosTypeLookup = snapshot.currentPosTypeLookup;
+      },
+      ...context,
+    };
+    this.extendContext(ctx);
+    const process = (item) => {
+      if (Buffer.isBuffer(item)) {
+        // 已经写过时只写引用
+        const ref = referenceable.get(item);
+        if (ref !== undefined) {
+          result.push(ESCAPE, ref - currentPos);
+          return;
+        }
+        const alreadyUsedBuffer = dedupeBuffer(item);
+        if (alreadyUsedBuffer !== item) {
+          const ref = referenceable.get(alreadyUsedBuffer);
+          if (ref !== undefined) {
+            referenceable.set(item, ref);
+            result.push(ESCAPE, ref - currentPos);
+            return;
+          }
+          item = alreadyUsedBuffer;
+        }
+        addReferenceable(item);
+
+        result.push(item);
+      } else if (item === ESCAPE) {
+        result.push(ESCAPE, ESCAPE_ESCAPE_VALUE);
+      } else if (
+        typeof item === "object"
+        // ESCAPE 就是 null，前面已经判断过，这里不需要再判断 null
+      ) {
+        // 已经写过时只写引用
+        const ref = referenceable.get(item);
+        if (ref !== undefined) {
+          result.push(ESCAPE, ref - currentPos);
+          return;
+        }
+
+        if (cycleStack.has(item)) {
+          throw new Error(
+            "This is a circular references. To serialize circular references use 'setCircularReference' somewhere in the circle during serialize and deserialize."
+          );
+        }
+
+        const { request, name, serializer } =
+          ObjectMiddleware.getSerializerFor(item);
+        const key = `${request}/${name}`;
+        const lastIndex = objectTypeLookup.get(key);
+
+        if (lastIndex === undefined) {
+          objectTypeLookup.set(key, currentPosTypeLookup++);
+
+          result.push(ESCAPE, request, name);
+        } else {
+          result.push(ESCAPE, currentPosTypeLookup - lastIndex);
+        }
+
+        cycleStack.add(item);
+
+        try {
+          serializer.serialize(item, ctx);
+        } finally {
+          cycleStack.delete(item);
+        }
+
+        result.push(ESCAPE, ESCAPE_END_OBJECT);
+
+        addReferenceable(item);
+      } else if (typeof item === "string") {
+        if (item.length > 1) {
+          // 短字符串直接写比写引用更短（每个空字符串可以节省 1 个字节）
+          // 已经写过时只写引用
+          const ref = referenceable.get(item);
+          if (ref !== undefined) {
+            result.push(ESCAPE, ref - currentPos);
+            return;
+          }
+          addReferenceable(item);
+        }
+
+        if (item.length > 102400 && context.logger) {
+          context.logger.warn(
+            `Serializing big strings (${Math.round(
+              item.length / 1024
+            )}kiB) impacts deserialization performance (consider using Buffer instead and decode when needed)`
+          );
+        }
+
+        result.push(item);
+      } else if (typeof item === "function") {
+        // 函数只能是 lazy 值，延迟到需要时再序列化
+        if (!SerializerMiddleware.isLazy(item))
+          throw new Error(`Unexpected function ${item}`);
+        /** @type {SerializedType} */
+        const serializedData =
+          SerializerMiddleware.getLazySerializedValue(item);
+        if (serializedData !== undefined) {
+          if (typeof serializedData === "function") {
+            result.push(serializedData);
+          } else {
+            throw new Error("Not implemented");
+          }
+        } else if (SerializerMiddleware.isLazy(item, this)) {
+          throw new Error("Not implemented");
+        } else {
+          const data = SerializerMiddleware.serializeLazy(item, (data) =>
+            this.serialize([data], context)
+          );
+          SerializerMiddleware.setLazySerializedValue(item, data);
+          result.push(data);
+        }
+      } else if (item === undefined) {
+        result.push(ESCAPE, ESCAPE_UNDEFINED);
+      } else {
+        result.push(item);
+      }
+    };
+
+    try {
+      for (const item of data) {
+        process(item);
+      }
+      return result;
+    } catch (err) {
+      if (err === NOT_SERIALIZABLE) return null;
+
+      throw err;
+    } finally {
+      // 释放这些引用，避免内存泄漏
+      // v8 针对 ctx.write 优化生成的代码会通过内联缓存保留引用，
+      // 例如 Dependency.prototype.serialize -(IC)-> ctx.write
+      data =
+        result =
+        referenceable =
+        bufferDedupeMap =
+        objectTypeLookup =
+        ctx =
+          /** @type {EXPECTED_ANY} */
+          (undefined);
+    }
+  }
+
+  /**
+   * 反序列化：按照序列化时的顺序读取原始值，还原出对象图
+   * @param {SerializedType} data data
+   * @param {object} context context object
+   * @returns {DeserializedType|Promise<DeserializedType>} deserialized data
+   */
+  deserialize(data, context) {
+    let currentDataPos = 0;
+    const read = () => {
+      if (currentDataPos >= data.length)
+        throw new Error("Unexpected end of stream");
+
+      return data[currentDataPos++];
+    };
+
+    if (read() !== CURRENT_VERSION)
+      throw new Error("Version mismatch, serializer changed");
+
+    let currentPos = 0;
+    let referenceable = [];
+    const addReferenceable = (item) => {
+      referenceable.push(item);
+      currentPos++;
+    };
+    let currentPosTypeLookup = 0;
+    let objectTypeLookup = [];
+    let result = [];
+    let ctx = {
+      read() {
+        return decodeValue();
+      },
+      setCircularReference(ref) {
+        addReferenceable(ref);
+      },
+      ...context,
+    };
+    this.extendContext(ctx);
+    const decodeValue = () => {
+      const item = read();
+
+      if (item === ESCAPE) {
+        const nextItem = read();
+
+        if (nextItem === ESCAPE_ESCAPE_VALUE) {
+          return ESCAPE;
+        } else if (nextItem === ESCAPE_UNDEFINED) {
+          // 返回 undefined
+        } else if (nextItem === ESCAPE_END_OBJECT) {
+          throw new Error(
+            `Unexpected end of object at position ${currentDataPos - 1}`
+          );
+        } else {
+          const request = nextItem;
+          let serializer;
+
+          if (typeof request === "number") {
+            if (request < 0) {
+              // 相对引用
+              return referenceable[currentPos + request];
+            }
+            serializer = objectTypeLookup[currentPosTypeLookup - request];
+          } else {
+            if (typeof request !== "string") {
+              throw new Error(
+                `Unexpected type (${typeof request}) of request ` +
+                  `at position ${currentDataPos - 1}`
+              );
+            }
+            const name = /** @type {string} */ (read());
+
+            serializer = ObjectMiddleware._getDeserializerForWithoutError(
+              request,
+              name
+            );
+
+            // 序列化器还没有注册时，先通过 loader 或 require(request) 加载对应模块
+            if (serializer === undefined) {
+              if (request && !loadedRequests.has(request)) {
+                let loaded = false;
+                for (const [regExp, loader] of loaders) {
+                  if (regExp.test(request) && loader(request)) {
+                    loaded = true;
+                    break;
+                  }
+                }
+                if (!loaded) {
+                  require(request);
+                }
+
+                loadedRequests.add(request);
+              }
+
+              serializer = ObjectMiddleware.getDeserializerFor(request, name);
+            }
+
+            objectTypeLookup.push(serializer);
+            currentPosTypeLookup++;
+          }
+          try {
+            const item = serializer.deserialize(ctx);
+            const end1 = read();
+
+            if (end1 !== ESCAPE) {
+              throw new Error("Expected end of object");
+            }
+
+            const end2 = read();
+
+            if (end2 !== ESCAPE_END_OBJECT) {
+              throw new Error("Expected end of object");
+            }
+
+            addReferenceable(item);
+
+            return item;
+          } catch (err) {
+            // 只在出错时查找序列化器对应的名称，拼接到错误信息中
+            // 这里直接遍历，不为此额外维护一个 Map，以免影响正常情况下的性能
+            let serializerEntry;
+            for (const entry of serializers) {
+              if (entry[1].serializer === serializer) {
+                serializerEntry = entry;
+                break;
+              }
+            }
+            const name = !serializerEntry
+              ? "unknown"
+              : !serializerEntry[1].request
+                ? serializerEntry[0].name
+                : serializerEntry[1].name
+                  ? `${serializerEntry[1].request} ${serializerEntry[1].name}`
+                  : serializerEntry[1].request;
+            /** @type {Error} */
+            (err).message += `\n(during deserialization of ${name})`;
+            throw err;
+          }
+        }
+      } else if (typeof item === "string") {
+        if (item.length > 1) {
+          addReferenceable(item);
+        }
+
+        return item;
+      } else if (Buffer.isBuffer(item)) {
+        addReferenceable(item);
+
+        return item;
+      } else if (typeof item === "function") {
+        return SerializerMiddleware.deserializeLazy(
+          item,
+          (data) => this.deserialize(data, context)[0]
+        );
+      } else {
+        return item;
+      }
+    };
+
+    try {
+      while (currentDataPos < data.length) {
+        result.push(decodeValue());
+      }
+      return result;
+    } finally {
+      // 释放这些引用，避免内存泄漏，原因同 serialize
+      result =
+        referenceable =
+        data =
+        objectTypeLookup =
+        ctx =
+          /** @type {EXPECTED_ANY} */
+          (undefined);
+    }
+  }
 }
 
 module.exports = ObjectMiddleware;
@@ -0,0 +1,120 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+/** @typedef {(arg0?: any) => void} CacheAssoc */
+
+// 以 context.write 为 key 缓存对象结构，同一次序列化中 key 相同的对象共用同一个 keys 数组，
+// 这样 ObjectMiddleware 只会写一次 keys，之后都是引用
+/**
+ * @template T
+ * @typedef {WeakMap<CacheAssoc, ObjectStructure<T>>}
+ */
+const cache = new WeakMap();
+
+/**
+ * 以 key 为路径的前缀树，叶子节点保存 keys 数组
+ * @template T
+ */
+class ObjectStructure {
+  constructor() {
+    this.keys = undefined;
+    this.children = undefined;
+  }
+
+  /**
+   * @param {keyof T[]} keys keys
+   * @returns {keyof T[]} keys
+   */
+  getKeys(keys) {
+    if (this.keys === undefined) this.keys = keys;
+    return this.keys;
+  }
+
+  /**
+   * @param {keyof T} key key
+   * @returns {ObjectStructure<T>} object structure
+   */
+  key(key) {
+    if (this.children === undefined) this.children = new Map();
+    const child = this.children.get(key);
+    if (child !== undefined) return child;
+    const newChild = new ObjectStructure();
+    this.children.set(key, newChild);
+    return newChild;
+  }
+}
+
+/**
+ * 获取与 keys 内容相同的缓存数组
+ * @template T
+ * @param {(keyof T)[]} keys keys
+ * @param {CacheAssoc} cacheAssoc cache assoc fn
+ * @returns {(keyof T)[]} keys
+ */
+const getCachedKeys = (keys, cacheAssoc) => {
+  let root = cache.get(cacheAssoc);
+  if (root === undefined) {
+    root = new ObjectStructure();
+    cache.set(cacheAssoc, root);
+  }
+  let current = root;
+  for (const key of keys) {
+    current = current.key(key);
+  }
+  return current.getKeys(keys);
+};
+
+/**
+ * 普通对象的序列化器：先写 keys（只有一个 key 时直接写 key，没有 key 时写 null），再依次写 value
+ */
+class PlainObjectSerializer {
+  /**
+   * @template {object} T
+   * @param {T} obj plain object
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(obj, context) {
+    const keys = /** @type {(keyof T)[]} */ (Object.keys(obj));
+    if (keys.length > 128) {
+      // key 这么多的对象不太可能与其他对象结构相同，不做缓存
+      context.write(keys);
+      for (const key of keys) {
+        context.write(obj[key]);
+      }
+    } else if (keys.length > 1) {
+      context.write(getCachedKeys(keys, context.write));
+      for (const key of keys) {
+        context.write(obj[key]);
+      }
+    } else if (keys.length === 1) {
+      const key = keys[0];
+      context.write(key);
+      context.write(obj[key]);
+    } else {
+      context.write(null);
+    }
+  }
+
+  /**
+   * @template {object} T
+   * @param {ObjectDeserializerContext} context context
+   * @returns {T} plain object
+   */
+  deserialize(context) {
+    const keys = context.read();
+    const obj = /** @type {T} */ ({});
+    if (Array.isArray(keys)) {
+      for (const key of keys) {
+        obj[/** @type {keyof T} */ (key)] = context.read();
+      }
+    } else if (keys !== null) {
+      obj[/** @type {keyof T} */ (keys)] = context.read();
+    }
+    return obj;
+  }
+}
+
+module.exports = PlainObjectSerializer;
@@ -0,0 +1,29 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+/**
+ * 正则表达式的序列化器：写入 source 和 flags
+ */
+class RegExpObjectSerializer {
+  /**
+   * @param {RegExp} obj regexp
+   * @param {ObjectSerializerContext} context context
+   */
+  serialize(obj, context) {
+    context.write(obj.source);
+    context.write(obj.flags);
+  }
+
+  /**
+   * @param {ObjectDeserializerContext} context context
+   * @returns {RegExp} regexp
+   */
+  deserialize(context) {
+    return new RegExp(context.read(), context.read());
+  }
+}
+
+module.exports = RegExpObjectSerializer;
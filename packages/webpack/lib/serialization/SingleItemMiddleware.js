@@ -0,0 +1,35 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+*/
+
+"use strict";
+
+const SerializerMiddleware = require("./SerializerMiddleware");
+
+/**
+ * 把单个值包装成数组，作为序列化管道的第一环，后面的中间件都以数组为输入
+ * @typedef {any} DeserializedType
+ * @typedef {any[]} SerializedType
+ * @extends {SerializerMiddleware<any, any[]>}
+ */
+class SingleItemMiddleware extends SerializerMiddleware {
+  /**
+   * @param {DeserializedType} data data
+   * @param {object} context context object
+   * @returns {SerializedType|Promise<SerializedType>} serialized data
+   */
+  serialize(data, context) {
+    return [data];
+  }
+
+  /**
+   * @param {SerializedType} data data
+   * @param {object} context context object
+   * @returns {DeserializedType|Promise<DeserializedType>} deserialized data
+   */
+  deserialize(data, context) {
+    return data[0];
+  }
+}
+
+module.exports = SingleItemMiddleware;
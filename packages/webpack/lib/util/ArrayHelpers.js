@@ -0,0 +1,46 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 浅比较两个数组的元素是否完全相同（顺序也要一致）
+ * @template T
+ * @param {ArrayLike<T>} a first array
+ * @param {ArrayLike<T>} b second array
+ * @returns {boolean} returns true if all the elements of passed arrays are strictly equal.
+ */
+module.exports.equals = (a, b) => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+};
+
+/**
+ * 根据 fn 的返回值把数组分成两组：[满足条件的, 不满足条件的]
+ * @template T
+ * @param {Array<T>} arr Array of values to be partitioned
+ * @param {(value: T) => boolean} fn Partition function which partitions based on truthiness of result.
+ * @returns {[Array<T>, Array<T>]} returns the values of `arr` partitioned into two new arrays based on fn predicate.
+ */
+module.exports.groupBy = (
+  // eslint-disable-next-line default-param-last
+  arr = [],
+  fn
+) =>
+  arr.reduce(
+    /**
+     * @param {[Array<T>, Array<T>]} groups An accumulator storing already partitioned values returned from previous call.
+     * @param {T} value The value of the current element
+     * @returns {[Array<T>, Array<T>]} returns an array of partitioned groups accumulator resulting from calling a predicate on the current value.
+     */
+    (groups, value) => {
+      groups[fn(value) ? 0 : 1].push(value);
+      return groups;
+    },
+    [[], []]
+  );
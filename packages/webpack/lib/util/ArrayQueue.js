@@ -0,0 +1,116 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 基于两个数组实现的先进先出队列
+ *
+ * 数组的 shift 在元素很多时开销较大（需要整体移动元素），
+ * 这里在出队时把 _list 整体反转到 _listReversed 中，之后用 pop 出队，均摊复杂度为 O(1)
+ *
+ * @template T
+ */
+class ArrayQueue {
+  /**
+   * @param {Iterable<T>=} items 初始元素
+   */
+  constructor(items) {
+    /**
+     * 入队的元素追加到这里
+     * @private
+     * @type {T[]}
+     */
+    this._list = items ? Array.from(items) : [];
+    /**
+     * 反转后的待出队元素，从尾部 pop 即为队头
+     * @private
+     * @type {T[]}
+     */
+    this._listReversed = [];
+  }
+
+  /**
+   * 队列中元素的数量
+   * @returns {number}
+   */
+  get length() {
+    return this._list.length + this._listReversed.length;
+  }
+
+  /**
+   * 清空队列
+   */
+  clear() {
+    this._list.length = 0;
+    this._listReversed.length = 0;
+  }
+
+  /**
+   * 将元素添加到队尾
+   * @param {T} item 要添加的元素
+   * @returns {void}
+   */
+  enqueue(item) {
+    this._list.push(item);
+  }
+
+  /**
+   * 取出并移除队头元素
+   * @returns {T | undefined} 队头元素，队列为空时返回 undefined
+   */
+  dequeue() {
+    if (this._listReversed.length === 0) {
+      if (this._list.length === 0) return;
+      if (this._list.length === 1) return this._list.pop();
+      // 元素较少时直接 shift，省去反转的开销
+      if (this._list.length < 16) return this._list.shift();
+      // 交换两个数组并反转，之后从 _listReversed 尾部出队
+      const temp = this._listReversed;
+      this._listReversed = this._list;
+      this._listReversed.reverse();
+      this._list = temp;
+    }
+    return this._listReversed.pop();
+  }
+
+  /**
+   * 查找并移除某个元素
+   * @param {T} item 要移除的元素
+   * @returns {void}
+   */
+  delete(item) {
+    const i = this._list.indexOf(item);
+    if (i >= 0) {
+      this._list.splice(i, 1);
+    } else {
+      const i = this._listReversed.indexOf(item);
+      if (i >= 0) this._listReversed.splice(i, 1);
+    }
+  }
+
+  /**
+   * 迭代的过程会不断出队，迭代结束后队列为空
+   */
+  [Symbol.iterator]() {
+    return {
+      next: () => {
+        const item = this.dequeue();
+        if (item) {
+          return {
+            done: false,
+            value: item,
+          };
+        }
+        return {
+          done: true,
+          value: undefined,
+        };
+      },
+    };
+  }
+}
+
+module.exports = ArrayQueue;
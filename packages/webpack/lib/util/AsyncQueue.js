@@ -0,0 +1,452 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { SyncHook, AsyncSeriesHook } = require("tapable");
+const { makeWebpackError } = require("../HookWebpackError");
+const WebpackError = require("../WebpackError");
+const ArrayQueue = require("./ArrayQueue");
+
+/** 已入队，等待处理 */
+const QUEUED_STATE = 0;
+/** 正在处理 */
+const PROCESSING_STATE = 1;
+/** 处理完成 */
+const DONE_STATE = 2;
+
+/**
+ * 记录同步调用回调的嵌套深度
+ * 嵌套过深时改为在 nextTick 中调用回调，避免调用栈溢出
+ */
+let inHandleResult = 0;
+
+/**
+ * @template T
+ * @callback Callback
+ * @param {(WebpackError | null)=} err
+ * @param {(T | null)=} result
+ */
+
+/**
+ * 队列中的一个条目，记录了条目的状态、回调以及处理结果
+ * @template T
+ * @template K
+ * @template R
+ */
+class AsyncQueueEntry {
+  /**
+   * @param {T} item 要处理的数据
+   * @param {Callback<R>} callback 处理完成后的回调
+   */
+  constructor(item, callback) {
+    this.item = item;
+    /** @type {typeof QUEUED_STATE | typeof PROCESSING_STATE | typeof DONE_STATE} */
+    this.state = QUEUED_STATE;
+    /** @type {Callback<R> | undefined} */
+    this.callback = callback;
+    /**
+     * 同一个 key 被重复添加时，后续的回调会放在这里，处理完成后一并调用
+     * @type {Callback<R>[] | undefined}
+     */
+    this.callbacks = undefined;
+    /** @type {R | null | undefined} */
+    this.result = undefined;
+    /** @type {WebpackError | null | undefined} */
+    this.error = undefined;
+  }
+}
+
+/**
+ * @template T, K
+ * @typedef {function(T): K} getKey
+ */
+
+/**
+ * @template T, R
+ * @typedef {function(T, Callback<R>): void} Processor
+ */
+
+/**
+ * 带并发控制的异步任务队列
+ *
+ * Compilation 中模块的 factorize、addModule、build、processDependencies 都是通过它来调度的
+ * - 相同 key 的条目只会处理一次，后续添加的直接复用结果
+ * - 多个队列可以通过 parent 串成一组，共享同一个根队列的并发数，
+ *   根队列调度时优先处理自己的条目，然后才是子队列的条目
+ *
+ * @template T
+ * @template K
+ * @template R
+ */
+class AsyncQueue {
+  /**
+   * @param {object} options options object
+   * @param {string=} options.name 队列名称，用于错误信息
+   * @param {number=} options.parallelism 同时处理的条目数量
+   * @param {string=} options.context 执行上下文
+   * @param {AsyncQueue<any, any, any>=} options.parent 父队列，父队列优先处理且与当前队列共享并发数
+   * @param {getKey<T, K>=} options.getKey 从条目中提取 key，用于去重
+   * @param {Processor<T, R>} options.processor 处理条目的异步函数
+   */
+  constructor({ name, context, parallelism, parent, processor, getKey }) {
+    this._name = name;
+    this._context = context || "normal";
+    this._parallelism = parallelism || 1;
+    this._processor = processor;
+    this._getKey =
+      getKey ||
+      /** @type {getKey<T, K>} */ ((item) => /** @type {T & K} */ (item));
+    /** @type {Map<K, AsyncQueueEntry<T, K, R>>} */
+    this._entries = new Map();
+    /** @type {ArrayQueue<AsyncQueueEntry<T, K, R>>} */
+    this._queued = new ArrayQueue();
+    /**
+     * 挂在根队列上的子队列
+     * @type {AsyncQueue<any, any, any>[] | undefined}
+     */
+    this._children = undefined;
+    /** 正在处理的条目数量（只在根队列上有意义） */
+    this._activeTasks = 0;
+    /** 是否已经安排了一次 _ensureProcessing */
+    this._willEnsureProcessing = false;
+    /** 是否还有待处理的条目 */
+    this._needProcessing = false;
+    /** 队列是否已停止 */
+    this._stopped = false;
+    /** @type {AsyncQueue<any, any, any>} */
+    this._root = parent ? parent._root : this;
+    if (parent) {
+      if (this._root._children === undefined) {
+        this._root._children = [this];
+      } else {
+        this._root._children.push(this);
+      }
+    }
+
+    this.hooks = {
+      /** @type {AsyncSeriesHook<[T]>} */
+      beforeAdd: new AsyncSeriesHook(["item"]),
+      /** @type {SyncHook<[T]>} */
+      added: new SyncHook(["item"]),
+      /** @type {AsyncSeriesHook<[T]>} */
+      beforeStart: new AsyncSeriesHook(["item"]),
+      /** @type {SyncHook<[T]>} */
+      started: new SyncHook(["item"]),
+      /** @type {SyncHook<[T, WebpackError | null | undefined, R | null | undefined]>} */
+      result: new SyncHook(["item", "error", "result"]),
+    };
+
+    this._ensureProcessing = this._ensureProcessing.bind(this);
+  }
+
+  /**
+   * @returns {string} context of execution
+   */
+  getContext() {
+    return this._context;
+  }
+
+  /**
+   * @param {string} value context of execution
+   */
+  setContext(value) {
+    this._context = value;
+  }
+
+  /**
+   * 添加一个条目到队列中
+   * 如果相同 key 的条目已经存在，则不会重复处理，而是等待（或直接拿到）它的结果
+   * @param {T} item 要处理的数据
+   * @param {Callback<R>} callback 处理完成后的回调
+   * @returns {void}
+   */
+  add(item, callback) {
+    if (this._stopped) return callback(new WebpackError("Queue was stopped"));
+    this.hooks.beforeAdd.callAsync(item, (err) => {
+      if (err) {
+        callback(
+          makeWebpackError(err, `AsyncQueue(${this._name}).hooks.beforeAdd`)
+        );
+        return;
+      }
+      const key = this._getKey(item);
+      const entry = this._entries.get(key);
+      if (entry !== undefined) {
+        if (entry.state === DONE_STATE) {
+          // 已经处理完成，直接返回结果
+          if (inHandleResult++ > 3) {
+            process.nextTick(() => callback(entry.error, entry.result));
+          } else {
+            callback(entry.error, entry.result);
+          }
+          inHandleResult--;
+        } else if (entry.callbacks === undefined) {
+          entry.callbacks = [callback];
+        } else {
+          entry.callbacks.push(callback);
+        }
+        return;
+      }
+      const newEntry = new AsyncQueueEntry(item, callback);
+      if (this._stopped) {
+        this.hooks.added.call(item);
+        this._root._activeTasks++;
+        process.nextTick(() =>
+          this._handleResult(newEntry, new WebpackError("Queue was stopped"))
+        );
+      } else {
+        this._entries.set(key, newEntry);
+        this._queued.enqueue(newEntry);
+        const root = this._root;
+        root._needProcessing = true;
+        // 在 setImmediate 中统一调度，让同一轮事件循环中添加的条目可以批量处理
+        if (root._willEnsureProcessing === false) {
+          root._willEnsureProcessing = true;
+          setImmediate(root._ensureProcessing);
+        }
+        this.hooks.added.call(item);
+      }
+    });
+  }
+
+  /**
+   * 移除某个条目的记录，之后再添加同一个 key 时会重新处理
+   * @param {T} item an item
+   * @returns {void}
+   */
+  invalidate(item) {
+    const key = this._getKey(item);
+    const entry =
+      /** @type {AsyncQueueEntry<T, K, R>} */
+      (this._entries.get(key));
+    this._entries.delete(key);
+    if (entry.state === QUEUED_STATE) {
+      this._queued.delete(entry);
+    }
+  }
+
+  /**
+   * 等待一个已经添加过的条目处理完成
+   * @param {T} item an item
+   * @param {Callback<R>} callback callback function
+   * @returns {void}
+   */
+  waitFor(item, callback) {
+    const key = this._getKey(item);
+    const entry = this._entries.get(key);
+    if (entry === undefined) {
+      return callback(
+        new WebpackError(
+          "waitFor can only be called for an already started item"
+        )
+      );
+    }
+    if (entry.state === DONE_STATE) {
+      process.nextTick(() => callback(entry.error, entry.result));
+    } else if (entry.callbacks === undefined) {
+      entry.callbacks = [callback];
+    } else {
+      entry.callbacks.push(callback);
+    }
+  }
+
+  /**
+   * 停止队列，所有还在排队的条目都会以 "Queue was stopped" 错误结束
+   * 在 bail 模式下遇到错误时使用
+   * @returns {void}
+   */
+  stop() {
+    this._stopped = true;
+    const queue = this._queued;
+    this._queued = new ArrayQueue();
+    const root = this._root;
+    for (const entry of queue) {
+      this._entries.delete(
+        this._getKey(/** @type {AsyncQueueEntry<T, K, R>} */ (entry).item)
+      );
+      root._activeTasks++;
+      this._handleResult(
+        /** @type {AsyncQueueEntry<T, K, R>} */ (entry),
+        new WebpackError("Queue was stopped")
+      );
+    }
+  }
+
+  /**
+   * 增加并发数
+   * 处理依赖时会嵌套地等待子模块完成，需要临时放宽并发数以避免死锁
+   * @returns {void}
+   */
+  increaseParallelism() {
+    const root = this._root;
+    root._parallelism++;
+    /* istanbul ignore next */
+    if (root._willEnsureProcessing === false && root._needProcessing) {
+      root._willEnsureProcessing = true;
+      setImmediate(root._ensureProcessing);
+    }
+  }
+
+  /**
+   * 减少并发数
+   * @returns {void}
+   */
+  decreaseParallelism() {
+    const root = this._root;
+    root._parallelism--;
+  }
+
+  /**
+   * @param {T} item an item
+   * @returns {boolean} 条目是否正在处理中
+   */
+  isProcessing(item) {
+    const key = this._getKey(item);
+    const entry = this._entries.get(key);
+    return entry !== undefined && entry.state === PROCESSING_STATE;
+  }
+
+  /**
+   * @param {T} item an item
+   * @returns {boolean} 条目是否正在排队
+   */
+  isQueued(item) {
+    const key = this._getKey(item);
+    const entry = this._entries.get(key);
+    return entry !== undefined && entry.state === QUEUED_STATE;
+  }
+
+  /**
+   * @param {T} item an item
+   * @returns {boolean} 条目是否已处理完成
+   */
+  isDone(item) {
+    const key = this._getKey(item);
+    const entry = this._entries.get(key);
+    return entry !== undefined && entry.state === DONE_STATE;
+  }
+
+  /**
+   * 在并发数允许的范围内取出条目开始处理
+   * 只在根队列上调用：先处理根队列自身的条目，再依次处理子队列的条目
+   * @returns {void}
+   */
+  _ensureProcessing() {
+    while (this._activeTasks < this._parallelism) {
+      const entry = this._queued.dequeue();
+      if (entry === undefined) break;
+      this._activeTasks++;
+      entry.state = PROCESSING_STATE;
+      this._startProcessing(entry);
+    }
+    this._willEnsureProcessing = false;
+    if (this._queued.length > 0) return;
+    if (this._children !== undefined) {
+      for (const child of this._children) {
+        while (this._activeTasks < this._parallelism) {
+          const entry = child._queued.dequeue();
+          if (entry === undefined) break;
+          this._activeTasks++;
+          entry.state = PROCESSING_STATE;
+          child._startProcessing(entry);
+        }
+        if (child._queued.length > 0) return;
+      }
+    }
+    if (!this._willEnsureProcessing) this._needProcessing = false;
+  }
+
+  /**
+   * @param {AsyncQueueEntry<T, K, R>} entry the entry
+   * @returns {void}
+   */
+  _startProcessing(entry) {
+    this.hooks.beforeStart.callAsync(entry.item, (err) => {
+      if (err) {
+        this._handleResult(
+          entry,
+          makeWebpackError(err, `AsyncQueue(${this._name}).hooks.beforeStart`)
+        );
+        return;
+      }
+      let inCallback = false;
+      try {
+        this._processor(entry.item, (e, r) => {
+          inCallback = true;
+          this._handleResult(entry, e, r);
+        });
+      } catch (err) {
+        // 回调内部抛出的错误不属于 processor，直接向上抛出
+        if (inCallback) throw err;
+        this._handleResult(entry, /** @type {WebpackError} */ (err), null);
+      }
+      this.hooks.started.call(entry.item);
+    });
+  }
+
+  /**
+   * 记录处理结果，释放并发名额，并调用所有等待该条目的回调
+   * @param {AsyncQueueEntry<T, K, R>} entry the entry
+   * @param {(WebpackError | null)=} err error, if any
+   * @param {(R | null)=} result result, if any
+   * @returns {void}
+   */
+  _handleResult(entry, err, result) {
+    this.hooks.result.callAsync(entry.item, err, result, (hookError) => {
+      const error = hookError
+        ? makeWebpackError(hookError, `AsyncQueue(${this._name}).hooks.result`)
+        : err;
+
+      const callback = /** @type {Callback<R>} */ (entry.callback);
+      const callbacks = entry.callbacks;
+      entry.state = DONE_STATE;
+      entry.callback = undefined;
+      entry.callbacks = undefined;
+      entry.result = result;
+      entry.error = error;
+
+      const root = this._root;
+      root._activeTasks--;
+      if (root._willEnsureProcessing === false && root._needProcessing) {
+        root._willEnsureProcessing = true;
+        setImmediate(root._ensureProcessing);
+      }
+
+      if (inHandleResult++ > 3) {
+        process.nextTick(() => {
+          callback(error, result);
+          if (callbacks !== undefined) {
+            for (const callback of callbacks) {
+              callback(error, result);
+            }
+          }
+        });
+      } else {
+        callback(error, result);
+        if (callbacks !== undefined) {
+          for (const callback of callbacks) {
+            callback(error, result);
+          }
+        }
+      }
+      inHandleResult--;
+    });
+  }
+
+  /**
+   * 清空队列中的所有条目和状态
+   */
+  clear() {
+    this._entries.clear();
+    this._queued.clear();
+    this._activeTasks = 0;
+    this._willEnsureProcessing = false;
+    this._needProcessing = false;
+    this._stopped = false;
+  }
+}
+
+module.exports = AsyncQueue;
@@ -0,0 +1,39 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 哈希的抽象基类，接口与 Node.js crypto 的 Hash 对象保持一致（update/digest）
+ * webpack 内部所有计算 hash 的地方都通过 createHash 得到该类的实例
+ */
+class Hash {
+  /* istanbul ignore next */
+  /**
+   * Update hash {@link https://nodejs.org/api/crypto.html#crypto_hash_update_data_inputencoding}
+   * @abstract
+   * @param {string|Buffer} data data
+   * @param {string=} inputEncoding data encoding
+   * @returns {this} updated hash
+   */
+  update(data, inputEncoding) {
+    const AbstractMethodError = require("../AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+
+  /* istanbul ignore next */
+  /**
+   * Calculates the digest {@link https://nodejs.org/api/crypto.html#crypto_hash_digest_encoding}
+   * @abstract
+   * @param {string=} encoding encoding of the return value
+   * @returns {string|Buffer} digest
+   */
+  digest(encoding) {
+    const AbstractMethodError = require("../AbstractMethodError");
+    throw new AbstractMethodError();
+  }
+}
+
+module.exports = Hash;
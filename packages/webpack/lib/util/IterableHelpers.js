@@ -0,0 +1,48 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 获取可迭代对象的最后一项
+ * @template T
+ * @param {Iterable<T>} set a set
+ * @returns {T | undefined} last item
+ */
+const last = (set) => {
+  let last;
+  for (const item of set) last = item;
+  return last;
+};
+
+/**
+ * 可迭代对象中是否有满足条件的项
+ * @template T
+ * @param {Iterable<T>} iterable iterable
+ * @param {function(T): boolean | null | undefined} filter predicate
+ * @returns {boolean} true, if some items match the filter predicate
+ */
+const someInIterable = (iterable, filter) => {
+  for (const item of iterable) {
+    if (filter(item)) return true;
+  }
+  return false;
+};
+
+/**
+ * 统计可迭代对象的项数
+ * @template T
+ * @param {Iterable<T>} iterable an iterable
+ * @returns {number} count of items
+ */
+const countIterable = (iterable) => {
+  let i = 0;
+  for (const _ of iterable) i++;
+  return i;
+};
+
+module.exports.last = last;
+module.exports.someInIterable = someInIterable;
+module.exports.countIterable = countIterable;
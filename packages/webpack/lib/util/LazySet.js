@@ -0,0 +1,247 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const makeSerializable = require("./makeSerializable");
+
+/**
+ * 将 toMerge 中所有集合的元素合并到 targetSet 中
+ * @template T
+ * @param {Set<T>} targetSet set where items should be added
+ * @param {Set<Iterable<T>>} toMerge iterables to be merged
+ * @returns {void}
+ */
+const merge = (targetSet, toMerge) => {
+  for (const set of toMerge) {
+    for (const item of set) {
+      targetSet.add(item);
+    }
+  }
+};
+
+/**
+ * 把嵌套的 LazySet 展开成一层待合并的集合，放入 targetSet
+ * @template T
+ * @param {Set<Iterable<T>>} targetSet set where iterables should be added
+ * @param {Array<LazySet<T>>} toDeepMerge lazy sets to be flattened
+ * @returns {void}
+ */
+const flatten = (targetSet, toDeepMerge) => {
+  for (const set of toDeepMerge) {
+    if (set._set.size > 0) targetSet.add(set._set);
+    if (set._needMerge) {
+      for (const mergedSet of set._toMerge) {
+        targetSet.add(mergedSet);
+      }
+      flatten(targetSet, set._toDeepMerge);
+    }
+  }
+};
+
+/**
+ * 延迟合并的 Set
+ *
+ * Compilation 的 fileDependencies 等集合会频繁地 addAll 其他模块的依赖集合，
+ * 如果每次都立即逐个复制元素开销很大，这里先记录要合并的集合，等到真正读取时才合并
+ *
+ * 一旦被迭代过（entries/values/forEach 等），说明使用方会频繁读取，
+ * 之后的 addAll 就直接逐个添加（deopt），不再延迟
+ *
+ * @template T
+ */
+class LazySet {
+  /**
+   * @param {Iterable<T>=} iterable init iterable
+   */
+  constructor(iterable) {
+    /** @type {Set<T>} */
+    this._set = new Set(iterable);
+    /**
+     * 待合并的普通集合
+     * @type {Set<Iterable<T>>}
+     */
+    this._toMerge = new Set();
+    /**
+     * 待合并的 LazySet，它们自身可能还有未合并的内容
+     * @type {Array<LazySet<T>>}
+     */
+    this._toDeepMerge = [];
+    /** 是否有待合并的内容 */
+    this._needMerge = false;
+    /** 是否已经退化为立即合并 */
+    this._deopt = false;
+  }
+
+  _flatten() {
+    flatten(this._toMerge, this._toDeepMerge);
+    this._toDeepMerge.length = 0;
+  }
+
+  _merge() {
+    this._flatten();
+    merge(this._set, this._toMerge);
+    this._toMerge.clear();
+    this._needMerge = false;
+  }
+
+  _isEmpty() {
+    return (
+      this._set.size === 0 &&
+      this._toMerge.size === 0 &&
+      this._toDeepMerge.length === 0
+    );
+  }
+
+  get size() {
+    if (this._needMerge) this._merge();
+    return this._set.size;
+  }
+
+  /**
+   * @param {T} item an item
+   * @returns {LazySet<T>} itself
+   */
+  add(item) {
+    this._set.add(item);
+    return this;
+  }
+
+  /**
+   * 添加一组元素，未退化时只记录下来，读取时再合并
+   * @param {Iterable<T> | LazySet<T>} iterable a immutable iterable or another immutable LazySet which will eventually be merged into the Set
+   * @returns {LazySet<T>} itself
+   */
+  addAll(iterable) {
+    if (this._deopt) {
+      const _set = this._set;
+      for (const item of iterable) {
+        _set.add(item);
+      }
+    } else {
+      if (iterable instanceof LazySet) {
+        if (iterable._isEmpty()) return this;
+        this._toDeepMerge.push(iterable);
+        this._needMerge = true;
+        if (this._toDeepMerge.length > 100000) {
+          this._flatten();
+        }
+      } else {
+        this._toMerge.add(iterable);
+        this._needMerge = true;
+      }
+      // 待合并的集合过多时提前合并，避免占用过多内存
+      if (this._toMerge.size > 100000) this._merge();
+    }
+    return this;
+  }
+
+  clear() {
+    this._set.clear();
+    this._toMerge.clear();
+    this._toDeepMerge.length = 0;
+    this._needMerge = false;
+    this._deopt = false;
+  }
+
+  /**
+   * @param {T} value an item
+   * @returns {boolean} true, if the value was in the Set before
+   */
+  delete(value) {
+    if (this._needMerge) this._merge();
+    return this._set.delete(value);
+  }
+
+  /**
+   * @returns {IterableIterator<[T, T]>} entries
+   */
+  entries() {
+    this._deopt = true;
+    if (this._needMerge) this._merge();
+    return this._set.entries();
+  }
+
+  /**
+   * @param {function(T, T, Set<T>): void} callbackFn function called for each entry
+   * @param {any} thisArg this argument for the callbackFn
+   * @returns {void}
+   */
+  forEach(callbackFn, thisArg) {
+    this._deopt = true;
+    if (this._needMerge) this._merge();
+    // eslint-disable-next-line unicorn/no-array-for-each
+    this._set.forEach(callbackFn, thisArg);
+  }
+
+  /**
+   * @param {T} item an item
+   * @returns {boolean} true, when the item is in the Set
+   */
+  has(item) {
+    if (this._needMerge) this._merge();
+    return this._set.has(item);
+  }
+
+  /**
+   * @returns {IterableIterator<T>} keys
+   */
+  keys() {
+    this._deopt = true;
+    if (this._needMerge) this._merge();
+    return this._set.keys();
+  }
+
+  /**
+   * @returns {IterableIterator<T>} values
+   */
+  values() {
+    this._deopt = true;
+    if (this._needMerge) this._merge();
+    return this._set.values();
+  }
+
+  /**
+   * @returns {IterableIterator<T>} iterable iterator
+   */
+  [Symbol.iterator]() {
+    this._deopt = true;
+    if (this._needMerge) this._merge();
+    return this._set[Symbol.iterator]();
+  }
+
+  /* istanbul ignore next */
+  get [Symbol.toStringTag]() {
+    return "LazySet";
+  }
+
+  /**
+   * 序列化时先合并，再依次写入元素数量和每个元素
+   * @param {import("../serialization/ObjectMiddleware").ObjectSerializerContext} context context
+   */
+  serialize({ write }) {
+    if (this._needMerge) this._merge();
+    write(this._set.size);
+    for (const item of this._set) write(item);
+  }
+
+  /**
+   * @template T
+   * @param {import("../serialization/ObjectMiddleware").ObjectDeserializerContext} context context
+   * @returns {LazySet<T>} lazy set
+   */
+  static deserialize({ read }) {
+    const count = read();
+    const items = [];
+    for (let i = 0; i < count; i++) {
+      items.push(read());
+    }
+    return new LazySet(items);
+  }
+}
+
+makeSerializable(LazySet, "webpack/lib/util/LazySet");
+
+module.exports = LazySet;
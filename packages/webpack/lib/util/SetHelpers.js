@@ -0,0 +1,97 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 求多个集合的交集
+ * @template T
+ * @param {Set<T>[]} sets an array of sets being checked for shared elements
+ * @returns {Set<T>} returns a new Set containing the intersecting items
+ */
+const intersect = (sets) => {
+  if (sets.length === 0) return new Set();
+  if (sets.length === 1) return new Set(sets[0]);
+  let minSize = Infinity;
+  let minIndex = -1;
+  for (let i = 0; i < sets.length; i++) {
+    const size = sets[i].size;
+    if (size < minSize) {
+      minIndex = i;
+      minSize = size;
+    }
+  }
+  const current = new Set(sets[minIndex]);
+  for (let i = 0; i < sets.length; i++) {
+    if (i === minIndex) continue;
+    const set = sets[i];
+    for (const item of current) {
+      if (!set.has(item)) {
+        current.delete(item);
+      }
+    }
+  }
+  return current;
+};
+
+/**
+ * 判断 smallSet 是否是 bigSet 的子集
+ * @template T
+ * @param {Set<T>} bigSet a Set which contains the original elements to compare against
+ * @param {Set<T>} smallSet the set whose elements might be contained inside of bigSet
+ * @returns {boolean} returns true if smallSet contains all elements inside of the bigSet
+ */
+const isSubset = (bigSet, smallSet) => {
+  if (bigSet.size < smallSet.size) return false;
+  for (const item of smallSet) {
+    if (!bigSet.has(item)) return false;
+  }
+  return true;
+};
+
+/**
+ * 返回集合中第一个满足条件的元素
+ * @template T
+ * @param {Set<T>} set a set
+ * @param {function(T): boolean} fn selector function
+ * @returns {T | undefined} found item
+ */
+const find = (set, fn) => {
+  for (const item of set) {
+    if (fn(item)) return item;
+  }
+};
+
+/**
+ * 返回集合中的第一个元素
+ * @template T
+ * @param {Set<T> | ReadonlySet<T>} set a set
+ * @returns {T | undefined} first item
+ */
+const first = (set) => {
+  const entry = set.values().next();
+  return entry.done ? undefined : entry.value;
+};
+
+/**
+ * 合并两个集合，其中一个为空时直接返回另一个
+ * @template T
+ * @param {Set<T>} a first
+ * @param {Set<T>} b second
+ * @returns {Set<T>} combined set, may be identical to a or b
+ */
+const combine = (a, b) => {
+  if (b.size === 0) return a;
+  if (a.size === 0) return b;
+  const set = new Set(a);
+  for (const item of b) set.add(item);
+  return set;
+};
+
+module.exports.intersect = intersect;
+module.exports.isSubset = isSubset;
+module.exports.find = find;
+module.exports.first = first;
+module.exports.combine = combine;
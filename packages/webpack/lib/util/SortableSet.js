@@ -0,0 +1,180 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** 表示集合当前没有按任何排序函数排过序 */
+const NONE = Symbol("not sorted");
+
+/**
+ * 可排序、可缓存计算结果的 Set
+ *
+ * chunk 的 groups、chunkGroup 的 parents/children 等集合都会被频繁地排序和读取，
+ * 这里记录最近一次使用的排序函数，重复排序时直接跳过；
+ * 同时根据集合内容缓存计算结果，集合内容变化时自动失效
+ *
+ * @template T
+ */
+class SortableSet extends Set {
+  /**
+   * @param {Iterable<T>=} initialIterable 初始元素
+   * @param {SortFunction<T>=} defaultSort 默认的排序函数
+   */
+  constructor(initialIterable, defaultSort) {
+    super(initialIterable);
+    /**
+     * 默认的排序函数，调用 sort() 时使用
+     * @private
+     * @type {undefined | SortFunction<T>}
+     */
+    this._sortFn = defaultSort;
+    /**
+     * 最近一次排序使用的函数，集合新增元素后重置为 NONE
+     * @private
+     * @type {typeof NONE | undefined | ((a: T, b: T) => number)}}
+     */
+    this._lastActiveSortFn = NONE;
+    /**
+     * 与元素顺序相关的计算结果缓存
+     * @private
+     * @type {Map<Function, any> | undefined}
+     */
+    this._cache = undefined;
+    /**
+     * 与元素顺序无关的计算结果缓存
+     * @private
+     * @type {Map<Function, any> | undefined}
+     */
+    this._cacheOrderIndependent = undefined;
+  }
+
+  /**
+   * @param {T} value value to add to set
+   * @returns {this} returns itself
+   */
+  add(value) {
+    this._lastActiveSortFn = NONE;
+    this._invalidateCache();
+    this._invalidateOrderedCache();
+    super.add(value);
+    return this;
+  }
+
+  /**
+   * @param {T} value value to delete
+   * @returns {boolean} true if value existed in set, false otherwise
+   */
+  delete(value) {
+    this._invalidateCache();
+    this._invalidateOrderedCache();
+    return super.delete(value);
+  }
+
+  /**
+   * @returns {void}
+   */
+  clear() {
+    this._invalidateCache();
+    this._invalidateOrderedCache();
+    return super.clear();
+  }
+
+  /**
+   * 按照指定的函数对集合排序（会改变集合本身的迭代顺序）
+   * @param {SortFunction<T>} sortFn Sorting comparator function
+   * @returns {void}
+   */
+  sortWith(sortFn) {
+    if (this.size <= 1 || sortFn === this._lastActiveSortFn) {
+      // 已经排过序了
+      return;
+    }
+
+    const sortedArray = Array.from(this).sort(sortFn);
+    super.clear();
+    for (let i = 0; i < sortedArray.length; i += 1) {
+      super.add(sortedArray[i]);
+    }
+    this._lastActiveSortFn = sortFn;
+    // 顺序变了，与顺序相关的缓存需要失效
+    this._invalidateCache();
+  }
+
+  sort() {
+    this.sortWith(/** @type {SortFunction<T>} */ (this._sortFn));
+    return this;
+  }
+
+  /**
+   * 获取 fn 基于当前集合计算的结果，集合内容或顺序不变时返回缓存
+   * @template R
+   * @param {function(SortableSet<T>): R} fn function to calculate value
+   * @returns {R} returns result of fn(this), cached until set changes
+   */
+  getFromCache(fn) {
+    if (this._cache === undefined) {
+      this._cache = new Map();
+    } else {
+      const result = this._cache.get(fn);
+      const data = /** @type {R} */ (result);
+      if (data !== undefined) {
+        return data;
+      }
+    }
+    const newData = fn(this);
+    this._cache.set(fn, newData);
+    return newData;
+  }
+
+  /**
+   * 与 getFromCache 相同，但结果与元素顺序无关，排序不会使缓存失效
+   * @template R
+   * @param {function(SortableSet<T>): R} fn function to calculate value
+   * @returns {R} returns result of fn(this), cached until set changes
+   */
+  getFromUnorderedCache(fn) {
+    if (this._cacheOrderIndependent === undefined) {
+      this._cacheOrderIndependent = new Map();
+    } else {
+      const result = this._cacheOrderIndependent.get(fn);
+      const data = /** @type {R} */ (result);
+      if (data !== undefined) {
+        return data;
+      }
+    }
+    const newData = fn(this);
+    this._cacheOrderIndependent.set(fn, newData);
+    return newData;
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _invalidateCache() {
+    if (this._cache !== undefined) {
+      this._cache.clear();
+    }
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _invalidateOrderedCache() {
+    if (this._cacheOrderIndependent !== undefined) {
+      this._cacheOrderIndependent.clear();
+    }
+  }
+
+  /**
+   * @returns {T[]} the raw array
+   */
+  toJSON() {
+    return Array.from(this);
+  }
+}
+
+module.exports = SortableSet;
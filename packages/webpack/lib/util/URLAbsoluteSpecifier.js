@@ -0,0 +1,90 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Ivan Kopeykin @vankop
+*/
+
+"use strict";
+
+/** @typedef {(error: Error|null, result?: Buffer) => void} ErrorFirstCallback */
+
+/**
+ * 解析绝对 URL 形式的请求（例如 data:、file:、http:）中的 scheme
+ */
+
+const backSlashCharCode = "\\".charCodeAt(0);
+const slashCharCode = "/".charCodeAt(0);
+const aLowerCaseCharCode = "a".charCodeAt(0);
+const zLowerCaseCharCode = "z".charCodeAt(0);
+const aUpperCaseCharCode = "A".charCodeAt(0);
+const zUpperCaseCharCode = "Z".charCodeAt(0);
+const _0CharCode = "0".charCodeAt(0);
+const _9CharCode = "9".charCodeAt(0);
+const plusCharCode = "+".charCodeAt(0);
+const hyphenCharCode = "-".charCodeAt(0);
+const colonCharCode = ":".charCodeAt(0);
+const hashCharCode = "#".charCodeAt(0);
+const queryCharCode = "?".charCodeAt(0);
+/**
+ * 请求是绝对 URL 时返回其中的 scheme（小写），例如 'file:///user/webpack/index.js' 返回 file
+ * https://tools.ietf.org/html/rfc3986#section-3.1
+ * @param {string} specifier specifier
+ * @returns {string|undefined} scheme if absolute URL specifier provided
+ */
+function getScheme(specifier) {
+  const start = specifier.charCodeAt(0);
+
+  // 第一个字符只能是字母
+  if (
+    (start < aLowerCaseCharCode || start > zLowerCaseCharCode) &&
+    (start < aUpperCaseCharCode || start > zUpperCaseCharCode)
+  ) {
+    return;
+  }
+
+  let i = 1;
+  let ch = specifier.charCodeAt(i);
+
+  while (
+    (ch >= aLowerCaseCharCode && ch <= zLowerCaseCharCode) ||
+    (ch >= aUpperCaseCharCode && ch <= zUpperCaseCharCode) ||
+    (ch >= _0CharCode && ch <= _9CharCode) ||
+    ch === plusCharCode ||
+    ch === hyphenCharCode
+  ) {
+    if (++i === specifier.length) return;
+    ch = specifier.charCodeAt(i);
+  }
+
+  // scheme 必须以冒号结尾
+  if (ch !== colonCharCode) return;
+
+  // 排除 Windows 绝对路径（C:\ 这种单字母的情况）
+  // https://url.spec.whatwg.org/#url-miscellaneous
+  if (i === 1) {
+    const nextChar = i + 1 < specifier.length ? specifier.charCodeAt(i + 1) : 0;
+    if (
+      nextChar === 0 ||
+      nextChar === backSlashCharCode ||
+      nextChar === slashCharCode ||
+      nextChar === hashCharCode ||
+      nextChar === queryCharCode
+    ) {
+      return;
+    }
+  }
+
+  return specifier.slice(0, i).toLowerCase();
+}
+
+/**
+ * 返回带冒号的协议，例如 file:
+ * @param {string} specifier specifier
+ * @returns {string | null | undefined} protocol if absolute URL specifier provided
+ */
+function getProtocol(specifier) {
+  const scheme = getScheme(specifier);
+  return scheme === undefined ? undefined : `${scheme}:`;
+}
+
+module.exports.getScheme = getScheme;
+module.exports.getProtocol = getProtocol;
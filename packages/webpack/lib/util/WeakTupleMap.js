@@ -0,0 +1,228 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * @template {any[]} T
+ * @template V
+ * @typedef {Map<object, WeakTupleMap<T, V>>} M
+ */
+/**
+ * @template {any[]} T
+ * @template V
+ * @typedef {WeakMap<object, WeakTupleMap<T, V>>} W
+ */
+
+/**
+ * 对象可以作为 WeakMap 的 key，其他值只能放进 Map
+ * @param {any} thing thing
+ * @returns {boolean} true if is weak
+ */
+const isWeakKey = (thing) => typeof thing === "object" && thing !== null;
+
+/**
+ * 以元组为 key 的 Map，元组中的对象用 WeakMap 存储，不会阻止它们被回收
+ *
+ * 每一层节点对应元组中的一个元素，值保存在最后一层节点上
+ * @template {any[]} T
+ * @template V
+ */
+class WeakTupleMap {
+  constructor() {
+    /**
+     * 标志位：1 表示有值，2 表示有 Map 子节点，4 表示有 WeakMap 子节点
+     * @private
+     */
+    this.f = 0;
+    /**
+     * @private
+     * @type {any}
+     */
+    this.v = undefined;
+    /**
+     * @private
+     * @type {M<T, V> | undefined}
+     */
+    this.m = undefined;
+    /**
+     * @private
+     * @type {W<T, V> | undefined}
+     */
+    this.w = undefined;
+  }
+
+  /**
+   * 设置元组对应的值，最后一个参数为值
+   * @param {[...T, V]} args tuple
+   * @returns {void}
+   */
+  set(...args) {
+    /** @type {WeakTupleMap<T, V>} */
+    let node = this;
+    for (let i = 0; i < args.length - 1; i++) {
+      node = node._get(args[i]);
+    }
+    node._setValue(args[args.length - 1]);
+  }
+
+  /**
+   * 元组是否有对应的值
+   * @param {T} args tuple
+   * @returns {boolean} true, if the tuple is in the Set
+   */
+  has(...args) {
+    /** @type {WeakTupleMap<T, V> | undefined} */
+    let node = this;
+    for (let i = 0; i < args.length; i++) {
+      node = node._peek(args[i]);
+      if (node === undefined) return false;
+    }
+    return node._hasValue();
+  }
+
+  /**
+   * 获取元组对应的值
+   * @param {T} args tuple
+   * @returns {V | undefined} the value
+   */
+  get(...args) {
+    /** @type {WeakTupleMap<T, V> | undefined} */
+    let node = this;
+    for (let i = 0; i < args.length; i++) {
+      node = node._peek(args[i]);
+      if (node === undefined) return;
+    }
+    return node._getValue();
+  }
+
+  /**
+   * 获取元组对应的值，不存在时调用最后一个参数创建并保存
+   * @param {[...T, function(): V]} args tuple
+   * @returns {V} the value
+   */
+  provide(...args) {
+    /** @type {WeakTupleMap<T, V>} */
+    let node = this;
+    for (let i = 0; i < args.length - 1; i++) {
+      node = node._get(args[i]);
+    }
+    if (node._hasValue()) return node._getValue();
+    const fn = args[args.length - 1];
+    const newValue = fn(...args.slice(0, -1));
+    node._setValue(newValue);
+    return newValue;
+  }
+
+  /**
+   * 删除元组对应的值，中间节点保留
+   * @param {T} args tuple
+   * @returns {void}
+   */
+  delete(...args) {
+    /** @type {WeakTupleMap<T, V> | undefined} */
+    let node = this;
+    for (let i = 0; i < args.length; i++) {
+      node = node._peek(args[i]);
+      if (node === undefined) return;
+    }
+    node._deleteValue();
+  }
+
+  /**
+   * 清空所有值
+   * @returns {void}
+   */
+  clear() {
+    this.f = 0;
+    this.v = undefined;
+    this.w = undefined;
+    this.m = undefined;
+  }
+
+  _getValue() {
+    return this.v;
+  }
+
+  _hasValue() {
+    return (this.f & 1) === 1;
+  }
+
+  /**
+   * @param {any} v value
+   * @private
+   */
+  _setValue(v) {
+    this.f |= 1;
+    this.v = v;
+  }
+
+  _deleteValue() {
+    this.f &= 6;
+    this.v = undefined;
+  }
+
+  /**
+   * 获取元素对应的子节点，不存在时返回 undefined
+   * @param {any} thing thing
+   * @returns {WeakTupleMap<T, V> | undefined} thing
+   * @private
+   */
+  _peek(thing) {
+    if (isWeakKey(thing)) {
+      if ((this.f & 4) !== 4) return;
+      return /** @type {W<T, V>} */ (this.w).get(thing);
+    }
+    if ((this.f & 2) !== 2) return;
+    return /** @type {M<T, V>} */ (this.m).get(thing);
+  }
+
+  /**
+   * 获取元素对应的子节点，不存在时创建
+   * @private
+   * @param {any} thing thing
+   * @returns {WeakTupleMap<T, V>} value
+   */
+  _get(thing) {
+    if (isWeakKey(thing)) {
+      if ((this.f & 4) !== 4) {
+        const newMap = new WeakMap();
+        this.f |= 4;
+        const newNode = new WeakTupleMap();
+        (this.w = newMap).set(thing, newNode);
+        return newNode;
+      }
+      const entry =
+        /** @type {W<T, V>} */
+        (this.w).get(thing);
+      if (entry !== undefined) {
+        return entry;
+      }
+      const newNode = new WeakTupleMap();
+      /** @type {W<T, V>} */
+      (this.w).set(thing, newNode);
+      return newNode;
+    }
+    if ((this.f & 2) !== 2) {
+      const newMap = new Map();
+      this.f |= 2;
+      const newNode = new WeakTupleMap();
+      (this.m = newMap).set(thing, newNode);
+      return newNode;
+    }
+    const entry =
+      /** @type {M<T, V>} */
+      (this.m).get(thing);
+    if (entry !== undefined) {
+      return entry;
+    }
+    const newNode = new WeakTupleMap();
+    /** @type {M<T, V>} */
+    (this.m).set(thing, newNode);
+    return newNode;
+  }
+}
+
+module.exports = WeakTupleMap;
@@ -0,0 +1,90 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 获取 id 链中需要由 webpack 重新生成的部分及其对应的范围
+ *
+ * 只有指向命名空间或导入绑定的部分需要重新生成，导入对象上更深层的属性访问保持原样。
+ * 否则可能把带引号的属性访问改成不带引号的（或者反过来），
+ * 而压缩工具对这两种写法的处理是不同的，例如 import { a } from "./module"; 之后的 a["b"] 和 a.b
+ * @param {string[]} untrimmedIds chained ids
+ * @param {Range} untrimmedRange range encompassing allIds
+ * @param {Range[] | undefined} ranges cumulative range of ids for each of allIds
+ * @param {ModuleGraph} moduleGraph moduleGraph
+ * @param {Dependency} dependency dependency
+ * @returns {{trimmedIds: string[], trimmedRange: Range}} computed trimmed ids and cumulative range of those ids
+ */
+module.exports.getTrimmedIdsAndRange = (
+  untrimmedIds,
+  untrimmedRange,
+  ranges,
+  moduleGraph,
+  dependency
+) => {
+  let trimmedIds = trimIdsToThoseImported(
+    untrimmedIds,
+    moduleGraph,
+    dependency
+  );
+  let trimmedRange = untrimmedRange;
+  if (trimmedIds.length !== untrimmedIds.length) {
+    // dep.idRanges 与 dep.names 是右对齐的：
+    // 两个数组的长度不一定相同，但 dep.idRanges 的最后一项对应 dep.names 最后一项（左侧的表达式片段）
+    // 据此根据裁剪掉的 id 数量找到正确的替换范围
+    const idx =
+      ranges === undefined
+        ? -1 /* 走下面的失败分支 */
+        : ranges.length + (trimmedIds.length - untrimmedIds.length);
+    if (idx < 0 || idx >= /** @type {Range[]} */ (ranges).length) {
+      // cspell:ignore minifiers
+      // 不应该出现这种情况，但为了兼容 webpack 5 的外部插件这里不能抛出错误
+      // 退化为不裁剪，这可能会影响部分压缩工具的结果
+      trimmedIds = untrimmedIds;
+      // TODO webpack 6 去掉上面的 "trimmedIds = ids"，改为抛出下面的错误
+      // throw new Error("Missing range starts data for id replacement trimming.");
+    } else {
+      trimmedRange = /** @type {Range[]} */ (ranges)[idx];
+    }
+  }
+
+  return { trimmedIds, trimmedRange };
+};
+
+/**
+ * 判断 id 链中哪些部分指向命名空间或导入绑定，哪些是导入对象上更深层的属性访问
+ * @param {string[]} ids untrimmed ids
+ * @param {ModuleGraph} moduleGraph moduleGraph
+ * @param {Dependency} dependency dependency
+ * @returns {string[]} trimmed ids
+ */
+function trimIdsToThoseImported(ids, moduleGraph, dependency) {
+  /** @type {string[]} */
+  let trimmedIds = [];
+  let currentExportsInfo = moduleGraph.getExportsInfo(
+    /** @type {Module} */ (moduleGraph.getModule(dependency))
+  );
+  for (let i = 0; i < ids.length; i++) {
+    if (i === 0 && ids[i] === "default") {
+      continue; // default 下一层的 ExportInfo 仍然在根 ExportsInfo 中，所以不前进 currentExportsInfo
+    }
+    const exportInfo = currentExportsInfo.getExportInfo(ids[i]);
+    if (exportInfo.provided === false) {
+      // json 模块中没有实际导出的元素也有嵌套的 ExportInfo，所以要检查 provided
+      trimmedIds = ids.slice(0, i);
+      break;
+    }
+    const nestedInfo = exportInfo.getNestedExportsInfo();
+    if (!nestedInfo) {
+      // 嵌套导出已经遍历完，当前项就是实际导入的绑定，到此为止
+      trimmedIds = ids.slice(0, i + 1);
+      break;
+    }
+    currentExportsInfo = nestedInfo;
+  }
+  // 不能裁剪成空数组，无效的导入会出现这种情况（例如 import { notThere } from "./module" 或 import { anything } from "./missingModule"）
+  return trimmedIds.length ? trimmedIds : ids;
+}
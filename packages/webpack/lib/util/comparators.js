@@ -0,0 +1,483 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { compareRuntime } = require("./runtime");
+
+/**
+ * 排序时使用的比较函数集合
+ *
+ * webpack 对模块、chunk 等进行排序的地方很多，为了输出结果稳定（与遍历顺序无关），
+ * 这里统一提供比较函数；组合出来的比较函数会被缓存，保证同样的组合每次得到同一个函数引用，
+ * 这样 SortableSet.sortWith 就能识别出已经排过序而直接跳过
+ */
+
+/** @template T @typedef {function(T, T): -1|0|1} Comparator */
+
+/**
+ * 以两个对象为 key 的 WeakMap
+ * @template K1, K2, T
+ */
+class TwoKeyWeakMap {
+  constructor() {
+    /**
+     * @private
+     * @type {WeakMap<any, WeakMap<any, T | undefined>>}
+     */
+    this._map = new WeakMap();
+  }
+
+  /**
+   * @param {K1} key1 first key
+   * @param {K2} key2 second key
+   * @returns {T | undefined} value
+   */
+  get(key1, key2) {
+    const childMap = this._map.get(key1);
+    if (childMap === undefined) {
+      return;
+    }
+    return childMap.get(key2);
+  }
+
+  /**
+   * @param {K1} key1 first key
+   * @param {K2} key2 second key
+   * @param {T | undefined} value new value
+   * @returns {void}
+   */
+  set(key1, key2, value) {
+    let childMap = this._map.get(key1);
+    if (childMap === undefined) {
+      childMap = new WeakMap();
+      this._map.set(key1, childMap);
+    }
+    childMap.set(key2, value);
+  }
+}
+
+/**
+ * 创建依赖额外参数（例如 chunkGraph）的比较函数，同一个参数得到的是同一个函数引用
+ * @template T
+ * @param {function(any, T, T): -1|0|1} fn 第一个参数是额外参数的比较函数
+ * @returns {function(any): Comparator<T>} 根据参数获取比较函数
+ */
+const createCachedParameterizedComparator = (fn) => {
+  /** @type {WeakMap<object, Comparator<T>>} */
+  const map = new WeakMap();
+  return (arg) => {
+    const cachedResult = map.get(arg);
+    if (cachedResult !== undefined) return cachedResult;
+    const result = fn.bind(null, arg);
+    map.set(arg, result);
+    return result;
+  };
+};
+
+/**
+ * 按 chunk id 比较
+ * @param {Chunk} a chunk
+ * @param {Chunk} b chunk
+ * @returns {-1|0|1} compare result
+ */
+module.exports.compareChunksById = (a, b) =>
+  compareIds(/** @type {ChunkId} */ (a.id), /** @type {ChunkId} */ (b.id));
+
+/**
+ * 按模块标识符比较
+ * @param {Module} a module
+ * @param {Module} b module
+ * @returns {-1|0|1} compare result
+ */
+module.exports.compareModulesByIdentifier = (a, b) =>
+  compareIds(a.identifier(), b.identifier());
+
+/**
+ * 按模块在 chunkGraph 中的 id 比较
+ * @param {ChunkGraph} chunkGraph the chunk graph
+ * @param {Module} a module
+ * @param {Module} b module
+ * @returns {-1|0|1} compare result
+ */
+const compareModulesById = (chunkGraph, a, b) =>
+  compareIds(chunkGraph.getModuleId(a), chunkGraph.getModuleId(b));
+/** @type {function(ChunkGraph): Comparator<Module>} */
+module.exports.compareModulesById =
+  createCachedParameterizedComparator(compareModulesById);
+
+/**
+ * 按 chunkGraph 中的信息比较 chunk（先比较模块数量，再逐个比较模块）
+ * @param {ChunkGraph} chunkGraph the chunk graph
+ * @param {Chunk} a chunk
+ * @param {Chunk} b chunk
+ * @returns {-1|0|1} compare result
+ */
+const compareChunks = (chunkGraph, a, b) => chunkGraph.compareChunks(a, b);
+/** @type {function(ChunkGraph): Comparator<Chunk>} */
+module.exports.compareChunks =
+  createCachedParameterizedComparator(compareChunks);
+
+/**
+ * @param {number} a number
+ * @param {number} b number
+ * @returns {-1|0|1} compare result
+ */
+const compareNumbers = (a, b) => {
+  if (typeof a !== typeof b) {
+    return typeof a < typeof b ? -1 : 1;
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+module.exports.compareNumbers = compareNumbers;
+
+/**
+ * 按"自然顺序"比较字符串：连续的数字作为整体按数值比较，例如 "a2" 排在 "a10" 前面
+ * @param {string} a string
+ * @param {string} b string
+ * @returns {-1|0|1} compare result
+ */
+const compareStringsNumeric = (a, b) => {
+  const aLength = a.length;
+  const bLength = b.length;
+
+  let aChar = 0;
+  let bChar = 0;
+
+  let aIsDigit = false;
+  let bIsDigit = false;
+  let i = 0;
+  let j = 0;
+  while (i < aLength && j < bLength) {
+    aChar = a.charCodeAt(i);
+    bChar = b.charCodeAt(j);
+
+    aIsDigit = aChar >= 48 && aChar <= 57;
+    bIsDigit = bChar >= 48 && bChar <= 57;
+
+    if (!aIsDigit && !bIsDigit) {
+      if (aChar < bChar) return -1;
+      if (aChar > bChar) return 1;
+      i++;
+      j++;
+    } else if (aIsDigit && !bIsDigit) {
+      // a 的这一段（非数字部分）比 b 短
+      return 1;
+    } else if (!aIsDigit && bIsDigit) {
+      // b 的这一段（非数字部分）比 a 短
+      return -1;
+    } else {
+      let aNumber = aChar - 48;
+      let bNumber = bChar - 48;
+
+      while (++i < aLength) {
+        aChar = a.charCodeAt(i);
+        if (aChar < 48 || aChar > 57) break;
+        aNumber = aNumber * 10 + aChar - 48;
+      }
+
+      while (++j < bLength) {
+        bChar = b.charCodeAt(j);
+        if (bChar < 48 || bChar > 57) break;
+        bNumber = bNumber * 10 + bChar - 48;
+      }
+
+      if (aNumber < bNumber) return -1;
+      if (aNumber > bNumber) return 1;
+    }
+  }
+
+  if (j < bLength) {
+    // a 比 b 短
+    bChar = b.charCodeAt(j);
+    bIsDigit = bChar >= 48 && bChar <= 57;
+    return bIsDigit ? -1 : 1;
+  }
+  if (i < aLength) {
+    // b 比 a 短
+    aChar = a.charCodeAt(i);
+    aIsDigit = aChar >= 48 && aChar <= 57;
+    return aIsDigit ? 1 : -1;
+  }
+
+  return 0;
+};
+module.exports.compareStringsNumeric = compareStringsNumeric;
+
+/**
+ * 按模块在模块图中的后序遍历索引比较，索引相同时按标识符比较
+ * @param {ModuleGraph} moduleGraph the module graph
+ * @param {Module} a module
+ * @param {Module} b module
+ * @returns {-1|0|1} compare result
+ */
+const compareModulesByPostOrderIndexOrIdentifier = (moduleGraph, a, b) => {
+  const cmp = compareNumbers(
+    /** @type {number} */ (moduleGraph.getPostOrderIndex(a)),
+    /** @type {number} */ (moduleGraph.getPostOrderIndex(b))
+  );
+  if (cmp !== 0) return cmp;
+  return compareIds(a.identifier(), b.identifier());
+};
+/** @type {function(ModuleGraph): Comparator<Module>} */
+module.exports.compareModulesByPostOrderIndexOrIdentifier =
+  createCachedParameterizedComparator(
+    compareModulesByPostOrderIndexOrIdentifier
+  );
+
+/**
+ * 按模块在模块图中的前序遍历索引比较，索引相同时按标识符比较
+ * @param {ModuleGraph} moduleGraph the module graph
+ * @param {Module} a module
+ * @param {Module} b module
+ * @returns {-1|0|1} compare result
+ */
+const compareModulesByPreOrderIndexOrIdentifier = (moduleGraph, a, b) => {
+  const cmp = compareNumbers(
+    /** @type {number} */ (moduleGraph.getPreOrderIndex(a)),
+    /** @type {number} */ (moduleGraph.getPreOrderIndex(b))
+  );
+  if (cmp !== 0) return cmp;
+  return compareIds(a.identifier(), b.identifier());
+};
+/** @type {function(ModuleGraph): Comparator<Module>} */
+module.exports.compareModulesByPreOrderIndexOrIdentifier =
+  createCachedParameterizedComparator(
+    compareModulesByPreOrderIndexOrIdentifier
+  );
+
+/**
+ * 比较 id，id 可能是数字也可能是字符串，类型不同时先按类型排序
+ * @param {string | number} a first id
+ * @param {string | number} b second id
+ * @returns {-1|0|1} compare result
+ */
+const compareIds = (a, b) => {
+  if (typeof a !== typeof b) {
+    return typeof a < typeof b ? -1 : 1;
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+module.exports.compareIds = compareIds;
+
+/**
+ * @param {string} a first string
+ * @param {string} b second string
+ * @returns {-1|0|1} compare result
+ */
+const compareStrings = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+module.exports.compareStrings = compareStrings;
+
+/**
+ * 按 chunkGroup 的创建顺序（index）比较
+ * @param {ChunkGroup} a first chunk group
+ * @param {ChunkGroup} b second chunk group
+ * @returns {-1|0|1} compare result
+ */
+const compareChunkGroupsByIndex = (a, b) =>
+  /** @type {number} */ (a.index) < /** @type {number} */ (b.index) ? -1 : 1;
+module.exports.compareChunkGroupsByIndex = compareChunkGroupsByIndex;
+
+/** @type {TwoKeyWeakMap<Comparator<any>, Comparator<any>, Comparator<any>>}} */
+const concatComparatorsCache = new TwoKeyWeakMap();
+
+/**
+ * 组合多个比较函数，前一个比较结果相等时才使用后一个
+ * @template T
+ * @param {Comparator<T>} c1 comparator
+ * @param {Comparator<T>} c2 comparator
+ * @param {Comparator<T>[]} cRest comparators
+ * @returns {Comparator<T>} comparator
+ */
+const concatComparators = (c1, c2, ...cRest) => {
+  if (cRest.length > 0) {
+    const [c3, ...cRest2] = cRest;
+    return concatComparators(c1, concatComparators(c2, c3, ...cRest2));
+  }
+  const cacheEntry = /** @type {Comparator<T>} */ (
+    concatComparatorsCache.get(c1, c2)
+  );
+  if (cacheEntry !== undefined) return cacheEntry;
+  /**
+   * @param {T} a first value
+   * @param {T} b second value
+   * @returns {-1|0|1} compare result
+   */
+  const result = (a, b) => {
+    const res = c1(a, b);
+    if (res !== 0) return res;
+    return c2(a, b);
+  };
+  concatComparatorsCache.set(c1, c2, result);
+  return result;
+};
+module.exports.concatComparators = concatComparators;
+
+/** @type {TwoKeyWeakMap<Function, Comparator<any>, Comparator<any>>}} */
+const compareSelectCache = new TwoKeyWeakMap();
+
+/**
+ * 先通过 getter 取出要比较的值再比较，取不到值（null/undefined）的排在后面
+ * @template T
+ * @template R
+ * @param {function(T): R | undefined | null} getter getter for value
+ * @param {Comparator<R>} comparator comparator
+ * @returns {Comparator<T>} comparator
+ */
+const compareSelect = (getter, comparator) => {
+  const cacheEntry = compareSelectCache.get(getter, comparator);
+  if (cacheEntry !== undefined) return cacheEntry;
+  /**
+   * @param {T} a first value
+   * @param {T} b second value
+   * @returns {-1|0|1} compare result
+   */
+  const result = (a, b) => {
+    const aValue = getter(a);
+    const bValue = getter(b);
+    if (aValue !== undefined && aValue !== null) {
+      if (bValue !== undefined && bValue !== null) {
+        return comparator(aValue, bValue);
+      }
+      return -1;
+    }
+    if (bValue !== undefined && bValue !== null) {
+      return 1;
+    }
+    return 0;
+  };
+  compareSelectCache.set(getter, comparator, result);
+  return result;
+};
+module.exports.compareSelect = compareSelect;
+
+/** @type {WeakMap<Comparator<any>, Comparator<Iterable<any>>>} */
+const compareIteratorsCache = new WeakMap();
+
+/**
+ * 逐个比较两个可迭代对象中的元素，元素都相等时较短的排在前面
+ * @template T
+ * @param {Comparator<T>} elementComparator comparator for elements
+ * @returns {Comparator<Iterable<T>>} comparator for iterables of elements
+ */
+const compareIterables = (elementComparator) => {
+  const cacheEntry = compareIteratorsCache.get(elementComparator);
+  if (cacheEntry !== undefined) return cacheEntry;
+  /**
+   * @param {Iterable<T>} a first value
+   * @param {Iterable<T>} b second value
+   * @returns {-1|0|1} compare result
+   */
+  const result = (a, b) => {
+    const aI = a[Symbol.iterator]();
+    const bI = b[Symbol.iterator]();
+    while (true) {
+      const aItem = aI.next();
+      const bItem = bI.next();
+      if (aItem.done) {
+        return bItem.done ? 0 : -1;
+      } else if (bItem.done) {
+        return 1;
+      }
+      const res = elementComparator(aItem.value, bItem.value);
+      if (res !== 0) return res;
+    }
+  };
+  compareIteratorsCache.set(elementComparator, result);
+  return result;
+};
+module.exports.compareIterables = compareIterables;
+
+/**
+ * 保持元素原有的先后顺序
+ * @template T
+ * @param {Iterable<T>} iterable original ordered list
+ * @returns {Comparator<T>} comparator
+ */
+module.exports.keepOriginalOrder = (iterable) => {
+  /** @type {Map<T, number>} */
+  const map = new Map();
+  let i = 0;
+  for (const item of iterable) {
+    map.set(item, i++);
+  }
+  return (a, b) =>
+    compareNumbers(
+      /** @type {number} */ (map.get(a)),
+      /** @type {number} */ (map.get(b))
+    );
+};
+
+/**
+ * chunk 的"自然顺序"：依次比较 name、runtime 和按 id 排序后的模块列表
+ * @param {ChunkGraph} chunkGraph the chunk graph
+ * @returns {Comparator<Chunk>} comparator
+ */
+module.exports.compareChunksNatural = (chunkGraph) => {
+  const cmpFn = module.exports.compareModulesById(chunkGraph);
+  const cmpIterableFn = compareIterables(cmpFn);
+  return concatComparators(
+    compareSelect(
+      (chunk) => /** @type {string|number} */ (chunk.name),
+      compareIds
+    ),
+    compareSelect((chunk) => chunk.runtime, compareRuntime),
+    compareSelect(
+      /**
+       * @param {Chunk} chunk a chunk
+       * @returns {Iterable<Module>} modules
+       */
+      (chunk) => chunkGraph.getOrderedChunkModulesIterable(chunk, cmpFn),
+      cmpIterableFn
+    )
+  );
+};
+
+/**
+ * 比较两个依赖在源码中的位置：先比较起始行列，再比较 name，最后比较 index
+ * @param {DependencyLocation} a A location node
+ * @param {DependencyLocation} b A location node
+ * @returns {-1|0|1} sorting comparator value
+ */
+module.exports.compareLocations = (a, b) => {
+  const isObjectA = typeof a === "object" && a !== null;
+  const isObjectB = typeof b === "object" && b !== null;
+  if (!isObjectA || !isObjectB) {
+    if (isObjectA) return 1;
+    if (isObjectB) return -1;
+    return 0;
+  }
+  if ("start" in a) {
+    if ("start" in b) {
+      const ap = a.start;
+      const bp = b.start;
+      if (ap.line < bp.line) return -1;
+      if (ap.line > bp.line) return 1;
+      if (ap.column < bp.column) return -1;
+      if (ap.column > bp.column) return 1;
+    } else return -1;
+  } else if ("start" in b) return 1;
+  if ("name" in a) {
+    if ("name" in b) {
+      if (a.name < b.name) return -1;
+      if (a.name > b.name) return 1;
+    } else return -1;
+  } else if ("name" in b) return 1;
+  if ("index" in a) {
+    if ("index" in b) {
+      if (a.index < b.index) return -1;
+      if (a.index > b.index) return 1;
+    } else return -1;
+  } else if ("index" in b) return 1;
+  return 0;
+};
@@ -0,0 +1,243 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} str string
+ * @returns {string} quoted meta
+ */
+const quoteMeta = (str) => str.replace(/[-[\]\\/{}()*+?.^$|]/g, "\\$&");
+
+/**
+ * 转换为生成代码中的字面量，数字保持原样，其他值转换为 JSON 字符串
+ * @param {string} str string
+ * @returns {string} string
+ */
+const toSimpleString = (str) => {
+  if (`${Number(str)}` === str) {
+    return str;
+  }
+  return JSON.stringify(str);
+};
+
+/**
+ * 把值到布尔值的映射编译为运行时的判断代码
+ * 全部为 true 或 false 时直接返回布尔值，否则返回接收值表达式、生成判断代码的函数
+ * @param {Record<string|number, boolean>} map value map
+ * @returns {boolean|(function(string): string)} true/false, when unconditionally true/false, or a template function to determine the value at runtime
+ */
+const compileBooleanMatcher = (map) => {
+  const positiveItems = Object.keys(map).filter((i) => map[i]);
+  const negativeItems = Object.keys(map).filter((i) => !map[i]);
+  if (positiveItems.length === 0) return false;
+  if (negativeItems.length === 0) return true;
+  return compileBooleanMatcherFromLists(positiveItems, negativeItems);
+};
+
+/**
+ * 根据匹配和不匹配的值列表生成判断代码，选择正则较短的一侧生成
+ * @param {string[]} positiveItems positive items
+ * @param {string[]} negativeItems negative items
+ * @returns {function(string): string} a template function to determine the value at runtime
+ */
+const compileBooleanMatcherFromLists = (positiveItems, negativeItems) => {
+  if (positiveItems.length === 0) return () => "false";
+  if (negativeItems.length === 0) return () => "true";
+  if (positiveItems.length === 1)
+    return (value) => `${toSimpleString(positiveItems[0])} == ${value}`;
+  if (negativeItems.length === 1)
+    return (value) => `${toSimpleString(negativeItems[0])} != ${value}`;
+  const positiveRegexp = itemsToRegexp(positiveItems);
+  const negativeRegexp = itemsToRegexp(negativeItems);
+  if (positiveRegexp.length <= negativeRegexp.length) {
+    return (value) => `/^${positiveRegexp}$/.test(${value})`;
+  }
+  return (value) => `!/^${negativeRegexp}$/.test(${value})`;
+};
+
+/**
+ * 按 getKey 对集合中的项分组，满足 condition 的分组从集合中移除并返回
+ * @param {Set<string>} itemsSet items set
+ * @param {(str: string) => string | false} getKey get key function
+ * @param {(str: Array<string>) => boolean} condition condition
+ * @returns {Array<Array<string>>} list of common items
+ */
+const popCommonItems = (itemsSet, getKey, condition) => {
+  /** @type {Map<string, Array<string>>} */
+  const map = new Map();
+  for (const item of itemsSet) {
+    const key = getKey(item);
+    if (key) {
+      let list = map.get(key);
+      if (list === undefined) {
+        /** @type {Array<string>} */
+        list = [];
+        map.set(key, list);
+      }
+      list.push(item);
+    }
+  }
+  /** @type {Array<Array<string>>} */
+  const result = [];
+  for (const list of map.values()) {
+    if (condition(list)) {
+      for (const item of list) {
+        itemsSet.delete(item);
+      }
+      result.push(list);
+    }
+  }
+  return result;
+};
+
+/**
+ * 获取所有字符串的公共前缀
+ * @param {Array<string>} items items
+ * @returns {string} common prefix
+ */
+const getCommonPrefix = (items) => {
+  let prefix = items[0];
+  for (let i = 1; i < items.length; i++) {
+    const item = items[i];
+    for (let p = 0; p < prefix.length; p++) {
+      if (item[p] !== prefix[p]) {
+        prefix = prefix.slice(0, p);
+        break;
+      }
+    }
+  }
+  return prefix;
+};
+
+/**
+ * 获取所有字符串的公共后缀
+ * @param {Array<string>} items items
+ * @returns {string} common suffix
+ */
+const getCommonSuffix = (items) => {
+  let suffix = items[0];
+  for (let i = 1; i < items.length; i++) {
+    const item = items[i];
+    for (let p = item.length - 1, s = suffix.length - 1; s >= 0; p--, s--) {
+      if (item[p] !== suffix[s]) {
+        suffix = suffix.slice(s + 1);
+        break;
+      }
+    }
+  }
+  return suffix;
+};
+
+/**
+ * 把字符串列表转换为正则表达式源码，合并公共前缀、后缀和单字符项以缩短正则
+ * @param {Array<string>} itemsArr array of items
+ * @returns {string} regexp
+ */
+const itemsToRegexp = (itemsArr) => {
+  if (itemsArr.length === 1) {
+    return quoteMeta(itemsArr[0]);
+  }
+  /** @type {Array<string>} */
+  const finishedItems = [];
+
+  // 合并单字符项：(a|b|c|d|ef) => ([abcd]|ef)
+  let countOfSingleCharItems = 0;
+  for (const item of itemsArr) {
+    if (item.length === 1) {
+      countOfSingleCharItems++;
+    }
+  }
+  // 只有单字符项的情况
+  if (countOfSingleCharItems === itemsArr.length) {
+    return `[${quoteMeta(itemsArr.sort().join(""))}]`;
+  }
+  const items = new Set(itemsArr.sort());
+  if (countOfSingleCharItems > 2) {
+    let singleCharItems = "";
+    for (const item of items) {
+      if (item.length === 1) {
+        singleCharItems += item;
+        items.delete(item);
+      }
+    }
+    finishedItems.push(`[${quoteMeta(singleCharItems)}]`);
+  }
+
+  // 两项有公共前缀或后缀的情况
+  if (finishedItems.length === 0 && items.size === 2) {
+    const prefix = getCommonPrefix(itemsArr);
+    const suffix = getCommonSuffix(
+      itemsArr.map((item) => item.slice(prefix.length))
+    );
+    if (prefix.length > 0 || suffix.length > 0) {
+      return `${quoteMeta(prefix)}${itemsToRegexp(
+        itemsArr.map((i) => i.slice(prefix.length, -suffix.length || undefined))
+      )}${quoteMeta(suffix)}`;
+    }
+  }
+
+  // 两项有公共后缀的情况
+  if (finishedItems.length === 0 && items.size === 2) {
+    /** @type {Iterator<string>} */
+    const it = items[Symbol.iterator]();
+    const a = it.next().value;
+    const b = it.next().value;
+    if (a.length > 0 && b.length > 0 && a.slice(-1) === b.slice(-1)) {
+      return `${itemsToRegexp([a.slice(0, -1), b.slice(0, -1)])}${quoteMeta(
+        a.slice(-1)
+      )}`;
+    }
+  }
+
+  // 提取公共前缀：(a1|a2|a3|a4|b5) => (a(1|2|3|4)|b5)
+  const prefixed = popCommonItems(
+    items,
+    (item) => (item.length >= 1 ? item[0] : false),
+    (list) => {
+      if (list.length >= 3) return true;
+      if (list.length <= 1) return false;
+      return list[0][1] === list[1][1];
+    }
+  );
+  for (const prefixedItems of prefixed) {
+    const prefix = getCommonPrefix(prefixedItems);
+    finishedItems.push(
+      `${quoteMeta(prefix)}${itemsToRegexp(
+        prefixedItems.map((i) => i.slice(prefix.length))
+      )}`
+    );
+  }
+
+  // 提取公共后缀：(a1|b1|c1|d1|e2) => ((a|b|c|d)1|e2)
+  const suffixed = popCommonItems(
+    items,
+    (item) => (item.length >= 1 ? item.slice(-1) : false),
+    (list) => {
+      if (list.length >= 3) return true;
+      if (list.length <= 1) return false;
+      return list[0].slice(-2) === list[1].slice(-2);
+    }
+  );
+  for (const suffixedItems of suffixed) {
+    const suffix = getCommonSuffix(suffixedItems);
+    finishedItems.push(
+      `${itemsToRegexp(
+        suffixedItems.map((i) => i.slice(0, -suffix.length))
+      )}${quoteMeta(suffix)}`
+    );
+  }
+
+  // TODO 进一步优化正则，例如
+  // 使用范围：(1|2|3|4|a) => [1-4a]
+  const conditional = finishedItems.concat(Array.from(items, quoteMeta));
+  if (conditional.length === 1) return conditional[0];
+  return `(${conditional.join("|")})`;
+};
+
+compileBooleanMatcher.fromLists = compileBooleanMatcherFromLists;
+compileBooleanMatcher.itemsToRegexp = itemsToRegexp;
+module.exports = compileBooleanMatcher;
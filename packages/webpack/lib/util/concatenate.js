@@ -0,0 +1,230 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Template = require("../Template");
+
+/** @typedef {Set<string>} UsedNames */
+
+// 模块合并时默认导出和命名空间对象使用的内部变量名，最终都会被重命名
+const DEFAULT_EXPORT = "__WEBPACK_DEFAULT_EXPORT__";
+const NAMESPACE_OBJECT_EXPORT = "__WEBPACK_NAMESPACE_OBJECT__";
+
+/**
+ * 获取变量的所有引用，包括内层作用域中同一标识符的引用
+ * @param {Variable} variable variable
+ * @returns {Reference[]} references
+ */
+const getAllReferences = (variable) => {
+  let set = variable.references;
+  // 内层作用域中的同名变量也要算上（例如 class Foo { t() { Foo } }）
+  const identifiers = new Set(variable.identifiers);
+  for (const scope of variable.scope.childScopes) {
+    for (const innerVar of scope.variables) {
+      if (innerVar.identifiers.some((id) => identifiers.has(id))) {
+        set = set.concat(innerVar.references);
+        break;
+      }
+    }
+  }
+  return set;
+};
+
+/**
+ * 获取从 ast 到 node 的节点路径（由内向外），node 不在 ast 中时返回 undefined
+ * @param {Node | Node[]} ast ast
+ * @param {Node} node node
+ * @returns {undefined | Node[]} result
+ */
+const getPathInAst = (ast, node) => {
+  if (ast === node) {
+    return [];
+  }
+
+  const nr = /** @type {Range} */ (node.range);
+
+  /**
+   * @param {Node} n node
+   * @returns {Node[] | undefined} result
+   */
+  const enterNode = (n) => {
+    if (!n) return;
+    const r = n.range;
+    if (r && r[0] <= nr[0] && r[1] >= nr[1]) {
+      const path = getPathInAst(n, node);
+      if (path) {
+        path.push(n);
+        return path;
+      }
+    }
+  };
+
+  if (Array.isArray(ast)) {
+    for (let i = 0; i < ast.length; i++) {
+      const enterResult = enterNode(ast[i]);
+      if (enterResult !== undefined) return enterResult;
+    }
+  } else if (ast && typeof ast === "object") {
+    const keys =
+      /** @type {Array<keyof Node>} */
+      (Object.keys(ast));
+    for (let i = 0; i < keys.length; i++) {
+      // 在 enterNode 中先用 n.range 做更快的检查
+      const value =
+        ast[
+          /** @type {Exclude<keyof Node, "range" | "loc" | "leadingComments" | "trailingComments">} */
+          (keys[i])
+        ];
+      if (Array.isArray(value)) {
+        const pathResult = getPathInAst(value, node);
+        if (pathResult !== undefined) return pathResult;
+      } else if (value && typeof value === "object") {
+        const enterResult = enterNode(value);
+        if (enterResult !== undefined) return enterResult;
+      }
+    }
+  }
+};
+
+/**
+ * 为冲突的名称生成新名称，依次尝试拼接 extraInfo（通常是模块路径）中的各段，仍然冲突时追加数字
+ * @param {string} oldName old name
+ * @param {UsedNames} usedNamed1 used named 1
+ * @param {UsedNames} usedNamed2 used named 2
+ * @param {string} extraInfo extra info
+ * @returns {string} found new name
+ */
+function findNewName(oldName, usedNamed1, usedNamed2, extraInfo) {
+  let name = oldName;
+
+  if (name === DEFAULT_EXPORT) {
+    name = "";
+  }
+  if (name === NAMESPACE_OBJECT_EXPORT) {
+    name = "namespaceObject";
+  }
+
+  // 去掉相对路径、扩展名、index 和 "+ n modules" 这类信息
+  extraInfo = extraInfo.replace(
+    /\.+\/|(\/index)?\.([a-zA-Z0-9]{1,4})($|\s|\?)|\s*\+\s*\d+\s*modules/g,
+    ""
+  );
+
+  const splittedInfo = extraInfo.split("/");
+  while (splittedInfo.length) {
+    name = splittedInfo.pop() + (name ? `_${name}` : "");
+    const nameIdent = Template.toIdentifier(name);
+    if (
+      !usedNamed1.has(nameIdent) &&
+      (!usedNamed2 || !usedNamed2.has(nameIdent))
+    )
+      return nameIdent;
+  }
+
+  let i = 0;
+  let nameWithNumber = Template.toIdentifier(`${name}_${i}`);
+  while (
+    usedNamed1.has(nameWithNumber) ||
+    // eslint-disable-next-line no-unmodified-loop-condition
+    (usedNamed2 && usedNamed2.has(nameWithNumber))
+  ) {
+    i++;
+    nameWithNumber = Template.toIdentifier(`${name}_${i}`);
+  }
+  return nameWithNumber;
+}
+
+/**
+ * 把作用域及其上层作用域中声明的变量名加入 nameSet，已经处理过的作用域跳过
+ * @param {Scope | null} s scope
+ * @param {UsedNames} nameSet name set
+ * @param {TODO} scopeSet1 scope set 1
+ * @param {TODO} scopeSet2 scope set 2
+ */
+const addScopeSymbols = (s, nameSet, scopeSet1, scopeSet2) => {
+  let scope = s;
+  while (scope) {
+    if (scopeSet1.has(scope)) break;
+    if (scopeSet2.has(scope)) break;
+    scopeSet1.add(scope);
+    for (const variable of scope.variables) {
+      nameSet.add(variable.name);
+    }
+    scope = scope.upper;
+  }
+};
+
+/**
+ * 模块合并时不能使用的名称：内部名称、关键字以及常见的全局变量
+ */
+const RESERVED_NAMES = new Set(
+  [
+    // 内部名称（总是需要重命名）
+    DEFAULT_EXPORT,
+    NAMESPACE_OBJECT_EXPORT,
+
+    // 关键字
+    "abstract,arguments,async,await,boolean,break,byte,case,catch,char,class,const,continue",
+    "debugger,default,delete,do,double,else,enum,eval,export,extends,false,final,finally,float",
+    "for,function,goto,if,implements,import,in,instanceof,int,interface,let,long,native,new,null",
+    "package,private,protected,public,return,short,static,super,switch,synchronized,this,throw",
+    "throws,transient,true,try,typeof,var,void,volatile,while,with,yield",
+
+    // commonjs/amd
+    "module,__dirname,__filename,exports,require,define",
+
+    // js 全局变量
+    "Array,Date,eval,function,hasOwnProperty,Infinity,isFinite,isNaN,isPrototypeOf,length,Math",
+    "NaN,name,Number,Object,prototype,String,Symbol,toString,undefined,valueOf",
+
+    // 浏览器全局变量
+    "alert,all,anchor,anchors,area,assign,blur,button,checkbox,clearInterval,clearTimeout",
+    "clientInformation,close,closed,confirm,constructor,crypto,decodeURI,decodeURIComponent",
+    "defaultStatus,document,element,elements,embed,embeds,encodeURI,encodeURIComponent,escape",
+    "event,fileUpload,focus,form,forms,frame,innerHeight,innerWidth,layer,layers,link,location",
+    "mimeTypes,navigate,navigator,frames,frameRate,hidden,history,image,images,offscreenBuffering",
+    "open,opener,option,outerHeight,outerWidth,packages,pageXOffset,pageYOffset,parent,parseFloat",
+    "parseInt,password,pkcs11,plugin,prompt,propertyIsEnum,radio,reset,screenX,screenY,scroll",
+    "secure,select,self,setInterval,setTimeout,status,submit,taint,text,textarea,top,unescape",
+    "untaint,window",
+
+    // window 事件
+    "onblur,onclick,onerror,onfocus,onkeydown,onkeypress,onkeyup,onmouseover,onload,onmouseup,onmousedown,onsubmit",
+  ]
+    .join(",")
+    .split(",")
+);
+
+/**
+ * 获取（不存在时创建）模块中某个导出对应的已用名称信息
+ * @param {Map<string, { usedNames: UsedNames, alreadyCheckedScopes: Set<TODO> }>} usedNamesInScopeInfo used names in scope info
+ * @param {string} module module identifier
+ * @param {string} id export id
+ * @returns {{ usedNames: UsedNames, alreadyCheckedScopes: Set<TODO> }} info
+ */
+const getUsedNamesInScopeInfo = (usedNamesInScopeInfo, module, id) => {
+  const key = `${module}-${id}`;
+  let info = usedNamesInScopeInfo.get(key);
+  if (info === undefined) {
+    info = {
+      usedNames: new Set(),
+      alreadyCheckedScopes: new Set(),
+    };
+    usedNamesInScopeInfo.set(key, info);
+  }
+  return info;
+};
+
+module.exports = {
+  getUsedNamesInScopeInfo,
+  findNewName,
+  getAllReferences,
+  getPathInAst,
+  NAMESPACE_OBJECT_EXPORT,
+  DEFAULT_EXPORT,
+  RESERVED_NAMES,
+  addScopeSymbols,
+};
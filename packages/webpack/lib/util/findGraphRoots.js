@@ -0,0 +1,219 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+// 节点的访问状态
+const NO_MARKER = 0;
+const IN_PROGRESS_MARKER = 1;
+const DONE_MARKER = 2;
+const DONE_MAYBE_ROOT_CYCLE_MARKER = 3;
+const DONE_AND_ROOT_MARKER = 4;
+
+/**
+ * 图中的节点，包装原始元素并记录访问状态
+ * @template T
+ */
+class Node {
+  /**
+   * @param {T} item the value of the node
+   */
+  constructor(item) {
+    this.item = item;
+    /** @type {Set<Node<T>>} */
+    this.dependencies = new Set();
+    this.marker = NO_MARKER;
+    /** @type {Cycle<T> | undefined} */
+    this.cycle = undefined;
+    this.incoming = 0;
+  }
+}
+
+/**
+ * 一个强连通的环，包含环上的所有节点
+ * @template T
+ */
+class Cycle {
+  constructor() {
+    /** @type {Set<Node<T>>} */
+    this.nodes = new Set();
+  }
+}
+
+/**
+ * @template T
+ * @typedef {object} StackEntry
+ * @property {Node<T>} node
+ * @property {Node<T>[]} openEdges
+ */
+
+/**
+ * 找出图中的根节点：没有被其他节点引用的节点
+ * 如果根所在的是一个没有外部引用的环，取环内入边最多的节点作为根
+ * @template T
+ * @param {Iterable<T>} items list of items
+ * @param {function(T): Iterable<T>} getDependencies function to get dependencies of an item (items that are not in list are ignored)
+ * @returns {Iterable<T>} graph roots of the items
+ */
+module.exports = (items, getDependencies) => {
+  /** @type {Map<T, Node<T>>} */
+  const itemToNode = new Map();
+  for (const item of items) {
+    const node = new Node(item);
+    itemToNode.set(item, node);
+  }
+
+  // 只有一个元素时它就是根
+  if (itemToNode.size <= 1) return items;
+
+  // 收集每个节点的依赖，不在列表中的元素忽略
+  for (const node of itemToNode.values()) {
+    for (const dep of getDependencies(node.item)) {
+      const depNode = itemToNode.get(dep);
+      if (depNode !== undefined) {
+        node.dependencies.add(depNode);
+      }
+    }
+  }
+
+  // 当前的根节点，发现有其他节点引用它时移除
+  /** @type {Set<Node<T>>} */
+  const roots = new Set();
+
+  // 当前没有被环外节点引用的环，发现环外的引用时移除
+  /** @type {Set<Cycle<T>>} */
+  const rootCycles = new Set();
+
+  // 从每个未访问的节点开始
+  for (const selectedNode of itemToNode.values()) {
+    if (selectedNode.marker === NO_MARKER) {
+      // 非递归地深度遍历所有被引用的节点
+
+      // 先进入选中的节点
+      selectedNode.marker = IN_PROGRESS_MARKER;
+
+      // 用栈代替递归
+      /** @type {StackEntry<T>[]} */
+      const stack = [
+        {
+          node: selectedNode,
+          openEdges: Array.from(selectedNode.dependencies),
+        },
+      ];
+
+      // 处理栈顶节点直到栈为空
+      while (stack.length > 0) {
+        const topOfStack = stack[stack.length - 1];
+
+        // 当前节点是否还有未处理的边
+        if (topOfStack.openEdges.length > 0) {
+          // 处理其中一个依赖
+          const dependency =
+            /** @type {Node<T>} */
+            (topOfStack.openEdges.pop());
+          switch (dependency.marker) {
+            case NO_MARKER:
+              // 依赖还未访问，标记为处理中并进入
+              stack.push({
+                node: dependency,
+                openEdges: Array.from(dependency.dependencies),
+              });
+              dependency.marker = IN_PROGRESS_MARKER;
+              break;
+            case IN_PROGRESS_MARKER: {
+              // 依赖正在栈上，说明形成了环
+              let cycle = dependency.cycle;
+              if (!cycle) {
+                cycle = new Cycle();
+                cycle.nodes.add(dependency);
+                dependency.cycle = cycle;
+              }
+              // 给环上的每个节点设置 cycle，已经属于其他环的节点把两个环合并
+              for (
+                let i = stack.length - 1;
+                stack[i].node !== dependency;
+                i--
+              ) {
+                const node = stack[i].node;
+                if (node.cycle) {
+                  if (node.cycle !== cycle) {
+                    // 合并环
+                    for (const cycleNode of node.cycle.nodes) {
+                      cycleNode.cycle = cycle;
+                      cycle.nodes.add(cycleNode);
+                    }
+                  }
+                } else {
+                  node.cycle = cycle;
+                  cycle.nodes.add(node);
+                }
+              }
+              // 环上的节点已经在栈上，不再进入
+              break;
+            }
+            case DONE_AND_ROOT_MARKER:
+              // 节点已访问且当前是根节点，但现在有新的引用指向它，
+              // 所以它不是根，转为普通节点
+              dependency.marker = DONE_MARKER;
+              roots.delete(dependency);
+              break;
+            case DONE_MAYBE_ROOT_CYCLE_MARKER:
+              // 节点已访问且可能属于某个根环，现在环外有引用指向它，
+              // 所以这个环不是根环，从根环中移除并把节点转为普通节点
+              rootCycles.delete(/** @type {Cycle<T>} */ (dependency.cycle));
+              dependency.marker = DONE_MARKER;
+              break;
+            // DONE_MARKER：已经处理完，不需要再进入
+          }
+        } else {
+          // 当前节点的所有依赖都已访问，离开该节点
+          stack.pop();
+          topOfStack.node.marker = DONE_MARKER;
+        }
+      }
+      const cycle = selectedNode.cycle;
+      if (cycle) {
+        for (const node of cycle.nodes) {
+          node.marker = DONE_MAYBE_ROOT_CYCLE_MARKER;
+        }
+        rootCycles.add(cycle);
+      } else {
+        selectedNode.marker = DONE_AND_ROOT_MARKER;
+        roots.add(selectedNode);
+      }
+    }
+  }
+
+  // 从根环中选出根：取环内入边最多的节点
+  for (const cycle of rootCycles) {
+    let max = 0;
+    /** @type {Set<Node<T>>} */
+    const cycleRoots = new Set();
+    const nodes = cycle.nodes;
+    for (const node of nodes) {
+      for (const dep of node.dependencies) {
+        if (nodes.has(dep)) {
+          dep.incoming++;
+          if (dep.incoming < max) continue;
+          if (dep.incoming > max) {
+            cycleRoots.clear();
+            max = dep.incoming;
+          }
+          cycleRoots.add(dep);
+        }
+      }
+    }
+    for (const cycleRoot of cycleRoots) {
+      roots.add(cycleRoot);
+    }
+  }
+
+  // 找到根时返回它们
+  if (roots.size > 0) {
+    return Array.from(roots, (r) => r.item);
+  }
+
+  throw new Error("Implementation of findGraphRoots is broken");
+};
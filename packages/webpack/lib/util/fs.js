@@ -0,0 +1,311 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const path = require("path");
+
+/**
+ * 文件系统相关的路径工具
+ *
+ * 输入、输出文件系统可以是自定义的（例如 memfs），它们可能提供自己的 join / relative / dirname，
+ * 没有提供时根据路径的形式选择 posix 或 win32 的实现
+ */
+
+/**
+ * 读取源码、loader、package.json 等使用的文件系统，
+ * 可以是 graceful-fs、memfs 或 NodeEnvironmentPlugin 创建的 CachedInputFileSystem
+ * @typedef {object} InputFileSystem
+ * @property {function(string, function(NodeJS.ErrnoException | null, Buffer=): void): void} readFile
+ * @property {function(string, function(NodeJS.ErrnoException | null, (string | Buffer)=): void): void} readlink
+ * @property {function(string, function(NodeJS.ErrnoException | null, string[]=): void): void} readdir
+ * @property {function(string, function(NodeJS.ErrnoException | null, IStats=): void): void} stat
+ * @property {function(string, function(NodeJS.ErrnoException | null, IStats=): void): void=} lstat
+ * @property {function(string, function(NodeJS.ErrnoException | null, string=): void): void=} realpath
+ * @property {function(string, function(NodeJS.ErrnoException | Error | null, any=): void): void=} readJson
+ * @property {function((string | string[] | Set<string>)=): void=} purge
+ * @property {(function(string, string): string)=} join
+ * @property {(function(string, string): string)=} relative
+ * @property {(function(string): string)=} dirname
+ */
+
+/**
+ * 写入输出文件使用的文件系统，readdir / rmdir / unlink 只有 output.clean 需要
+ * @typedef {object} OutputFileSystem
+ * @property {function(string, (string | Buffer), function(NodeJS.ErrnoException | null): void): void} writeFile
+ * @property {function(string, function(NodeJS.ErrnoException | null): void): void} mkdir
+ * @property {function(string, function(NodeJS.ErrnoException | null, string[]=): void): void=} readdir
+ * @property {function(string, function(NodeJS.ErrnoException | null): void): void=} rmdir
+ * @property {function(string, function(NodeJS.ErrnoException | null): void): void=} unlink
+ * @property {function(string, function(NodeJS.ErrnoException | null, IStats=): void): void} stat
+ * @property {function(string, function(NodeJS.ErrnoException | null, IStats=): void): void=} lstat
+ * @property {function(string, function(NodeJS.ErrnoException | null, Buffer=): void): void} readFile
+ * @property {(function(string, string): string)=} join
+ * @property {(function(string, string): string)=} relative
+ * @property {(function(string): string)=} dirname
+ */
+
+/**
+ * 文件系统缓存、records 等中间文件使用的文件系统，需要同时支持读写以及流式写入
+ * @typedef {object} IntermediateFileSystemExtras
+ * @property {function(string): void} mkdirSync
+ * @property {function(string): NodeJS.WritableStream} createWriteStream
+ * @property {function(string, string, function(NodeJS.ErrnoException | null, number=): void): void} open
+ * @property {function(number, Buffer, number, number, number | null, function(NodeJS.ErrnoException | null, number=): void): void} read
+ * @property {function(number, function(NodeJS.ErrnoException | null): void): void} close
+ * @property {function(string, string, function(NodeJS.ErrnoException | null): void): void} rename
+ */
+
+/** @typedef {InputFileSystem & OutputFileSystem & IntermediateFileSystemExtras} IntermediateFileSystem */
+
+/**
+ * @param {InputFileSystem | OutputFileSystem | undefined} fs a file system
+ * @param {string} rootPath a path
+ * @param {string} targetPath a path
+ * @returns {string} location of targetPath relative to rootPath
+ */
+const relative = (fs, rootPath, targetPath) => {
+  if (fs && fs.relative) {
+    return fs.relative(rootPath, targetPath);
+  } else if (path.posix.isAbsolute(rootPath)) {
+    return path.posix.relative(rootPath, targetPath);
+  } else if (path.win32.isAbsolute(rootPath)) {
+    return path.win32.relative(rootPath, targetPath);
+  }
+  throw new Error(
+    `${rootPath} is neither a posix nor a windows path, and there is no 'relative' method defined in the file system`
+  );
+};
+module.exports.relative = relative;
+
+/**
+ * @param {InputFileSystem | OutputFileSystem | undefined} fs a file system
+ * @param {string} rootPath a path
+ * @param {string} filename a filename
+ * @returns {string} the joined path
+ */
+const join = (fs, rootPath, filename) => {
+  if (fs && fs.join) {
+    return fs.join(rootPath, filename);
+  } else if (path.posix.isAbsolute(rootPath)) {
+    return path.posix.join(rootPath, filename);
+  } else if (path.win32.isAbsolute(rootPath)) {
+    return path.win32.join(rootPath, filename);
+  }
+  throw new Error(
+    `${rootPath} is neither a posix nor a windows path, and there is no 'join' method defined in the file system`
+  );
+};
+module.exports.join = join;
+
+/**
+ * @param {InputFileSystem | OutputFileSystem | undefined} fs a file system
+ * @param {string} absPath an absolute path
+ * @returns {string} the parent directory of the absolute path
+ */
+const dirname = (fs, absPath) => {
+  if (fs && fs.dirname) {
+    return fs.dirname(absPath);
+  } else if (path.posix.isAbsolute(absPath)) {
+    return path.posix.dirname(absPath);
+  } else if (path.win32.isAbsolute(absPath)) {
+    return path.win32.dirname(absPath);
+  }
+  throw new Error(
+    `${absPath} is neither a posix nor a windows path, and there is no 'dirname' method defined in the file system`
+  );
+};
+module.exports.dirname = dirname;
+
+/**
+ * 递归创建目录，父目录不存在时先创建父目录，目录已存在不算错误
+ * @param {OutputFileSystem} fs a file system
+ * @param {string} p an absolute path
+ * @param {function(Error=): void} callback callback function for the error
+ * @returns {void}
+ */
+const mkdirp = (fs, p, callback) => {
+  fs.mkdir(p, (err) => {
+    if (err) {
+      if (err.code === "ENOENT") {
+        const dir = dirname(fs, p);
+        if (dir === p) {
+          callback(err);
+          return;
+        }
+        mkdirp(fs, dir, (err) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+          fs.mkdir(p, (err) => {
+            if (err) {
+              if (err.code === "EEXIST") {
+                callback();
+                return;
+              }
+              callback(err);
+              return;
+            }
+            callback();
+          });
+        });
+        return;
+      } else if (err.code === "EEXIST") {
+        callback();
+        return;
+      }
+      callback(err);
+      return;
+    }
+    callback();
+  });
+};
+module.exports.mkdirp = mkdirp;
+
+/**
+ * mkdirp 的同步版本
+ * @param {IntermediateFileSystem} fs a file system
+ * @param {string} p an absolute path
+ * @returns {void}
+ */
+const mkdirpSync = (fs, p) => {
+  try {
+    fs.mkdirSync(p);
+  } catch (err) {
+    if (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === "ENOENT") {
+        const dir = dirname(fs, p);
+        if (dir === p) {
+          throw err;
+        }
+        mkdirpSync(fs, dir);
+        fs.mkdirSync(p);
+        return;
+      } else if (/** @type {NodeJS.ErrnoException} */ (err).code === "EEXIST") {
+        return;
+      }
+      throw err;
+    }
+  }
+};
+module.exports.mkdirpSync = mkdirpSync;
+
+/**
+ * 递归删除文件或目录，路径不存在不算错误
+ * 文件系统需要提供 readdir、unlink 和 rmdir，有 lstat 时符号链接本身会被删除而不会进入它指向的目录
+ * @param {OutputFileSystem} fs a file system
+ * @param {string} p an absolute path
+ * @param {function(Error=): void} callback callback function for the error
+ * @returns {void}
+ */
+const rmrf = (fs, p, callback) => {
+  const { readdir, rmdir, unlink } = fs;
+  if (!readdir || !rmdir || !unlink) {
+    return callback(
+      new Error(
+        "rmrf: file system doesn't support removing files (readdir, rmdir and unlink are required)"
+      )
+    );
+  }
+  /**
+   * @param {NodeJS.ErrnoException | null} err error
+   * @returns {void}
+   */
+  const done = (err) => {
+    if (err && err.code !== "ENOENT") return callback(err);
+    callback();
+  };
+  const stat = fs.lstat || fs.stat;
+  stat.call(fs, p, (err, stats) => {
+    if (err) return done(err);
+    if (!(/** @type {IStats} */ (stats).isDirectory())) {
+      return unlink.call(fs, p, done);
+    }
+    readdir.call(fs, p, (err, entries) => {
+      if (err) return done(err);
+      const children = /** @type {string[]} */ (entries);
+      let remaining = children.length;
+      if (remaining === 0) return rmdir.call(fs, p, done);
+      let failed = false;
+      for (const child of children) {
+        rmrf(fs, join(fs, p, child), (err) => {
+          if (failed) return;
+          if (err) {
+            failed = true;
+            return callback(err);
+          }
+          if (--remaining === 0) rmdir.call(fs, p, done);
+        });
+      }
+    });
+  });
+};
+module.exports.rmrf = rmrf;
+
+/**
+ * 读取并解析 JSON 文件，文件系统提供 readJson（例如 CachedInputFileSystem）时直接使用它，结果会被缓存
+ * @param {InputFileSystem} fs a file system
+ * @param {string} p an absolute path
+ * @param {function(NodeJS.ErrnoException | Error | null, any=): void} callback callback
+ * @returns {void}
+ */
+const readJson = (fs, p, callback) => {
+  if ("readJson" in fs)
+    return /** @type {NonNullable<InputFileSystem["readJson"]>} */ (
+      fs.readJson
+    )(p, callback);
+  fs.readFile(p, (err, buf) => {
+    if (err) return callback(err);
+    let data;
+    try {
+      data = JSON.parse(/** @type {Buffer} */ (buf).toString("utf-8"));
+    } catch (err1) {
+      return callback(/** @type {Error} */ (err1));
+    }
+    return callback(null, data);
+  });
+};
+module.exports.readJson = readJson;
+
+/**
+ * 读取路径的 lstat，如果是符号链接则返回链接指向的绝对路径
+ * @param {InputFileSystem} fs a file system
+ * @param {string} p an absolute path
+ * @param {function(NodeJS.ErrnoException | Error | null, (IStats | string)=): void} callback callback
+ * @returns {void}
+ */
+const lstatReadlinkAbsolute = (fs, p, callback) => {
+  let i = 3;
+  const doReadLink = () => {
+    fs.readlink(p, (err, target) => {
+      if (err && --i > 0) {
+        // 可能刚从符号链接变成了普通文件，重试 2 次再报错
+        return doStat();
+      }
+      if (err) return callback(err);
+      const value = /** @type {string} */ (target).toString();
+      callback(null, join(fs, dirname(fs, p), value));
+    });
+  };
+  const doStat = () => {
+    if ("lstat" in fs) {
+      return /** @type {NonNullable<InputFileSystem["lstat"]>} */ (fs.lstat)(
+        p,
+        (err, stats) => {
+          if (err) return callback(err);
+          if (/** @type {IStats} */ (stats).isSymbolicLink()) {
+            return doReadLink();
+          }
+          callback(null, stats);
+        }
+      );
+    }
+    return fs.stat(p, callback);
+  };
+  if ("lstat" in fs) return doStat();
+  doReadLink();
+};
+module.exports.lstatReadlinkAbsolute = lstatReadlinkAbsolute;
@@ -0,0 +1,77 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const Hash = require("../Hash");
+const MAX_SHORT_STRING = require("./wasm-hash").MAX_SHORT_STRING;
+
+/**
+ * 对 wasm 实现的哈希进行批量包装
+ *
+ * webpack 计算 hash 时会产生大量很短的 update 调用，每次都进入 wasm 开销较大，
+ * 这里把连续的短字符串先拼接起来，超过 MAX_SHORT_STRING 或需要 digest 时再一次性写入
+ */
+class BatchedHash extends Hash {
+  /**
+   * @param {Hash} hash hash
+   */
+  constructor(hash) {
+    super();
+    this.string = undefined;
+    this.encoding = undefined;
+    this.hash = hash;
+  }
+
+  /**
+   * Update hash {@link https://nodejs.org/api/crypto.html#crypto_hash_update_data_inputencoding}
+   * @param {string|Buffer} data data
+   * @param {string=} inputEncoding data encoding
+   * @returns {this} updated hash
+   */
+  update(data, inputEncoding) {
+    if (this.string !== undefined) {
+      if (
+        typeof data === "string" &&
+        inputEncoding === this.encoding &&
+        this.string.length + data.length < MAX_SHORT_STRING
+      ) {
+        this.string += data;
+        return this;
+      }
+      this.hash.update(this.string, this.encoding);
+      this.string = undefined;
+    }
+    if (typeof data === "string") {
+      if (
+        data.length < MAX_SHORT_STRING &&
+        // base64 编码可能包含填充字符，拼接后结果会不同，不能缓冲
+        (!inputEncoding || !inputEncoding.startsWith("ba"))
+      ) {
+        this.string = data;
+        this.encoding = inputEncoding;
+      } else {
+        this.hash.update(data, inputEncoding);
+      }
+    } else {
+      this.hash.update(data);
+    }
+    return this;
+  }
+
+  /**
+   * Calculates the digest {@link https://nodejs.org/api/crypto.html#crypto_hash_digest_encoding}
+   * @param {string=} encoding encoding of the return value
+   * @returns {string|Buffer} digest
+   */
+  digest(encoding) {
+    if (this.string !== undefined) {
+      this.hash.update(this.string, this.encoding);
+    }
+    return this.hash.digest(encoding);
+  }
+}
+
+module.exports = BatchedHash;
@@ -0,0 +1,122 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+// 反序列化时按 request 加载对应模块（模块加载时会通过 makeSerializable 注册序列化器）
+// 这里列出所有静态 require，而不是使用动态的 require(`../${request}`)，
+// 这样 webpack 自身被打包时也能正常工作
+// 新增通过 makeSerializable 注册的模块时，需要在这里添加对应的一项
+module.exports = {
+  AsyncDependenciesBlock: () => require("../AsyncDependenciesBlock"),
+  CommentCompilationWarning: () => require("../CommentCompilationWarning"),
+  ContextModule: () => require("../ContextModule"),
+  FileSystemInfo: () => require("../FileSystemInfo"),
+  "cache/PackFileCacheStrategy": () =>
+    require("../cache/PackFileCacheStrategy"),
+  "dependencies/CommonJsExportRequireDependency": () =>
+    require("../dependencies/CommonJsExportRequireDependency"),
+  "dependencies/CommonJsExportsDependency": () =>
+    require("../dependencies/CommonJsExportsDependency"),
+  "dependencies/CommonJsFullRequireDependency": () =>
+    require("../dependencies/CommonJsFullRequireDependency"),
+  "dependencies/CommonJsRequireContextDependency": () =>
+    require("../dependencies/CommonJsRequireContextDependency"),
+  "dependencies/CommonJsRequireDependency": () =>
+    require("../dependencies/CommonJsRequireDependency"),
+  "dependencies/CommonJsSelfReferenceDependency": () =>
+    require("../dependencies/CommonJsSelfReferenceDependency"),
+  "dependencies/ConstDependency": () =>
+    require("../dependencies/ConstDependency"),
+  "dependencies/ContextDependency": () =>
+    require("../dependencies/ContextDependency"),
+  "dependencies/ContextElementDependency": () =>
+    require("../dependencies/ContextElementDependency"),
+  "dependencies/CriticalDependencyWarning": () =>
+    require("../dependencies/CriticalDependencyWarning"),
+  "dependencies/EntryDependency": () =>
+    require("../dependencies/EntryDependency"),
+  "dependencies/HarmonyAcceptDependency": () =>
+    require("../dependencies/HarmonyAcceptDependency"),
+  "dependencies/HarmonyAcceptImportDependency": () =>
+    require("../dependencies/HarmonyAcceptImportDependency"),
+  "dependencies/HarmonyCompatibilityDependency": () =>
+    require("../dependencies/HarmonyCompatibilityDependency"),
+  "dependencies/HarmonyEvaluatedImportSpecifierDependency": () =>
+    require("../dependencies/HarmonyEvaluatedImportSpecifierDependency"),
+  "dependencies/HarmonyExportExpressionDependency": () =>
+    require("../dependencies/HarmonyExportExpressionDependency"),
+  "dependencies/HarmonyExportHeaderDependency": () =>
+    require("../dependencies/HarmonyExportHeaderDependency"),
+  "dependencies/HarmonyExportImportedSpecifierDependency": () =>
+    require("../dependencies/HarmonyExportImportedSpecifierDependency"),
+  "dependencies/HarmonyExportSpecifierDependency": () =>
+    require("../dependencies/HarmonyExportSpecifierDependency"),
+  "dependencies/HarmonyImportSideEffectDependency": () =>
+    require("../dependencies/HarmonyImportSideEffectDependency"),
+  "dependencies/HarmonyImportSpecifierDependency": () =>
+    require("../dependencies/HarmonyImportSpecifierDependency"),
+  "dependencies/LocalModule": () => require("../dependencies/LocalModule"),
+  "dependencies/LocalModuleDependency": () =>
+    require("../dependencies/LocalModuleDependency"),
+  "dependencies/ModuleDecoratorDependency": () =>
+    require("../dependencies/ModuleDecoratorDependency"),
+  "dependencies/ModuleHotAcceptDependency": () =>
+    require("../dependencies/ModuleHotAcceptDependency"),
+  "dependencies/ModuleHotDeclineDependency": () =>
+    require("../dependencies/ModuleHotDeclineDependency"),
+  "dependencies/ImportContextDependency": () =>
+    require("../dependencies/ImportContextDependency"),
+  "dependencies/ImportDependency": () =>
+    require("../dependencies/ImportDependency"),
+  "dependencies/ImportEagerDependency": () =>
+    require("../dependencies/ImportEagerDependency"),
+  "dependencies/ImportWeakDependency": () =>
+    require("../dependencies/ImportWeakDependency"),
+  "dependencies/ImportMetaHotAcceptDependency": () =>
+    require("../dependencies/ImportMetaHotAcceptDependency"),
+  "dependencies/ImportMetaHotDeclineDependency": () =>
+    require("../dependencies/ImportMetaHotDeclineDependency"),
+  "dependencies/ProvidedDependency": () =>
+    require("../dependencies/ProvidedDependency"),
+  "dependencies/RequireContextDependency": () =>
+    require("../dependencies/RequireContextDependency"),
+  "dependencies/RequireHeaderDependency": () =>
+    require("../dependencies/RequireHeaderDependency"),
+  "dependencies/RequireResolveContextDependency": () =>
+    require("../dependencies/RequireResolveContextDependency"),
+  "dependencies/RequireResolveDependency": () =>
+    require("../dependencies/RequireResolveDependency"),
+  "dependencies/RequireResolveHeaderDependency": () =>
+    require("../dependencies/RequireResolveHeaderDependency"),
+  "dependencies/RuntimeRequirementsDependency": () =>
+    require("../dependencies/RuntimeRequirementsDependency"),
+  "dependencies/StaticExportsDependency": () =>
+    require("../dependencies/StaticExportsDependency"),
+  DependenciesBlock: () => require("../DependenciesBlock"),
+  EnvironmentNotSupportAsyncWarning: () =>
+    require("../EnvironmentNotSupportAsyncWarning"),
+  ExternalModule: () => require("../ExternalModule"),
+  InitFragment: () => require("../InitFragment"),
+  InvalidDependenciesModuleWarning: () =>
+    require("../InvalidDependenciesModuleWarning"),
+  Module: () => require("../Module"),
+  ModuleBuildError: () => require("../ModuleBuildError"),
+  ModuleDependencyError: () => require("../ModuleDependencyError"),
+  ModuleDependencyWarning: () => require("../ModuleDependencyWarning"),
+  ModuleError: () => require("../ModuleError"),
+  ModuleGraph: () => require("../ModuleGraph"),
+  ModuleParseError: () => require("../ModuleParseError"),
+  ModuleWarning: () => require("../ModuleWarning"),
+  NormalModule: () => require("../NormalModule"),
+  RawModule: () => require("../RawModule"),
+  "util/LazySet": () => require("../util/LazySet"),
+  UnhandledSchemeError: () => require("../UnhandledSchemeError"),
+  UnsupportedFeatureWarning: () => require("../UnsupportedFeatureWarning"),
+  WebpackError: () => require("../WebpackError"),
+  "util/registerExternalSerializer": () => {
+    // 已经在 util/serialization 中直接注册
+  },
+};
@@ -0,0 +1,21 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Alexander Akait @alexander-akait
+*/
+
+"use strict";
+
+// 匹配至少包含一个 magic comment（例如 webpackChunkName:）的注释
+module.exports.webpackCommentRegExp = new RegExp(
+  /(^|\W)webpack[A-Z]{1,}[A-Za-z]{1,}:/
+);
+
+/**
+ * 创建执行 magic comment 的 vm 上下文，禁止在其中通过字符串生成代码
+ * @returns {object} magic comment context
+ */
+module.exports.createMagicCommentContext = () =>
+  require("vm").createContext(undefined, {
+    name: "Webpack Magic Comment Parser",
+    codeGeneration: { strings: false, wasm: false },
+  });
@@ -0,0 +1,84 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/**
+ * 超过这个范围时改用 64 位哈希，保证 32 位哈希取模时偏向较小结果的误差小于 0.5%
+ * @type {number}
+ */
+const FNV_64_THRESHOLD = 1 << 24;
+
+/**
+ * 32 位 FNV-1a 的初始值
+ * @type {number}
+ */
+const FNV_OFFSET_32 = 2166136261;
+/**
+ * 32 位 FNV-1a 的质数
+ * @type {number}
+ */
+const FNV_PRIME_32 = 16777619;
+/**
+ * 正的 32 位有符号整数掩码
+ * @type {number}
+ */
+const MASK_31 = 0x7fffffff;
+
+/**
+ * 64 位 FNV-1a 的初始值
+ * @type {bigint}
+ */
+const FNV_OFFSET_64 = BigInt("0xCBF29CE484222325");
+/**
+ * 64 位 FNV-1a 的质数
+ * @type {bigint}
+ */
+const FNV_PRIME_64 = BigInt("0x100000001B3");
+
+/**
+ * 计算字符串的 32 位 FNV-1a 哈希
+ * @param {string} str The input string to hash
+ * @returns {number} - The computed hash value.
+ */
+function fnv1a32(str) {
+  let hash = FNV_OFFSET_32;
+  for (let i = 0, len = str.length; i < len; i++) {
+    hash ^= str.charCodeAt(i);
+    // Math.imul 做 C 风格的 32 位乘法，只保留低 32 位
+    hash = Math.imul(hash, FNV_PRIME_32);
+  }
+  // 保证结果为正数
+  return hash & MASK_31;
+}
+
+/**
+ * 计算字符串的 64 位 FNV-1a 哈希
+ * @param {string} str The input string to hash
+ * @returns {bigint} - The computed hash value.
+ */
+function fnv1a64(str) {
+  let hash = FNV_OFFSET_64;
+  for (let i = 0, len = str.length; i < len; i++) {
+    hash ^= BigInt(str.charCodeAt(i));
+    hash = BigInt.asUintN(64, hash * FNV_PRIME_64);
+  }
+  return hash;
+}
+
+/**
+ * 把字符串哈希为 [0, range) 范围内的数字（FNV-1a，只追求速度，不是加密哈希）
+ *
+ * ids/IdHelpers 用它根据模块标识符生成确定性的数字 id
+ * @param {string} str The input string to hash.
+ * @param {number} range The range of the hash value (0 to range-1).
+ * @returns {number} - The computed hash value.
+ */
+module.exports = (str, range) => {
+  if (range < FNV_64_THRESHOLD) {
+    return fnv1a32(str) % range;
+  }
+  return Number(fnv1a64(str) % BigInt(range));
+};
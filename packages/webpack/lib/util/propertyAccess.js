@@ -0,0 +1,32 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { SAFE_IDENTIFIER, RESERVED_IDENTIFIER } = require("./propertyName");
+
+/**
+ * 把属性列表转换为属性访问代码，例如 ["a", "default", "0"] 转换为 .a["default"][0]
+ * 合法标识符使用点号访问，数字和其他名称使用方括号访问
+ * @param {ArrayLike<string>} properties properties
+ * @param {number} start start index
+ * @returns {string} chain of property accesses
+ */
+const propertyAccess = (properties, start = 0) => {
+  let str = "";
+  for (let i = start; i < properties.length; i++) {
+    const p = properties[i];
+    if (`${Number(p)}` === p) {
+      str += `[${p}]`;
+    } else if (SAFE_IDENTIFIER.test(p) && !RESERVED_IDENTIFIER.has(p)) {
+      str += `.${p}`;
+    } else {
+      str += `[${JSON.stringify(p)}]`;
+    }
+  }
+  return str;
+};
+
+module.exports = propertyAccess;
@@ -0,0 +1,78 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+// 可以直接用作属性名的标识符（只考虑 ASCII 字符）
+const SAFE_IDENTIFIER = /^[_a-zA-Z$][_a-zA-Z$0-9]*$/;
+// 保留字，用作属性名时需要加引号
+const RESERVED_IDENTIFIER = new Set([
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "export",
+  "extends",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "import",
+  "in",
+  "instanceof",
+  "new",
+  "return",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+  "enum",
+  // 严格模式下的保留字
+  "implements",
+  "interface",
+  "let",
+  "package",
+  "private",
+  "protected",
+  "public",
+  "static",
+  "yield",
+  "yield",
+  // 模块代码中的保留字
+  "await",
+  // ES1 到 ES3 中定义的未来保留字不再列出
+  // 其他字面量
+  "null",
+  "true",
+  "false",
+]);
+
+/**
+ * 返回合法的对象字面量属性名
+ * "default"、"null" 这类保留字以及包含空格等字符的名称不能直接作为属性名，会返回 JSON 字符串
+ * @param {string} prop property name to analyze
+ * @returns {string} valid JS property name
+ */
+const propertyName = (prop) => {
+  if (SAFE_IDENTIFIER.test(prop) && !RESERVED_IDENTIFIER.has(prop)) {
+    return prop;
+  }
+  return JSON.stringify(prop);
+};
+
+module.exports = { SAFE_IDENTIFIER, RESERVED_IDENTIFIER, propertyName };
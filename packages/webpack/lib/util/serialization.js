@@ -6,9 +6,41 @@
 
 const memoize = require("./memoize");
 
+const getBinaryMiddleware = memoize(() =>
+  require("../serialization/BinaryMiddleware")
+);
 const getObjectMiddleware = memoize(() =>
   require("../serialization/ObjectMiddleware")
 );
+const getSingleItemMiddleware = memoize(() =>
+  require("../serialization/SingleItemMiddleware")
+);
+const getSerializer = memoize(() => require("../serialization/Serializer"));
+const getSerializerMiddleware = memoize(() =>
+  require("../serialization/SerializerMiddleware")
+);
+
+const getBinaryMiddlewareInstance = memoize(
+  () => new (getBinaryMiddleware())()
+);
+
+// 注册第三方库的序列化器，以及 webpack/lib/ 下模块的 loader
+// 只在真正创建 Serializer 时执行一次
+const registerSerializers = memoize(() => {
+  require("./registerExternalSerializer");
+
+  // 通过相对路径加载内部模块，这样 webpack 自身被打包时也能找到这些序列化器
+  const internalSerializables = require("./internalSerializables");
+  getObjectMiddleware().registerLoader(/^webpack\/lib\//, (req) => {
+    const loader = internalSerializables[req.slice("webpack/lib/".length)];
+    if (loader) {
+      loader();
+    } else {
+      console.warn(`${req} not found in internalSerializables`);
+    }
+    return true;
+  });
+});
 
 /** @type {Serializer} */
 let buffersSerializer;
@@ -18,4 +50,101 @@ module.exports = {
   get register() {
     return getObjectMiddleware().register;
   },
+  get registerLoader() {
+    return getObjectMiddleware().registerLoader;
+  },
+  get registerNotSerializable() {
+    return getObjectMiddleware().registerNotSerializable;
+  },
+  // 在 serialize 中抛出该值表示对象无法序列化，调用方（如 PackContentItems）会跳过该项
+  get NOT_SERIALIZABLE() {
+    return getObjectMiddleware().NOT_SERIALIZABLE;
+  },
+  get MEASURE_START_OPERATION() {
+    return getBinaryMiddleware().MEASURE_START_OPERATION;
+  },
+  get MEASURE_END_OPERATION() {
+    return getBinaryMiddleware().MEASURE_END_OPERATION;
+  },
+  /**
+   * 把对象序列化成 Buffer 数组的 Serializer，不写文件
+   * 管道：SingleItemMiddleware -> ObjectMiddleware -> BinaryMiddleware
+   * @returns {Serializer} buffer serializer
+   */
+  get buffersSerializer() {
+    if (buffersSerializer !== undefined) return buffersSerializer;
+    registerSerializers();
+    const Serializer = getSerializer();
+    const binaryMiddleware = getBinaryMiddlewareInstance();
+    const SerializerMiddleware = getSerializerMiddleware();
+    const SingleItemMiddleware = getSingleItemMiddleware();
+    return (buffersSerializer = new Serializer([
+      new SingleItemMiddleware(),
+      new (getObjectMiddleware())((context) => {
+        if (context.write) {
+          /**
+           * @param {any} value value
+           */
+          context.writeLazy = (value) => {
+            context.write(
+              SerializerMiddleware.createLazy(value, binaryMiddleware)
+            );
+          };
+        }
+      }, "md4"),
+      binaryMiddleware,
+    ]));
+  },
+  /**
+   * 创建写入文件的 Serializer，文件系统缓存（PackFileCacheStrategy）使用
+   * 管道：SingleItemMiddleware -> ObjectMiddleware -> BinaryMiddleware -> CompressionMiddleware -> FileMiddleware
+   * context.writeLazy 写入的值在读取时才反序列化，
+   * context.writeSeparate 写入的值会保存到单独的文件中
+   * @param {IntermediateFileSystem} fs filesystem
+   * @param {string | Hash} hashFunction hash function to use
+   * @param {false | "gzip" | "brotli"=} compression compression of the written files
+   * @returns {Serializer} file serializer
+   */
+  createFileSerializer: (fs, hashFunction, compression = false) => {
+    registerSerializers();
+    const Serializer = getSerializer();
+    const CompressionMiddleware = require("../serialization/CompressionMiddleware");
+    const FileMiddleware = require("../serialization/FileMiddleware");
+    const fileMiddleware = new FileMiddleware(fs, hashFunction);
+    const binaryMiddleware = getBinaryMiddlewareInstance();
+    const SerializerMiddleware = getSerializerMiddleware();
+    const SingleItemMiddleware = getSingleItemMiddleware();
+    return new Serializer([
+      new SingleItemMiddleware(),
+      new (getObjectMiddleware())((context) => {
+        if (context.write) {
+          /**
+           * @param {any} value value
+           */
+          context.writeLazy = (value) => {
+            context.write(
+              SerializerMiddleware.createLazy(value, binaryMiddleware)
+            );
+          };
+          /**
+           * @param {any} value value
+           * @param {object=} options lazy options
+           * @returns {function(): Promise<any> | any} lazy function
+           */
+          context.writeSeparate = (value, options) => {
+            const lazy = SerializerMiddleware.createLazy(
+              value,
+              fileMiddleware,
+              options
+            );
+            context.write(lazy);
+            return lazy;
+          };
+        }
+      }, hashFunction),
+      binaryMiddleware,
+      new CompressionMiddleware(compression),
+      fileMiddleware,
+    ]);
+  },
 };
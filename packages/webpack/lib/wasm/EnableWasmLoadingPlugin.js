@@ -0,0 +1,100 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @type {WeakMap<Compiler, Set<WasmLoadingType>>} */
+const enabledTypes = new WeakMap();
+
+/**
+ * @param {Compiler} compiler compiler instance
+ * @returns {Set<WasmLoadingType>} enabled types
+ */
+const getEnabledTypes = (compiler) => {
+  let set = enabledTypes.get(compiler);
+  if (set === undefined) {
+    set = new Set();
+    enabledTypes.set(compiler, set);
+  }
+  return set;
+};
+
+/**
+ * 启用 output.wasmLoading 的加载方式
+ *
+ * 当前没有 WebAssembly 模块的解析和生成，这里只登记已知的加载方式，
+ * 让入口的 wasmLoading 检查与 webpack 一致，未知类型报错
+ */
+class EnableWasmLoadingPlugin {
+  /**
+   * @param {WasmLoadingType} type library type that should be available
+   */
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * @param {Compiler} compiler the compiler instance
+   * @param {WasmLoadingType} type type of library
+   * @returns {void}
+   */
+  static setEnabled(compiler, type) {
+    getEnabledTypes(compiler).add(type);
+  }
+
+  /**
+   * @param {Compiler} compiler the compiler instance
+   * @param {WasmLoadingType} type type of library
+   * @returns {void}
+   */
+  static checkEnabled(compiler, type) {
+    if (!getEnabledTypes(compiler).has(type)) {
+      throw new Error(
+        `Library type "${type}" is not enabled. ` +
+          "EnableWasmLoadingPlugin need to be used to enable this type of wasm loading. " +
+          'This usually happens through the "output.enabledWasmLoadingTypes" option. ' +
+          'If you are using a function as entry which sets "wasmLoading", you need to add all potential library types to "output.enabledWasmLoadingTypes". ' +
+          `These types are enabled: ${Array.from(
+            getEnabledTypes(compiler)
+          ).join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Apply the plugin
+   * @param {Compiler} compiler the compiler instance
+   * @returns {void}
+   */
+  apply(compiler) {
+    const { type } = this;
+
+    // Only enable once
+    const enabled = getEnabledTypes(compiler);
+    if (enabled.has(type)) return;
+    enabled.add(type);
+
+    if (typeof type === "string") {
+      switch (type) {
+        case "fetch":
+        case "async-node":
+        case "async-node-module":
+          break;
+        case "universal":
+          throw new Error(
+            "Universal WebAssembly Loading is not implemented yet"
+          );
+        default:
+          throw new Error(`Unsupported wasm loading type ${type}.
+Plugins which provide custom wasm loading types must call EnableWasmLoadingPlugin.setEnabled(compiler, type) to disable this error.`);
+      }
+    } else {
+      // TODO support plugin instances here
+      // apply them to the compiler
+    }
+  }
+}
+
+module.exports = EnableWasmLoadingPlugin;
@@ -5,7 +5,7 @@ const webpackOptionsSchemaCheck = require("../schemas/WebpackOptions.check.js");
 const webpackOptionsSchema = require("../schemas/WebpackOptions.json");
 
 const Compiler = require("./Compiler");
-// const MultiCompiler = require("./MultiCompiler");
+const MultiCompiler = require("./MultiCompiler");
 const WebpackOptionsApply = require("./WebpackOptionsApply");
 const {
   applyWebpackOptionsDefaults,
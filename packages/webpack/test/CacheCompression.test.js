@@ -0,0 +1,143 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it, before } = require("node:test");
+const CompressionMiddleware = require("../lib/serialization/CompressionMiddleware");
+const serialization = require("../lib/util/serialization");
+const { createCompiler, outputDir, run } = require("./helpers/compile");
+
+const dir = outputDir("cache-compression");
+const content = { text: "compress me ".repeat(1000) };
+
+/**
+ * 读取文件中第一个段头记录的压缩方式
+ * @param {string} file file
+ * @returns {number} compression method
+ */
+const readMethod = (file) => {
+  const buffer = fs.readFileSync(file);
+  const index = buffer.indexOf("wpcz");
+  assert.notStrictEqual(index, -1, "section header not found");
+  return buffer.readUInt32LE(index + 4);
+};
+
+describe("CompressionMiddleware", () => {
+  it("prefixes each section with a header", async () => {
+    const raw = Buffer.from("x".repeat(1000));
+    const compressionStats = { rawSize: 0, compressedSize: 0 };
+    const [header, compressed, ...rest] = await new CompressionMiddleware(
+      "gzip"
+    ).serialize([raw], { compressionStats });
+    assert.deepStrictEqual(rest, []);
+    assert.strictEqual(header.toString("latin1", 0, 4), "wpcz");
+    assert.strictEqual(header.readUInt32LE(4), 1);
+    assert.ok(compressed.length < raw.length);
+    assert.deepStrictEqual(compressionStats, {
+      rawSize: raw.length,
+      compressedSize: compressed.length,
+    });
+  });
+
+  it("decompresses by the header regardless of its own setting", async () => {
+    const raw = Buffer.from("y".repeat(1000));
+    for (const written of [false, "gzip", "brotli"]) {
+      const data = await new CompressionMiddleware(written).serialize(
+        [raw],
+        {}
+      );
+      for (const reader of [false, "gzip", "brotli"]) {
+        const result = await new CompressionMiddleware(reader).deserialize(
+          data,
+          {}
+        );
+        assert.deepStrictEqual(Buffer.concat(result), raw);
+      }
+    }
+  });
+
+  it("passes through sections without a header", () => {
+    // 加入压缩之前写入的 pack 没有段头
+    const raw = Buffer.from("legacy");
+    assert.deepStrictEqual(
+      new CompressionMiddleware("gzip").deserialize([raw], {}),
+      [raw]
+    );
+  });
+
+  it("rejects unknown compression types", () => {
+    assert.throws(
+      () => new CompressionMiddleware("zip"),
+      /Unknown cache compression zip/
+    );
+  });
+});
+
+describe("Cache Compression", () => {
+  before(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const [compression, method] of [
+    [false, 0],
+    ["gzip", 1],
+    ["brotli", 2],
+  ]) {
+    it(`writes ${compression || "uncompressed"} files`, async () => {
+      const serializer = serialization.createFileSerializer(
+        fs,
+        "md4",
+        compression
+      );
+      const filename = path.join(dir, `${compression}.pack`);
+      await serializer.serialize(content, { filename, extension: ".pack" });
+      assert.strictEqual(readMethod(filename), method);
+      assert.deepStrictEqual(
+        await serializer.deserialize(null, { filename, extension: ".pack" }),
+        content
+      );
+    });
+  }
+
+  it("reads packs written with a different compression", async () => {
+    const filename = path.join(dir, "mixed.pack");
+    await serialization
+      .createFileSerializer(fs, "md4", "brotli")
+      .serialize(content, { filename, extension: ".pack" });
+    const result = await serialization
+      .createFileSerializer(fs, "md4", "gzip")
+      .deserialize(null, { filename, extension: ".pack" });
+    assert.deepStrictEqual(result, content);
+  });
+
+  it("logs the compression ratio of a stored pack", async () => {
+    const compiler = createCompiler("basic", {
+      name: "cache-compression",
+      cache: {
+        type: "filesystem",
+        cacheDirectory: path.join(dir, "cache"),
+        compression: "gzip",
+      },
+    });
+    const logs = [];
+    compiler.hooks.infrastructureLog.tap("test", (origin, type, args) => {
+      if (origin === "webpack.cache") logs.push(args);
+    });
+    await run(compiler);
+    const message = logs.find(
+      ([format]) =>
+        typeof format === "string" && format.startsWith("Compressed")
+    );
+    assert.ok(message, "compression stats were not logged");
+    const [, method, rawSize, compressedSize] = message;
+    assert.strictEqual(method, "gzip");
+    assert.ok(compressedSize <= rawSize);
+    assert.strictEqual(
+      readMethod(
+        path.join(dir, "cache/cache-compression-development/index.pack")
+      ),
+      1
+    );
+  });
+});
@@ -0,0 +1,127 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it, before } = require("node:test");
+const ChunkGraph = require("../lib/ChunkGraph");
+const RuntimeGlobals = require("../lib/RuntimeGlobals");
+const { createCompiler, run } = require("./helpers/compile");
+
+/**
+ * @param {Module} module module
+ * @returns {string} 模块文件名
+ */
+const name = (module) => path.basename(module.resource);
+
+describe("ChunkGraph", () => {
+  /** @type {Compilation} */
+  let compilation;
+  /** @type {ChunkGraph} */
+  let chunkGraph;
+  /** @type {Chunk} */
+  let chunk;
+
+  /**
+   * @param {string} file file name in the fixture
+   * @returns {Module} module
+   */
+  const getModule = (file) =>
+    Array.from(compilation.modules).find((m) => name(m) === file);
+
+  before(async () => {
+    ({ compilation } = await run(createCompiler("basic", { name: "graph" })));
+    assert.deepStrictEqual(compilation.errors, []);
+    ({ chunkGraph } = compilation);
+    [chunk] = compilation.chunks;
+  });
+
+  it("tracks which modules are in which chunks", () => {
+    assert.strictEqual(chunkGraph.getNumberOfChunkModules(chunk), 3);
+    assert.deepStrictEqual(chunkGraph.getChunkModules(chunk).map(name), [
+      "a.js",
+      "b.js",
+      "index.js",
+    ]);
+    for (const module of compilation.modules) {
+      assert.ok(chunkGraph.isModuleInChunk(module, chunk));
+      assert.deepStrictEqual(chunkGraph.getModuleChunks(module), [chunk]);
+      assert.deepStrictEqual(Array.from(chunkGraph.getModuleRuntimes(module)), [
+        "main",
+      ]);
+    }
+  });
+
+  it("knows the entry modules of a chunk", () => {
+    assert.deepStrictEqual(
+      Array.from(chunkGraph.getChunkEntryModulesIterable(chunk), name),
+      ["index.js"]
+    );
+    assert.strictEqual(chunkGraph.isEntryModule(getModule("index.js")), true);
+    assert.strictEqual(chunkGraph.isEntryModule(getModule("a.js")), false);
+    const [[module, entrypoint]] =
+      chunkGraph.getChunkEntryModulesWithChunkGroupIterable(chunk);
+    assert.strictEqual(name(module), "index.js");
+    assert.strictEqual(entrypoint, compilation.entrypoints.get("main"));
+  });
+
+  it("stores module hashes per runtime", () => {
+    const module = getModule("a.js");
+    assert.ok(chunkGraph.hasModuleHashes(module, "main"));
+    const hash = chunkGraph.getModuleHash(module, "main");
+    assert.match(hash, /^[0-9a-f]{32}$/);
+    assert.strictEqual(
+      chunkGraph.getRenderedModuleHash(module, "main"),
+      hash.slice(0, compilation.outputOptions.hashDigestLength)
+    );
+    assert.notStrictEqual(
+      chunkGraph.getModuleHash(getModule("b.js"), "main"),
+      hash
+    );
+    assert.throws(() => chunkGraph.getModuleHash(module, "other"));
+  });
+
+  it("collects runtime requirements of modules, chunks and trees", () => {
+    const graph = new ChunkGraph(compilation.moduleGraph);
+    const module = getModule("a.js");
+    assert.strictEqual(
+      graph.getModuleRuntimeRequirements(module, "main").size,
+      0
+    );
+    graph.addModuleRuntimeRequirements(
+      module,
+      "main",
+      new Set([RuntimeGlobals.require])
+    );
+    graph.addModuleRuntimeRequirements(
+      module,
+      "main",
+      new Set([RuntimeGlobals.exports])
+    );
+    assert.deepStrictEqual(
+      Array.from(graph.getModuleRuntimeRequirements(module, "main")).sort(),
+      [RuntimeGlobals.exports, RuntimeGlobals.require].sort()
+    );
+    graph.addChunkRuntimeRequirements(chunk, new Set([RuntimeGlobals.require]));
+    graph.addTreeRuntimeRequirements(chunk, [RuntimeGlobals.publicPath]);
+    assert.deepStrictEqual(
+      Array.from(graph.getChunkRuntimeRequirements(chunk)),
+      [RuntimeGlobals.require]
+    );
+    assert.deepStrictEqual(
+      Array.from(graph.getTreeRuntimeRequirements(chunk)),
+      [RuntimeGlobals.publicPath]
+    );
+  });
+
+  it("moves modules between chunks", () => {
+    const graph = new ChunkGraph(compilation.moduleGraph);
+    const module = getModule("a.js");
+    const other = compilation.addChunk("other");
+    graph.connectChunkAndModule(chunk, module);
+    assert.deepStrictEqual(graph.getModuleChunks(module), [chunk]);
+    graph.disconnectChunkAndModule(chunk, module);
+    graph.connectChunkAndModule(other, module);
+    assert.deepStrictEqual(graph.getModuleChunks(module), [other]);
+    assert.strictEqual(graph.getNumberOfChunkModules(chunk), 0);
+  });
+});
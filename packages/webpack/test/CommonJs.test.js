@@ -0,0 +1,117 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it, before } = require("node:test");
+const CommonJsExportsDependency = require("../lib/dependencies/CommonJsExportsDependency");
+const CommonJsRequireDependency = require("../lib/dependencies/CommonJsRequireDependency");
+const { createCompiler, run } = require("./helpers/compile");
+const { createRequire } = require("./helpers/execute");
+
+describe("CommonJS modules", () => {
+  /** @type {Compilation} */
+  let compilation;
+
+  /**
+   * @param {string} file file name in the fixture
+   * @returns {Module} module
+   */
+  const getModule = (file) =>
+    Array.from(compilation.modules).find(
+      (m) => path.basename(m.resource) === file
+    );
+
+  /**
+   * @param {string} file file name in the fixture
+   * @returns {string} 生成的代码
+   */
+  const generated = (file) =>
+    compilation.codeGenerationResults
+      .get(getModule(file), "main")
+      .sources.get("javascript")
+      .source();
+
+  before(async () => {
+    ({ compilation } = await run(createCompiler("commonjs")));
+    assert.deepStrictEqual(compilation.errors, []);
+    assert.deepStrictEqual(compilation.warnings, []);
+  });
+
+  it("creates require and exports dependencies", () => {
+    const { dependencies } = getModule("index.js");
+    assert.deepStrictEqual(
+      dependencies
+        .filter((dep) => dep instanceof CommonJsRequireDependency)
+        .map((dep) => dep.request),
+      ["./math", "./math", "./esm", "./interop", "./math"]
+    );
+    assert.deepStrictEqual(
+      dependencies
+        .filter((dep) => dep instanceof CommonJsExportsDependency)
+        .map((dep) => `${dep.base}.${dep.names.join(".")}`),
+      [
+        "exports.sum",
+        "exports.double",
+        "exports.esm",
+        "exports.interop",
+        "exports.same",
+      ]
+    );
+  });
+
+  it("tracks the exports type of CommonJS modules", () => {
+    assert.strictEqual(getModule("math.js").buildMeta.exportsType, "default");
+    // 标记了 __esModule 的模块按 ESM 的方式处理 default 导入
+    assert.strictEqual(
+      getModule("transpiled.js").buildMeta.exportsType,
+      "flagged"
+    );
+    // 整体替换 module.exports 后无法静态确定导出
+    assert.strictEqual(
+      getModule("replaced.js").buildMeta.exportsType,
+      undefined
+    );
+  });
+
+  it("renders require calls with __webpack_require__", () => {
+    const source = generated("index.js");
+    assert.match(
+      source,
+      /^const math = __webpack_require__\(\/\*! \.\/math \*\/ "\.\/math\.js"\);$/m
+    );
+    assert.doesNotMatch(source, /\brequire\(/);
+    const { runtimeRequirements } = compilation.codeGenerationResults.get(
+      getModule("index.js"),
+      "main"
+    );
+    assert.ok(runtimeRequirements.has("__webpack_require__"));
+    assert.ok(runtimeRequirements.has("__webpack_exports__"));
+  });
+
+  it("uses interop helpers when ESM imports CommonJS", () => {
+    const source = generated("interop.js");
+    // 没有 __esModule 标记时 default 导入是整个 module.exports
+    assert.match(
+      source,
+      /_replaced__WEBPACK_IMPORTED_MODULE_0___default = \/\*#__PURE__\*\/__webpack_require__\.n\(/
+    );
+    assert.match(
+      source,
+      /_transpiled__WEBPACK_IMPORTED_MODULE_1__\["default"\]/
+    );
+  });
+
+  it("produces the expected exports when executed", () => {
+    const __webpack_require__ = createRequire(compilation);
+    assert.deepStrictEqual(
+      { ...__webpack_require__("./index.js") },
+      {
+        sum: 3,
+        double: 4,
+        esm: "esm",
+        interop: ["replaced", "transpiled", 5],
+        same: true,
+      }
+    );
+  });
+});
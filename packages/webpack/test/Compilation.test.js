@@ -0,0 +1,95 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const CodeGenerationResults = require("../lib/CodeGenerationResults");
+const RawModule = require("../lib/RawModule");
+const { createCompiler, run } = require("./helpers/compile");
+
+describe("Compilation", () => {
+  it("builds the module graph and assigns modules to the entry chunk", async () => {
+    const stats = await run(createCompiler("basic"));
+    const { compilation } = stats;
+
+    assert.deepStrictEqual(compilation.errors, []);
+    const names = Array.from(compilation.modules, (m) =>
+      m.identifier().slice(m.identifier().lastIndexOf("/") + 1)
+    ).sort();
+    assert.deepStrictEqual(names, ["a.js", "b.js", "index.js"]);
+
+    const [chunk] = compilation.chunks;
+    assert.strictEqual(compilation.chunks.size, 1);
+    assert.strictEqual(chunk.name, "main");
+    for (const module of compilation.modules) {
+      assert.deepStrictEqual(compilation.chunkGraph.getModuleChunks(module), [
+        chunk,
+      ]);
+      assert.ok(compilation.codeGenerationResults.has(module, chunk.runtime));
+    }
+  });
+
+  it("does not put modules only referenced weakly into chunks", async () => {
+    const { compilation } = await run(createCompiler("weak"));
+    assert.deepStrictEqual(compilation.errors, []);
+    const chunksOf = {};
+    for (const module of compilation.modules) {
+      const name = module
+        .identifier()
+        .slice(module.identifier().lastIndexOf("/") + 1);
+      chunksOf[name] = compilation.chunkGraph
+        .getModuleChunks(module)
+        .map((chunk) => chunk.name);
+    }
+    // require.resolveWeak 只在模块已被加载时可用，不会加载它
+    assert.deepStrictEqual(chunksOf, {
+      "index.js": ["main"],
+      "strong.js": ["main"],
+      "weak.js": [],
+    });
+  });
+
+  it("does not assign order indices to modules only referenced weakly", async () => {
+    const { compilation } = await run(createCompiler("weak"));
+    const indices = {};
+    for (const module of compilation.modules) {
+      indices[path.basename(module.resource)] =
+        compilation.moduleGraph.getPreOrderIndex(module);
+    }
+    assert.deepStrictEqual(indices, {
+      "index.js": 0,
+      "strong.js": 1,
+      "weak.js": null,
+    });
+  });
+});
+
+describe("CodeGenerationResults", () => {
+  const module = new RawModule("", "raw", "raw");
+  const result = { sources: new Map(), runtimeRequirements: null };
+
+  it("returns the result stored for a runtime", () => {
+    const results = new CodeGenerationResults();
+    results.add(module, "main", result);
+    assert.strictEqual(results.get(module, "main"), result);
+    assert.strictEqual(results.get(module, undefined), result);
+    assert.strictEqual(results.has(module, "main"), true);
+  });
+
+  it("does not fall back to another runtime", () => {
+    const results = new CodeGenerationResults();
+    results.add(module, "main", result);
+    assert.strictEqual(results.has(module, "other"), false);
+    assert.throws(
+      () => results.get(module, "other"),
+      /No code generation entry for runtime other/
+    );
+  });
+
+  it("throws for modules without results", () => {
+    assert.throws(
+      () => new CodeGenerationResults().get(module, "main"),
+      /No code generation entry for raw/
+    );
+  });
+});
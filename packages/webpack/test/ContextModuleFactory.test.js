@@ -0,0 +1,142 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const ContextModule = require("../lib/ContextModule");
+const ContextModuleFactory = require("../lib/ContextModuleFactory");
+const ResolverFactory = require("../lib/ResolverFactory");
+const { createCompiler, run } = require("./helpers/compile");
+
+const views = path.join(__dirname, "fixtures/context/views");
+
+/**
+ * @param {object} options context module options
+ * @returns {Promise<string[]>} user requests of the found dependencies
+ */
+const resolveDependencies = (options) =>
+  new Promise((resolve, reject) => {
+    new ContextModuleFactory(new ResolverFactory()).resolveDependencies(
+      fs,
+      { resource: views, category: "commonjs", ...options },
+      (err, dependencies) => {
+        if (err) return reject(err);
+        resolve(dependencies.map((dep) => dep.userRequest).sort());
+      }
+    );
+  });
+
+describe("ContextModuleFactory", () => {
+  it("scans the directory recursively by default", async () => {
+    assert.deepStrictEqual(
+      await resolveDependencies({ recursive: true, regExp: /\.js$/ }),
+      ["./about.js", "./admin/users.js", "./home.js"]
+    );
+  });
+
+  it("stays in the directory when not recursive", async () => {
+    assert.deepStrictEqual(
+      await resolveDependencies({ recursive: false, regExp: /^\.\/.*$/ }),
+      ["./about.js", "./about.txt", "./home.js"]
+    );
+  });
+
+  it("applies include and exclude to the found files", async () => {
+    assert.deepStrictEqual(
+      await resolveDependencies({
+        recursive: true,
+        regExp: /^\.\/.*$/,
+        include: /\.js$/,
+        exclude: /admin/,
+      }),
+      ["./about.js", "./home.js"]
+    );
+  });
+
+  it("creates context modules for require expressions and require.context", async () => {
+    const compiler = createCompiler("context");
+    const beforeResolve = [];
+    compiler.hooks.contextModuleFactory.tap("test", (cmf) => {
+      cmf.hooks.beforeResolve.tap("test", (data) => {
+        beforeResolve.push(data.request);
+      });
+    });
+    const { compilation } = await run(compiler);
+
+    assert.deepStrictEqual(compilation.errors, []);
+    assert.deepStrictEqual(beforeResolve.sort(), ["./views", "./views"]);
+    const contextModules = Array.from(compilation.modules).filter(
+      (m) => m instanceof ContextModule
+    );
+    assert.deepStrictEqual(
+      contextModules.map((m) => m.options.regExp.toString()).sort(),
+      ["/\\.txt$/", "/^\\.\\/.*\\.js$/"]
+    );
+    const files = Array.from(compilation.modules, (m) => m.resource)
+      .filter(Boolean)
+      .map((resource) => path.relative(views, resource))
+      .sort();
+    assert.deepStrictEqual(files, [
+      "../index.js",
+      "about.js",
+      "about.txt",
+      "admin/users.js",
+      "home.js",
+    ]);
+  });
+
+  it("creates context modules for import() in the requested mode", async () => {
+    const { compilation } = await run(createCompiler("import"));
+    assert.deepStrictEqual(compilation.errors, []);
+    assert.deepStrictEqual(compilation.warnings, []);
+    const byMode = {};
+    for (const module of compilation.modules) {
+      if (module instanceof ContextModule) byMode[module.options.mode] = module;
+    }
+    // webpackMode: "weak" 对应上下文模块的 async-weak，import() 仍然返回 Promise
+    assert.deepStrictEqual(Object.keys(byMode).sort(), [
+      "async-weak",
+      "eager",
+      "lazy",
+      "lazy-once",
+    ]);
+    // lazy 为每个请求创建一个异步块，lazy-once 所有请求共用一个
+    assert.strictEqual(byMode.lazy.blocks.length, 4);
+    assert.strictEqual(byMode["lazy-once"].blocks.length, 1);
+    assert.strictEqual(byMode.eager.blocks.length, 0);
+    assert.ok(byMode["async-weak"].dependencies.every((dep) => dep.weak));
+
+    const index = Array.from(compilation.modules).find(
+      (m) => m.resource && m.resource.endsWith("index.js")
+    );
+    const source = compilation.codeGenerationResults
+      .get(index, "main")
+      .sources.get("javascript")
+      .source();
+    assert.doesNotMatch(source, /=>\s+import\(/);
+    assert.match(
+      source,
+      /__webpack_require__\.e\(.*\)\.then\(__webpack_require__\.bind\(__webpack_require__, .*"\.\/views\/a\.js"\)\)/
+    );
+    // 静态请求的 import() 把模块拆分到异步 chunk
+    const a = Array.from(compilation.modules).find(
+      (m) => m.resource && m.resource.endsWith("a.js")
+    );
+    assert.ok(
+      compilation.chunkGraph
+        .getModuleChunks(a)
+        .some((chunk) => !chunk.canBeInitial())
+    );
+  });
+
+  it("ignores the request when beforeResolve returns false", async () => {
+    const compiler = createCompiler("context", { name: "context-ignored" });
+    compiler.hooks.contextModuleFactory.tap("test", (cmf) => {
+      cmf.hooks.beforeResolve.tap("test", () => false);
+    });
+    const { compilation } = await run(compiler);
+    assert.deepStrictEqual(compilation.errors, []);
+    assert.strictEqual(compilation.modules.size, 1);
+  });
+});
@@ -0,0 +1,258 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it, beforeEach } = require("node:test");
+const { RawSource } = require("webpack-sources");
+const { isSourceEqual } = require("../lib/util/source");
+const { createCompiler, outputDir, run } = require("./helpers/compile");
+
+const output = outputDir("emit-assets");
+
+/**
+ * 创建在 processAssets 阶段输出 assets 中内容的 compiler
+ * @param {Record<string, string | Source>} assets 输出的文件，修改后下次编译生效
+ * @param {object=} options webpack 配置
+ * @returns {Compiler} compiler
+ */
+const createEmittingCompiler = (assets, options) => {
+  const compiler = createCompiler("basic", { name: "emit-assets", ...options });
+  compiler.hooks.thisCompilation.tap("test", (compilation) => {
+    compilation.hooks.processAssets.tap("test", () => {
+      for (const [file, content] of Object.entries(assets)) {
+        compilation.emitAsset(
+          file,
+          typeof content === "string" ? new RawSource(content) : content
+        );
+      }
+    });
+  });
+  return compiler;
+};
+
+/**
+ * 运行一次编译但不关闭 compiler
+ * @param {Compiler} compiler compiler
+ * @returns {Promise<Stats>} stats
+ */
+const runAgain = (compiler) =>
+  new Promise((resolve, reject) => {
+    compiler.run((err, stats) => (err ? reject(err) : resolve(stats)));
+  });
+
+/**
+ * @param {Stats} stats stats
+ * @returns {object} emit 相关的统计
+ */
+const emitCounts = (stats) => {
+  const {
+    emittedAssetsCount,
+    comparedForEmitAssetsCount,
+    skippedForEmitAssetsCount,
+  } = stats.toJson({ all: false, assets: true });
+  return {
+    emittedAssetsCount,
+    comparedForEmitAssetsCount,
+    skippedForEmitAssetsCount,
+  };
+};
+
+describe("Compiler.emitAssets", () => {
+  beforeEach(() => {
+    fs.rmSync(output, { recursive: true, force: true });
+  });
+
+  it("writes assets and reports them as emitted", async () => {
+    const stats = await run(
+      createEmittingCompiler({ "a.txt": "a", "dir/b.txt": "b" })
+    );
+    assert.strictEqual(
+      fs.readFileSync(path.join(output, "a.txt"), "utf-8"),
+      "a"
+    );
+    assert.strictEqual(
+      fs.readFileSync(path.join(output, "dir/b.txt"), "utf-8"),
+      "b"
+    );
+    assert.deepStrictEqual(emitCounts(stats), {
+      emittedAssetsCount: 2,
+      comparedForEmitAssetsCount: 0,
+      skippedForEmitAssetsCount: 0,
+    });
+    assert.match(
+      stats.toString({ all: false, assets: true }),
+      /2 assets emitted/
+    );
+  });
+
+  it("skips sources already emitted by the compiler", async () => {
+    // 同一个 Source 对象再次输出时直接跳过，不需要读取磁盘上的文件
+    const assets = { "a.txt": new RawSource("a"), "b.txt": "b" };
+    const compiler = createEmittingCompiler(assets);
+    await runAgain(compiler);
+
+    assets["b.txt"] = "changed";
+    const stats = await runAgain(compiler);
+    assert.deepStrictEqual(Array.from(stats.compilation.emittedAssets), [
+      "b.txt",
+    ]);
+    // 新的 b.txt 与上次写入内容的 hash 比较
+    assert.deepStrictEqual(emitCounts(stats), {
+      emittedAssetsCount: 1,
+      comparedForEmitAssetsCount: 1,
+      skippedForEmitAssetsCount: 1,
+    });
+    assert.strictEqual(
+      fs.readFileSync(path.join(output, "b.txt"), "utf-8"),
+      "changed"
+    );
+    await new Promise((resolve) => compiler.close(resolve));
+  });
+
+  it("skips new sources with the same content as the last write", async () => {
+    // 字符串每次编译都会生成新的 RawSource，只能通过内容 hash 判断是否变化
+    const assets = { "a.txt": "a", "b.txt": "b" };
+    const compiler = createEmittingCompiler(assets);
+    await runAgain(compiler);
+    const file = path.join(output, "a.txt");
+    const { mtimeMs } = fs.statSync(file);
+    const outputFs = compiler.outputFileSystem;
+    const reads = [];
+    compiler.outputFileSystem = {
+      ...outputFs,
+      readFile: (p, callback) => {
+        reads.push(p);
+        outputFs.readFile(p, callback);
+      },
+    };
+
+    assets["b.txt"] = "changed";
+    const stats = await runAgain(compiler);
+    // 不需要读取磁盘上的文件
+    assert.deepStrictEqual(reads, []);
+    assert.deepStrictEqual(Array.from(stats.compilation.emittedAssets), [
+      "b.txt",
+    ]);
+    assert.deepStrictEqual(emitCounts(stats), {
+      emittedAssetsCount: 1,
+      comparedForEmitAssetsCount: 2,
+      skippedForEmitAssetsCount: 1,
+    });
+    assert.strictEqual(fs.statSync(file).mtimeMs, mtimeMs);
+    await new Promise((resolve) => compiler.close(resolve));
+  });
+
+  it("compares with files on disk before emitting", async () => {
+    fs.mkdirSync(output, { recursive: true });
+    fs.writeFileSync(path.join(output, "same.txt"), "same");
+    fs.writeFileSync(path.join(output, "other.txt"), "old");
+    fs.writeFileSync(path.join(output, "resized.txt"), "old");
+    const stats = await run(
+      createEmittingCompiler({
+        "same.txt": "same",
+        "other.txt": "new",
+        "resized.txt": "resized",
+      })
+    );
+    assert.deepStrictEqual(Array.from(stats.compilation.emittedAssets).sort(), [
+      "other.txt",
+      "resized.txt",
+    ]);
+    // 大小不同时不需要读取文件内容比较
+    assert.deepStrictEqual(
+      Array.from(stats.compilation.comparedForEmitAssets).sort(),
+      ["other.txt", "same.txt"]
+    );
+    assert.deepStrictEqual(emitCounts(stats), {
+      emittedAssetsCount: 2,
+      comparedForEmitAssetsCount: 2,
+      skippedForEmitAssetsCount: 1,
+    });
+  });
+
+  it("always writes when compareBeforeEmit is disabled", async () => {
+    fs.mkdirSync(output, { recursive: true });
+    fs.writeFileSync(path.join(output, "same.txt"), "same");
+    const stats = await run(
+      createEmittingCompiler(
+        { "same.txt": "same" },
+        { output: { path: output, compareBeforeEmit: false } }
+      )
+    );
+    assert.deepStrictEqual(emitCounts(stats), {
+      emittedAssetsCount: 1,
+      comparedForEmitAssetsCount: 0,
+      skippedForEmitAssetsCount: 0,
+    });
+  });
+
+  describe("output.clean", () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(output, "keep"), { recursive: true });
+      fs.writeFileSync(path.join(output, "stale.txt"), "");
+      fs.writeFileSync(path.join(output, "keep/kept.txt"), "");
+    });
+
+    it("removes files that are no longer emitted", async () => {
+      await run(
+        createEmittingCompiler(
+          { "a.txt": "a" },
+          { output: { path: output, clean: true } }
+        )
+      );
+      assert.deepStrictEqual(fs.readdirSync(output), ["a.txt"]);
+    });
+
+    it("keeps files matched by clean.keep", async () => {
+      await run(
+        createEmittingCompiler(
+          { "a.txt": "a" },
+          { output: { path: output, clean: { keep: /^keep\// } } }
+        )
+      );
+      assert.deepStrictEqual(fs.readdirSync(output).sort(), ["a.txt", "keep"]);
+      assert.ok(fs.existsSync(path.join(output, "keep/kept.txt")));
+    });
+
+    it("only logs in dry mode", async () => {
+      const compiler = createEmittingCompiler(
+        { "a.txt": "a" },
+        { output: { path: output, clean: { dry: true } } }
+      );
+      const logs = [];
+      compiler.hooks.compilation.tap("test", (compilation) => {
+        compilation.hooks.log.tap("test", (origin, { args }) => {
+          if (origin === "webpack.CleanPlugin") logs.push(...args);
+        });
+      });
+      await run(compiler);
+      assert.deepStrictEqual(fs.readdirSync(output).sort(), [
+        "a.txt",
+        "keep",
+        "stale.txt",
+      ]);
+      assert.ok(
+        logs.some((msg) => msg.includes("stale.txt")),
+        logs.join("\n")
+      );
+    });
+  });
+});
+
+describe("isSourceEqual", () => {
+  it("compares sources by content", () => {
+    assert.strictEqual(
+      isSourceEqual(new RawSource("a"), new RawSource("a")),
+      true
+    );
+    assert.strictEqual(
+      isSourceEqual(new RawSource("a"), new RawSource(Buffer.from("a"))),
+      true
+    );
+    assert.strictEqual(
+      isSourceEqual(new RawSource("a"), new RawSource("b")),
+      false
+    );
+  });
+});
@@ -0,0 +1,143 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { promisify } = require("node:util");
+const { describe, it, beforeEach } = require("node:test");
+const FileSystemInfo = require("../lib/FileSystemInfo");
+const { Logger } = require("../lib/logging/Logger");
+const { outputDir } = require("./helpers/compile");
+
+const dir = outputDir("file-system-info");
+const file = path.join(dir, "file.js");
+const missing = path.join(dir, "missing.js");
+const nodeModules = path.join(dir, "node_modules");
+const pkgDir = path.join(nodeModules, "pkg");
+
+/**
+ * 每次检查都创建新的实例，避免读取到缓存的时间戳和哈希
+ * @param {object=} options FileSystemInfo 配置
+ * @returns {FileSystemInfo} file system info
+ */
+const createFileSystemInfo = (options) =>
+  new FileSystemInfo(fs, { managedPaths: [nodeModules], ...options });
+
+/**
+ * @param {object} snapshotOptions 快照配置
+ * @param {object=} files 快照包含的文件
+ * @returns {Promise<Snapshot>} snapshot
+ */
+const createSnapshot = (
+  snapshotOptions,
+  { files = [file], missing: missingFiles = [] } = {}
+) => {
+  const fsInfo = createFileSystemInfo();
+  return promisify(fsInfo.createSnapshot.bind(fsInfo))(
+    Date.now(),
+    files,
+    [],
+    missingFiles,
+    snapshotOptions
+  );
+};
+
+/**
+ * @param {Snapshot} snapshot snapshot
+ * @returns {Promise<boolean>} 快照是否仍然有效
+ */
+const checkSnapshot = (snapshot) => {
+  const fsInfo = createFileSystemInfo();
+  return promisify(fsInfo.checkSnapshotValid.bind(fsInfo))(snapshot);
+};
+
+/**
+ * 修改文件并把修改时间推后，保证在快照的 startTime 之后
+ * @param {string} target file
+ * @param {string} content content
+ */
+const write = (target, content) => {
+  fs.writeFileSync(target, content);
+  const future = new Date(Date.now() + 10000);
+  fs.utimesSync(target, future, future);
+};
+
+describe("FileSystemInfo", () => {
+  beforeEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(pkgDir, { recursive: true });
+    const past = new Date(Date.now() - 10000);
+    fs.writeFileSync(file, "module.exports = 1;\n");
+    fs.utimesSync(file, past, past);
+    fs.writeFileSync(
+      path.join(pkgDir, "package.json"),
+      JSON.stringify({ name: "pkg", version: "1.0.0" })
+    );
+    fs.writeFileSync(path.join(pkgDir, "index.js"), "module.exports = 1;\n");
+  });
+
+  it("invalidates timestamp snapshots when a file is touched", async () => {
+    const snapshot = await createSnapshot({ timestamp: true });
+    assert.strictEqual(await checkSnapshot(snapshot), true);
+    write(file, "module.exports = 1;\n");
+    assert.strictEqual(await checkSnapshot(snapshot), false);
+  });
+
+  it("keeps hash snapshots valid while the content is unchanged", async () => {
+    const snapshot = await createSnapshot({ hash: true });
+    write(file, "module.exports = 1;\n");
+    assert.strictEqual(await checkSnapshot(snapshot), true);
+    write(file, "module.exports = 2;\n");
+    assert.strictEqual(await checkSnapshot(snapshot), false);
+  });
+
+  it("invalidates snapshots when a missing file appears", async () => {
+    const snapshot = await createSnapshot(
+      { timestamp: true },
+      { files: [], missing: [missing] }
+    );
+    assert.strictEqual(await checkSnapshot(snapshot), true);
+    write(missing, "");
+    assert.strictEqual(await checkSnapshot(snapshot), false);
+  });
+
+  it("validates managed paths by the package version", async () => {
+    const managedFile = path.join(pkgDir, "index.js");
+    const snapshot = await createSnapshot(
+      { timestamp: true },
+      { files: [managedFile] }
+    );
+    // 托管路径中的文件只比较 package.json 中的版本
+    write(managedFile, "module.exports = 2;\n");
+    assert.strictEqual(await checkSnapshot(snapshot), true);
+    write(
+      path.join(pkgDir, "package.json"),
+      JSON.stringify({ name: "pkg", version: "1.0.1" })
+    );
+    assert.strictEqual(await checkSnapshot(snapshot), false);
+  });
+
+  it("resolves the dependencies of build dependencies", async () => {
+    const config = path.join(dir, "config.js");
+    fs.writeFileSync(config, 'require("./file");\nrequire("pkg");\n');
+    // 和 webpack-cli 一样先加载配置文件，之后从 require.cache 中读取依赖关系
+    require(config);
+    const fsInfo = createFileSystemInfo({ logger: new Logger(() => {}) });
+    const result = await promisify(
+      fsInfo.resolveBuildDependencies.bind(fsInfo)
+    )(dir, [config]);
+    assert.deepStrictEqual(
+      Array.from(result.files).sort(),
+      [config, file, path.join(pkgDir, "index.js")].sort()
+    );
+    // 记录解析结果，之后通过 checkResolveResultsValid 检查解析是否仍然得到相同的文件
+    assert.ok(
+      Array.from(result.resolveResults.values()).includes(file),
+      "resolve result of ./file missing"
+    );
+    const valid = await promisify(fsInfo.checkResolveResultsValid.bind(fsInfo))(
+      result.resolveResults
+    );
+    assert.strictEqual(valid, true);
+  });
+});
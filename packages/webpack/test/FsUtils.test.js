@@ -0,0 +1,228 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { promisify } = require("node:util");
+const { describe, it, before } = require("node:test");
+const { RawSource } = require("webpack-sources");
+const {
+  join,
+  dirname,
+  relative,
+  mkdirp,
+  mkdirpSync,
+  rmrf,
+  readJson,
+  lstatReadlinkAbsolute,
+} = require("../lib/util/fs");
+const { createCompiler, outputDir } = require("./helpers/compile");
+
+/**
+ * 只包含 OutputFileSystem 所需方法的内存文件系统，路径统一使用 posix 格式
+ * @returns {object} output file system
+ */
+const createMemoryFs = () => {
+  const files = new Map();
+  const directories = new Set(["/"]);
+  const error = (code, p) =>
+    Object.assign(new Error(`${code}: ${p}`), { code, path: p });
+  const stats = (isFile, size = 0) => ({
+    isFile: () => isFile,
+    isDirectory: () => !isFile,
+    isSymbolicLink: () => false,
+    size,
+  });
+  return {
+    files,
+    directories,
+    mkdir(p, callback) {
+      if (directories.has(p) || files.has(p))
+        return callback(error("EEXIST", p));
+      if (!directories.has(path.posix.dirname(p)))
+        return callback(error("ENOENT", p));
+      directories.add(p);
+      callback();
+    },
+    writeFile(p, content, callback) {
+      if (!directories.has(path.posix.dirname(p)))
+        return callback(error("ENOENT", p));
+      files.set(p, Buffer.from(content));
+      callback();
+    },
+    readFile(p, callback) {
+      if (!files.has(p)) return callback(error("ENOENT", p));
+      callback(null, files.get(p));
+    },
+    stat(p, callback) {
+      if (files.has(p)) return callback(null, stats(true, files.get(p).length));
+      if (directories.has(p)) return callback(null, stats(false));
+      callback(error("ENOENT", p));
+    },
+    readdir(p, callback) {
+      if (!directories.has(p)) return callback(error("ENOENT", p));
+      const names = new Set();
+      for (const item of [...files.keys(), ...directories]) {
+        if (item !== p && path.posix.dirname(item) === p) {
+          names.add(path.posix.basename(item));
+        }
+      }
+      callback(null, Array.from(names));
+    },
+  };
+};
+
+describe("util/fs", () => {
+  it("uses the path methods of the file system when available", () => {
+    const custom = {
+      join: (a, b) => `${a}|${b}`,
+      dirname: () => "parent",
+      relative: () => "relative",
+    };
+    assert.strictEqual(join(custom, "/a", "b"), "/a|b");
+    assert.strictEqual(dirname(custom, "/a/b"), "parent");
+    assert.strictEqual(relative(custom, "/a", "/b"), "relative");
+  });
+
+  it("falls back to posix or windows paths", () => {
+    assert.strictEqual(join(undefined, "/a/b", "../c"), "/a/c");
+    assert.strictEqual(join(undefined, "C:\\a", "b"), "C:\\a\\b");
+    assert.strictEqual(dirname({}, "/a/b"), "/a");
+    assert.strictEqual(dirname({}, "C:\\a\\b"), "C:\\a");
+    assert.strictEqual(relative(undefined, "/a/b", "/a/c"), "../c");
+    assert.throws(
+      () => join(undefined, "a", "b"),
+      /neither a posix nor a windows path/
+    );
+  });
+
+  it("creates missing parent directories with mkdirp", async () => {
+    const memoryFs = createMemoryFs();
+    await promisify(mkdirp)(memoryFs, "/a/b/c");
+    assert.deepStrictEqual(Array.from(memoryFs.directories).sort(), [
+      "/",
+      "/a",
+      "/a/b",
+      "/a/b/c",
+    ]);
+    // 目录已存在不算错误
+    await promisify(mkdirp)(memoryFs, "/a/b");
+  });
+
+  it("reports other mkdir errors", async () => {
+    const memoryFs = createMemoryFs();
+    memoryFs.mkdir = (p, callback) =>
+      callback(Object.assign(new Error("denied"), { code: "EACCES" }));
+    await assert.rejects(promisify(mkdirp)(memoryFs, "/dir"), /denied/);
+  });
+
+  describe("mkdirpSync, rmrf and readJson", () => {
+    const dir = outputDir("fs-utils-helpers");
+
+    before(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("creates missing parent directories synchronously", () => {
+      const nested = path.join(dir, "sync/a/b");
+      mkdirpSync(fs, nested);
+      assert.ok(fs.statSync(nested).isDirectory());
+      // 目录已存在不算错误
+      mkdirpSync(fs, path.join(dir, "sync/a"));
+    });
+
+    it("removes directories recursively without following symlinks", async () => {
+      const root = path.join(dir, "rmrf");
+      const outside = path.join(dir, "outside");
+      fs.mkdirSync(path.join(root, "a/b"), { recursive: true });
+      fs.mkdirSync(outside, { recursive: true });
+      fs.writeFileSync(path.join(root, "a/b/file.js"), "");
+      fs.writeFileSync(path.join(root, "top.js"), "");
+      fs.writeFileSync(path.join(outside, "kept.js"), "");
+      fs.symlinkSync(outside, path.join(root, "link"));
+      await promisify(rmrf)(fs, root);
+      assert.ok(!fs.existsSync(root));
+      assert.ok(fs.existsSync(path.join(outside, "kept.js")));
+      // 路径不存在不算错误
+      await promisify(rmrf)(fs, root);
+    });
+
+    it("requires a file system that can remove files", async () => {
+      await assert.rejects(
+        promisify(rmrf)(createMemoryFs(), "/a"),
+        /readdir, rmdir and unlink are required/
+      );
+    });
+
+    it("reads JSON files and uses readJson of the file system", async () => {
+      const file = path.join(dir, "data.json");
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, '{ "a": [1, 2] }');
+      assert.deepStrictEqual(await promisify(readJson)(fs, file), {
+        a: [1, 2],
+      });
+      const cached = {
+        readJson: (p, callback) => callback(null, { path: p }),
+      };
+      assert.deepStrictEqual(await promisify(readJson)(cached, file), {
+        path: file,
+      });
+      fs.writeFileSync(file, "{");
+      await assert.rejects(promisify(readJson)(fs, file), SyntaxError);
+    });
+  });
+
+  describe("lstatReadlinkAbsolute", () => {
+    const dir = outputDir("fs-utils");
+
+    before(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, "target.js"), "");
+      fs.symlinkSync("target.js", path.join(dir, "link.js"));
+    });
+
+    it("returns stats for regular files", async () => {
+      const stats = await promisify(lstatReadlinkAbsolute)(
+        fs,
+        path.join(dir, "target.js")
+      );
+      assert.ok(stats.isFile());
+    });
+
+    it("returns the absolute target of symlinks", async () => {
+      const target = await promisify(lstatReadlinkAbsolute)(
+        fs,
+        path.join(dir, "link.js")
+      );
+      assert.strictEqual(target, path.join(dir, "target.js"));
+    });
+  });
+
+  it("lets the compiler emit into an in-memory file system", async () => {
+    const memoryFs = createMemoryFs();
+    const compiler = createCompiler("basic", {
+      name: "fs-utils",
+      output: { path: "/dist/nested" },
+      recordsOutputPath: "/records/records.json",
+    });
+    compiler.outputFileSystem = memoryFs;
+    compiler.hooks.thisCompilation.tap("test", (compilation) => {
+      compilation.hooks.processAssets.tap("test", () => {
+        compilation.emitAsset("assets/a.txt", new RawSource("a"));
+      });
+    });
+    await new Promise((resolve, reject) => {
+      compiler.run((err) => {
+        if (err) return reject(err);
+        compiler.close((err) => (err ? reject(err) : resolve()));
+      });
+    });
+    assert.deepStrictEqual(
+      memoryFs.files.get("/dist/nested/assets/a.txt").toString(),
+      "a"
+    );
+    assert.ok(memoryFs.files.has("/records/records.json"));
+    assert.ok(!fs.existsSync("/dist/nested"));
+  });
+});
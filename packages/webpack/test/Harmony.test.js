@@ -0,0 +1,112 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it, before } = require("node:test");
+const HarmonyExportImportedSpecifierDependency = require("../lib/dependencies/HarmonyExportImportedSpecifierDependency");
+const HarmonyExportSpecifierDependency = require("../lib/dependencies/HarmonyExportSpecifierDependency");
+const HarmonyImportSpecifierDependency = require("../lib/dependencies/HarmonyImportSpecifierDependency");
+const { createCompiler, run } = require("./helpers/compile");
+const { createRequire } = require("./helpers/execute");
+
+describe("harmony modules", () => {
+  /** @type {Compilation} */
+  let compilation;
+
+  /**
+   * @param {string} file file name in the fixture
+   * @returns {Module} module
+   */
+  const getModule = (file) =>
+    Array.from(compilation.modules).find(
+      (m) => path.basename(m.resource) === file
+    );
+
+  /**
+   * @param {string} file file name in the fixture
+   * @returns {string} 生成的代码
+   */
+  const generated = (file) =>
+    compilation.codeGenerationResults
+      .get(getModule(file), "main")
+      .sources.get("javascript")
+      .source();
+
+  before(async () => {
+    ({ compilation } = await run(createCompiler("harmony")));
+    assert.deepStrictEqual(compilation.errors, []);
+    assert.deepStrictEqual(compilation.warnings, []);
+  });
+
+  it("creates import and export dependencies", () => {
+    const index = getModule("index.js");
+    assert.strictEqual(index.buildMeta.exportsType, "namespace");
+    const imports = index.dependencies.filter(
+      (dep) => dep instanceof HarmonyImportSpecifierDependency
+    );
+    assert.deepStrictEqual(
+      imports.map((dep) => dep.ids.join(".")),
+      ["increment", "default", "counter", "counter", "shared"]
+    );
+    const exports = index.dependencies.filter(
+      (dep) =>
+        dep instanceof HarmonyExportSpecifierDependency ||
+        dep instanceof HarmonyExportImportedSpecifierDependency
+    );
+    assert.deepStrictEqual(
+      exports.map((dep) => dep.name),
+      ["result", "current"]
+    );
+  });
+
+  it("defines exports as getters with __webpack_require__.d", () => {
+    const source = generated("counter.js");
+    assert.match(source, /^__webpack_require__\.r\(__webpack_exports__\);$/m);
+    assert.match(source, /counter: \(\) => \(\/\* binding \*\/ counter\)/);
+    assert.match(source, /"default": \(\) => \(__WEBPACK_DEFAULT_EXPORT__\)/);
+    assert.match(source, /const __WEBPACK_DEFAULT_EXPORT__ = \("default"\);/);
+    const { runtimeRequirements } = compilation.codeGenerationResults.get(
+      getModule("counter.js"),
+      "main"
+    );
+    assert.ok(runtimeRequirements.has("__webpack_require__.d"));
+    assert.ok(runtimeRequirements.has("__webpack_require__.r"));
+  });
+
+  it("rewrites imported identifiers to accesses on the imported module", () => {
+    const source = generated("index.js");
+    assert.match(
+      source,
+      /var _counter__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__\(.*"\.\/counter\.js"\);/
+    );
+    // 函数调用不能以模块对象为 this
+    assert.match(
+      source,
+      /\(0,_counter__WEBPACK_IMPORTED_MODULE_0__\.increment\)\(\);/
+    );
+    assert.match(source, /_counter__WEBPACK_IMPORTED_MODULE_0__\["default"\]/);
+    assert.doesNotMatch(source, /^import /m);
+  });
+
+  it("keeps live bindings and re-exports when executed", () => {
+    const __webpack_require__ = createRequire(compilation);
+    const counter = __webpack_require__("./counter.js");
+    const index = __webpack_require__("./index.js");
+    assert.deepStrictEqual(index.result, ["default", 1, 1, "shared"]);
+    assert.strictEqual(index.current, 1);
+    counter.increment();
+    assert.strictEqual(index.current, 2);
+    assert.strictEqual(__webpack_require__("./reexport.js").counter, 2);
+    assert.strictEqual(counter.__esModule, true);
+  });
+
+  it("skips the export names of the star re-export that are re-exported explicitly", () => {
+    const reexport = createRequire(compilation)("./reexport.js");
+    assert.deepStrictEqual(Object.keys(reexport).sort(), [
+      "counter",
+      "increment",
+      "shared",
+    ]);
+    assert.match(generated("reexport.js"), /\["default","shared"\]/);
+  });
+});
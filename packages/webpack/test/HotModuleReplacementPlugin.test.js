@@ -0,0 +1,92 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const webpack = require("..");
+const ModuleHotAcceptDependency = require("../lib/dependencies/ModuleHotAcceptDependency");
+const { createOptions, outputDir } = require("./helpers/compile");
+
+/**
+ * @param {Compiler} compiler compiler
+ * @returns {Promise<Stats>} stats
+ */
+const run = (compiler) =>
+  new Promise((resolve, reject) => {
+    compiler.run((err, stats) => (err ? reject(err) : resolve(stats)));
+  });
+
+describe("HotModuleReplacementPlugin", () => {
+  it("emits hot update chunks and a manifest for the modules changed since the last records", async () => {
+    // 复制一份 fixture，测试中会修改其中的文件
+    const context = outputDir("hot-src");
+    fs.rmSync(context, { recursive: true, force: true });
+    fs.rmSync(outputDir("hot"), { recursive: true, force: true });
+    fs.cpSync(path.join(__dirname, "fixtures/hot"), context, {
+      recursive: true,
+    });
+    const compiler = webpack(
+      createOptions("hot", {
+        context,
+        recordsPath: path.join(outputDir("hot"), "records.json"),
+        plugins: [new webpack.HotModuleReplacementPlugin()],
+      })
+    );
+
+    const first = await run(compiler);
+    assert.deepStrictEqual(first.compilation.errors, []);
+    assert.deepStrictEqual(Object.keys(first.compilation.assets), []);
+    const entry = Array.from(first.compilation.modules).find(
+      (m) => m.resource === path.join(context, "index.js")
+    );
+    assert.deepStrictEqual(
+      entry.dependencies
+        .filter((dep) => dep instanceof ModuleHotAcceptDependency)
+        .map((dep) => dep.request),
+      ["./value"]
+    );
+
+    // 没有变化时不输出热更新
+    const unchanged = await run(compiler);
+    assert.deepStrictEqual(Object.keys(unchanged.compilation.assets), []);
+
+    fs.writeFileSync(path.join(context, "value.js"), "module.exports = 2;\n");
+    const second = await run(compiler);
+    const manifest = `main.${unchanged.hash}.hot-update.json`;
+    const hotUpdateChunk = `main.${unchanged.hash}.hot-update.js`;
+    assert.deepStrictEqual(Object.keys(second.compilation.assets).sort(), [
+      hotUpdateChunk,
+      manifest,
+    ]);
+    for (const file of [hotUpdateChunk, manifest]) {
+      assert.strictEqual(
+        second.compilation.assetsInfo.get(file).hotModuleReplacement,
+        true
+      );
+    }
+    assert.deepStrictEqual(
+      JSON.parse(
+        fs.readFileSync(path.join(outputDir("hot"), manifest), "utf-8")
+      ),
+      { c: ["main"], r: [], m: [] }
+    );
+
+    // 热更新 chunk 只包含变化的 value.js，通过 jsonp 回调交给运行时
+    const updates = [];
+    new Function(
+      "self",
+      fs.readFileSync(path.join(outputDir("hot"), hotUpdateChunk), "utf-8")
+    )({
+      webpackHotUpdate: (chunkId, modules) =>
+        updates.push({ chunkId, modules }),
+    });
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(updates[0].chunkId, "main");
+    assert.deepStrictEqual(Object.keys(updates[0].modules), ["./value.js"]);
+    const module = { exports: {} };
+    updates[0].modules["./value.js"](module);
+    assert.strictEqual(module.exports, 2);
+    await new Promise((resolve) => compiler.close(resolve));
+  });
+});
@@ -0,0 +1,171 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it, beforeEach } = require("node:test");
+const { createCompiler, outputDir, run } = require("./helpers/compile");
+
+/**
+ * @param {Compilation} compilation compilation
+ * @returns {Record<string, string | number>} 模块文件名到模块 id 的映射
+ */
+const moduleIds = (compilation) => {
+  const result = {};
+  for (const module of compilation.modules) {
+    result[path.basename(module.resource)] =
+      compilation.chunkGraph.getModuleId(module);
+  }
+  return result;
+};
+
+/**
+ * @param {object} optimization optimization 配置
+ * @param {object=} options webpack 配置
+ * @returns {Promise<Compilation>} compilation
+ */
+const compile = async (optimization, options) => {
+  const { compilation } = await run(
+    createCompiler("basic", { name: "ids", optimization, ...options })
+  );
+  assert.deepStrictEqual(compilation.errors, []);
+  return compilation;
+};
+
+describe("module and chunk ids", () => {
+  it("uses readable ids with named", async () => {
+    const compilation = await compile({
+      moduleIds: "named",
+      chunkIds: "named",
+    });
+    assert.deepStrictEqual(moduleIds(compilation), {
+      "a.js": "./a.js",
+      "b.js": "./b.js",
+      "index.js": "./index.js",
+    });
+    assert.deepStrictEqual(
+      Array.from(compilation.chunks, (c) => c.id),
+      ["main"]
+    );
+  });
+
+  it("numbers modules in order of use with natural", async () => {
+    const compilation = await compile({
+      moduleIds: "natural",
+      chunkIds: "natural",
+    });
+    assert.deepStrictEqual(moduleIds(compilation), {
+      "index.js": 0,
+      "a.js": 1,
+      "b.js": 2,
+    });
+    assert.deepStrictEqual(
+      Array.from(compilation.chunks, (c) => c.id),
+      [0]
+    );
+  });
+
+  it("keeps deterministic ids short and stable between builds", async () => {
+    const optimization = {
+      moduleIds: "deterministic",
+      chunkIds: "deterministic",
+    };
+    const first = moduleIds(await compile(optimization));
+    const second = moduleIds(await compile(optimization));
+    assert.deepStrictEqual(second, first);
+    for (const id of Object.values(first)) {
+      assert.strictEqual(typeof id, "number");
+      assert.ok(id < 1000, `${id} has more than 3 digits`);
+    }
+  });
+
+  it("gives frequently used modules the smallest ids with size", async () => {
+    const compilation = await compile({ moduleIds: "size", chunkIds: "size" });
+    const ids = Object.values(moduleIds(compilation)).sort();
+    assert.deepStrictEqual(ids, [0, 1, 2]);
+  });
+
+  it("selects ids by mode when not configured", async () => {
+    assert.strictEqual(moduleIds(await compile({}))["a.js"], "./a.js");
+    // 只关心 id，关闭压缩
+    const production = moduleIds(
+      await compile({ minimize: false }, { mode: "production" })
+    );
+    assert.strictEqual(typeof production["a.js"], "number");
+  });
+});
+
+describe("RecordIdsPlugin", () => {
+  const context = outputDir("ids-src");
+  const recordsPath = path.join(outputDir("ids-records"), "records.json");
+
+  beforeEach(() => {
+    fs.rmSync(context, { recursive: true, force: true });
+    fs.rmSync(path.dirname(recordsPath), { recursive: true, force: true });
+    fs.cpSync(path.join(__dirname, "fixtures/basic"), context, {
+      recursive: true,
+    });
+  });
+
+  /**
+   * 在 index.js 开头引入新模块，natural 算法下其他模块的 id 会因此后移
+   */
+  const addModule = () => {
+    fs.writeFileSync(path.join(context, "c.js"), "export default 3;\n");
+    const index = path.join(context, "index.js");
+    fs.writeFileSync(
+      index,
+      `import "./c";\n${fs.readFileSync(index, "utf-8")}`
+    );
+  };
+
+  /**
+   * @param {object=} options webpack 配置
+   * @returns {Promise<Compilation>} compilation
+   */
+  const compileSrc = (options) =>
+    compile(
+      { moduleIds: "natural", chunkIds: "natural" },
+      { context, ...options }
+    );
+
+  it("writes module and chunk ids to the records file", async () => {
+    await compileSrc({ recordsPath });
+    const records = JSON.parse(fs.readFileSync(recordsPath, "utf-8"));
+    assert.deepStrictEqual(records.modules, {
+      byIdentifier: {
+        "./index.js": 0,
+        "./a.js": 1,
+        "./b.js": 2,
+      },
+      usedIds: [0, 1, 2],
+    });
+    assert.deepStrictEqual(records.chunks.byName, { main: 0 });
+    assert.deepStrictEqual(records.chunks.usedIds, [0]);
+  });
+
+  it("restores recorded ids in later builds", async () => {
+    await compileSrc({ recordsPath });
+    addModule();
+    const compilation = await compileSrc({ recordsPath });
+    // 已有模块沿用记录中的 id，新模块使用未被占用的 id
+    assert.deepStrictEqual(moduleIds(compilation), {
+      "index.js": 0,
+      "a.js": 1,
+      "b.js": 2,
+      "c.js": 3,
+    });
+  });
+
+  it("renumbers modules without records", async () => {
+    await compileSrc();
+    addModule();
+    const compilation = await compileSrc();
+    assert.deepStrictEqual(moduleIds(compilation), {
+      "index.js": 0,
+      "c.js": 1,
+      "a.js": 2,
+      "b.js": 3,
+    });
+  });
+});
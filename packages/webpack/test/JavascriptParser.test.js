@@ -0,0 +1,201 @@
+"use strict";
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const webpack = require("..");
+const UnsupportedFeatureWarning = require("../lib/UnsupportedFeatureWarning");
+const ConstDependency = require("../lib/dependencies/ConstDependency");
+const ProvidedDependency = require("../lib/dependencies/ProvidedDependency");
+const JavascriptParser = require("../lib/javascript/JavascriptParser");
+const {
+  toConstantDependency,
+  evaluateToString,
+  expressionIsUnsupported,
+} = require("../lib/javascript/JavascriptParserHelpers");
+const { createCompiler, run } = require("./helpers/compile");
+
+/**
+ * 只记录插件添加内容的模块，足够让 parser 在没有 compilation 的情况下运行
+ * @returns {object} parser state
+ */
+const createState = () => {
+  const module = {
+    dependencies: [],
+    presentationalDependencies: [],
+    warnings: [],
+    buildInfo: {},
+    buildMeta: {},
+    addDependency(dep) {
+      this.dependencies.push(dep);
+    },
+    addPresentationalDependency(dep) {
+      this.presentationalDependencies.push(dep);
+    },
+    addWarning(warning) {
+      this.warnings.push(warning);
+    },
+  };
+  return { module };
+};
+
+describe("JavascriptParser", () => {
+  it("evaluates constant expressions", () => {
+    const parser = new JavascriptParser();
+    assert.strictEqual(parser.evaluate('"a" + 1 + "b"').string, "a1b");
+    assert.strictEqual(parser.evaluate("1 + 2 * 3").number, 7);
+    assert.strictEqual(parser.evaluate("typeof 1").string, "number");
+    assert.strictEqual(parser.evaluate("`x${1}`").string, "x1");
+    assert.strictEqual(parser.evaluate("!0").bool, true);
+  });
+
+  it("calls the hooks of free variables but not of shadowed ones", () => {
+    const parser = new JavascriptParser();
+    const calls = [];
+    parser.hooks.expression.for("foo").tap("test", (expr) => {
+      calls.push(`expression ${expr.range}`);
+      return true;
+    });
+    parser.hooks.call.for("bar").tap("test", (expr) => {
+      calls.push(`call ${expr.arguments.length}`);
+      return true;
+    });
+    parser.hooks.call.for("foo.baz").tap("test", () => {
+      calls.push("call foo.baz");
+      return true;
+    });
+    parser.hooks.typeof.for("foo").tap("test", () => {
+      calls.push("typeof");
+      return true;
+    });
+    parser.parse(
+      "foo;\nbar(1, 2);\nfoo.baz();\ntypeof foo;\nfunction f(foo, bar) { foo; bar(); }\n",
+      createState()
+    );
+    assert.deepStrictEqual(calls, [
+      "expression 0,3",
+      "call 2",
+      "call foo.baz",
+      "typeof",
+    ]);
+  });
+
+  it("follows renamed variables when canRename allows it", () => {
+    const parser = new JavascriptParser();
+    const renamed = [];
+    parser.hooks.canRename.for("foo").tap("test", () => true);
+    parser.hooks.rename.for("foo").tap("test", (expr) => {
+      renamed.push(expr.name);
+      return true;
+    });
+    parser.parse("const alias = foo;\n", createState());
+    assert.deepStrictEqual(renamed, ["foo"]);
+  });
+
+  it("calls the import, export and statement hooks", () => {
+    const parser = new JavascriptParser();
+    const calls = [];
+    parser.hooks.import.tap("test", (statement, source) => {
+      calls.push(`import ${source}`);
+    });
+    parser.hooks.exportSpecifier.tap("test", (statement, local, name) => {
+      calls.push(`export ${local} as ${name}`);
+    });
+    parser.hooks.statement.tap("test", (statement) => {
+      calls.push(statement.type);
+    });
+    parser.parse(
+      'import x from "./x";\nconst y = x;\nexport { y as z };\n',
+      createState()
+    );
+    // import 和 export 在预遍历阶段处理，早于 statement 钩子
+    assert.deepStrictEqual(calls, [
+      "import ./x",
+      "export y as z",
+      "ImportDeclaration",
+      "VariableDeclaration",
+      "ExportNamedDeclaration",
+    ]);
+  });
+
+  it("detects strict mode and rejects module syntax in scripts", () => {
+    const parser = new JavascriptParser("auto");
+    const strict = [];
+    parser.hooks.finish.tap("test", () => {
+      strict.push(parser.scope.isStrict);
+    });
+    parser.parse('"use strict";\nfoo;\n', createState());
+    parser.parse("foo;\n", createState());
+    assert.deepStrictEqual(strict, [true, false]);
+    assert.throws(() =>
+      new JavascriptParser("script").parse('import "./x";\n', createState())
+    );
+  });
+});
+
+describe("JavascriptParserHelpers", () => {
+  it("replaces expressions with constants and evaluates identifiers", () => {
+    const parser = new JavascriptParser();
+    const evaluated = [];
+    parser.hooks.expression
+      .for("__hash__")
+      .tap("test", toConstantDependency(parser, "HASH"));
+    parser.hooks.evaluateIdentifier
+      .for("__version__")
+      .tap("test", evaluateToString("1.0"));
+    parser.hooks.expression.for("__version__").tap("test", (expr) => {
+      evaluated.push(parser.evaluateExpression(expr).string);
+      return true;
+    });
+    const { module } = parser.parse("__hash__;\n__version__;\n", createState());
+    assert.strictEqual(module.presentationalDependencies.length, 1);
+    const [dep] = module.presentationalDependencies;
+    assert.ok(dep instanceof ConstDependency);
+    assert.strictEqual(dep.expression, "HASH");
+    assert.deepStrictEqual(dep.range, [0, 8]);
+    assert.deepStrictEqual(evaluated, ["1.0"]);
+  });
+
+  it("warns about unsupported expressions and removes them", () => {
+    const parser = new JavascriptParser();
+    parser.hooks.call
+      .for("legacy")
+      .tap("test", expressionIsUnsupported(parser, "legacy is not supported"));
+    const { module } = parser.parse("legacy();\n", createState());
+    assert.strictEqual(module.warnings.length, 1);
+    assert.ok(module.warnings[0] instanceof UnsupportedFeatureWarning);
+    assert.match(module.warnings[0].message, /legacy is not supported/);
+    assert.strictEqual(
+      module.presentationalDependencies[0].expression,
+      "(void 0)"
+    );
+  });
+});
+
+describe("ProvidePlugin", () => {
+  it("provides free variables and leaves shadowed ones alone", async () => {
+    const { compilation } = await run(
+      createCompiler("parser", {
+        plugins: [new webpack.ProvidePlugin({ value: "./value" })],
+      })
+    );
+    assert.deepStrictEqual(compilation.errors, []);
+    const index = Array.from(compilation.modules).find((m) =>
+      m.resource.endsWith("index.js")
+    );
+    const provided = index.dependencies.filter(
+      (dep) => dep instanceof ProvidedDependency
+    );
+    // 函数参数 value 遮蔽了全局变量，只有最后一行的两处被替换
+    assert.strictEqual(provided.length, 2);
+    assert.ok(provided.every((dep) => dep.request === "./value"));
+    const source = compilation.codeGenerationResults
+      .get(index, "main")
+      .sources.get("javascript")
+      .source();
+    assert.match(
+      source,
+      /var value = __webpack_require__\(.*"\.\/value\.js"\);/
+    );
+    assert.match(source, /function read\(value\) {\n {2}return value;\n}/);
+  });
+});
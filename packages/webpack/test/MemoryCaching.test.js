@@ -0,0 +1,120 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const { createCompiler } = require("./helpers/compile");
+
+/**
+ * 创建 compiler 并记录每次编译构建过的模块
+ * @param {object} options webpack 配置
+ * @returns {{ compiler: Compiler, runAgain: () => Promise<string[]> }} compiler 和运行函数
+ */
+const setup = (options) => {
+  const compiler = createCompiler("basic", {
+    name: "memory-cache",
+    ...options,
+  });
+  let built;
+  compiler.hooks.compilation.tap("test", (compilation) => {
+    compilation.hooks.buildModule.tap("test", (module) => {
+      built.push(path.basename(module.resource));
+    });
+  });
+  // 运行一次编译但不关闭 compiler，内存缓存在 compiler 关闭时才会清空
+  const runAgain = () =>
+    new Promise((resolve, reject) => {
+      built = [];
+      compiler.run((err, stats) => {
+        if (err) return reject(err);
+        assert.deepStrictEqual(stats.compilation.errors, []);
+        resolve(built.sort());
+      });
+    });
+  return { compiler, runAgain };
+};
+
+/**
+ * @param {Compiler} compiler compiler
+ * @returns {Promise<void>} 关闭 compiler
+ */
+const close = (compiler) =>
+  new Promise((resolve, reject) => {
+    compiler.close((err) => (err ? reject(err) : resolve()));
+  });
+
+describe("Memory Caching", () => {
+  it("reuses built modules across runs of the same compiler", async () => {
+    const { compiler, runAgain } = setup({ cache: { type: "memory" } });
+    assert.deepStrictEqual(await runAgain(), ["a.js", "b.js", "index.js"]);
+    assert.deepStrictEqual(await runAgain(), []);
+    await close(compiler);
+  });
+
+  it("rebuilds every module when caching is disabled", async () => {
+    const { compiler, runAgain } = setup({ cache: false });
+    await runAgain();
+    assert.deepStrictEqual(await runAgain(), ["a.js", "b.js", "index.js"]);
+    await close(compiler);
+  });
+
+  it("evicts entries unused for maxGenerations compilations", async () => {
+    const { compiler, runAgain } = setup({
+      cache: { type: "memory", maxGenerations: 1 },
+    });
+    const itemCache = compiler.getCache("test").getItemCache("item", null);
+    await runAgain();
+    await itemCache.storePromise("value");
+    assert.strictEqual(await itemCache.getPromise(), "value");
+
+    // 第一代结束后移入 oldCache，期间访问会重新放回缓存
+    await runAgain();
+    assert.strictEqual(await itemCache.getPromise(), "value");
+
+    // 连续两代未被访问后移除
+    await runAgain();
+    await runAgain();
+    assert.strictEqual(await itemCache.getPromise(), undefined);
+    await close(compiler);
+  });
+});
+
+describe("CacheFacade", () => {
+  it("computes an item once per etag with providePromise", async () => {
+    const { compiler } = setup({ cache: { type: "memory" } });
+    const cache = compiler.getCache("test");
+    let computed = 0;
+    const compute = () => {
+      computed++;
+      return { computed };
+    };
+    const first = await cache.getItemCache("item", "a").providePromise(compute);
+    const second = await cache
+      .getItemCache("item", "a")
+      .providePromise(compute);
+    assert.strictEqual(second, first);
+    assert.strictEqual(computed, 1);
+
+    // etag 变化时缓存项失效，重新计算
+    const third = await cache.getItemCache("item", "b").providePromise(compute);
+    assert.deepStrictEqual(third, { computed: 2 });
+    assert.strictEqual(
+      await cache.getItemCache("item", "a").getPromise(),
+      undefined
+    );
+    await close(compiler);
+  });
+
+  it("keeps child caches apart from the parent", async () => {
+    const { compiler } = setup({ cache: { type: "memory" } });
+    const cache = compiler.getCache("test");
+    await cache.storePromise("item", null, "parent");
+    await cache.getChildCache("child").storePromise("item", null, "child");
+    assert.strictEqual(await cache.getPromise("item", null), "parent");
+    assert.strictEqual(
+      await cache.getChildCache("child").getPromise("item", null),
+      "child"
+    );
+    await close(compiler);
+  });
+});
@@ -0,0 +1,247 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it, before } = require("node:test");
+const { RawSource } = require("webpack-sources");
+const Module = require("../lib/Module");
+const ModuleError = require("../lib/ModuleError");
+const ModuleWarning = require("../lib/ModuleWarning");
+const RuntimeGlobals = require("../lib/RuntimeGlobals");
+const ConstDependency = require("../lib/dependencies/ConstDependency");
+const CommonJsRequireDependency = require("../lib/dependencies/CommonJsRequireDependency");
+const makeSerializable = require("../lib/util/makeSerializable");
+const serialization = require("../lib/util/serialization");
+const { createCompiler, run } = require("./helpers/compile");
+
+/**
+ * 自定义的模块类型：导出一个固定的值，并依赖 fixture 中的 b.js
+ */
+class ValueModule extends Module {
+  /**
+   * @param {string=} context context
+   * @param {string=} value 导出的值，为 "bad" 时构建产生错误和警告
+   */
+  constructor(context, value) {
+    super("javascript/dynamic", context);
+    this.value = value;
+  }
+
+  identifier() {
+    return `value|${this.value}`;
+  }
+
+  readableIdentifier() {
+    return `value ${this.value}`;
+  }
+
+  getSourceTypes() {
+    return new Set(["javascript"]);
+  }
+
+  size() {
+    return 20;
+  }
+
+  build(options, compilation, resolver, fs, callback) {
+    this.buildMeta = { exportsType: "dynamic" };
+    this.buildInfo = { cacheable: true };
+    this.clearDependenciesAndBlocks();
+    this.clearWarningsAndErrors();
+    this.addDependency(new CommonJsRequireDependency("./b", [0, 0]));
+    if (this.value === "bad") {
+      this.addError(new ModuleError(new Error("bad value")));
+      this.addWarning(new ModuleWarning(new Error("careful")));
+    }
+    callback();
+  }
+
+  codeGeneration() {
+    return {
+      sources: new Map([
+        [
+          "javascript",
+          new RawSource(`module.exports = ${JSON.stringify(this.value)};`),
+        ],
+      ]),
+      runtimeRequirements: new Set([RuntimeGlobals.module]),
+    };
+  }
+
+  serialize(context) {
+    context.write(this.value);
+    super.serialize(context);
+  }
+
+  deserialize(context) {
+    this.value = context.read();
+    super.deserialize(context);
+  }
+}
+
+makeSerializable(ValueModule, "test/Module", "ValueModule");
+
+describe("Module", () => {
+  describe("custom module types", () => {
+    /** @type {Compilation} */
+    let compilation;
+
+    /**
+     * @param {string} value value of the module
+     * @returns {ValueModule} module
+     */
+    const getModule = (value) =>
+      Array.from(compilation.modules).find((m) => m.value === value);
+
+    before(async () => {
+      const compiler = createCompiler("basic", {
+        name: "module",
+        entry: { main: "virtual:good", bad: "virtual:bad" },
+      });
+      compiler.hooks.compilation.tap(
+        "test",
+        (compilation, { normalModuleFactory }) => {
+          // 工厂返回的 Module 实例会直接作为模块使用
+          normalModuleFactory.hooks.factorize.tap("test", (resolveData) => {
+            if (resolveData.request.startsWith("virtual:")) {
+              return new ValueModule(
+                resolveData.context,
+                resolveData.request.slice("virtual:".length)
+              );
+            }
+          });
+        }
+      );
+      ({ compilation } = await run(compiler));
+    });
+
+    it("builds them and processes their dependencies", () => {
+      const module = getModule("good");
+      assert.ok(module instanceof ValueModule);
+      assert.deepStrictEqual(module.buildInfo, { cacheable: true });
+      assert.deepStrictEqual(module.buildMeta, { exportsType: "dynamic" });
+      const b = compilation.moduleGraph.getModule(module.dependencies[0]);
+      assert.strictEqual(path.basename(b.resource), "b.js");
+      assert.ok(compilation.moduleGraph.getIssuer(b) instanceof ValueModule);
+    });
+
+    it("uses their code generation results and hashes them", () => {
+      const module = getModule("good");
+      const result = compilation.codeGenerationResults.get(module, "main");
+      assert.strictEqual(
+        result.sources.get("javascript").source(),
+        'module.exports = "good";'
+      );
+      assert.deepStrictEqual(Array.from(result.runtimeRequirements), [
+        RuntimeGlobals.module,
+      ]);
+      assert.match(
+        compilation.chunkGraph.getModuleHash(module, "main"),
+        /^[0-9a-f]+$/
+      );
+    });
+
+    it("reports the errors and warnings added during build", () => {
+      const module = getModule("bad");
+      assert.strictEqual(module.getNumberOfErrors(), 1);
+      assert.strictEqual(module.getNumberOfWarnings(), 1);
+      assert.deepStrictEqual(
+        compilation.errors.map((err) => [err.message, err.module]),
+        [["Module Error: bad value", module]]
+      );
+      assert.deepStrictEqual(
+        compilation.warnings.map((warning) => warning.message),
+        ["Module Warning: careful"]
+      );
+    });
+
+    it("compares the chunks of modules", () => {
+      const { chunkGraph } = compilation;
+      const good = getModule("good");
+      const b = compilation.moduleGraph.getModule(good.dependencies[0]);
+      // b.js 被两个入口共用，同时在两个 chunk 中
+      assert.strictEqual(chunkGraph.getNumberOfModuleChunks(b), 2);
+      assert.strictEqual(
+        good.hasEqualChunks(chunkGraph, getModule("bad")),
+        false
+      );
+      assert.strictEqual(b.hasEqualChunks(chunkGraph, good), false);
+      assert.strictEqual(good.hasEqualChunks(chunkGraph, good), true);
+    });
+
+    it("answers export usage through the module graph", () => {
+      const { moduleGraph } = compilation;
+      const module = getModule("good");
+      // 开发模式下不分析导出的使用情况，导出名保持不变
+      assert.strictEqual(module.getUsedName(moduleGraph, "x", "main"), "x");
+      assert.strictEqual(module.isExportUsed(moduleGraph, "x", "main"), true);
+      assert.strictEqual(module.isModuleUsed(moduleGraph, "main"), true);
+    });
+
+    it("serializes the build results", async () => {
+      const module = getModule("bad");
+      const buffers = await serialization.buffersSerializer.serialize(
+        module,
+        {}
+      );
+      const restored = await serialization.buffersSerializer.deserialize(
+        buffers,
+        {}
+      );
+      assert.ok(restored instanceof ValueModule);
+      assert.strictEqual(restored.value, "bad");
+      assert.strictEqual(restored.type, "javascript/dynamic");
+      assert.deepStrictEqual(restored.buildMeta, module.buildMeta);
+      assert.deepStrictEqual(restored.buildInfo, module.buildInfo);
+      assert.deepStrictEqual(
+        Array.from(restored.getErrors(), (err) => err.message),
+        ["Module Error: bad value"]
+      );
+      assert.strictEqual(restored.getNumberOfWarnings(), 1);
+      assert.strictEqual(restored.dependencies.length, 1);
+    });
+  });
+
+  describe("base class", () => {
+    it("needs a build until it has been built", async () => {
+      const module = new ValueModule(null, "value");
+      const needBuild = () =>
+        new Promise((resolve, reject) =>
+          module.needBuild({}, (err, result) =>
+            err ? reject(err) : resolve(result)
+          )
+        );
+      assert.strictEqual(await needBuild(), true);
+      assert.strictEqual(module.getNumberOfErrors(), 0);
+      assert.strictEqual(module.getErrors(), undefined);
+    });
+
+    it("clears dependencies, warnings and errors before a rebuild", () => {
+      const module = new ValueModule(null, "value");
+      module.addPresentationalDependency(new ConstDependency("1", [0, 1]));
+      module.addDependency(new CommonJsRequireDependency("./b", [0, 0]));
+      module.addWarning(new ModuleWarning(new Error("warning")));
+      module.addError(new ModuleError(new Error("error")));
+      module.clearDependenciesAndBlocks();
+      module.clearWarningsAndErrors();
+      assert.deepStrictEqual(module.dependencies, []);
+      assert.deepStrictEqual(module.presentationalDependencies, []);
+      assert.strictEqual(module.getNumberOfWarnings(), 0);
+      assert.strictEqual(module.getNumberOfErrors(), 0);
+    });
+
+    it("detects overridden chunk conditions", () => {
+      const module = new ValueModule(null, "value");
+      assert.strictEqual(module.hasChunkCondition(), false);
+      assert.strictEqual(module.chunkCondition(), true);
+      module.chunkCondition = (chunk) => chunk.name === "main";
+      assert.strictEqual(module.hasChunkCondition(), true);
+    });
+
+    it("requires subclasses to implement identifier and build", () => {
+      const module = new Module("javascript/auto");
+      assert.throws(() => module.identifier(), /Abstract method/);
+      assert.throws(() => module.build(), /Abstract method/);
+    });
+  });
+});
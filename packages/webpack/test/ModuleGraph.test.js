@@ -0,0 +1,134 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it, before } = require("node:test");
+const ModuleGraph = require("../lib/ModuleGraph");
+const { createCompiler, run } = require("./helpers/compile");
+
+/**
+ * @param {Module | null} module module
+ * @returns {string | null} 模块文件名
+ */
+const name = (module) => (module ? path.basename(module.resource) : null);
+
+describe("ModuleGraph", () => {
+  /** @type {Compilation} */
+  let compilation;
+  /** @type {ModuleGraph} */
+  let moduleGraph;
+
+  /**
+   * @param {string} file file name in the fixture
+   * @returns {Module} module
+   */
+  const getModule = (file) =>
+    Array.from(compilation.modules).find((m) => name(m) === file);
+
+  before(async () => {
+    ({ compilation } = await run(createCompiler("basic", { name: "graph" })));
+    assert.deepStrictEqual(compilation.errors, []);
+    ({ moduleGraph } = compilation);
+  });
+
+  it("connects dependencies with the modules they resolve to", () => {
+    const index = getModule("index.js");
+    // 出边的顺序取决于依赖处理的完成顺序，排序后再比较
+    assert.deepStrictEqual(
+      Array.from(moduleGraph.getOutgoingConnections(index), (c) =>
+        name(c.module)
+      ).sort(),
+      ["a.js", "a.js", "b.js"]
+    );
+    const incoming = Array.from(
+      moduleGraph.getIncomingConnections(getModule("a.js"))
+    );
+    assert.ok(incoming.every((c) => c.originModule === index));
+    assert.deepStrictEqual(
+      incoming.map((c) => c.dependency.type),
+      ["harmony side effect evaluation", "harmony import specifier"]
+    );
+    for (const connection of incoming) {
+      assert.strictEqual(
+        moduleGraph.getModule(connection.dependency),
+        getModule("a.js")
+      );
+      assert.strictEqual(
+        moduleGraph.getParentModule(connection.dependency),
+        index
+      );
+    }
+  });
+
+  it("records the issuer of each module", () => {
+    assert.strictEqual(moduleGraph.getIssuer(getModule("index.js")), null);
+    assert.strictEqual(
+      name(moduleGraph.getIssuer(getModule("a.js"))),
+      "index.js"
+    );
+    assert.strictEqual(
+      name(moduleGraph.getIssuer(getModule("b.js"))),
+      "index.js"
+    );
+  });
+
+  it("assigns depths and pre/post order indices during seal", () => {
+    const files = ["index.js", "a.js", "b.js"];
+    assert.deepStrictEqual(
+      files.map((file) => moduleGraph.getDepth(getModule(file))),
+      [0, 1, 1]
+    );
+    assert.deepStrictEqual(
+      files.map((file) => moduleGraph.getPreOrderIndex(getModule(file))),
+      [0, 1, 2]
+    );
+    // 后序索引在模块的依赖都遍历完之后分配
+    assert.deepStrictEqual(
+      files.map((file) => moduleGraph.getPostOrderIndex(getModule(file))),
+      [2, 0, 1]
+    );
+  });
+
+  it("keeps the lowest depth of modules shared between entries", async () => {
+    // 两种入口顺序下，b.js 作为另一个入口都应保持深度 0
+    for (const entry of [
+      { main: "./index.js", shared: "./b.js" },
+      { shared: "./b.js", main: "./index.js" },
+    ]) {
+      const { compilation: multi } = await run(
+        createCompiler("basic", { name: "graph-multi", entry })
+      );
+      assert.deepStrictEqual(multi.errors, []);
+      const depths = {};
+      for (const module of multi.modules) {
+        depths[name(module)] = multi.moduleGraph.getDepth(module);
+      }
+      assert.deepStrictEqual(depths, { "index.js": 0, "a.js": 1, "b.js": 0 });
+    }
+  });
+
+  it("keeps the reasons why optimizations were skipped", () => {
+    assert.deepStrictEqual(
+      moduleGraph.getOptimizationBailout(getModule("a.js")),
+      []
+    );
+    assert.deepStrictEqual(
+      moduleGraph.getOptimizationBailout(getModule("b.js")),
+      ["CommonJS bailout: module.exports is used directly at 1:0-14"]
+    );
+  });
+
+  it("points the removed Module properties to the ModuleGraph", () => {
+    assert.throws(() => getModule("a.js").used, /ModuleGraph\.getUsedExports/);
+  });
+
+  it("only changes depths to lower values with setDepthIfLower", () => {
+    const graph = new ModuleGraph();
+    const module = getModule("a.js");
+    assert.strictEqual(graph.getDepth(module), null);
+    assert.strictEqual(graph.setDepthIfLower(module, 3), true);
+    assert.strictEqual(graph.setDepthIfLower(module, 5), false);
+    assert.strictEqual(graph.setDepthIfLower(module, 1), true);
+    assert.strictEqual(graph.getDepth(module), 1);
+  });
+});
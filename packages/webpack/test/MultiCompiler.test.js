@@ -0,0 +1,152 @@
+"use strict";
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const webpack = require("..");
+const MultiStats = require("../lib/MultiStats");
+const MultiWatching = require("../lib/MultiWatching");
+const { createOptions } = require("./helpers/compile");
+
+/**
+ * 记录每个子编译器开始和结束的顺序
+ * @param {MultiCompiler} multiCompiler compiler
+ * @returns {string[]} events
+ */
+const trackEvents = (multiCompiler) => {
+  const events = [];
+  for (const compiler of multiCompiler.compilers) {
+    compiler.hooks.run.tap("test", () => {
+      events.push(`start ${compiler.name}`);
+    });
+    compiler.hooks.watchRun.tap("test", () => {
+      events.push(`start ${compiler.name}`);
+    });
+    compiler.hooks.done.tap("test", () => {
+      events.push(`done ${compiler.name}`);
+    });
+  }
+  return events;
+};
+
+/**
+ * @param {MultiCompiler} compiler compiler
+ * @returns {Promise<MultiStats>} stats
+ */
+const run = (compiler) =>
+  new Promise((resolve, reject) => {
+    compiler.run((err, stats) => {
+      if (err) return reject(err);
+      compiler.close((closeErr) =>
+        closeErr ? reject(closeErr) : resolve(stats)
+      );
+    });
+  });
+
+describe("MultiCompiler", () => {
+  it("runs named dependencies before their dependents", async () => {
+    const compiler = webpack([
+      createOptions("basic", { name: "server", dependencies: ["client"] }),
+      createOptions("basic", { name: "client" }),
+    ]);
+    const events = trackEvents(compiler);
+    const stats = await run(compiler);
+    assert.deepStrictEqual(events, [
+      "start client",
+      "done client",
+      "start server",
+      "done server",
+    ]);
+    assert.ok(stats instanceof MultiStats);
+    assert.deepStrictEqual(
+      stats.stats.map((s) => s.compilation.name),
+      ["server", "client"]
+    );
+  });
+
+  it("limits the number of concurrently running compilers", async () => {
+    const options = [
+      createOptions("basic", { name: "a" }),
+      createOptions("basic", { name: "b" }),
+      createOptions("basic", { name: "c" }),
+    ];
+    options.parallelism = 1;
+    const compiler = webpack(options);
+    const events = trackEvents(compiler);
+    await run(compiler);
+    assert.deepStrictEqual(events, [
+      "start a",
+      "done a",
+      "start b",
+      "done b",
+      "start c",
+      "done c",
+    ]);
+  });
+
+  it("reports circular dependencies", () => {
+    const compiler = webpack([
+      createOptions("basic", { name: "a", dependencies: ["b"] }),
+      createOptions("basic", { name: "b", dependencies: ["a"] }),
+    ]);
+    return new Promise((resolve) => {
+      compiler.run((err) => {
+        assert.match(err.message, /Circular dependency found/);
+        resolve();
+      });
+    });
+  });
+
+  it("aggregates child stats", async () => {
+    const stats = await run(
+      webpack([
+        createOptions("basic", { name: "a" }),
+        createOptions("basic", { name: "b" }),
+      ])
+    );
+    assert.strictEqual(stats.hasErrors(), false);
+    assert.strictEqual(stats.hasWarnings(), false);
+    assert.strictEqual(stats.hash, stats.stats.map((s) => s.hash).join(""));
+    const json = stats.toJson({ all: false, hash: true });
+    assert.deepStrictEqual(
+      json.children.map((c) => c.name),
+      ["a", "b"]
+    );
+  });
+
+  it("watches all compilers and closes every watching", async () => {
+    const compiler = webpack([
+      createOptions("basic", { name: "a" }),
+      createOptions("basic", { name: "b", dependencies: ["a"] }),
+    ]);
+    const events = trackEvents(compiler);
+    let watchClosed = false;
+    compiler.hooks.watchClose.tap("test", () => {
+      watchClosed = true;
+    });
+    let watching;
+    await new Promise((resolve, reject) => {
+      watching = compiler.watch({}, (err, stats) => {
+        if (err) return reject(err);
+        if (stats.stats.length === 2) resolve();
+      });
+    });
+    assert.ok(watching instanceof MultiWatching);
+    assert.deepStrictEqual(events, ["start a", "done a", "start b", "done b"]);
+
+    watching.suspend();
+    for (const child of watching.watchings) {
+      assert.strictEqual(child.suspended, true);
+    }
+    watching.resume();
+    for (const child of watching.watchings) {
+      assert.strictEqual(child.suspended, false);
+    }
+
+    await new Promise((resolve) => watching.close(resolve));
+    assert.strictEqual(watchClosed, true);
+    assert.strictEqual(compiler.running, false);
+    for (const child of watching.watchings) {
+      assert.strictEqual(child.closed, true);
+    }
+  });
+});
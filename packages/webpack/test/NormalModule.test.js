@@ -0,0 +1,106 @@
+"use strict";
+
+const assert = require("node:assert");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const ContextModuleFactory = require("../lib/ContextModuleFactory");
+const ModuleBuildError = require("../lib/ModuleBuildError");
+const ModuleFactory = require("../lib/ModuleFactory");
+const NormalModule = require("../lib/NormalModule");
+const NormalModuleFactory = require("../lib/NormalModuleFactory");
+const { createCompiler, run } = require("./helpers/compile");
+
+const fixtures = path.join(__dirname, "fixtures/loaders");
+
+/**
+ * @param {Compilation} compilation compilation
+ * @param {string} file file name in the fixture
+ * @returns {NormalModule} module
+ */
+const getModule = (compilation, file) =>
+  Array.from(compilation.modules).find(
+    (m) => m.resource === path.join(fixtures, file)
+  );
+
+describe("NormalModule", () => {
+  it("runs loaders from module.rules with their options", async () => {
+    const compiler = createCompiler("loaders", {
+      module: {
+        rules: [
+          {
+            test: /\.txt$/,
+            loader: path.join(fixtures, "wrap-loader.js"),
+            options: { prefix: "> " },
+          },
+        ],
+      },
+    });
+    const { compilation } = await run(compiler);
+
+    assert.deepStrictEqual(compilation.errors, []);
+    const module = getModule(compilation, "message.txt");
+    assert.ok(module instanceof NormalModule);
+    assert.deepStrictEqual(
+      module.loaders.map((l) => l.loader),
+      [path.join(fixtures, "wrap-loader.js")]
+    );
+    assert.strictEqual(
+      module.originalSource().source(),
+      'module.exports = "> hello";'
+    );
+    assert.ok(
+      compilation.fileDependencies.has(path.join(fixtures, "dependency.txt"))
+    );
+  });
+
+  it("applies inline loaders and the factory hooks", async () => {
+    const compiler = createCompiler("loaders", {
+      name: "inline-loaders",
+      entry: `${path.join(fixtures, "wrap-loader.js")}?{"prefix":"+ "}!./message.txt`,
+    });
+    const created = [];
+    compiler.hooks.normalModuleFactory.tap("test", (nmf) => {
+      nmf.hooks.afterResolve.tap("test", (resolveData) => {
+        created.push(path.basename(resolveData.createData.resource));
+      });
+    });
+    const { compilation } = await run(compiler);
+
+    assert.deepStrictEqual(compilation.errors, []);
+    assert.deepStrictEqual(created, ["message.txt"]);
+    assert.strictEqual(
+      getModule(compilation, "message.txt").originalSource().source(),
+      'module.exports = "+ hello";'
+    );
+  });
+
+  it("reports loader errors as ModuleBuildError", async () => {
+    const compiler = createCompiler("loaders", {
+      name: "failing-loader",
+      entry: "./broken.txt",
+      module: {
+        rules: [
+          { test: /broken/, loader: path.join(fixtures, "fail-loader.js") },
+        ],
+      },
+    });
+    const { compilation } = await run(compiler);
+
+    assert.strictEqual(compilation.errors.length, 1);
+    const [error] = compilation.errors;
+    assert.ok(error instanceof ModuleBuildError);
+    assert.match(error.message, /loader failed/);
+    assert.strictEqual(error.module, getModule(compilation, "broken.txt"));
+  });
+});
+
+describe("ModuleFactory", () => {
+  it("is the base class of the module factories", () => {
+    assert.ok(NormalModuleFactory.prototype instanceof ModuleFactory);
+    assert.ok(ContextModuleFactory.prototype instanceof ModuleFactory);
+    assert.throws(
+      () => new ModuleFactory().create({}, () => {}),
+      /Abstract method/
+    );
+  });
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const { createCompiler, outputDir, run } = require("./helpers/compile");
+
+/**
+ * 为每个用例准备独立的缓存目录，用例之间不共享缓存，也不依赖执行顺序
+ * @param {string} name directory name
+ * @returns {{ cacheDirectory: string, configFile: string }} cache directory and config file
+ */
+const createCache = (name) => {
+  const cacheDirectory = outputDir(`persistent-cache-store/${name}`);
+  fs.rmSync(cacheDirectory, { recursive: true, force: true });
+  fs.mkdirSync(cacheDirectory, { recursive: true });
+  // 作为构建依赖的配置文件，修改它会使整个持久化缓存失效
+  const configFile = path.join(cacheDirectory, "config.js");
+  fs.writeFileSync(configFile, "module.exports = 1;\n");
+  return { cacheDirectory, configFile };
+};
+
+/**
+ * 运行一次带文件系统缓存的编译，返回构建过的模块
+ * @param {{ cacheDirectory: string, configFile: string }} cache cache directory and config file
+ * @returns {Promise<{ compilation: Compilation, built: string[] }>} result
+ */
+const build = async ({ cacheDirectory, configFile }) => {
+  const compiler = createCompiler("basic", {
+    name: "persistent-cache",
+    cache: {
+      type: "filesystem",
+      cacheDirectory,
+      buildDependencies: { config: [configFile] },
+    },
+  });
+  const built = [];
+  compiler.hooks.compilation.tap("test", (compilation) => {
+    compilation.hooks.buildModule.tap("test", (module) => {
+      built.push(path.basename(module.resource));
+    });
+  });
+  const { compilation } = await run(compiler);
+  assert.deepStrictEqual(compilation.errors, []);
+  return { compilation, built: built.sort() };
+};
+
+describe("Persistent Caching", () => {
+  it("writes a pack when the compiler is closed", async () => {
+    const cache = createCache("write");
+    const { built } = await build(cache);
+    assert.deepStrictEqual(built, ["a.js", "b.js", "index.js"]);
+    assert.ok(
+      fs.existsSync(
+        path.join(
+          cache.cacheDirectory,
+          "persistent-cache-development/index.pack"
+        )
+      )
+    );
+  });
+
+  it("restores modules from the pack in a new compiler", async () => {
+    const cache = createCache("restore");
+    await build(cache);
+    const { compilation, built } = await build(cache);
+    assert.deepStrictEqual(built, []);
+    assert.strictEqual(compilation.modules.size, 3);
+    const entry = Array.from(compilation.modules).find(
+      (m) => path.basename(m.resource) === "index.js"
+    );
+    assert.deepStrictEqual(
+      Array.from(
+        compilation.moduleGraph.getOutgoingConnections(entry),
+        (c) => c.module && path.basename(c.module.resource)
+      )
+        .filter(Boolean)
+        .sort(),
+      ["a.js", "a.js", "b.js"]
+    );
+  });
+
+  it("invalidates the pack when a build dependency changes", async () => {
+    const cache = createCache("invalidate");
+    await build(cache);
+    fs.writeFileSync(cache.configFile, "module.exports = 2;\n");
+    const { built } = await build(cache);
+    assert.deepStrictEqual(built, ["a.js", "b.js", "index.js"]);
+  });
+});
@@ -0,0 +1,141 @@
+"use strict";
+
+const assert = require("node:assert");
+const { describe, it } = require("node:test");
+const BasicEffectRulePlugin = require("../lib/rules/BasicEffectRulePlugin");
+const BasicMatcherRulePlugin = require("../lib/rules/BasicMatcherRulePlugin");
+const ObjectMatcherRulePlugin = require("../lib/rules/ObjectMatcherRulePlugin");
+const RuleSetCompiler = require("../lib/rules/RuleSetCompiler");
+const UseEffectRulePlugin = require("../lib/rules/UseEffectRulePlugin");
+
+const ruleSetCompiler = new RuleSetCompiler([
+  new BasicMatcherRulePlugin("test", "resource"),
+  new BasicMatcherRulePlugin("include", "resource"),
+  new BasicMatcherRulePlugin("exclude", "resource", true),
+  new BasicMatcherRulePlugin("resource"),
+  new BasicMatcherRulePlugin("resourceQuery"),
+  new BasicMatcherRulePlugin("issuer"),
+  new BasicMatcherRulePlugin("scheme"),
+  new ObjectMatcherRulePlugin("descriptionData"),
+  new BasicEffectRulePlugin("type"),
+  new UseEffectRulePlugin(),
+]);
+
+/**
+ * @param {object[]} rules raw rules
+ * @param {object} data data passed to the rule set
+ * @returns {object[]} effects
+ */
+const exec = (rules, data) => ruleSetCompiler.compile(rules).exec(data);
+
+describe("RuleSetCompiler", () => {
+  it("matches test, include and exclude against the resource", () => {
+    const rules = [
+      {
+        test: /\.js$/,
+        include: "/src",
+        exclude: [/node_modules/],
+        type: "javascript/esm",
+      },
+    ];
+    assert.deepStrictEqual(exec(rules, { resource: "/src/a.js" }), [
+      { type: "type", value: "javascript/esm" },
+    ]);
+    assert.deepStrictEqual(exec(rules, { resource: "/lib/a.js" }), []);
+    assert.deepStrictEqual(
+      exec(rules, { resource: "/src/node_modules/a.js" }),
+      []
+    );
+  });
+
+  it("supports and/or/not conditions and functions", () => {
+    const rules = [
+      {
+        resource: {
+          and: [/\.js$/, { not: /\.test\.js$/ }],
+          or: ["/src", (value) => value.startsWith("/lib")],
+        },
+        type: "javascript/auto",
+      },
+    ];
+    assert.strictEqual(exec(rules, { resource: "/src/a.js" }).length, 1);
+    assert.strictEqual(exec(rules, { resource: "/lib/a.js" }).length, 1);
+    assert.strictEqual(exec(rules, { resource: "/src/a.test.js" }).length, 0);
+    assert.strictEqual(exec(rules, { resource: "/other/a.js" }).length, 0);
+  });
+
+  it("matches nested properties of descriptionData", () => {
+    const rules = [
+      { descriptionData: { type: "module" }, type: "javascript/esm" },
+    ];
+    assert.strictEqual(
+      exec(rules, { descriptionData: { type: "module" } }).length,
+      1
+    );
+    assert.strictEqual(
+      exec(rules, { descriptionData: { type: "commonjs" } }).length,
+      0
+    );
+    assert.strictEqual(exec(rules, {}).length, 0);
+  });
+
+  it("applies all nested rules but only the first matching oneOf", () => {
+    const rules = [
+      {
+        test: /\.css$/,
+        rules: [{ type: "css" }, { resourceQuery: /raw/, type: "asset" }],
+        oneOf: [
+          { resourceQuery: /inline/, type: "asset/inline" },
+          { type: "asset/resource" },
+          { type: "never" },
+        ],
+      },
+    ];
+    assert.deepStrictEqual(
+      exec(rules, { resource: "/a.css", resourceQuery: "?inline" }).map(
+        (e) => e.value
+      ),
+      ["css", "asset/inline"]
+    );
+    assert.deepStrictEqual(
+      exec(rules, { resource: "/a.css", resourceQuery: "?raw" }).map(
+        (e) => e.value
+      ),
+      ["css", "asset", "asset/resource"]
+    );
+  });
+
+  it("turns use entries into loader effects with enforce and idents", () => {
+    const options = { modules: true };
+    const ruleSet = ruleSetCompiler.compile([
+      { test: /\.css$/, enforce: "pre", loader: "lint-loader" },
+      {
+        test: /\.css$/,
+        use: [
+          "style-loader",
+          { loader: "css-loader", options },
+          { loader: "postcss-loader", ident: "postcss", options: {} },
+        ],
+      },
+    ]);
+    const effects = ruleSet.exec({ resource: "/a.css" });
+    assert.deepStrictEqual(
+      effects.map((e) => [e.type, e.value.loader, e.value.ident]),
+      [
+        ["use-pre", "lint-loader", undefined],
+        ["use", "style-loader", undefined],
+        ["use", "css-loader", "ruleSet[1].use[1]"],
+        ["use", "postcss-loader", "postcss"],
+      ]
+    );
+    assert.strictEqual(ruleSet.references.get("ruleSet[1].use[1]"), options);
+    assert.ok(ruleSet.references.has("postcss"));
+  });
+
+  it("reports unknown properties with their path", () => {
+    assert.throws(
+      () => ruleSetCompiler.compile([{ rules: [{ tset: /\.js$/ }] }]),
+      /Compiling RuleSet failed: Properties tset are unknown \(at ruleSet\[0\]\.rules\[0\]/
+    );
+  });
+});
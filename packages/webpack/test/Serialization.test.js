@@ -0,0 +1,248 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it, before } = require("node:test");
+const serialization = require("../lib/util/serialization");
+const { outputDir } = require("./helpers/compile");
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  serialize({ write }) {
+    write(this.x);
+    write(this.y);
+  }
+
+  static deserialize({ read }) {
+    return new Point(read(), read());
+  }
+}
+
+// 延迟反序列化的内容，读取时才会还原
+class Container {
+  constructor(content) {
+    this.content = content;
+  }
+
+  serialize({ write, writeLazy }) {
+    writeLazy(this.content);
+  }
+
+  static deserialize({ read }) {
+    const container = new Container();
+    container.content = read();
+    return container;
+  }
+}
+
+// 内容通过 writeSeparate 写入单独的文件
+class Separated {
+  constructor(content) {
+    this.content = content;
+  }
+
+  serialize({ write, writeSeparate }) {
+    writeSeparate(this.content, { name: "separated" });
+  }
+
+  static deserialize({ read }) {
+    const separated = new Separated();
+    separated.content = read();
+    return separated;
+  }
+}
+
+// 通过 setCircularReference 支持引用自身的子节点
+class Tree {
+  constructor() {
+    this.children = [];
+  }
+
+  serialize({ write, setCircularReference }) {
+    setCircularReference(this);
+    write(this.children);
+  }
+
+  static deserialize({ read, setCircularReference }) {
+    const tree = new Tree();
+    setCircularReference(tree);
+    tree.children = read();
+    return tree;
+  }
+}
+
+class Unregistered {}
+
+class Handle {}
+
+serialization.register(Point, "test/Serialization", "Point", {
+  serialize: (obj, context) => obj.serialize(context),
+  deserialize: (context) => Point.deserialize(context),
+});
+serialization.register(Container, "test/Serialization", "Container", {
+  serialize: (obj, context) => obj.serialize(context),
+  deserialize: (context) => Container.deserialize(context),
+});
+serialization.register(Separated, "test/Serialization", "Separated", {
+  serialize: (obj, context) => obj.serialize(context),
+  deserialize: (context) => Separated.deserialize(context),
+});
+serialization.register(Tree, "test/Serialization", "Tree", {
+  serialize: (obj, context) => obj.serialize(context),
+  deserialize: (context) => Tree.deserialize(context),
+});
+serialization.registerNotSerializable(Handle);
+
+/**
+ * 序列化后再反序列化
+ * @param {any} value value
+ * @returns {Promise<any>} 还原后的值
+ */
+const roundTrip = async (value) => {
+  const { buffersSerializer } = serialization;
+  const buffers = await buffersSerializer.serialize(value, {});
+  assert.ok(buffers.every((buffer) => Buffer.isBuffer(buffer)));
+  return buffersSerializer.deserialize(buffers, {});
+};
+
+describe("Serialization", () => {
+  it("round trips primitives and builtin objects", async () => {
+    const value = {
+      string: "hello",
+      empty: "",
+      numbers: [0, 1, -1, 255, 65536, 1.5, -0.25, 2 ** 40],
+      bigint: 2n ** 70n,
+      flags: [true, false, null, undefined],
+      buffer: Buffer.from("buffer"),
+      date: new Date(1000),
+      regexp: /a+b/gi,
+      map: new Map([["key", { value: 1 }]]),
+      set: new Set(["a", "b"]),
+      nullPrototype: Object.assign(Object.create(null), { a: 1 }),
+      error: new TypeError("broken"),
+    };
+    const result = await roundTrip(value);
+    assert.deepStrictEqual(result.string, value.string);
+    assert.deepStrictEqual(result.empty, "");
+    assert.deepStrictEqual(result.numbers, value.numbers);
+    assert.strictEqual(result.bigint, value.bigint);
+    assert.deepStrictEqual(result.flags, value.flags);
+    assert.deepStrictEqual(result.buffer, value.buffer);
+    assert.deepStrictEqual(result.date, value.date);
+    assert.deepStrictEqual(result.regexp, value.regexp);
+    assert.deepStrictEqual(result.map, value.map);
+    assert.deepStrictEqual(result.set, value.set);
+    assert.strictEqual(Object.getPrototypeOf(result.nullPrototype), null);
+    assert.strictEqual(result.nullPrototype.a, 1);
+    assert.ok(result.error instanceof TypeError);
+    assert.strictEqual(result.error.message, "broken");
+  });
+
+  it("round trips registered classes", async () => {
+    const result = await roundTrip([new Point(1, 2), new Point(3, 4)]);
+    assert.ok(result[0] instanceof Point);
+    assert.deepStrictEqual(result, [new Point(1, 2), new Point(3, 4)]);
+  });
+
+  it("keeps shared references", async () => {
+    const shared = new Point(1, 2);
+    const result = await roundTrip([{ point: shared }, { point: shared }]);
+    assert.strictEqual(result[0].point, result[1].point);
+  });
+
+  it("restores circular references marked by the serializer", async () => {
+    const tree = new Tree();
+    tree.children.push({ parent: tree }, { parent: tree });
+    const result = await roundTrip(tree);
+    assert.ok(result instanceof Tree);
+    assert.strictEqual(result.children[0].parent, result);
+    assert.strictEqual(result.children[1].parent, result);
+  });
+
+  it("rejects unmarked circular references", async () => {
+    const parent = { children: [] };
+    parent.children.push({ parent });
+    await assert.rejects(
+      () => serialization.buffersSerializer.serialize(parent, {}),
+      /setCircularReference/
+    );
+  });
+
+  it("writes repeated objects only once", async () => {
+    const point = new Point(1, 2);
+    const { buffersSerializer } = serialization;
+    const size = (buffers) =>
+      buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+    const once = size(await buffersSerializer.serialize([point], {}));
+    const repeated = size(
+      await buffersSerializer.serialize(new Array(100).fill(point), {})
+    );
+    // 重复的对象只写入引用，远小于写入 100 次完整对象
+    assert.ok(repeated < once * 10, `${repeated} >= ${once * 10}`);
+  });
+
+  it("restores lazy values on demand", async () => {
+    const result = await roundTrip(new Container(new Point(5, 6)));
+    assert.ok(result instanceof Container);
+    assert.strictEqual(typeof result.content, "function");
+    assert.deepStrictEqual(await result.content(), new Point(5, 6));
+  });
+
+  it("names the class when no serializer is registered", async () => {
+    await assert.rejects(
+      () =>
+        serialization.buffersSerializer.serialize(
+          { items: [new Unregistered()] },
+          {}
+        ),
+      (err) => {
+        assert.match(err.message, /No serializer registered for Unregistered/);
+        assert.match(err.message, /while serializing/);
+        return true;
+      }
+    );
+  });
+
+  it("skips values that are not serializable", async () => {
+    const result = await serialization.buffersSerializer.serialize(
+      { handle: new Handle() },
+      {}
+    );
+    assert.strictEqual(result, null);
+  });
+
+  describe("file serializer", () => {
+    const dir = outputDir("serialization");
+
+    before(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("writes separate sections to their own files", async () => {
+      const serializer = serialization.createFileSerializer(fs, "md4");
+      const filename = path.join(dir, "index.pack");
+      await serializer.serialize(new Separated({ large: "x".repeat(1000) }), {
+        filename,
+        extension: ".pack",
+      });
+      assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+        "index.pack",
+        "separated.pack",
+      ]);
+
+      const result = await serializer.deserialize(null, {
+        filename,
+        extension: ".pack",
+      });
+      assert.ok(result instanceof Separated);
+      assert.deepStrictEqual(await result.content(), {
+        large: "x".repeat(1000),
+      });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+"use strict";
+
+const assert = require("node:assert");
+const { describe, it, before } = require("node:test");
+const { createCompiler, run } = require("./helpers/compile");
+
+describe("Stats", () => {
+  /** @type {Stats} */
+  let stats;
+  /** @type {Stats} */
+  let errorStats;
+
+  before(async () => {
+    stats = await run(createCompiler("basic", { name: "stats" }));
+    errorStats = await run(createCompiler("errors", { name: "stats-errors" }));
+  });
+
+  it("reports errors and warnings", () => {
+    assert.strictEqual(stats.hasErrors(), false);
+    assert.strictEqual(stats.hasWarnings(), false);
+    assert.strictEqual(errorStats.hasErrors(), true);
+    const { errors, errorsCount } = errorStats.toJson("errors-only");
+    assert.strictEqual(errorsCount, 1);
+    assert.match(errors[0].message, /Can't resolve '\.\/missing'/);
+    assert.strictEqual(errors[0].moduleName, "./index.js");
+  });
+
+  it("extracts modules, chunks and entrypoints with toJson", () => {
+    const json = stats.toJson({
+      all: false,
+      modules: true,
+      chunks: true,
+      entrypoints: true,
+      ids: true,
+    });
+    assert.deepStrictEqual(
+      json.modules.map((m) => m.name),
+      ["./index.js", "./a.js", "./b.js"]
+    );
+    assert.ok(json.modules.every((m) => m.built && m.codeGenerated));
+    assert.deepStrictEqual(
+      json.chunks.map((c) => c.names),
+      [["main"]]
+    );
+    assert.deepStrictEqual(Object.keys(json.entrypoints), ["main"]);
+    assert.strictEqual(json.errors, undefined);
+  });
+
+  it("applies string presets", () => {
+    assert.strictEqual(stats.toString("none"), "");
+    assert.strictEqual(stats.toString("errors-only"), "");
+    assert.strictEqual(
+      stats.toString("summary"),
+      "stats (webpack 5.0.0) compiled successfully"
+    );
+    assert.match(stats.toString("minimal"), /^3 modules$/m);
+    assert.match(
+      stats.toString("normal"),
+      /^\.\/index\.js 70 bytes \[built\]/m
+    );
+    // detailed 预设额外输出 chunk 和 module 所属的 chunk
+    assert.match(stats.toString("detailed"), /^chunk \{main\}/m);
+    assert.match(stats.toString("detailed"), /\.\/a\.js 20 bytes \{main\}/);
+    // verbose 预设输出模块的引用原因
+    assert.match(
+      stats.toString("verbose"),
+      /cjs require \.\/b \[\.\/index\.js\]/
+    );
+  });
+
+  it("prints errors with the errors-only preset", () => {
+    const output = errorStats.toString("errors-only");
+    assert.match(output, /^ERROR in \.\/index\.js 1:0-20/m);
+    assert.match(
+      output,
+      /Module not found: Error: Can't resolve '\.\/missing'/
+    );
+  });
+
+  it("overrides preset values with explicit options", () => {
+    assert.strictEqual(stats.toJson("normal").modules.length, 3);
+    const json = stats.toJson({ preset: "normal", modules: false });
+    assert.strictEqual(json.modules, undefined);
+    assert.strictEqual(json.errorsCount, 0);
+  });
+
+  it("lets plugins extend the factory and the printer", async () => {
+    const compiler = createCompiler("basic", { name: "stats" });
+    compiler.hooks.compilation.tap("test", (compilation) => {
+      compilation.hooks.statsFactory.tap("test", (statsFactory) => {
+        statsFactory.hooks.extract
+          .for("compilation")
+          .tap("test", (object, compilation) => {
+            object.moduleCount = compilation.modules.size;
+          });
+      });
+      compilation.hooks.statsPrinter.tap("test", (statsPrinter) => {
+        statsPrinter.hooks.print
+          .for("compilation")
+          .tap("test", (object) => `${object.moduleCount} modules counted`);
+      });
+    });
+    const custom = await run(compiler);
+    assert.strictEqual(custom.toJson({ all: false }).moduleCount, 3);
+    assert.strictEqual(custom.toString(), "3 modules counted");
+  });
+});
@@ -0,0 +1,218 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const { createCompiler, outputDir } = require("./helpers/compile");
+
+const context = outputDir("watching-src");
+
+/**
+ * 修改 fixture 中的文件，修改时间推后以确保晚于监听开始的时间
+ * @param {string} file file
+ * @param {string} content content
+ */
+const write = (file, content) => {
+  fs.writeFileSync(path.join(context, file), content);
+  const future = new Date(Date.now() + 2000);
+  fs.utimesSync(path.join(context, file), future, future);
+};
+
+/**
+ * 开始监听，返回依次获取每次构建结果的函数
+ * @param {object=} options webpack 配置
+ * @returns {{ compiler: Compiler, watching: Watching, next: () => Promise<Stats>, logs: string[] }} watching
+ */
+const watch = (options) => {
+  const compiler = createCompiler("basic", {
+    name: "watching",
+    context,
+    ...options,
+  });
+  const logs = [];
+  compiler.hooks.infrastructureLog.tap("test", (origin, type, args) => {
+    if (origin === "webpack.Watching") logs.push(args.join(" "));
+  });
+  const results = [];
+  const waiting = [];
+  const watching = compiler.watch(
+    { aggregateTimeout: 50, ...options.watchOptions },
+    (err, stats) => {
+      const result = err ? Promise.reject(err) : Promise.resolve(stats);
+      // 避免未等待的结果产生 unhandled rejection
+      result.catch(() => {});
+      if (waiting.length > 0) waiting.shift()(result);
+      else results.push(result);
+    }
+  );
+  const next = () => {
+    if (results.length > 0) return results.shift();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error("Timed out waiting for a rebuild")),
+        10000
+      );
+      waiting.push((result) => {
+        clearTimeout(timer);
+        resolve(result);
+      });
+    });
+  };
+  return { compiler, watching, next, logs };
+};
+
+/**
+ * watchpack 也可能把所在目录报告为变化，这里只保留文件
+ * @param {ReadonlySet<string>} files modified or removed files
+ * @returns {string[]} 排序后的 js 文件
+ */
+const jsFiles = (files) =>
+  Array.from(files)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+/**
+ * @param {Stats} stats stats
+ * @returns {string[]} 本次编译构建过的模块
+ */
+const builtModules = (stats) =>
+  Array.from(stats.compilation.modules)
+    .filter((m) => stats.compilation.builtModules.has(m))
+    .map((m) => path.basename(m.resource))
+    .sort();
+
+describe("Watching", () => {
+  /** @type {Watching | undefined} */
+  let current;
+
+  beforeEach(() => {
+    fs.rmSync(context, { recursive: true, force: true });
+    fs.cpSync(path.join(__dirname, "fixtures/basic"), context, {
+      recursive: true,
+    });
+    // fixture 的修改时间早于监听开始，避免触发额外的构建
+    const past = new Date(Date.now() - 10000);
+    for (const file of fs.readdirSync(context)) {
+      fs.utimesSync(path.join(context, file), past, past);
+    }
+  });
+
+  afterEach(async () => {
+    if (current) await new Promise((resolve) => current.close(resolve));
+    current = undefined;
+  });
+
+  it("delivers full stats and the modified files of a rebuild", async () => {
+    const { compiler, watching, next } = watch({});
+    current = watching;
+    const first = await next();
+    assert.deepStrictEqual(first.compilation.errors, []);
+    assert.strictEqual(first.compilation.modifiedFiles, undefined);
+    assert.deepStrictEqual(
+      first.toJson({ all: false, modules: true }).modules.map((m) => m.name),
+      ["./index.js", "./a.js", "./b.js"]
+    );
+
+    const invalid = [];
+    compiler.hooks.invalid.tap("test", (fileName) => invalid.push(fileName));
+    write("a.js", "export default 2;\n");
+    const second = await next();
+    assert.deepStrictEqual(invalid, [path.join(context, "a.js")]);
+    assert.deepStrictEqual(jsFiles(second.compilation.modifiedFiles), [
+      path.join(context, "a.js"),
+    ]);
+    assert.deepStrictEqual(jsFiles(second.compilation.removedFiles), []);
+    assert.deepStrictEqual(builtModules(second), ["a.js"]);
+  });
+
+  it("collects changes while suspended and builds once on resume", async () => {
+    const { compiler, watching, next } = watch({});
+    current = watching;
+    await next();
+
+    let runs = 0;
+    compiler.hooks.watchRun.tap("test", () => {
+      runs++;
+    });
+    watching.suspend();
+    write("a.js", "export default 2;\n");
+    // 等待超过 aggregateTimeout，确认暂停期间没有开始构建
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    write("b.js", "module.exports = 2;\n");
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    assert.strictEqual(runs, 0);
+
+    watching.resume();
+    const stats = await next();
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual(jsFiles(stats.compilation.modifiedFiles), [
+      path.join(context, "a.js"),
+      path.join(context, "b.js"),
+    ]);
+    assert.deepStrictEqual(builtModules(stats), ["a.js", "b.js"]);
+  });
+
+  it("logs the aggregated changes of a rebuild", async () => {
+    const { watching, next, logs } = watch({});
+    current = watching;
+    await next();
+    write("b.js", "module.exports = 2;\n");
+    await next();
+    assert.ok(
+      logs.includes(`Compilation invalidated by ${path.join(context, "b.js")}`),
+      logs.join("\n")
+    );
+    // 目录也可能被报告为变化，只检查数量的格式和文件
+    assert.ok(
+      logs.some((log) => /^\d+ files changed, 0 files removed$/.test(log)),
+      logs.join("\n")
+    );
+    assert.ok(
+      logs.includes(`changed: ${path.join(context, "b.js")}`),
+      logs.join("\n")
+    );
+  });
+
+  it("rebuilds when the target of a symlinked dependency changes", async () => {
+    fs.renameSync(path.join(context, "b.js"), path.join(context, "target.js"));
+    fs.symlinkSync("target.js", path.join(context, "b.js"));
+    const { watching, next } = watch({
+      // 不解析符号链接，依赖中记录的是链接本身
+      resolve: { symlinks: false },
+      watchOptions: { followSymlinks: true },
+    });
+    current = watching;
+    const first = await next();
+    assert.deepStrictEqual(first.compilation.errors, []);
+    assert.ok(
+      first.compilation.fileDependencies.has(path.join(context, "b.js"))
+    );
+
+    write("target.js", "module.exports = 2;\n");
+    const second = await next();
+    assert.deepStrictEqual(builtModules(second), ["b.js"]);
+  });
+
+  it("marks changed files outside the dependencies as symlink targets", async () => {
+    const { watching, next } = watch({
+      watchOptions: { followSymlinks: true },
+    });
+    current = watching;
+    await next();
+    assert.strictEqual(
+      watching._isSymlinkTarget(path.join(context, "a.js")),
+      false
+    );
+    assert.strictEqual(
+      watching._isSymlinkTarget(path.join(__dirname, "fixtures/basic/a.js")),
+      true
+    );
+    // 没有开启 followSymlinks 时不会有链接目标
+    watching.watchOptions.followSymlinks = false;
+    assert.strictEqual(
+      watching._isSymlinkTarget(path.join(__dirname, "fixtures/basic/a.js")),
+      false
+    );
+  });
+});
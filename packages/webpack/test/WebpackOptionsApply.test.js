@@ -0,0 +1,261 @@
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const { OriginalSource } = require("webpack-sources");
+const webpack = require("..");
+const Compilation = require("../lib/Compilation");
+const ExternalModule = require("../lib/ExternalModule");
+const JavascriptModulesPlugin = require("../lib/javascript/JavascriptModulesPlugin");
+const { createCompiler, outputDir, run } = require("./helpers/compile");
+
+/**
+ * @param {Compilation} compilation compilation
+ * @returns {string[]} 所有 chunk 中运行时模块的名称
+ */
+const runtimeModuleNames = (compilation) => {
+  const names = [];
+  for (const chunk of compilation.chunks) {
+    for (const module of compilation.chunkGraph.getChunkRuntimeModulesIterable(
+      chunk
+    )) {
+      names.push(module.name);
+    }
+  }
+  return names.sort();
+};
+
+describe("WebpackOptionsApply", () => {
+  it("copies output and records paths onto the compiler", () => {
+    const compiler = createCompiler("basic", {
+      name: "web",
+      recordsPath: path.join(outputDir("records"), "records.json"),
+    });
+    assert.strictEqual(compiler.name, "web");
+    assert.strictEqual(compiler.outputPath, outputDir("web"));
+    assert.strictEqual(
+      compiler.recordsInputPath,
+      path.join(outputDir("records"), "records.json")
+    );
+    assert.strictEqual(compiler.recordsOutputPath, compiler.recordsInputPath);
+  });
+
+  it("applies the module and chunk id plugins from optimization", async () => {
+    const stats = await run(
+      createCompiler("basic", {
+        optimization: { moduleIds: "natural", chunkIds: "natural" },
+      })
+    );
+    const { compilation } = stats;
+    const ids = Array.from(compilation.modules, (m) =>
+      compilation.chunkGraph.getModuleId(m)
+    ).sort();
+    assert.deepStrictEqual(ids, [0, 1, 2]);
+    assert.deepStrictEqual(
+      Array.from(compilation.chunks, (c) => c.id),
+      [0]
+    );
+  });
+
+  it("applies the cache plugin for the configured cache type", () => {
+    const tapNames = (compiler) =>
+      compiler.cache.hooks.get.taps.map((tap) => tap.name);
+    assert.deepStrictEqual(
+      tapNames(createCompiler("basic", { cache: false })),
+      []
+    );
+    assert.deepStrictEqual(
+      tapNames(createCompiler("basic", { cache: { type: "memory" } })),
+      ["MemoryCachePlugin"]
+    );
+  });
+
+  it("merges resolve options into the normal resolver", async () => {
+    const alias = { shared: path.join(__dirname, "fixtures/basic/a.js") };
+    const compiler = createCompiler("basic", { resolve: { alias } });
+    const resolver = compiler.resolverFactory.get("normal");
+    assert.strictEqual(resolver.fileSystem, compiler.inputFileSystem);
+    const result = await new Promise((resolve, reject) => {
+      resolver.resolve({}, compiler.context, "shared", {}, (err, result) =>
+        err ? reject(err) : resolve(result)
+      );
+    });
+    assert.strictEqual(result, alias.shared);
+  });
+
+  it("turns configured externals into external modules", async () => {
+    const { compilation } = await run(
+      createCompiler("basic", { externals: { "./a": "_" } })
+    );
+    assert.deepStrictEqual(compilation.errors, []);
+    const externals = Array.from(compilation.modules).filter(
+      (m) => m instanceof ExternalModule
+    );
+    assert.deepStrictEqual(
+      externals.map((m) => m.identifier()),
+      ['external var "_"']
+    );
+    const source = compilation.codeGenerationResults
+      .get(externals[0], "main")
+      .sources.get("javascript")
+      .source();
+    assert.strictEqual(source, "module.exports = _;");
+  });
+
+  it("treats node builtins as externals when targeting node", async () => {
+    const compiler = createCompiler("basic", { target: "node" });
+    const { compilation } = await run(compiler);
+    const factory = compilation.params.normalModuleFactory;
+    const module = await new Promise((resolve, reject) => {
+      factory.hooks.factorize.callAsync(
+        {
+          context: compiler.context,
+          contextInfo: { issuer: "" },
+          dependencies: [{ request: "fs" }],
+          dependencyType: "commonjs",
+        },
+        (err, result) => (err ? reject(err) : resolve(result))
+      );
+    });
+    assert.ok(module instanceof ExternalModule);
+    assert.strictEqual(module.identifier(), 'external node-commonjs "fs"');
+  });
+
+  it("adds the chunk loading runtime for the target", async () => {
+    const compileHot = async (target) => {
+      const { compilation } = await run(
+        createCompiler("hot", {
+          name: `hot-${target}`,
+          target,
+          plugins: [new webpack.HotModuleReplacementPlugin()],
+        })
+      );
+      assert.deepStrictEqual(compilation.errors, []);
+      return compilation;
+    };
+    const web = await compileHot("web");
+    assert.strictEqual(web.outputOptions.chunkFormat, "array-push");
+    assert.deepStrictEqual(runtimeModuleNames(web), [
+      "hot module replacement",
+      "jsonp chunk loading",
+    ]);
+    // 运行时模块也参与代码生成，HMR 下载更新 chunk 的代码来自 chunk 加载运行时
+    const [chunk] = web.chunks;
+    const jsonp = Array.from(
+      web.chunkGraph.getChunkRuntimeModulesIterable(chunk)
+    ).find((m) => m.name === "jsonp chunk loading");
+    assert.match(
+      web.codeGenerationResults
+        .getSource(jsonp, chunk.runtime, "runtime")
+        .source(),
+      /__webpack_require__\.hmrC\.jsonp = /
+    );
+
+    const node = await compileHot("node");
+    assert.strictEqual(node.outputOptions.chunkFormat, "commonjs");
+    assert.deepStrictEqual(runtimeModuleNames(node), [
+      "hot module replacement",
+      "require chunk loading",
+    ]);
+    assert.deepStrictEqual(runtimeModuleNames(await compileHot("webworker")), [
+      "hot module replacement",
+      "importScripts chunk loading",
+    ]);
+  });
+
+  it("rejects entries using chunk loading or library types that are not enabled", () => {
+    assert.throws(
+      () =>
+        createCompiler("basic", {
+          entry: { main: { import: "./index.js", chunkLoading: "jsonp" } },
+          output: {
+            path: outputDir("basic"),
+            enabledChunkLoadingTypes: ["require"],
+          },
+        }),
+      /Chunk loading type "jsonp" is not enabled/
+    );
+    assert.throws(
+      () =>
+        createCompiler("basic", {
+          entry: { main: { import: "./index.js", library: { type: "umd" } } },
+          output: { path: outputDir("basic"), enabledLibraryTypes: [] },
+        }),
+      /Library type "umd" is not enabled/
+    );
+    assert.throws(
+      () =>
+        createCompiler("basic", {
+          output: { path: outputDir("basic"), enabledLibraryTypes: ["custom"] },
+        }),
+      /Unsupported library type custom/
+    );
+    assert.throws(
+      () =>
+        createCompiler("basic", {
+          output: { path: outputDir("basic"), chunkFormat: "custom" },
+        }),
+      /Unsupported chunk format 'custom'/
+    );
+  });
+
+  it("applies the devtool plugins", async () => {
+    const compileWith = async (devtool) => {
+      const compiler = createCompiler("basic", { name: "devtool", devtool });
+      let hooks;
+      compiler.hooks.thisCompilation.tap("test", (compilation) => {
+        hooks = JavascriptModulesPlugin.getCompilationHooks(compilation);
+        compilation.hooks.processAssets.tap(
+          {
+            name: "test",
+            stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL,
+          },
+          () => {
+            const [chunk] = compilation.chunks;
+            chunk.files.add("main.js");
+            compilation.emitAsset(
+              "main.js",
+              new OriginalSource("console.log(1);\n", "webpack://app/index.js")
+            );
+          }
+        );
+      });
+      const { compilation } = await run(compiler);
+      assert.deepStrictEqual(compilation.errors, []);
+      const read = (file) =>
+        fs.readFileSync(path.join(outputDir("devtool"), file), "utf-8");
+      return {
+        assets: Object.keys(compilation.assets).sort(),
+        read,
+        renderModuleContent: hooks.renderModuleContent.taps.map((t) => t.name),
+      };
+    };
+
+    const sourceMap = await compileWith("source-map");
+    assert.deepStrictEqual(sourceMap.assets, ["main.js", "main.js.map"]);
+    assert.strictEqual(
+      sourceMap.read("main.js"),
+      "console.log(1);\n\n//# sourceMappingURL=main.js.map"
+    );
+    const map = JSON.parse(sourceMap.read("main.js.map"));
+    assert.strictEqual(map.file, "main.js");
+    assert.deepStrictEqual(map.sourcesContent, ["console.log(1);\n"]);
+
+    const hidden = await compileWith("hidden-source-map");
+    assert.deepStrictEqual(hidden.assets, ["main.js", "main.js.map"]);
+    assert.strictEqual(hidden.read("main.js"), "console.log(1);\n");
+
+    // eval 系列在渲染模块时包裹 eval，不生成单独的 .map 文件
+    const evalOnly = await compileWith("eval");
+    assert.deepStrictEqual(evalOnly.assets, ["main.js"]);
+    assert.deepStrictEqual(evalOnly.renderModuleContent, [
+      "EvalDevToolModulePlugin",
+    ]);
+    assert.deepStrictEqual(
+      (await compileWith("eval-source-map")).renderModuleContent,
+      ["EvalSourceMapDevToolPlugin"]
+    );
+  });
+});
@@ -0,0 +1,3 @@
+import { a } from "./a";
+const b = require("./b");
+console.log(a, b);
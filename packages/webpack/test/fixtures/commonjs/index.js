@@ -0,0 +1,10 @@
+const math = require("./math");
+const { double } = require("./math");
+const esm = require("./esm");
+const interop = require("./interop");
+
+exports.sum = math.add(1, 2);
+exports.double = double(2);
+exports.esm = esm.default;
+exports.interop = interop.default;
+exports.same = math === require("./math");
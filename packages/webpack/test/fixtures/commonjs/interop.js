@@ -0,0 +1,5 @@
+import replaced from "./replaced";
+import transpiled from "./transpiled";
+import { add } from "./math";
+
+export default [replaced(), transpiled, add(2, 3)];
@@ -0,0 +1,4 @@
+const name = "home";
+const view = require("./views/" + name + ".js");
+const icons = require.context("./views", false, /\.txt$/);
+module.exports = { view, icons };
@@ -0,0 +1,2 @@
+require("./missing");
+module.exports = 1;
@@ -0,0 +1,6 @@
+import value, { counter, increment } from "./counter";
+import * as all from "./reexport";
+
+increment();
+export const result = [value, counter, all.counter, all.shared];
+export { counter as current };
@@ -0,0 +1,2 @@
+export * from "./counter";
+export { shared } from "./shared";
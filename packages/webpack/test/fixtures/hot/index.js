@@ -0,0 +1,6 @@
+const value = require("./value");
+if (module.hot) {
+  module.hot.accept("./value");
+  module.hot.dispose(() => {});
+}
+module.exports = value;
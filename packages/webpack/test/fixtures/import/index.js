@@ -0,0 +1,7 @@
+const name = "a";
+export const lazy = () => import("./views/" + name);
+export const lazyOnce = () =>
+  import(/* webpackMode: "lazy-once" */ "./views/" + name);
+export const eager = () => import(/* webpackMode: "eager" */ "./views/" + name);
+export const weak = () => import(/* webpackMode: "weak" */ "./views/" + name);
+export const file = () => import("./views/a.js");
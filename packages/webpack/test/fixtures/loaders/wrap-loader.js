@@ -0,0 +1,5 @@
+module.exports = function (source) {
+  const { prefix } = this.getOptions();
+  this.addDependency(require.resolve("./dependency.txt"));
+  return `module.exports = ${JSON.stringify(prefix + source.trim())};`;
+};
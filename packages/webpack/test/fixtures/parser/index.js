@@ -0,0 +1,4 @@
+function read(value) {
+  return value;
+}
+module.exports = read(value) + value;
@@ -0,0 +1,2 @@
+const weakId = require.resolveWeak("./weak");
+module.exports = [weakId, require("./strong")];
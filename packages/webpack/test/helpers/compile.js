@@ -0,0 +1,53 @@
+"use strict";
+
+const path = require("path");
+const webpack = require("../..");
+
+/**
+ * 测试的输出目录，位于 test/js 下（已被 git 忽略）
+ * @param {string} name directory name
+ * @returns {string} directory path
+ */
+const outputDir = (name) => path.join(__dirname, "../js", name);
+
+/**
+ * 以 fixtures 下的目录为 context 生成 webpack 配置
+ * @param {string} fixture fixture directory name
+ * @param {object=} options extra webpack options
+ * @returns {object} webpack options
+ */
+const createOptions = (fixture, options = {}) => ({
+  context: path.join(__dirname, "../fixtures", fixture),
+  entry: "./index.js",
+  mode: "development",
+  devtool: false,
+  output: { path: outputDir(options.name || fixture) },
+  ...options,
+});
+
+/**
+ * 以 fixtures 下的目录为 context 创建 compiler
+ * @param {string} fixture fixture directory name
+ * @param {object=} options extra webpack options
+ * @returns {Compiler} compiler
+ */
+const createCompiler = (fixture, options) =>
+  webpack(createOptions(fixture, options));
+
+/**
+ * 运行一次编译并在完成后关闭 compiler
+ * @param {Compiler} compiler compiler
+ * @returns {Promise<Stats>} stats
+ */
+const run = (compiler) =>
+  new Promise((resolve, reject) => {
+    compiler.run((err, stats) => {
+      if (err) return reject(err);
+      compiler.close((closeErr) => {
+        if (closeErr) return reject(closeErr);
+        resolve(stats);
+      });
+    });
+  });
+
+module.exports = { outputDir, createOptions, createCompiler, run };
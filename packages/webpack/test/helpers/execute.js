@@ -0,0 +1,71 @@
+"use strict";
+
+/**
+ * 用最小的 __webpack_require__ 运行时执行 compilation 生成的模块代码
+ * 只实现了模块代码中用到的 d、r、o、n 几个方法，足够验证导入导出的行为
+ * @param {Compilation} compilation compilation
+ * @param {string=} runtime runtime
+ * @returns {function(string | number): any} 按模块 id 获取模块导出
+ */
+const createRequire = (compilation, runtime = "main") => {
+  const { chunkGraph, codeGenerationResults } = compilation;
+  const factories = new Map();
+  for (const module of compilation.modules) {
+    const source = codeGenerationResults
+      .get(module, runtime)
+      .sources.get("javascript")
+      .source();
+    factories.set(
+      chunkGraph.getModuleId(module),
+      new Function(
+        "module",
+        "exports",
+        "__webpack_exports__",
+        "__webpack_require__",
+        source
+      )
+    );
+  }
+  const cache = new Map();
+  const __webpack_require__ = (id) => {
+    if (cache.has(id)) return cache.get(id).exports;
+    if (!factories.has(id)) throw new Error(`Cannot find module '${id}'`);
+    const module = { id, exports: {} };
+    cache.set(id, module);
+    factories
+      .get(id)
+      .call(
+        module.exports,
+        module,
+        module.exports,
+        module.exports,
+        __webpack_require__
+      );
+    return module.exports;
+  };
+  __webpack_require__.o = (obj, prop) =>
+    Object.prototype.hasOwnProperty.call(obj, prop);
+  __webpack_require__.d = (exports, definition) => {
+    for (const key of Object.keys(definition)) {
+      if (!__webpack_require__.o(exports, key)) {
+        Object.defineProperty(exports, key, {
+          enumerable: true,
+          get: definition[key],
+        });
+      }
+    }
+  };
+  __webpack_require__.r = (exports) => {
+    Object.defineProperty(exports, Symbol.toStringTag, { value: "Module" });
+    Object.defineProperty(exports, "__esModule", { value: true });
+  };
+  __webpack_require__.n = (module) => {
+    const getter =
+      module && module.__esModule ? () => module.default : () => module;
+    __webpack_require__.d(getter, { a: getter });
+    return getter;
+  };
+  return __webpack_require__;
+};
+
+module.exports = { createRequire };